@@ -0,0 +1,67 @@
+const refundService = require('../services/refundService');
+
+/**
+ * AdminRefundController
+ *
+ * Thin HTTP layer for admin-initiated purchase refunds.
+ * All business logic lives in refundService.
+ */
+
+/**
+ * Refund a purchase (full or partial)
+ * POST /api/admin/purchases/:id/refund
+ */
+exports.refundPurchase = async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+
+    if (amount !== undefined && amount !== null && (isNaN(parseFloat(amount)) || parseFloat(amount) <= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'amount must be a positive number (omit it for a full refund)'
+      });
+    }
+
+    const result = await refundService.adminRefund({
+      purchaseId: req.params.id,
+      amount: amount !== undefined && amount !== null ? parseFloat(amount) : null,
+      reason: reason || null,
+      adminId: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    console.log(`[AdminRefundController] Purchase ${req.params.id} refunded by admin ${req.user.id}`);
+
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('[AdminRefundController] refundPurchase error:', error);
+
+    const status = error.statusCode || 500;
+    return res.status(status).json({
+      success: false,
+      message: error.message || 'Failed to refund purchase'
+    });
+  }
+};
+
+/**
+ * List refunds recorded for a purchase
+ * GET /api/admin/purchases/:id/refunds
+ */
+exports.getPurchaseRefunds = async (req, res) => {
+  try {
+    const refunds = await refundService.getPurchaseRefunds(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      refunds
+    });
+  } catch (error) {
+    console.error('[AdminRefundController] getPurchaseRefunds error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get purchase refunds'
+    });
+  }
+};
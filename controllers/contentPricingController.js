@@ -0,0 +1,90 @@
+const contentPricingService = require('../services/contentPricingService');
+
+/**
+ * Content Pricing Controller
+ *
+ * Pay-what-you-want and tiered pricing for videos and freebies:
+ *   GET/PUT /videos/:id/pricing
+ *   GET/PUT /api/freebies/:id/pricing
+ * Buyers pass the chosen `tierId` or `amount` to the payment, wallet,
+ * cart and freebie purchase endpoints.
+ */
+
+const handleError = (res, error, action) => {
+  console.error(`[Content Pricing Controller] ${action} error:`, error);
+  return res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : `Failed to ${action.toLowerCase()}`
+  });
+};
+
+const getPricing = (contentType) => async (req, res) => {
+  try {
+    const pricing = await contentPricingService.getPricing(contentType, req.params.id);
+    if (!pricing) {
+      return res.status(404).json({
+        success: false,
+        message: `${contentType} not found`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      pricing
+    });
+  } catch (error) {
+    return handleError(res, error, 'Get pricing');
+  }
+};
+
+const setPricing = (contentType) => async (req, res) => {
+  try {
+    const { pricingMode, price, suggestedPrice, tiers } = req.body;
+
+    if (!pricingMode) {
+      return res.status(400).json({
+        success: false,
+        message: 'pricingMode is required'
+      });
+    }
+
+    const pricing = await contentPricingService.setPricing(req.user.id, contentType, req.params.id, {
+      pricingMode,
+      price,
+      suggestedPrice,
+      tiers
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Pricing updated',
+      pricing
+    });
+  } catch (error) {
+    return handleError(res, error, 'Update pricing');
+  }
+};
+
+/**
+ * Pricing of a video
+ * GET /videos/:id/pricing
+ */
+exports.getVideoPricing = getPricing('video');
+
+/**
+ * Set a video's pricing mode, minimum/suggested price or tiers
+ * PUT /videos/:id/pricing
+ */
+exports.setVideoPricing = setPricing('video');
+
+/**
+ * Pricing of a freebie, with the items each tier unlocks
+ * GET /api/freebies/:id/pricing
+ */
+exports.getFreebiePricing = getPricing('freebie');
+
+/**
+ * Set a freebie's pricing mode, minimum/suggested price or tiers
+ * PUT /api/freebies/:id/pricing
+ */
+exports.setFreebiePricing = setPricing('freebie');
@@ -2,6 +2,7 @@ const CourseService = require('../services/courseService');
 const PaymentRoutingService = require('../services/paymentRoutingService');
 const CourseEnrollmentService = require('../services/courseEnrollmentService');
 const CoursePricingService = require('../services/coursePricingService');  // ✅ NEW
+const CourseRenewalService = require('../services/courseRenewalService');
 const User = require('../models/User');
 
 // Initialize services
@@ -9,6 +10,7 @@ const courseService = new CourseService();
 const paymentRoutingService = new PaymentRoutingService();
 const courseEnrollmentService = new CourseEnrollmentService();
 const coursePricingService = new CoursePricingService();  // ✅ NEW
+const courseRenewalService = new CourseRenewalService();
 
 /**
  * Course Controller
@@ -373,4 +375,69 @@ exports.searchCourses = async (req, res) => {
       message: 'Failed to search courses'
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Get user's monthly/yearly pass subscriptions
+ * GET /api/courses/subscriptions
+ */
+exports.getMySubscriptions = async (req, res) => {
+  try {
+    const subscriptions = await courseRenewalService.getUserSubscriptions(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      subscriptions
+    });
+  } catch (error) {
+    console.error('[Course Controller] Get subscriptions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch your subscriptions'
+    });
+  }
+};
+
+/**
+ * Turn off auto-renewal for a pass
+ * POST /api/courses/subscriptions/:id/cancel
+ */
+exports.cancelSubscription = async (req, res) => {
+  try {
+    const subscription = await courseRenewalService.cancel(req.user.id, req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Auto-renewal cancelled. Your access continues until the end of the current period',
+      subscription
+    });
+  } catch (error) {
+    console.error('[Course Controller] Cancel subscription error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to cancel subscription'
+    });
+  }
+};
+
+/**
+ * Turn auto-renewal back on for a pass
+ * POST /api/courses/subscriptions/:id/resume
+ */
+exports.resumeSubscription = async (req, res) => {
+  try {
+    const subscription = await courseRenewalService.resume(req.user.id, req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Auto-renewal resumed',
+      subscription
+    });
+  } catch (error) {
+    console.error('[Course Controller] Resume subscription error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to resume subscription'
+    });
+  }
+};
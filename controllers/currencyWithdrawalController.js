@@ -248,7 +248,8 @@ exports.processCurrencyWithdrawal = async (req, res) => {
       currency: currency.toUpperCase(),
       bankAccount,
       userId,
-      reference: reference || `withdrawal_${Date.now()}_${userId}`
+      reference: reference || `withdrawal_${Date.now()}_${userId}`,
+      beneficiary: req.beneficiary || null
     };
 
     console.log(`[Currency Withdrawal Controller] Processing withdrawal for user ${userId}`);
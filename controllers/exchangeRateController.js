@@ -0,0 +1,169 @@
+const exchangeRateService = require('../services/exchangeRateService');
+
+/**
+ * Exchange Rate Management Controller
+ *
+ * Provides admin endpoints for exchange rates:
+ * - View current rates and their source
+ * - Rate history per currency
+ * - Manual overrides and locks
+ * - Forced provider refresh
+ */
+
+/**
+ * Get current exchange rates
+ * GET /api/admin/exchange-rates
+ */
+exports.getCurrentRates = async (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      ...exchangeRateService.getCurrentRates(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('[Exchange Rate Controller] Get current rates error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get exchange rates'
+    });
+  }
+};
+
+/**
+ * Get rate history for a currency
+ * GET /api/admin/exchange-rates/:currency/history
+ */
+exports.getRateHistory = async (req, res) => {
+  try {
+    const { currency } = req.params;
+    const { since, until } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const history = await exchangeRateService.getRateHistory(currency.toUpperCase(), {
+      limit,
+      offset,
+      since,
+      until
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...history,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('[Exchange Rate Controller] Get rate history error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to get rate history'
+    });
+  }
+};
+
+/**
+ * Override (and optionally lock) the rate for a currency
+ * POST /api/admin/exchange-rates/override
+ */
+exports.overrideRate = async (req, res) => {
+  try {
+    const { currency, rate, reason, lock } = req.body;
+
+    if (!currency || rate === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Currency and rate are required'
+      });
+    }
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason is required for rate overrides'
+      });
+    }
+
+    const entry = await exchangeRateService.setRate(currency.toUpperCase(), rate, {
+      adminId: req.user.id,
+      reason,
+      lock: lock === true
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `${currency.toUpperCase()} rate set to ${entry.rate}${entry.locked ? ' and locked' : ''}`,
+      rate: entry
+    });
+  } catch (error) {
+    console.error('[Exchange Rate Controller] Override rate error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to override exchange rate'
+    });
+  }
+};
+
+/**
+ * Unlock a currency so provider rates apply again
+ * POST /api/admin/exchange-rates/unlock
+ */
+exports.unlockRate = async (req, res) => {
+  try {
+    const { currency } = req.body;
+
+    if (!currency) {
+      return res.status(400).json({
+        success: false,
+        message: 'Currency is required'
+      });
+    }
+
+    const unlocked = await exchangeRateService.unlockRate(currency.toUpperCase(), {
+      adminId: req.user.id
+    });
+
+    if (!unlocked) {
+      return res.status(404).json({
+        success: false,
+        message: `${currency.toUpperCase()} rate is not locked`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `${currency.toUpperCase()} rate unlocked`,
+      rate: exchangeRateService.getRateEntry(currency.toUpperCase())
+    });
+  } catch (error) {
+    console.error('[Exchange Rate Controller] Unlock rate error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to unlock exchange rate'
+    });
+  }
+};
+
+/**
+ * Fetch fresh rates from the configured provider
+ * POST /api/admin/exchange-rates/refresh
+ */
+exports.refreshRates = async (req, res) => {
+  try {
+    const result = await exchangeRateService.refreshRates({ force: true });
+
+    return res.status(200).json({
+      success: true,
+      message: `Recorded ${result.recorded.length} rates`,
+      ...result,
+      ...exchangeRateService.getCurrentRates()
+    });
+  } catch (error) {
+    console.error('[Exchange Rate Controller] Refresh rates error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to refresh exchange rates'
+    });
+  }
+};
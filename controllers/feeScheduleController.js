@@ -0,0 +1,158 @@
+const feeScheduleService = require('../services/feeScheduleService');
+
+/**
+ * Fee Schedule Controller
+ *
+ * Admin endpoints to manage platform fee schedules (per content type, per
+ * creator, promotional and volume-tiered) and preview what a creator nets.
+ */
+
+/**
+ * List fee schedules (admin)
+ * GET /api/admin/fee-schedules?contentType=video&creatorId=12&isActive=true
+ */
+exports.listSchedules = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const { contentType, creatorId, isActive } = req.query;
+
+    const result = await feeScheduleService.listSchedules({
+      contentType: contentType || null,
+      creatorId: creatorId || null,
+      isActive: isActive === undefined ? null : isActive === 'true',
+      limit,
+      offset
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...result,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('[Fee Schedule Controller] List error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get fee schedules'
+    });
+  }
+};
+
+/**
+ * Get a fee schedule (admin)
+ * GET /api/admin/fee-schedules/:id
+ */
+exports.getSchedule = async (req, res) => {
+  try {
+    const schedule = await feeScheduleService.getSchedule(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      schedule
+    });
+  } catch (error) {
+    console.error('[Fee Schedule Controller] Get error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to get fee schedule'
+    });
+  }
+};
+
+/**
+ * Create a fee schedule (admin)
+ * POST /api/admin/fee-schedules
+ */
+exports.createSchedule = async (req, res) => {
+  try {
+    const schedule = await feeScheduleService.createSchedule(req.body, req.user.id);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Fee schedule created',
+      schedule
+    });
+  } catch (error) {
+    console.error('[Fee Schedule Controller] Create error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to create fee schedule'
+    });
+  }
+};
+
+/**
+ * Update a fee schedule (admin)
+ * PATCH /api/admin/fee-schedules/:id
+ */
+exports.updateSchedule = async (req, res) => {
+  try {
+    const schedule = await feeScheduleService.updateSchedule(req.params.id, req.body);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Fee schedule updated',
+      schedule
+    });
+  } catch (error) {
+    console.error('[Fee Schedule Controller] Update error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update fee schedule'
+    });
+  }
+};
+
+/**
+ * Delete a fee schedule (admin)
+ * DELETE /api/admin/fee-schedules/:id
+ */
+exports.deleteSchedule = async (req, res) => {
+  try {
+    await feeScheduleService.deleteSchedule(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Fee schedule deleted'
+    });
+  } catch (error) {
+    console.error('[Fee Schedule Controller] Delete error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to delete fee schedule'
+    });
+  }
+};
+
+/**
+ * Preview what a creator would net on a sale (admin)
+ * GET /api/admin/fee-schedules/preview?creatorId=12&contentType=video&currency=NGN&amount=5000
+ *
+ * `commission` optionally deducts a coupon partner or referral commission.
+ */
+exports.previewFee = async (req, res) => {
+  try {
+    const { creatorId, contentType, currency, amount, commission } = req.query;
+
+    const preview = await feeScheduleService.previewFee({
+      creatorId,
+      contentType,
+      currency,
+      amount,
+      commission
+    });
+
+    return res.status(200).json({
+      success: true,
+      preview
+    });
+  } catch (error) {
+    console.error('[Fee Schedule Controller] Preview error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to preview fee'
+    });
+  }
+};
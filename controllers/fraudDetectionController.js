@@ -1,7 +1,4 @@
-const FraudDetectionService = require('../services/fraudDetectionService');
-
-// Create singleton instance
-const fraudDetectionService = new FraudDetectionService();
+const fraudDetectionService = require('../services/fraudDetectionService');
 
 /**
  * Fraud Detection Management Controller
@@ -18,7 +15,7 @@ const fraudDetectionService = new FraudDetectionService();
  */
 exports.getFraudDetectionStats = async (req, res) => {
   try {
-    const stats = fraudDetectionService.getStatistics();
+    const stats = await fraudDetectionService.getStatistics();
     
     return res.status(200).json({
       success: true,
@@ -49,7 +46,7 @@ exports.getUserRiskProfile = async (req, res) => {
       });
     }
     
-    const riskProfile = fraudDetectionService.getUserRiskProfile(parseInt(userId));
+    const riskProfile = await fraudDetectionService.getUserRiskProfile(parseInt(userId));
     
     return res.status(200).json({
       success: true,
@@ -81,7 +78,7 @@ exports.unblockUserFromFraudDetection = async (req, res) => {
       });
     }
     
-    fraudDetectionService.unblockUser(parseInt(userId));
+    await fraudDetectionService.unblockUser(parseInt(userId), req.user.id);
     
     return res.status(200).json({
       success: true,
@@ -140,11 +137,9 @@ exports.analyzeTransaction = async (req, res) => {
  */
 exports.getFraudDetectionConfig = async (req, res) => {
   try {
-    const stats = fraudDetectionService.getStatistics();
-    
     return res.status(200).json({
       success: true,
-      config: stats.config,
+      config: fraudDetectionService.config,
       description: {
         velocityThresholds: 'Maximum transaction counts and amounts per hour',
         behaviorWindows: 'Time windows for behavioral analysis',
@@ -170,9 +165,10 @@ exports.getSuspiciousActivities = async (req, res) => {
   try {
     const { limit = 50, userId } = req.query;
     
-    // This would typically query a database in production
-    // For now, return a placeholder response
-    const activities = [];
+    const activities = await fraudDetectionService.getSuspiciousActivities({
+      limit: Math.min(parseInt(limit) || 50, 200),
+      userId: userId ? parseInt(userId) : undefined
+    });
     
     return res.status(200).json({
       success: true,
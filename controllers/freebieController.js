@@ -3,6 +3,7 @@ const sequelize = require('../config/db');
 const { Freebie, FreebieItem, FreebieDownload, FreebieAccess } = require('../models/freebieIndex');
 const User = require('../models/User');
 const { uploadFileToS3, deleteFileFromS3, getSignedUrl, s3 } = require('../services/s3Service');
+const contentPricingService = require('../services/contentPricingService');
 const { sendFreebieNewContentEmail } = require('../utils/email');
 
 const ALLOWED_MIME_TYPES = [
@@ -259,14 +260,18 @@ exports.getFreebieById = async (req, res) => {
 
     if (!freebie) return res.status(404).json({ success: false, message: 'Freebie not found' });
 
-    // Check if the authenticated user has already purchased this freebie
+    // Check if the authenticated user has already purchased this freebie, and which tier
     let purchased = false;
+    let purchasedTierId = null;
     const userId = req.user?.id;
     if (userId && parseFloat(freebie.price) > 0) {
       const access = await FreebieAccess.findOne({ where: { userId, freebieId: freebie.id } });
       purchased = !!access;
+      purchasedTierId = access ? access.pricingTierId : null;
     }
 
+    const pricing = await contentPricingService.describe('freebie', freebie);
+
     return res.status(200).json({
       success: true,
       freebie: {
@@ -278,10 +283,14 @@ exports.getFreebieById = async (req, res) => {
         downloadCount: freebie.downloadCount,
         price: parseFloat(freebie.price),
         currency: freebie.currency,
+        pricingMode: pricing.pricingMode,
+        suggestedPrice: pricing.suggestedPrice,
+        tiers: pricing.tiers,
         creatorName: `${freebie.creator.firstname} ${freebie.creator.lastname}`,
         creatorId: freebie.creator.id,
         createdAt: freebie.createdAt,
         purchased,
+        purchasedTierId,
         items: freebie.items
       }
     });
@@ -326,6 +335,16 @@ exports.downloadItem = async (req, res) => {
           currency: freebie.currency
         });
       }
+
+      // Tiered freebies: the tier bought must include this item
+      if (!(await contentPricingService.canAccessItem(freebie, item, access))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Your tier does not include this item',
+          freebieId: freebie.id,
+          pricingTierId: access.pricingTierId
+        });
+      }
     }
     // ── End Gate ─────────────────────────────────────────────────────────────
 
@@ -584,6 +603,11 @@ exports.updateFreebiePrice = async (req, res) => {
       return res.status(403).json({ success: false, message: 'You can only update your own freebies' });
     }
 
+    // Tier prices are set with PUT /api/freebies/:id/pricing
+    if (freebie.pricingMode === 'tiered') {
+      return res.status(400).json({ success: false, message: 'This freebie has tiered pricing; update its tiers instead' });
+    }
+
     // Validate price
     if (price === undefined || parseFloat(price) < 0 || isNaN(parseFloat(price))) {
       return res.status(400).json({ success: false, message: 'price must be a non-negative number' });
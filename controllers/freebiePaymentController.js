@@ -15,7 +15,7 @@ exports.initiatePurchase = async (req, res) => {
   try {
     const freebieId = req.params.id;
     const userId = req.user.id;
-    const { currency, couponCode } = req.body;
+    const { currency, couponCode, tierId, amount } = req.body;
 
     if (!currency) {
       return res.status(400).json({
@@ -36,7 +36,9 @@ exports.initiatePurchase = async (req, res) => {
       userId,
       userEmail: user.email,
       currency: currency.toUpperCase(),
-      couponCode
+      couponCode,
+      tierId: tierId || null,
+      amount: amount === undefined ? null : amount
     });
 
     return res.status(200).json(result);
@@ -0,0 +1,105 @@
+const giftService = require('../services/giftService');
+
+/**
+ * Gift Controller
+ *
+ * Gifts are bought through POST /api/payments/initialize with a
+ * `recipientEmail`. These endpoints let the recipient preview and redeem
+ * the code, and the payer list or refund unredeemed gifts.
+ */
+
+const handleError = (res, error, action) => {
+  console.error(`[Gift Controller] ${action} error:`, error);
+  return res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : `Failed to ${action.toLowerCase()}`
+  });
+};
+
+/**
+ * Gifts the user has sent
+ * GET /api/gifts/sent?status=active
+ */
+exports.getSentGifts = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const result = await giftService.getSentGifts(req.user.id, {
+      status: req.query.status || null,
+      limit,
+      offset
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...result,
+      limit,
+      offset
+    });
+  } catch (error) {
+    return handleError(res, error, 'Get gifts');
+  }
+};
+
+/**
+ * Preview what a gift code unlocks
+ * GET /api/gifts/code/:code
+ */
+exports.previewGift = async (req, res) => {
+  try {
+    const gift = await giftService.previewGift(req.params.code);
+
+    return res.status(200).json({
+      success: true,
+      gift
+    });
+  } catch (error) {
+    return handleError(res, error, 'Get gift');
+  }
+};
+
+/**
+ * Redeem a gift code
+ * POST /api/gifts/redeem
+ */
+exports.redeemGift = async (req, res) => {
+  try {
+    const { code, studentName, studentEmail, studentPhone } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'code is required'
+      });
+    }
+
+    const result = await giftService.redeemGift(req.user.id, code, { studentName, studentEmail, studentPhone });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Gift redeemed',
+      ...result
+    });
+  } catch (error) {
+    return handleError(res, error, 'Redeem gift');
+  }
+};
+
+/**
+ * Refund an unredeemed gift
+ * POST /api/gifts/:id/refund
+ */
+exports.refundGift = async (req, res) => {
+  try {
+    const gift = await giftService.refundGift(req.user.id, req.params.id, req.body.reason || null);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Gift refunded',
+      gift
+    });
+  } catch (error) {
+    return handleError(res, error, 'Refund gift');
+  }
+};
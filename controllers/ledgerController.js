@@ -0,0 +1,89 @@
+const ledgerService = require('../services/ledgerService');
+
+/**
+ * Ledger Controller
+ *
+ * Admin endpoints for the double-entry ledger: wallet reconciliation,
+ * platform account balances and journal lookup.
+ */
+
+/**
+ * Recompute wallets from the journal and report discrepancies (admin)
+ * GET /api/admin/ledger/reconciliation
+ */
+exports.reconcileWallets = async (req, res) => {
+  try {
+    const report = await ledgerService.reconcileWallets({
+      currency: req.query.currency || null,
+      userId: req.query.userId ? parseInt(req.query.userId) : null,
+      includeBalanced: req.query.includeBalanced === 'true'
+    });
+
+    return res.status(200).json({
+      success: true,
+      balanced: report.discrepancyCount === 0 && report.unbalancedJournals.length === 0,
+      report
+    });
+  } catch (error) {
+    console.error('[Ledger Controller] Reconciliation error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile wallets'
+    });
+  }
+};
+
+/**
+ * Platform account balances (admin)
+ * GET /api/admin/ledger/accounts
+ */
+exports.getAccountBalances = async (req, res) => {
+  try {
+    const accounts = await ledgerService.getAccountBalances({
+      currency: req.query.currency || null
+    });
+
+    return res.status(200).json({
+      success: true,
+      accounts
+    });
+  } catch (error) {
+    console.error('[Ledger Controller] Get accounts error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get ledger accounts'
+    });
+  }
+};
+
+/**
+ * List journals with their entries (admin)
+ * GET /api/admin/ledger/journals
+ */
+exports.getJournals = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const result = await ledgerService.getJournals({
+      reference: req.query.reference || null,
+      userId: req.query.userId ? parseInt(req.query.userId) : null,
+      entryType: req.query.entryType || null,
+      limit,
+      offset
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...result,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('[Ledger Controller] Get journals error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get ledger journals'
+    });
+  }
+};
@@ -1,5 +1,6 @@
 const { LiveSeries, LiveSession } = require('../models/liveSeriesIndex');
 const liveSeriesService = require('../services/liveSeriesService');
+const playbackPositionService = require('../services/playbackPositionService');
 const { zegoCloudService } = require('../services/zegoCloudService');
 const User = require('../models/User');
 
@@ -319,13 +320,19 @@ exports.getSessionById = async (req, res) => {
       }
     }
     
+    // Resume point in the recording
+    const playbackPosition = hasAccess && req.user
+      ? await playbackPositionService.getPosition(req.user.id, 'live_session', session.id)
+      : null;
+    
     return res.json({
       success: true,
       session: {
         ...session.dataValues,
         hasAccess,
         accessReason,
-        requiresPayment: !hasAccess && price > 0
+        requiresPayment: !hasAccess && price > 0,
+        playbackPosition
       }
     });
     
@@ -395,4 +402,35 @@ exports.getUpcomingSessions = async (req, res) => {
   }
 };
 
+/**
+ * Save the playback position in a session recording
+ * PUT /api/live/series/session/:id/position
+ * Body: { position, duration } - seconds; duration as reported by the player
+ */
+exports.savePlaybackPosition = async (req, res) => {
+  try {
+    const { position, duration } = req.body;
+    
+    const playbackPosition = await playbackPositionService.savePosition({
+      userId: req.user.id,
+      contentType: 'live_session',
+      contentId: req.params.id,
+      position,
+      duration
+    });
+    
+    return res.json({
+      success: true,
+      playbackPosition
+    });
+    
+  } catch (error) {
+    console.error('[Live Session Controller] Save playback position error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to save playback position'
+    });
+  }
+};
+
 module.exports = exports;
@@ -1,7 +1,4 @@
-const ManualReviewService = require('../services/manualReviewService');
-
-// Create singleton instance
-const manualReviewService = new ManualReviewService();
+const manualReviewService = require('../services/manualReviewService');
 
 /**
  * Manual Review Controller
@@ -30,7 +27,7 @@ exports.getReviewQueue = async (req, res) => {
     }
 
     const filters = { priority, type, status };
-    const queue = manualReviewService.getReviewerQueue(reviewerId, filters);
+    const queue = await manualReviewService.getReviewerQueue(reviewerId, filters);
 
     return res.status(200).json({
       success: true,
@@ -63,7 +60,7 @@ exports.getReviewItem = async (req, res) => {
       });
     }
 
-    const reviewItem = manualReviewService.getReviewItem(reviewId);
+    const reviewItem = await manualReviewService.getReviewItem(reviewId);
 
     if (!reviewItem) {
       return res.status(404).json({
@@ -168,6 +165,7 @@ exports.addToQueue = async (req, res) => {
   try {
     const {
       transactionId,
+      payoutId,
       userId,
       type,
       priority = 'medium',
@@ -176,15 +174,16 @@ exports.addToQueue = async (req, res) => {
       flaggedBy = 'manual'
     } = req.body;
 
-    if (!transactionId || !type) {
+    if ((!transactionId && !payoutId) || !type || !userId) {
       return res.status(400).json({
         success: false,
-        message: 'Transaction ID and type are required'
+        message: 'User ID, type and a transaction or payout ID are required'
       });
     }
 
     const reviewItem = {
       transactionId,
+      payoutId,
       userId,
       type,
       priority,
@@ -222,7 +221,7 @@ exports.getReviewStats = async (req, res) => {
       reviewerId: reviewerId ? parseInt(reviewerId) : undefined
     };
 
-    const stats = manualReviewService.getReviewStatistics(filters);
+    const stats = await manualReviewService.getReviewStatistics(filters);
 
     return res.status(200).json({
       success: true,
@@ -245,7 +244,7 @@ exports.getReviewStats = async (req, res) => {
  */
 exports.getServiceStats = async (req, res) => {
   try {
-    const stats = manualReviewService.getServiceStatistics();
+    const stats = await manualReviewService.getServiceStatistics();
 
     return res.status(200).json({
       success: true,
@@ -276,13 +275,17 @@ exports.getReviewerWorkload = async (req, res) => {
       });
     }
 
-    const workload = manualReviewService.getReviewerWorkload(parseInt(reviewerId));
-    const queue = manualReviewService.getReviewerQueue(parseInt(reviewerId));
+    const [workload, queue, reviewerStats] = await Promise.all([
+      manualReviewService.getReviewerWorkload(parseInt(reviewerId)),
+      manualReviewService.getReviewerQueue(parseInt(reviewerId)),
+      manualReviewService.getReviewerStats(parseInt(reviewerId))
+    ]);
 
     return res.status(200).json({
       success: true,
       reviewerId: parseInt(reviewerId),
       workload,
+      reviewerStats,
       activeReviews: queue.length,
       queue: queue.slice(0, 10) // Return first 10 items
     });
@@ -301,16 +304,16 @@ exports.getReviewerWorkload = async (req, res) => {
  */
 exports.getReviewConfig = async (req, res) => {
   try {
-    const stats = manualReviewService.getServiceStatistics();
+    const { config } = manualReviewService;
 
     return res.status(200).json({
       success: true,
       config: {
-        priorities: stats.config.priorities,
-        statuses: stats.config.statuses,
-        types: stats.config.types,
-        slaMinutes: stats.config.slaMinutes,
-        escalation: stats.config.escalation
+        priorities: config.priorities,
+        statuses: config.statuses,
+        types: config.types,
+        slaMinutes: config.slaMinutes,
+        escalation: config.escalation
       }
     });
   } catch (error) {
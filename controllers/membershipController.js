@@ -0,0 +1,166 @@
+const membershipService = require('../services/membershipService');
+const User = require('../models/User');
+
+/**
+ * Membership Controller
+ *
+ * Creator membership plans and subscriber memberships:
+ * - Creators create and manage monthly/yearly plans
+ * - Users subscribe, list and cancel their memberships
+ *
+ * Billing events arrive through the Paystack and Stripe webhooks.
+ */
+
+const handleError = (res, error, action) => {
+  console.error(`[Membership Controller] ${action} error:`, error);
+  return res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : `Failed to ${action.toLowerCase()}`
+  });
+};
+
+/**
+ * Create a membership plan
+ * POST /api/memberships/plans
+ */
+exports.createPlan = async (req, res) => {
+  try {
+    const { name, description, interval, price, currency, accessScope, contentTags } = req.body;
+
+    if (!name || !interval || price === undefined || !currency) {
+      return res.status(400).json({
+        success: false,
+        message: 'name, interval, price and currency are required'
+      });
+    }
+
+    const plan = await membershipService.createPlan(req.user.id, {
+      name,
+      description,
+      interval,
+      price,
+      currency,
+      accessScope,
+      contentTags
+    });
+
+    return res.status(201).json({
+      success: true,
+      plan
+    });
+  } catch (error) {
+    return handleError(res, error, 'Create plan');
+  }
+};
+
+/**
+ * Update a membership plan
+ * PATCH /api/memberships/plans/:id
+ */
+exports.updatePlan = async (req, res) => {
+  try {
+    const plan = await membershipService.updatePlan(req.user.id, req.params.id, req.body);
+
+    return res.status(200).json({
+      success: true,
+      plan
+    });
+  } catch (error) {
+    return handleError(res, error, 'Update plan');
+  }
+};
+
+/**
+ * Get the current creator's plans (including inactive)
+ * GET /api/memberships/plans/mine
+ */
+exports.getMyPlans = async (req, res) => {
+  try {
+    const plans = await membershipService.getCreatorPlans(req.user.id, { includeInactive: true });
+
+    return res.status(200).json({
+      success: true,
+      plans
+    });
+  } catch (error) {
+    return handleError(res, error, 'Fetch plans');
+  }
+};
+
+/**
+ * Get a creator's active plans
+ * GET /api/memberships/plans/creator/:creatorId
+ */
+exports.getCreatorPlans = async (req, res) => {
+  try {
+    const plans = await membershipService.getCreatorPlans(parseInt(req.params.creatorId));
+
+    return res.status(200).json({
+      success: true,
+      plans
+    });
+  } catch (error) {
+    return handleError(res, error, 'Fetch plans');
+  }
+};
+
+/**
+ * Subscribe to a plan
+ * POST /api/memberships/plans/:id/subscribe
+ */
+exports.subscribe = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const checkout = await membershipService.subscribe(user.id, user.email, req.params.id);
+
+    return res.status(201).json({
+      success: true,
+      ...checkout
+    });
+  } catch (error) {
+    return handleError(res, error, 'Start subscription');
+  }
+};
+
+/**
+ * Get the current user's memberships
+ * GET /api/memberships/mine
+ */
+exports.getMyMemberships = async (req, res) => {
+  try {
+    const memberships = await membershipService.getUserMemberships(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      memberships
+    });
+  } catch (error) {
+    return handleError(res, error, 'Fetch memberships');
+  }
+};
+
+/**
+ * Cancel a membership at the end of the paid period
+ * POST /api/memberships/:id/cancel
+ */
+exports.cancel = async (req, res) => {
+  try {
+    const membership = await membershipService.cancel(req.user.id, req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Membership cancelled. Access continues until the end of the current period',
+      membership
+    });
+  } catch (error) {
+    return handleError(res, error, 'Cancel membership');
+  }
+};
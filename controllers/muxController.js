@@ -1,6 +1,9 @@
 const Mux = require("@mux/mux-node");
 const Video = require("../models/Video");
 const LiveClass = require("../models/liveClass");
+const muxPlaybackService = require("../services/muxPlaybackService");
+const { completeSourceReplacement } = require("../services/videoService");
+const { updateTrackStatus } = require("../services/videoCaptionService");
 
 const endpointSecret = process.env.MUX_WEBHOOK_SECRET;
 
@@ -41,22 +44,48 @@ exports.handleMuxWebhook = async (req, res) => {
 
   try {
     // ---------------- VIDEO ASSET EVENTS ----------------
-    if (type === "video.asset.ready" && data.upload_id && !data.live_stream_id) {
-      const playbackId = data.playback_ids?.[0]?.id || null;
+    // A replacement source file keeps the video's ID; swap the asset in place
+    const replacing = (type === "video.asset.ready" || type === "video.asset.errored") && data.upload_id && !data.live_stream_id
+      ? await Video.findOne({ where: { muxReplacementUploadId: data.upload_id } })
+      : null;
+
+    if (replacing && type === "video.asset.ready") {
+      await completeSourceReplacement(replacing, data);
+      console.log(`[Webhook] Video ${replacing.id} source replaced with asset ${data.id}`);
+    }
+
+    if (replacing && type === "video.asset.errored") {
+      await replacing.update({ muxReplacementUploadId: null, replacementStatus: "failed" });
+      console.log(`[Webhook] Replacement source for video ${replacing.id} failed; keeping the current asset`);
+    }
+
+    if (!replacing && type === "video.asset.ready" && data.upload_id && !data.live_stream_id) {
+      const playback = data.playback_ids?.[0] || null;
 
       await Video.update(
         {
           status: "ready",
           muxAssetId: data.id,
-          muxPlaybackId: playbackId,
+          muxPlaybackId: playback?.id || null,
+          muxPlaybackPolicy: playback?.policy === "signed" ? "signed" : "public",
           durationSeconds: Math.floor(data.duration || 0),
         },
         { where: { muxUploadId: data.upload_id } }
       );
       console.log(`[Webhook] Video asset ${data.id} marked as ready`);
+
+      // Price or privacy may have changed since the upload was created
+      const video = await Video.findOne({ where: { muxUploadId: data.upload_id } });
+      if (video) {
+        try {
+          await muxPlaybackService.syncPolicy(video);
+        } catch (syncError) {
+          console.error(`[Webhook] Failed to sync playback policy for video ${video.id}:`, syncError.message);
+        }
+      }
     }
 
-    if (type === "video.asset.errored" && data.upload_id && !data.live_stream_id) {
+    if (!replacing && type === "video.asset.errored" && data.upload_id && !data.live_stream_id) {
       await Video.update(
         { status: "failed" },
         { where: { muxUploadId: data.upload_id } }
@@ -64,6 +93,15 @@ exports.handleMuxWebhook = async (req, res) => {
       console.log(`[Webhook] Video asset marked as failed`);
     }
 
+    // ---------------- CAPTION TRACK EVENTS ----------------
+    if (type === "video.asset.track.ready" || type === "video.asset.track.errored") {
+      const status = type === "video.asset.track.ready" ? "ready" : "errored";
+      const caption = await updateTrackStatus(data.id, status);
+      if (caption) {
+        console.log(`[Webhook] ${caption.languageCode} captions for video ${caption.videoId} are ${status}`);
+      }
+    }
+
     // ---------------- LIVE STREAM EVENTS ----------------
     if (data.live_stream_id) {
       if (type === "video.live_stream.active") {
@@ -0,0 +1,227 @@
+const orderService = require('../services/orderService');
+const User = require('../models/User');
+
+/**
+ * Order Controller
+ *
+ * Cart and multi-item checkout:
+ * - Users add videos, live classes, live series and freebies to a cart,
+ *   optionally with a coupon per item
+ * - Checkout opens one Paystack/Stripe payment for the whole cart, less
+ *   any `walletAmount` paid from the buyer's wallet
+ * - Orders are fulfilled from the webhooks or the verify endpoint
+ */
+
+const handleError = (res, error, action) => {
+  console.error(`[Order Controller] ${action} error:`, error);
+  return res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : `Failed to ${action.toLowerCase()}`
+  });
+};
+
+/**
+ * Get the cart, priced in one currency
+ * GET /api/orders/cart?currency=USD
+ */
+exports.getCart = async (req, res) => {
+  try {
+    const cart = await orderService.getCart(req.user.id, { currency: req.query.currency || null });
+
+    return res.status(200).json({
+      success: true,
+      cart
+    });
+  } catch (error) {
+    return handleError(res, error, 'Get cart');
+  }
+};
+
+/**
+ * Add an item to the cart
+ * POST /api/orders/cart/items
+ */
+exports.addItem = async (req, res) => {
+  try {
+    const { contentType, contentId, couponCode, tierId, amount } = req.body;
+
+    if (!contentType || !contentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: contentType, contentId'
+      });
+    }
+
+    const item = await orderService.addItem(req.user.id, {
+      contentType,
+      contentId,
+      couponCode,
+      tierId: tierId || null,
+      amount: amount === undefined ? null : amount
+    });
+
+    return res.status(201).json({
+      success: true,
+      item
+    });
+  } catch (error) {
+    return handleError(res, error, 'Add cart item');
+  }
+};
+
+/**
+ * Set or clear the coupon on a cart item
+ * PATCH /api/orders/cart/items/:id
+ */
+exports.updateItem = async (req, res) => {
+  try {
+    const item = await orderService.updateItem(req.user.id, req.params.id, { couponCode: req.body.couponCode });
+
+    return res.status(200).json({
+      success: true,
+      item
+    });
+  } catch (error) {
+    return handleError(res, error, 'Update cart item');
+  }
+};
+
+/**
+ * Remove an item from the cart
+ * DELETE /api/orders/cart/items/:id
+ */
+exports.removeItem = async (req, res) => {
+  try {
+    await orderService.removeItem(req.user.id, req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Item removed from cart'
+    });
+  } catch (error) {
+    return handleError(res, error, 'Remove cart item');
+  }
+};
+
+/**
+ * Empty the cart
+ * DELETE /api/orders/cart
+ */
+exports.clearCart = async (req, res) => {
+  try {
+    const result = await orderService.clearCart(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    return handleError(res, error, 'Clear cart');
+  }
+};
+
+/**
+ * Check out the cart with a single payment
+ * POST /api/orders/checkout
+ */
+exports.checkout = async (req, res) => {
+  try {
+    const idempotencyKey = req.headers['idempotency-key'];
+
+    if (!idempotencyKey) {
+      return res.status(400).json({
+        success: false,
+        message: 'Idempotency-Key header is required'
+      });
+    }
+
+    const user = await User.findByPk(req.user.id, { attributes: ['id', 'email'] });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const result = await orderService.checkout({
+      userId: user.id,
+      userEmail: user.email,
+      currency: req.body.currency || null,
+      walletAmount: req.body.walletAmount === undefined ? null : req.body.walletAmount,
+      idempotencyKey
+    });
+
+    return res.status(result.cached ? 200 : 201).json({
+      success: true,
+      message: result.payment ? 'Checkout initialized' : 'Order completed',
+      cached: result.cached || false,
+      freeAccess: result.freeAccess,
+      order: result.order,
+      payment: result.payment
+    });
+  } catch (error) {
+    return handleError(res, error, 'Check out');
+  }
+};
+
+/**
+ * Verify an order's payment and fulfil it
+ * POST /api/orders/:id/verify
+ */
+exports.verifyOrder = async (req, res) => {
+  try {
+    const result = await orderService.verifyOrder(req.user.id, req.params.id);
+
+    return res.status(200).json({
+      success: result.order.status === 'paid',
+      message: result.order.status === 'paid' ? 'Order paid' : `Order ${result.order.status}`,
+      alreadyProcessed: result.alreadyProcessed,
+      order: result.order
+    });
+  } catch (error) {
+    return handleError(res, error, 'Verify order');
+  }
+};
+
+/**
+ * List the user's orders
+ * GET /api/orders?status=paid
+ */
+exports.getOrders = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const result = await orderService.getOrders(req.user.id, {
+      status: req.query.status || null,
+      limit,
+      offset
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...result,
+      limit,
+      offset
+    });
+  } catch (error) {
+    return handleError(res, error, 'Get orders');
+  }
+};
+
+/**
+ * Get one of the user's orders
+ * GET /api/orders/:id
+ */
+exports.getOrder = async (req, res) => {
+  try {
+    const order = await orderService.getOrder(req.user.id, req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      order
+    });
+  } catch (error) {
+    return handleError(res, error, 'Get order');
+  }
+};
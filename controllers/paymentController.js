@@ -1,4 +1,6 @@
 const PaymentRoutingService = require('../services/paymentRoutingService');
+const giftService = require('../services/giftService');
+const orderService = require('../services/orderService');
 const Purchase = require('../models/Purchase');
 const Video = require('../models/Video');
 const LiveClass = require('../models/liveClass');
@@ -14,7 +16,7 @@ const paymentRoutingService = new PaymentRoutingService();
  */
 exports.initializeCheckout = async (req, res) => {
   try {
-    const { contentType, contentId, currency: forceCurrency, couponCode, referralCode } = req.body;
+    const { contentType, contentId, currency: forceCurrency, couponCode, referralCode, tierId, amount, recipientEmail, recipientName, giftMessage } = req.body;
     const userId = req.user.id;
     const idempotencyKey = req.headers['idempotency-key'];
 
@@ -26,7 +28,8 @@ exports.initializeCheckout = async (req, res) => {
       });
     }
 
-    if (!['video', 'live_class', 'live_series', 'freebie'].includes(contentType)) {
+    // Gift content types are checked by the gift service
+    if (!recipientEmail && !['video', 'live_class', 'live_series', 'freebie'].includes(contentType)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid content type. Must be "video", "live_class", "live_series", or "freebie"'
@@ -49,6 +52,30 @@ exports.initializeCheckout = async (req, res) => {
       });
     }
 
+    // ── GIFT: pay for someone else; they get a redeemable code instead of the payer getting a purchase ──
+    if (recipientEmail) {
+      const giftResult = await giftService.initializeGift({
+        userId,
+        userEmail: user.email,
+        contentType,
+        contentId,
+        recipient: { email: recipientEmail, name: recipientName, message: giftMessage },
+        idempotencyKey,
+        forceCurrency,
+        couponCode
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: giftResult.cached ? 'Gift payment already initialized (cached)' : 'Gift payment initialized successfully',
+        currency: giftResult.currency,
+        gateway: giftResult.gateway,
+        cached: giftResult.cached || false,
+        gift: giftResult.gift,
+        data: giftResult.data
+      });
+    }
+
     // Initialize payment with automatic routing
     const result = await paymentRoutingService.initializePayment({
       userId,
@@ -59,6 +86,8 @@ exports.initializeCheckout = async (req, res) => {
       forceCurrency,
       couponCode,
       referralCode,
+      tierId: tierId || null,
+      chosenAmount: amount === undefined ? null : amount,
       metadata: req.body.communityId ? { communityId: req.body.communityId } : {}
     });
 
@@ -76,6 +105,13 @@ exports.initializeCheckout = async (req, res) => {
     });
   } catch (error) {
     console.error('Initialize checkout error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     
     // Handle specific business logic errors with appropriate status codes
     if (error.message.includes('already purchased')) {
@@ -112,6 +148,77 @@ exports.initializeCheckout = async (req, res) => {
   }
 };
 
+/**
+ * Pay for content from the wallet, or split wallet + card
+ * POST /api/payments/wallet
+ *
+ * Body: contentType, contentId, currency (wallet to use), couponCode,
+ * walletAmount (optional; less than the price returns a card checkout
+ * for the rest), tierId / amount for tiered or pay-what-you-want content.
+ * Idempotency is enforced by idempotencyMiddleware.
+ */
+exports.payWithWallet = async (req, res) => {
+  try {
+    const { contentType, contentId, currency, couponCode, walletAmount, tierId, amount } = req.body;
+
+    if (!contentType || !contentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: contentType, contentId'
+      });
+    }
+
+    const user = await User.findByPk(req.user.id, { attributes: ['id', 'email'] });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const result = await orderService.payWithWallet({
+      userId: user.id,
+      userEmail: user.email,
+      contentType,
+      contentId,
+      currency: currency || null,
+      couponCode: couponCode || null,
+      walletAmount: walletAmount === undefined ? null : walletAmount,
+      tierId: tierId || null,
+      chosenAmount: amount === undefined ? null : amount
+    });
+
+    const response = {
+      success: true,
+      message: result.payment
+        ? 'Wallet funds held; complete the card payment for the rest'
+        : 'Payment completed from wallet',
+      order: result.order,
+      payment: result.payment,
+      timestamp: new Date().toISOString()
+    };
+
+    if (req.idempotency) {
+      await req.idempotency.storeResult(response);
+    }
+
+    return res.status(201).json(response);
+  } catch (error) {
+    console.error('Wallet payment error:', error);
+
+    if (req.idempotency) {
+      await req.idempotency.markFailed(error).catch(cacheError => {
+        console.error('Failed to record wallet payment failure:', cacheError);
+      });
+    }
+
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to pay from wallet'
+    });
+  }
+};
+
 /**
  * Verify payment with automatic gateway detection
  * GET/POST /api/payments/verify/:reference
@@ -0,0 +1,172 @@
+const payoutBeneficiaryService = require('../services/payoutBeneficiaryService');
+
+/**
+ * Payout Beneficiary Controller
+ *
+ * Saved bank accounts for withdrawals. New accounts are confirmed with an
+ * emailed code and can receive withdrawals once the cooldown has passed.
+ */
+
+/**
+ * List saved bank accounts
+ * GET /api/wallet/beneficiaries
+ */
+exports.getBeneficiaries = async (req, res) => {
+  try {
+    const beneficiaries = await payoutBeneficiaryService.getBeneficiaries(req.user.id, {
+      currency: req.query.currency
+    });
+
+    return res.status(200).json({
+      success: true,
+      beneficiaries,
+      cooldownHours: payoutBeneficiaryService.config.cooldownHours
+    });
+  } catch (error) {
+    console.error('[Payout Beneficiary Controller] Get beneficiaries error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get saved bank accounts'
+    });
+  }
+};
+
+/**
+ * Save a bank account and send a confirmation code
+ * POST /api/wallet/beneficiaries
+ */
+exports.addBeneficiary = async (req, res) => {
+  try {
+    const { currency, nickname, bankCode, bankName, accountNumber, accountName, routingNumber, country } = req.body;
+
+    if (!currency || !accountNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'currency and accountNumber are required'
+      });
+    }
+
+    const { beneficiary, confirmation } = await payoutBeneficiaryService.addBeneficiary(req.user.id, {
+      currency,
+      nickname,
+      bankCode,
+      bankName,
+      accountNumber,
+      accountName,
+      routingNumber,
+      country
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: confirmation.message,
+      beneficiary,
+      expiresIn: confirmation.expiresIn,
+      nextStep: 'confirm_beneficiary'
+    });
+  } catch (error) {
+    console.error('[Payout Beneficiary Controller] Add beneficiary error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to save bank account'
+    });
+  }
+};
+
+/**
+ * Confirm a saved bank account with the emailed code
+ * POST /api/wallet/beneficiaries/:id/confirm
+ */
+exports.confirmBeneficiary = async (req, res) => {
+  try {
+    const { otp } = req.body;
+
+    if (!otp) {
+      return res.status(400).json({
+        success: false,
+        message: 'otp is required'
+      });
+    }
+
+    const beneficiary = await payoutBeneficiaryService.confirmBeneficiary(req.user.id, req.params.id, otp);
+
+    return res.status(200).json({
+      success: true,
+      message: `Bank account confirmed. Withdrawals to it are available from ${beneficiary.cooldownEndsAt.toISOString()}`,
+      beneficiary
+    });
+  } catch (error) {
+    console.error('[Payout Beneficiary Controller] Confirm beneficiary error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to confirm bank account',
+      ...(error.type && { error: error.type })
+    });
+  }
+};
+
+/**
+ * Send a new confirmation code
+ * POST /api/wallet/beneficiaries/:id/resend-otp
+ */
+exports.resendConfirmation = async (req, res) => {
+  try {
+    const confirmation = await payoutBeneficiaryService.resendConfirmation(req.user.id, req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: confirmation.message,
+      expiresIn: confirmation.expiresIn
+    });
+  } catch (error) {
+    console.error('[Payout Beneficiary Controller] Resend confirmation error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to resend confirmation code'
+    });
+  }
+};
+
+/**
+ * Rename a saved bank account
+ * PATCH /api/wallet/beneficiaries/:id
+ */
+exports.updateBeneficiary = async (req, res) => {
+  try {
+    const beneficiary = await payoutBeneficiaryService.updateBeneficiary(req.user.id, req.params.id, {
+      nickname: req.body.nickname
+    });
+
+    return res.status(200).json({
+      success: true,
+      beneficiary
+    });
+  } catch (error) {
+    console.error('[Payout Beneficiary Controller] Update beneficiary error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update bank account'
+    });
+  }
+};
+
+/**
+ * Remove a saved bank account
+ * DELETE /api/wallet/beneficiaries/:id
+ */
+exports.removeBeneficiary = async (req, res) => {
+  try {
+    await payoutBeneficiaryService.removeBeneficiary(req.user.id, req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Bank account removed'
+    });
+  } catch (error) {
+    console.error('[Payout Beneficiary Controller] Remove beneficiary error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to remove bank account'
+    });
+  }
+};
@@ -0,0 +1,221 @@
+const scheduledPayoutService = require('../services/scheduledPayoutService');
+
+/**
+ * Scheduled Payout Controller
+ *
+ * Creator endpoints for automatic weekly/monthly payouts and admin
+ * endpoints for account verification and payout batch reports.
+ */
+
+/**
+ * Get the creator's payout schedules
+ * GET /api/wallet/payout-schedules
+ */
+exports.getMySchedules = async (req, res) => {
+  try {
+    const schedules = await scheduledPayoutService.getSchedules(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      schedules,
+      minimumAmounts: scheduledPayoutService.config.minimumAmounts
+    });
+  } catch (error) {
+    console.error('[Scheduled Payout Controller] Get schedules error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get payout schedules'
+    });
+  }
+};
+
+/**
+ * Create or update the payout schedule for a currency
+ * PUT /api/wallet/payout-schedules
+ */
+exports.saveSchedule = async (req, res) => {
+  try {
+    const { currency, frequency, minimumAmount, bankCode, bankName, accountNumber, accountName } = req.body;
+
+    if (!currency || !frequency || !accountNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'currency, frequency and accountNumber are required'
+      });
+    }
+
+    const schedule = await scheduledPayoutService.saveSchedule(req.user.id, {
+      currency,
+      frequency,
+      minimumAmount,
+      bankCode,
+      bankName,
+      accountNumber,
+      accountName
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: schedule.isVerified()
+        ? `Automatic ${schedule.frequency} payouts enabled`
+        : 'Payout schedule saved. Payouts start once the bank account is verified',
+      schedule
+    });
+  } catch (error) {
+    console.error('[Scheduled Payout Controller] Save schedule error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to save payout schedule'
+    });
+  }
+};
+
+/**
+ * Turn off automatic payouts
+ * DELETE /api/wallet/payout-schedules/:id
+ */
+exports.disableSchedule = async (req, res) => {
+  try {
+    const schedule = await scheduledPayoutService.disableSchedule(req.user.id, req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Automatic payouts disabled',
+      schedule
+    });
+  } catch (error) {
+    console.error('[Scheduled Payout Controller] Disable schedule error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to disable payout schedule'
+    });
+  }
+};
+
+/**
+ * List payout schedules (admin)
+ * GET /api/admin/payout-schedules
+ */
+exports.listSchedules = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    const toBoolean = value => (value === undefined ? undefined : value === 'true');
+
+    const result = await scheduledPayoutService.listSchedules({
+      currency: req.query.currency,
+      isActive: toBoolean(req.query.isActive),
+      verified: toBoolean(req.query.verified),
+      limit,
+      offset
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...result,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('[Scheduled Payout Controller] List schedules error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get payout schedules'
+    });
+  }
+};
+
+/**
+ * Verify a schedule's bank account (admin)
+ * PATCH /api/admin/payout-schedules/:id/verify
+ */
+exports.verifySchedule = async (req, res) => {
+  try {
+    const schedule = await scheduledPayoutService.verifySchedule(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Bank account verified',
+      schedule
+    });
+  } catch (error) {
+    console.error('[Scheduled Payout Controller] Verify schedule error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to verify bank account'
+    });
+  }
+};
+
+/**
+ * List payout batches (admin)
+ * GET /api/admin/payout-batches
+ */
+exports.getBatches = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const result = await scheduledPayoutService.getBatches({
+      status: req.query.status || null,
+      limit,
+      offset
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...result,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('[Scheduled Payout Controller] Get batches error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get payout batches'
+    });
+  }
+};
+
+/**
+ * Get a payout batch report (admin)
+ * GET /api/admin/payout-batches/:id
+ */
+exports.getBatch = async (req, res) => {
+  try {
+    const batch = await scheduledPayoutService.getBatch(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      batch
+    });
+  } catch (error) {
+    console.error('[Scheduled Payout Controller] Get batch error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to get payout batch'
+    });
+  }
+};
+
+/**
+ * Run due scheduled payouts now (admin)
+ * POST /api/admin/payout-batches/run
+ */
+exports.runBatch = async (req, res) => {
+  try {
+    const batch = await scheduledPayoutService.processDueSchedules(new Date(), { triggeredBy: req.user.id });
+
+    return res.status(201).json({
+      success: true,
+      message: `Processed ${batch.scheduleCount} scheduled payouts`,
+      batch
+    });
+  } catch (error) {
+    console.error('[Scheduled Payout Controller] Run batch error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to run scheduled payouts'
+    });
+  }
+};
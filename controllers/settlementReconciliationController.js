@@ -0,0 +1,154 @@
+const settlementReconciliationService = require('../services/settlementReconciliationService');
+
+/**
+ * Settlement Reconciliation Controller
+ *
+ * Admin endpoints to import Paystack/Stripe settlement exports, review the
+ * matching results and download them.
+ */
+
+/**
+ * Import a gateway export and reconcile it (admin)
+ * POST /api/admin/reconciliation/imports
+ *
+ * Accepts a multipart `file` upload, or JSON with the export in `content`
+ * (a CSV string, or the rows themselves as an array).
+ */
+exports.importSettlement = async (req, res) => {
+  try {
+    const uploadedFile = req.file || (req.files && req.files[0]);
+    const { gateway, format, recordType, amountUnit, periodStart, periodEnd } = req.body;
+
+    let content = uploadedFile ? uploadedFile.buffer : req.body.content;
+    let resolvedFormat = format;
+
+    if (content && typeof content === 'object' && !Buffer.isBuffer(content)) {
+      content = JSON.stringify(content);
+      resolvedFormat = 'json';
+    }
+
+    if (!gateway || !content) {
+      return res.status(400).json({
+        success: false,
+        message: 'gateway and an export file (or content) are required'
+      });
+    }
+
+    const run = await settlementReconciliationService.importSettlement({
+      gateway,
+      content,
+      format: resolvedFormat,
+      fileName: uploadedFile ? uploadedFile.originalname : (req.body.fileName || null),
+      recordType: recordType || 'payment',
+      amountUnit,
+      periodStart,
+      periodEnd,
+      triggeredBy: req.user.id
+    });
+
+    return res.status(201).json({
+      success: true,
+      clean: run.isClean(),
+      run
+    });
+  } catch (error) {
+    console.error('[Settlement Reconciliation Controller] Import error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to reconcile settlement export'
+    });
+  }
+};
+
+/**
+ * List reconciliation runs (admin)
+ * GET /api/admin/reconciliation/runs
+ */
+exports.getRuns = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const result = await settlementReconciliationService.getRuns({
+      gateway: req.query.gateway || null,
+      status: req.query.status || null,
+      limit,
+      offset
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...result,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('[Settlement Reconciliation Controller] Get runs error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get reconciliation runs'
+    });
+  }
+};
+
+/**
+ * Get a run with its items (admin)
+ * GET /api/admin/reconciliation/runs/:id?status=amount_mismatch
+ */
+exports.getRun = async (req, res) => {
+  try {
+    const result = await settlementReconciliationService.getRun(req.params.id, {
+      status: req.query.status || null,
+      recordType: req.query.recordType || null
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('[Settlement Reconciliation Controller] Get run error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to get reconciliation run'
+    });
+  }
+};
+
+/**
+ * Download a run's items (admin)
+ * GET /api/admin/reconciliation/runs/:id/export?format=csv|json
+ */
+exports.exportRun = async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv or json'
+      });
+    }
+
+    const result = await settlementReconciliationService.exportRun(req.params.id, {
+      format,
+      status: req.query.status || null
+    });
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${result.fileName}"`);
+      return res.send(result.data);
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="${result.fileName}"`);
+    return res.json(result.data);
+  } catch (error) {
+    console.error('[Settlement Reconciliation Controller] Export error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to export reconciliation run'
+    });
+  }
+};
@@ -0,0 +1,102 @@
+const taxProfileService = require('../services/taxProfileService');
+const earningsStatementService = require('../services/earningsStatementService');
+
+/**
+ * Tax Document Controller
+ *
+ * Creator tax profile and downloadable monthly/annual earnings statements.
+ */
+
+/**
+ * Get the creator's tax profile
+ * GET /api/wallet/tax-profile
+ */
+exports.getTaxProfile = async (req, res) => {
+  try {
+    const profile = await taxProfileService.getProfile(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      profile
+    });
+  } catch (error) {
+    console.error('[Tax Document Controller] Get tax profile error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get tax profile'
+    });
+  }
+};
+
+/**
+ * Create or update the creator's tax profile
+ * PUT /api/wallet/tax-profile
+ */
+exports.saveTaxProfile = async (req, res) => {
+  try {
+    const profile = await taxProfileService.saveProfile(req.user.id, req.body);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Tax profile saved',
+      profile
+    });
+  } catch (error) {
+    console.error('[Tax Document Controller] Save tax profile error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to save tax profile'
+    });
+  }
+};
+
+/**
+ * Monthly or annual earnings statement
+ * GET /api/wallet/statements?year=2026&month=9&currency=NGN&format=json|csv|pdf
+ *
+ * Omit `month` for the annual statement.
+ */
+exports.getStatement = async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+
+    if (!['json', 'csv', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be json, csv or pdf'
+      });
+    }
+
+    const statement = await earningsStatementService.getStatement(req.user.id, {
+      year: req.query.year,
+      month: req.query.month,
+      currency: req.query.currency || null
+    });
+
+    const filename = earningsStatementService.getFileName(statement, format);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(earningsStatementService.toCSV(statement));
+    }
+
+    if (format === 'pdf') {
+      const pdf = await earningsStatementService.toPDF(statement);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(pdf);
+    }
+
+    return res.status(200).json({
+      success: true,
+      statement
+    });
+  } catch (error) {
+    console.error('[Tax Document Controller] Get statement error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to generate earnings statement'
+    });
+  }
+};
@@ -0,0 +1,159 @@
+const tipService = require('../services/tipService');
+const User = require('../models/User');
+
+/**
+ * Tip Controller
+ *
+ * Tips are sent from the content they're for:
+ *   POST /videos/:id/tips
+ *   POST /live/:id/tips
+ *   POST /api/live/series/session/:id/tips
+ * The /api/tips endpoints list sent and received tips and verify card tips.
+ */
+
+const handleError = (res, error, action) => {
+  console.error(`[Tip Controller] ${action} error:`, error);
+  return res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : `Failed to ${action.toLowerCase()}`
+  });
+};
+
+const sendTip = (contentType) => async (req, res) => {
+  try {
+    const { amount, currency, message, anonymous, paymentMethod } = req.body;
+
+    if (amount === undefined || !currency) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: amount, currency'
+      });
+    }
+
+    const user = await User.findByPk(req.user.id, { attributes: ['id', 'email'] });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const result = await tipService.sendTip({
+      tipperId: user.id,
+      tipperEmail: user.email,
+      contentType,
+      contentId: req.params.id,
+      amount,
+      currency,
+      message: message || null,
+      anonymous: anonymous === true || anonymous === 'true',
+      paymentMethod: paymentMethod || 'wallet'
+    });
+
+    const response = {
+      success: true,
+      message: result.payment ? 'Complete the card payment to send your tip' : 'Tip sent',
+      tip: result.tip,
+      payment: result.payment,
+      timestamp: new Date().toISOString()
+    };
+
+    if (req.idempotency) {
+      await req.idempotency.storeResult(response);
+    }
+
+    return res.status(201).json(response);
+  } catch (error) {
+    if (req.idempotency) {
+      await req.idempotency.markFailed(error).catch(cacheError => {
+        console.error('[Tip Controller] Failed to record tip failure:', cacheError);
+      });
+    }
+
+    return handleError(res, error, 'Send tip');
+  }
+};
+
+/**
+ * Tip the creator of a video
+ * POST /videos/:id/tips
+ */
+exports.tipVideo = sendTip('video');
+
+/**
+ * Tip the creator of a live class
+ * POST /live/:id/tips
+ */
+exports.tipLiveClass = sendTip('live_class');
+
+/**
+ * Tip the creator of a live series session
+ * POST /api/live/series/session/:id/tips
+ */
+exports.tipLiveSession = sendTip('live_session');
+
+/**
+ * Confirm a card tip once the gateway redirects back
+ * POST /api/tips/:id/verify
+ */
+exports.verifyTip = async (req, res) => {
+  try {
+    const result = await tipService.verifyTip(req.user.id, req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: result.alreadyProcessed ? 'Tip already processed' : 'Tip sent',
+      tip: result.tip
+    });
+  } catch (error) {
+    return handleError(res, error, 'Verify tip');
+  }
+};
+
+/**
+ * Tips the user has sent
+ * GET /api/tips/sent
+ */
+exports.getSentTips = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const result = await tipService.getSentTips(req.user.id, { limit, offset });
+
+    return res.status(200).json({
+      success: true,
+      ...result,
+      limit,
+      offset
+    });
+  } catch (error) {
+    return handleError(res, error, 'Get tips');
+  }
+};
+
+/**
+ * Tips the creator has received
+ * GET /api/tips/received?contentType=live_class
+ */
+exports.getReceivedTips = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const result = await tipService.getReceivedTips(req.user.id, {
+      contentType: req.query.contentType || null,
+      limit,
+      offset
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...result,
+      limit,
+      offset
+    });
+  } catch (error) {
+    return handleError(res, error, 'Get tips');
+  }
+};
@@ -1,4 +1,5 @@
 const User = require('../models/User');
+const playbackPositionService = require('../services/playbackPositionService');
 
 exports.getUserInfo = async (req, res) => {
   try {
@@ -26,3 +27,16 @@ exports.getUserInfo = async (req, res) => {
   }
 };
 
+
+exports.getContinueWatching = async (req, res) => {
+  try {
+    const items = await playbackPositionService.getContinueWatching(req.user.id, {
+      limit: req.query.limit
+    });
+
+    res.status(200).json({ success: true, items });
+  } catch (error) {
+    console.error('Error fetching continue watching:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
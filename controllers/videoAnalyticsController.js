@@ -0,0 +1,119 @@
+const jwt = require('jsonwebtoken');
+const Video = require('../models/Video');
+const videoAnalyticsService = require('../services/videoAnalyticsService');
+
+/**
+ * Video Analytics Controller
+ *
+ * Watch-progress heartbeats from the player, per-video engagement analytics
+ * for the creator and platform-wide analytics for admins.
+ */
+
+const handleError = (res, error, action) => {
+  console.error(`[Video Analytics Controller] ${action} error:`, error);
+  return res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : `Failed to ${action.toLowerCase()}`
+  });
+};
+
+// Heartbeats come from guests too, so authentication is optional
+const extractUserFromToken = (req) => {
+  try {
+    let token = req.header('Authorization')?.replace('Bearer ', '');
+    if (!token && req.cookies && req.cookies.token) {
+      token = req.cookies.token;
+    }
+    return token ? jwt.verify(token, process.env.JWT_SECRET_KEY) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Record watch progress for the view returned by GET /videos/:id
+ * POST /videos/:id/heartbeat
+ * Body: { viewId, from, to } - seconds played since the last heartbeat
+ */
+exports.recordHeartbeat = async (req, res) => {
+  try {
+    const { viewId, from, to } = req.body;
+    const user = req.user || extractUserFromToken(req);
+
+    if (!viewId) {
+      return res.status(400).json({
+        success: false,
+        message: 'viewId is required'
+      });
+    }
+
+    const progress = await videoAnalyticsService.recordHeartbeat({
+      videoId: req.params.id,
+      viewId,
+      userId: user ? user.id : null,
+      from,
+      to
+    });
+
+    return res.status(200).json({
+      success: true,
+      progress
+    });
+  } catch (error) {
+    return handleError(res, error, 'Record heartbeat');
+  }
+};
+
+/**
+ * Retention, completion, viewers, sources, preview conversion and daily
+ * views/revenue for one video
+ * GET /videos/:id/analytics?days=30
+ */
+exports.getVideoAnalytics = async (req, res) => {
+  try {
+    const video = await Video.findByPk(req.params.id);
+
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    if (video.userId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the creator can view analytics for this video'
+      });
+    }
+
+    const analytics = await videoAnalyticsService.getVideoAnalytics(video, { days: req.query.days });
+
+    return res.status(200).json({
+      success: true,
+      analytics
+    });
+  } catch (error) {
+    return handleError(res, error, 'Get video analytics');
+  }
+};
+
+/**
+ * Engagement across all videos with the top videos by views
+ * GET /api/admin/videos/analytics?days=30&limit=10
+ */
+exports.getPlatformVideoAnalytics = async (req, res) => {
+  try {
+    const analytics = await videoAnalyticsService.getPlatformVideoAnalytics({
+      days: req.query.days,
+      limit: req.query.limit
+    });
+
+    return res.status(200).json({
+      success: true,
+      analytics
+    });
+  } catch (error) {
+    return handleError(res, error, 'Get platform video analytics');
+  }
+};
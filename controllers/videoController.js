@@ -1,6 +1,16 @@
-const { uploadVideoService } = require('../services/videoService');
+const {
+  uploadVideoService,
+  updateVideoService,
+  setChaptersService,
+  replaceThumbnailService,
+  replaceSourceService,
+  findOwnVideo
+} = require('../services/videoService');
 const Video = require('../models/Video');
-const { recordView } = require('../services/videoAnalyticsService');
+const { recordView, resolveSource } = require('../services/videoAnalyticsService');
+const muxPlaybackService = require('../services/muxPlaybackService');
+const playbackPositionService = require('../services/playbackPositionService');
+const { listCaptions } = require('../services/videoCaptionService');
 const jwt = require('jsonwebtoken');
 
 /**
@@ -158,20 +168,25 @@ exports.getVideoById = async (req, res) => {
       });
     }
 
-    // Build playback URL using muxPlaybackId (only if user has access)
-    const playbackUrl = video.muxPlaybackId
-      ? `https://stream.mux.com/${video.muxPlaybackId}.m3u8`
-      : null;
+    // Playback URLs (signed with a short-lived token for paid/private videos)
+    const playback = await muxPlaybackService.getPlayback(video);
 
     // Record analytics
     const user = req.user || extractUserFromToken(req);
     const userId = user ? user.id : null;
     const ipAddress = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
-    recordView({ videoId: id, userId, ipAddress });
+    const source = resolveSource(req.query.source, req.get('referer'));
+    const view = await recordView({ videoId: id, userId, ipAddress, source });
+    const playbackPosition = await playbackPositionService.getPosition(userId, 'video', id);
+    const captions = await listCaptions(id);
 
     return res.status(200).json({
       ...video.dataValues,
-      playbackUrl,
+      playbackUrl: playback ? playback.playbackUrl : null,
+      playback,
+      viewId: view ? view.id : null, // report watch progress to POST /videos/:id/heartbeat
+      playbackPosition, // resume from playbackPosition.resumeAt; save with PUT /videos/:id/position
+      captions, // text tracks on the Mux asset; full text at GET /videos/:id/transcript
       accessGranted: true,
       accessReason: req.accessReason,
       purchaseDate: req.purchaseDate || null,
@@ -179,10 +194,101 @@ exports.getVideoById = async (req, res) => {
     });
   } catch (error) {
     console.error('Error fetching video by ID:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     return res.status(500).json({ message: 'Server error fetching video.' });
   }
 };
 
+// ============================
+//  GET FRESH PLAYBACK TOKENS
+// ============================
+exports.getVideoPlayback = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const video = await Video.findByPk(id);
+
+    if (!video) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+
+    const user = req.user || extractUserFromToken(req);
+    if (video.privacy === 'private' && (!user || user.id !== video.userId)) {
+      return res.status(403).json({ success: false, message: 'This video is private.' });
+    }
+
+    // checkContentAccess has already confirmed the viewer may watch
+    if (!req.hasAccess) {
+      return res.status(402).json({
+        success: false,
+        message: 'Payment required to access this video',
+        requiresPayment: true
+      });
+    }
+
+    const playback = await muxPlaybackService.getPlayback(video);
+
+    if (!playback) {
+      return res.status(409).json({ success: false, message: 'Video is not ready for playback yet' });
+    }
+
+    return res.status(200).json({ success: true, playback });
+  } catch (error) {
+    console.error('[Video Controller] Get playback error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to get playback'
+    });
+  }
+};
+
+// ============================
+//  SAVE PLAYBACK POSITION
+// ============================
+exports.savePlaybackPosition = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { position, duration } = req.body;
+
+    const video = await Video.findByPk(id);
+
+    if (!video) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+
+    if (video.privacy === 'private' && req.user.id !== video.userId) {
+      return res.status(403).json({ success: false, message: 'This video is private.' });
+    }
+
+    // checkContentAccess has already confirmed the viewer may watch
+    if (!req.hasAccess) {
+      return res.status(402).json({
+        success: false,
+        message: 'Payment required to access this video',
+        requiresPayment: true
+      });
+    }
+
+    const playbackPosition = await playbackPositionService.savePosition({
+      userId: req.user.id,
+      contentType: 'video',
+      contentId: id,
+      position,
+      duration
+    });
+
+    return res.status(200).json({ success: true, playbackPosition });
+  } catch (error) {
+    console.error('[Video Controller] Save playback position error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to save playback position'
+    });
+  }
+};
+
 // ============================
 //  GET VIDEOS BY USER (Creator dashboard)
 // ============================
@@ -247,6 +353,124 @@ exports.getMyVideos = async (req, res) => {
   }
 };
 
+// ============================
+//  UPDATE VIDEO METADATA
+// ============================
+exports.updateVideo = async (req, res) => {
+  try {
+    const { title, description, price, currency, tags, category, privacy, ageRestriction } = req.body;
+
+    const video = await updateVideoService(req.user.id, req.params.id, {
+      title,
+      description,
+      price,
+      currency,
+      tags,
+      category,
+      privacy,
+      ageRestriction
+    });
+
+    const videoData = video.toJSON();
+    videoData.pricing = video.getDualPricing();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Video updated successfully',
+      video: videoData
+    });
+  } catch (error) {
+    console.error('[Video Controller] Update video error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update video'
+    });
+  }
+};
+
+// ============================
+//  SET CHAPTERS
+// ============================
+exports.updateChapters = async (req, res) => {
+  try {
+    const video = await setChaptersService(req.user.id, req.params.id, req.body.chapters);
+
+    return res.status(200).json({
+      success: true,
+      message: video.chapters ? 'Chapters saved' : 'Chapters removed',
+      chapters: video.chapters || []
+    });
+  } catch (error) {
+    console.error('[Video Controller] Update chapters error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to save chapters'
+    });
+  }
+};
+
+// ============================
+//  VIDEO OWNER CHECK
+// ============================
+// Runs before the thumbnail upload so non-owners never get a file into S3
+exports.requireVideoOwner = async (req, res, next) => {
+  try {
+    await findOwnVideo(req.user.id, req.params.id);
+    return next();
+  } catch (error) {
+    console.error('[Video Controller] Video ownership check error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update thumbnail'
+    });
+  }
+};
+
+// ============================
+//  REPLACE THUMBNAIL
+// ============================
+exports.replaceThumbnail = async (req, res) => {
+  try {
+    const thumbnailFile = req.files?.thumbnail?.[0] || req.files?.thumbnailUrl?.[0] || req.files?.image?.[0] || req.files?.file?.[0];
+
+    const video = await replaceThumbnailService(req.user.id, req.params.id, thumbnailFile);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Thumbnail updated successfully',
+      thumbnailUrl: video.thumbnailUrl
+    });
+  } catch (error) {
+    console.error('[Video Controller] Replace thumbnail error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update thumbnail'
+    });
+  }
+};
+
+// ============================
+//  REPLACE SOURCE FILE
+// ============================
+exports.replaceSource = async (req, res) => {
+  try {
+    const result = await replaceSourceService(req.user.id, req.params.id);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Upload the new file to uploadUrl; the current version plays until it is processed',
+      uploadUrl: result.uploadUrl,
+      video: result.video
+    });
+  } catch (error) {
+    console.error('[Video Controller] Replace source error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to start source replacement'
+    });
+  }
+};
+
 // ============================
 //  DELETE VIDEO
 // ============================
@@ -15,6 +15,7 @@ const {
 } = require('../services/payoutService');
 const Payout = require('../models/Payout');
 const User = require('../models/User');
+const manualReviewService = require('../services/manualReviewService');
 const { sendWithdrawalConfirmationEmail } = require('../utils/email');
 
 // Multi-Currency Services
@@ -83,17 +84,19 @@ exports.getEarnings = async (req, res) => {
 
 /**
  * Get creator sales (list of students who purchased content)
- * GET /api/wallet/sales
+ * GET /api/wallet/sales?limit=&offset=&tipLimit=&tipOffset=
  */
 exports.getCreatorSales = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { limit = 50, offset = 0, contentType } = req.query;
+    const { limit = 50, offset = 0, contentType, tipLimit = limit, tipOffset = 0 } = req.query;
 
     const sales = await getCreatorPurchases(userId, {
       limit: parseInt(limit),
       offset: parseInt(offset),
-      contentType
+      contentType,
+      tipLimit: parseInt(tipLimit),
+      tipOffset: parseInt(tipOffset)
     });
 
     return res.status(200).json({
@@ -209,12 +212,40 @@ exports.initiateWithdrawal = async (req, res) => {
         amount,
         currency,
         bankDetails,
-        gateway
+        gateway,
+        beneficiaryId: req.beneficiary ? req.beneficiary.id : null
       });
 
       // If we reach here, funds are locked
       fundsLocked = true;
 
+      // Flagged by fraud detection: hold the locked funds until a reviewer decides
+      if (req.requiresManualReview) {
+        const review = await manualReviewService.addToQueue({
+          payoutId: payout.id,
+          userId,
+          type: 'fraud_detection',
+          priority: req.fraudAnalysis.riskScore >= 90 ? 'critical' : 'high',
+          reason: req.fraudAnalysis.reason,
+          data: { amount, currency, gateway, bankName: payout.bankName, accountNumber, accountName },
+          metadata: {
+            riskScore: req.fraudAnalysis.riskScore,
+            flags: req.fraudAnalysis.flags
+          },
+          flaggedBy: 'fraud_detection'
+        });
+
+        return res.status(202).json({
+          success: true,
+          message: 'Withdrawal is pending manual review',
+          payout,
+          reviewId: review.reviewId,
+          slaDeadline: review.slaDeadline,
+          fees,
+          currency
+        });
+      }
+
       // Process payout based on gateway
       let result;
       if (gateway === 'paystack') {
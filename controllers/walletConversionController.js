@@ -0,0 +1,110 @@
+const walletConversionService = require('../services/walletConversionService');
+
+/**
+ * Wallet Conversion Controller
+ *
+ * Converts balance between a user's NGN and USD wallets:
+ * - Quote a conversion (rate, spread fee, validity window)
+ * - Execute a quote
+ * - Conversion history
+ */
+
+/**
+ * Quote a conversion
+ * POST /api/wallet/convert/quote
+ */
+exports.createQuote = async (req, res) => {
+  try {
+    const { fromCurrency, toCurrency, amount } = req.body;
+
+    if (!fromCurrency || !toCurrency || amount === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'fromCurrency, toCurrency and amount are required'
+      });
+    }
+
+    const quote = await walletConversionService.createQuote(req.user.id, {
+      fromCurrency,
+      toCurrency,
+      amount
+    });
+
+    return res.status(201).json({
+      success: true,
+      quote
+    });
+  } catch (error) {
+    console.error('[Wallet Conversion Controller] Create quote error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to quote conversion'
+    });
+  }
+};
+
+/**
+ * Execute a quoted conversion
+ * POST /api/wallet/convert
+ */
+exports.executeConversion = async (req, res) => {
+  try {
+    const { quoteId } = req.body;
+
+    if (!quoteId) {
+      return res.status(400).json({
+        success: false,
+        message: 'quoteId is required'
+      });
+    }
+
+    const result = await walletConversionService.executeQuote(req.user.id, quoteId, {
+      ip: req.ip || 'unknown',
+      userAgent: req.get('User-Agent') || 'unknown'
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Converted ${result.conversion.sourceAmount} ${result.conversion.fromCurrency} to ${result.conversion.targetAmount} ${result.conversion.toCurrency}`,
+      ...result
+    });
+  } catch (error) {
+    console.error('[Wallet Conversion Controller] Execute conversion error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to convert currency',
+      ...(error.type && { type: error.type }),
+      ...(error.riskScore !== undefined && { riskScore: error.riskScore })
+    });
+  }
+};
+
+/**
+ * Get conversion history
+ * GET /api/wallet/convert/history
+ */
+exports.getConversions = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const history = await walletConversionService.getConversions(req.user.id, {
+      status: req.query.status || null,
+      limit,
+      offset
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...history,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('[Wallet Conversion Controller] Get conversions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get conversion history'
+    });
+  }
+};
@@ -3,6 +3,8 @@ const { PAYSTACK_WEBHOOK_SECRET } = require('../config/paystack');
 const { STRIPE_WEBHOOK_SECRET, stripeClient } = require('../config/stripe');
 const PaymentRoutingService = require('../services/paymentRoutingService');
 const WebhookSecurityService = require('../services/webhookSecurityService');
+const refundService = require('../services/refundService');
+const membershipService = require('../services/membershipService');
 const Purchase = require('../models/Purchase');
 const Payout = require('../models/Payout');
 const Wallet = require('../models/Wallet');
@@ -17,6 +19,23 @@ const LiveClass = require('../models/liveClass');
 const paymentRoutingService = new PaymentRoutingService();
 const webhookSecurityService = new WebhookSecurityService();
 
+/**
+ * What a gateway charge paid for: a purchase, a cart order (one charge for
+ * several purchases) or an unredeemed gift. Redeemed gifts resolve to the
+ * recipient's purchase, which keeps the gift's payment reference.
+ */
+const findChargeTarget = async (reference) => {
+  const purchase = await refundService.findPurchaseByReference(reference);
+  if (purchase) return { purchase };
+
+  const order = await refundService.findOrderByReference(reference);
+  if (order) return { order };
+
+  const giftService = require('../services/giftService');
+  const gift = await giftService.findByPaymentReference(reference);
+  return gift ? { gift } : {};
+};
+
 /**
  * Handle Paystack Webhook with Enhanced Security
  * POST /api/webhooks/paystack
@@ -54,6 +73,45 @@ exports.handlePaystackWebhook = async (req, res) => {
     if (event.event === 'charge.success') {
       const { reference, amount, currency, metadata, customer } = event.data;
 
+      // ── MEMBERSHIP: first payment or renewal (renewals carry the plan, not our metadata) ──
+      if (metadata?.type === 'membership' || event.data.plan?.plan_code) {
+        console.log('[Paystack Webhook] Processing membership payment:', reference);
+        await membershipService.handlePaystackCharge(event.data);
+        return res.status(200).send('Webhook processed');
+      }
+
+      // ── COURSE RENEWAL: charge on a saved authorization ──
+      if (metadata?.type === 'course_renewal') {
+        console.log('[Paystack Webhook] Processing course renewal:', reference);
+        const CourseRenewalService = require('../services/courseRenewalService');
+        await new CourseRenewalService().handlePaystackRenewalCharge(event.data);
+        return res.status(200).send('Webhook processed');
+      }
+
+      // ── CART ORDER: one charge fans out into a purchase per item ──
+      if (metadata?.type === 'order') {
+        console.log('[Paystack Webhook] Processing order payment:', reference);
+        const orderService = require('../services/orderService');
+        await orderService.handleGatewayPayment('paystack', event.data);
+        return res.status(200).send('Webhook processed');
+      }
+
+      // ── GIFT: activate the code and email the recipient, no purchase for the payer ──
+      if (metadata?.type === 'gift') {
+        console.log('[Paystack Webhook] Processing gift payment:', reference);
+        const giftService = require('../services/giftService');
+        await giftService.handleGatewayPayment('paystack', event.data);
+        return res.status(200).send('Webhook processed');
+      }
+
+      // ── TIP: credit the creator and announce it, no purchase for the tipper ──
+      if (metadata?.type === 'tip') {
+        console.log('[Paystack Webhook] Processing tip payment:', reference);
+        const tipService = require('../services/tipService');
+        await tipService.handleGatewayPayment('paystack', event.data);
+        return res.status(200).send('Webhook processed');
+      }
+
       // Extract metadata
       const userId = metadata.userId;
       const contentType = metadata.contentType;
@@ -175,7 +233,7 @@ exports.handlePaystackWebhook = async (req, res) => {
         // ✅ NEW: For monthly/yearly, contentId is null
         const courseId = accessType === 'individual' ? contentId : null;
         
-        await courseEnrollmentService.createEnrollment({
+        const enrollment = await courseEnrollmentService.createEnrollment({
           userId,
           courseId,  // ✅ null for monthly/yearly
           purchaseId: result.purchase.id,
@@ -185,6 +243,21 @@ exports.handlePaystackWebhook = async (req, res) => {
           accessType,  // ✅ NEW
           expiresAt    // ✅ NEW
         });
+
+        // Save the card for auto-renewal of monthly/yearly passes
+        if (['monthly', 'yearly'].includes(accessType)) {
+          try {
+            const CourseRenewalService = require('../services/courseRenewalService');
+            await new CourseRenewalService().createFromPayment({
+              enrollment,
+              gateway: 'paystack',
+              currency: currency.toUpperCase(),
+              paymentData: event.data
+            });
+          } catch (renewalError) {
+            console.error('[Paystack Webhook] Failed to set up course auto-renewal:', renewalError.message);
+          }
+        }
         
         console.log(`[Paystack Webhook] Course enrollment created - User: ${userId}, Access: ${accessType}, Expires: ${expiresAt || 'Never'}`);
       }
@@ -289,6 +362,106 @@ exports.handlePaystackWebhook = async (req, res) => {
       console.log('[Paystack Webhook] Payment processed successfully:', reference);
     }
 
+    // Handle membership subscription lifecycle events
+    if (event.event === 'subscription.create') {
+      await membershipService.handlePaystackSubscriptionCreate(event.data);
+    }
+
+    if (event.event === 'subscription.not_renew') {
+      await membershipService.handlePaystackSubscriptionNotRenew(event.data);
+    }
+
+    if (event.event === 'subscription.disable') {
+      await membershipService.handlePaystackSubscriptionDisable(event.data);
+    }
+
+    if (event.event === 'invoice.payment_failed') {
+      await membershipService.handlePaystackPaymentFailed(event.data);
+    }
+
+    // Handle refund.processed event (buyer refunded from the Paystack dashboard or API)
+    if (event.event === 'refund.processed') {
+      const reference = event.data.transaction_reference || event.data.transaction?.reference;
+      const { purchase, order, gift } = await findChargeTarget(reference);
+
+      if (!purchase && !order && !gift) {
+        console.log('[Paystack Webhook] Refund for unknown purchase, ignoring:', reference);
+        return res.status(200).send('Webhook processed');
+      }
+
+      const refund = {
+        amount: parseInt(event.data.amount) / 100,
+        source: 'gateway',
+        gatewayRefundId: `paystack_refund_${event.data.id || event.data.refund_reference || `${reference}_${event.data.amount}`}`,
+        reason: event.data.merchant_note || event.data.customer_note || null,
+        metadata: { gateway: 'paystack' }
+      };
+
+      let result;
+      if (purchase) {
+        result = await refundService.applyRefund({ purchase, ...refund });
+      } else if (order) {
+        result = await refundService.refundOrder({ order, ...refund });
+      } else {
+        const giftService = require('../services/giftService');
+        result = await giftService.handleGatewayRefund(gift, refund.gatewayRefundId);
+      }
+
+      console.log(`[Paystack Webhook] Refund ${result.alreadyProcessed ? 'already applied' : 'applied'}:`, reference);
+    }
+
+    // Handle charge.dispute.create event (chargeback opened)
+    if (event.event === 'charge.dispute.create') {
+      const reference = event.data.transaction?.reference;
+      const { purchase, order, gift } = await findChargeTarget(reference);
+
+      const dispute = {
+        gatewayDisputeId: `paystack_dispute_${event.data.id}`,
+        amount: event.data.refund_amount ? parseInt(event.data.refund_amount) / 100 : null,
+        reason: event.data.category || null
+      };
+
+      if (purchase) {
+        await refundService.openDispute({ purchase, ...dispute });
+      } else if (order) {
+        await refundService.openOrderDispute({ order, ...dispute });
+      } else if (gift) {
+        const giftService = require('../services/giftService');
+        await giftService.handleGatewayRefund(gift, dispute.gatewayDisputeId);
+      }
+
+      if (purchase || order || gift) {
+        console.log('[Paystack Webhook] Dispute opened:', reference);
+      } else {
+        console.log('[Paystack Webhook] Dispute for unknown purchase, ignoring:', reference);
+      }
+    }
+
+    // Handle charge.dispute.resolve event (chargeback closed)
+    if (event.event === 'charge.dispute.resolve') {
+      const reference = event.data.transaction?.reference;
+      const { purchase, order, gift } = await findChargeTarget(reference);
+
+      // 'declined' means the dispute was rejected in the merchant's favour
+      const resolution = {
+        gatewayDisputeId: `paystack_dispute_${event.data.id}`,
+        won: event.data.resolution === 'declined'
+      };
+
+      if (purchase) {
+        await refundService.resolveDispute({ purchase, ...resolution });
+      } else if (order) {
+        await refundService.resolveOrderDispute({ order, ...resolution });
+      } else if (gift) {
+        const giftService = require('../services/giftService');
+        await giftService.handleDisputeResolved(gift, resolution.gatewayDisputeId, resolution.won);
+      }
+
+      if (purchase || order || gift) {
+        console.log(`[Paystack Webhook] Dispute resolved (${event.data.resolution}):`, reference);
+      }
+    }
+
     // Handle transfer.success event (payout completed)
     if (event.event === 'transfer.success') {
       const { reference, amount, recipient } = event.data;
@@ -531,6 +704,37 @@ exports.handleStripeWebhook = async (req, res) => {
     if (event.type === 'checkout.session.completed') {
       const session = event.data.object;
 
+      // ── MEMBERSHIP: link the subscription; the payment is recorded from invoice.paid ──
+      if (session.metadata?.type === 'membership') {
+        console.log('[Stripe Webhook] Linking membership subscription:', session.subscription);
+        await membershipService.handleStripeCheckoutCompleted(session);
+        return res.status(200).json({ received: true });
+      }
+
+      // ── CART ORDER: one session fans out into a purchase per item ──
+      if (session.metadata?.type === 'order') {
+        console.log('[Stripe Webhook] Processing order payment:', session.id);
+        const orderService = require('../services/orderService');
+        await orderService.handleGatewayPayment('stripe', session);
+        return res.status(200).json({ received: true });
+      }
+
+      // ── GIFT: activate the code and email the recipient, no purchase for the payer ──
+      if (session.metadata?.type === 'gift') {
+        console.log('[Stripe Webhook] Processing gift payment:', session.id);
+        const giftService = require('../services/giftService');
+        await giftService.handleGatewayPayment('stripe', session);
+        return res.status(200).json({ received: true });
+      }
+
+      // ── TIP: credit the creator and announce it, no purchase for the tipper ──
+      if (session.metadata?.type === 'tip') {
+        console.log('[Stripe Webhook] Processing tip payment:', session.id);
+        const tipService = require('../services/tipService');
+        await tipService.handleGatewayPayment('stripe', session);
+        return res.status(200).json({ received: true });
+      }
+
       // Extract metadata
       const userId = parseInt(session.metadata.userId);
       const contentType = session.metadata.contentType;
@@ -602,7 +806,7 @@ exports.handleStripeWebhook = async (req, res) => {
         // ✅ NEW: For monthly/yearly, contentId is null
         const courseId = accessType === 'individual' ? contentId : null;
         
-        await courseEnrollmentService.createEnrollment({
+        const enrollment = await courseEnrollmentService.createEnrollment({
           userId,
           courseId,  // ✅ null for monthly/yearly
           purchaseId: result.purchase.id,
@@ -612,6 +816,21 @@ exports.handleStripeWebhook = async (req, res) => {
           accessType,  // ✅ NEW
           expiresAt    // ✅ NEW
         });
+
+        // Save the card for auto-renewal of monthly/yearly passes
+        if (['monthly', 'yearly'].includes(accessType)) {
+          try {
+            const CourseRenewalService = require('../services/courseRenewalService');
+            await new CourseRenewalService().createFromPayment({
+              enrollment,
+              gateway: 'stripe',
+              currency: session.currency.toUpperCase(),
+              paymentData: session
+            });
+          } catch (renewalError) {
+            console.error('[Stripe Webhook] Failed to set up course auto-renewal:', renewalError.message);
+          }
+        }
         
         console.log(`[Stripe Webhook] Course enrollment created - User: ${userId}, Access: ${accessType}, Expires: ${expiresAt || 'Never'}`);
       }
@@ -716,6 +935,115 @@ exports.handleStripeWebhook = async (req, res) => {
       console.log('[Stripe Webhook] Payment processed successfully:', session.id);
     }
 
+    // Handle membership billing events
+    if (event.type === 'invoice.paid') {
+      await membershipService.handleStripeInvoicePaid(event.data.object);
+    }
+
+    if (event.type === 'invoice.payment_failed') {
+      await membershipService.handleStripePaymentFailed(event.data.object);
+    }
+
+    if (event.type === 'customer.subscription.updated') {
+      await membershipService.handleStripeSubscriptionUpdated(event.data.object);
+    }
+
+    if (event.type === 'customer.subscription.deleted') {
+      await membershipService.handleStripeSubscriptionDeleted(event.data.object);
+    }
+
+    // Handle charge.refunded event (full or partial refund issued in Stripe)
+    if (event.type === 'charge.refunded') {
+      const charge = event.data.object;
+      const { purchase, order, gift } = await findChargeTarget(await refundService.findStripeReference(charge.payment_intent));
+
+      if (!purchase && !order && !gift) {
+        console.log('[Stripe Webhook] Refund for unknown purchase, ignoring:', charge.id);
+        return res.status(200).json({ received: true });
+      }
+
+      // amount_refunded is cumulative; only apply what we haven't recorded yet
+      let recorded = 0;
+      if (purchase) {
+        recorded = parseFloat(purchase.refundedAmount || 0);
+      } else if (order) {
+        recorded = await refundService.getOrderGatewayRefunded(order);
+      }
+      const refundAmount = Math.round((charge.amount_refunded / 100 - recorded) * 100) / 100;
+
+      if (refundAmount > 0) {
+        const latestRefund = charge.refunds?.data?.[0];
+        const refund = {
+          amount: refundAmount,
+          source: 'gateway',
+          gatewayRefundId: latestRefund ? latestRefund.id : `${charge.id}_${charge.amount_refunded}`,
+          reason: latestRefund?.reason || null,
+          metadata: { gateway: 'stripe', chargeId: charge.id }
+        };
+
+        if (purchase) {
+          await refundService.applyRefund({ purchase, ...refund });
+        } else if (order) {
+          await refundService.refundOrder({ order, ...refund });
+        } else {
+          const giftService = require('../services/giftService');
+          await giftService.handleGatewayRefund(gift, refund.gatewayRefundId);
+        }
+        console.log('[Stripe Webhook] Refund applied:', charge.id);
+      }
+    }
+
+    // Handle charge.dispute.created event (chargeback opened)
+    if (event.type === 'charge.dispute.created') {
+      const dispute = event.data.object;
+      const { purchase, order, gift } = await findChargeTarget(await refundService.findStripeReference(dispute.payment_intent));
+
+      const opened = {
+        gatewayDisputeId: dispute.id,
+        amount: dispute.amount / 100,
+        reason: dispute.reason || null
+      };
+
+      if (purchase) {
+        await refundService.openDispute({ purchase, ...opened });
+      } else if (order) {
+        await refundService.openOrderDispute({ order, ...opened });
+      } else if (gift) {
+        const giftService = require('../services/giftService');
+        await giftService.handleGatewayRefund(gift, dispute.id);
+      }
+
+      if (purchase || order || gift) {
+        console.log('[Stripe Webhook] Dispute opened:', dispute.id);
+      } else {
+        console.log('[Stripe Webhook] Dispute for unknown purchase, ignoring:', dispute.id);
+      }
+    }
+
+    // Handle charge.dispute.closed event (chargeback won or lost)
+    if (event.type === 'charge.dispute.closed') {
+      const dispute = event.data.object;
+      const { purchase, order, gift } = await findChargeTarget(await refundService.findStripeReference(dispute.payment_intent));
+
+      const resolution = {
+        gatewayDisputeId: dispute.id,
+        won: dispute.status === 'won'
+      };
+
+      if (purchase) {
+        await refundService.resolveDispute({ purchase, ...resolution });
+      } else if (order) {
+        await refundService.resolveOrderDispute({ order, ...resolution });
+      } else if (gift) {
+        const giftService = require('../services/giftService');
+        await giftService.handleDisputeResolved(gift, dispute.id, resolution.won);
+      }
+
+      if (purchase || order || gift) {
+        console.log(`[Stripe Webhook] Dispute closed (${dispute.status}):`, dispute.id);
+      }
+    }
+
     // Handle transfer.created event (payout initiated)
     if (event.type === 'transfer.created') {
       const transfer = event.data.object;
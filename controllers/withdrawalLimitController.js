@@ -1,7 +1,4 @@
-const WithdrawalLimitService = require('../services/withdrawalLimitService');
-
-// Create singleton instance
-const withdrawalLimitService = new WithdrawalLimitService();
+const withdrawalLimitService = require('../services/withdrawalLimitService');
 
 /**
  * Withdrawal Limit Management Controller
@@ -11,6 +8,7 @@ const withdrawalLimitService = new WithdrawalLimitService();
  * - Set custom limits and tiers
  * - Suspend/restore withdrawal privileges
  * - Admin overrides
+ * - Audit trail of limit changes
  */
 
 /**
@@ -29,7 +27,7 @@ exports.getUserWithdrawalStats = async (req, res) => {
       });
     }
     
-    const stats = withdrawalLimitService.getUserWithdrawalStats(
+    const stats = await withdrawalLimitService.getUserWithdrawalStats(
       parseInt(userId),
       currency ? currency.toUpperCase() : null
     );
@@ -54,7 +52,7 @@ exports.getUserWithdrawalStats = async (req, res) => {
  */
 exports.getSystemWithdrawalStats = async (req, res) => {
   try {
-    const stats = withdrawalLimitService.getSystemStats();
+    const stats = await withdrawalLimitService.getSystemStats();
     
     return res.status(200).json({
       success: true,
@@ -85,7 +83,7 @@ exports.setUserTier = async (req, res) => {
       });
     }
     
-    withdrawalLimitService.setUserTier(parseInt(userId), tier);
+    await withdrawalLimitService.setUserTier(parseInt(userId), tier, req.user.id);
     
     return res.status(200).json({
       success: true,
@@ -106,7 +104,7 @@ exports.setUserTier = async (req, res) => {
  */
 exports.setCustomLimits = async (req, res) => {
   try {
-    const { userId, currency, limits } = req.body;
+    const { userId, currency, limits, reason, expiresAt } = req.body;
     
     if (!userId || !currency || !limits) {
       return res.status(400).json({
@@ -115,21 +113,24 @@ exports.setCustomLimits = async (req, res) => {
       });
     }
     
-    withdrawalLimitService.setCustomLimits(
+    const override = await withdrawalLimitService.setCustomLimits(
       parseInt(userId),
       currency.toUpperCase(),
-      limits
+      limits,
+      req.user.id,
+      { reason, expiresAt }
     );
     
     return res.status(200).json({
       success: true,
-      message: `Custom limits set for user ${userId} (${currency})`
+      message: `Custom limits set for user ${userId} (${currency})`,
+      override: withdrawalLimitService.formatOverride(override)
     });
   } catch (error) {
     console.error('[Withdrawal Limit Controller] Set custom limits error:', error);
-    return res.status(500).json({
+    return res.status(400).json({
       success: false,
-      message: 'Failed to set custom limits'
+      message: error.message || 'Failed to set custom limits'
     });
   }
 };
@@ -140,7 +141,7 @@ exports.setCustomLimits = async (req, res) => {
  */
 exports.adminOverrideLimits = async (req, res) => {
   try {
-    const { userId, currency, limits, reason } = req.body;
+    const { userId, currency, limits, reason, expiresAt } = req.body;
     
     if (!userId || !currency || !limits || !reason) {
       return res.status(400).json({
@@ -149,22 +150,24 @@ exports.adminOverrideLimits = async (req, res) => {
       });
     }
     
-    withdrawalLimitService.adminOverrideLimits(
+    const override = await withdrawalLimitService.adminOverrideLimits(
       parseInt(userId),
       currency.toUpperCase(),
       limits,
-      reason
+      reason,
+      { adminId: req.user.id, expiresAt }
     );
     
     return res.status(200).json({
       success: true,
-      message: `Admin override set for user ${userId} (${currency})`
+      message: `Admin override set for user ${userId} (${currency})`,
+      override: withdrawalLimitService.formatOverride(override)
     });
   } catch (error) {
     console.error('[Withdrawal Limit Controller] Admin override error:', error);
-    return res.status(500).json({
+    return res.status(400).json({
       success: false,
-      message: 'Failed to set admin override'
+      message: error.message || 'Failed to set admin override'
     });
   }
 };
@@ -184,7 +187,7 @@ exports.suspendUser = async (req, res) => {
       });
     }
     
-    withdrawalLimitService.suspendUser(parseInt(userId), reason);
+    await withdrawalLimitService.suspendUser(parseInt(userId), reason, req.user.id);
     
     return res.status(200).json({
       success: true,
@@ -214,7 +217,7 @@ exports.restoreUser = async (req, res) => {
       });
     }
     
-    withdrawalLimitService.restoreUser(parseInt(userId));
+    await withdrawalLimitService.restoreUser(parseInt(userId), req.user.id);
     
     return res.status(200).json({
       success: true,
@@ -244,7 +247,7 @@ exports.resetUserToDefault = async (req, res) => {
       });
     }
     
-    withdrawalLimitService.resetUserToDefault(parseInt(userId));
+    await withdrawalLimitService.resetUserToDefault(parseInt(userId), req.user.id);
     
     return res.status(200).json({
       success: true,
@@ -259,6 +262,32 @@ exports.resetUserToDefault = async (req, res) => {
   }
 };
 
+/**
+ * Get audit trail of withdrawal limit changes for user
+ * GET /api/admin/withdrawal-limits/user/:userId/audit
+ */
+exports.getUserLimitAuditTrail = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    
+    const auditTrail = await withdrawalLimitService.getAuditTrail(parseInt(userId), { limit, offset });
+    
+    return res.status(200).json({
+      success: true,
+      ...auditTrail,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('[Withdrawal Limit Controller] Get audit trail error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get withdrawal limit audit trail'
+    });
+  }
+};
+
 /**
  * Check withdrawal limits (preview)
  * POST /api/admin/withdrawal-limits/check-limits
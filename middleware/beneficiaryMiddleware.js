@@ -0,0 +1,60 @@
+const payoutBeneficiaryService = require('../services/payoutBeneficiaryService');
+
+/**
+ * Beneficiary Middleware
+ *
+ * Lets withdrawal routes take a saved beneficiaryId instead of raw bank
+ * details. The beneficiary's details replace anything sent in the body so
+ * limits, fraud checks and 2FA all see the confirmed account.
+ */
+
+/**
+ * Resolve req.body.beneficiaryId into bank details
+ * @returns {Function} Express middleware function
+ */
+function resolveBeneficiary() {
+  return async (req, res, next) => {
+    try {
+      const { beneficiaryId, currency = 'NGN' } = req.body;
+
+      if (!beneficiaryId) {
+        if (payoutBeneficiaryService.config.requiredForWithdrawals) {
+          return res.status(400).json({
+            success: false,
+            message: 'Withdrawals must be sent to a saved bank account (beneficiaryId)'
+          });
+        }
+        return next();
+      }
+
+      const beneficiary = await payoutBeneficiaryService.resolveForWithdrawal(
+        req.user.id,
+        beneficiaryId,
+        currency
+      );
+      const bankAccount = beneficiary.toBankDetails();
+
+      Object.assign(req.body, {
+        bankName: bankAccount.bankName,
+        bankCode: bankAccount.bankCode,
+        accountNumber: bankAccount.accountNumber,
+        accountName: bankAccount.accountName,
+        bankAccount
+      });
+      req.beneficiary = beneficiary;
+
+      next();
+    } catch (error) {
+      console.error('[Beneficiary Middleware] Error:', error.message);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to load saved bank account',
+        ...(error.availableAt && { availableAt: error.availableAt })
+      });
+    }
+  };
+}
+
+module.exports = {
+  resolveBeneficiary: resolveBeneficiary()
+};
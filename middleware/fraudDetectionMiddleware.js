@@ -1,4 +1,4 @@
-const FraudDetectionService = require('../services/fraudDetectionService');
+const fraudDetectionService = require('../services/fraudDetectionService');
 
 /**
  * Fraud Detection Middleware
@@ -6,9 +6,6 @@ const FraudDetectionService = require('../services/fraudDetectionService');
  * Integrates fraud detection with financial operations
  */
 
-// Create singleton instance
-const fraudDetectionService = new FraudDetectionService();
-
 /**
  * Create fraud detection middleware for financial operations
  * @param {string} operationType - Type of operation (payment, withdrawal, transfer, etc.)
@@ -48,8 +45,11 @@ function createFraudDetectionMiddleware(operationType) {
       // Add fraud analysis to request for logging
       req.fraudAnalysis = analysis;
 
-      // Handle fraud detection result
-      if (!analysis.allowed) {
+      // High-risk withdrawals are held for manual review instead of rejected
+      if (!analysis.allowed && analysis.action === 'review' && operationType === 'withdrawal') {
+        console.warn(`[Fraud Detection Middleware] Withdrawal held for manual review for user ${userId}:`, analysis);
+        req.requiresManualReview = true;
+      } else if (!analysis.allowed) {
         console.warn(`[Fraud Detection Middleware] Transaction blocked for user ${userId}:`, analysis);
         
         return res.status(403).json({
@@ -1,6 +1,9 @@
 const Purchase = require('../models/Purchase');
 const Video = require('../models/Video');
 const LiveClass = require('../models/liveClass');
+const membershipService = require('../services/membershipService');
+const contentPricingService = require('../services/contentPricingService');
+const { recordView, resolveSource } = require('../services/videoAnalyticsService');
 const jwt = require('jsonwebtoken');
 
 /**
@@ -26,6 +29,33 @@ const extractUserFromToken = (req) => {
   }
 };
 
+/**
+ * Record that a viewer hit the paywall of a video, for preview-to-purchase conversion.
+ * Only the video page counts; the player's follow-up calls (/playback,
+ * /transcript, /position) hit the same paywall and would inflate previews.
+ */
+const recordPreview = (req, contentType, contentId, userId) => {
+  if (contentType !== 'video' || !req.tracksPreview) {
+    return;
+  }
+
+  recordView({
+    videoId: contentId,
+    userId,
+    ipAddress: req.headers['x-forwarded-for'] || req.connection.remoteAddress,
+    source: resolveSource(req.query.source, req.get('referer')),
+    isPreview: true
+  });
+};
+
+/**
+ * Mark the video page route so a paywall hit there is recorded as a preview
+ */
+exports.tracksPreview = (req, res, next) => {
+  req.tracksPreview = true;
+  next();
+};
+
 /**
  * Middleware to check if user has access to content
  * Checks if content is free or if user has purchased it
@@ -76,6 +106,7 @@ exports.checkContentAccess = async (req, res, next) => {
 
     // Check if user is authenticated
     if (!userId) {
+      recordPreview(req, contentType, contentId, null);
       return res.status(401).json({
         success: false,
         message: 'Authentication required to access paid content',
@@ -129,21 +160,71 @@ exports.checkContentAccess = async (req, res, next) => {
       req.hasAccess = true;
       req.accessReason = 'purchased';
       req.purchaseDate = purchase.createdAt;
+      req.pricingTierId = purchase.pricingTierId || null;
       console.log(`[Purchase Middleware] Access GRANTED for user ${userId}`);
       return next();
     }
 
+    // An active membership covering this content grants access
+    const membership = await membershipService.findAccessMembership(userId, content);
+
+    if (membership) {
+      req.hasAccess = true;
+      req.accessReason = 'membership';
+      req.membershipId = membership.id;
+      console.log(`[Purchase Middleware] Access GRANTED for user ${userId} via membership ${membership.id}`);
+      return next();
+    }
+
+    // Refunded or charged-back purchases no longer grant access
+    const revokedPurchase = await Purchase.findOne({
+      where: {
+        userId,
+        contentType,
+        contentId,
+        paymentStatus: ['refunded', 'disputed']
+      }
+    });
+
+    if (revokedPurchase) {
+      console.log(`[Purchase Middleware] Access REVOKED for user ${userId} (${revokedPurchase.paymentStatus})`);
+    }
+
+    const membershipPlans = await membershipService.getPlansForContent(content);
+
+    // Pay-what-you-want minimum/suggestion or tiers to choose from
+    const pricing = contentType === 'video'
+      ? await contentPricingService.describe(contentType, content)
+      : null;
+
+    recordPreview(req, contentType, contentId, userId);
+
     // User has not purchased - deny access
     return res.status(402).json({
       success: false,
-      message: 'Payment required to access this content',
+      message: revokedPurchase
+        ? `Access revoked: this purchase was ${revokedPurchase.paymentStatus}`
+        : 'Payment required to access this content',
+      ...(revokedPurchase && { accessRevoked: true, revokedReason: revokedPurchase.paymentStatus }),
       requiresPayment: true,
       price: content.price,
       currency: content.currency || 'NGN',
+      ...(pricing && {
+        pricingMode: pricing.pricingMode,
+        suggestedPrice: pricing.suggestedPrice,
+        tiers: pricing.tiers
+      }),
       contentType,
       contentId,
       title: content.title,
-      description: content.description
+      description: content.description,
+      membershipPlans: membershipPlans.map(plan => ({
+        id: plan.id,
+        name: plan.name,
+        interval: plan.interval,
+        price: plan.price,
+        currency: plan.currency
+      }))
     });
   } catch (error) {
     console.error('Access control error:', error);
@@ -211,6 +292,19 @@ exports.checkPurchaseStatus = async (req, res, next) => {
         };
         return next();
       }
+
+      const membership = await membershipService.findAccessMembership(userId, content);
+
+      if (membership) {
+        req.purchaseStatus = {
+          checked: true,
+          requiresPayment: false,
+          reason: 'membership',
+          membershipId: membership.id,
+          accessUntil: membership.currentPeriodEnd
+        };
+        return next();
+      }
     }
 
     // Requires payment
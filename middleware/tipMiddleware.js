@@ -0,0 +1,27 @@
+const { transfers } = require('./financialRateLimiter');
+const fraudDetectionMiddleware = require('./fraudDetectionMiddleware');
+
+/**
+ * Tip Middleware
+ *
+ * A wallet tip moves money from one user's wallet to another's, so it goes
+ * through the same transfer limits and fraud checks as /api/wallet/transfer.
+ * Card tips are screened like any other card payment.
+ */
+
+const isWalletTip = (req) => (req.body?.paymentMethod || 'wallet') === 'wallet';
+
+const walletTipLimiter = (req, res, next) => (isWalletTip(req) ? transfers(req, res, next) : next());
+
+const tipFraudDetection = (req, res, next) => (isWalletTip(req)
+  ? fraudDetectionMiddleware.transfers(req, res, next)
+  : fraudDetectionMiddleware.payments(req, res, next));
+
+// Run after authMiddleware and the payments limiter on every tip route
+const tipGuards = [walletTipLimiter, tipFraudDetection];
+
+module.exports = {
+  tipGuards,
+  walletTipLimiter,
+  tipFraudDetection
+};
@@ -0,0 +1,142 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🔄 Adding refund/dispute states to purchases...');
+
+    await queryInterface.sequelize.query(`
+      ALTER TYPE "enum_purchases_payment_status" ADD VALUE IF NOT EXISTS 'refunded';
+    `);
+    await queryInterface.sequelize.query(`
+      ALTER TYPE "enum_purchases_payment_status" ADD VALUE IF NOT EXISTS 'disputed';
+    `);
+
+    await queryInterface.addColumn('purchases', 'refunded_amount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Total amount refunded to the buyer so far (supports partial refunds)'
+    });
+
+    await queryInterface.addColumn('purchases', 'refunded_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('purchases', 'disputed_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    console.log('✅ Purchases table updated');
+
+    console.log('🔄 Creating purchase_refunds table...');
+
+    await queryInterface.createTable('purchase_refunds', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: Sequelize.literal('gen_random_uuid()')
+      },
+      purchase_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'purchases',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Amount returned to the buyer'
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      source: {
+        type: Sequelize.ENUM('gateway', 'dispute', 'admin'),
+        allowNull: false,
+        comment: 'What triggered the reversal'
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'processed', 'failed', 'reversed'),
+        allowNull: false,
+        defaultValue: 'pending',
+        comment: 'reversed = dispute won, clawback returned to payees'
+      },
+      gateway_refund_id: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        unique: true,
+        comment: 'Paystack/Stripe refund or dispute ID, used for idempotency'
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      initiated_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      breakdown: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        comment: 'Clawback split between creator, coupon partner, referral partner and platform'
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('NOW()')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('NOW()')
+      }
+    });
+
+    await queryInterface.addIndex('purchase_refunds', ['purchase_id'], {
+      name: 'idx_purchase_refunds_purchase_id'
+    });
+
+    await queryInterface.addIndex('purchase_refunds', ['status'], {
+      name: 'idx_purchase_refunds_status'
+    });
+
+    console.log('✅ Created purchase_refunds table');
+    console.log('✅ Migration completed successfully!');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    console.log('🔄 Dropping purchase_refunds table...');
+
+    await queryInterface.dropTable('purchase_refunds');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_purchase_refunds_source";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_purchase_refunds_status";');
+
+    await queryInterface.removeColumn('purchases', 'disputed_at');
+    await queryInterface.removeColumn('purchases', 'refunded_at');
+    await queryInterface.removeColumn('purchases', 'refunded_amount');
+
+    // PostgreSQL can't drop enum values; 'refunded'/'disputed' stay on enum_purchases_payment_status
+    console.log('Warning: Cannot remove enum values in PostgreSQL. Manual intervention required if rollback is needed.');
+    console.log('✅ Rollback completed successfully!');
+  }
+};
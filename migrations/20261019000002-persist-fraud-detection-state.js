@@ -0,0 +1,174 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🔄 Creating fraud_user_profiles table...');
+
+    await queryInterface.createTable('fraud_user_profiles', {
+      user_id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      risk_score: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Decayed running risk score (0-100)'
+      },
+      is_blocked: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      block_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      blocked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      baseline: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        comment: 'Behavioral baseline: avgAmount, avgTransactionsPerHour, typeFrequency, activeHours'
+      },
+      baseline_updated_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    console.log('✅ fraud_user_profiles table created');
+
+    console.log('🔄 Creating fraud_transaction_events table...');
+
+    await queryInterface.createTable('fraud_transaction_events', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      amount: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: false
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      type: {
+        type: Sequelize.STRING(30),
+        allowNull: false
+      },
+      risk_score: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      flags: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      occurred_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    try {
+      await queryInterface.addIndex('fraud_transaction_events', ['user_id', 'occurred_at']);
+      await queryInterface.addIndex('fraud_transaction_events', ['occurred_at']);
+    } catch (error) {
+      console.log('fraud_transaction_events indexes already exist');
+    }
+
+    console.log('✅ fraud_transaction_events table created');
+
+    console.log('🔄 Updating fraud_alerts for engine-generated alerts...');
+
+    // Alerts raised by the detection engine are not tied to a configured rule
+    await queryInterface.changeColumn('fraud_alerts', 'rule_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'fraud_rules',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+
+    await queryInterface.addColumn('fraud_alerts', 'severity', {
+      type: Sequelize.STRING(20),
+      allowNull: false,
+      defaultValue: 'medium'
+    });
+
+    await queryInterface.addColumn('fraud_alerts', 'details', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    });
+
+    try {
+      await queryInterface.addIndex('fraud_alerts', ['alert_type']);
+    } catch (error) {
+      console.log('Index fraud_alerts_alert_type already exists');
+    }
+
+    console.log('✅ fraud_alerts table updated');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('fraud_alerts', 'details');
+    await queryInterface.removeColumn('fraud_alerts', 'severity');
+    await queryInterface.sequelize.query(`DELETE FROM fraud_alerts WHERE rule_id IS NULL;`);
+    await queryInterface.changeColumn('fraud_alerts', 'rule_id', {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'fraud_rules',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+
+    await queryInterface.dropTable('fraud_transaction_events');
+    await queryInterface.dropTable('fraud_user_profiles');
+  }
+};
@@ -0,0 +1,205 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🔄 Extending manual_review_queue for persisted review workflow...');
+
+    // Withdrawals are reviewed before any financial transaction row exists
+    await queryInterface.changeColumn('manual_review_queue', 'transaction_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'financial_transactions',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+
+    await queryInterface.addColumn('manual_review_queue', 'payout_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'payouts',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Withdrawal held until the review is decided'
+    });
+
+    await queryInterface.addColumn('manual_review_queue', 'data', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    });
+
+    await queryInterface.addColumn('manual_review_queue', 'metadata', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    });
+
+    await queryInterface.addColumn('manual_review_queue', 'assigned_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('manual_review_queue', 'sla_deadline', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('manual_review_queue', 'escalation_time', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('manual_review_queue', 'sla_violated_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('manual_review_queue', 'escalated', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    await queryInterface.addColumn('manual_review_queue', 'escalation_history', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: []
+    });
+
+    await queryInterface.addColumn('manual_review_queue', 'decision', {
+      type: Sequelize.STRING(20),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('manual_review_queue', 'updated_at', {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.NOW
+    });
+
+    const indexesToCreate = [
+      ['payout_id'],
+      ['user_id'],
+      ['sla_deadline'],
+      ['escalation_time']
+    ];
+
+    for (const fields of indexesToCreate) {
+      try {
+        await queryInterface.addIndex('manual_review_queue', fields);
+      } catch (error) {
+        console.log(`Index manual_review_queue_${fields.join('_')} already exists`);
+      }
+    }
+
+    console.log('✅ manual_review_queue table updated');
+
+    console.log('🔄 Creating manual_review_decisions table...');
+
+    await queryInterface.createTable('manual_review_decisions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      review_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'manual_review_queue',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      reviewer_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      action: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      review_duration: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Milliseconds between assignment and decision'
+      },
+      sla_met: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    try {
+      await queryInterface.addIndex('manual_review_decisions', ['review_id']);
+      await queryInterface.addIndex('manual_review_decisions', ['reviewer_id']);
+    } catch (error) {
+      console.log('manual_review_decisions indexes already exist');
+    }
+
+    console.log('✅ manual_review_decisions table created');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('manual_review_decisions');
+
+    const columns = [
+      'updated_at',
+      'decision',
+      'escalation_history',
+      'escalated',
+      'sla_violated_at',
+      'escalation_time',
+      'sla_deadline',
+      'assigned_at',
+      'metadata',
+      'data',
+      'payout_id'
+    ];
+
+    for (const column of columns) {
+      await queryInterface.removeColumn('manual_review_queue', column);
+    }
+
+    await queryInterface.sequelize.query(`DELETE FROM manual_review_queue WHERE transaction_id IS NULL;`);
+    await queryInterface.changeColumn('manual_review_queue', 'transaction_id', {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'financial_transactions',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+  }
+};
@@ -0,0 +1,242 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🔄 Creating withdrawal_limit_profiles table...');
+
+    await queryInterface.createTable('withdrawal_limit_profiles', {
+      user_id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      tier: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'default'
+      },
+      suspended: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      suspension_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      suspended_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      suspended_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    console.log('✅ withdrawal_limit_profiles table created');
+
+    console.log('🔄 Creating withdrawal_limit_overrides table...');
+
+    await queryInterface.createTable('withdrawal_limit_overrides', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      override_type: {
+        type: Sequelize.ENUM('custom', 'admin_override'),
+        allowNull: false
+      },
+      daily_limit: {
+        type: Sequelize.DECIMAL(20, 2),
+        allowNull: true,
+        comment: 'NULL falls back to the tier limit'
+      },
+      monthly_limit: {
+        type: Sequelize.DECIMAL(20, 2),
+        allowNull: true
+      },
+      single_limit: {
+        type: Sequelize.DECIMAL(20, 2),
+        allowNull: true
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'NULL means the limits apply until revoked'
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      revoked_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      revoke_reason: {
+        type: Sequelize.STRING(30),
+        allowNull: true,
+        comment: 'superseded, reset or expired'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    try {
+      await queryInterface.addIndex('withdrawal_limit_overrides', ['user_id', 'currency', 'override_type']);
+      await queryInterface.addIndex('withdrawal_limit_overrides', ['expires_at']);
+    } catch (error) {
+      console.log('withdrawal_limit_overrides indexes already exist');
+    }
+
+    console.log('✅ withdrawal_limit_overrides table created');
+
+    console.log('🔄 Creating withdrawal_limit_audit_logs table...');
+
+    await queryInterface.createTable('withdrawal_limit_audit_logs', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      action: {
+        type: Sequelize.STRING(30),
+        allowNull: false
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: true
+      },
+      previous_value: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      new_value: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      performed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Admin user ID, NULL for system actions such as expiry',
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    try {
+      await queryInterface.addIndex('withdrawal_limit_audit_logs', ['user_id', 'created_at']);
+    } catch (error) {
+      console.log('withdrawal_limit_audit_logs indexes already exist');
+    }
+
+    console.log('✅ withdrawal_limit_audit_logs table created');
+
+    // Usage is summed from payouts per user, currency and window
+    try {
+      await queryInterface.addIndex('payouts', ['user_id', 'currency', 'created_at']);
+    } catch (error) {
+      console.log('Index payouts_user_id_currency_created_at already exists');
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.removeIndex('payouts', ['user_id', 'currency', 'created_at']);
+    } catch (error) {
+      console.log('Index payouts_user_id_currency_created_at does not exist');
+    }
+
+    await queryInterface.dropTable('withdrawal_limit_audit_logs');
+    await queryInterface.dropTable('withdrawal_limit_overrides');
+    await queryInterface.dropTable('withdrawal_limit_profiles');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_withdrawal_limit_overrides_override_type";');
+  }
+};
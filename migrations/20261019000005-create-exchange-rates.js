@@ -0,0 +1,176 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🔄 Creating exchange_rates table...');
+
+    await queryInterface.createTable('exchange_rates', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      base_currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: 'USD'
+      },
+      quote_currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      rate: {
+        type: Sequelize.DECIMAL(20, 8),
+        allowNull: false,
+        comment: 'Units of quote currency per 1 unit of base currency'
+      },
+      source: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'Provider name, or admin for manual overrides'
+      },
+      is_override: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      effective_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    try {
+      await queryInterface.addIndex('exchange_rates', ['base_currency', 'quote_currency', 'effective_at']);
+      await queryInterface.addIndex('exchange_rates', ['source']);
+    } catch (error) {
+      console.log('exchange_rates indexes already exist');
+    }
+
+    console.log('✅ exchange_rates table created');
+
+    console.log('🔄 Creating exchange_rate_locks table...');
+
+    await queryInterface.createTable('exchange_rate_locks', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      base_currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: 'USD'
+      },
+      quote_currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      exchange_rate_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'exchange_rates',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Rate pinned while the lock is active'
+      },
+      locked_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      unlocked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      unlocked_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    try {
+      await queryInterface.addIndex('exchange_rate_locks', ['base_currency', 'quote_currency', 'unlocked_at']);
+    } catch (error) {
+      console.log('exchange_rate_locks indexes already exist');
+    }
+
+    console.log('✅ exchange_rate_locks table created');
+
+    console.log('🔄 Adding exchange rate snapshots to purchases and financial_transactions...');
+
+    await queryInterface.addColumn('purchases', 'exchange_rate_snapshot', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      comment: 'Rate used when the price was converted from the content currency'
+    });
+
+    await queryInterface.addColumn('financial_transactions', 'exchange_rate_snapshot', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      comment: 'Rate used when the amount was converted from another currency'
+    });
+
+    console.log('✅ Exchange rate snapshot columns added');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('financial_transactions', 'exchange_rate_snapshot');
+    await queryInterface.removeColumn('purchases', 'exchange_rate_snapshot');
+    await queryInterface.dropTable('exchange_rate_locks');
+    await queryInterface.dropTable('exchange_rates');
+  }
+};
@@ -0,0 +1,109 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🔄 Creating currency_conversions table...');
+
+    await queryInterface.createTable('currency_conversions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      from_currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      to_currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      source_amount: {
+        type: Sequelize.DECIMAL(20, 2),
+        allowNull: false,
+        comment: 'Amount debited from the source wallet'
+      },
+      fee_amount: {
+        type: Sequelize.DECIMAL(20, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Spread fee, in the source currency'
+      },
+      target_amount: {
+        type: Sequelize.DECIMAL(20, 2),
+        allowNull: false,
+        comment: 'Amount credited to the target wallet'
+      },
+      market_rate: {
+        type: Sequelize.DECIMAL(20, 8),
+        allowNull: false,
+        comment: 'Units of to_currency per 1 from_currency before the spread'
+      },
+      spread_percent: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      exchange_rate_snapshot: {
+        type: Sequelize.JSONB,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('quoted', 'completed', 'expired', 'rejected'),
+        allowNull: false,
+        defaultValue: 'quoted'
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      rejection_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    try {
+      await queryInterface.addIndex('currency_conversions', ['user_id', 'created_at']);
+      await queryInterface.addIndex('currency_conversions', ['status', 'expires_at']);
+    } catch (error) {
+      console.log('currency_conversions indexes already exist');
+    }
+
+    console.log('✅ currency_conversions table created');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('currency_conversions');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_currency_conversions_status";');
+  }
+};
@@ -0,0 +1,232 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🔄 Creating membership_plans table...');
+
+    await queryInterface.createTable('membership_plans', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      creator_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      interval: {
+        type: Sequelize.ENUM('monthly', 'yearly'),
+        allowNull: false
+      },
+      price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        comment: 'NGN plans bill through Paystack, USD plans through Stripe'
+      },
+      access_scope: {
+        type: Sequelize.ENUM('all', 'tagged'),
+        allowNull: false,
+        defaultValue: 'all'
+      },
+      content_tags: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'For tagged plans: video tags or live class categories that are unlocked'
+      },
+      paystack_plan_code: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      stripe_product_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      stripe_price_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    try {
+      await queryInterface.addIndex('membership_plans', ['creator_id', 'is_active']);
+      await queryInterface.addIndex('membership_plans', ['paystack_plan_code']);
+    } catch (error) {
+      console.log('membership_plans indexes already exist');
+    }
+
+    console.log('✅ membership_plans table created');
+
+    console.log('🔄 Creating memberships table...');
+
+    await queryInterface.createTable('memberships', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      plan_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'membership_plans',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      creator_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'active', 'past_due', 'cancelled', 'expired'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      gateway: {
+        type: Sequelize.ENUM('paystack', 'stripe'),
+        allowNull: false
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      current_period_start: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      current_period_end: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Access is granted until this date'
+      },
+      cancel_at_period_end: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      cancelled_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      paystack_subscription_code: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      paystack_email_token: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      paystack_customer_code: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      stripe_subscription_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      stripe_customer_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    try {
+      await queryInterface.addIndex('memberships', ['user_id', 'creator_id', 'status']);
+      await queryInterface.addIndex('memberships', ['plan_id']);
+      await queryInterface.addIndex('memberships', ['paystack_subscription_code']);
+      await queryInterface.addIndex('memberships', ['stripe_subscription_id']);
+    } catch (error) {
+      console.log('memberships indexes already exist');
+    }
+
+    console.log('✅ memberships table created');
+
+    console.log('🔄 Adding membership to purchase content types...');
+
+    await queryInterface.sequelize.query(`
+      ALTER TYPE "enum_purchases_content_type" ADD VALUE IF NOT EXISTS 'membership';
+    `);
+
+    console.log('✅ Purchase content types updated');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    // Postgres cannot drop a single enum value; 'membership' stays on enum_purchases_content_type
+    await queryInterface.dropTable('memberships');
+    await queryInterface.dropTable('membership_plans');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_memberships_status";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_memberships_gateway";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_membership_plans_interval";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_membership_plans_access_scope";');
+  }
+};
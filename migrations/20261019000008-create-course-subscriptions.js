@@ -0,0 +1,160 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🔄 Creating course_subscriptions table...');
+
+    await queryInterface.createTable('course_subscriptions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      enrollment_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'course_enrollments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      access_type: {
+        type: Sequelize.ENUM('monthly', 'yearly'),
+        allowNull: false
+      },
+      gateway: {
+        type: Sequelize.ENUM('paystack', 'stripe'),
+        allowNull: false
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'past_due', 'cancelled', 'expired'),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      auto_renew: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      current_period_end: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        comment: 'End of the paid period; renewal is charged shortly before this'
+      },
+      grace_ends_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Access is kept until this date while renewal retries run'
+      },
+      failed_attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      next_retry_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_attempt_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_failure_reason: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      last_renewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      cancelled_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      paystack_authorization_code: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      paystack_email: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        comment: 'Email the Paystack authorization was issued to'
+      },
+      stripe_customer_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      stripe_payment_method_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      card_brand: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      card_last4: {
+        type: Sequelize.STRING(4),
+        allowNull: true
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    try {
+      await queryInterface.addIndex('course_subscriptions', ['user_id']);
+      await queryInterface.addIndex('course_subscriptions', ['status', 'auto_renew', 'current_period_end']);
+      await queryInterface.addIndex('course_subscriptions', ['status', 'next_retry_at']);
+    } catch (error) {
+      console.log('course_subscriptions indexes already exist');
+    }
+
+    console.log('✅ course_subscriptions table created');
+
+    console.log('🔄 Allowing purchases without content (all-access passes)...');
+
+    await queryInterface.changeColumn('purchases', 'content_id', {
+      type: Sequelize.UUID,
+      allowNull: true
+    });
+
+    console.log('✅ purchases.content_id is now nullable');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    // purchases.content_id is left nullable: pass purchases already rely on it
+    await queryInterface.dropTable('course_subscriptions');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_course_subscriptions_access_type";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_course_subscriptions_gateway";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_course_subscriptions_status";');
+  }
+};
@@ -0,0 +1,229 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🔄 Creating payout_schedules table...');
+
+    await queryInterface.createTable('payout_schedules', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      frequency: {
+        type: Sequelize.ENUM('weekly', 'monthly'),
+        allowNull: false
+      },
+      minimum_amount: {
+        type: Sequelize.DECIMAL(20, 2),
+        allowNull: false,
+        comment: 'Available balance must reach this before a payout is sent'
+      },
+      bank_name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      bank_code: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      account_number: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      account_name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      verified_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Payouts only run to verified accounts'
+      },
+      verification_method: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      verified_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      next_run_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      last_run_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_outcome: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      last_outcome_reason: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    try {
+      await queryInterface.addIndex('payout_schedules', ['user_id', 'currency'], { unique: true });
+      await queryInterface.addIndex('payout_schedules', ['is_active', 'next_run_at']);
+    } catch (error) {
+      console.log('payout_schedules indexes already exist');
+    }
+
+    console.log('✅ payout_schedules table created');
+
+    console.log('🔄 Creating payout_batches table...');
+
+    await queryInterface.createTable('payout_batches', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      status: {
+        type: Sequelize.ENUM('running', 'completed', 'failed'),
+        allowNull: false,
+        defaultValue: 'running'
+      },
+      triggered_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Admin who started the run; null for the scheduler',
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      schedule_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      paid_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      held_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      skipped_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      failed_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      totals: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        comment: 'Amount paid out per currency'
+      },
+      items: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Per-schedule outcome: paid, held, skipped or failed, with reason'
+      },
+      error_message: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    try {
+      await queryInterface.addIndex('payout_batches', ['started_at']);
+    } catch (error) {
+      console.log('payout_batches indexes already exist');
+    }
+
+    console.log('✅ payout_batches table created');
+
+    console.log('🔄 Linking payouts to scheduled payout batches...');
+
+    await queryInterface.addColumn('payouts', 'payout_batch_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'payout_batches',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    console.log('✅ payouts.payout_batch_id added');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('payouts', 'payout_batch_id');
+    await queryInterface.dropTable('payout_batches');
+    await queryInterface.dropTable('payout_schedules');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_payout_batches_status";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_payout_schedules_frequency";');
+  }
+};
@@ -0,0 +1,132 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🔄 Creating payout_beneficiaries table...');
+
+    await queryInterface.createTable('payout_beneficiaries', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      nickname: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      bank_name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      bank_code: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      account_number: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      account_name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      routing_number: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      country: {
+        type: Sequelize.STRING(2),
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'active', 'removed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      verification_method: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      verified_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      confirmation_id: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        comment: 'withdrawal_otps.withdrawalId of the latest OTP sent for this account'
+      },
+      confirmed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      cooldown_ends_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Withdrawals to a new account are blocked until this time'
+      },
+      paystack_recipient_code: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      removed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    try {
+      await queryInterface.addIndex('payout_beneficiaries', ['user_id', 'status']);
+      await queryInterface.addIndex('payout_beneficiaries', ['user_id', 'currency', 'account_number']);
+    } catch (error) {
+      console.log('payout_beneficiaries indexes already exist');
+    }
+
+    console.log('✅ payout_beneficiaries table created');
+
+    console.log('🔄 Linking payouts to beneficiaries...');
+
+    await queryInterface.addColumn('payouts', 'beneficiary_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'payout_beneficiaries',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    console.log('✅ payouts.beneficiary_id added');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('payouts', 'beneficiary_id');
+    await queryInterface.dropTable('payout_beneficiaries');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_payout_beneficiaries_status";');
+  }
+};
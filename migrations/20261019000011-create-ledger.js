@@ -0,0 +1,210 @@
+'use strict';
+
+const crypto = require('crypto');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🔄 Creating ledger_journals table...');
+
+    await queryInterface.createTable('ledger_journals', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      entry_type: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'earning, topup, commission, fee, withdrawal_lock, withdrawal, conversion, refund, ...'
+      },
+      reference: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      posted_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    console.log('🔄 Creating ledger_entries table...');
+
+    await queryInterface.createTable('ledger_entries', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      journal_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'ledger_journals',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      account_code: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: 'e.g. wallet:<id>:available, platform_fee:NGN, gateway_clearing:paystack:NGN'
+      },
+      account_type: {
+        type: Sequelize.STRING(30),
+        allowNull: false
+      },
+      wallet_account_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'wallet_accounts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      direction: {
+        type: Sequelize.ENUM('debit', 'credit'),
+        allowNull: false
+      },
+      amount: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        comment: 'Smallest currency unit (kobo/cents), always positive'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    try {
+      await queryInterface.addIndex('ledger_journals', ['reference']);
+      await queryInterface.addIndex('ledger_journals', ['entry_type', 'posted_at']);
+      await queryInterface.addIndex('ledger_entries', ['journal_id']);
+      await queryInterface.addIndex('ledger_entries', ['wallet_account_id', 'account_type']);
+      await queryInterface.addIndex('ledger_entries', ['account_code']);
+    } catch (error) {
+      console.log('ledger indexes already exist');
+    }
+
+    console.log('✅ Ledger tables created');
+
+    // Existing balances predate the journal; open them against an
+    // opening_balance account so reconciliation starts from zero difference
+    console.log('🔄 Posting opening balances for existing wallets...');
+
+    const [wallets] = await queryInterface.sequelize.query(
+      `SELECT id, user_id, currency, balance_available, balance_pending
+       FROM wallet_accounts
+       WHERE balance_available <> 0 OR balance_pending <> 0`
+    );
+
+    const now = new Date();
+    const journals = [];
+    const entries = [];
+
+    for (const wallet of wallets) {
+      const journalId = crypto.randomUUID();
+      const buckets = [
+        ['available', 'user_available', parseInt(wallet.balance_available) || 0],
+        ['escrow', 'user_escrow', parseInt(wallet.balance_pending) || 0]
+      ];
+      let total = 0;
+
+      journals.push({
+        id: journalId,
+        entry_type: 'opening_balance',
+        reference: `opening_${wallet.id}`,
+        description: 'Opening balance at ledger launch',
+        user_id: wallet.user_id,
+        posted_at: now,
+        created_at: now,
+        updated_at: now
+      });
+
+      for (const [bucket, accountType, amount] of buckets) {
+        if (amount === 0) continue;
+        total += amount;
+        entries.push({
+          id: crypto.randomUUID(),
+          journal_id: journalId,
+          account_code: `wallet:${wallet.id}:${bucket}`,
+          account_type: accountType,
+          wallet_account_id: wallet.id,
+          currency: wallet.currency,
+          direction: amount > 0 ? 'credit' : 'debit',
+          amount: Math.abs(amount),
+          created_at: now,
+          updated_at: now
+        });
+      }
+
+      entries.push({
+        id: crypto.randomUUID(),
+        journal_id: journalId,
+        account_code: `opening_balance:${wallet.currency}`,
+        account_type: 'opening_balance',
+        wallet_account_id: null,
+        currency: wallet.currency,
+        direction: total > 0 ? 'debit' : 'credit',
+        amount: Math.abs(total),
+        created_at: now,
+        updated_at: now
+      });
+    }
+
+    if (journals.length > 0) {
+      await queryInterface.bulkInsert('ledger_journals', journals);
+      await queryInterface.bulkInsert('ledger_entries', entries);
+    }
+
+    console.log(`✅ Opening balances posted for ${journals.length} wallets`);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('ledger_entries');
+    await queryInterface.dropTable('ledger_journals');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_ledger_entries_direction";');
+  }
+};
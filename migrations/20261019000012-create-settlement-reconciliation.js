@@ -0,0 +1,192 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🔄 Creating settlement_reconciliation_runs table...');
+
+    await queryInterface.createTable('settlement_reconciliation_runs', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      gateway: {
+        type: Sequelize.ENUM('paystack', 'stripe'),
+        allowNull: false
+      },
+      file_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      format: {
+        type: Sequelize.ENUM('csv', 'json'),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('processing', 'completed', 'failed'),
+        allowNull: false,
+        defaultValue: 'processing'
+      },
+      period_start: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      period_end: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      rows_imported: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      matched_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      mismatch_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      missing_internal_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      missing_in_gateway_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      duplicate_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      totals: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        comment: 'Per-currency gateway vs internal totals'
+      },
+      triggered_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      error_message: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    console.log('🔄 Creating settlement_reconciliation_items table...');
+
+    await queryInterface.createTable('settlement_reconciliation_items', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      run_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'settlement_reconciliation_runs',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      record_type: {
+        type: Sequelize.ENUM('payment', 'transfer'),
+        allowNull: false
+      },
+      reference: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('matched', 'amount_mismatch', 'missing_internal', 'missing_in_gateway', 'duplicate'),
+        allowNull: false
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: true
+      },
+      gateway_amount: {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+        comment: 'Smallest currency unit (kobo/cents)'
+      },
+      internal_amount: {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+        comment: 'Smallest currency unit (kobo/cents)'
+      },
+      internal_type: {
+        type: Sequelize.STRING(30),
+        allowNull: true,
+        comment: 'purchase, wallet_transaction or payout'
+      },
+      internal_id: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      details: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    try {
+      await queryInterface.addIndex('settlement_reconciliation_runs', ['gateway', 'created_at']);
+      await queryInterface.addIndex('settlement_reconciliation_items', ['run_id', 'status']);
+      await queryInterface.addIndex('settlement_reconciliation_items', ['reference']);
+    } catch (error) {
+      console.log('settlement reconciliation indexes already exist');
+    }
+
+    console.log('✅ Settlement reconciliation tables created');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('settlement_reconciliation_items');
+    await queryInterface.dropTable('settlement_reconciliation_runs');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_settlement_reconciliation_items_status";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_settlement_reconciliation_items_record_type";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_settlement_reconciliation_runs_status";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_settlement_reconciliation_runs_format";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_settlement_reconciliation_runs_gateway";');
+  }
+};
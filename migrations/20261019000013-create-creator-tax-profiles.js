@@ -0,0 +1,122 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🔄 Creating creator_tax_profiles table...');
+
+    await queryInterface.createTable('creator_tax_profiles', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      legal_name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      business_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      entity_type: {
+        type: Sequelize.ENUM('individual', 'business'),
+        allowNull: false,
+        defaultValue: 'individual'
+      },
+      country: {
+        type: Sequelize.STRING(2),
+        allowNull: false,
+        comment: 'ISO 3166-1 alpha-2 country of tax residence'
+      },
+      tax_id_type: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: 'TIN, SSN, EIN, ITIN, VAT or FOREIGN_TIN'
+      },
+      tax_id: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      form_type: {
+        type: Sequelize.ENUM('none', 'W-9', 'W-8BEN', 'W-8BEN-E'),
+        allowNull: false,
+        defaultValue: 'none'
+      },
+      us_person: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      address_line1: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      address_line2: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      city: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      state: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      postal_code: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      treaty_country: {
+        type: Sequelize.STRING(2),
+        allowNull: true
+      },
+      treaty_article: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      withholding_rate: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: true,
+        comment: 'Claimed treaty withholding rate (percent)'
+      },
+      certified_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      certified_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    console.log('✅ Creator tax profiles table created');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('creator_tax_profiles');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_creator_tax_profiles_entity_type";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_creator_tax_profiles_form_type";');
+  }
+};
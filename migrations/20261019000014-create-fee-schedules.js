@@ -0,0 +1,155 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🔄 Creating fee_schedules table...');
+
+    await queryInterface.createTable('fee_schedules', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      content_type: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+        comment: 'video, live_class, live_series, course, freebie, membership; null = any'
+      },
+      creator_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Negotiated rate for one creator; null = all creators'
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: true
+      },
+      percentage: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: false,
+        comment: 'Platform fee as a percentage of the sale'
+      },
+      fixed_fee: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      tiers: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        comment: '[{ minVolume, percentage }] by month-to-date gross sales'
+      },
+      priority: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      starts_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      ends_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    try {
+      await queryInterface.addIndex('fee_schedules', ['is_active', 'content_type']);
+      await queryInterface.addIndex('fee_schedules', ['creator_id']);
+    } catch (error) {
+      console.log('fee_schedules indexes already exist');
+    }
+
+    console.log('🔄 Adding fee columns to purchases...');
+
+    await queryInterface.addColumn('purchases', 'creator_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('purchases', 'platform_fee', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    await queryInterface.addColumn('purchases', 'fee_schedule_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'fee_schedules',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('purchases', 'fee_rule', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      comment: 'Snapshot of the fee rule applied to the sale'
+    });
+
+    try {
+      await queryInterface.addIndex('purchases', ['creator_id', 'currency', 'created_at']);
+    } catch (error) {
+      console.log('purchases creator index already exists');
+    }
+
+    console.log('✅ Fee schedules created');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('purchases', 'fee_rule');
+    await queryInterface.removeColumn('purchases', 'fee_schedule_id');
+    await queryInterface.removeColumn('purchases', 'platform_fee');
+    await queryInterface.removeColumn('purchases', 'creator_id');
+    await queryInterface.dropTable('fee_schedules');
+  }
+};
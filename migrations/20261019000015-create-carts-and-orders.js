@@ -0,0 +1,276 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🔄 Creating cart_items table...');
+
+    await queryInterface.createTable('cart_items', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      content_type: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: 'video, live_class, live_series or freebie'
+      },
+      content_id: {
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      coupon_code: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    try {
+      await queryInterface.addIndex('cart_items', ['user_id', 'content_type', 'content_id'], { unique: true });
+    } catch (error) {
+      console.log('cart_items index already exists');
+    }
+
+    console.log('🔄 Creating orders table...');
+
+    await queryInterface.createTable('orders', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      reference: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        unique: true,
+        comment: 'Our order reference; item purchases use <reference>-<position>'
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      payment_gateway: {
+        type: Sequelize.ENUM('paystack', 'stripe'),
+        allowNull: false
+      },
+      gateway_reference: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        unique: true,
+        comment: 'Paystack transaction reference or Stripe Checkout Session ID'
+      },
+      subtotal: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      discount_total: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      total: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'paid', 'failed', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      paid_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      failure_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    try {
+      await queryInterface.addIndex('orders', ['user_id', 'status']);
+    } catch (error) {
+      console.log('orders index already exists');
+    }
+
+    console.log('🔄 Creating order_items table...');
+
+    await queryInterface.createTable('order_items', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      order_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      position: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      content_type: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      content_id: {
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      creator_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      title: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      original_price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Price in the order currency before the coupon'
+      },
+      discount_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Price paid for this item'
+      },
+      coupon_id: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      coupon_code: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      partner_commission: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      },
+      coupon_partner_user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      exchange_rate_snapshot: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      purchase_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'purchases',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    try {
+      await queryInterface.addIndex('order_items', ['order_id', 'position'], { unique: true });
+      await queryInterface.addIndex('order_items', ['creator_id']);
+    } catch (error) {
+      console.log('order_items indexes already exist');
+    }
+
+    console.log('🔄 Adding order_id to purchases...');
+
+    await queryInterface.addColumn('purchases', 'order_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'orders',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    try {
+      await queryInterface.addIndex('purchases', ['order_id']);
+    } catch (error) {
+      console.log('purchases order index already exists');
+    }
+
+    console.log('✅ Carts and orders created');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('purchases', 'order_id');
+    await queryInterface.dropTable('order_items');
+    await queryInterface.dropTable('orders');
+    await queryInterface.dropTable('cart_items');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_orders_payment_gateway";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_orders_status";');
+  }
+};
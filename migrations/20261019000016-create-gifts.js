@@ -0,0 +1,144 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🔄 Creating gifts table...');
+
+    await queryInterface.createTable('gifts', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      purchaser_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      recipient_email: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      recipient_name: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      message: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      content_type: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: 'video, live_series or course'
+      },
+      content_id: {
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      content_title: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      payment_gateway: {
+        type: Sequelize.ENUM('paystack', 'stripe'),
+        allowNull: false
+      },
+      payment_reference: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        unique: true,
+        comment: 'Gateway reference; the recipient purchase reuses it on redemption'
+      },
+      payment_metadata: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        comment: 'Gateway metadata (coupon, exchange rate) replayed when the gift is redeemed'
+      },
+      code: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+        unique: true
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'active', 'redeemed', 'expired', 'refunded'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      redeemed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      redeemed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      purchase_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'purchases',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      refunded_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      gateway_refund_id: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    try {
+      await queryInterface.addIndex('gifts', ['purchaser_id', 'status']);
+      await queryInterface.addIndex('gifts', ['status', 'expires_at']);
+    } catch (error) {
+      console.log('gifts indexes already exist');
+    }
+
+    console.log('✅ Gifts table created');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('gifts');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_gifts_payment_gateway";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_gifts_status";');
+  }
+};
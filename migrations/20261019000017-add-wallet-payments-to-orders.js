@@ -0,0 +1,52 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🔄 Adding wallet as a payment method...');
+
+    // Orders paid entirely from the buyer's wallet, and the purchases and
+    // wallet transactions they produce, record 'wallet' as their gateway
+    await queryInterface.sequelize.query(`
+      ALTER TYPE "enum_orders_payment_gateway" ADD VALUE IF NOT EXISTS 'wallet';
+    `);
+    await queryInterface.sequelize.query(`
+      ALTER TYPE "enum_purchases_payment_gateway" ADD VALUE IF NOT EXISTS 'wallet';
+    `);
+    await queryInterface.sequelize.query(`
+      ALTER TYPE "enum_financial_transactions_gateway" ADD VALUE IF NOT EXISTS 'wallet';
+    `);
+
+    console.log('🔄 Adding wallet funding to orders...');
+
+    await queryInterface.addColumn('orders', 'wallet_amount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Part of the total paid from the buyer\'s wallet; the rest goes through the gateway'
+    });
+
+    await queryInterface.addColumn('orders', 'wallet_status', {
+      type: Sequelize.ENUM('none', 'held', 'captured', 'released'),
+      allowNull: false,
+      defaultValue: 'none',
+      comment: 'held: locked in escrow while the card payment is pending'
+    });
+
+    try {
+      await queryInterface.addIndex('orders', ['wallet_status', 'status']);
+    } catch (error) {
+      console.log('orders wallet_status index already exists');
+    }
+
+    console.log('✅ Orders table updated');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('orders', 'wallet_status');
+    await queryInterface.removeColumn('orders', 'wallet_amount');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_orders_wallet_status";');
+
+    // PostgreSQL can't drop enum values; 'wallet' stays on the gateway enums
+    console.log('Warning: Cannot remove enum value in PostgreSQL. Manual intervention required if rollback is needed.');
+  }
+};
@@ -0,0 +1,121 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🔄 Creating tips table...');
+
+    await queryInterface.createTable('tips', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      tipper_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      creator_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      content_type: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: 'video, live_class or live_session'
+      },
+      content_id: {
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      platform_fee: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      creator_net: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      message: {
+        type: Sequelize.STRING(280),
+        allowNull: true
+      },
+      anonymous: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      payment_method: {
+        type: Sequelize.ENUM('wallet', 'paystack', 'stripe'),
+        allowNull: false
+      },
+      payment_reference: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        unique: true
+      },
+      gateway_reference: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        unique: true,
+        comment: 'Paystack reference or Stripe Checkout Session ID for card tips'
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'completed', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      paid_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    try {
+      await queryInterface.addIndex('tips', ['creator_id', 'status', 'created_at']);
+      await queryInterface.addIndex('tips', ['tipper_id', 'created_at']);
+      await queryInterface.addIndex('tips', ['content_type', 'content_id']);
+    } catch (error) {
+      console.log('tips indexes already exist');
+    }
+
+    console.log('✅ Tips table created');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('tips');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_tips_payment_method";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_tips_status";');
+  }
+};
@@ -0,0 +1,156 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🔄 Adding pricing modes to videos and freebies...');
+
+    for (const table of ['videos', 'freebies']) {
+      await queryInterface.addColumn(table, 'pricing_mode', {
+        type: Sequelize.ENUM('fixed', 'pay_what_you_want', 'tiered'),
+        allowNull: false,
+        defaultValue: 'fixed',
+        comment: 'pay_what_you_want: price is the minimum; tiered: price is the cheapest tier'
+      });
+
+      await queryInterface.addColumn(table, 'suggested_price', {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Amount pre-filled for pay-what-you-want buyers'
+      });
+    }
+
+    console.log('🔄 Creating pricing_tiers table...');
+
+    await queryInterface.createTable('pricing_tiers', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      content_type: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: 'video or freebie'
+      },
+      content_id: {
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      position: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    console.log('🔄 Creating pricing_tier_items table...');
+
+    await queryInterface.createTable('pricing_tier_items', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      pricing_tier_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'pricing_tiers',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      freebie_item_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'freebie_items',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    console.log('🔄 Recording the tier on purchases, freebie access and orders...');
+
+    for (const table of ['purchases', 'freebie_access', 'order_items', 'cart_items']) {
+      await queryInterface.addColumn(table, 'pricing_tier_id', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'pricing_tiers',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      });
+    }
+
+    await queryInterface.addColumn('cart_items', 'chosen_amount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Pay-what-you-want amount in the content\'s currency'
+    });
+
+    try {
+      await queryInterface.addIndex('pricing_tiers', ['content_type', 'content_id', 'position']);
+      await queryInterface.addIndex('pricing_tier_items', ['pricing_tier_id', 'freebie_item_id'], { unique: true });
+      await queryInterface.addIndex('pricing_tier_items', ['freebie_item_id']);
+    } catch (error) {
+      console.log('pricing tier indexes already exist');
+    }
+
+    console.log('✅ Flexible pricing added');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('cart_items', 'chosen_amount');
+
+    for (const table of ['purchases', 'freebie_access', 'order_items', 'cart_items']) {
+      await queryInterface.removeColumn(table, 'pricing_tier_id');
+    }
+
+    await queryInterface.dropTable('pricing_tier_items');
+    await queryInterface.dropTable('pricing_tiers');
+
+    for (const table of ['videos', 'freebies']) {
+      await queryInterface.removeColumn(table, 'suggested_price');
+      await queryInterface.removeColumn(table, 'pricing_mode');
+      await queryInterface.sequelize.query(`DROP TYPE IF EXISTS "enum_${table}_pricing_mode";`);
+    }
+  }
+};
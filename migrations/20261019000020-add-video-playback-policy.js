@@ -0,0 +1,28 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🔄 Adding Mux playback policy to videos...');
+
+    await queryInterface.addColumn('videos', 'mux_playback_policy', {
+      type: Sequelize.ENUM('public', 'signed'),
+      allowNull: false,
+      defaultValue: 'public',
+      comment: 'Policy of mux_playback_id; signed playback needs a JWT from /videos/:id/playback'
+    });
+
+    try {
+      await queryInterface.addIndex('videos', ['mux_playback_policy', 'status']);
+    } catch (error) {
+      console.log('videos playback policy index already exists');
+    }
+
+    console.log('✅ Playback policy added');
+    console.log('   Existing assets stay public until `node scripts/migrate-signed-playback.js` moves paid and private videos to signed playback');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('videos', 'mux_playback_policy');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_videos_mux_playback_policy";');
+  }
+};
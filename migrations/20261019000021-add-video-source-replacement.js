@@ -0,0 +1,32 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🔄 Adding source replacement tracking to videos...');
+
+    await queryInterface.addColumn('videos', 'mux_replacement_upload_id', {
+      type: Sequelize.STRING,
+      allowNull: true,
+      comment: 'Mux direct upload of a new source file; the current asset keeps playing until it is ready'
+    });
+
+    await queryInterface.addColumn('videos', 'replacement_status', {
+      type: Sequelize.ENUM('uploading', 'failed'),
+      allowNull: true
+    });
+
+    try {
+      await queryInterface.addIndex('videos', ['mux_replacement_upload_id']);
+    } catch (error) {
+      console.log('videos replacement upload index already exists');
+    }
+
+    console.log('✅ Source replacement tracking added');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('videos', 'replacement_status');
+    await queryInterface.removeColumn('videos', 'mux_replacement_upload_id');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_videos_replacement_status";');
+  }
+};
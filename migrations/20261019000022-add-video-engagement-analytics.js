@@ -0,0 +1,86 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🔄 Adding engagement fields to video_views...');
+
+    await queryInterface.addColumn('video_views', 'source', {
+      type: Sequelize.STRING(30),
+      allowNull: true,
+      comment: 'Where the viewer came from: feed, search, profile, community, share, external or direct'
+    });
+
+    await queryInterface.addColumn('video_views', 'is_preview', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Viewer opened a paid video without access (paywall shown)'
+    });
+
+    await queryInterface.addColumn('video_views', 'unique_seconds_watched', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Seconds of the video covered by the watch segments, rewatches counted once'
+    });
+
+    console.log('🔄 Creating video_watch_segments table...');
+
+    await queryInterface.createTable('video_watch_segments', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      view_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'video_views',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      video_id: {
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      start_second: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      end_second: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    try {
+      await queryInterface.addIndex('video_views', ['video_id', 'created_at']);
+      await queryInterface.addIndex('video_watch_segments', ['view_id']);
+      await queryInterface.addIndex('video_watch_segments', ['video_id']);
+    } catch (error) {
+      console.log('video analytics indexes already exist');
+    }
+
+    console.log('✅ Video engagement analytics added');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('video_watch_segments');
+    await queryInterface.removeColumn('video_views', 'unique_seconds_watched');
+    await queryInterface.removeColumn('video_views', 'is_preview');
+    await queryInterface.removeColumn('video_views', 'source');
+  }
+};
@@ -0,0 +1,79 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🔄 Creating playback_positions table...');
+
+    await queryInterface.createTable('playback_positions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      content_type: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: 'video or live_session (series session recording)'
+      },
+      content_id: {
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      position_seconds: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      duration_seconds: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      completed: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      last_watched_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    try {
+      await queryInterface.addIndex('playback_positions', ['user_id', 'content_type', 'content_id'], {
+        unique: true,
+        name: 'playback_positions_user_content_unique'
+      });
+      await queryInterface.addIndex('playback_positions', ['user_id', 'last_watched_at']);
+    } catch (error) {
+      console.log('playback_positions indexes already exist');
+    }
+
+    console.log('✅ playback_positions table created');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('playback_positions');
+  }
+};
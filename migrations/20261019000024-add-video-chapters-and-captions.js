@@ -0,0 +1,99 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🔄 Adding chapters to videos...');
+
+    await queryInterface.addColumn('videos', 'chapters', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      comment: 'Chapter markers for long-form videos: [{ startTime, title }] sorted by startTime (seconds)'
+    });
+
+    console.log('🔄 Creating video_captions table...');
+
+    await queryInterface.createTable('video_captions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      video_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'videos',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      language_code: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: 'BCP 47 language tag, e.g. en, yo, pt-BR'
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      closed_captions: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Includes sound descriptions for deaf and hard-of-hearing viewers'
+      },
+      format: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        comment: 'vtt or srt'
+      },
+      file_url: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      mux_track_id: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('preparing', 'ready', 'errored'),
+        allowNull: false,
+        defaultValue: 'preparing'
+      },
+      cues: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        comment: 'Parsed cues [{ start, end, text }] for the searchable transcript'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    try {
+      await queryInterface.addIndex('video_captions', ['video_id', 'language_code', 'closed_captions'], {
+        unique: true,
+        name: 'video_captions_video_language_unique'
+      });
+      await queryInterface.addIndex('video_captions', ['mux_track_id']);
+    } catch (error) {
+      console.log('video_captions indexes already exist');
+    }
+
+    console.log('✅ Video chapters and captions added');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('video_captions');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_video_captions_status";');
+    await queryInterface.removeColumn('videos', 'chapters');
+  }
+};
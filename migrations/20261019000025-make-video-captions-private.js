@@ -0,0 +1,27 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🔄 Storing caption files by S3 key instead of public URL...');
+
+    await queryInterface.renameColumn('video_captions', 'file_url', 'file_key');
+
+    // https://bucket.s3.region.amazonaws.com/upload/captions/x.vtt -> upload/captions/x.vtt
+    await queryInterface.sequelize.query(
+      "UPDATE video_captions SET file_key = regexp_replace(file_key, '^https?://[^/]+/', '')"
+    );
+
+    console.log('✅ Caption files are now served through signed URLs');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const bucket = process.env.AWS_S3_BUCKET;
+    const region = process.env.AWS_REGION;
+
+    await queryInterface.renameColumn('video_captions', 'file_key', 'file_url');
+    await queryInterface.sequelize.query(
+      'UPDATE video_captions SET file_url = :prefix || file_url',
+      { replacements: { prefix: `https://${bucket}.s3.${region}.amazonaws.com/` } }
+    );
+  }
+};
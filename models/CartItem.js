@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Cart Item Model
+ *
+ * One piece of content in a learner's cart, with the coupon they want
+ * applied to it and, for flexible pricing, the tier or pay-what-you-want
+ * amount they chose. Prices are looked up at checkout, not stored here.
+ */
+const CartItem = sequelize.define('CartItem', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'user_id'
+  },
+  contentType: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    field: 'content_type'
+  },
+  contentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'content_id'
+  },
+  couponCode: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'coupon_code'
+  },
+  pricingTierId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'pricing_tier_id'
+  },
+  chosenAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    field: 'chosen_amount'
+  }
+}, {
+  tableName: 'cart_items',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['user_id', 'content_type', 'content_id'] }
+  ]
+});
+
+module.exports = CartItem;
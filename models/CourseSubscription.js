@@ -0,0 +1,157 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Course Subscription Model
+ *
+ * Auto-renewal state for a monthly or yearly all-access enrollment. Holds
+ * the saved card (Paystack authorization or Stripe customer + payment
+ * method) and dunning progress. The enrollment's `expiresAt` remains the
+ * source of truth for access and is moved forward on each renewal.
+ */
+const CourseSubscription = sequelize.define('CourseSubscription', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'user_id'
+  },
+  enrollmentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    field: 'enrollment_id'
+  },
+  accessType: {
+    type: DataTypes.ENUM('monthly', 'yearly'),
+    allowNull: false,
+    field: 'access_type'
+  },
+  gateway: {
+    type: DataTypes.ENUM('paystack', 'stripe'),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'past_due', 'cancelled', 'expired'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  autoRenew: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'auto_renew'
+  },
+  currentPeriodEnd: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'current_period_end'
+  },
+  graceEndsAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'grace_ends_at'
+  },
+  failedAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'failed_attempts'
+  },
+  nextRetryAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'next_retry_at'
+  },
+  lastAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_attempt_at'
+  },
+  lastFailureReason: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'last_failure_reason'
+  },
+  lastRenewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_renewed_at'
+  },
+  cancelledAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'cancelled_at'
+  },
+  paystackAuthorizationCode: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'paystack_authorization_code'
+  },
+  paystackEmail: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'paystack_email'
+  },
+  stripeCustomerId: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'stripe_customer_id'
+  },
+  stripePaymentMethodId: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'stripe_payment_method_id'
+  },
+  cardBrand: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'card_brand'
+  },
+  cardLast4: {
+    type: DataTypes.STRING(4),
+    allowNull: true,
+    field: 'card_last4'
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  }
+}, {
+  tableName: 'course_subscriptions',
+  timestamps: true,
+  underscored: true
+});
+
+/**
+ * Check whether a card is saved for off-session renewal charges
+ * @returns {boolean}
+ */
+CourseSubscription.prototype.hasPaymentMethod = function() {
+  if (this.gateway === 'paystack') {
+    return Boolean(this.paystackAuthorizationCode && this.paystackEmail);
+  }
+  return Boolean(this.stripeCustomerId && this.stripePaymentMethodId);
+};
+
+CourseSubscription.prototype.toJSON = function() {
+  const values = Object.assign({}, this.get());
+
+  // Never expose the reusable card credentials
+  delete values.paystackAuthorizationCode;
+  delete values.stripePaymentMethodId;
+  values.hasPaymentMethod = this.hasPaymentMethod();
+
+  return values;
+};
+
+module.exports = CourseSubscription;
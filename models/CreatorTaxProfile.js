@@ -0,0 +1,145 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Creator Tax Profile Model
+ *
+ * Tax details a creator supplies for their earnings statements: legal name,
+ * tax residence, taxpayer identification number and the W-9 / W-8BEN style
+ * certification fields. The TIN is masked whenever the profile is serialized.
+ */
+const CreatorTaxProfile = sequelize.define('CreatorTaxProfile', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    field: 'user_id'
+  },
+  legalName: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    field: 'legal_name'
+  },
+  businessName: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'business_name'
+  },
+  entityType: {
+    type: DataTypes.ENUM('individual', 'business'),
+    allowNull: false,
+    defaultValue: 'individual',
+    field: 'entity_type'
+  },
+  country: {
+    type: DataTypes.STRING(2),
+    allowNull: false
+  },
+  taxIdType: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    field: 'tax_id_type'
+  },
+  taxId: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    field: 'tax_id'
+  },
+  formType: {
+    type: DataTypes.ENUM('none', 'W-9', 'W-8BEN', 'W-8BEN-E'),
+    allowNull: false,
+    defaultValue: 'none',
+    field: 'form_type'
+  },
+  usPerson: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'us_person'
+  },
+  addressLine1: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    field: 'address_line1'
+  },
+  addressLine2: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'address_line2'
+  },
+  city: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  state: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  postalCode: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'postal_code'
+  },
+  treatyCountry: {
+    type: DataTypes.STRING(2),
+    allowNull: true,
+    field: 'treaty_country'
+  },
+  treatyArticle: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'treaty_article'
+  },
+  withholdingRate: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+    field: 'withholding_rate'
+  },
+  certifiedName: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'certified_name'
+  },
+  certifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'certified_at'
+  }
+}, {
+  tableName: 'creator_tax_profiles',
+  timestamps: true,
+  underscored: true
+});
+
+/**
+ * Tax ID with everything but the last four characters hidden
+ */
+CreatorTaxProfile.prototype.getMaskedTaxId = function() {
+  const taxId = String(this.taxId || '');
+  return taxId.length > 4 ? `${'*'.repeat(taxId.length - 4)}${taxId.slice(-4)}` : '****';
+};
+
+/**
+ * One-line postal address for statements
+ */
+CreatorTaxProfile.prototype.getAddress = function() {
+  return [this.addressLine1, this.addressLine2, this.city, this.state, this.postalCode, this.country]
+    .filter(Boolean)
+    .join(', ');
+};
+
+CreatorTaxProfile.prototype.toJSON = function() {
+  const values = Object.assign({}, this.get());
+
+  delete values.taxId;
+  values.maskedTaxId = this.getMaskedTaxId();
+
+  return values;
+};
+
+module.exports = CreatorTaxProfile;
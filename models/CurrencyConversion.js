@@ -0,0 +1,99 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Currency Conversion Model
+ *
+ * A quoted swap between two of a user's wallet accounts. The quote fixes
+ * the rate, spread fee and amounts until `expiresAt`; executing it debits
+ * the source wallet and credits the target wallet in one transaction.
+ */
+const CurrencyConversion = sequelize.define('CurrencyConversion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'user_id'
+  },
+  fromCurrency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    field: 'from_currency'
+  },
+  toCurrency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    field: 'to_currency'
+  },
+  sourceAmount: {
+    type: DataTypes.DECIMAL(20, 2),
+    allowNull: false,
+    field: 'source_amount'
+  },
+  feeAmount: {
+    type: DataTypes.DECIMAL(20, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'fee_amount'
+  },
+  targetAmount: {
+    type: DataTypes.DECIMAL(20, 2),
+    allowNull: false,
+    field: 'target_amount'
+  },
+  marketRate: {
+    type: DataTypes.DECIMAL(20, 8),
+    allowNull: false,
+    field: 'market_rate'
+  },
+  spreadPercent: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'spread_percent'
+  },
+  exchangeRateSnapshot: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    field: 'exchange_rate_snapshot'
+  },
+  status: {
+    type: DataTypes.ENUM('quoted', 'completed', 'expired', 'rejected'),
+    allowNull: false,
+    defaultValue: 'quoted'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'expires_at'
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'completed_at'
+  },
+  rejectionReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'rejection_reason'
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  }
+}, {
+  tableName: 'currency_conversions',
+  timestamps: true,
+  underscored: true
+});
+
+CurrencyConversion.prototype.isExpired = function() {
+  return new Date(this.expiresAt).getTime() <= Date.now();
+};
+
+module.exports = CurrencyConversion;
@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Exchange Rate Model
+ *
+ * Append-only rate history. Every provider fetch and admin override adds a
+ * row; the newest row per currency pair is the current rate unless the pair
+ * is locked (see ExchangeRateLock). Rates are quoted as units of
+ * quoteCurrency per 1 baseCurrency, with USD as the base.
+ */
+const ExchangeRate = sequelize.define('ExchangeRate', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  baseCurrency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'USD',
+    field: 'base_currency'
+  },
+  quoteCurrency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    field: 'quote_currency'
+  },
+  rate: {
+    type: DataTypes.DECIMAL(20, 8),
+    allowNull: false
+  },
+  source: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  isOverride: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'is_override'
+  },
+  effectiveAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'effective_at'
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'created_by'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  }
+}, {
+  tableName: 'exchange_rates',
+  timestamps: true,
+  updatedAt: false,
+  underscored: true
+});
+
+module.exports = ExchangeRate;
@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Exchange Rate Lock Model
+ *
+ * Pins a currency pair to a specific rate row. While a lock is active
+ * (unlockedAt is NULL) provider fetches are still recorded in the history
+ * but do not change the rate used for conversions.
+ */
+const ExchangeRateLock = sequelize.define('ExchangeRateLock', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  baseCurrency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'USD',
+    field: 'base_currency'
+  },
+  quoteCurrency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    field: 'quote_currency'
+  },
+  exchangeRateId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'exchange_rate_id'
+  },
+  lockedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'locked_by'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  unlockedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'unlocked_at'
+  },
+  unlockedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'unlocked_by'
+  }
+}, {
+  tableName: 'exchange_rate_locks',
+  timestamps: true,
+  underscored: true
+});
+
+module.exports = ExchangeRateLock;
@@ -0,0 +1,115 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Fee Schedule Model
+ *
+ * An admin-managed platform fee rule for sales. A schedule can be scoped to
+ * a content type, a creator (negotiated rate) and/or a currency, bounded in
+ * time (promotional rate) and carry volume tiers that lower the percentage
+ * once a creator's month-to-date sales pass a threshold.
+ */
+const FeeSchedule = sequelize.define('FeeSchedule', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  contentType: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'content_type'
+  },
+  creatorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'creator_id'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: true
+  },
+  percentage: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false,
+    validate: {
+      min: 0,
+      max: 100
+    }
+  },
+  fixedFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'fixed_fee'
+  },
+  tiers: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  priority: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  startsAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'starts_at'
+  },
+  endsAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'ends_at'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'is_active'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'created_by'
+  }
+}, {
+  tableName: 'fee_schedules',
+  timestamps: true,
+  underscored: true
+});
+
+/**
+ * Time-bounded schedules are promotions
+ */
+FeeSchedule.prototype.isPromotion = function() {
+  return Boolean(this.startsAt || this.endsAt);
+};
+
+/**
+ * Whether the schedule applies at a point in time
+ * @param {Date} at - Sale time
+ */
+FeeSchedule.prototype.isInEffect = function(at = new Date()) {
+  if (!this.isActive) return false;
+  if (this.startsAt && new Date(this.startsAt) > at) return false;
+  if (this.endsAt && new Date(this.endsAt) < at) return false;
+  return true;
+};
+
+/**
+ * How narrowly the schedule is scoped: creator > content type > currency
+ */
+FeeSchedule.prototype.getSpecificity = function() {
+  return (this.creatorId ? 4 : 0) + (this.contentType ? 2 : 0) + (this.currency ? 1 : 0);
+};
+
+module.exports = FeeSchedule;
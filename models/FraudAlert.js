@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Fraud Alert Model
+ *
+ * Maps to the 'fraud_alerts' table. Rule-based alerts reference a fraud rule;
+ * alerts raised by the detection engine (suspicious activity, auto-blocks)
+ * carry their analysis in `details` instead.
+ */
+const FraudAlert = sequelize.define('FraudAlert', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'user_id'
+  },
+  transactionId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'transaction_id'
+  },
+  ruleId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'rule_id'
+  },
+  riskScore: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'risk_score'
+  },
+  alertType: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    field: 'alert_type'
+  },
+  severity: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'medium'
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'investigating', 'resolved', 'false_positive'),
+    allowNull: false,
+    defaultValue: 'open'
+  },
+  details: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  reviewedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'reviewed_by'
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'reviewed_at'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'fraud_alerts',
+  timestamps: true,
+  updatedAt: false,
+  underscored: true
+});
+
+module.exports = FraudAlert;
@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Fraud Transaction Event Model
+ *
+ * Rolling window of analyzed transactions used for velocity, pattern and
+ * baseline calculations. Events older than the long behavior window are
+ * pruned by the baseline job.
+ */
+const FraudTransactionEvent = sequelize.define('FraudTransactionEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'user_id'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  riskScore: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'risk_score'
+  },
+  flags: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  occurredAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'occurred_at'
+  }
+}, {
+  tableName: 'fraud_transaction_events',
+  timestamps: true,
+  updatedAt: false,
+  underscored: true
+});
+
+module.exports = FraudTransactionEvent;
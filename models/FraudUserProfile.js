@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Fraud User Profile Model
+ *
+ * Per-user fraud detection state: decayed risk score, auto-block status and
+ * the behavioral baseline recalculated hourly from recent transaction events.
+ */
+const FraudUserProfile = sequelize.define('FraudUserProfile', {
+  userId: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+    field: 'user_id'
+  },
+  riskScore: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'risk_score'
+  },
+  isBlocked: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'is_blocked'
+  },
+  blockReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'block_reason'
+  },
+  blockedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'blocked_at'
+  },
+  baseline: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  baselineUpdatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'baseline_updated_at'
+  }
+}, {
+  tableName: 'fraud_user_profiles',
+  timestamps: true,
+  underscored: true
+});
+
+module.exports = FraudUserProfile;
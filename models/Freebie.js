@@ -52,6 +52,18 @@ const Freebie = sequelize.define('Freebie', {
     allowNull: false,
     defaultValue: 'NGN'
   },
+  pricingMode: {
+    type: DataTypes.ENUM('fixed', 'pay_what_you_want', 'tiered'),
+    allowNull: false,
+    defaultValue: 'fixed',
+    field: 'pricing_mode',
+    comment: 'pay_what_you_want: price is the minimum; tiered: price is the cheapest tier'
+  },
+  suggestedPrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    field: 'suggested_price'
+  },
   communityId: {
     type: DataTypes.UUID,
     allowNull: true,
@@ -35,6 +35,12 @@ const FreebieAccess = sequelize.define('FreebieAccess', {
     type: DataTypes.UUID,
     allowNull: true,
     field: 'coupon_id'
+  },
+  pricingTierId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'pricing_tier_id',
+    comment: 'Tier bought; null means every item (bought before tiers existed)'
   }
 }, {
   tableName: 'freebie_access',
@@ -0,0 +1,139 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Gift Model
+ *
+ * Content bought for someone else. The payer gets no Purchase; once the
+ * payment clears the gift gets a one-time code that is emailed to the
+ * recipient, and redeeming it creates the Purchase under the recipient.
+ * Unredeemed gifts expire and can be refunded to the payer.
+ */
+const Gift = sequelize.define('Gift', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  purchaserId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'purchaser_id'
+  },
+  recipientEmail: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    field: 'recipient_email',
+    validate: {
+      isEmail: true
+    }
+  },
+  recipientName: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'recipient_name'
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  contentType: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    field: 'content_type'
+  },
+  contentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'content_id'
+  },
+  contentTitle: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'content_title'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  paymentGateway: {
+    type: DataTypes.ENUM('paystack', 'stripe'),
+    allowNull: false,
+    field: 'payment_gateway'
+  },
+  paymentReference: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    unique: true,
+    field: 'payment_reference'
+  },
+  paymentMetadata: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    field: 'payment_metadata'
+  },
+  code: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    unique: true
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'active', 'redeemed', 'expired', 'refunded'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'expires_at'
+  },
+  redeemedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'redeemed_by'
+  },
+  redeemedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'redeemed_at'
+  },
+  purchaseId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'purchase_id'
+  },
+  refundedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'refunded_at'
+  },
+  gatewayRefundId: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'gateway_refund_id'
+  }
+}, {
+  tableName: 'gifts',
+  timestamps: true,
+  underscored: true
+});
+
+/**
+ * Whether the code can still be redeemed
+ */
+Gift.prototype.isRedeemable = function() {
+  return this.status === 'active' && (!this.expiresAt || new Date(this.expiresAt) > new Date());
+};
+
+/**
+ * Unredeemed paid gifts can go back to the payer
+ */
+Gift.prototype.isRefundable = function() {
+  return this.status === 'active' || this.status === 'expired';
+};
+
+module.exports = Gift;
@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Ledger Entry Model
+ *
+ * One debit or credit line of a LedgerJournal. Amounts are positive and in
+ * the smallest currency unit (kobo/cents); `direction` gives the sign.
+ *
+ * Account codes:
+ * - wallet:<walletAccountId>:available / :escrow - a user's wallet buckets
+ * - platform_fee:<CUR>                          - platform revenue
+ * - gateway_clearing:<gateway>:<CUR>            - money in transit with Paystack/Stripe
+ * - fx_conversion:<CUR>, quiz_wallet:<CUR>, platform_adjustments:<CUR>, opening_balance:<CUR>
+ */
+const LedgerEntry = sequelize.define('LedgerEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  journalId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'journal_id'
+  },
+  accountCode: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    field: 'account_code'
+  },
+  accountType: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    field: 'account_type'
+  },
+  walletAccountId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'wallet_account_id'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  direction: {
+    type: DataTypes.ENUM('debit', 'credit'),
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  }
+}, {
+  tableName: 'ledger_entries',
+  timestamps: true,
+  underscored: true
+});
+
+/**
+ * Signed amount: credits positive, debits negative
+ * @returns {number}
+ */
+LedgerEntry.prototype.getSignedAmount = function() {
+  const amount = parseInt(this.amount);
+  return this.direction === 'credit' ? amount : -amount;
+};
+
+module.exports = LedgerEntry;
@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Ledger Journal Model
+ *
+ * One balanced posting in the double-entry ledger. Every wallet balance
+ * change writes a journal whose entries (LedgerEntry) sum to zero:
+ * debits equal credits in each currency.
+ */
+const LedgerJournal = sequelize.define('LedgerJournal', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  entryType: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    field: 'entry_type'
+  },
+  reference: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'user_id'
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  postedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'posted_at'
+  }
+}, {
+  tableName: 'ledger_journals',
+  timestamps: true,
+  underscored: true
+});
+
+module.exports = LedgerJournal;
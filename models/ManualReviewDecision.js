@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Manual Review Decision Model
+ *
+ * One row per reviewer decision (approve, reject, escalate). An item that is
+ * escalated and re-reviewed keeps every decision, so reviewer statistics are
+ * aggregated from this table.
+ */
+const ManualReviewDecision = sequelize.define('ManualReviewDecision', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  reviewId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'review_id'
+  },
+  reviewerId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'reviewer_id'
+  },
+  action: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  reviewDuration: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'review_duration'
+  },
+  slaMet: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'sla_met'
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  }
+}, {
+  tableName: 'manual_review_decisions',
+  timestamps: true,
+  updatedAt: false,
+  underscored: true
+});
+
+module.exports = ManualReviewDecision;
@@ -0,0 +1,116 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Manual Review Item Model
+ *
+ * Maps to the 'manual_review_queue' table. Priority is stored as an integer
+ * (1 = low ... 4 = critical) so the queue can be ordered in SQL. Items linked
+ * to a payout hold that withdrawal until a decision is made.
+ */
+const ManualReviewItem = sequelize.define('ManualReviewItem', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  transactionId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'transaction_id'
+  },
+  payoutId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'payout_id'
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'user_id'
+  },
+  reviewType: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    field: 'review_type'
+  },
+  priority: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  assignedTo: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'assigned_to'
+  },
+  assignedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'assigned_at'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'in_review', 'approved', 'rejected', 'escalated'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  resolution: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  decision: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  data: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  slaDeadline: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'sla_deadline'
+  },
+  escalationTime: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'escalation_time'
+  },
+  slaViolatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'sla_violated_at'
+  },
+  escalated: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  escalationHistory: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    field: 'escalation_history'
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'resolved_at'
+  }
+}, {
+  tableName: 'manual_review_queue',
+  timestamps: true,
+  underscored: true
+});
+
+module.exports = ManualReviewItem;
@@ -0,0 +1,117 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Membership Model
+ *
+ * A user's subscription to a creator's membership plan. The gateway owns
+ * the billing schedule; webhooks move the status and extend
+ * `currentPeriodEnd` on each renewal. Access lasts until the end of the
+ * paid period, including after a cancellation or a failed renewal.
+ */
+const Membership = sequelize.define('Membership', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  planId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'plan_id'
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'user_id'
+  },
+  creatorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'creator_id'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'active', 'past_due', 'cancelled', 'expired'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  gateway: {
+    type: DataTypes.ENUM('paystack', 'stripe'),
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  currentPeriodStart: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'current_period_start'
+  },
+  currentPeriodEnd: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'current_period_end'
+  },
+  cancelAtPeriodEnd: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'cancel_at_period_end'
+  },
+  cancelledAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'cancelled_at'
+  },
+  paystackSubscriptionCode: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'paystack_subscription_code'
+  },
+  paystackEmailToken: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'paystack_email_token'
+  },
+  paystackCustomerCode: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'paystack_customer_code'
+  },
+  stripeSubscriptionId: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'stripe_subscription_id'
+  },
+  stripeCustomerId: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'stripe_customer_id'
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  }
+}, {
+  tableName: 'memberships',
+  timestamps: true,
+  underscored: true
+});
+
+/**
+ * Check whether the membership currently grants access
+ * @returns {boolean}
+ */
+Membership.prototype.grantsAccess = function() {
+  return ['active', 'past_due', 'cancelled'].includes(this.status) &&
+    Boolean(this.currentPeriodEnd) &&
+    new Date(this.currentPeriodEnd).getTime() > Date.now();
+};
+
+module.exports = Membership;
@@ -0,0 +1,105 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Membership Plan Model
+ *
+ * A recurring monthly or yearly plan offered by a creator. A plan unlocks
+ * either all of the creator's paid content or only content matching
+ * `contentTags` (video tags, live class categories).
+ */
+const MembershipPlan = sequelize.define('MembershipPlan', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  creatorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'creator_id'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  interval: {
+    type: DataTypes.ENUM('monthly', 'yearly'),
+    allowNull: false
+  },
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    validate: {
+      isIn: [['NGN', 'USD']]
+    }
+  },
+  accessScope: {
+    type: DataTypes.ENUM('all', 'tagged'),
+    allowNull: false,
+    defaultValue: 'all',
+    field: 'access_scope'
+  },
+  contentTags: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    field: 'content_tags'
+  },
+  paystackPlanCode: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'paystack_plan_code'
+  },
+  stripeProductId: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'stripe_product_id'
+  },
+  stripePriceId: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'stripe_price_id'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'is_active'
+  }
+}, {
+  tableName: 'membership_plans',
+  timestamps: true,
+  underscored: true
+});
+
+/**
+ * Check whether the plan unlocks a piece of content
+ * @param {Object} content - Video or LiveClass instance
+ * @returns {boolean}
+ */
+MembershipPlan.prototype.coversContent = function(content) {
+  if (!content || content.userId !== this.creatorId) {
+    return false;
+  }
+
+  if (this.accessScope === 'all') {
+    return true;
+  }
+
+  const planTags = (this.contentTags || []).map(tag => String(tag).toLowerCase());
+  const contentTags = [...(content.tags || []), ...(content.category ? [content.category] : [])]
+    .map(tag => String(tag).toLowerCase());
+
+  return contentTags.some(tag => planTags.includes(tag));
+};
+
+module.exports = MembershipPlan;
@@ -0,0 +1,115 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Order Model
+ *
+ * A single checkout covering several cart items, paid in one currency
+ * through one Paystack transaction or Stripe Checkout Session. When the
+ * payment is verified each item becomes its own Purchase.
+ *
+ * Orders can also be paid from the buyer's wallet: fully (gateway 'wallet')
+ * or in part, with the wallet share held in escrow until the card pays.
+ */
+const Order = sequelize.define('Order', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'user_id'
+  },
+  reference: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  paymentGateway: {
+    type: DataTypes.ENUM('paystack', 'stripe', 'wallet'),
+    allowNull: false,
+    field: 'payment_gateway'
+  },
+  gatewayReference: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    unique: true,
+    field: 'gateway_reference'
+  },
+  subtotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  discountTotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'discount_total'
+  },
+  total: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  walletAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'wallet_amount'
+  },
+  walletStatus: {
+    type: DataTypes.ENUM('none', 'held', 'captured', 'released'),
+    allowNull: false,
+    defaultValue: 'none',
+    field: 'wallet_status'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'paid', 'failed', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  paidAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'paid_at'
+  },
+  failureReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'failure_reason'
+  }
+}, {
+  tableName: 'orders',
+  timestamps: true,
+  underscored: true
+});
+
+/**
+ * Reference stored on the Purchase for the item at `position`
+ */
+Order.prototype.getItemReference = function(position) {
+  return `${this.reference}-${position}`;
+};
+
+/**
+ * Reference of the buyer's wallet debit for this order
+ */
+Order.prototype.getWalletReference = function() {
+  return `WALLET-${this.reference}`;
+};
+
+/**
+ * Part of the total left for the card after the wallet share
+ */
+Order.prototype.getCardAmount = function() {
+  return Math.round((parseFloat(this.total) - parseFloat(this.walletAmount || 0)) * 100) / 100;
+};
+
+module.exports = Order;
@@ -0,0 +1,100 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Order Item Model
+ *
+ * One line of an order, priced in the order currency with its coupon
+ * applied. Links to the Purchase created when the order is paid.
+ */
+const OrderItem = sequelize.define('OrderItem', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'order_id'
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  contentType: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    field: 'content_type'
+  },
+  contentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'content_id'
+  },
+  creatorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'creator_id'
+  },
+  title: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  originalPrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    field: 'original_price'
+  },
+  discountAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'discount_amount'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  couponId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'coupon_id'
+  },
+  couponCode: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'coupon_code'
+  },
+  partnerCommission: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    field: 'partner_commission'
+  },
+  couponPartnerUserId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'coupon_partner_user_id'
+  },
+  exchangeRateSnapshot: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    field: 'exchange_rate_snapshot'
+  },
+  pricingTierId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'pricing_tier_id'
+  },
+  purchaseId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'purchase_id'
+  }
+}, {
+  tableName: 'order_items',
+  timestamps: true,
+  underscored: true
+});
+
+module.exports = OrderItem;
@@ -69,6 +69,16 @@ const Payout = sequelize.define('Payout', {
     type: DataTypes.TEXT,
     allowNull: true,
     field: 'failure_reason'
+  },
+  payoutBatchId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'payout_batch_id'
+  },
+  beneficiaryId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'beneficiary_id'
   }
 }, {
   tableName: 'payouts',
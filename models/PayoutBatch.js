@@ -0,0 +1,88 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Payout Batch Model
+ *
+ * One run of the scheduled payout job. `items` is the admin report: one
+ * entry per due schedule with its outcome (paid, held for review, skipped
+ * or failed), the amount and the reason.
+ */
+const PayoutBatch = sequelize.define('PayoutBatch', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  status: {
+    type: DataTypes.ENUM('running', 'completed', 'failed'),
+    allowNull: false,
+    defaultValue: 'running'
+  },
+  triggeredBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'triggered_by'
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'started_at'
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'completed_at'
+  },
+  scheduleCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'schedule_count'
+  },
+  paidCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'paid_count'
+  },
+  heldCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'held_count'
+  },
+  skippedCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'skipped_count'
+  },
+  failedCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'failed_count'
+  },
+  totals: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  items: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  errorMessage: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'error_message'
+  }
+}, {
+  tableName: 'payout_batches',
+  timestamps: true,
+  underscored: true
+});
+
+module.exports = PayoutBatch;
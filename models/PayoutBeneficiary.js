@@ -0,0 +1,145 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Payout Beneficiary Model
+ *
+ * A creator's saved, named bank account for withdrawals. The account is
+ * verified with the gateway when saved, confirmed by an emailed OTP, and
+ * can only receive withdrawals once `cooldownEndsAt` has passed. The
+ * Paystack transfer recipient is created once and reused.
+ */
+const PayoutBeneficiary = sequelize.define('PayoutBeneficiary', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'user_id'
+  },
+  nickname: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  bankName: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    field: 'bank_name'
+  },
+  bankCode: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'bank_code'
+  },
+  accountNumber: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    field: 'account_number'
+  },
+  accountName: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    field: 'account_name'
+  },
+  routingNumber: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'routing_number'
+  },
+  country: {
+    type: DataTypes.STRING(2),
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'active', 'removed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  verificationMethod: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    field: 'verification_method'
+  },
+  verifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'verified_at'
+  },
+  confirmationId: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'confirmation_id'
+  },
+  confirmedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'confirmed_at'
+  },
+  cooldownEndsAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'cooldown_ends_at'
+  },
+  paystackRecipientCode: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'paystack_recipient_code'
+  },
+  removedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'removed_at'
+  }
+}, {
+  tableName: 'payout_beneficiaries',
+  timestamps: true,
+  underscored: true
+});
+
+/**
+ * Check whether withdrawals can be sent to this account
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+PayoutBeneficiary.prototype.isUsable = function(now = new Date()) {
+  return this.status === 'active'
+    && Boolean(this.cooldownEndsAt)
+    && new Date(this.cooldownEndsAt) <= now;
+};
+
+/**
+ * Bank details in the shape the withdrawal services expect
+ * @returns {Object}
+ */
+PayoutBeneficiary.prototype.toBankDetails = function() {
+  return {
+    beneficiaryId: this.id,
+    bankName: this.bankName,
+    bankCode: this.bankCode,
+    accountNumber: this.accountNumber,
+    accountName: this.accountName,
+    accountHolderName: this.accountName,
+    routingNumber: this.routingNumber,
+    country: this.country
+  };
+};
+
+PayoutBeneficiary.prototype.toJSON = function() {
+  const values = Object.assign({}, this.get());
+
+  delete values.confirmationId;
+  delete values.paystackRecipientCode;
+  values.maskedAccountNumber = `****${String(this.accountNumber).slice(-4)}`;
+  values.usable = this.isUsable();
+
+  return values;
+};
+
+module.exports = PayoutBeneficiary;
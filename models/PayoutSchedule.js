@@ -0,0 +1,115 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Payout Schedule Model
+ *
+ * A creator's opt-in to automatic payouts for one wallet currency. When
+ * `nextRunAt` passes, the scheduled payout job pays the available balance
+ * to the saved bank account if it has reached `minimumAmount`. Only
+ * verified accounts are paid; changing the bank details clears
+ * `verifiedAt` until the new account is verified.
+ */
+const PayoutSchedule = sequelize.define('PayoutSchedule', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'user_id'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  frequency: {
+    type: DataTypes.ENUM('weekly', 'monthly'),
+    allowNull: false
+  },
+  minimumAmount: {
+    type: DataTypes.DECIMAL(20, 2),
+    allowNull: false,
+    field: 'minimum_amount'
+  },
+  bankName: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    field: 'bank_name'
+  },
+  bankCode: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'bank_code'
+  },
+  accountNumber: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    field: 'account_number'
+  },
+  accountName: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    field: 'account_name'
+  },
+  verifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'verified_at'
+  },
+  verificationMethod: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'verification_method'
+  },
+  verifiedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'verified_by'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'is_active'
+  },
+  nextRunAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'next_run_at'
+  },
+  lastRunAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_run_at'
+  },
+  lastOutcome: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'last_outcome'
+  },
+  lastOutcomeReason: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'last_outcome_reason'
+  }
+}, {
+  tableName: 'payout_schedules',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['user_id', 'currency'] }
+  ]
+});
+
+/**
+ * Check whether the saved bank account can receive payouts
+ * @returns {boolean}
+ */
+PayoutSchedule.prototype.isVerified = function() {
+  return Boolean(this.verifiedAt);
+};
+
+module.exports = PayoutSchedule;
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * PlaybackPosition Model
+ *
+ * Where a learner stopped in a video or live series session recording, so
+ * playback resumes on any device and unfinished items show up in
+ * "continue watching". One row per user and content item.
+ */
+const PlaybackPosition = sequelize.define('PlaybackPosition', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'user_id'
+  },
+  contentType: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    field: 'content_type'
+  },
+  contentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'content_id'
+  },
+  positionSeconds: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'position_seconds'
+  },
+  durationSeconds: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'duration_seconds'
+  },
+  completed: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  lastWatchedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'last_watched_at'
+  }
+}, {
+  tableName: 'playback_positions',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['user_id', 'content_type', 'content_id'] },
+    { fields: ['user_id', 'last_watched_at'] }
+  ]
+});
+
+module.exports = PlaybackPosition;
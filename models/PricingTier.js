@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Pricing Tier Model
+ *
+ * One price level of a tiered video or freebie, e.g. "Basic" and "With
+ * bonus files". On freebies a tier unlocks the items linked to it through
+ * PricingTierItem; items linked to no tier come with every tier.
+ */
+const PricingTier = sequelize.define('PricingTier', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  contentType: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    field: 'content_type'
+  },
+  contentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'content_id'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  }
+}, {
+  tableName: 'pricing_tiers',
+  timestamps: true,
+  underscored: true
+});
+
+module.exports = PricingTier;
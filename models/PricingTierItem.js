@@ -0,0 +1,34 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Pricing Tier Item Model
+ *
+ * Links a freebie item to a tier that unlocks it.
+ */
+const PricingTierItem = sequelize.define('PricingTierItem', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  pricingTierId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'pricing_tier_id'
+  },
+  freebieItemId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'freebie_item_id'
+  }
+}, {
+  tableName: 'pricing_tier_items',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['pricing_tier_id', 'freebie_item_id'] }
+  ]
+});
+
+module.exports = PricingTierItem;
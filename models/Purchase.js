@@ -13,13 +13,13 @@ const Purchase = sequelize.define('Purchase', {
     field: 'user_id'
   },
   contentType: {
-    type: DataTypes.ENUM('video', 'live_class', 'live_series', 'course', 'freebie'),
+    type: DataTypes.ENUM('video', 'live_class', 'live_series', 'course', 'freebie', 'membership'),
     allowNull: false,
     field: 'content_type'
   },
   contentId: {
     type: DataTypes.UUID,
-    allowNull: false,
+    allowNull: true,  // null for monthly/yearly all-access course passes
     field: 'content_id'
   },
   amount: {
@@ -31,7 +31,7 @@ const Purchase = sequelize.define('Purchase', {
     defaultValue: 'NGN'
   },
   paymentGateway: {
-    type: DataTypes.ENUM('paystack', 'stripe'),
+    type: DataTypes.ENUM('paystack', 'stripe', 'wallet'),
     allowNull: false,
     field: 'payment_gateway'
   },
@@ -42,9 +42,61 @@ const Purchase = sequelize.define('Purchase', {
     field: 'payment_reference'
   },
   paymentStatus: {
-    type: DataTypes.ENUM('pending', 'completed', 'failed'),
+    type: DataTypes.ENUM('pending', 'completed', 'failed', 'refunded', 'disputed'),
     defaultValue: 'pending',
     field: 'payment_status'
+  },
+  refundedAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'refunded_amount'
+  },
+  refundedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'refunded_at'
+  },
+  disputedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'disputed_at'
+  },
+  exchangeRateSnapshot: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    field: 'exchange_rate_snapshot'
+  },
+  creatorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'creator_id'
+  },
+  platformFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'platform_fee'
+  },
+  feeScheduleId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'fee_schedule_id'
+  },
+  feeRule: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    field: 'fee_rule'
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'order_id'
+  },
+  pricingTierId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'pricing_tier_id'
   }
 }, {
   tableName: 'purchases',
@@ -73,6 +125,14 @@ Purchase.prototype.getFormattedAmount = function() {
   return parseFloat(this.amount);
 };
 
+Purchase.prototype.getRefundableAmount = function() {
+  return Math.round((parseFloat(this.amount) - parseFloat(this.refundedAmount || 0)) * 100) / 100;
+};
+
+Purchase.prototype.isRevoked = function() {
+  return this.paymentStatus === 'refunded' || this.paymentStatus === 'disputed';
+};
+
 // Class methods
 Purchase.findCoursesPurchases = function(options = {}) {
   return this.findAll({
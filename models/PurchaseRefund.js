@@ -0,0 +1,74 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Purchase Refund Model
+ *
+ * One row per reversal applied to a purchase — gateway refunds, chargebacks
+ * (disputes) and admin refunds. `breakdown` records how much was clawed back
+ * from each payee so a won dispute can be returned exactly.
+ */
+const PurchaseRefund = sequelize.define('PurchaseRefund', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  purchaseId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'purchase_id'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  source: {
+    type: DataTypes.ENUM('gateway', 'dispute', 'admin'),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'processed', 'failed', 'reversed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  gatewayRefundId: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    unique: true,
+    field: 'gateway_refund_id'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  initiatedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'initiated_by'
+  },
+  breakdown: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  }
+}, {
+  tableName: 'purchase_refunds',
+  timestamps: true,
+  underscored: true
+});
+
+PurchaseRefund.prototype.getFormattedAmount = function() {
+  return parseFloat(this.amount);
+};
+
+module.exports = PurchaseRefund;
@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Settlement Reconciliation Item Model
+ *
+ * Outcome for one reference in a reconciliation run. Amounts are stored in
+ * the smallest currency unit so comparisons are exact.
+ */
+const SettlementReconciliationItem = sequelize.define('SettlementReconciliationItem', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  runId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'run_id'
+  },
+  recordType: {
+    type: DataTypes.ENUM('payment', 'transfer'),
+    allowNull: false,
+    field: 'record_type'
+  },
+  reference: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('matched', 'amount_mismatch', 'missing_internal', 'missing_in_gateway', 'duplicate'),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: true
+  },
+  gatewayAmount: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    field: 'gateway_amount'
+  },
+  internalAmount: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    field: 'internal_amount'
+  },
+  internalType: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+    field: 'internal_type'
+  },
+  internalId: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    field: 'internal_id'
+  },
+  details: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  tableName: 'settlement_reconciliation_items',
+  timestamps: true,
+  underscored: true
+});
+
+/**
+ * Amounts in major units for reports
+ */
+SettlementReconciliationItem.prototype.toJSON = function() {
+  const values = { ...this.get() };
+  const toMajor = value => (value === null || value === undefined ? null : parseInt(value) / 100);
+
+  values.gatewayAmount = toMajor(values.gatewayAmount);
+  values.internalAmount = toMajor(values.internalAmount);
+  return values;
+};
+
+module.exports = SettlementReconciliationItem;
@@ -0,0 +1,117 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Settlement Reconciliation Run Model
+ *
+ * One import of a Paystack or Stripe settlement/transaction export matched
+ * against our Purchase, WalletTransaction and Payout rows. The per-reference
+ * outcomes live in SettlementReconciliationItem.
+ */
+const SettlementReconciliationRun = sequelize.define('SettlementReconciliationRun', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  gateway: {
+    type: DataTypes.ENUM('paystack', 'stripe'),
+    allowNull: false
+  },
+  fileName: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'file_name'
+  },
+  format: {
+    type: DataTypes.ENUM('csv', 'json'),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('processing', 'completed', 'failed'),
+    allowNull: false,
+    defaultValue: 'processing'
+  },
+  periodStart: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'period_start'
+  },
+  periodEnd: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'period_end'
+  },
+  rowsImported: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'rows_imported'
+  },
+  matchedCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'matched_count'
+  },
+  mismatchCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'mismatch_count'
+  },
+  missingInternalCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'missing_internal_count'
+  },
+  missingInGatewayCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'missing_in_gateway_count'
+  },
+  duplicateCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'duplicate_count'
+  },
+  totals: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  triggeredBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'triggered_by'
+  },
+  errorMessage: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'error_message'
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'completed_at'
+  }
+}, {
+  tableName: 'settlement_reconciliation_runs',
+  timestamps: true,
+  underscored: true
+});
+
+/**
+ * Whether every imported and expected record matched
+ */
+SettlementReconciliationRun.prototype.isClean = function() {
+  return this.status === 'completed' &&
+    this.mismatchCount === 0 &&
+    this.missingInternalCount === 0 &&
+    this.missingInGatewayCount === 0 &&
+    this.duplicateCount === 0;
+};
+
+module.exports = SettlementReconciliationRun;
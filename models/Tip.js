@@ -0,0 +1,99 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Tip Model
+ *
+ * A one-off payment from a learner to a creator on a video, live class or
+ * live series session. Paid from the tipper's wallet or by card; the creator
+ * is credited the amount minus the tip fee.
+ */
+const Tip = sequelize.define('Tip', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tipperId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'tipper_id'
+  },
+  creatorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'creator_id'
+  },
+  contentType: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    field: 'content_type'
+  },
+  contentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'content_id'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  platformFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'platform_fee'
+  },
+  creatorNet: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'creator_net'
+  },
+  message: {
+    type: DataTypes.STRING(280),
+    allowNull: true
+  },
+  anonymous: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  paymentMethod: {
+    type: DataTypes.ENUM('wallet', 'paystack', 'stripe'),
+    allowNull: false,
+    field: 'payment_method'
+  },
+  paymentReference: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true,
+    field: 'payment_reference'
+  },
+  gatewayReference: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    unique: true,
+    field: 'gateway_reference'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'completed', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  paidAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'paid_at'
+  }
+}, {
+  tableName: 'tips',
+  timestamps: true,
+  underscored: true
+});
+
+module.exports = Tip;
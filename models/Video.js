@@ -22,6 +22,8 @@ const Video = sequelize.define('Video', {
       isIn: [['NGN', 'USD']]
     }
   },
+  pricingMode: { type: DataTypes.ENUM('fixed','pay_what_you_want','tiered'), allowNull: false, defaultValue: 'fixed' }, // pay_what_you_want: price is the minimum; tiered: price is the cheapest tier
+  suggestedPrice: { type: DataTypes.DECIMAL(10,2), allowNull: true },
   type: { type: DataTypes.ENUM('short','long'), defaultValue: 'short' },
   category: { type: DataTypes.STRING, allowNull: true },
   tags: { type: DataTypes.ARRAY(DataTypes.STRING), allowNull: true },
@@ -31,8 +33,12 @@ const Video = sequelize.define('Video', {
   muxUploadId: { type: DataTypes.STRING, allowNull: true },
   muxAssetId: { type: DataTypes.STRING, allowNull: true },
   muxPlaybackId: { type: DataTypes.STRING, allowNull: true },
+  muxPlaybackPolicy: { type: DataTypes.ENUM('public','signed'), allowNull: false, defaultValue: 'public' }, // signed: playback needs a JWT
+  muxReplacementUploadId: { type: DataTypes.STRING, allowNull: true }, // new source file being processed
+  replacementStatus: { type: DataTypes.ENUM('uploading','failed'), allowNull: true },
   status: { type: DataTypes.ENUM('uploading','processing','ready','failed'), defaultValue: 'uploading' },
   durationSeconds: { type: DataTypes.INTEGER, allowNull: true },
+  chapters: { type: DataTypes.JSONB, allowNull: true }, // long-form only: [{ startTime, title }] sorted by startTime (seconds)
   sizeBytes: { type: DataTypes.BIGINT, allowNull: true },
   viewsCount: { type: DataTypes.BIGINT, allowNull: false, defaultValue: 0 },
   communityId: {
@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * VideoCaption Model
+ *
+ * A caption file in one language, attached to the video's Mux asset as a
+ * text track. The parsed cues are kept for the searchable transcript. The
+ * file itself is private; Mux and viewers get short-lived signed URLs.
+ */
+const VideoCaption = sequelize.define('VideoCaption', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  videoId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'video_id'
+  },
+  languageCode: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    field: 'language_code'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  closedCaptions: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'closed_captions'
+  },
+  format: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  fileKey: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    field: 'file_key',
+    comment: 'S3 key of the private caption file, served through signed URLs'
+  },
+  muxTrackId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'mux_track_id'
+  },
+  status: {
+    type: DataTypes.ENUM('preparing', 'ready', 'errored'),
+    allowNull: false,
+    defaultValue: 'preparing'
+  },
+  cues: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  }
+}, {
+  tableName: 'video_captions',
+  timestamps: true,
+  underscored: true
+});
+
+module.exports = VideoCaption;
@@ -20,13 +20,27 @@ const VideoView = sequelize.define('VideoView', {
     allowNull: true,
   },
   watchDuration: {
-    type: DataTypes.INTEGER, // in seconds
+    type: DataTypes.INTEGER, // in seconds, rewatches included
     allowNull: true,
   },
   lastWatchedAt: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW,
   },
+  source: {
+    type: DataTypes.STRING(30),
+    allowNull: true, // feed, search, profile, community, share, external, direct
+  },
+  isPreview: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false, // paywall shown, no access yet
+  },
+  uniqueSecondsWatched: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0, // union of watch segments
+  },
 }, {
   tableName: 'video_views',
   timestamps: true,
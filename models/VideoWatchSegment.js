@@ -0,0 +1,33 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+// A stretch of a video played in one view, built from watch-progress heartbeats
+const VideoWatchSegment = sequelize.define('VideoWatchSegment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  viewId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  videoId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  startSecond: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  endSecond: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+}, {
+  tableName: 'video_watch_segments',
+  timestamps: true,
+  underscored: true,
+});
+
+module.exports = VideoWatchSegment;
@@ -63,7 +63,7 @@ const WalletTransaction = sequelize.define('WalletTransaction', {
     defaultValue: 'pending'
   },
   gateway: {
-    type: DataTypes.ENUM('paystack', 'stripe'),
+    type: DataTypes.ENUM('paystack', 'stripe', 'wallet'),
     allowNull: true
   },
   external_reference: {
@@ -75,6 +75,11 @@ const WalletTransaction = sequelize.define('WalletTransaction', {
     allowNull: false,
     unique: true
   },
+  exchange_rate_snapshot: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Rate used when the amount was converted from another currency'
+  },
   created_at: {
     type: DataTypes.DATE,
     allowNull: false,
@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Withdrawal Limit Audit Log Model
+ *
+ * Append-only record of every tier change, custom limit, override,
+ * suspension, reset and override expiry. performedBy is NULL for actions
+ * taken by the system.
+ */
+const WithdrawalLimitAuditLog = sequelize.define('WithdrawalLimitAuditLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'user_id'
+  },
+  action: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: true
+  },
+  previousValue: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    field: 'previous_value'
+  },
+  newValue: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    field: 'new_value'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  performedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'performed_by'
+  }
+}, {
+  tableName: 'withdrawal_limit_audit_logs',
+  timestamps: true,
+  updatedAt: false,
+  underscored: true
+});
+
+module.exports = WithdrawalLimitAuditLog;
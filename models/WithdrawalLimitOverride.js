@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Withdrawal Limit Override Model
+ *
+ * Custom limits and admin overrides for a user and currency. Rows are never
+ * updated in place: setting new limits revokes the previous row as
+ * 'superseded', so the table doubles as the history of applied limits.
+ * A NULL limit column falls back to the user's tier limit.
+ */
+const WithdrawalLimitOverride = sequelize.define('WithdrawalLimitOverride', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'user_id'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  overrideType: {
+    type: DataTypes.ENUM('custom', 'admin_override'),
+    allowNull: false,
+    field: 'override_type'
+  },
+  dailyLimit: {
+    type: DataTypes.DECIMAL(20, 2),
+    allowNull: true,
+    field: 'daily_limit'
+  },
+  monthlyLimit: {
+    type: DataTypes.DECIMAL(20, 2),
+    allowNull: true,
+    field: 'monthly_limit'
+  },
+  singleLimit: {
+    type: DataTypes.DECIMAL(20, 2),
+    allowNull: true,
+    field: 'single_limit'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'expires_at'
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'created_by'
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'revoked_at'
+  },
+  revokedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'revoked_by'
+  },
+  revokeReason: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+    field: 'revoke_reason'
+  }
+}, {
+  tableName: 'withdrawal_limit_overrides',
+  timestamps: true,
+  underscored: true
+});
+
+module.exports = WithdrawalLimitOverride;
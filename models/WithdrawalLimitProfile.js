@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Withdrawal Limit Profile Model
+ *
+ * Per-user withdrawal tier (default, vip, business) and suspension state.
+ * Users without a row are treated as 'default' and not suspended.
+ */
+const WithdrawalLimitProfile = sequelize.define('WithdrawalLimitProfile', {
+  userId: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+    field: 'user_id'
+  },
+  tier: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'default'
+  },
+  suspended: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  suspensionReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'suspension_reason'
+  },
+  suspendedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'suspended_at'
+  },
+  suspendedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'suspended_by'
+  }
+}, {
+  tableName: 'withdrawal_limit_profiles',
+  timestamps: true,
+  underscored: true
+});
+
+module.exports = WithdrawalLimitProfile;
@@ -4,6 +4,7 @@ const sequelize = require('../config/db');
 const Department = require('./Department');
 const Course = require('./Course');
 const CourseEnrollment = require('./CourseEnrollment');
+const CourseSubscription = require('./CourseSubscription');
 const Purchase = require('./Purchase');
 const User = require('./User');
 
@@ -61,10 +62,27 @@ User.hasMany(CourseEnrollment, {
   as: 'processedEnrollments'
 });
 
+// Auto-renewal for monthly/yearly access
+CourseEnrollment.hasOne(CourseSubscription, {
+  foreignKey: 'enrollmentId',
+  as: 'subscription'
+});
+
+CourseSubscription.belongsTo(CourseEnrollment, {
+  foreignKey: 'enrollmentId',
+  as: 'enrollment'
+});
+
+CourseSubscription.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
 module.exports = {
   Department,
   Course,
   CourseEnrollment,
+  CourseSubscription,
   Purchase,
   User,
   sequelize
@@ -0,0 +1,36 @@
+const FraudUserProfile = require('./FraudUserProfile');
+const FraudTransactionEvent = require('./FraudTransactionEvent');
+const FraudAlert = require('./FraudAlert');
+const ManualReviewItem = require('./ManualReviewItem');
+const ManualReviewDecision = require('./ManualReviewDecision');
+const User = require('./User');
+const Payout = require('./Payout');
+
+// FraudUserProfile associations
+FraudUserProfile.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+User.hasOne(FraudUserProfile, { foreignKey: 'userId', as: 'fraudProfile' });
+
+// FraudTransactionEvent associations
+FraudTransactionEvent.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// FraudAlert associations
+FraudAlert.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+FraudAlert.belongsTo(User, { foreignKey: 'reviewedBy', as: 'reviewer' });
+
+// ManualReviewItem associations
+ManualReviewItem.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+ManualReviewItem.belongsTo(User, { foreignKey: 'assignedTo', as: 'reviewer' });
+ManualReviewItem.belongsTo(Payout, { foreignKey: 'payoutId', as: 'payout' });
+ManualReviewItem.hasMany(ManualReviewDecision, { foreignKey: 'reviewId', as: 'decisions' });
+
+// ManualReviewDecision associations
+ManualReviewDecision.belongsTo(ManualReviewItem, { foreignKey: 'reviewId', as: 'reviewItem' });
+ManualReviewDecision.belongsTo(User, { foreignKey: 'reviewerId', as: 'reviewer' });
+
+module.exports = {
+  FraudUserProfile,
+  FraudTransactionEvent,
+  FraudAlert,
+  ManualReviewItem,
+  ManualReviewDecision
+};
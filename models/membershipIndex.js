@@ -0,0 +1,35 @@
+const MembershipPlan = require('./MembershipPlan');
+const Membership = require('./Membership');
+const User = require('./User');
+
+// MembershipPlan associations
+MembershipPlan.belongsTo(User, {
+  foreignKey: 'creatorId',
+  as: 'creator'
+});
+
+MembershipPlan.hasMany(Membership, {
+  foreignKey: 'planId',
+  as: 'memberships'
+});
+
+// Membership associations
+Membership.belongsTo(MembershipPlan, {
+  foreignKey: 'planId',
+  as: 'plan'
+});
+
+Membership.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+Membership.belongsTo(User, {
+  foreignKey: 'creatorId',
+  as: 'creator'
+});
+
+module.exports = {
+  MembershipPlan,
+  Membership
+};
@@ -0,0 +1,57 @@
+const CartItem = require('./CartItem');
+const Order = require('./Order');
+const OrderItem = require('./OrderItem');
+const User = require('./User');
+const Purchase = require('./Purchase');
+
+// CartItem associations
+User.hasMany(CartItem, {
+  foreignKey: 'userId',
+  as: 'cartItems'
+});
+
+CartItem.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// Order associations
+Order.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+Order.hasMany(OrderItem, {
+  foreignKey: 'orderId',
+  as: 'items'
+});
+
+Order.hasMany(Purchase, {
+  foreignKey: 'orderId',
+  as: 'purchases',
+  constraints: false
+});
+
+// OrderItem associations
+OrderItem.belongsTo(Order, {
+  foreignKey: 'orderId',
+  as: 'order'
+});
+
+OrderItem.belongsTo(Purchase, {
+  foreignKey: 'purchaseId',
+  as: 'purchase',
+  constraints: false
+});
+
+Purchase.belongsTo(Order, {
+  foreignKey: 'orderId',
+  as: 'order',
+  constraints: false
+});
+
+module.exports = {
+  CartItem,
+  Order,
+  OrderItem
+};
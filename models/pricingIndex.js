@@ -0,0 +1,25 @@
+const PricingTier = require('./PricingTier');
+const PricingTierItem = require('./PricingTierItem');
+const { FreebieItem } = require('./freebieIndex');
+
+// PricingTier associations
+PricingTier.hasMany(PricingTierItem, {
+  foreignKey: 'pricingTierId',
+  as: 'tierItems',
+  onDelete: 'CASCADE'
+});
+
+PricingTierItem.belongsTo(PricingTier, {
+  foreignKey: 'pricingTierId',
+  as: 'tier'
+});
+
+PricingTierItem.belongsTo(FreebieItem, {
+  foreignKey: 'freebieItemId',
+  as: 'item'
+});
+
+module.exports = {
+  PricingTier,
+  PricingTierItem
+};
@@ -0,0 +1,22 @@
+const Tip = require('./Tip');
+const User = require('./User');
+
+// Tip associations
+Tip.belongsTo(User, {
+  foreignKey: 'tipperId',
+  as: 'tipper'
+});
+
+Tip.belongsTo(User, {
+  foreignKey: 'creatorId',
+  as: 'creator'
+});
+
+User.hasMany(Tip, {
+  foreignKey: 'creatorId',
+  as: 'tipsReceived'
+});
+
+module.exports = {
+  Tip
+};
@@ -1,10 +1,26 @@
 const User = require('./User');
 const Purchase = require('./Purchase');
+const PurchaseRefund = require('./PurchaseRefund');
 const Wallet = require('./Wallet');
 const WalletAccount = require('./WalletAccount');
 const WalletTransaction = require('./WalletTransaction');
 const Payout = require('./Payout');
+const PayoutSchedule = require('./PayoutSchedule');
+const PayoutBatch = require('./PayoutBatch');
+const PayoutBeneficiary = require('./PayoutBeneficiary');
+const LedgerJournal = require('./LedgerJournal');
+const LedgerEntry = require('./LedgerEntry');
+const SettlementReconciliationRun = require('./SettlementReconciliationRun');
+const SettlementReconciliationItem = require('./SettlementReconciliationItem');
+const CreatorTaxProfile = require('./CreatorTaxProfile');
+const FeeSchedule = require('./FeeSchedule');
+const WithdrawalLimitProfile = require('./WithdrawalLimitProfile');
+const WithdrawalLimitOverride = require('./WithdrawalLimitOverride');
+const WithdrawalLimitAuditLog = require('./WithdrawalLimitAuditLog');
 const Transaction = require('./Transaction');
+const ExchangeRate = require('./ExchangeRate');
+const ExchangeRateLock = require('./ExchangeRateLock');
+const CurrencyConversion = require('./CurrencyConversion');
 const Video = require('./Video');
 const LiveClass = require('./liveClass');
 
@@ -17,6 +33,11 @@ User.hasMany(Transaction, { foreignKey: 'userId', as: 'transactions' });
 
 // Purchase associations
 Purchase.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Purchase.hasMany(PurchaseRefund, { foreignKey: 'purchaseId', as: 'refunds' });
+
+// PurchaseRefund associations
+PurchaseRefund.belongsTo(Purchase, { foreignKey: 'purchaseId', as: 'purchase' });
+PurchaseRefund.belongsTo(User, { foreignKey: 'initiatedBy', as: 'initiator' });
 
 // Wallet associations
 Wallet.belongsTo(User, { foreignKey: 'userId', as: 'user' });
@@ -30,10 +51,60 @@ WalletTransaction.belongsTo(WalletAccount, { foreignKey: 'wallet_account_id', as
 
 // Payout associations
 Payout.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Payout.belongsTo(PayoutBatch, { foreignKey: 'payoutBatchId', as: 'batch', constraints: false });
+
+// Scheduled payout associations
+User.hasMany(PayoutSchedule, { foreignKey: 'userId', as: 'payoutSchedules' });
+PayoutSchedule.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+PayoutSchedule.belongsTo(User, { foreignKey: 'verifiedBy', as: 'verifier' });
+PayoutBatch.hasMany(Payout, { foreignKey: 'payoutBatchId', as: 'payouts', constraints: false });
+PayoutBatch.belongsTo(User, { foreignKey: 'triggeredBy', as: 'initiator' });
+
+// Payout beneficiary associations
+User.hasMany(PayoutBeneficiary, { foreignKey: 'userId', as: 'payoutBeneficiaries' });
+PayoutBeneficiary.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+PayoutBeneficiary.hasMany(Payout, { foreignKey: 'beneficiaryId', as: 'payouts', constraints: false });
+Payout.belongsTo(PayoutBeneficiary, { foreignKey: 'beneficiaryId', as: 'beneficiary', constraints: false });
+
+// Ledger associations
+LedgerJournal.hasMany(LedgerEntry, { foreignKey: 'journalId', as: 'entries' });
+LedgerEntry.belongsTo(LedgerJournal, { foreignKey: 'journalId', as: 'journal' });
+LedgerEntry.belongsTo(WalletAccount, { foreignKey: 'walletAccountId', as: 'walletAccount', constraints: false });
+
+// Settlement reconciliation associations
+SettlementReconciliationRun.hasMany(SettlementReconciliationItem, { foreignKey: 'runId', as: 'items' });
+SettlementReconciliationItem.belongsTo(SettlementReconciliationRun, { foreignKey: 'runId', as: 'run' });
+SettlementReconciliationRun.belongsTo(User, { foreignKey: 'triggeredBy', as: 'initiator', constraints: false });
+
+// Tax profile associations
+User.hasOne(CreatorTaxProfile, { foreignKey: 'userId', as: 'taxProfile' });
+CreatorTaxProfile.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// Fee schedule associations
+FeeSchedule.belongsTo(User, { foreignKey: 'creatorId', as: 'creator', constraints: false });
+FeeSchedule.hasMany(Purchase, { foreignKey: 'feeScheduleId', as: 'purchases', constraints: false });
+Purchase.belongsTo(FeeSchedule, { foreignKey: 'feeScheduleId', as: 'feeSchedule', constraints: false });
+
+// Withdrawal limit associations
+User.hasOne(WithdrawalLimitProfile, { foreignKey: 'userId', as: 'withdrawalLimitProfile' });
+WithdrawalLimitProfile.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+WithdrawalLimitOverride.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+WithdrawalLimitOverride.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+WithdrawalLimitAuditLog.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+WithdrawalLimitAuditLog.belongsTo(User, { foreignKey: 'performedBy', as: 'performer' });
 
 // Transaction associations
 Transaction.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 
+// ExchangeRate associations
+ExchangeRate.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+ExchangeRateLock.belongsTo(ExchangeRate, { foreignKey: 'exchangeRateId', as: 'exchangeRate' });
+ExchangeRateLock.belongsTo(User, { foreignKey: 'lockedBy', as: 'locker' });
+
+// CurrencyConversion associations
+User.hasMany(CurrencyConversion, { foreignKey: 'userId', as: 'currencyConversions' });
+CurrencyConversion.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
 // Video associations (for purchases)
 Video.hasMany(Purchase, { 
   foreignKey: 'contentId',
@@ -57,11 +128,27 @@ LiveClass.hasMany(Purchase, {
 module.exports = {
   User,
   Purchase,
+  PurchaseRefund,
   Wallet,
   WalletAccount,
   WalletTransaction,
   Payout,
+  PayoutSchedule,
+  PayoutBatch,
+  PayoutBeneficiary,
+  LedgerJournal,
+  LedgerEntry,
+  SettlementReconciliationRun,
+  SettlementReconciliationItem,
+  CreatorTaxProfile,
+  FeeSchedule,
+  WithdrawalLimitProfile,
+  WithdrawalLimitOverride,
+  WithdrawalLimitAuditLog,
   Transaction,
+  ExchangeRate,
+  ExchangeRateLock,
+  CurrencyConversion,
   Video,
   LiveClass
 };
@@ -1,4 +1,5 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const authMiddleware = require('../middleware/authMiddleware');
 const adminMiddleware = require('../middleware/adminMiddleware');
@@ -9,6 +10,21 @@ const auditTrailController = require('../controllers/auditTrailController');
 const manualReviewController = require('../controllers/manualReviewController');
 const transactionHistoryController = require('../controllers/transactionHistoryController');
 const adminDashboardController = require('../controllers/adminDashboardController');
+const adminRefundController = require('../controllers/adminRefundController');
+const exchangeRateController = require('../controllers/exchangeRateController');
+const scheduledPayoutController = require('../controllers/scheduledPayoutController');
+const ledgerController = require('../controllers/ledgerController');
+const settlementReconciliationController = require('../controllers/settlementReconciliationController');
+const feeScheduleController = require('../controllers/feeScheduleController');
+const videoAnalyticsController = require('../controllers/videoAnalyticsController');
+
+// Gateway settlement exports (CSV/JSON) for reconciliation
+const settlementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  }
+});
 
 /**
  * Admin Routes for System Management
@@ -70,6 +86,9 @@ router.get('/withdrawal-limits/system-stats', withdrawalLimitController.getSyste
 // Get user withdrawal statistics
 router.get('/withdrawal-limits/user/:userId', withdrawalLimitController.getUserWithdrawalStats);
 
+// Get audit trail of user withdrawal limit changes
+router.get('/withdrawal-limits/user/:userId/audit', withdrawalLimitController.getUserLimitAuditTrail);
+
 // Set user tier (default, vip, business)
 router.post('/withdrawal-limits/set-tier', withdrawalLimitController.setUserTier);
 
@@ -91,6 +110,25 @@ router.post('/withdrawal-limits/reset-user', withdrawalLimitController.resetUser
 // Check withdrawal limits (preview)
 router.post('/withdrawal-limits/check-limits', withdrawalLimitController.checkWithdrawalLimits);
 
+/**
+ * Exchange Rate Management
+ */
+
+// Get current rates with source and lock status
+router.get('/exchange-rates', exchangeRateController.getCurrentRates);
+
+// Get rate history for a currency
+router.get('/exchange-rates/:currency/history', exchangeRateController.getRateHistory);
+
+// Override (and optionally lock) a rate
+router.post('/exchange-rates/override', exchangeRateController.overrideRate);
+
+// Unlock a rate so provider refreshes apply again
+router.post('/exchange-rates/unlock', exchangeRateController.unlockRate);
+
+// Force a refresh from the configured provider
+router.post('/exchange-rates/refresh', exchangeRateController.refreshRates);
+
 /**
  * Audit Trail Management
  */
@@ -203,6 +241,39 @@ router.get('/payouts', adminDashboardController.getPayouts);
 router.patch('/payouts/:id/approve', adminDashboardController.approvePayout);
 router.patch('/payouts/:id/reject', adminDashboardController.rejectPayout);
 
+// Scheduled payouts: bank account verification and batch reports
+router.get('/payout-schedules', scheduledPayoutController.listSchedules);
+router.patch('/payout-schedules/:id/verify', scheduledPayoutController.verifySchedule);
+router.get('/payout-batches', scheduledPayoutController.getBatches);
+router.post('/payout-batches/run', scheduledPayoutController.runBatch);
+router.get('/payout-batches/:id', scheduledPayoutController.getBatch);
+
+// Double-entry ledger: reconcile wallet balances against the journal
+router.get('/ledger/reconciliation', ledgerController.reconcileWallets);
+router.get('/ledger/accounts', ledgerController.getAccountBalances);
+router.get('/ledger/journals', ledgerController.getJournals);
+
+// Gateway settlement reconciliation: match Paystack/Stripe exports to our records
+router.post('/reconciliation/imports', settlementUpload.single('file'), settlementReconciliationController.importSettlement);
+router.get('/reconciliation/runs', settlementReconciliationController.getRuns);
+router.get('/reconciliation/runs/:id', settlementReconciliationController.getRun);
+router.get('/reconciliation/runs/:id/export', settlementReconciliationController.exportRun);
+
+// Platform fee schedules: per content type, per creator, promotions and volume tiers
+router.get('/fee-schedules', feeScheduleController.listSchedules);
+router.post('/fee-schedules', feeScheduleController.createSchedule);
+router.get('/fee-schedules/preview', feeScheduleController.previewFee);
+router.get('/fee-schedules/:id', feeScheduleController.getSchedule);
+router.patch('/fee-schedules/:id', feeScheduleController.updateSchedule);
+router.delete('/fee-schedules/:id', feeScheduleController.deleteSchedule);
+
+// Video engagement across the platform: retention, completion, sources, conversion
+router.get('/videos/analytics', videoAnalyticsController.getPlatformVideoAnalytics);
+
+// Purchase refunds (full or partial, via the original gateway)
+router.post('/purchases/:id/refund', adminRefundController.refundPurchase);
+router.get('/purchases/:id/refunds', adminRefundController.getPurchaseRefunds);
+
 /**
  * Course Enrollment Management (Admin)
  */
@@ -31,6 +31,11 @@ router.get('/search', courseController.searchCourses);
 // Get user's course enrollments (must be before /:id route)
 router.get('/my-enrollments', authMiddleware, courseController.getMyEnrollments);
 
+// Monthly/yearly pass auto-renewal (must be before /:id route)
+router.get('/subscriptions', authMiddleware, courseController.getMySubscriptions);
+router.post('/subscriptions/:id/cancel', authMiddleware, courseController.cancelSubscription);
+router.post('/subscriptions/:id/resume', authMiddleware, courseController.resumeSubscription);
+
 // Get course details (must be after specific routes)
 router.get('/:id', courseController.getCourseById);
 
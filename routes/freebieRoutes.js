@@ -3,6 +3,7 @@ const router = express.Router();
 const multer = require('multer');
 const freebieController = require('../controllers/freebieController');
 const freebiePaymentController = require('../controllers/freebiePaymentController');
+const contentPricingController = require('../controllers/contentPricingController');
 const authMiddleware = require('../middleware/authMiddleware');
 const adminMiddleware = require('../middleware/adminMiddleware');
 const { idempotencyMiddleware } = require('../middleware/idempotencyMiddleware');
@@ -58,6 +59,7 @@ router.delete('/:id', authMiddleware, adminMiddleware, freebieController.deleteF
 
 // ── Public detail (after admin routes) ──────────────────────────────────────
 router.get('/:id', freebieController.getFreebieById);
+router.get('/:id/pricing', contentPricingController.getFreebiePricing);
 
 // ── Auth required ────────────────────────────────────────────────────────────
 router.post('/', authMiddleware, uploadFields, freebieController.createFreebie);
@@ -68,6 +70,7 @@ router.post('/:id/purchase', authMiddleware, idempotencyMiddleware({ required: t
 
 // ── Creator: update price ────────────────────────────────────────────────────
 router.patch('/:id/price', authMiddleware, freebieController.updateFreebiePrice);
+router.put('/:id/pricing', authMiddleware, contentPricingController.setFreebiePricing);
 router.patch('/:id/community', authMiddleware, freebieController.linkFreebieToCommunity);
 
 // ── Admin: revoke access (manual refund) ─────────────────────────────────────
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const giftController = require('../controllers/giftController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Recipient
+router.get('/code/:code', authMiddleware, giftController.previewGift);
+router.post('/redeem', authMiddleware, giftController.redeemGift);
+
+// Payer
+router.get('/sent', authMiddleware, giftController.getSentGifts);
+router.post('/:id/refund', authMiddleware, giftController.refundGift);
+
+module.exports = router;
@@ -4,6 +4,10 @@ const liveController = require('../controllers/liveController');
 const authMiddleware = require('../middleware/authMiddleware');
 const { checkContentAccess } = require('../middleware/purchaseMiddleware');
 const { upload } = require('../utils/multerConfig');
+const { payments } = require('../middleware/financialRateLimiter');
+const { idempotencyMiddleware } = require('../middleware/idempotencyMiddleware');
+const tipController = require('../controllers/tipController');
+const { tipGuards } = require('../middleware/tipMiddleware');
 
 // Get all live classes (public endpoint with optional filters)
 router.get('/getLive', liveController.getAllLiveClasses);
@@ -27,6 +31,9 @@ router.get('/:id/playback', checkContentAccess, liveController.getPlayback);
 router.get('/:id/hosts', authMiddleware, liveController.getHosts);
 router.get('/:id/attendees', authMiddleware, liveController.getAttendees);
 
+// Tip the creator (broadcast to the ZegoCloud room while live)
+router.post('/:id/tips', authMiddleware, payments, ...tipGuards, idempotencyMiddleware({ required: true, operationType: 'tip' }), tipController.tipLiveClass);
+
 // ZegoCloud specific routes
 router.post('/:id/start-zegocloud', authMiddleware, liveController.startZegoCloudSession);
 router.post('/:id/end-zegocloud', authMiddleware, liveController.endZegoCloudSession);
@@ -4,6 +4,10 @@ const liveSeriesController = require('../controllers/liveSeriesController');
 const liveSessionController = require('../controllers/liveSessionController');
 const authMiddleware = require('../middleware/authMiddleware');
 const { upload } = require('../utils/multerConfig');
+const { payments } = require('../middleware/financialRateLimiter');
+const { idempotencyMiddleware } = require('../middleware/idempotencyMiddleware');
+const tipController = require('../controllers/tipController');
+const { tipGuards } = require('../middleware/tipMiddleware');
 
 // Optional auth — sets req.user if token present, continues either way
 const optionalAuth = (req, res, next) => {
@@ -117,11 +121,25 @@ router.post('/session/:id/end', authMiddleware, liveSessionController.endSession
  */
 router.post('/session/:id/join', authMiddleware, liveSessionController.joinSession);
 
+/**
+ * Tip the series creator during a session
+ * POST /api/live/series/session/:id/tips
+ * Auth: Required (Student)
+ */
+router.post('/session/:id/tips', authMiddleware, payments, ...tipGuards, idempotencyMiddleware({ required: true, operationType: 'tip' }), tipController.tipLiveSession);
+
+/**
+ * Save the playback position in a session recording
+ * PUT /api/live/series/session/:id/position
+ * Auth: Required (Student)
+ */
+router.put('/session/:id/position', authMiddleware, liveSessionController.savePlaybackPosition);
+
 /**
  * Get session by ID
  * GET /api/live/session/:id
  * Auth: Optional
  */
-router.get('/session/:id', liveSessionController.getSessionById);
+router.get('/session/:id', optionalAuth, liveSessionController.getSessionById);
 
 module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const membershipController = require('../controllers/membershipController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Creator plan management
+router.post('/plans', authMiddleware, membershipController.createPlan);
+router.get('/plans/mine', authMiddleware, membershipController.getMyPlans);
+router.patch('/plans/:id', authMiddleware, membershipController.updatePlan);
+
+// Public plan listing
+router.get('/plans/creator/:creatorId', membershipController.getCreatorPlans);
+
+// Subscriber memberships
+router.post('/plans/:id/subscribe', authMiddleware, membershipController.subscribe);
+router.get('/mine', authMiddleware, membershipController.getMyMemberships);
+router.post('/:id/cancel', authMiddleware, membershipController.cancel);
+
+module.exports = router;
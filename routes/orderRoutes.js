@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const orderController = require('../controllers/orderController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Cart
+router.get('/cart', authMiddleware, orderController.getCart);
+router.delete('/cart', authMiddleware, orderController.clearCart);
+router.post('/cart/items', authMiddleware, orderController.addItem);
+router.patch('/cart/items/:id', authMiddleware, orderController.updateItem);
+router.delete('/cart/items/:id', authMiddleware, orderController.removeItem);
+
+// Checkout and orders
+router.post('/checkout', authMiddleware, orderController.checkout);
+router.get('/', authMiddleware, orderController.getOrders);
+router.get('/:id', authMiddleware, orderController.getOrder);
+router.post('/:id/verify', authMiddleware, orderController.verifyOrder);
+
+module.exports = router;
@@ -4,6 +4,7 @@ const paymentController = require('../controllers/paymentController');
 const authMiddleware = require('../middleware/authMiddleware');
 const { payments } = require('../middleware/financialRateLimiter');
 const fraudDetectionMiddleware = require('../middleware/fraudDetectionMiddleware');
+const { idempotencyMiddleware } = require('../middleware/idempotencyMiddleware');
 
 // Get payment configuration (supported currencies and gateways)
 router.get('/config', paymentController.getPaymentConfig);
@@ -11,6 +12,9 @@ router.get('/config', paymentController.getPaymentConfig);
 // Initialize payment checkout (with rate limiting and fraud detection)
 router.post('/initialize', authMiddleware, payments, fraudDetectionMiddleware.payments, paymentController.initializeCheckout);
 
+// Pay from the wallet balance, or split wallet + card
+router.post('/wallet', authMiddleware, payments, fraudDetectionMiddleware.payments, idempotencyMiddleware({ required: true, operationType: 'wallet_payment' }), paymentController.payWithWallet);
+
 // Verify payment (GET and POST, no auth required since reference is unique)
 router.get('/verify/:reference', paymentController.verifyPayment);
 router.post('/verify/:reference', paymentController.verifyPayment);
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const tipController = require('../controllers/tipController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Tipper
+router.get('/sent', authMiddleware, tipController.getSentTips);
+router.post('/:id/verify', authMiddleware, tipController.verifyTip);
+
+// Creator
+router.get('/received', authMiddleware, tipController.getReceivedTips);
+
+module.exports = router;
@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const { getUserInfo } = require('../controllers/userController');
+const { getUserInfo, getContinueWatching } = require('../controllers/userController');
 const authMiddleware = require('../middleware/authMiddleware');
 
 router.get('/me', authMiddleware, getUserInfo);
+router.get('/me/continue-watching', authMiddleware, getContinueWatching);
 
 module.exports = router;
 
@@ -1,18 +1,39 @@
 const express = require('express');
+const multer = require('multer');
 const { uploadVideo,
     getAllVideos,
   getVideoById,
+  getVideoPlayback,
+  savePlaybackPosition,
   getUserVideos,
   getMyVideos,
+  updateVideo,
+  updateChapters,
+  replaceThumbnail,
+  requireVideoOwner,
+  replaceSource,
   deleteVideo,
   linkVideoToCommunity
  } = require('../controllers/videoController');
 const { upload } = require('../utils/multerConfig');
 const authMiddleware = require('../middleware/authMiddleware');
-const { checkContentAccess } = require('../middleware/purchaseMiddleware');
+const { checkContentAccess, tracksPreview } = require('../middleware/purchaseMiddleware');
+const { payments } = require('../middleware/financialRateLimiter');
+const { idempotencyMiddleware } = require('../middleware/idempotencyMiddleware');
+const tipController = require('../controllers/tipController');
+const { tipGuards } = require('../middleware/tipMiddleware');
+const contentPricingController = require('../controllers/contentPricingController');
+const videoAnalyticsController = require('../controllers/videoAnalyticsController');
+const videoCaptionController = require('../controllers/videoCaptionController');
 
 const router = express.Router();
 
+// Caption files are parsed in memory before anything goes to S3 or Mux
+const captionUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 } // 2 MB
+});
+
 router.post(
   '/upload',
   authMiddleware,
@@ -28,8 +49,35 @@ router.post(
 router.get('/', getAllVideos);             // public feed
 router.get('/my-videos', authMiddleware, getMyVideos); // current user's videos
 router.get('/user/:userId', authMiddleware, getUserVideos); // creator dashboard
-router.get('/:id', checkContentAccess, getVideoById);          // single video + metadata (with access control)
+router.get('/:id/pricing', contentPricingController.getVideoPricing); // pay-what-you-want / tiers
+router.put('/:id/pricing', authMiddleware, contentPricingController.setVideoPricing);
+router.get('/:id/playback', checkContentAccess, getVideoPlayback); // fresh signed playback tokens
+router.put('/:id/position', authMiddleware, checkContentAccess, savePlaybackPosition); // resume point
+router.post('/:id/heartbeat', videoAnalyticsController.recordHeartbeat); // watch progress
+router.get('/:id/captions', videoCaptionController.listCaptions);
+router.post('/:id/captions', authMiddleware, captionUpload.single('file'), videoCaptionController.addCaption); // WebVTT / SRT per language
+router.delete('/:id/captions/:captionId', authMiddleware, videoCaptionController.deleteCaption);
+router.get('/:id/captions/:captionId/file', checkContentAccess, videoCaptionController.getCaptionFile); // signed URL, files are private
+router.get('/:id/transcript', checkContentAccess, videoCaptionController.getTranscript); // searchable with ?q=
+router.put('/:id/chapters', authMiddleware, updateChapters); // long-form chapter markers
+router.get('/:id/analytics', authMiddleware, videoAnalyticsController.getVideoAnalytics); // creator analytics
+router.get('/:id', tracksPreview, checkContentAccess, getVideoById);          // single video + metadata (with access control)
 router.delete('/:id', authMiddleware, deleteVideo);
+router.patch('/:id', authMiddleware, updateVideo); // edit metadata
+router.put(
+  '/:id/thumbnail',
+  authMiddleware,
+  requireVideoOwner, // before the upload reaches S3
+  upload.fields([
+    { name: 'thumbnail', maxCount: 1 },
+    { name: 'thumbnailUrl', maxCount: 1 },
+    { name: 'image', maxCount: 1 },
+    { name: 'file', maxCount: 1 }
+  ]),
+  replaceThumbnail
+);
+router.post('/:id/source', authMiddleware, replaceSource); // new Mux upload, same video ID
 router.patch('/:id/community', authMiddleware, linkVideoToCommunity);             // delete video
+router.post('/:id/tips', authMiddleware, payments, ...tipGuards, idempotencyMiddleware({ required: true, operationType: 'tip' }), tipController.tipVideo); // tip the creator
 
 module.exports = router;
\ No newline at end of file
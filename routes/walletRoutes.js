@@ -5,10 +5,15 @@ const walletTopUpController = require('../controllers/walletTopUpController');
 const withdrawal2FAController = require('../controllers/withdrawal2FAController');
 const currencyWithdrawalController = require('../controllers/currencyWithdrawalController');
 const transactionHistoryController = require('../controllers/transactionHistoryController');
+const walletConversionController = require('../controllers/walletConversionController');
+const scheduledPayoutController = require('../controllers/scheduledPayoutController');
+const payoutBeneficiaryController = require('../controllers/payoutBeneficiaryController');
+const taxDocumentController = require('../controllers/taxDocumentController');
 const authMiddleware = require('../middleware/authMiddleware');
 const fraudDetectionMiddleware = require('../middleware/fraudDetectionMiddleware');
 const withdrawalLimitMiddleware = require('../middleware/withdrawalLimitMiddleware');
 const withdrawal2FAMiddleware = require('../middleware/withdrawal2FAMiddleware');
+const beneficiaryMiddleware = require('../middleware/beneficiaryMiddleware');
 const { walletOperations, transfers } = require('../middleware/financialRateLimiter');
 
 // ===== NEW: WALLET TOP-UP ROUTES (Quiz Integration - Option B) =====
@@ -32,9 +37,15 @@ router.get('/earnings', authMiddleware, walletController.getEarnings);
 // Get creator sales (who bought what)
 router.get('/sales', authMiddleware, walletController.getCreatorSales);
 
+// Monthly/annual earnings statements (JSON, CSV or PDF) and the tax profile printed on them
+router.get('/statements', authMiddleware, taxDocumentController.getStatement);
+router.get('/tax-profile', authMiddleware, taxDocumentController.getTaxProfile);
+router.put('/tax-profile', authMiddleware, taxDocumentController.saveTaxProfile);
+
 // Initiate withdrawal (with fraud detection, withdrawal limits, and 2FA)
 router.post('/withdraw', 
   authMiddleware, 
+  beneficiaryMiddleware.resolveBeneficiary,
   withdrawalLimitMiddleware.checkLimits,
   fraudDetectionMiddleware.withdrawals,
   withdrawal2FAMiddleware.check2FA, // This will handle 2FA requirement
@@ -45,6 +56,7 @@ router.post('/withdraw',
 // Currency-specific withdrawal processing
 router.post('/process-currency-withdrawal',
   authMiddleware,
+  beneficiaryMiddleware.resolveBeneficiary,
   currencyWithdrawalController.processCurrencyWithdrawal
 );
 
@@ -100,6 +112,19 @@ router.post('/validate-bank-account', currencyWithdrawalController.validateBankA
 // Get withdrawal history
 router.get('/withdrawals', authMiddleware, walletController.getWithdrawals);
 
+// Automatic weekly/monthly payouts to a saved bank account
+router.get('/payout-schedules', authMiddleware, scheduledPayoutController.getMySchedules);
+router.put('/payout-schedules', authMiddleware, scheduledPayoutController.saveSchedule);
+router.delete('/payout-schedules/:id', authMiddleware, scheduledPayoutController.disableSchedule);
+
+// Saved bank accounts (beneficiaries) - confirmed by email OTP, usable after a cooldown
+router.get('/beneficiaries', authMiddleware, payoutBeneficiaryController.getBeneficiaries);
+router.post('/beneficiaries', authMiddleware, walletOperations, payoutBeneficiaryController.addBeneficiary);
+router.post('/beneficiaries/:id/confirm', authMiddleware, payoutBeneficiaryController.confirmBeneficiary);
+router.post('/beneficiaries/:id/resend-otp', authMiddleware, payoutBeneficiaryController.resendConfirmation);
+router.patch('/beneficiaries/:id', authMiddleware, payoutBeneficiaryController.updateBeneficiary);
+router.delete('/beneficiaries/:id', authMiddleware, payoutBeneficiaryController.removeBeneficiary);
+
 // Get list of banks
 router.get('/banks', authMiddleware, walletController.getBanks);
 
@@ -185,6 +210,26 @@ router.post('/transfer',
   walletController.transferBetweenWallets
 );
 
+// Quote a conversion between the user's own NGN and USD wallets
+router.post('/convert/quote', 
+  authMiddleware, 
+  walletOperations, 
+  walletConversionController.createQuote
+);
+
+// Execute a conversion quote (withdrawal limits and fraud checks run on the quoted amount)
+router.post('/convert', 
+  authMiddleware, 
+  transfers, 
+  walletConversionController.executeConversion
+);
+
+// Get conversion history
+router.get('/convert/history', 
+  authMiddleware, 
+  walletConversionController.getConversions
+);
+
 // Get currency-specific balance with history
 router.get('/balance/:currency/history', 
   authMiddleware, 
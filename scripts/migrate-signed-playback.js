@@ -0,0 +1,42 @@
+require('dotenv').config();
+const muxPlaybackService = require('../services/muxPlaybackService');
+
+/**
+ * Signed playback migration
+ *
+ * Moves paid and private videos uploaded with a public Mux playback policy
+ * to signed playback. Each asset gets a signed playback ID and its public one
+ * is deleted, so links shared before the migration stop working:
+ *
+ *   node scripts/migrate-signed-playback.js [--dry-run] [--limit=500]
+ *
+ * Run after the 20261019000020 migration; safe to re-run until nothing is left.
+ */
+async function run() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const limitArg = args.find(arg => arg.startsWith('--limit='));
+  const limit = limitArg ? parseInt(limitArg.split('=')[1]) : 500;
+
+  try {
+    console.log(`🔄 ${dryRun ? 'Checking' : 'Migrating'} public playback IDs of paid and private videos...`);
+
+    const result = await muxPlaybackService.migrateExisting({ dryRun, limit });
+
+    console.log(`✅ ${dryRun ? 'Dry run' : 'Migration'} completed`);
+    console.log(`   Public videos checked: ${result.checked}`);
+    if (dryRun) {
+      console.log(`   Would migrate:         ${result.videoIds.length}`);
+      result.videoIds.forEach(id => console.log(`     - ${id}`));
+    } else {
+      console.log(`   Migrated:              ${result.migrated}`);
+      console.log(`   Failed:                ${result.failed}`);
+    }
+    process.exit(result.failed > 0 ? 2 : 0);
+  } catch (error) {
+    console.error('❌ Signed playback migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+run();
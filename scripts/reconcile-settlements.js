@@ -0,0 +1,48 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const settlementReconciliationService = require('../services/settlementReconciliationService');
+
+/**
+ * Settlement reconciliation job
+ *
+ * Reconciles a Paystack or Stripe export file against our records offline:
+ *
+ *   node scripts/reconcile-settlements.js <paystack|stripe> <file.csv|file.json> [payment|transfer] [major|minor]
+ *
+ * The run is stored and can be reviewed under /api/admin/reconciliation.
+ */
+async function run() {
+  const [gateway, filePath, recordType = 'payment', amountUnit] = process.argv.slice(2);
+
+  if (!gateway || !filePath) {
+    console.error('Usage: node scripts/reconcile-settlements.js <paystack|stripe> <file> [payment|transfer] [major|minor]');
+    process.exit(1);
+  }
+
+  try {
+    console.log(`🔄 Reconciling ${gateway} export ${filePath}...`);
+
+    const result = await settlementReconciliationService.importSettlement({
+      gateway,
+      content: fs.readFileSync(filePath),
+      fileName: path.basename(filePath),
+      recordType,
+      amountUnit
+    });
+
+    console.log(`✅ Run ${result.id} completed`);
+    console.log(`   Rows imported:      ${result.rowsImported}`);
+    console.log(`   Matched:            ${result.matchedCount}`);
+    console.log(`   Amount mismatches:  ${result.mismatchCount}`);
+    console.log(`   Missing internally: ${result.missingInternalCount}`);
+    console.log(`   Missing in gateway: ${result.missingInGatewayCount}`);
+    console.log(`   Duplicates:         ${result.duplicateCount}`);
+    process.exit(result.isClean() ? 0 : 2);
+  } catch (error) {
+    console.error('❌ Reconciliation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+run();
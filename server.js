@@ -37,6 +37,10 @@ const adminCouponRoutes = require('./routes/adminCouponRoutes');
 const communityRoutes = require('./routes/communityRoutes');
 const adminCommunityRoutes = require('./routes/adminCommunityRoutes');
 const campaignRoutes = require('./routes/campaignRoutes');
+const membershipRoutes = require('./routes/membershipRoutes');
+const orderRoutes = require('./routes/orderRoutes');
+const giftRoutes = require('./routes/giftRoutes');
+const tipRoutes = require('./routes/tipRoutes');
 const rateLimiter = require('./middleware/rateLimiter');
 const sequelize = require('./config/db');
 const LiveClassCleanupService = require('./services/liveClassCleanupService');
@@ -46,6 +50,8 @@ const activeUserTracker = require('./services/activeUserTracker');
 const leaderboardService = require('./services/leaderboardService');
 const quizRateLimiter = require('./middleware/quizRateLimiter');
 const suspiciousActivityService = require('./services/suspiciousActivityService');
+const fraudDetectionService = require('./services/fraudDetectionService');
+const exchangeRateService = require('./services/exchangeRateService');
 
 require('./models/walletIndex');
 require('./models/courseIndex');
@@ -57,6 +63,7 @@ require('./models/quizIndex');
 require('./models/freebieIndex');
 require('./models/couponIndex');
 require('./models/communityIndex');
+require('./models/fraudIndex');
 
 const app = express();
 
@@ -175,6 +182,10 @@ app.use('/api/admin/coupons', adminCouponRoutes);
 app.use('/api/communities', communityRoutes);
 app.use('/api/admin/communities', adminCommunityRoutes);
 app.use('/api/campaigns', campaignRoutes);
+app.use('/api/memberships', membershipRoutes);
+app.use('/api/orders', financialRateLimiter, orderRoutes);
+app.use('/api/gifts', financialRateLimiter, giftRoutes);
+app.use('/api/tips', financialRateLimiter, tipRoutes);
 app.use('/api/notifications', require('./routes/notificationRoutes'));
 app.use('/uploads', express.static('uploads'));
 
@@ -225,9 +236,20 @@ sequelize.sync({ force: false })
         console.error('❌ Failed to initialize Suspicious Activity Service:', err.message);
       });
       
+      // Initialize Fraud Detection Redis cache
+      fraudDetectionService.initialize().catch(err => {
+        console.error('❌ Failed to initialize Fraud Detection Service:', err.message);
+      });
+      
+      // Load exchange rates and start provider refresh
+      exchangeRateService.initialize().catch(err => {
+        console.error('❌ Failed to initialize Exchange Rate Service:', err.message);
+      });
+      
       setupLiveClassCleanup();
       setupEmailScheduler();
       setupQuizScheduledTasks();
+      setupBillingScheduledTasks();
     });
   })
   .catch(err => console.error('DB Connection Failed:', err));
@@ -293,6 +315,68 @@ function setupLiveClassCleanup() {
   console.log('   - Weekly: Archive old ended classes');
 }
 
+/**
+ * Setup recurring billing cron jobs
+ */
+function setupBillingScheduledTasks() {
+  const CourseRenewalService = require('./services/courseRenewalService');
+  const courseRenewalService = new CourseRenewalService();
+  const scheduledPayoutService = require('./services/scheduledPayoutService');
+  const giftService = require('./services/giftService');
+  const orderService = require('./services/orderService');
+
+  // 🕐 Every hour at :30: Renew due course passes and run dunning retries
+  cron.schedule('30 * * * *', async () => {
+    try {
+      console.log('💳 [Cron] Processing course pass renewals...');
+      const result = await courseRenewalService.processDueRenewals();
+
+      if (result.processed > 0 || result.expired > 0) {
+        console.log(`✅ [Cron] Course renewals: ${result.renewed} renewed, ${result.failed} failed, ${result.pending} pending, ${result.expired} expired`);
+      }
+    } catch (error) {
+      console.error('❌ [Cron] Course renewal run failed:', error.message);
+    }
+  });
+
+  // 🕐 Every hour at :45: Pay out due creator payout schedules
+  cron.schedule('45 * * * *', async () => {
+    try {
+      const batch = await scheduledPayoutService.processDueSchedules();
+
+      if (batch) {
+        console.log(`✅ [Cron] Payout batch ${batch.id}: ${batch.paidCount} paid, ${batch.heldCount} held, ${batch.skippedCount} skipped, ${batch.failedCount} failed`);
+      }
+    } catch (error) {
+      console.error('❌ [Cron] Scheduled payout run failed:', error.message);
+    }
+  });
+
+  // 🕐 Daily at 03:15: Expire unredeemed gift codes
+  cron.schedule('15 3 * * *', async () => {
+    try {
+      await giftService.expireGifts();
+    } catch (error) {
+      console.error('❌ [Cron] Gift expiry run failed:', error.message);
+    }
+  });
+
+  // 🕐 Every 15 minutes: Release wallet holds of split orders whose card payment never arrived
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      await orderService.releaseExpiredWalletHolds();
+    } catch (error) {
+      console.error('❌ [Cron] Wallet hold release failed:', error.message);
+    }
+  });
+
+  console.log('⏰ Billing cron jobs scheduled:');
+  console.log('   - Hourly: Course pass auto-renewal and dunning retries');
+  console.log('   - Hourly: Scheduled creator payouts');
+  console.log('   - Daily: Unredeemed gift expiry');
+  console.log('   - Every 15 minutes: Expired wallet holds on split orders');
+}
+
 /**
  * Setup quiz platform scheduled tasks
  */
@@ -43,6 +43,7 @@ class AuditTrailService {
         PAYMENT_INITIATED: 'payment_initiated',
         PAYMENT_COMPLETED: 'payment_completed',
         PAYMENT_FAILED: 'payment_failed',
+        PAYMENT_REFUNDED: 'payment_refunded',
         WITHDRAWAL_INITIATED: 'withdrawal_initiated',
         WITHDRAWAL_COMPLETED: 'withdrawal_completed',
         WITHDRAWAL_FAILED: 'withdrawal_failed',
@@ -509,7 +510,7 @@ class AuditTrailService {
    */
   getCategoryForEventType(eventType) {
     const financialEvents = [
-      'payment_initiated', 'payment_completed', 'payment_failed',
+      'payment_initiated', 'payment_completed', 'payment_failed', 'payment_refunded',
       'withdrawal_initiated', 'withdrawal_completed', 'withdrawal_failed',
       'transfer_initiated', 'transfer_completed',
       'wallet_credited', 'wallet_debited'
@@ -0,0 +1,379 @@
+const sequelize = require('../config/db');
+const { PricingTier, PricingTierItem } = require('../models/pricingIndex');
+const { Freebie, FreebieItem, FreebieAccess } = require('../models/freebieIndex');
+const Purchase = require('../models/Purchase');
+const muxPlaybackService = require('./muxPlaybackService');
+
+const PRICING_MODES = ['fixed', 'pay_what_you_want', 'tiered'];
+const PRICING_CONTENT_TYPES = ['video', 'freebie'];
+const MAX_TIERS = 5;
+
+/**
+ * Content Pricing Service
+ *
+ * Flexible pricing for videos and freebies:
+ *
+ * - fixed: `price` is what everyone pays
+ * - pay_what_you_want: `price` is the minimum and `suggestedPrice` the
+ *   pre-filled amount; the buyer's chosen amount is validated here
+ * - tiered: buyers pick a PricingTier; `price` mirrors the cheapest tier so
+ *   listings and free checks keep working. On freebies each tier unlocks
+ *   the items linked to it; unlinked items come with every tier
+ *
+ * Checkout (couponService.getContentPrice, paymentRoutingService,
+ * freebiePaymentService, orderService) prices through resolvePrice();
+ * freebie downloads check canAccessItem().
+ */
+class ContentPricingService {
+  /**
+   * Public pricing of a video or freebie
+   * @returns {Promise<Object|null>} { pricingMode, price, suggestedPrice, currency, tiers }
+   */
+  async getPricing(contentType, contentId) {
+    const content = await this.getContent(contentType, contentId);
+    if (!content) return null;
+
+    return this.describe(contentType, content);
+  }
+
+  async describe(contentType, content) {
+    const pricingMode = content.pricingMode || 'fixed';
+    const tiers = pricingMode === 'tiered' ? await this.getTiers(contentType, content.id) : [];
+
+    return {
+      pricingMode,
+      price: parseFloat(content.price) || 0,
+      suggestedPrice: content.suggestedPrice !== null && content.suggestedPrice !== undefined
+        ? parseFloat(content.suggestedPrice)
+        : null,
+      currency: content.currency || 'NGN',
+      tiers
+    };
+  }
+
+  /**
+   * Tiers of a video or freebie, cheapest first, with the freebie items
+   * each one unlocks
+   */
+  async getTiers(contentType, contentId, transaction = null) {
+    const tiers = await PricingTier.findAll({
+      where: { contentType, contentId },
+      include: [{ model: PricingTierItem, as: 'tierItems', attributes: ['freebieItemId'] }],
+      order: [['position', 'ASC']],
+      transaction
+    });
+
+    return tiers.map(tier => ({
+      id: tier.id,
+      name: tier.name,
+      description: tier.description,
+      price: parseFloat(tier.price),
+      position: tier.position,
+      itemIds: tier.tierItems.map(link => link.freebieItemId)
+    }));
+  }
+
+  /**
+   * Price a buyer pays for content, validated against its pricing mode
+   * @param {string} contentType - Content type
+   * @param {Object} content - Content with id, price, currency and, for
+   *   videos and freebies, pricingMode and suggestedPrice
+   * @param {Object} choice
+   * @param {string} choice.tierId - Chosen tier (tiered pricing)
+   * @param {number} choice.amount - Chosen amount in the content's currency (pay what you want)
+   * @returns {Promise<Object>} { price, pricingTierId, tierName }
+   */
+  async resolvePrice(contentType, content, { tierId = null, amount = null } = {}) {
+    const pricingMode = content.pricingMode || 'fixed';
+    const basePrice = parseFloat(content.price) || 0;
+
+    if (pricingMode !== 'tiered' && tierId) {
+      throw this.error('This content has no pricing tiers', 400);
+    }
+
+    if (pricingMode === 'pay_what_you_want') {
+      const suggested = content.suggestedPrice !== null && content.suggestedPrice !== undefined
+        ? parseFloat(content.suggestedPrice)
+        : null;
+      const chosen = amount === null || amount === undefined || amount === ''
+        ? Math.max(suggested !== null ? suggested : basePrice, basePrice)
+        : this.round(parseFloat(amount));
+
+      if (!Number.isFinite(chosen) || chosen < basePrice) {
+        throw this.error(`Pay at least ${basePrice} ${content.currency || 'NGN'}`, 400);
+      }
+
+      return { price: chosen, pricingTierId: null, tierName: null };
+    }
+
+    if (pricingMode === 'tiered') {
+      if (!tierId) {
+        const tiers = await this.getTiers(contentType, content.id);
+        throw this.error(`Choose a pricing tier: ${tiers.map(tier => tier.name).join(', ')}`, 400);
+      }
+
+      const tier = await PricingTier.findOne({
+        where: { id: tierId, contentType, contentId: content.id }
+      });
+
+      if (!tier) {
+        throw this.error('Pricing tier not found', 404);
+      }
+
+      return { price: parseFloat(tier.price), pricingTierId: tier.id, tierName: tier.name };
+    }
+
+    return { price: basePrice, pricingTierId: null, tierName: null };
+  }
+
+  /**
+   * Set how a video or freebie is priced. Tiers are matched by `id`: tiers
+   * without one are created, and tiers left out are removed unless someone
+   * has bought them. Tiers with buyers can gain items but not lose them.
+   * @param {number} userId - Creator
+   * @param {string} contentType - video | freebie
+   * @param {string} contentId - Content ID
+   * @param {Object} pricing
+   * @param {string} pricing.pricingMode - fixed | pay_what_you_want | tiered
+   * @param {number} pricing.price - Fixed price, or the pay-what-you-want minimum
+   * @param {number} pricing.suggestedPrice - Pay-what-you-want suggestion
+   * @param {Object[]} pricing.tiers - [{ id?, name, description?, price, itemIds? }]
+   * @returns {Promise<Object>} Pricing as returned by getPricing()
+   */
+  async setPricing(userId, contentType, contentId, { pricingMode, price, suggestedPrice = null, tiers = [] }) {
+    if (!PRICING_CONTENT_TYPES.includes(contentType)) {
+      throw this.error(`Flexible pricing is available for: ${PRICING_CONTENT_TYPES.join(', ')}`, 400);
+    }
+
+    if (!PRICING_MODES.includes(pricingMode)) {
+      throw this.error(`pricingMode must be one of: ${PRICING_MODES.join(', ')}`, 400);
+    }
+
+    const content = await this.getContent(contentType, contentId);
+    if (!content) {
+      throw this.error(`${contentType} not found`, 404);
+    }
+
+    if (content.userId !== userId) {
+      throw this.error(`You can only price your own ${contentType}`, 403);
+    }
+
+    const updates = { pricingMode, suggestedPrice: null };
+    let tierInputs = [];
+
+    if (pricingMode === 'tiered') {
+      tierInputs = await this.validateTiers(contentType, content, tiers);
+      updates.price = Math.min(...tierInputs.map(tier => tier.price));
+    } else {
+      const minimum = this.round(parseFloat(price));
+      if (!Number.isFinite(minimum) || minimum < 0) {
+        throw this.error('price must be a non-negative number', 400);
+      }
+      updates.price = minimum;
+
+      if (pricingMode === 'pay_what_you_want' && suggestedPrice !== null && suggestedPrice !== undefined && suggestedPrice !== '') {
+        const suggested = this.round(parseFloat(suggestedPrice));
+        if (!Number.isFinite(suggested) || suggested < minimum) {
+          throw this.error('suggestedPrice must be at least the minimum price', 400);
+        }
+        updates.suggestedPrice = suggested;
+      }
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      const existing = await PricingTier.findAll({ where: { contentType, contentId: content.id }, transaction });
+      const keptIds = tierInputs.filter(tier => tier.id).map(tier => tier.id);
+
+      if (contentType === 'freebie') {
+        await this.assertBuyersKeepItems(content, existing, tierInputs, transaction);
+      }
+
+      for (const tier of existing) {
+        if (keptIds.includes(tier.id)) continue;
+
+        if (await this.countTierBuyers(tier.id, transaction) > 0) {
+          throw this.error(`Tier "${tier.name}" has buyers and can't be removed`, 409);
+        }
+        await PricingTierItem.destroy({ where: { pricingTierId: tier.id }, transaction });
+        await tier.destroy({ transaction });
+      }
+
+      for (let i = 0; i < tierInputs.length; i++) {
+        const input = tierInputs[i];
+        const values = {
+          name: input.name,
+          description: input.description,
+          price: input.price,
+          position: i + 1
+        };
+
+        let tier = input.id ? existing.find(candidate => candidate.id === input.id) : null;
+        if (tier) {
+          await tier.update(values, { transaction });
+        } else {
+          tier = await PricingTier.create({ ...values, contentType, contentId: content.id }, { transaction });
+        }
+
+        const linked = input.id
+          ? (await PricingTierItem.findAll({ where: { pricingTierId: tier.id }, transaction })).map(link => link.freebieItemId)
+          : [];
+        const dropped = linked.filter(id => !input.itemIds.includes(id));
+        const added = input.itemIds.filter(id => !linked.includes(id));
+
+        if (dropped.length > 0) {
+          await PricingTierItem.destroy({ where: { pricingTierId: tier.id, freebieItemId: dropped }, transaction });
+        }
+        if (added.length > 0) {
+          await PricingTierItem.bulkCreate(
+            added.map(freebieItemId => ({ pricingTierId: tier.id, freebieItemId })),
+            { transaction }
+          );
+        }
+      }
+
+      await content.update(updates, { transaction });
+    });
+
+    // A free video that becomes paid must stop playing from its public URL
+    if (contentType === 'video') {
+      try {
+        await muxPlaybackService.syncPolicy(content);
+      } catch (error) {
+        console.error(`[Content Pricing] Failed to sync playback policy for video ${content.id}:`, error.message);
+      }
+    }
+
+    return this.describe(contentType, content);
+  }
+
+  /**
+   * Items can be added to a tier that has buyers, never taken away. A tier
+   * unlocks its own items plus every item linked to no tier, so linking a
+   * shared item to only some tiers also takes it from the others.
+   */
+  async assertBuyersKeepItems(freebie, existing, tierInputs, transaction) {
+    const itemIds = (await FreebieItem.findAll({ where: { freebieId: freebie.id }, attributes: ['id'], transaction }))
+      .map(item => item.id);
+    const links = existing.length > 0
+      ? await PricingTierItem.findAll({ where: { pricingTierId: existing.map(tier => tier.id) }, transaction })
+      : [];
+
+    const sharedBefore = itemIds.filter(id => !links.some(link => link.freebieItemId === id));
+    const sharedAfter = itemIds.filter(id => !tierInputs.some(input => input.itemIds.includes(id)));
+
+    for (const input of tierInputs) {
+      const tier = input.id ? existing.find(candidate => candidate.id === input.id) : null;
+      if (!tier) continue;
+
+      const before = links.filter(link => link.pricingTierId === tier.id).map(link => link.freebieItemId).concat(sharedBefore);
+      const after = input.itemIds.concat(sharedAfter);
+      if (before.every(id => after.includes(id))) continue;
+
+      if (await this.countTierBuyers(tier.id, transaction) > 0) {
+        throw this.error(`Tier "${tier.name}" has buyers; items can be added to it but not removed`, 409);
+      }
+    }
+  }
+
+  async validateTiers(contentType, content, tiers) {
+    if (!Array.isArray(tiers) || tiers.length < 2 || tiers.length > MAX_TIERS) {
+      throw this.error(`Tiered pricing needs between 2 and ${MAX_TIERS} tiers`, 400);
+    }
+
+    const itemIds = contentType === 'freebie'
+      ? (await FreebieItem.findAll({ where: { freebieId: content.id }, attributes: ['id'] })).map(item => item.id)
+      : [];
+    const names = new Set();
+
+    return tiers.map(tier => {
+      const name = tier && tier.name ? String(tier.name).trim() : '';
+      if (!name || name.length > 100) {
+        throw this.error('Each tier needs a name of at most 100 characters', 400);
+      }
+
+      if (names.has(name.toLowerCase())) {
+        throw this.error(`Tier names must be unique: "${name}"`, 400);
+      }
+      names.add(name.toLowerCase());
+
+      const tierPrice = this.round(parseFloat(tier.price));
+      if (!Number.isFinite(tierPrice) || tierPrice <= 0) {
+        throw this.error(`Tier "${name}" needs a price above 0`, 400);
+      }
+
+      const tierItemIds = [...new Set(tier.itemIds || [])];
+      if (contentType !== 'freebie' && tierItemIds.length > 0) {
+        throw this.error('Only freebie tiers can unlock items', 400);
+      }
+
+      const unknown = tierItemIds.find(id => !itemIds.includes(id));
+      if (unknown) {
+        throw this.error(`Item ${unknown} does not belong to this freebie`, 400);
+      }
+
+      return {
+        id: tier.id || null,
+        name,
+        description: tier.description ? String(tier.description).trim() : null,
+        price: tierPrice,
+        itemIds: tierItemIds
+      };
+    });
+  }
+
+  /**
+   * Whether a buyer's freebie access covers an item. Items linked to no
+   * tier come with every tier; access without a tier predates tiers and
+   * covers everything.
+   * @param {Object} freebie - Freebie
+   * @param {Object} item - FreebieItem
+   * @param {Object} access - FreebieAccess
+   * @returns {Promise<boolean>}
+   */
+  async canAccessItem(freebie, item, access) {
+    if (freebie.pricingMode !== 'tiered' || !access.pricingTierId) {
+      return true;
+    }
+
+    const links = await PricingTierItem.findAll({
+      where: { freebieItemId: item.id },
+      attributes: ['pricingTierId']
+    });
+
+    return links.length === 0 || links.some(link => link.pricingTierId === access.pricingTierId);
+  }
+
+  async countTierBuyers(pricingTierId, transaction = null) {
+    const [purchases, freebieAccess] = await Promise.all([
+      Purchase.count({ where: { pricingTierId }, transaction }),
+      FreebieAccess.count({ where: { pricingTierId }, transaction })
+    ]);
+
+    return purchases + freebieAccess;
+  }
+
+  async getContent(contentType, contentId) {
+    if (contentType === 'video') {
+      const Video = require('../models/Video');
+      return Video.findByPk(contentId);
+    }
+
+    if (contentType === 'freebie') {
+      return Freebie.findByPk(contentId);
+    }
+
+    return null;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  error(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+  }
+}
+
+module.exports = new ContentPricingService();
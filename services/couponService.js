@@ -56,6 +56,11 @@ class CouponService {
         if (!couponData.partnerUserId || !couponData.partnerCommissionPercent) {
           throw new Error('Partner coupons require partner_user_id and partner_commission_percent');
         }
+        const feeScheduleService = require('./feeScheduleService');
+        const highestFee = await feeScheduleService.getHighestPercentage();
+        if (parseFloat(couponData.partnerCommissionPercent) + highestFee > 100) {
+          throw new Error(`Partner commission plus the highest platform fee (${highestFee}%) cannot exceed 100%`);
+        }
       }
       
       // Create coupon
@@ -82,9 +87,10 @@ class CouponService {
   }
 
   /**
-   * Validate coupon for a specific purchase
+   * Validate coupon for a specific purchase. `pricing` carries the buyer's
+   * tier or pay-what-you-want amount (see getContentPrice).
    */
-  async validateCoupon(code, contentType, contentId, userId, targetCurrency = null) {
+  async validateCoupon(code, contentType, contentId, userId, targetCurrency = null, pricing = {}) {
     try {
       // Normalize code
       const normalizedCode = code.trim().toUpperCase();
@@ -114,7 +120,7 @@ class CouponService {
       }
       
       // Get content price
-      const contentPrice = await this.getContentPrice(contentType, contentId);
+      const contentPrice = await this.getContentPrice(contentType, contentId, pricing);
       
       if (!contentPrice) {
         return {
@@ -130,12 +136,15 @@ class CouponService {
       
       const effectiveCurrency = targetCurrency || contentPrice.currency;
       let priceForCalculation = contentPrice.price;
+      let exchangeRateSnapshot = null;
       
       if (effectiveCurrency !== contentPrice.currency) {
+        exchangeRateSnapshot = conversionService.getRateSnapshot(contentPrice.currency, effectiveCurrency);
         priceForCalculation = conversionService.convert(
           contentPrice.price,
           contentPrice.currency,
-          effectiveCurrency
+          effectiveCurrency,
+          exchangeRateSnapshot
         );
       }
       
@@ -156,7 +165,8 @@ class CouponService {
         currency: effectiveCurrency,
         discountAmount: discountResult.discountAmount,
         finalPrice: discountResult.finalPrice,
-        partnerCommission: discountResult.partnerCommission
+        partnerCommission: discountResult.partnerCommission,
+        exchangeRateSnapshot
       };
       
     } catch (error) {
@@ -270,16 +280,21 @@ class CouponService {
   }
 
   /**
-   * Get content price and currency
+   * Get content price and currency. Videos and freebies with flexible
+   * pricing are priced at the chosen tier or pay-what-you-want amount;
+   * an invalid choice throws a 400.
+   * @param {string} contentType - Content type
+   * @param {string} contentId - Content ID
+   * @param {Object} pricing - { tierId, amount } (optional)
    */
-  async getContentPrice(contentType, contentId) {
+  async getContentPrice(contentType, contentId, pricing = {}) {
+    let content;
+
     try {
-      let content;
-      
       if (contentType === 'video') {
         const Video = require('../models/Video');
         content = await Video.findByPk(contentId, {
-          attributes: ['price', 'currency']
+          attributes: ['id', 'price', 'currency', 'pricingMode', 'suggestedPrice']
         });
       } else if (contentType === 'live_class') {
         const LiveClass = require('../models/liveClass');
@@ -294,23 +309,26 @@ class CouponService {
       } else if (contentType === 'freebie') {
         const Freebie = require('../models/Freebie');
         content = await Freebie.findByPk(contentId, {
-          attributes: ['price', 'currency']
+          attributes: ['id', 'price', 'currency', 'pricingMode', 'suggestedPrice']
         });
       }
-      
-      if (!content) {
-        return null;
-      }
-      
-      return {
-        price: parseFloat(content.price),
-        currency: content.currency || 'NGN'
-      };
-      
     } catch (error) {
       console.error('[CouponService] Get content price error:', error);
       return null;
     }
+
+    if (!content) {
+      return null;
+    }
+
+    const contentPricingService = require('./contentPricingService');
+    const resolved = await contentPricingService.resolvePrice(contentType, content, pricing);
+
+    return {
+      price: resolved.price,
+      currency: content.currency || 'NGN',
+      pricingTierId: resolved.pricingTierId
+    };
   }
 
   /**
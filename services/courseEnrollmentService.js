@@ -4,6 +4,7 @@ const sequelize = require('../config/db');
 // Import models with associations
 require('../models/courseIndex');
 const CourseEnrollment = require('../models/CourseEnrollment');
+const CourseSubscription = require('../models/CourseSubscription');
 const Course = require('../models/Course');
 const Department = require('../models/Department');
 const Purchase = require('../models/Purchase');
@@ -984,6 +985,12 @@ class CourseEnrollmentService {
             model: Purchase,
             as: 'purchase',
             attributes: ['id', 'amount', 'currency', 'createdAt']
+          },
+          {
+            model: CourseSubscription,
+            as: 'subscription',
+            required: false,
+            attributes: ['id', 'status', 'autoRenew', 'failedAttempts', 'nextRetryAt', 'graceEndsAt']
           }
         ],
         order: [['expiresAt', 'ASC']],
@@ -0,0 +1,674 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/db');
+const { paystackClient } = require('../config/paystack');
+const { stripeClient } = require('../config/stripe');
+const CoursePricingService = require('./coursePricingService');
+
+// Import models with associations
+require('../models/courseIndex');
+const CourseEnrollment = require('../models/CourseEnrollment');
+const CourseSubscription = require('../models/CourseSubscription');
+const Purchase = require('../models/Purchase');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+
+const RENEWABLE_ACCESS_TYPES = ['monthly', 'yearly'];
+const PAYSTACK_FAILED_STATUSES = ['failed', 'reversed', 'abandoned'];
+
+/**
+ * Course Renewal Service
+ *
+ * Auto-renews monthly/yearly all-access passes on the card saved at checkout:
+ * - Paystack → charge_authorization with the reusable authorization_code
+ * - Stripe   → off-session PaymentIntent on the saved customer/payment method
+ *
+ * Dunning: a failed renewal moves the subscription to past_due, keeps access
+ * for a grace period and retries on COURSE_RENEWAL_RETRY_DAYS. When retries
+ * run out or the grace period ends, the subscription expires.
+ *
+ * Runs from the hourly billing cron (processDueRenewals).
+ */
+class CourseRenewalService {
+  constructor() {
+    this.pricingService = new CoursePricingService();
+
+    this.config = {
+      // Charge this many hours before the paid period ends
+      renewBeforeHours: parseInt(process.env.COURSE_RENEWAL_LEAD_HOURS) || 24,
+      // Days to wait after each failed attempt
+      retryDays: (process.env.COURSE_RENEWAL_RETRY_DAYS || '1,2,3')
+        .split(',')
+        .map(days => parseFloat(days))
+        .filter(days => days > 0),
+      // Access kept after the period ends while retries run
+      graceDays: parseInt(process.env.COURSE_RENEWAL_GRACE_DAYS) || 7,
+      // Re-check interval for Paystack charges that are still processing
+      pendingRecheckHours: 6,
+      batchSize: 50
+    };
+  }
+
+  /**
+   * Set up auto-renewal after a monthly/yearly pass is paid for
+   * @param {Object} params
+   * @param {Object} params.enrollment - Created enrollment (id, userId, accessType, expiresAt)
+   * @param {string} params.gateway - 'paystack' or 'stripe'
+   * @param {string} params.currency - Currency code
+   * @param {Object} params.paymentData - Paystack charge data or Stripe Checkout Session
+   * @returns {Promise<CourseSubscription|null>}
+   */
+  async createFromPayment({ enrollment, gateway, currency, paymentData }) {
+    if (!enrollment || !RENEWABLE_ACCESS_TYPES.includes(enrollment.accessType) || !enrollment.expiresAt) {
+      return null;
+    }
+
+    const existing = await CourseSubscription.findOne({ where: { enrollmentId: enrollment.id } });
+    if (existing) {
+      return existing;
+    }
+
+    const paymentMethod = gateway === 'paystack'
+      ? this.getPaystackPaymentMethod(paymentData)
+      : await this.getStripePaymentMethod(paymentData);
+
+    const subscription = await CourseSubscription.create({
+      userId: enrollment.userId,
+      enrollmentId: enrollment.id,
+      accessType: enrollment.accessType,
+      gateway,
+      currency: currency.toUpperCase(),
+      currentPeriodEnd: enrollment.expiresAt,
+      ...paymentMethod
+    });
+
+    // Without a reusable card there is nothing to renew with
+    if (!subscription.hasPaymentMethod()) {
+      await subscription.update({ autoRenew: false });
+    }
+
+    console.log(`[Course Renewal] Subscription ${subscription.id} created for enrollment ${enrollment.id} (auto-renew: ${subscription.autoRenew})`);
+    return subscription;
+  }
+
+  /**
+   * Renew every subscription that is due, retry past-due ones and expire lapsed ones
+   * @param {Date} now - Current time (injectable for tests)
+   * @returns {Promise<Object>} Run summary
+   */
+  async processDueRenewals(now = new Date()) {
+    const summary = { processed: 0, renewed: 0, failed: 0, pending: 0, expired: 0, errors: [] };
+    const renewBefore = new Date(now.getTime() + this.config.renewBeforeHours * 60 * 60 * 1000);
+
+    const due = await CourseSubscription.findAll({
+      where: {
+        status: ['active', 'past_due'],
+        autoRenew: true,
+        currentPeriodEnd: { [Op.lte]: renewBefore },
+        [Op.or]: [
+          { nextRetryAt: null },
+          { nextRetryAt: { [Op.lte]: now } }
+        ]
+      },
+      order: [['currentPeriodEnd', 'ASC']],
+      limit: this.config.batchSize
+    });
+
+    for (const subscription of due) {
+      try {
+        const outcome = await this.attemptRenewal(subscription, now);
+        if (!outcome) continue;
+
+        summary.processed++;
+        summary[outcome]++;
+      } catch (error) {
+        console.error(`[Course Renewal] Renewal error for subscription ${subscription.id}:`, error.message);
+        summary.errors.push({ subscriptionId: subscription.id, error: error.message });
+      }
+    }
+
+    summary.expired += await this.expireLapsed(now);
+
+    console.log('[Course Renewal] Run completed:', summary);
+    return summary;
+  }
+
+  /**
+   * Charge the saved card for the next period
+   * @param {CourseSubscription} subscription - Subscription
+   * @param {Date} now - Current time
+   * @returns {Promise<string|null>} 'renewed', 'failed', 'pending' or 'expired'; null if another run claimed it
+   */
+  async attemptRenewal(subscription, now = new Date()) {
+    // Claim the subscription so overlapping runs don't charge twice
+    const [claimed] = await CourseSubscription.update(
+      { lastAttemptAt: now },
+      { where: { id: subscription.id, lastAttemptAt: subscription.lastAttemptAt } }
+    );
+
+    if (claimed === 0) {
+      return null;
+    }
+
+    subscription.lastAttemptAt = now;
+
+    if (subscription.metadata?.pendingReference) {
+      return this.checkPendingCharge(subscription, now);
+    }
+
+    if (!subscription.hasPaymentMethod()) {
+      return this.handleFailure(subscription, 'No saved card on file', now);
+    }
+
+    const amount = this.pricingService.getPrice(subscription.accessType, subscription.currency);
+
+    if (subscription.gateway === 'paystack') {
+      return this.chargePaystack(subscription, amount, now);
+    }
+
+    return this.chargeStripe(subscription, amount, now);
+  }
+
+  /**
+   * Charge a Paystack authorization
+   */
+  async chargePaystack(subscription, amount, now) {
+    const reference = `crs_renew_${Date.now()}_${subscription.id.slice(0, 8)}`;
+
+    let data;
+    try {
+      const response = await paystackClient.post('/transaction/charge_authorization', {
+        authorization_code: subscription.paystackAuthorizationCode,
+        email: subscription.paystackEmail,
+        amount: Math.round(amount * 100),
+        currency: subscription.currency,
+        reference,
+        metadata: {
+          type: 'course_renewal',
+          subscriptionId: subscription.id,
+          userId: subscription.userId.toString()
+        }
+      });
+      data = response.data.data;
+    } catch (error) {
+      return this.handleFailure(subscription, error.response?.data?.message || error.message, now);
+    }
+
+    if (data.status === 'success') {
+      await this.recordRenewal(subscription, { reference, amount, now });
+      return 'renewed';
+    }
+
+    if (PAYSTACK_FAILED_STATUSES.includes(data.status)) {
+      return this.handleFailure(subscription, data.gateway_response || 'Payment declined', now);
+    }
+
+    return this.markPending(subscription, reference, now);
+  }
+
+  /**
+   * Charge a saved Stripe payment method off-session
+   */
+  async chargeStripe(subscription, amount, now) {
+    let intent;
+    try {
+      intent = await stripeClient.paymentIntents.create({
+        amount: Math.round(amount * 100),
+        currency: subscription.currency.toLowerCase(),
+        customer: subscription.stripeCustomerId,
+        payment_method: subscription.stripePaymentMethodId,
+        off_session: true,
+        confirm: true,
+        description: this.pricingService.getAccessTypeDescription(subscription.accessType),
+        metadata: {
+          type: 'course_renewal',
+          subscriptionId: subscription.id,
+          userId: subscription.userId.toString()
+        }
+      });
+    } catch (error) {
+      return this.handleFailure(subscription, error.message, now);
+    }
+
+    if (intent.status === 'succeeded') {
+      await this.recordRenewal(subscription, { reference: intent.id, amount, now });
+      return 'renewed';
+    }
+
+    // requires_action etc. cannot complete without the customer present
+    return this.handleFailure(subscription, `Payment ${intent.status.replace(/_/g, ' ')}`, now);
+  }
+
+  /**
+   * Re-check a Paystack charge that was still processing
+   */
+  async checkPendingCharge(subscription, now) {
+    const reference = subscription.metadata.pendingReference;
+    const response = await paystackClient.get(`/transaction/verify/${encodeURIComponent(reference)}`);
+    const data = response.data.data;
+
+    if (data.status === 'success') {
+      await this.recordRenewal(subscription, { reference, amount: data.amount / 100, now });
+      return 'renewed';
+    }
+
+    if (PAYSTACK_FAILED_STATUSES.includes(data.status)) {
+      await subscription.update({ metadata: { ...subscription.metadata, pendingReference: null } });
+      return this.handleFailure(subscription, data.gateway_response || 'Payment declined', now);
+    }
+
+    return this.markPending(subscription, reference, now);
+  }
+
+  /**
+   * Record a successful renewal: purchase, transaction and extended access
+   *
+   * Idempotent on the payment reference, so the Paystack webhook and the
+   * synchronous charge response can both call it. The reference is checked
+   * under a lock on the subscription row, so two concurrent calls can't both
+   * extend the period.
+   * @param {CourseSubscription} subscription - Subscription
+   * @param {Object} payment - reference, amount, now
+   * @returns {Promise<Object>}
+   */
+  async recordRenewal(subscription, { reference, amount, now = new Date() }) {
+    const transaction = await sequelize.transaction();
+    let purchase;
+    let periodEnd;
+
+    try {
+      const locked = await CourseSubscription.findByPk(subscription.id, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      const existing = await Purchase.findOne({ where: { paymentReference: reference }, transaction });
+      if (existing) {
+        await transaction.rollback();
+        return { purchase: existing, subscription, alreadyProcessed: true };
+      }
+
+      periodEnd = this.addInterval(locked.currentPeriodEnd, locked.accessType);
+
+      purchase = await Purchase.create({
+        userId: locked.userId,
+        contentType: 'course',
+        contentId: null,
+        amount,
+        currency: locked.currency,
+        paymentGateway: locked.gateway,
+        paymentReference: reference,
+        paymentStatus: 'completed'
+      }, { transaction });
+
+      await Transaction.create({
+        userId: locked.userId,
+        transactionType: 'purchase',
+        amount,
+        currency: locked.currency,
+        referenceType: 'purchase',
+        referenceId: purchase.id,
+        description: `Renewal of ${locked.accessType} course access via ${locked.gateway === 'paystack' ? 'Paystack' : 'Stripe'}`,
+        metadata: { reference, gateway: locked.gateway, subscriptionId: locked.id }
+      }, { transaction });
+
+      await locked.update({
+        status: 'active',
+        currentPeriodEnd: periodEnd,
+        graceEndsAt: null,
+        failedAttempts: 0,
+        nextRetryAt: null,
+        lastFailureReason: null,
+        lastRenewedAt: now,
+        metadata: { ...locked.metadata, pendingReference: null }
+      }, { transaction });
+
+      await CourseEnrollment.update(
+        { expiresAt: periodEnd },
+        { where: { id: locked.enrollmentId }, transaction }
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    await subscription.reload();
+
+    console.log(`[Course Renewal] Subscription ${subscription.id} renewed until ${periodEnd.toISOString()}`);
+
+    this.notify(subscription, 'renewed', { amount, periodEnd });
+
+    return { purchase, subscription };
+  }
+
+  /**
+   * Record a failed attempt and schedule the next retry, or expire
+   * @returns {Promise<string>} 'failed' or 'expired'
+   */
+  async handleFailure(subscription, reason, now = new Date()) {
+    const failedAttempts = subscription.failedAttempts + 1;
+    const graceEndsAt = subscription.graceEndsAt ||
+      new Date(new Date(subscription.currentPeriodEnd).getTime() + this.config.graceDays * 24 * 60 * 60 * 1000);
+    const retryDays = this.config.retryDays[failedAttempts - 1];
+    const nextRetryAt = retryDays ? new Date(now.getTime() + retryDays * 24 * 60 * 60 * 1000) : null;
+
+    console.log(`[Course Renewal] Renewal failed for subscription ${subscription.id} (attempt ${failedAttempts}): ${reason}`);
+
+    await subscription.update({
+      failedAttempts,
+      lastFailureReason: String(reason).slice(0, 255)
+    });
+
+    if (!nextRetryAt || nextRetryAt >= graceEndsAt) {
+      await this.expireSubscription(subscription, now);
+      return 'expired';
+    }
+
+    await subscription.update({
+      status: 'past_due',
+      graceEndsAt,
+      nextRetryAt
+    });
+
+    // Keep access during the grace period
+    await CourseEnrollment.update(
+      { expiresAt: graceEndsAt },
+      { where: { id: subscription.enrollmentId } }
+    );
+
+    const amount = this.pricingService.getPrice(subscription.accessType, subscription.currency);
+    this.notify(subscription, 'failed', { amount, reason, nextRetryAt, graceEndsAt });
+
+    return 'failed';
+  }
+
+  /**
+   * Leave a processing Paystack charge to the webhook, re-checking later
+   * @returns {Promise<string>} 'pending'
+   */
+  async markPending(subscription, reference, now) {
+    await subscription.update({
+      nextRetryAt: new Date(now.getTime() + this.config.pendingRecheckHours * 60 * 60 * 1000),
+      metadata: { ...subscription.metadata, pendingReference: reference }
+    });
+
+    console.log(`[Course Renewal] Renewal charge ${reference} still processing for subscription ${subscription.id}`);
+    return 'pending';
+  }
+
+  /**
+   * End auto-renewal; any paid time left is kept, grace access is not
+   */
+  async expireSubscription(subscription, now = new Date()) {
+    const accessUntil = new Date(Math.max(new Date(subscription.currentPeriodEnd).getTime(), now.getTime()));
+
+    await subscription.update({
+      status: 'expired',
+      nextRetryAt: null,
+      graceEndsAt: null
+    });
+
+    await CourseEnrollment.update(
+      { expiresAt: accessUntil },
+      { where: { id: subscription.enrollmentId } }
+    );
+
+    console.log(`[Course Renewal] Subscription ${subscription.id} expired`);
+    this.notify(subscription, 'expired');
+  }
+
+  /**
+   * Expire past-due subscriptions whose grace ended and cancelled ones whose period ended
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number expired
+   */
+  async expireLapsed(now = new Date()) {
+    const lapsedPastDue = await CourseSubscription.findAll({
+      where: {
+        status: 'past_due',
+        graceEndsAt: { [Op.lte]: now }
+      },
+      limit: this.config.batchSize
+    });
+
+    for (const subscription of lapsedPastDue) {
+      await this.expireSubscription(subscription, now);
+    }
+
+    const [endedCancelled] = await CourseSubscription.update(
+      { status: 'expired' },
+      { where: { status: 'cancelled', currentPeriodEnd: { [Op.lte]: now } } }
+    );
+
+    return lapsedPastDue.length + endedCancelled;
+  }
+
+  /**
+   * charge.success for a renewal charge (Paystack webhook)
+   * @param {Object} data - Paystack event data
+   */
+  async handlePaystackRenewalCharge(data) {
+    const subscription = await CourseSubscription.findByPk(data.metadata?.subscriptionId);
+
+    if (!subscription) {
+      console.log('[Course Renewal] Renewal charge for unknown subscription, ignoring:', data.reference);
+      return null;
+    }
+
+    return this.recordRenewal(subscription, {
+      reference: data.reference,
+      amount: data.amount / 100
+    });
+  }
+
+  /**
+   * Get a user's course subscriptions
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  async getUserSubscriptions(userId) {
+    const subscriptions = await CourseSubscription.findAll({
+      where: { userId },
+      order: [['createdAt', 'DESC']]
+    });
+
+    return subscriptions.map(subscription => ({
+      ...subscription.toJSON(),
+      accessDescription: this.pricingService.getAccessTypeDescription(subscription.accessType),
+      renewalPrice: this.pricingService.getPrice(subscription.accessType, subscription.currency)
+    }));
+  }
+
+  /**
+   * Turn off auto-renewal; access continues until the paid period ends
+   * @param {number} userId - User ID
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<CourseSubscription>}
+   */
+  async cancel(userId, subscriptionId) {
+    const subscription = await this.findUserSubscription(userId, subscriptionId);
+
+    if (!['active', 'past_due'].includes(subscription.status)) {
+      throw this.error(`Subscription is already ${subscription.status}`, 409);
+    }
+
+    const wasPastDue = subscription.status === 'past_due';
+
+    await subscription.update({
+      status: 'cancelled',
+      autoRenew: false,
+      cancelledAt: new Date(),
+      nextRetryAt: null,
+      graceEndsAt: null
+    });
+
+    // Grace access only exists while we are retrying
+    if (wasPastDue) {
+      await CourseEnrollment.update(
+        { expiresAt: subscription.currentPeriodEnd },
+        { where: { id: subscription.enrollmentId } }
+      );
+    }
+
+    console.log(`[Course Renewal] User ${userId} cancelled subscription ${subscription.id}`);
+    return subscription;
+  }
+
+  /**
+   * Turn auto-renewal back on before the paid period ends
+   * @param {number} userId - User ID
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<CourseSubscription>}
+   */
+  async resume(userId, subscriptionId) {
+    const subscription = await this.findUserSubscription(userId, subscriptionId);
+
+    if (subscription.status !== 'cancelled') {
+      throw this.error(
+        subscription.status === 'expired'
+          ? 'This pass has ended. Please purchase a new pass'
+          : `Subscription is already ${subscription.status}`,
+        409
+      );
+    }
+
+    if (new Date(subscription.currentPeriodEnd).getTime() <= Date.now()) {
+      throw this.error('This pass has ended. Please purchase a new pass', 409);
+    }
+
+    if (!subscription.hasPaymentMethod()) {
+      throw this.error('No saved card is available for renewal. Please purchase a new pass', 409);
+    }
+
+    await subscription.update({
+      status: 'active',
+      autoRenew: true,
+      cancelledAt: null,
+      failedAttempts: 0,
+      lastFailureReason: null
+    });
+
+    console.log(`[Course Renewal] User ${userId} resumed subscription ${subscription.id}`);
+    return subscription;
+  }
+
+  /**
+   * Find a subscription owned by the user
+   */
+  async findUserSubscription(userId, subscriptionId) {
+    const subscription = await CourseSubscription.findOne({ where: { id: subscriptionId, userId } });
+
+    if (!subscription) {
+      throw this.error('Subscription not found', 404);
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Reusable card details from a Paystack charge
+   */
+  getPaystackPaymentMethod(data) {
+    const authorization = data?.authorization;
+
+    if (!authorization?.reusable || !authorization.authorization_code) {
+      return {};
+    }
+
+    return {
+      paystackAuthorizationCode: authorization.authorization_code,
+      paystackEmail: data.customer?.email || null,
+      cardBrand: authorization.brand || authorization.card_type || null,
+      cardLast4: authorization.last4 || null
+    };
+  }
+
+  /**
+   * Saved customer and payment method from a Stripe Checkout Session
+   * (the session is created with setup_future_usage: 'off_session')
+   */
+  async getStripePaymentMethod(session) {
+    if (!session?.customer || !session.payment_intent) {
+      return {};
+    }
+
+    try {
+      const intent = await stripeClient.paymentIntents.retrieve(session.payment_intent, {
+        expand: ['payment_method']
+      });
+      const paymentMethod = intent.payment_method;
+
+      if (!paymentMethod) {
+        return {};
+      }
+
+      return {
+        stripeCustomerId: session.customer,
+        stripePaymentMethodId: typeof paymentMethod === 'string' ? paymentMethod : paymentMethod.id,
+        cardBrand: paymentMethod.card?.brand || null,
+        cardLast4: paymentMethod.card?.last4 || null
+      };
+    } catch (error) {
+      console.error('[Course Renewal] Failed to load Stripe payment method:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Send a renewal email without blocking billing
+   */
+  notify(subscription, event, details = {}) {
+    (async () => {
+      const user = await User.findByPk(subscription.userId);
+      if (!user) return;
+
+      const email = require('../utils/email');
+      const accessDescription = this.pricingService.getAccessTypeDescription(subscription.accessType);
+
+      if (event === 'renewed') {
+        await email.sendCourseRenewalSuccessEmail(
+          user.email, user.firstname, accessDescription, details.amount, subscription.currency, details.periodEnd
+        );
+      } else if (event === 'failed') {
+        await email.sendCourseRenewalFailedEmail(
+          user.email, user.firstname, accessDescription, details.amount, subscription.currency,
+          details.reason, details.nextRetryAt, details.graceEndsAt
+        );
+      } else if (event === 'expired') {
+        await email.sendCourseAccessExpiredEmail(user.email, user.firstname, accessDescription);
+      }
+    })().catch(error => {
+      console.error(`[Course Renewal] Failed to send ${event} email:`, error.message);
+    });
+  }
+
+  /**
+   * Add one billing interval to a date
+   * @param {Date} date - Start date
+   * @param {string} accessType - 'monthly' or 'yearly'
+   * @returns {Date}
+   */
+  addInterval(date, accessType) {
+    const end = new Date(date);
+
+    if (accessType === 'yearly') {
+      end.setUTCFullYear(end.getUTCFullYear() + 1);
+    } else {
+      end.setUTCMonth(end.getUTCMonth() + 1);
+    }
+
+    return end;
+  }
+
+  /**
+   * Build an error carrying an HTTP status code
+   */
+  error(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+  }
+}
+
+module.exports = CourseRenewalService;
@@ -1,16 +1,28 @@
+const exchangeRateService = require('./exchangeRateService');
+
 /**
  * Currency Conversion Service
  * 
- * Handles currency conversion between NGN and USD at a fixed rate.
- * Uses environment variable for easy rate updates without code changes.
+ * Handles currency conversion between NGN, USD, GBP and EUR using the
+ * current rates from exchangeRateService (provider rates, admin overrides
+ * or locks). Before rates are loaded it falls back to the fixed
+ * CURRENCY_CONVERSION_RATE_<CUR>_TO_USD environment values.
  * 
- * Fixed Rate: 1 USD = 1400 NGN (configurable via .env)
+ * Use getRateSnapshot() alongside convert() when the result is stored, so
+ * the record shows which rate was applied.
  */
 
 class CurrencyConversionService {
   constructor() {
-    // Load conversion rate from environment
-    this.NGN_TO_USD_RATE = parseFloat(process.env.CURRENCY_CONVERSION_RATE_NGN_TO_USD);
+    this.exchangeRateService = exchangeRateService;
+  }
+
+  /**
+   * Current NGN rate (1 USD = X NGN)
+   * @returns {number} NGN per USD
+   */
+  get NGN_TO_USD_RATE() {
+    return this.exchangeRateService.getRate('USD', 'NGN');
   }
 
   /**
@@ -38,11 +50,12 @@ class CurrencyConversionService {
   /**
    * Convert amount from one currency to another
    * @param {number} amount - Amount to convert
-   * @param {string} fromCurrency - Source currency (NGN or USD)
-   * @param {string} toCurrency - Target currency (NGN or USD)
+   * @param {string} fromCurrency - Source currency (NGN, USD, GBP or EUR)
+   * @param {string} toCurrency - Target currency (NGN, USD, GBP or EUR)
+   * @param {Object} snapshot - Rate snapshot to convert with (optional)
    * @returns {number} Converted amount
    */
-  convert(amount, fromCurrency, toCurrency) {
+  convert(amount, fromCurrency, toCurrency, snapshot = null) {
     if (!amount || amount <= 0) return 0;
 
     const from = fromCurrency.toUpperCase();
@@ -51,25 +64,27 @@ class CurrencyConversionService {
     // Same currency, no conversion needed
     if (from === to) return amount;
 
-    // Validate currencies
-    if (!['NGN', 'USD'].includes(from) || !['NGN', 'USD'].includes(to)) {
-      throw new Error(`Invalid currency. Supported: NGN, USD. Got: ${from} -> ${to}`);
-    }
+    // Validates both currencies
+    const rateSnapshot = snapshot || this.getRateSnapshot(from, to);
 
-    // Convert
-    if (from === 'NGN' && to === 'USD') {
-      return this.convertNgnToUsd(amount);
-    } else if (from === 'USD' && to === 'NGN') {
-      return this.convertUsdToNgn(amount);
-    }
+    const converted = amount * rateSnapshot.rate;
+    return Math.round(converted * 100) / 100; // Round to 2 decimal places
+  }
 
-    return amount;
+  /**
+   * Capture the rate used to convert between two currencies
+   * @param {string} fromCurrency - Source currency
+   * @param {string} toCurrency - Target currency
+   * @returns {Object} Rate snapshot (see exchangeRateService.getRateSnapshot)
+   */
+  getRateSnapshot(fromCurrency, toCurrency) {
+    return this.exchangeRateService.getRateSnapshot(fromCurrency, toCurrency);
   }
 
   /**
    * Get dual pricing (both NGN and USD) for any amount
    * @param {number} amount - Base amount
-   * @param {string} baseCurrency - Base currency (NGN or USD)
+   * @param {string} baseCurrency - Base currency (NGN, USD, GBP or EUR)
    * @returns {Object} Object with both NGN and USD prices
    */
   getDualPricing(amount, baseCurrency) {
@@ -95,9 +110,15 @@ class CurrencyConversionService {
         ngn: this.convertUsdToNgn(amount),
         usd: parseFloat(amount)
       };
+    } else if (this.isValidCurrency(currency)) {
+      return {
+        base: { amount: parseFloat(amount), currency },
+        ngn: this.convert(amount, currency, 'NGN'),
+        usd: this.convert(amount, currency, 'USD')
+      };
     }
 
-    throw new Error(`Invalid base currency: ${baseCurrency}. Supported: NGN, USD`);
+    throw new Error(`Invalid base currency: ${baseCurrency}. Supported: ${this.exchangeRateService.config.supportedCurrencies.join(', ')}`);
   }
 
   /**
@@ -105,10 +126,12 @@ class CurrencyConversionService {
    * @returns {Object} Conversion rate information
    */
   getConversionRate() {
+    const rate = this.NGN_TO_USD_RATE;
+
     return {
-      rate: this.NGN_TO_USD_RATE,
-      description: `1 USD = ${this.NGN_TO_USD_RATE} NGN`,
-      inverse: `1 NGN = ${(1 / this.NGN_TO_USD_RATE).toFixed(6)} USD`
+      rate,
+      description: `1 USD = ${rate} NGN`,
+      inverse: `1 NGN = ${(1 / rate).toFixed(6)} USD`
     };
   }
 
@@ -118,7 +141,7 @@ class CurrencyConversionService {
    * @returns {boolean} True if valid
    */
   isValidCurrency(currency) {
-    return ['NGN', 'USD'].includes(currency.toUpperCase());
+    return this.exchangeRateService.isSupported(currency);
   }
 
   /**
@@ -135,6 +158,10 @@ class CurrencyConversionService {
       return `₦${formatted}`;
     } else if (curr === 'USD') {
       return `$${formatted}`;
+    } else if (curr === 'GBP') {
+      return `£${formatted}`;
+    } else if (curr === 'EUR') {
+      return `€${formatted}`;
     }
 
     return `${formatted} ${curr}`;
@@ -154,24 +154,36 @@ class CurrencyWithdrawalService {
    */
   async processNGNWithdrawal(withdrawalData) {
     try {
-      const { amount, bankAccount, userId, reference, fees } = withdrawalData;
+      const { amount, bankAccount, userId, reference, fees, beneficiary } = withdrawalData;
 
       console.log(`[NGN Withdrawal] Processing Paystack withdrawal: ₦${amount}`);
 
-      // Validate bank account for Nigerian banks
-      const bankValidation = await this.validateNigerianBankAccount(bankAccount);
-      if (!bankValidation.valid) {
-        return {
-          success: false,
-          message: bankValidation.message,
-          error: 'invalid_bank_account'
-        };
-      }
+      let recipient;
+      if (beneficiary && beneficiary.paystackRecipientCode) {
+        // Saved beneficiaries were verified and given a recipient when confirmed
+        recipient = { success: true, recipientCode: beneficiary.paystackRecipientCode };
+      } else {
+        // Validate bank account for Nigerian banks
+        if (!beneficiary) {
+          const bankValidation = await this.validateNigerianBankAccount(bankAccount);
+          if (!bankValidation.valid) {
+            return {
+              success: false,
+              message: bankValidation.message,
+              error: 'invalid_bank_account'
+            };
+          }
+        }
 
-      // Create transfer recipient
-      const recipient = await this.createPaystackRecipient(bankAccount, userId);
-      if (!recipient.success) {
-        return recipient;
+        // Create transfer recipient
+        recipient = await this.createPaystackRecipient(bankAccount, userId);
+        if (!recipient.success) {
+          return recipient;
+        }
+
+        if (beneficiary) {
+          await beneficiary.update({ paystackRecipientCode: recipient.recipientCode });
+        }
       }
 
       // Calculate net amount (amount - fees)
@@ -1,4 +1,5 @@
 const sequelize = require('../config/db');
+const ledgerService = require('./ledgerService');
 
 /**
  * Database Transaction Service
@@ -171,14 +172,18 @@ class DatabaseTransactionService {
 
   /**
    * Update wallet balance within a transaction
+   * Posts the matching double-entry journal (see ledgerService) in the same transaction.
+   * `posting` describes the change: entryType, reference, description, gateway, platformFee
    */
-  async updateWalletBalance(wallet, availableDelta, pendingDelta, transaction) {
+  async updateWalletBalance(wallet, availableDelta, pendingDelta, transaction, posting = {}) {
     const newAvailable = parseInt(wallet.balance_available) + availableDelta;
     const newPending = parseInt(wallet.balance_pending) + pendingDelta;
 
     if (newAvailable < 0) throw new Error('Insufficient balance');
     if (newPending < 0) throw new Error('Insufficient pending balance');
 
+    await ledgerService.postWalletChange(wallet, availableDelta, pendingDelta, posting, transaction);
+
     await wallet.update({
       balance_available: newAvailable,
       balance_pending: newPending
@@ -0,0 +1,526 @@
+const PDFDocument = require('pdfkit');
+const { Op } = require('sequelize');
+const taxProfileService = require('./taxProfileService');
+const {
+  User,
+  Purchase,
+  WalletAccount,
+  WalletTransaction,
+  Payout
+} = require('../models/walletIndex');
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Payouts that left the wallet (failed ones were released back to it)
+const PAID_OUT_STATUSES = ['processing', 'completed'];
+
+/**
+ * Earnings Statement Service
+ *
+ * Monthly and annual earnings statements for creators, per currency:
+ *
+ * - Gross sales           → price the buyer paid for the creator's content
+ * - Platform fees         → fee schedule fee recorded on each sale, plus the
+ *                           platform fee charged on payouts
+ * - Commissions deducted  → coupon partner / referral commissions taken from
+ *                           those sales at source (gross − fee − credited)
+ * - Commissions earned    → PARTNER-/REFERRAL- credits received as a partner
+ * - Refunds               → refund reversals debited from the wallet, net of
+ *                           disputes won
+ * - Payouts               → withdrawals with their platform and gateway fees
+ *
+ * Figures come from the creator's wallet transactions (earnings credits carry
+ * the purchase they came from) and payout records. The statement includes the
+ * creator's tax profile and can be rendered as JSON, CSV or PDF.
+ */
+class EarningsStatementService {
+  constructor() {
+    this.config = {
+      platformName: process.env.STATEMENT_PLATFORM_NAME || 'Learning247'
+    };
+  }
+
+  /**
+   * Resolve a statement period
+   * @param {Object} params - year, and month (1-12) for a monthly statement
+   * @returns {{type: string, year: number, month: number|null, label: string, start: Date, end: Date}}
+   */
+  resolvePeriod({ year, month } = {}) {
+    const parsedYear = parseInt(year);
+    const parsedMonth = month !== undefined && month !== null && month !== '' ? parseInt(month) : null;
+    const now = new Date();
+
+    if (!parsedYear || parsedYear < 2000 || parsedYear > now.getUTCFullYear()) {
+      throw this.error('year must be a valid year up to the current one', 400);
+    }
+
+    if (parsedMonth !== null && (isNaN(parsedMonth) || parsedMonth < 1 || parsedMonth > 12)) {
+      throw this.error('month must be between 1 and 12', 400);
+    }
+
+    const start = parsedMonth
+      ? new Date(Date.UTC(parsedYear, parsedMonth - 1, 1))
+      : new Date(Date.UTC(parsedYear, 0, 1));
+
+    if (start > now) {
+      throw this.error('Statement period has not started yet', 400);
+    }
+
+    const end = parsedMonth
+      ? new Date(Date.UTC(parsedYear, parsedMonth, 1) - 1)
+      : new Date(Date.UTC(parsedYear + 1, 0, 1) - 1);
+
+    return {
+      type: parsedMonth ? 'monthly' : 'annual',
+      year: parsedYear,
+      month: parsedMonth,
+      label: parsedMonth ? `${MONTH_NAMES[parsedMonth - 1]} ${parsedYear}` : `Year ${parsedYear}`,
+      start,
+      end
+    };
+  }
+
+  /**
+   * Build a statement for a creator
+   * @param {number} userId - Creator user ID
+   * @param {Object} params - year, month, currency
+   * @returns {Promise<Object>} Statement (amounts in major units)
+   */
+  async getStatement(userId, { year, month, currency } = {}) {
+    const period = this.resolvePeriod({ year, month });
+
+    const user = await User.findByPk(userId, {
+      attributes: ['id', 'firstname', 'lastname', 'email']
+    });
+
+    if (!user) {
+      throw this.error('User not found', 404);
+    }
+
+    const taxProfile = await taxProfileService.getProfile(userId);
+
+    const walletWhere = { user_id: userId };
+    if (currency) {
+      walletWhere.currency = currency.toUpperCase();
+    }
+
+    const wallets = await WalletAccount.findAll({ where: walletWhere });
+    const walletCurrency = new Map(wallets.map(wallet => [wallet.id, wallet.currency]));
+
+    const transactions = wallets.length > 0
+      ? await WalletTransaction.findAll({
+        where: {
+          wallet_account_id: { [Op.in]: wallets.map(wallet => wallet.id) },
+          status: { [Op.in]: ['completed', 'pending'] },
+          created_at: { [Op.between]: [period.start, period.end] }
+        },
+        order: [['created_at', 'ASC']]
+      })
+      : [];
+
+    const payoutWhere = {
+      userId,
+      status: { [Op.in]: PAID_OUT_STATUSES },
+      createdAt: { [Op.between]: [period.start, period.end] }
+    };
+    if (currency) {
+      payoutWhere.currency = currency.toUpperCase();
+    }
+
+    const payouts = await Payout.findAll({ where: payoutWhere, order: [['createdAt', 'ASC']] });
+
+    const purchaseIds = [...new Set(transactions
+      .filter(tx => this.classify(tx) === 'sale')
+      .map(tx => tx.metadata.purchaseId))];
+
+    const purchases = purchaseIds.length > 0
+      ? await Purchase.findAll({ where: { id: { [Op.in]: purchaseIds } } })
+      : [];
+    const purchaseById = new Map(purchases.map(purchase => [purchase.id, purchase]));
+
+    const buckets = {};
+    const lines = [];
+    const bucketFor = code => buckets[code] || (buckets[code] = this.emptyBucket(code));
+
+    for (const tx of transactions) {
+      const kind = this.classify(tx);
+      if (!kind) continue;
+
+      const code = tx.currency || walletCurrency.get(tx.wallet_account_id);
+      const bucket = bucketFor(code);
+      const amount = parseInt(tx.amount);
+      const date = tx.created_at;
+
+      if (kind === 'sale') {
+        const purchase = purchaseById.get(tx.metadata.purchaseId);
+        // Fall back to the credit itself when the purchase row is gone
+        const gross = purchase ? Math.round(parseFloat(purchase.amount) * 100) : amount;
+        const saleFee = purchase ? Math.round(parseFloat(purchase.platformFee || 0) * 100) : 0;
+        const deducted = Math.max(gross - saleFee - amount, 0);
+
+        bucket.salesCount += 1;
+        bucket.grossSales += gross;
+        bucket.salePlatformFees += saleFee;
+        bucket.commissionsDeducted += deducted;
+        this.addToMonth(bucket, date, 'grossSales', gross);
+        this.addToMonth(bucket, date, 'netEarnings', amount);
+
+        lines.push(this.line(tx, code, 'Sale', gross, saleFee + deducted, amount));
+      } else if (kind === 'commission') {
+        bucket.commissionsEarned += amount;
+        this.addToMonth(bucket, date, 'netEarnings', amount);
+        lines.push(this.line(tx, code, 'Commission earned', amount, 0, amount));
+      } else if (kind === 'refund') {
+        bucket.refunds += amount;
+        this.addToMonth(bucket, date, 'netEarnings', -amount);
+        lines.push(this.line(tx, code, 'Refund', -amount, 0, -amount));
+      } else if (kind === 'refund_reversal') {
+        bucket.refunds -= amount;
+        this.addToMonth(bucket, date, 'netEarnings', amount);
+        lines.push(this.line(tx, code, 'Refund reversed (dispute won)', amount, 0, amount));
+      }
+    }
+
+    for (const payout of payouts) {
+      const bucket = bucketFor(payout.currency);
+      const gross = Math.round(parseFloat(payout.amount) * 100);
+      const platformFee = Math.round(parseFloat(payout.platformFee) * 100);
+      const gatewayFee = Math.round(parseFloat(payout.gatewayFee) * 100);
+      const net = Math.round(parseFloat(payout.netAmount) * 100);
+
+      bucket.payouts.count += 1;
+      bucket.payouts.gross += gross;
+      bucket.payouts.net += net;
+      bucket.platformFees += platformFee;
+      bucket.gatewayFees += gatewayFee;
+      this.addToMonth(bucket, payout.createdAt, 'payouts', gross);
+
+      lines.push({
+        date: payout.createdAt,
+        currency: payout.currency,
+        type: 'Payout',
+        reference: payout.transferReference || payout.id,
+        description: `Withdrawal to ${payout.bankName} ****${String(payout.accountNumber).slice(-4)}`,
+        gross: -gross,
+        fees: platformFee + gatewayFee,
+        net: -net
+      });
+    }
+
+    lines.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    return {
+      platformName: this.config.platformName,
+      generatedAt: new Date(),
+      period: {
+        type: period.type,
+        year: period.year,
+        month: period.month,
+        label: period.label,
+        start: period.start,
+        end: period.end
+      },
+      creator: {
+        id: user.id,
+        name: `${user.firstname} ${user.lastname}`,
+        email: user.email
+      },
+      taxProfile: taxProfile ? taxProfile.toJSON() : null,
+      currencies: Object.values(buckets)
+        .sort((a, b) => a.currency.localeCompare(b.currency))
+        .map(bucket => this.formatBucket(bucket, period)),
+      lines: lines.map(line => ({
+        ...line,
+        gross: line.gross / 100,
+        fees: line.fees / 100,
+        net: line.net / 100
+      }))
+    };
+  }
+
+  /**
+   * Which statement line a wallet transaction is, if any
+   * @param {WalletTransaction} tx - Wallet transaction
+   * @returns {string|null} sale, commission, refund, refund_reversal or null
+   */
+  classify(tx) {
+    const metadata = tx.metadata || {};
+    const reference = String(tx.reference || '');
+
+    if (tx.transaction_type === 'credit') {
+      if (reference.startsWith('PARTNER-') || reference.startsWith('REFERRAL-')) {
+        return 'commission';
+      }
+      if (reference.startsWith('RST-') && metadata.refundId) {
+        return 'refund_reversal';
+      }
+      if (metadata.purchaseId && metadata.contentType) {
+        return 'sale';
+      }
+      return null;
+    }
+
+    if (tx.transaction_type === 'debit' && metadata.refundId) {
+      return 'refund';
+    }
+
+    return null;
+  }
+
+  emptyBucket(currency) {
+    return {
+      currency,
+      salesCount: 0,
+      grossSales: 0,
+      salePlatformFees: 0,
+      commissionsDeducted: 0,
+      commissionsEarned: 0,
+      refunds: 0,
+      platformFees: 0,
+      gatewayFees: 0,
+      payouts: { count: 0, gross: 0, net: 0 },
+      months: {}
+    };
+  }
+
+  addToMonth(bucket, date, field, amount) {
+    const month = new Date(date).getUTCMonth() + 1;
+    const entry = bucket.months[month] || (bucket.months[month] = { grossSales: 0, netEarnings: 0, payouts: 0 });
+    entry[field] += amount;
+  }
+
+  line(tx, currency, type, gross, fees, net) {
+    return {
+      date: tx.created_at,
+      currency,
+      type,
+      reference: tx.reference,
+      description: tx.description,
+      gross,
+      fees,
+      net
+    };
+  }
+
+  /**
+   * Convert a currency bucket to major units and add the derived totals
+   */
+  formatBucket(bucket, period) {
+    const toMajor = value => Math.round(value) / 100;
+    const netEarnings = bucket.grossSales - bucket.salePlatformFees - bucket.commissionsDeducted + bucket.commissionsEarned - bucket.refunds;
+
+    const summary = {
+      currency: bucket.currency,
+      salesCount: bucket.salesCount,
+      grossSales: toMajor(bucket.grossSales),
+      salePlatformFees: toMajor(bucket.salePlatformFees),
+      commissionsDeducted: toMajor(bucket.commissionsDeducted),
+      commissionsEarned: toMajor(bucket.commissionsEarned),
+      refunds: toMajor(bucket.refunds),
+      netEarnings: toMajor(netEarnings),
+      platformFees: toMajor(bucket.salePlatformFees + bucket.platformFees),
+      gatewayFees: toMajor(bucket.gatewayFees),
+      payouts: {
+        count: bucket.payouts.count,
+        gross: toMajor(bucket.payouts.gross),
+        net: toMajor(bucket.payouts.net)
+      }
+    };
+
+    if (period.type === 'annual') {
+      summary.months = MONTH_NAMES.map((name, index) => {
+        const entry = bucket.months[index + 1] || { grossSales: 0, netEarnings: 0, payouts: 0 };
+        return {
+          month: index + 1,
+          name,
+          grossSales: toMajor(entry.grossSales),
+          netEarnings: toMajor(entry.netEarnings),
+          payouts: toMajor(entry.payouts)
+        };
+      });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Statement file name, e.g. earnings-statement-2026-09.pdf
+   */
+  getFileName(statement, format) {
+    const { year, month } = statement.period;
+    const suffix = month ? `${year}-${String(month).padStart(2, '0')}` : `${year}`;
+    return `earnings-statement-${suffix}.${format}`;
+  }
+
+  /**
+   * Render a statement as CSV: header block, per-currency summary, then lines
+   * @param {Object} statement - From getStatement
+   * @returns {string}
+   */
+  toCSV(statement) {
+    const escape = value => {
+      if (value === null || value === undefined) return '';
+      const text = value instanceof Date ? value.toISOString() : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const row = values => values.map(escape).join(',');
+    const csvRows = [];
+    const profile = statement.taxProfile;
+
+    csvRows.push(row([`${statement.platformName} Earnings Statement`, statement.period.label]));
+    csvRows.push(row(['Creator', statement.creator.name, statement.creator.email]));
+
+    if (profile) {
+      csvRows.push(row(['Legal Name', profile.legalName]));
+      csvRows.push(row(['Tax ID', `${profile.taxIdType} ${profile.maskedTaxId}`]));
+      csvRows.push(row(['Tax Residence', profile.country]));
+      csvRows.push(row(['Tax Form', profile.formType]));
+    }
+
+    csvRows.push('');
+    csvRows.push(row([
+      'Currency',
+      'Sales',
+      'Gross Sales',
+      'Sale Platform Fees',
+      'Commissions Deducted',
+      'Commissions Earned',
+      'Refunds',
+      'Net Earnings',
+      'Platform Fees',
+      'Gateway Fees',
+      'Payouts',
+      'Payouts (Net)'
+    ]));
+
+    for (const summary of statement.currencies) {
+      csvRows.push(row([
+        summary.currency,
+        summary.salesCount,
+        summary.grossSales,
+        summary.salePlatformFees,
+        summary.commissionsDeducted,
+        summary.commissionsEarned,
+        summary.refunds,
+        summary.netEarnings,
+        summary.platformFees,
+        summary.gatewayFees,
+        summary.payouts.gross,
+        summary.payouts.net
+      ]));
+    }
+
+    csvRows.push('');
+    csvRows.push(row(['Date', 'Currency', 'Type', 'Reference', 'Description', 'Gross', 'Fees', 'Net']));
+
+    for (const line of statement.lines) {
+      csvRows.push(row([
+        line.date,
+        line.currency,
+        line.type,
+        line.reference,
+        line.description,
+        line.gross,
+        line.fees,
+        line.net
+      ]));
+    }
+
+    return csvRows.join('\n');
+  }
+
+  /**
+   * Render a statement as a PDF
+   * @param {Object} statement - From getStatement
+   * @returns {Promise<Buffer>}
+   */
+  toPDF(statement) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const money = (amount, currency) => `${currency} ${Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+      const profile = statement.taxProfile;
+
+      doc.fontSize(18).text(`${statement.platformName} Earnings Statement`);
+      doc.fontSize(11).fillColor('#555555').text(statement.period.label);
+      doc.fillColor('#000000').moveDown();
+
+      doc.fontSize(10);
+      doc.text(`Creator: ${statement.creator.name} (${statement.creator.email})`);
+
+      if (profile) {
+        doc.text(`Legal name: ${profile.legalName}${profile.businessName ? ` / ${profile.businessName}` : ''}`);
+        doc.text(`Tax ID: ${profile.taxIdType} ${profile.maskedTaxId}`);
+        doc.text(`Tax residence: ${profile.country}${profile.formType !== 'none' ? ` · Form ${profile.formType}` : ''}`);
+        doc.text(`Address: ${[profile.addressLine1, profile.addressLine2, profile.city, profile.state, profile.postalCode, profile.country].filter(Boolean).join(', ')}`);
+
+        if (profile.treatyCountry) {
+          doc.text(`Treaty claim: ${profile.treatyCountry} ${profile.treatyArticle || ''} at ${profile.withholdingRate}%`);
+        }
+      } else {
+        doc.fillColor('#aa0000').text('No tax profile on file').fillColor('#000000');
+      }
+
+      doc.text(`Generated: ${new Date(statement.generatedAt).toISOString().slice(0, 10)}`);
+
+      if (statement.currencies.length === 0) {
+        doc.moveDown().fontSize(11).text('No earnings or payouts in this period.');
+      }
+
+      for (const summary of statement.currencies) {
+        doc.moveDown().fontSize(13).text(summary.currency);
+        doc.fontSize(10);
+
+        [
+          [`Gross sales (${summary.salesCount})`, summary.grossSales],
+          ['Platform fees on sales', -summary.salePlatformFees],
+          ['Coupon/referral commissions deducted', -summary.commissionsDeducted],
+          ['Commissions earned', summary.commissionsEarned],
+          ['Refunds', -summary.refunds],
+          ['Net earnings', summary.netEarnings],
+          [`Payouts (${summary.payouts.count})`, summary.payouts.gross],
+          ['Platform fees on payouts', summary.platformFees - summary.salePlatformFees],
+          ['Gateway fees', summary.gatewayFees],
+          ['Paid to bank', summary.payouts.net]
+        ].forEach(([label, amount]) => {
+          const y = doc.y;
+          doc.text(label, 50, y);
+          doc.text(money(amount, summary.currency), 350, y, { width: 195, align: 'right' });
+        });
+
+        if (summary.months) {
+          doc.moveDown(0.5).fontSize(9).fillColor('#555555');
+          summary.months
+            .filter(entry => entry.grossSales || entry.netEarnings || entry.payouts)
+            .forEach(entry => {
+              doc.text(`${entry.name}: sales ${money(entry.grossSales, summary.currency)}, net ${money(entry.netEarnings, summary.currency)}, payouts ${money(entry.payouts, summary.currency)}`, 50);
+            });
+          doc.fillColor('#000000');
+        }
+      }
+
+      doc.moveDown(2).fontSize(8).fillColor('#777777').text(
+        'This statement summarises earnings recorded on the platform for the period shown. It is not a tax return or an official tax form; consult a tax adviser about your obligations.',
+        50
+      );
+
+      doc.end();
+    });
+  }
+
+  error(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+  }
+}
+
+module.exports = new EarningsStatementService();
@@ -0,0 +1,153 @@
+const axios = require('axios');
+
+/**
+ * Exchange Rate Providers
+ *
+ * A provider is any object with a `name` and an async
+ * `fetchRates(baseCurrency, quoteCurrencies)` that resolves to a map of
+ * quote currency → units per 1 base currency, e.g. { NGN: 1530.25 }.
+ * Currencies the provider cannot price are simply left out.
+ *
+ * The active provider is chosen with EXCHANGE_RATE_PROVIDER. Additional
+ * providers can be added at startup with registerProvider().
+ */
+
+/**
+ * Reads fixed rates from the environment (CURRENCY_CONVERSION_RATE_<CUR>_TO_USD,
+ * expressed as units of <CUR> per 1 USD). This is the default so existing
+ * deployments keep their configured NGN rate.
+ */
+const staticProvider = {
+  name: 'static',
+
+  async fetchRates(baseCurrency, quoteCurrencies) {
+    const rates = {};
+
+    for (const currency of quoteCurrencies) {
+      const rate = getEnvRate(currency);
+      if (rate) {
+        rates[currency] = rate;
+      }
+    }
+
+    return rates;
+  }
+};
+
+/**
+ * Open Exchange Rates (https://openexchangerates.org)
+ * Requires OPEN_EXCHANGE_RATES_APP_ID. The free plan only supports USD as base.
+ */
+const openExchangeRatesProvider = {
+  name: 'openexchangerates',
+
+  async fetchRates(baseCurrency, quoteCurrencies) {
+    if (!process.env.OPEN_EXCHANGE_RATES_APP_ID) {
+      throw new Error('OPEN_EXCHANGE_RATES_APP_ID is not configured');
+    }
+
+    const response = await axios.get('https://openexchangerates.org/api/latest.json', {
+      params: {
+        app_id: process.env.OPEN_EXCHANGE_RATES_APP_ID,
+        base: baseCurrency,
+        symbols: quoteCurrencies.join(',')
+      },
+      timeout: 10000
+    });
+
+    return pickRates(response.data?.rates, quoteCurrencies);
+  }
+};
+
+/**
+ * ExchangeRate-API (https://www.exchangerate-api.com)
+ * Requires EXCHANGE_RATE_API_KEY.
+ */
+const exchangeRateApiProvider = {
+  name: 'exchangerate_api',
+
+  async fetchRates(baseCurrency, quoteCurrencies) {
+    if (!process.env.EXCHANGE_RATE_API_KEY) {
+      throw new Error('EXCHANGE_RATE_API_KEY is not configured');
+    }
+
+    const response = await axios.get(
+      `https://v6.exchangerate-api.com/v6/${process.env.EXCHANGE_RATE_API_KEY}/latest/${baseCurrency}`,
+      { timeout: 10000 }
+    );
+
+    if (response.data?.result !== 'success') {
+      throw new Error(`ExchangeRate-API error: ${response.data?.['error-type'] || 'unknown'}`);
+    }
+
+    return pickRates(response.data.conversion_rates, quoteCurrencies);
+  }
+};
+
+const providers = new Map([
+  [staticProvider.name, staticProvider],
+  [openExchangeRatesProvider.name, openExchangeRatesProvider],
+  [exchangeRateApiProvider.name, exchangeRateApiProvider]
+]);
+
+/**
+ * Read a fixed rate from the environment
+ * @param {string} currency - Quote currency
+ * @returns {number|null} Units of currency per 1 USD, or null when unset
+ */
+function getEnvRate(currency) {
+  const rate = parseFloat(process.env[`CURRENCY_CONVERSION_RATE_${currency}_TO_USD`]);
+  return Number.isFinite(rate) && rate > 0 ? rate : null;
+}
+
+/**
+ * Keep only valid positive rates for the requested currencies
+ * @param {Object} rates - Provider response rates
+ * @param {Array<string>} quoteCurrencies - Requested currencies
+ * @returns {Object} Filtered rates
+ */
+function pickRates(rates = {}, quoteCurrencies) {
+  const picked = {};
+
+  for (const currency of quoteCurrencies) {
+    const rate = parseFloat(rates[currency]);
+    if (Number.isFinite(rate) && rate > 0) {
+      picked[currency] = rate;
+    }
+  }
+
+  return picked;
+}
+
+/**
+ * Register a custom rate provider
+ * @param {Object} provider - Object with name and fetchRates()
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.fetchRates !== 'function') {
+    throw new Error('Exchange rate provider must have a name and a fetchRates() function');
+  }
+
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} Provider
+ */
+function getProvider(name) {
+  const provider = providers.get(name);
+
+  if (!provider) {
+    throw new Error(`Unknown exchange rate provider: ${name}. Available: ${[...providers.keys()].join(', ')}`);
+  }
+
+  return provider;
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getEnvRate
+};
@@ -0,0 +1,530 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/db');
+const { ExchangeRate, ExchangeRateLock } = require('../models/walletIndex');
+const { getProvider, getEnvRate } = require('./exchangeRateProviders');
+
+/**
+ * Exchange Rate Service
+ *
+ * Provides live exchange rates with:
+ * - Pluggable rate providers (see exchangeRateProviders.js)
+ * - Stored rate history
+ * - Admin overrides and locking per currency
+ * - Rate snapshots for recording which rate a conversion used
+ *
+ * All rates are stored against USD. Current rates are held in memory so
+ * conversions stay synchronous; every instance reloads them from the
+ * database on an interval, so admin overrides and locks made on one
+ * instance reach the others within config.reloadInterval.
+ */
+class ExchangeRateService {
+  constructor() {
+    this.config = {
+      baseCurrency: 'USD',
+      supportedCurrencies: ['USD', 'NGN', 'GBP', 'EUR'],
+      providerName: process.env.EXCHANGE_RATE_PROVIDER || 'static',
+
+      // How often to fetch from the provider (shared across instances)
+      refreshInterval: (parseInt(process.env.EXCHANGE_RATE_REFRESH_MINUTES) || 60) * 60 * 1000,
+
+      // How often each instance reloads current rates from the database
+      reloadInterval: 60 * 1000,
+
+      // Provider rates that move more than this from the current rate are rejected
+      maxRateChangePercent: parseFloat(process.env.EXCHANGE_RATE_MAX_CHANGE_PERCENT) || 20,
+
+      // Rates older than this are flagged as stale in snapshots and admin views
+      staleAfter: 24 * 60 * 60 * 1000
+    };
+
+    // quoteCurrency -> { id, rate, source, isOverride, effectiveAt, locked, lockId }
+    this.currentRates = new Map();
+    this.initialized = false;
+  }
+
+  /**
+   * Load rates and start refresh intervals
+   */
+  async initialize() {
+    await this.loadCurrentRates();
+
+    const missing = this.getQuoteCurrencies().filter(currency => !this.currentRates.has(currency));
+    if (missing.length > 0) {
+      await this.refreshRates({ force: true });
+    }
+
+    this.initialized = true;
+    this.startRefreshInterval();
+
+    console.log(`[Exchange Rates] Initialized with provider '${this.config.providerName}':`,
+      Object.fromEntries([...this.currentRates].map(([currency, entry]) => [currency, entry.rate])));
+  }
+
+  /**
+   * Currencies that are quoted against the base currency
+   * @returns {Array<string>} Quote currencies
+   */
+  getQuoteCurrencies() {
+    return this.config.supportedCurrencies.filter(currency => currency !== this.config.baseCurrency);
+  }
+
+  /**
+   * Check if a currency has exchange rate support
+   * @param {string} currency - Currency code
+   * @returns {boolean} True if supported
+   */
+  isSupported(currency) {
+    return this.config.supportedCurrencies.includes(String(currency).toUpperCase());
+  }
+
+  /**
+   * Reload current rates from the database
+   *
+   * A locked currency uses its locked rate; otherwise the newest rate row wins.
+   */
+  async loadCurrentRates() {
+    const locks = await ExchangeRateLock.findAll({
+      where: { baseCurrency: this.config.baseCurrency, unlockedAt: null },
+      include: [{ model: ExchangeRate, as: 'exchangeRate' }]
+    });
+    const locksByCurrency = new Map(locks.map(lock => [lock.quoteCurrency, lock]));
+
+    for (const currency of this.getQuoteCurrencies()) {
+      const lock = locksByCurrency.get(currency);
+      const row = lock
+        ? lock.exchangeRate
+        : await ExchangeRate.findOne({
+          where: { baseCurrency: this.config.baseCurrency, quoteCurrency: currency },
+          order: [['effectiveAt', 'DESC'], ['createdAt', 'DESC']]
+        });
+
+      if (row) {
+        this.currentRates.set(currency, this.toRateEntry(row, lock));
+      }
+    }
+  }
+
+  /**
+   * Fetch rates from the configured provider and record them
+   *
+   * Unless forced, the fetch is skipped when any instance recorded provider
+   * rates within config.refreshInterval.
+   * @param {Object} options - force
+   * @returns {Promise<Object>} Recorded and skipped currencies
+   */
+  async refreshRates({ force = false } = {}) {
+    const provider = getProvider(this.config.providerName);
+
+    if (!force) {
+      const latest = await ExchangeRate.findOne({
+        where: { source: provider.name },
+        order: [['createdAt', 'DESC']]
+      });
+
+      if (latest && Date.now() - new Date(latest.createdAt).getTime() < this.config.refreshInterval) {
+        await this.loadCurrentRates();
+        return { recorded: [], skipped: [], fetched: false };
+      }
+    }
+
+    let fetched;
+    try {
+      fetched = await provider.fetchRates(this.config.baseCurrency, this.getQuoteCurrencies());
+    } catch (error) {
+      console.error(`[Exchange Rates] Provider '${provider.name}' fetch failed:`, error.message);
+
+      // Fall back to configured fixed rates so a fresh install can still convert
+      fetched = await getProvider('static').fetchRates(this.config.baseCurrency, this.getQuoteCurrencies());
+      fetched = Object.fromEntries(
+        Object.entries(fetched).filter(([currency]) => !this.currentRates.has(currency))
+      );
+    }
+
+    const recorded = [];
+    const skipped = [];
+    const effectiveAt = new Date();
+
+    for (const [currency, rate] of Object.entries(fetched)) {
+      const current = this.currentRates.get(currency);
+
+      // Guard against bad provider data; admin overrides are not used as the reference
+      if (current && !current.locked && current.source === provider.name) {
+        const changePercent = Math.abs(rate - current.rate) / current.rate * 100;
+        if (changePercent > this.config.maxRateChangePercent) {
+          console.warn(`[Exchange Rates] Rejected ${currency} rate ${rate} from ${provider.name}: ${changePercent.toFixed(2)}% change from ${current.rate}`);
+          skipped.push({ currency, rate, reason: 'max_change_exceeded' });
+          continue;
+        }
+      }
+
+      await ExchangeRate.create({
+        baseCurrency: this.config.baseCurrency,
+        quoteCurrency: currency,
+        rate,
+        source: provider.name,
+        effectiveAt,
+        metadata: current && current.locked ? { applied: false, lockedRate: current.rate } : {}
+      });
+      recorded.push({ currency, rate });
+    }
+
+    await this.loadCurrentRates();
+
+    if (recorded.length > 0) {
+      console.log(`[Exchange Rates] Recorded ${recorded.length} rates from ${provider.name}`);
+    }
+
+    return { recorded, skipped, fetched: true };
+  }
+
+  /**
+   * Admin override of the rate for a currency
+   *
+   * Without a lock the override applies until the next provider refresh.
+   * With a lock (or when the currency is already locked) the rate is pinned
+   * until unlockRate() is called.
+   * @param {string} currency - Quote currency
+   * @param {number} rate - Units of currency per 1 USD
+   * @param {Object} options - adminId, reason, lock
+   * @returns {Promise<Object>} Current rate entry
+   */
+  async setRate(currency, rate, { adminId = null, reason = null, lock = false } = {}) {
+    const quoteCurrency = this.validateQuoteCurrency(currency);
+    const parsedRate = parseFloat(rate);
+
+    if (!Number.isFinite(parsedRate) || parsedRate <= 0) {
+      throw new Error('Rate must be a positive number');
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const row = await ExchangeRate.create({
+        baseCurrency: this.config.baseCurrency,
+        quoteCurrency,
+        rate: parsedRate,
+        source: 'admin',
+        isOverride: true,
+        effectiveAt: new Date(),
+        createdBy: adminId,
+        reason
+      }, { transaction });
+
+      const activeLock = await ExchangeRateLock.findOne({
+        where: { baseCurrency: this.config.baseCurrency, quoteCurrency, unlockedAt: null },
+        transaction
+      });
+
+      if (lock || activeLock) {
+        if (activeLock) {
+          await activeLock.update({ unlockedAt: new Date(), unlockedBy: adminId }, { transaction });
+        }
+
+        await ExchangeRateLock.create({
+          baseCurrency: this.config.baseCurrency,
+          quoteCurrency,
+          exchangeRateId: row.id,
+          lockedBy: adminId,
+          reason
+        }, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    await this.loadCurrentRates();
+
+    console.log(`[Exchange Rates] Admin ${adminId} set ${quoteCurrency} rate to ${parsedRate}${lock ? ' (locked)' : ''}`);
+    return this.currentRates.get(quoteCurrency);
+  }
+
+  /**
+   * Lift the lock on a currency so provider rates apply again
+   * @param {string} currency - Quote currency
+   * @param {Object} options - adminId
+   * @returns {Promise<boolean>} False when the currency was not locked
+   */
+  async unlockRate(currency, { adminId = null } = {}) {
+    const quoteCurrency = this.validateQuoteCurrency(currency);
+
+    const [updated] = await ExchangeRateLock.update(
+      { unlockedAt: new Date(), unlockedBy: adminId },
+      { where: { baseCurrency: this.config.baseCurrency, quoteCurrency, unlockedAt: null } }
+    );
+
+    await this.loadCurrentRates();
+
+    if (updated > 0) {
+      console.log(`[Exchange Rates] Admin ${adminId} unlocked ${quoteCurrency}`);
+    }
+
+    return updated > 0;
+  }
+
+  /**
+   * Get rate history for a currency
+   * @param {string} currency - Quote currency
+   * @param {Object} options - limit, offset, since, until
+   * @returns {Promise<Object>} History rows, newest first
+   */
+  async getRateHistory(currency, { limit = 100, offset = 0, since = null, until = null } = {}) {
+    const quoteCurrency = this.validateQuoteCurrency(currency);
+    const where = { baseCurrency: this.config.baseCurrency, quoteCurrency };
+
+    if (since || until) {
+      where.effectiveAt = {};
+      if (since) where.effectiveAt[Op.gte] = new Date(since);
+      if (until) where.effectiveAt[Op.lte] = new Date(until);
+    }
+
+    const { count, rows } = await ExchangeRate.findAndCountAll({
+      where,
+      order: [['effectiveAt', 'DESC'], ['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    return {
+      currency: quoteCurrency,
+      total: count,
+      rates: rows.map(row => ({
+        id: row.id,
+        rate: parseFloat(row.rate),
+        source: row.source,
+        isOverride: row.isOverride,
+        effectiveAt: row.effectiveAt,
+        createdBy: row.createdBy,
+        reason: row.reason
+      }))
+    };
+  }
+
+  /**
+   * Get current rates for every supported currency
+   * @returns {Object} Rates keyed by currency
+   */
+  getCurrentRates() {
+    const rates = {};
+
+    for (const currency of this.getQuoteCurrencies()) {
+      const entry = this.getRateEntry(currency);
+      rates[currency] = entry
+        ? { ...entry, stale: this.isStale(entry) }
+        : null;
+    }
+
+    return {
+      baseCurrency: this.config.baseCurrency,
+      provider: this.config.providerName,
+      rates
+    };
+  }
+
+  /**
+   * Get the current rate entry for a quote currency
+   *
+   * Falls back to the fixed environment rate before initialize() has loaded
+   * rates (scripts, tests) or when no rate has ever been recorded.
+   * @param {string} currency - Quote currency
+   * @returns {Object|null} Rate entry
+   */
+  getRateEntry(currency) {
+    if (currency === this.config.baseCurrency) {
+      return { id: null, rate: 1, source: 'base', isOverride: false, effectiveAt: null, locked: false };
+    }
+
+    if (this.currentRates.has(currency)) {
+      return this.currentRates.get(currency);
+    }
+
+    const envRate = getEnvRate(currency);
+    return envRate
+      ? { id: null, rate: envRate, source: 'env', isOverride: false, effectiveAt: null, locked: false }
+      : null;
+  }
+
+  /**
+   * Get the rate to convert between two currencies
+   * @param {string} fromCurrency - Source currency
+   * @param {string} toCurrency - Target currency
+   * @returns {number} Units of toCurrency per 1 fromCurrency
+   */
+  getRate(fromCurrency, toCurrency) {
+    return this.getRateSnapshot(fromCurrency, toCurrency).rate;
+  }
+
+  /**
+   * Capture the rate used to convert between two currencies
+   *
+   * The snapshot records every USD leg used, so a cross rate such as
+   * NGN → GBP can be traced back to the rate rows it was derived from.
+   * @param {string} fromCurrency - Source currency
+   * @param {string} toCurrency - Target currency
+   * @returns {Object} Rate snapshot
+   */
+  getRateSnapshot(fromCurrency, toCurrency) {
+    const from = String(fromCurrency).toUpperCase();
+    const to = String(toCurrency).toUpperCase();
+
+    if (!this.isSupported(from) || !this.isSupported(to)) {
+      throw new Error(`Invalid currency. Supported: ${this.config.supportedCurrencies.join(', ')}. Got: ${from} -> ${to}`);
+    }
+
+    const legs = [];
+    let fromRate = 1;
+    let toRate = 1;
+
+    for (const currency of new Set([from, to])) {
+      if (currency === this.config.baseCurrency) {
+        continue;
+      }
+
+      const entry = this.getRateEntry(currency);
+      if (!entry) {
+        throw new Error(`No exchange rate available for ${currency}`);
+      }
+
+      if (currency === from) fromRate = entry.rate;
+      if (currency === to) toRate = entry.rate;
+
+      legs.push({
+        rateId: entry.id,
+        baseCurrency: this.config.baseCurrency,
+        quoteCurrency: currency,
+        rate: entry.rate,
+        source: entry.source,
+        isOverride: entry.isOverride,
+        locked: entry.locked,
+        effectiveAt: entry.effectiveAt
+      });
+    }
+
+    return {
+      fromCurrency: from,
+      toCurrency: to,
+      rate: from === to ? 1 : toRate / fromRate,
+      legs,
+      capturedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Flatten a snapshot into string metadata for payment gateways
+   *
+   * Stripe only accepts short string values, so the snapshot is reduced to
+   * the rate and rate row IDs and rebuilt with fromGatewayMetadata().
+   * @param {Object} snapshot - Rate snapshot
+   * @param {number} baseAmount - Amount before conversion
+   * @returns {Object} Gateway metadata fields
+   */
+  toGatewayMetadata(snapshot, baseAmount) {
+    return {
+      exchangeRate: snapshot.rate.toString(),
+      exchangeRateIds: snapshot.legs.map(leg => leg.rateId).filter(Boolean).join(','),
+      baseCurrency: snapshot.fromCurrency,
+      baseAmount: baseAmount.toString()
+    };
+  }
+
+  /**
+   * Rebuild a rate snapshot from gateway metadata
+   * @param {Object} metadata - Gateway metadata
+   * @param {string} toCurrency - Currency the buyer paid in
+   * @returns {Promise<Object|null>} Snapshot, or null when no conversion happened
+   */
+  async fromGatewayMetadata(metadata = {}, toCurrency) {
+    if (!metadata.exchangeRate || !metadata.baseCurrency) {
+      return null;
+    }
+
+    const rateIds = (metadata.exchangeRateIds || '').split(',').filter(Boolean);
+    const rows = rateIds.length > 0
+      ? await ExchangeRate.findAll({ where: { id: rateIds } })
+      : [];
+
+    return {
+      fromCurrency: metadata.baseCurrency,
+      toCurrency: String(toCurrency).toUpperCase(),
+      rate: parseFloat(metadata.exchangeRate),
+      baseAmount: metadata.baseAmount ? parseFloat(metadata.baseAmount) : null,
+      legs: rows.map(row => ({
+        rateId: row.id,
+        baseCurrency: row.baseCurrency,
+        quoteCurrency: row.quoteCurrency,
+        rate: parseFloat(row.rate),
+        source: row.source,
+        isOverride: row.isOverride,
+        effectiveAt: row.effectiveAt
+      }))
+    };
+  }
+
+  /**
+   * Start provider refresh and database reload intervals. They are unref'd so
+   * they never keep the process (or a test run) alive on their own.
+   */
+  startRefreshInterval() {
+    setInterval(() => {
+      this.refreshRates().catch(error => {
+        console.error('[Exchange Rates] Refresh error:', error.message);
+      });
+    }, this.config.refreshInterval).unref();
+
+    setInterval(() => {
+      this.loadCurrentRates().catch(error => {
+        console.error('[Exchange Rates] Reload error:', error.message);
+      });
+    }, this.config.reloadInterval).unref();
+  }
+
+  /**
+   * Validate and normalize a quote currency
+   * @param {string} currency - Currency code
+   * @returns {string} Upper-cased currency
+   */
+  validateQuoteCurrency(currency) {
+    const quoteCurrency = String(currency || '').toUpperCase();
+
+    if (!this.getQuoteCurrencies().includes(quoteCurrency)) {
+      throw new Error(`Unsupported currency: ${currency}. Supported: ${this.getQuoteCurrencies().join(', ')}`);
+    }
+
+    return quoteCurrency;
+  }
+
+  /**
+   * Check whether a rate entry is older than config.staleAfter
+   * @param {Object} entry - Rate entry
+   * @returns {boolean} True if stale
+   */
+  isStale(entry) {
+    if (!entry.effectiveAt || entry.locked) {
+      return false;
+    }
+
+    return Date.now() - new Date(entry.effectiveAt).getTime() > this.config.staleAfter;
+  }
+
+  /**
+   * Convert a rate row to an in-memory entry
+   * @param {Object} row - ExchangeRate instance
+   * @param {Object} lock - Active ExchangeRateLock (optional)
+   * @returns {Object} Rate entry
+   */
+  toRateEntry(row, lock = null) {
+    return {
+      id: row.id,
+      rate: parseFloat(row.rate),
+      source: row.source,
+      isOverride: row.isOverride,
+      effectiveAt: row.effectiveAt,
+      locked: Boolean(lock),
+      lockId: lock ? lock.id : null
+    };
+  }
+}
+
+module.exports = new ExchangeRateService();
@@ -0,0 +1,449 @@
+const { Op } = require('sequelize');
+const { FeeSchedule, Purchase, User } = require('../models/walletIndex');
+const Coupon = require('../models/Coupon');
+
+const CONTENT_TYPES = ['video', 'live_class', 'live_series', 'course', 'freebie', 'membership'];
+const CURRENCIES = ['NGN', 'USD', 'GBP', 'EUR'];
+
+/**
+ * Fee Schedule Service
+ *
+ * Resolves the platform fee taken from a sale before the creator is
+ * credited. Admins manage schedules scoped by content type, creator
+ * (negotiated rates) and currency; schedules with a start/end date are
+ * promotions, and `tiers` lower the percentage as the creator's
+ * month-to-date gross sales in that currency grow.
+ *
+ * When several schedules apply, the winner is picked by:
+ *   1. priority (highest first)
+ *   2. specificity (creator > content type > currency)
+ *   3. promotions before standing rates
+ *   4. most recently created
+ *
+ * With no matching schedule the default rate (DEFAULT_SALE_FEE_PERCENT)
+ * applies. The rule used is snapshotted onto the Purchase so later schedule
+ * changes never alter past sales.
+ *
+ * A fee percentage plus the highest active partner coupon commission may not
+ * exceed 100%; schedules and partner coupons are both checked on save.
+ */
+class FeeScheduleService {
+  constructor() {
+    this.config = {
+      defaultPercentage: parseFloat(process.env.DEFAULT_SALE_FEE_PERCENT) || 0
+    };
+  }
+
+  /**
+   * Resolve the fee for a sale
+   * @param {Object} sale - Sale details
+   * @param {number} sale.creatorId - Creator receiving the earnings
+   * @param {string} sale.contentType - Content type
+   * @param {string} sale.currency - Sale currency
+   * @param {number} sale.amount - Sale amount (major units)
+   * @param {Date} sale.at - Sale time (defaults to now)
+   * @returns {Promise<Object>} { platformFee, creatorNet, feeScheduleId, rule }
+   */
+  async resolveFee({ creatorId, contentType, currency, amount, at = new Date() }) {
+    const schedule = await this.findApplicableSchedule({ creatorId, contentType, currency, at });
+    const saleAmount = parseFloat(amount) || 0;
+
+    let percentage = this.config.defaultPercentage;
+    let fixedFee = 0;
+    let tier = null;
+    let volume = null;
+
+    if (schedule) {
+      percentage = parseFloat(schedule.percentage);
+      fixedFee = parseFloat(schedule.fixedFee) || 0;
+
+      if (Array.isArray(schedule.tiers) && schedule.tiers.length > 0 && creatorId) {
+        volume = await this.getMonthToDateVolume(creatorId, currency, at);
+        tier = this.pickTier(schedule.tiers, volume);
+        if (tier) {
+          percentage = parseFloat(tier.percentage);
+        }
+      }
+    }
+
+    const rawFee = Math.round((saleAmount * percentage / 100 + fixedFee) * 100) / 100;
+    const platformFee = Math.min(Math.max(rawFee, 0), saleAmount);
+
+    return {
+      platformFee,
+      creatorNet: Math.round((saleAmount - platformFee) * 100) / 100,
+      feeScheduleId: schedule ? schedule.id : null,
+      rule: {
+        source: schedule ? 'schedule' : 'default',
+        scheduleId: schedule ? schedule.id : null,
+        name: schedule ? schedule.name : 'Default platform fee',
+        percentage,
+        fixedFee,
+        promotion: schedule ? schedule.isPromotion() : false,
+        tier: tier ? { minVolume: tier.minVolume, percentage: parseFloat(tier.percentage) } : null,
+        monthToDateVolume: volume
+      }
+    };
+  }
+
+  /**
+   * Pick the schedule that applies to a sale, if any
+   * @returns {Promise<FeeSchedule|null>}
+   */
+  async findApplicableSchedule({ creatorId, contentType, currency, at = new Date() }) {
+    const candidates = await FeeSchedule.findAll({
+      where: {
+        isActive: true,
+        creatorId: creatorId ? { [Op.or]: [null, creatorId] } : null,
+        contentType: contentType ? { [Op.or]: [null, contentType] } : null,
+        currency: currency ? { [Op.or]: [null, currency] } : null
+      }
+    });
+
+    const applicable = candidates
+      .filter(schedule => schedule.isInEffect(at))
+      .sort((a, b) =>
+        (b.priority - a.priority) ||
+        (b.getSpecificity() - a.getSpecificity()) ||
+        (Number(b.isPromotion()) - Number(a.isPromotion())) ||
+        (new Date(b.createdAt) - new Date(a.createdAt))
+      );
+
+    return applicable[0] || null;
+  }
+
+  /**
+   * Creator's gross completed sales in a currency since the start of the month
+   */
+  async getMonthToDateVolume(creatorId, currency, at = new Date()) {
+    const monthStart = new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth(), 1));
+
+    const total = await Purchase.sum('amount', {
+      where: {
+        creatorId,
+        currency,
+        paymentStatus: 'completed',
+        createdAt: { [Op.gte]: monthStart, [Op.lt]: at }
+      }
+    });
+
+    return Math.round((parseFloat(total) || 0) * 100) / 100;
+  }
+
+  /**
+   * Highest tier whose threshold the volume has reached
+   */
+  pickTier(tiers, volume) {
+    return [...tiers]
+      .sort((a, b) => parseFloat(b.minVolume) - parseFloat(a.minVolume))
+      .find(tier => volume >= parseFloat(tier.minVolume)) || null;
+  }
+
+  /**
+   * What a creator would net on a sale (admin preview)
+   * @param {Object} params - creatorId, contentType, currency, amount, commission
+   * @returns {Promise<Object>}
+   */
+  async previewFee({ creatorId, contentType, currency, amount, commission = 0 }) {
+    const sale = this.validateSale({ creatorId, contentType, currency, amount });
+    const commissionAmount = parseFloat(commission) || 0;
+
+    if (commissionAmount < 0 || commissionAmount > sale.amount) {
+      throw this.error('commission must be between 0 and the sale amount', 400);
+    }
+
+    const fee = await this.resolveFee(sale);
+
+    return {
+      ...sale,
+      platformFee: fee.platformFee,
+      commission: commissionAmount,
+      creatorNet: Math.max(Math.round((fee.creatorNet - commissionAmount) * 100) / 100, 0),
+      rule: fee.rule
+    };
+  }
+
+  validateSale({ creatorId, contentType, currency, amount }) {
+    const saleAmount = parseFloat(amount);
+    const saleCurrency = currency ? String(currency).toUpperCase() : null;
+
+    if (!saleAmount || saleAmount <= 0) {
+      throw this.error('amount must be greater than zero', 400);
+    }
+
+    if (!CURRENCIES.includes(saleCurrency)) {
+      throw this.error(`currency must be one of: ${CURRENCIES.join(', ')}`, 400);
+    }
+
+    if (!CONTENT_TYPES.includes(contentType)) {
+      throw this.error(`contentType must be one of: ${CONTENT_TYPES.join(', ')}`, 400);
+    }
+
+    return {
+      creatorId: creatorId ? parseInt(creatorId) : null,
+      contentType,
+      currency: saleCurrency,
+      amount: saleAmount
+    };
+  }
+
+  /**
+   * List schedules (admin)
+   * @param {Object} filters - contentType, creatorId, isActive, limit, offset
+   */
+  async listSchedules({ contentType, creatorId, isActive, limit = 50, offset = 0 } = {}) {
+    const where = {};
+
+    if (contentType) where.contentType = contentType;
+    if (creatorId) where.creatorId = creatorId;
+    if (isActive !== undefined && isActive !== null) where.isActive = isActive;
+
+    const { count, rows } = await FeeSchedule.findAndCountAll({
+      where,
+      include: [{ model: User, as: 'creator', attributes: ['id', 'firstname', 'lastname', 'email'] }],
+      order: [['priority', 'DESC'], ['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    return { total: count, schedules: rows };
+  }
+
+  /**
+   * Get a schedule (admin)
+   */
+  async getSchedule(id) {
+    const schedule = await FeeSchedule.findByPk(id, {
+      include: [{ model: User, as: 'creator', attributes: ['id', 'firstname', 'lastname', 'email'] }]
+    });
+
+    if (!schedule) {
+      throw this.error('Fee schedule not found', 404);
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Create a schedule (admin)
+   * @param {Object} data - Schedule fields
+   * @param {number} adminId - Admin user ID
+   */
+  async createSchedule(data, adminId) {
+    const attributes = this.validateSchedule(data);
+
+    if (!attributes.name) {
+      throw this.error('name is required', 400);
+    }
+
+    if (attributes.percentage === undefined) {
+      throw this.error('percentage is required', 400);
+    }
+
+    await this.assertCreatorExists(attributes.creatorId);
+    await this.assertRoomForCommission(attributes);
+
+    return FeeSchedule.create({ ...attributes, createdBy: adminId });
+  }
+
+  /**
+   * Update a schedule (admin). Past purchases keep their snapshotted rule.
+   */
+  async updateSchedule(id, data) {
+    const schedule = await this.getSchedule(id);
+    const attributes = this.validateSchedule(data, schedule);
+
+    await this.assertCreatorExists(attributes.creatorId);
+    await this.assertRoomForCommission({ ...schedule.get(), ...attributes });
+    await schedule.update(attributes);
+
+    return schedule;
+  }
+
+  /**
+   * Delete a schedule (admin)
+   */
+  async deleteSchedule(id) {
+    const schedule = await this.getSchedule(id);
+    await schedule.destroy();
+    return { id };
+  }
+
+  /**
+   * Validate the fields present in `data`; `existing` fills in the rest for
+   * cross-field checks on update
+   * @returns {Object} Attributes to save
+   */
+  validateSchedule(data = {}, existing = null) {
+    const attributes = {};
+    const has = field => data[field] !== undefined;
+
+    if (has('name')) {
+      attributes.name = String(data.name || '').trim();
+      if (!attributes.name) {
+        throw this.error('name cannot be empty', 400);
+      }
+    }
+
+    if (has('contentType')) {
+      if (data.contentType && !CONTENT_TYPES.includes(data.contentType)) {
+        throw this.error(`contentType must be one of: ${CONTENT_TYPES.join(', ')}`, 400);
+      }
+      attributes.contentType = data.contentType || null;
+    }
+
+    if (has('creatorId')) {
+      attributes.creatorId = data.creatorId ? parseInt(data.creatorId) : null;
+    }
+
+    if (has('currency')) {
+      const currency = data.currency ? String(data.currency).toUpperCase() : null;
+      if (currency && !CURRENCIES.includes(currency)) {
+        throw this.error(`currency must be one of: ${CURRENCIES.join(', ')}`, 400);
+      }
+      attributes.currency = currency;
+    }
+
+    if (has('percentage')) {
+      attributes.percentage = this.parsePercentage(data.percentage, 'percentage');
+    }
+
+    if (has('fixedFee')) {
+      const fixedFee = parseFloat(data.fixedFee || 0);
+      if (isNaN(fixedFee) || fixedFee < 0) {
+        throw this.error('fixedFee must be zero or more', 400);
+      }
+      attributes.fixedFee = fixedFee;
+    }
+
+    if (has('tiers')) {
+      attributes.tiers = this.validateTiers(data.tiers);
+    }
+
+    if (has('priority')) {
+      attributes.priority = parseInt(data.priority) || 0;
+    }
+
+    for (const field of ['startsAt', 'endsAt']) {
+      if (has(field)) {
+        const date = data[field] ? new Date(data[field]) : null;
+        if (date && isNaN(date.getTime())) {
+          throw this.error(`${field} must be a valid date`, 400);
+        }
+        attributes[field] = date;
+      }
+    }
+
+    if (has('isActive')) {
+      attributes.isActive = data.isActive === true || data.isActive === 'true';
+    }
+
+    if (has('notes')) {
+      attributes.notes = data.notes || null;
+    }
+
+    const merged = { ...(existing ? existing.get() : {}), ...attributes };
+
+    if (merged.startsAt && merged.endsAt && new Date(merged.startsAt) >= new Date(merged.endsAt)) {
+      throw this.error('endsAt must be after startsAt', 400);
+    }
+
+    // Tier thresholds and fixed fees are amounts in one currency
+    if ((Array.isArray(merged.tiers) && merged.tiers.length > 0 || parseFloat(merged.fixedFee) > 0) && !merged.currency) {
+      throw this.error('currency is required for schedules with volume tiers or a fixed fee', 400);
+    }
+
+    return attributes;
+  }
+
+  validateTiers(tiers) {
+    if (tiers === null || tiers === undefined || (Array.isArray(tiers) && tiers.length === 0)) {
+      return null;
+    }
+
+    if (!Array.isArray(tiers)) {
+      throw this.error('tiers must be an array of { minVolume, percentage }', 400);
+    }
+
+    const normalized = tiers.map(tier => {
+      const minVolume = parseFloat(tier && tier.minVolume);
+      if (isNaN(minVolume) || minVolume < 0) {
+        throw this.error('Each tier needs a minVolume of zero or more', 400);
+      }
+      return { minVolume, percentage: this.parsePercentage(tier.percentage, 'tier percentage') };
+    });
+
+    const thresholds = new Set(normalized.map(tier => tier.minVolume));
+    if (thresholds.size !== normalized.length) {
+      throw this.error('Tier minVolume values must be unique', 400);
+    }
+
+    return normalized.sort((a, b) => a.minVolume - b.minVolume);
+  }
+
+  parsePercentage(value, label) {
+    const percentage = parseFloat(value);
+    if (isNaN(percentage) || percentage < 0 || percentage > 100) {
+      throw this.error(`${label} must be between 0 and 100`, 400);
+    }
+    return percentage;
+  }
+
+  /**
+   * Highest percentage a schedule's base rate or tiers can take
+   */
+  getMaxPercentage(schedule) {
+    const tiers = Array.isArray(schedule.tiers) ? schedule.tiers : [];
+    return Math.max(parseFloat(schedule.percentage) || 0, ...tiers.map(tier => parseFloat(tier.percentage) || 0));
+  }
+
+  /**
+   * Highest percentage any active schedule, or the default rate, can take
+   */
+  async getHighestPercentage() {
+    const schedules = await FeeSchedule.findAll({
+      where: { isActive: true },
+      attributes: ['percentage', 'tiers']
+    });
+
+    return Math.max(this.config.defaultPercentage, ...schedules.map(schedule => this.getMaxPercentage(schedule)));
+  }
+
+  /**
+   * Highest commission an active partner coupon takes from a sale, in percent
+   */
+  async getHighestPartnerCommission() {
+    const highest = await Coupon.max('partnerCommissionPercent', {
+      where: { type: 'partner', status: 'active' }
+    });
+    return parseFloat(highest) || 0;
+  }
+
+  /**
+   * Reject an active schedule whose fee leaves no room for partner commission
+   */
+  async assertRoomForCommission(schedule) {
+    if (schedule.isActive === false) return;
+
+    const percentage = this.getMaxPercentage(schedule);
+    const commission = await this.getHighestPartnerCommission();
+
+    if (percentage + commission > 100) {
+      throw this.error(`percentage plus the highest partner commission (${commission}%) cannot exceed 100`, 400);
+    }
+  }
+
+  async assertCreatorExists(creatorId) {
+    if (creatorId && !(await User.findByPk(creatorId, { attributes: ['id'] }))) {
+      throw this.error('Creator not found', 404);
+    }
+  }
+
+  error(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+  }
+}
+
+module.exports = new FeeScheduleService();
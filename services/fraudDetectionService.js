@@ -1,4 +1,7 @@
+const { Op, fn, col, literal } = require('sequelize');
 const { idempotencyService } = require('./idempotencyService');
+const { createRedisClient } = require('../config/redis');
+const { FraudUserProfile, FraudTransactionEvent, FraudAlert } = require('../models/fraudIndex');
 
 /**
  * Fraud Detection Engine
@@ -10,6 +13,10 @@ const { idempotencyService } = require('./idempotencyService');
  * - Risk scoring and threshold management
  * - Real-time alerts and blocking
  * 
+ * State (risk scores, blocks, baselines, transaction history and alerts) is
+ * persisted in Postgres so it survives restarts and is shared across
+ * instances. Redis is used as a short-lived read-through cache.
+ * 
  * Requirements: 9.1, 9.2, 9.3, 9.4, 9.5
  */
 
@@ -68,18 +75,83 @@ class FraudDetectionService {
       }
     };
 
-    // In-memory stores (in production, use Redis)
-    this.userBaselines = new Map();     // User behavior baselines
-    this.transactionHistory = new Map(); // Recent transaction history
-    this.riskScores = new Map();        // Current risk scores
-    this.suspiciousActivity = new Map(); // Suspicious activity tracking
-    this.blockedUsers = new Set();      // Auto-blocked users
-    this.flaggedTransactions = new Map(); // Flagged transactions
+    // Redis hot cache (optional - falls back to Postgres when unavailable)
+    this.redis = null;
+    this.cacheReady = false;
+    this.cacheTTL = 300; // 5 minutes
     
     // Start baseline calculation interval
     this.startBaselineCalculation();
   }
 
+  /**
+   * Initialize Redis cache connection
+   */
+  async initialize() {
+    try {
+      this.redis = createRedisClient();
+
+      this.redis.on('ready', () => {
+        console.log('✅ Fraud Detection Service: Redis cache ready');
+        this.cacheReady = true;
+      });
+
+      this.redis.on('error', () => {
+        this.cacheReady = false;
+      });
+
+      console.log('✅ Fraud Detection Service initialized');
+    } catch (error) {
+      console.error('❌ Fraud Detection Service cache initialization failed:', error.message);
+    }
+  }
+
+  /**
+   * Read a cached value
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Parsed value or null on miss
+   */
+  async getCached(key) {
+    if (!this.cacheReady) return null;
+
+    try {
+      const value = await this.redis.get(key);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      console.error('[Fraud Detection] Cache read error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Write a cached value
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache
+   */
+  async setCached(key, value) {
+    if (!this.cacheReady) return;
+
+    try {
+      await this.redis.setex(key, this.cacheTTL, JSON.stringify(value));
+    } catch (error) {
+      console.error('[Fraud Detection] Cache write error:', error.message);
+    }
+  }
+
+  /**
+   * Drop cached state for a user
+   * @param {number} userId - User ID
+   */
+  async invalidateUserCache(userId) {
+    if (!this.cacheReady) return;
+
+    try {
+      await this.redis.del(`fraud:profile:${userId}`, `fraud:history:${userId}`);
+    } catch (error) {
+      console.error('[Fraud Detection] Cache invalidation error:', error.message);
+    }
+  }
+
   /**
    * Analyze transaction for fraud indicators
    * @param {Object} transaction - Transaction details
@@ -99,7 +171,8 @@ class FraudDetectionService {
       console.log(`[Fraud Detection] Analyzing ${type} transaction for user ${userId}: ${amount} ${currency}`);
 
       // Check if user is already blocked
-      if (this.blockedUsers.has(userId)) {
+      const profile = await this.getProfile(userId);
+      if (profile.isBlocked) {
         return {
           allowed: false,
           riskScore: 100,
@@ -120,7 +193,7 @@ class FraudDetectionService {
       });
 
       // Record transaction for future analysis
-      await this.recordTransaction(transaction);
+      await this.recordTransaction({ userId, amount, currency, type, timestamp }, analysis);
 
       // Update risk score
       await this.updateRiskScore(userId, analysis.riskScore);
@@ -236,7 +309,7 @@ class FraudDetectionService {
    * @returns {Promise<Object>} Velocity analysis
    */
   async analyzeVelocity(userId, amount, type, timestamp) {
-    const userHistory = this.getUserTransactionHistory(userId);
+    const userHistory = await this.getUserTransactionHistory(userId);
     const hourAgo = timestamp - (60 * 60 * 1000);
     
     // Filter recent transactions
@@ -283,7 +356,7 @@ class FraudDetectionService {
     }
 
     // Check against user baseline
-    const baseline = this.getUserBaseline(userId);
+    const baseline = await this.getUserBaseline(userId);
     if (baseline) {
       const velocityMultiplier = totalCount / (baseline.avgTransactionsPerHour || 1);
       if (velocityMultiplier >= this.config.autoBlockThresholds.velocityMultiplier) {
@@ -305,7 +378,7 @@ class FraudDetectionService {
    * @returns {Promise<Object>} Behavior analysis
    */
   async analyzeBehavior(userId, amount, type, timestamp) {
-    const baseline = this.getUserBaseline(userId);
+    const baseline = await this.getUserBaseline(userId);
     let riskScore = 0;
     const flags = [];
     const details = {};
@@ -366,7 +439,7 @@ class FraudDetectionService {
     const details = {};
 
     // Check for rapid succession transactions
-    const userHistory = this.getUserTransactionHistory(userId);
+    const userHistory = await this.getUserTransactionHistory(userId);
     const lastTransaction = userHistory[userHistory.length - 1];
     
     if (lastTransaction && (timestamp - lastTransaction.timestamp) < this.config.suspiciousPatterns.rapidSuccession) {
@@ -489,27 +562,61 @@ class FraudDetectionService {
   /**
    * Record transaction for analysis
    * @param {Object} transaction - Transaction details
+   * @param {Object} analysis - Fraud analysis result for the transaction
    */
-  async recordTransaction(transaction) {
-    const { userId, amount, currency, type, timestamp } = transaction;
-    
-    if (!this.transactionHistory.has(userId)) {
-      this.transactionHistory.set(userId, []);
-    }
+  async recordTransaction(transaction, analysis = {}) {
+    const { userId, amount, currency, type, timestamp = Date.now() } = transaction;
 
-    const userHistory = this.transactionHistory.get(userId);
-    userHistory.push({
+    await FraudTransactionEvent.create({
+      userId,
       amount,
-      currency,
+      currency: currency || 'NGN',
       type,
-      timestamp,
-      riskScore: 0 // Will be updated after analysis
+      riskScore: Math.round(analysis.riskScore || 0),
+      flags: analysis.flags || [],
+      occurredAt: new Date(timestamp)
     });
 
-    // Keep only recent transactions (last 7 days)
-    const sevenDaysAgo = timestamp - (7 * 24 * 60 * 60 * 1000);
-    const recentHistory = userHistory.filter(tx => tx.timestamp > sevenDaysAgo);
-    this.transactionHistory.set(userId, recentHistory);
+    await this.invalidateUserCache(userId);
+  }
+
+  /**
+   * Get (or lazily create) a user's fraud profile
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} Plain profile object
+   */
+  async getProfile(userId) {
+    const cacheKey = `fraud:profile:${userId}`;
+    const cached = await this.getCached(cacheKey);
+    if (cached) return cached;
+
+    const record = await FraudUserProfile.findByPk(userId);
+    const profile = {
+      riskScore: record ? parseFloat(record.riskScore) : 0,
+      isBlocked: record ? record.isBlocked : false,
+      blockReason: record ? record.blockReason : null,
+      blockedAt: record ? record.blockedAt : null,
+      baseline: record ? record.baseline : null
+    };
+
+    await this.setCached(cacheKey, profile);
+    return profile;
+  }
+
+  /**
+   * Persist changes to a user's fraud profile
+   * @param {number} userId - User ID
+   * @param {Object} changes - Column changes
+   */
+  async saveProfile(userId, changes) {
+    const [profile] = await FraudUserProfile.findOrCreate({
+      where: { userId },
+      defaults: { userId }
+    });
+
+    await profile.update(changes);
+    await this.invalidateUserCache(userId);
+    return profile;
   }
 
   /**
@@ -518,31 +625,54 @@ class FraudDetectionService {
    * @param {number} transactionRiskScore - Risk score from transaction
    */
   async updateRiskScore(userId, transactionRiskScore) {
-    const currentScore = this.riskScores.get(userId) || 0;
+    const { riskScore: currentScore } = await this.getProfile(userId);
     
     // Calculate new risk score (weighted average with decay)
     const decayFactor = 0.9; // Previous score decays by 10%
     const newScore = (currentScore * decayFactor) + (transactionRiskScore * 0.1);
     
-    this.riskScores.set(userId, Math.min(newScore, 100));
+    await this.saveProfile(userId, { riskScore: Math.min(newScore, 100).toFixed(2) });
   }
 
   /**
-   * Get user transaction history
+   * Get user transaction history (last 7 days, oldest first)
    * @param {number} userId - User ID
-   * @returns {Array} Transaction history
+   * @returns {Promise<Array>} Transaction history
    */
-  getUserTransactionHistory(userId) {
-    return this.transactionHistory.get(userId) || [];
+  async getUserTransactionHistory(userId) {
+    const cacheKey = `fraud:history:${userId}`;
+    const cached = await this.getCached(cacheKey);
+    if (cached) return cached;
+
+    const since = new Date(Date.now() - this.config.behaviorWindows.long);
+    const events = await FraudTransactionEvent.findAll({
+      where: {
+        userId,
+        occurredAt: { [Op.gt]: since }
+      },
+      order: [['occurredAt', 'ASC']]
+    });
+
+    const history = events.map(event => ({
+      amount: parseFloat(event.amount),
+      currency: event.currency,
+      type: event.type,
+      timestamp: new Date(event.occurredAt).getTime(),
+      riskScore: event.riskScore
+    }));
+
+    await this.setCached(cacheKey, history);
+    return history;
   }
 
   /**
    * Get user behavioral baseline
    * @param {number} userId - User ID
-   * @returns {Object|null} User baseline
+   * @returns {Promise<Object|null>} User baseline
    */
-  getUserBaseline(userId) {
-    return this.userBaselines.get(userId) || null;
+  async getUserBaseline(userId) {
+    const profile = await this.getProfile(userId);
+    return profile.baseline || null;
   }
 
   /**
@@ -551,26 +681,40 @@ class FraudDetectionService {
    * @param {Object} activity - Activity details
    */
   async logSuspiciousActivity(userId, activity) {
+    const severity = activity.riskScore >= this.config.riskThresholds.high ? 'high' : 'medium';
     const logEntry = {
       timestamp: new Date().toISOString(),
       userId,
       type: 'fraud_detection',
-      severity: activity.riskScore >= this.config.riskThresholds.high ? 'high' : 'medium',
+      severity,
       ...activity
     };
 
     console.warn('[Fraud Detection] Suspicious activity detected:', logEntry);
 
     // Store for tracking
-    if (!this.suspiciousActivity.has(userId)) {
-      this.suspiciousActivity.set(userId, []);
-    }
-    
-    const userActivity = this.suspiciousActivity.get(userId);
-    userActivity.push(logEntry);
+    await FraudAlert.create({
+      userId,
+      riskScore: Math.min(Math.round(activity.riskScore), 100),
+      alertType: 'suspicious_activity',
+      severity,
+      details: {
+        flags: activity.flags,
+        analysis: activity.details,
+        transaction: activity.transaction
+      }
+    });
+
+    // Check for auto-block conditions (unresolved alerts only)
+    const openAlerts = await FraudAlert.count({
+      where: {
+        userId,
+        alertType: 'suspicious_activity',
+        status: 'open'
+      }
+    });
 
-    // Check for auto-block conditions
-    if (userActivity.length >= this.config.autoBlockThresholds.suspiciousCount) {
+    if (openAlerts >= this.config.autoBlockThresholds.suspiciousCount) {
       await this.autoBlockUser(userId, 'Multiple suspicious activities', activity);
     }
 
@@ -585,7 +729,25 @@ class FraudDetectionService {
    * @param {Object} details - Additional details
    */
   async autoBlockUser(userId, reason, details) {
-    this.blockedUsers.add(userId);
+    const profile = await this.getProfile(userId);
+    if (profile.isBlocked) return;
+
+    await this.saveProfile(userId, {
+      isBlocked: true,
+      blockReason: reason,
+      blockedAt: new Date()
+    });
+
+    await FraudAlert.create({
+      userId,
+      riskScore: Math.min(Math.round(details?.riskScore || 100), 100),
+      alertType: 'auto_block',
+      severity: 'critical',
+      details: {
+        reason,
+        flags: details?.flags || []
+      }
+    });
     
     const blockEntry = {
       timestamp: new Date().toISOString(),
@@ -638,24 +800,47 @@ class FraudDetectionService {
   /**
    * Calculate user behavioral baselines
    */
-  calculateBaselines() {
+  async calculateBaselines() {
     console.log('[Fraud Detection] Calculating user baselines...');
 
-    for (const [userId, history] of this.transactionHistory.entries()) {
-      if (history.length < 10) continue; // Need at least 10 transactions
+    try {
+      const since = new Date(Date.now() - this.config.behaviorWindows.long);
 
-      const baseline = {
-        avgAmount: history.reduce((sum, tx) => sum + tx.amount, 0) / history.length,
-        avgTransactionsPerHour: this.calculateAvgTransactionsPerHour(history),
-        typeFrequency: this.calculateTypeFrequency(history),
-        activeHours: this.calculateActiveHours(history),
-        lastUpdated: Date.now()
-      };
+      // Prune events that fell out of the analysis window
+      await FraudTransactionEvent.destroy({
+        where: { occurredAt: { [Op.lte]: since } }
+      });
 
-      this.userBaselines.set(userId, baseline);
-    }
+      // Need at least 10 transactions
+      const candidates = await FraudTransactionEvent.findAll({
+        attributes: ['userId'],
+        where: { occurredAt: { [Op.gt]: since } },
+        group: ['user_id'],
+        having: literal('COUNT(id) >= 10'),
+        raw: true
+      });
+
+      let updated = 0;
+      for (const { userId } of candidates) {
+        const history = await this.getUserTransactionHistory(userId);
+        if (history.length < 10) continue;
+
+        const baseline = {
+          avgAmount: history.reduce((sum, tx) => sum + tx.amount, 0) / history.length,
+          avgTransactionsPerHour: this.calculateAvgTransactionsPerHour(history),
+          typeFrequency: this.calculateTypeFrequency(history),
+          activeHours: this.calculateActiveHours(history),
+          lastUpdated: Date.now()
+        };
+
+        await this.saveProfile(userId, { baseline, baselineUpdatedAt: new Date() });
+        updated++;
+      }
 
-    console.log(`[Fraud Detection] Updated baselines for ${this.userBaselines.size} users`);
+      console.log(`[Fraud Detection] Updated baselines for ${updated} users`);
+    } catch (error) {
+      console.error('[Fraud Detection] Baseline calculation error:', error);
+    }
   }
 
   /**
@@ -731,54 +916,108 @@ class FraudDetectionService {
 
   /**
    * Get fraud detection statistics
-   * @returns {Object} Statistics
+   * @returns {Promise<Object>} Statistics
    */
-  getStatistics() {
+  async getStatistics() {
+    const since = new Date(Date.now() - this.config.behaviorWindows.long);
+
+    const [totalUsers, usersWithBaselines, blockedUsers, suspiciousActivities, avgRiskScore] = await Promise.all([
+      FraudTransactionEvent.count({
+        where: { occurredAt: { [Op.gt]: since } },
+        distinct: true,
+        col: 'user_id'
+      }),
+      FraudUserProfile.count({ where: { baseline: { [Op.ne]: null } } }),
+      FraudUserProfile.count({ where: { isBlocked: true } }),
+      FraudAlert.count({ where: { alertType: 'suspicious_activity' } }),
+      this.calculateAverageRiskScore()
+    ]);
+
     return {
-      totalUsers: this.transactionHistory.size,
-      usersWithBaselines: this.userBaselines.size,
-      blockedUsers: this.blockedUsers.size,
-      suspiciousActivities: Array.from(this.suspiciousActivity.values()).flat().length,
-      avgRiskScore: this.calculateAverageRiskScore(),
+      totalUsers,
+      usersWithBaselines,
+      blockedUsers,
+      suspiciousActivities,
+      avgRiskScore,
       config: this.config
     };
   }
 
   /**
    * Calculate average risk score across all users
-   * @returns {number} Average risk score
+   * @returns {Promise<number>} Average risk score
    */
-  calculateAverageRiskScore() {
-    if (this.riskScores.size === 0) return 0;
-    
-    const total = Array.from(this.riskScores.values()).reduce((sum, score) => sum + score, 0);
-    return total / this.riskScores.size;
+  async calculateAverageRiskScore() {
+    const result = await FraudUserProfile.findOne({
+      attributes: [[fn('AVG', col('risk_score')), 'avgRiskScore']],
+      raw: true
+    });
+
+    return result && result.avgRiskScore ? parseFloat(result.avgRiskScore) : 0;
   }
 
   /**
    * Admin function: Unblock user
    * @param {number} userId - User ID to unblock
+   * @param {number} adminId - Admin performing the unblock
    */
-  unblockUser(userId) {
-    this.blockedUsers.delete(userId);
-    this.riskScores.set(userId, 0);
+  async unblockUser(userId, adminId = null) {
+    await this.saveProfile(userId, {
+      isBlocked: false,
+      blockReason: null,
+      blockedAt: null,
+      riskScore: 0
+    });
+
+    // Resolve outstanding alerts so they don't immediately re-trigger a block
+    await FraudAlert.update(
+      { status: 'resolved', reviewedBy: adminId, reviewedAt: new Date(), notes: 'Resolved by admin unblock' },
+      { where: { userId, status: ['open', 'investigating'] } }
+    );
+
     console.log(`[Fraud Detection] User ${userId} unblocked by admin`);
   }
 
+  /**
+   * Get recent suspicious activities
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Max results
+   * @param {number} options.userId - Optional user filter
+   * @returns {Promise<Array>} Fraud alerts, newest first
+   */
+  async getSuspiciousActivities({ limit = 50, userId } = {}) {
+    const where = {};
+    if (userId) where.userId = userId;
+
+    return FraudAlert.findAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit
+    });
+  }
+
   /**
    * Admin function: Get user risk profile
    * @param {number} userId - User ID
-   * @returns {Object} User risk profile
+   * @returns {Promise<Object>} User risk profile
    */
-  getUserRiskProfile(userId) {
+  async getUserRiskProfile(userId) {
+    const [profile, history, suspiciousActivities] = await Promise.all([
+      this.getProfile(userId),
+      this.getUserTransactionHistory(userId),
+      this.getSuspiciousActivities({ userId })
+    ]);
+
     return {
-      riskScore: this.riskScores.get(userId) || 0,
-      isBlocked: this.blockedUsers.has(userId),
-      baseline: this.getUserBaseline(userId),
-      recentTransactions: this.getUserTransactionHistory(userId).slice(-10),
-      suspiciousActivities: this.suspiciousActivity.get(userId) || []
+      riskScore: profile.riskScore,
+      isBlocked: profile.isBlocked,
+      blockReason: profile.blockReason,
+      blockedAt: profile.blockedAt,
+      baseline: profile.baseline,
+      recentTransactions: history.slice(-10),
+      suspiciousActivities
     };
   }
 }
 
-module.exports = FraudDetectionService;
\ No newline at end of file
+module.exports = new FraudDetectionService();
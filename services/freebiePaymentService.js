@@ -2,6 +2,8 @@ const sequelize = require('../config/db');
 const { Freebie, FreebieAccess } = require('../models/freebieIndex');
 const User = require('../models/User');
 const CouponService = require('./couponService');
+const contentPricingService = require('./contentPricingService');
+const exchangeRateService = require('./exchangeRateService');
 const MultiCurrencyWalletService = require('./multiCurrencyWalletService');
 const { paystackClient } = require('../config/paystack');
 const { stripeClient } = require('../config/stripe');
@@ -28,9 +30,11 @@ class FreebiePaymentService {
    * @param {string} params.userEmail
    * @param {string} params.currency  - 'NGN' | 'USD'
    * @param {string} [params.couponCode]
+   * @param {string} [params.tierId]  - tiered freebies
+   * @param {number} [params.amount]  - pay-what-you-want amount in the freebie's currency
    * @returns {Promise<object>}
    */
-  async initiatePurchase({ freebieId, userId, userEmail, currency, couponCode }) {
+  async initiatePurchase({ freebieId, userId, userEmail, currency, couponCode, tierId = null, amount = null }) {
     // Load freebie
     const freebie = await Freebie.findByPk(freebieId);
     if (!freebie) {
@@ -39,8 +43,11 @@ class FreebiePaymentService {
       throw err;
     }
 
+    // Tier or pay-what-you-want amount, checked against the freebie's pricing
+    const pricing = await contentPricingService.resolvePrice('freebie', freebie, { tierId, amount });
+
     // Must be a paid freebie
-    if (parseFloat(freebie.price) === 0) {
+    if (pricing.price === 0) {
       const err = new Error('This freebie is free — no payment required');
       err.statusCode = 400;
       throw err;
@@ -62,7 +69,8 @@ class FreebiePaymentService {
       throw err;
     }
 
-    const originalPrice = parseFloat(freebie.price);
+    const originalPrice = pricing.price;
+    const pricingTierId = pricing.pricingTierId;
     const baseCurrency = freebie.currency || 'NGN';
     let finalPrice = originalPrice;
     let couponId = null;
@@ -72,9 +80,12 @@ class FreebiePaymentService {
     const CurrencyConversionService = require('./currencyConversionService');
     const conversionService = new CurrencyConversionService();
     let convertedPrice = originalPrice;
+    let exchangeRateMetadata = {};
     if (currency !== baseCurrency) {
-      convertedPrice = conversionService.convert(originalPrice, baseCurrency, currency);
-      console.log(`[FreebiePayment] Currency conversion: ${originalPrice} ${baseCurrency} → ${convertedPrice} ${currency}`);
+      const exchangeRateSnapshot = conversionService.getRateSnapshot(baseCurrency, currency);
+      convertedPrice = conversionService.convert(originalPrice, baseCurrency, currency, exchangeRateSnapshot);
+      exchangeRateMetadata = exchangeRateService.toGatewayMetadata(exchangeRateSnapshot, originalPrice);
+      console.log(`[FreebiePayment] Currency conversion: ${originalPrice} ${baseCurrency} → ${convertedPrice} ${currency} @ ${exchangeRateSnapshot.rate}`);
     }
     finalPrice = convertedPrice;
 
@@ -85,7 +96,8 @@ class FreebiePaymentService {
         'freebie',
         freebieId,
         userId,
-        currency  // pass buyer's currency so coupon calculates discount in correct currency
+        currency,  // pass buyer's currency so coupon calculates discount in correct currency
+        { tierId, amount }
       );
 
       if (!validation.valid) {
@@ -108,7 +120,7 @@ class FreebiePaymentService {
 
     // Route to correct gateway
     if (currency === 'NGN') {
-      return await this._initiatePaystack({ freebieId, userId, userEmail, originalPrice: convertedPrice, finalPrice, currency, couponId, couponApplied });
+      return await this._initiatePaystack({ freebieId, userId, userEmail, originalPrice: convertedPrice, finalPrice, currency, couponId, couponApplied, pricingTierId, exchangeRateMetadata });
     } else if (currency === 'USD') {
       // Stripe minimum charge is $0.50 USD
       const STRIPE_MIN_USD = 0.50;
@@ -117,7 +129,7 @@ class FreebiePaymentService {
         err.statusCode = 400;
         throw err;
       }
-      return await this._initiateStripe({ freebieId, userId, userEmail, originalPrice: convertedPrice, finalPrice, currency, couponId, couponApplied });
+      return await this._initiateStripe({ freebieId, userId, userEmail, originalPrice: convertedPrice, finalPrice, currency, couponId, couponApplied, pricingTierId, exchangeRateMetadata });
     } else {
       const err = new Error('Unsupported currency. Use NGN or USD');
       err.statusCode = 400;
@@ -125,7 +137,7 @@ class FreebiePaymentService {
     }
   }
 
-  async _initiatePaystack({ freebieId, userId, userEmail, originalPrice, finalPrice, currency, couponId, couponApplied }) {
+  async _initiatePaystack({ freebieId, userId, userEmail, originalPrice, finalPrice, currency, couponId, couponApplied, pricingTierId = null, exchangeRateMetadata = {} }) {
     const reference = `freebie_${freebieId}_${userId}_${Date.now()}`;
 
     const response = await paystackClient.post('/transaction/initialize', {
@@ -139,7 +151,9 @@ class FreebiePaymentService {
         couponId: couponId ? couponId.toString() : null,
         originalPrice: originalPrice ? originalPrice.toString() : null,
         discountAmount: couponApplied ? (originalPrice - finalPrice).toString() : null,
-        contentType_label: 'freebie'
+        pricingTierId,
+        contentType_label: 'freebie',
+        ...exchangeRateMetadata
       },
       callback_url: `${process.env.CLIENT_URL}/payments/verify`
     });
@@ -163,7 +177,7 @@ class FreebiePaymentService {
     };
   }
 
-  async _initiateStripe({ freebieId, userId, userEmail, originalPrice, finalPrice, currency, couponId, couponApplied }) {
+  async _initiateStripe({ freebieId, userId, userEmail, originalPrice, finalPrice, currency, couponId, couponApplied, pricingTierId = null, exchangeRateMetadata = {} }) {
     const session = await stripeClient.checkout.sessions.create({
       payment_method_types: ['card'],
       mode: 'payment',
@@ -182,7 +196,9 @@ class FreebiePaymentService {
         contentId: freebieId,
         couponId: couponId ? couponId.toString() : '',
         originalPrice: originalPrice ? originalPrice.toString() : '',
-        discountAmount: couponApplied ? (originalPrice - finalPrice).toString() : ''
+        discountAmount: couponApplied ? (originalPrice - finalPrice).toString() : '',
+        pricingTierId: pricingTierId || '',
+        ...exchangeRateMetadata
       },
       success_url: `${process.env.CLIENT_URL}/payments/verify?session_id={CHECKOUT_SESSION_ID}&contentType=freebie&contentId=${freebieId}`,
       cancel_url: `${process.env.CLIENT_URL}/payments/verify?cancelled=true`
@@ -237,21 +253,26 @@ class FreebiePaymentService {
     // Verify with gateway
     let amountPaid;
     let couponId = null;
+    let gatewayMetadata = {};
 
     if (currency === 'NGN') {
       const result = await this._verifyPaystack(paymentReference);
       amountPaid = result.amountPaid;
       couponId = result.metadata?.couponId || null;
+      gatewayMetadata = result.metadata || {};
     } else if (currency === 'USD') {
       const result = await this._verifyStripe(paymentReference);
       amountPaid = result.amountPaid;
       couponId = result.metadata?.couponId || null;
+      gatewayMetadata = result.metadata || {};
     } else {
       const err = new Error('Unsupported currency');
       err.statusCode = 400;
       throw err;
     }
 
+    const exchangeRateSnapshot = await exchangeRateService.fromGatewayMetadata(gatewayMetadata, currency);
+
     // Atomic: create access record + credit creator wallet
     let freebieAccess;
     await sequelize.transaction(async (t) => {
@@ -261,7 +282,8 @@ class FreebiePaymentService {
         purchaseReference: paymentReference,
         amountPaid,
         currency,
-        couponId: couponId || null
+        couponId: couponId || null,
+        pricingTierId: gatewayMetadata.pricingTierId || null
       }, { transaction: t });
 
       // Credit creator wallet — full amount, no platform fee at purchase time
@@ -271,7 +293,8 @@ class FreebiePaymentService {
         amount: amountPaid,
         reference: `freebie_sale_${freebieAccess.id}`,
         description: `Sale: ${freebie.title}`,
-        metadata: { freebieId, buyerId: userId, contentType: 'freebie' }
+        metadata: { freebieId, buyerId: userId, contentType: 'freebie' },
+        exchangeRateSnapshot
       });
 
       // Record coupon usage if applicable
@@ -0,0 +1,665 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const PaymentRoutingService = require('./paymentRoutingService');
+const CoursePricingService = require('./coursePricingService');
+const exchangeRateService = require('./exchangeRateService');
+const { idempotencyService } = require('./idempotencyService');
+const Gift = require('../models/Gift');
+const User = require('../models/User');
+
+const GIFT_CONTENT_TYPES = ['video', 'live_series', 'course'];
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Gift Service
+ *
+ * Buying content for someone else:
+ *
+ * - initializeGift() prices the content for the payer and opens a normal
+ *   Paystack/Stripe payment tagged as a gift; the payer gets no Purchase
+ * - Once the payment clears the gift is activated with a one-time code that
+ *   is emailed to the recipient
+ * - redeemGift() replays the original payment under the recipient, so the
+ *   Purchase, coupon usage, platform fee and creator earnings are recorded
+ *   exactly as for a direct sale
+ * - Unredeemed gifts expire after GIFT_EXPIRY_DAYS and can be refunded to
+ *   the payer until they are redeemed; a refund or chargeback at the gateway
+ *   revokes them too
+ */
+class GiftService {
+  constructor() {
+    this.paymentRoutingService = new PaymentRoutingService();
+    this.coursePricingService = new CoursePricingService();
+    this.config = {
+      expiryDays: parseInt(process.env.GIFT_EXPIRY_DAYS) || 365
+    };
+  }
+
+  /**
+   * Start the payment for a gift
+   * @param {Object} params
+   * @param {number} params.userId - Payer
+   * @param {string} params.userEmail - Payer email for the gateway receipt
+   * @param {string} params.contentType - video, live_series or course
+   * @param {string} params.contentId - Content ID
+   * @param {Object} params.recipient - email, name, message
+   * @param {string} params.idempotencyKey - Idempotency key
+   * @param {string} params.forceCurrency - Optional checkout currency
+   * @param {string} params.couponCode - Optional coupon code
+   * @returns {Promise<Object>} { gift, currency, gateway, data }
+   */
+  async initializeGift({ userId, userEmail, contentType, contentId, recipient, idempotencyKey, forceCurrency = null, couponCode = null }) {
+    const idempotencyResult = await idempotencyService.checkAndStore(
+      idempotencyKey,
+      userId,
+      'gift_initialization',
+      { contentType, contentId, recipientEmail: recipient.email, forceCurrency, couponCode }
+    );
+
+    if (!idempotencyResult.isNew) {
+      return { cached: true, ...idempotencyResult.storedResult };
+    }
+
+    try {
+      const recipientEmail = this.normalizeEmail(recipient.email);
+
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipientEmail)) {
+        throw this.error('recipientEmail must be a valid email address', 400);
+      }
+
+      if (!GIFT_CONTENT_TYPES.includes(contentType)) {
+        throw this.error(`Only ${GIFT_CONTENT_TYPES.join(', ')} can be gifted`, 400);
+      }
+
+      if (recipientEmail === this.normalizeEmail(userEmail)) {
+        throw this.error('You cannot send a gift to yourself', 400);
+      }
+
+      const pricing = await this.priceGift({ userId, contentType, contentId, forceCurrency, couponCode });
+      await this.assertRecipientCanReceive(recipientEmail, contentType, contentId);
+
+      const gateway = this.paymentRoutingService.walletService.getRequiredGateway(pricing.currency);
+      const gift = await Gift.create({
+        purchaserId: userId,
+        recipientEmail,
+        recipientName: recipient.name ? String(recipient.name).trim().slice(0, 100) : null,
+        message: recipient.message ? String(recipient.message).trim().slice(0, 1000) : null,
+        contentType,
+        contentId,
+        contentTitle: pricing.title,
+        amount: pricing.amount,
+        currency: pricing.currency,
+        paymentGateway: gateway
+      });
+
+      const gatewayConfig = this.paymentRoutingService.gatewayRouting[pricing.currency];
+      const paymentResult = await gatewayConfig.processor({
+        userId,
+        contentType,
+        contentId,
+        amount: pricing.amount,
+        currency: pricing.currency,
+        email: userEmail,
+        contentTitle: `Gift: ${pricing.title}`,
+        metadata: {
+          ...pricing.metadata,
+          type: 'gift',
+          giftId: gift.id
+        }
+      });
+
+      await gift.update({ paymentReference: paymentResult.reference });
+
+      const result = {
+        gift: this.serialize(gift),
+        currency: pricing.currency,
+        gateway,
+        data: paymentResult
+      };
+
+      await idempotencyService.storeResult(idempotencyKey, result, 'completed');
+      return result;
+    } catch (error) {
+      try {
+        await idempotencyService.storeResult(idempotencyKey, { success: false, message: error.message }, 'failed');
+      } catch (cacheError) {
+        console.error('[Gift] Failed to cache error response:', cacheError);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Price gifted content in the checkout currency, with the gateway metadata
+   * the purchase is later replayed from
+   */
+  async priceGift({ userId, contentType, contentId, forceCurrency, couponCode }) {
+    const routing = this.paymentRoutingService;
+    const content = await routing.getContentDetails(contentType, contentId);
+    if (!content) {
+      throw this.error(`${contentType} not found`, 404);
+    }
+
+    if (contentType === 'course') {
+      // Only single courses can be gifted; course prices come from CoursePricingService
+      const currency = (forceCurrency || 'NGN').toUpperCase();
+      this.validateCurrency(currency);
+      const pricing = this.coursePricingService.calculateDiscount('individual', currency, couponCode);
+
+      return {
+        title: content.title,
+        currency,
+        amount: this.ensurePaid(pricing.finalPrice),
+        metadata: {
+          accessType: 'individual',
+          couponCode: pricing.couponApplied ? couponCode : null
+        }
+      };
+    }
+
+    if (content.userId && content.userId === userId) {
+      throw this.error(`You cannot gift your own ${contentType.replace('_', ' ')}`, 400);
+    }
+
+    // A redeemed gift carries no tier, so it would unlock every tier's items
+    if (content.pricingMode === 'tiered') {
+      throw this.error(`Tiered ${contentType.replace('_', ' ')}s can't be gifted`, 400);
+    }
+
+    const baseCurrency = content.currency || 'NGN';
+    const currency = (forceCurrency || baseCurrency).toUpperCase();
+    this.validateCurrency(currency);
+
+    let amount = parseFloat(content.price) || 0;
+    let coupon = null;
+    const metadata = {};
+
+    if (couponCode) {
+      coupon = await routing.couponService.validateCoupon(couponCode, contentType, contentId, userId, currency);
+      if (!coupon.valid) {
+        throw this.error(coupon.error, 400);
+      }
+
+      amount = coupon.finalPrice;
+      Object.assign(metadata, {
+        couponId: coupon.coupon.id,
+        couponCode: coupon.coupon.code,
+        originalPrice: coupon.originalPrice,
+        discountAmount: coupon.discountAmount,
+        partnerCommission: coupon.partnerCommission,
+        couponPartnerUserId: coupon.coupon.partnerUserId || null
+      });
+    }
+
+    if (currency !== baseCurrency) {
+      const snapshot = (coupon && coupon.exchangeRateSnapshot)
+        || routing.conversionService.getRateSnapshot(baseCurrency, currency);
+      if (!coupon) {
+        amount = routing.conversionService.convert(amount, baseCurrency, currency, snapshot);
+      }
+      Object.assign(metadata, exchangeRateService.toGatewayMetadata(snapshot, parseFloat(content.price)));
+    }
+
+    return {
+      title: content.title || `${contentType} purchase`,
+      currency,
+      amount: this.ensurePaid(amount),
+      metadata
+    };
+  }
+
+  /**
+   * Turn away gifts the recipient could never redeem
+   */
+  async assertRecipientCanReceive(recipientEmail, contentType, contentId) {
+    const recipient = await User.findOne({ where: { email: recipientEmail }, attributes: ['id'] });
+    if (!recipient) return;
+
+    try {
+      await this.assertNotOwned(recipient.id, contentType, contentId);
+    } catch (error) {
+      throw this.error('The recipient already has access to this content', 409);
+    }
+  }
+
+  // ─── Activation ───────────────────────────────────────────────────────────
+
+  /**
+   * Activate a gift from a successful Paystack charge or Stripe Checkout
+   * Session (webhook or verify endpoint) and email the code
+   * @param {string} gateway - paystack | stripe
+   * @param {Object} paymentData - Paystack transaction or Stripe session
+   * @returns {Promise<Object>} { gift, alreadyProcessed }
+   */
+  async handleGatewayPayment(gateway, paymentData) {
+    const giftId = paymentData.metadata && paymentData.metadata.giftId;
+    const gift = giftId ? await Gift.findByPk(giftId) : null;
+
+    if (!gift) {
+      throw this.error(`Gift ${giftId} not found`, 404);
+    }
+
+    if (gift.status !== 'pending') {
+      return { gift, alreadyProcessed: true };
+    }
+
+    const reference = gateway === 'paystack' ? paymentData.reference : paymentData.id;
+    const paidCents = parseInt(gateway === 'paystack' ? paymentData.amount : paymentData.amount_total) || 0;
+    const walletService = this.paymentRoutingService.walletService;
+
+    if (paymentData.currency.toUpperCase() !== gift.currency
+      || paidCents !== walletService.convertToCents(parseFloat(gift.amount), gift.currency)) {
+      throw this.error(`Payment ${reference} does not match gift ${gift.id} (${gift.amount} ${gift.currency})`, 409);
+    }
+
+    const expiresAt = new Date(Date.now() + this.config.expiryDays * 24 * 60 * 60 * 1000);
+    const [updated] = await Gift.update({
+      status: 'active',
+      code: this.generateCode(),
+      paymentReference: reference,
+      paymentMetadata: paymentData.metadata,
+      expiresAt
+    }, {
+      where: { id: gift.id, status: 'pending' }
+    });
+
+    await gift.reload();
+
+    if (updated === 0) {
+      return { gift, alreadyProcessed: true };
+    }
+
+    console.log(`[Gift] Gift ${gift.id} paid (${gift.amount} ${gift.currency}), code sent to ${gift.recipientEmail}`);
+
+    try {
+      await this.notifyGift(gift);
+    } catch (emailError) {
+      console.error('[Gift] Email notification error:', emailError.message);
+    }
+
+    return { gift, alreadyProcessed: false };
+  }
+
+  async notifyGift(gift) {
+    const { sendGiftReceivedEmail, sendPurchaseConfirmationEmail } = require('../utils/email');
+    const purchaser = await User.findByPk(gift.purchaserId, { attributes: ['email', 'firstname', 'lastname'] });
+    const senderName = purchaser ? `${purchaser.firstname} ${purchaser.lastname}`.trim() : 'A friend';
+
+    await sendGiftReceivedEmail(
+      gift.recipientEmail,
+      gift.recipientName,
+      senderName,
+      gift.contentTitle,
+      gift.message,
+      gift.code,
+      gift.expiresAt
+    );
+
+    if (purchaser) {
+      await sendPurchaseConfirmationEmail(
+        purchaser.email,
+        purchaser.firstname,
+        `${gift.contentTitle} (gift for ${gift.recipientEmail})`,
+        parseFloat(gift.amount),
+        gift.currency
+      );
+    }
+  }
+
+  // ─── Redemption ───────────────────────────────────────────────────────────
+
+  /**
+   * Redeem a gift code for the signed-in user
+   * @param {number} userId - Recipient
+   * @param {string} code - Gift code
+   * @param {Object} studentDetails - studentName, studentPhone (course gifts only)
+   * @returns {Promise<Object>} { gift, purchase, enrollment }
+   */
+  async redeemGift(userId, code, studentDetails = {}) {
+    const gift = await this.findByCode(code);
+
+    if (gift.status === 'redeemed') {
+      throw this.error('This gift has already been redeemed', 409);
+    }
+
+    if (gift.status === 'refunded') {
+      throw this.error('This gift was refunded and can no longer be redeemed', 410);
+    }
+
+    if (!gift.isRedeemable()) {
+      if (gift.status === 'active') {
+        await gift.update({ status: 'expired' });
+      }
+      throw this.error('This gift code has expired', 410);
+    }
+
+    if (gift.purchaserId === userId) {
+      throw this.error('You cannot redeem a gift you sent', 400);
+    }
+
+    const user = await User.findByPk(userId, { attributes: ['id', 'email', 'firstname', 'lastname'] });
+    if (!user) {
+      throw this.error('User not found', 404);
+    }
+
+    if (gift.contentType === 'course' && !studentDetails.studentPhone) {
+      throw this.error('studentPhone is required to redeem a course gift', 400);
+    }
+
+    await this.assertNotOwned(userId, gift.contentType, gift.contentId);
+
+    // Claim the gift first so a concurrent redemption or refund can't also use it
+    const [claimed] = await Gift.update({
+      status: 'redeemed',
+      redeemedBy: userId,
+      redeemedAt: new Date()
+    }, {
+      where: { id: gift.id, status: 'active' }
+    });
+
+    if (claimed === 0) {
+      throw this.error('This gift is no longer available', 409);
+    }
+
+    let purchase;
+    let enrollment = null;
+
+    try {
+      const result = await this.paymentRoutingService.processSuccessfulPayment({
+        paymentData: this.buildPaymentData(gift, userId),
+        currency: gift.currency,
+        gateway: gift.paymentGateway,
+        reference: gift.paymentReference
+      });
+      purchase = result.purchase;
+
+      if (gift.contentType === 'course') {
+        const CourseEnrollmentService = require('./courseEnrollmentService');
+        enrollment = await new CourseEnrollmentService().createEnrollment({
+          userId,
+          courseId: gift.contentId,
+          purchaseId: purchase.id,
+          studentName: studentDetails.studentName || `${user.firstname} ${user.lastname}`.trim(),
+          studentEmail: studentDetails.studentEmail || user.email,
+          studentPhone: studentDetails.studentPhone,
+          accessType: 'individual'
+        });
+      }
+    } catch (error) {
+      if (!purchase) {
+        await Gift.update({ status: 'active', redeemedBy: null, redeemedAt: null }, { where: { id: gift.id, redeemedBy: userId } });
+      }
+      console.error(`[Gift] Failed to redeem gift ${gift.id}:`, error);
+      throw error;
+    }
+
+    await gift.reload();
+    await gift.update({ purchaseId: purchase.id });
+
+    console.log(`[Gift] Gift ${gift.id} redeemed by user ${userId}`);
+
+    return { gift: this.serialize(gift), purchase, enrollment };
+  }
+
+  /**
+   * Gateway payment data for replaying the gift's payment under the recipient
+   */
+  buildPaymentData(gift, recipientId) {
+    const cents = this.paymentRoutingService.walletService.convertToCents(parseFloat(gift.amount), gift.currency);
+
+    return {
+      amount: cents,
+      amount_total: cents,
+      metadata: {
+        ...(gift.paymentMetadata || {}),
+        userId: String(recipientId),
+        contentType: gift.contentType,
+        contentId: gift.contentId,
+        giftId: gift.id
+      }
+    };
+  }
+
+  // ─── Refunds and expiry ───────────────────────────────────────────────────
+
+  /**
+   * Refund an unredeemed gift to the payer
+   * @param {number} userId - Payer
+   * @param {string} giftId - Gift ID
+   * @param {string} reason - Optional note for the gateway
+   * @returns {Promise<Object>} Refunded gift
+   */
+  async refundGift(userId, giftId, reason = null) {
+    const gift = await Gift.findOne({ where: { id: giftId, purchaserId: userId } });
+    if (!gift) {
+      throw this.error('Gift not found', 404);
+    }
+
+    if (!gift.isRefundable()) {
+      throw this.error(`A ${gift.status} gift cannot be refunded`, 400);
+    }
+
+    const previousStatus = gift.status;
+    const [claimed] = await Gift.update({ status: 'refunded', refundedAt: new Date() }, {
+      where: { id: gift.id, status: previousStatus }
+    });
+
+    if (claimed === 0) {
+      throw this.error('This gift is no longer refundable', 409);
+    }
+
+    let refund;
+    try {
+      // The payer never had a Purchase; refund the gift's own gateway payment
+      refund = await this.paymentRoutingService.refundPayment({
+        purchase: {
+          id: gift.id,
+          currency: gift.currency,
+          paymentGateway: gift.paymentGateway,
+          paymentReference: gift.paymentReference
+        },
+        amount: parseFloat(gift.amount),
+        reason: reason || 'Unredeemed gift refund'
+      });
+    } catch (error) {
+      await Gift.update({ status: previousStatus, refundedAt: null }, { where: { id: gift.id } });
+      console.error(`[Gift] Gateway refund failed for gift ${gift.id}:`, error.message);
+      throw this.error(error.message || 'Failed to refund gift', 502);
+    }
+
+    await gift.reload();
+    await gift.update({ gatewayRefundId: refund.gatewayRefundId });
+
+    console.log(`[Gift] Gift ${gift.id} refunded: ${gift.amount} ${gift.currency}`);
+
+    return this.serialize(gift);
+  }
+
+  /**
+   * The payer got the money back at the gateway (dashboard refund or a
+   * chargeback), so the gift can no longer be redeemed. Creators are only
+   * paid on redemption, so there is nothing to claw back. Redeemed gifts are
+   * refunded through the recipient's Purchase instead.
+   * @param {Gift} gift
+   * @param {string} gatewayRefundId - Gateway refund or dispute ID
+   * @returns {Promise<Object>} { gift, alreadyProcessed }
+   */
+  async handleGatewayRefund(gift, gatewayRefundId) {
+    const [revoked] = await Gift.update({ status: 'refunded', refundedAt: new Date(), gatewayRefundId }, {
+      where: { id: gift.id, status: ['pending', 'active', 'expired'] }
+    });
+
+    await gift.reload();
+
+    if (revoked === 0) {
+      if (gift.status === 'redeemed') {
+        console.warn(`[Gift] Gateway refund ${gatewayRefundId} on gift ${gift.id}, which is already redeemed`);
+      }
+      return { gift, alreadyProcessed: true };
+    }
+
+    console.log(`[Gift] Gift ${gift.id} revoked by gateway refund ${gatewayRefundId}`);
+    return { gift, alreadyProcessed: false };
+  }
+
+  /**
+   * A chargeback on an unredeemed gift closed. A won dispute gives the
+   * recipient their gift back.
+   * @param {Gift} gift
+   * @param {string} gatewayDisputeId
+   * @param {boolean} won - true when the merchant won the dispute
+   * @returns {Promise<Object>} { gift, restored }
+   */
+  async handleDisputeResolved(gift, gatewayDisputeId, won) {
+    if (!won) {
+      return { gift, restored: false };
+    }
+
+    const [restored] = await Gift.update({ status: 'active', refundedAt: null, gatewayRefundId: null }, {
+      where: { id: gift.id, status: 'refunded', gatewayRefundId: gatewayDisputeId }
+    });
+
+    await gift.reload();
+
+    if (restored > 0) {
+      console.log(`[Gift] Gift ${gift.id} restored after dispute ${gatewayDisputeId} was won`);
+    }
+    return { gift, restored: restored > 0 };
+  }
+
+  /**
+   * Expire active gifts past their expiry date (cron)
+   * @returns {Promise<number>} Number of gifts expired
+   */
+  async expireGifts(now = new Date()) {
+    const [expired] = await Gift.update({ status: 'expired' }, {
+      where: {
+        status: 'active',
+        expiresAt: { [Op.lte]: now }
+      }
+    });
+
+    if (expired > 0) {
+      console.log(`[Gift] Expired ${expired} unredeemed gifts`);
+    }
+
+    return expired;
+  }
+
+  // ─── Queries ──────────────────────────────────────────────────────────────
+
+  /**
+   * Gifts the user has bought, newest first
+   */
+  async getSentGifts(userId, { status = null, limit = 20, offset = 0 } = {}) {
+    const where = { purchaserId: userId };
+    if (status) where.status = status;
+
+    const { count, rows } = await Gift.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    return { total: count, gifts: rows.map(gift => this.serialize(gift)) };
+  }
+
+  /**
+   * What a code unlocks, shown before the recipient redeems it
+   */
+  async previewGift(code) {
+    const gift = await this.findByCode(code);
+    const purchaser = await User.findByPk(gift.purchaserId, { attributes: ['firstname', 'lastname'] });
+
+    return {
+      contentType: gift.contentType,
+      contentId: gift.contentId,
+      contentTitle: gift.contentTitle,
+      message: gift.message,
+      from: purchaser ? `${purchaser.firstname} ${purchaser.lastname}`.trim() : null,
+      status: gift.isRedeemable() ? 'active' : (gift.status === 'active' ? 'expired' : gift.status),
+      expiresAt: gift.expiresAt
+    };
+  }
+
+  async findByCode(code) {
+    const gift = code
+      ? await Gift.findOne({ where: { code: String(code).trim().toUpperCase() } })
+      : null;
+
+    if (!gift) {
+      throw this.error('Gift code not found', 404);
+    }
+
+    return gift;
+  }
+
+  /**
+   * The gift paid for by a gateway charge (Paystack reference or Stripe session ID)
+   */
+  async findByPaymentReference(reference) {
+    if (!reference) return null;
+    return Gift.findOne({ where: { paymentReference: reference } });
+  }
+
+  // ─── Helpers ──────────────────────────────────────────────────────────────
+
+  async assertNotOwned(userId, contentType, contentId) {
+    if (contentType === 'course') {
+      const CourseEnrollmentService = require('./courseEnrollmentService');
+      const enrollment = await new CourseEnrollmentService().checkUserEnrollment(userId, contentId);
+      if (enrollment) {
+        throw this.error('You are already enrolled in this course', 409);
+      }
+    }
+
+    try {
+      await this.paymentRoutingService.validateNoDuplicatePurchase(userId, contentType, contentId);
+    } catch (error) {
+      throw this.error(error.message, 409);
+    }
+  }
+
+  validateCurrency(currency) {
+    try {
+      this.paymentRoutingService.walletService.validateCurrency(currency);
+    } catch (error) {
+      throw this.error(error.message, 400);
+    }
+  }
+
+  ensurePaid(amount) {
+    const value = Math.round((parseFloat(amount) || 0) * 100) / 100;
+    if (!(value > 0)) {
+      throw this.error('Free content cannot be gifted', 400);
+    }
+    return value;
+  }
+
+  /**
+   * Gift without the gateway metadata kept for redemption
+   */
+  serialize(gift) {
+    const data = gift.toJSON();
+    delete data.paymentMetadata;
+    return data;
+  }
+
+  normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  generateCode() {
+    const chars = Array.from({ length: 8 }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]);
+    return `GIFT-${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+  }
+
+  error(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+  }
+}
+
+module.exports = new GiftService();
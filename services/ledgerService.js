@@ -0,0 +1,365 @@
+const { Op, fn, literal } = require('sequelize');
+const sequelize = require('../config/db');
+// Registers LedgerJournal / LedgerEntry (and WalletAccount) with their associations
+const { LedgerJournal, LedgerEntry, WalletAccount } = require('../models/walletIndex');
+
+const SIGNED_AMOUNT = literal("CASE WHEN direction = 'credit' THEN amount ELSE -amount END");
+
+/**
+ * Ledger Service
+ *
+ * Double-entry journal behind wallet balances. databaseTransactionService
+ * posts a journal for every wallet balance change inside the same database
+ * transaction, so a balance can always be rebuilt from its history:
+ *
+ * - Wallet buckets are liabilities (credit-normal): `available` and `escrow`
+ *   (funds locked for an in-flight withdrawal, i.e. balance_pending)
+ * - The other side goes to a platform account picked from the entry type:
+ *   gateway clearing for money moving through Paystack/Stripe, platform fee
+ *   revenue, FX conversion, the quiz wallet pool or manual adjustments
+ * - Wallet-paid purchases clear through `gateway_clearing:wallet:<currency>`,
+ *   which the buyer's debit and the creator/partner credits net to zero
+ *
+ * reconcileWallets() recomputes each wallet from the journal and reports
+ * wallets whose stored balance differs, plus any journal that does not balance.
+ */
+class LedgerService {
+  constructor() {
+    // Entry type → platform account on the other side of a wallet change
+    this.contraAccounts = {
+      topup: 'gateway_clearing',
+      earning: 'gateway_clearing',
+      commission: 'gateway_clearing',
+      refund: 'gateway_clearing',
+      purchase: 'gateway_clearing',
+      tip: 'gateway_clearing',
+      withdrawal: 'gateway_clearing',
+      fee: 'platform_fee',
+      conversion: 'fx_conversion',
+      quiz_purchase: 'quiz_wallet',
+      quiz_withdrawal: 'quiz_wallet'
+    };
+
+    // Gateway used for clearing when the caller does not say (NGN→Paystack, USD→Stripe)
+    this.defaultGateways = {
+      NGN: 'paystack',
+      USD: 'stripe'
+    };
+  }
+
+  /**
+   * Post the journal for a wallet balance change
+   * @param {WalletAccount} wallet - Wallet account (balances before the change)
+   * @param {number} availableDelta - Change to balance_available (minor units)
+   * @param {number} pendingDelta - Change to balance_pending (minor units)
+   * @param {Object} posting - entryType, reference, description, gateway, contraAccount, platformFee, metadata
+   * @param {Transaction} transaction - Database transaction of the balance change
+   * @returns {Promise<LedgerJournal|null>} null when neither balance changed
+   */
+  async postWalletChange(wallet, availableDelta, pendingDelta, posting = {}, transaction) {
+    if (availableDelta === 0 && pendingDelta === 0) {
+      return null;
+    }
+
+    const currency = wallet.currency;
+    const platformFee = Math.round(posting.platformFee || 0);
+    const lines = [];
+
+    if (availableDelta !== 0) {
+      lines.push(this.walletLine(wallet, 'available', availableDelta));
+    }
+
+    if (pendingDelta !== 0) {
+      lines.push(this.walletLine(wallet, 'escrow', pendingDelta));
+    }
+
+    if (platformFee > 0) {
+      lines.push({
+        accountCode: `platform_fee:${currency}`,
+        accountType: 'platform_fee',
+        currency,
+        amount: platformFee
+      });
+    }
+
+    // Whatever the wallet (and fee) lines leave unbalanced lands on the contra account
+    const remainder = lines.reduce((sum, line) => sum + line.amount, 0);
+
+    if (remainder !== 0) {
+      const contra = posting.contraAccount || this.resolveContraAccount(posting.entryType, currency, posting.gateway);
+      lines.push({ ...contra, currency, amount: -remainder });
+    }
+
+    return this.postJournal({
+      entryType: posting.entryType || 'adjustment',
+      reference: posting.reference || null,
+      description: posting.description || null,
+      userId: wallet.user_id,
+      metadata: posting.metadata || null,
+      lines
+    }, transaction);
+  }
+
+  /**
+   * Write a balanced journal
+   * @param {Object} journal - entryType, reference, description, userId, metadata, lines
+   *   (lines: accountCode, accountType, currency, amount signed: credit > 0, debit < 0)
+   * @param {Transaction} transaction - Database transaction
+   * @returns {Promise<LedgerJournal>}
+   */
+  async postJournal({ entryType, reference, description, userId, metadata, lines }, transaction) {
+    const totals = {};
+    for (const line of lines) {
+      totals[line.currency] = (totals[line.currency] || 0) + line.amount;
+    }
+
+    const unbalanced = Object.keys(totals).filter(currency => totals[currency] !== 0);
+    if (unbalanced.length > 0) {
+      throw new Error(`Ledger journal does not balance in ${unbalanced.join(', ')}`);
+    }
+
+    const journal = await LedgerJournal.create({
+      entryType,
+      reference,
+      description,
+      userId,
+      metadata,
+      postedAt: new Date()
+    }, { transaction });
+
+    await LedgerEntry.bulkCreate(
+      lines
+        .filter(line => line.amount !== 0)
+        .map(line => ({
+          journalId: journal.id,
+          accountCode: line.accountCode,
+          accountType: line.accountType,
+          walletAccountId: line.walletAccountId || null,
+          currency: line.currency,
+          direction: line.amount > 0 ? 'credit' : 'debit',
+          amount: Math.abs(line.amount)
+        })),
+      { transaction }
+    );
+
+    return journal;
+  }
+
+  /**
+   * Pick the platform account that balances a wallet change
+   * @param {string} entryType - Entry type
+   * @param {string} currency - Currency code
+   * @param {string} gateway - Payment gateway, if known
+   * @returns {Object} { accountCode, accountType }
+   */
+  resolveContraAccount(entryType, currency, gateway = null) {
+    const accountType = this.contraAccounts[entryType] || 'platform_adjustments';
+
+    if (accountType === 'gateway_clearing') {
+      const clearingGateway = gateway || this.defaultGateways[currency] || 'unknown';
+      return { accountCode: `gateway_clearing:${clearingGateway}:${currency}`, accountType };
+    }
+
+    return { accountCode: `${accountType}:${currency}`, accountType };
+  }
+
+  /**
+   * Recompute wallets from the journal and compare with stored balances
+   * @param {Object} filters - currency, userId, includeBalanced
+   * @returns {Promise<Object>} Reconciliation report (amounts in major units)
+   */
+  async reconcileWallets({ currency = null, userId = null, includeBalanced = false } = {}) {
+    const where = {};
+    if (currency) where.currency = String(currency).toUpperCase();
+    if (userId) where.user_id = userId;
+
+    const wallets = await WalletAccount.findAll({ where, order: [['created_at', 'ASC']] });
+
+    const sums = wallets.length > 0
+      ? await LedgerEntry.findAll({
+        attributes: ['walletAccountId', 'accountType', [fn('SUM', SIGNED_AMOUNT), 'balance']],
+        where: { walletAccountId: { [Op.in]: wallets.map(wallet => wallet.id) } },
+        group: ['walletAccountId', 'accountType'],
+        raw: true
+      })
+      : [];
+
+    const ledgerBalances = {};
+    for (const row of sums) {
+      ledgerBalances[row.walletAccountId] = ledgerBalances[row.walletAccountId] || {};
+      ledgerBalances[row.walletAccountId][row.accountType] = parseInt(row.balance) || 0;
+    }
+
+    const results = [];
+    const totalsByCurrency = {};
+
+    for (const wallet of wallets) {
+      const ledger = ledgerBalances[wallet.id] || {};
+      const stored = {
+        available: parseInt(wallet.balance_available) || 0,
+        pending: parseInt(wallet.balance_pending) || 0
+      };
+      const computed = {
+        available: ledger.user_available || 0,
+        pending: ledger.user_escrow || 0
+      };
+      const difference = {
+        available: stored.available - computed.available,
+        pending: stored.pending - computed.pending
+      };
+      const balanced = difference.available === 0 && difference.pending === 0;
+
+      const totals = totalsByCurrency[wallet.currency] = totalsByCurrency[wallet.currency]
+        || { walletBalance: 0, ledgerBalance: 0, difference: 0, discrepancyCount: 0 };
+      totals.walletBalance += stored.available + stored.pending;
+      totals.ledgerBalance += computed.available + computed.pending;
+      totals.difference += difference.available + difference.pending;
+      if (!balanced) totals.discrepancyCount += 1;
+
+      if (!balanced || includeBalanced) {
+        results.push({
+          walletAccountId: wallet.id,
+          userId: wallet.user_id,
+          currency: wallet.currency,
+          status: balanced ? 'balanced' : 'discrepancy',
+          walletBalance: this.toMajorUnits(stored),
+          ledgerBalance: this.toMajorUnits(computed),
+          difference: this.toMajorUnits(difference)
+        });
+      }
+    }
+
+    const unbalancedJournals = await this.findUnbalancedJournals();
+    const discrepancyCount = Object.values(totalsByCurrency).reduce((sum, totals) => sum + totals.discrepancyCount, 0);
+
+    if (discrepancyCount > 0 || unbalancedJournals.length > 0) {
+      console.warn(`[Ledger] Reconciliation found ${discrepancyCount} wallet discrepancies and ${unbalancedJournals.length} unbalanced journals`);
+    }
+
+    return {
+      checkedAt: new Date(),
+      walletsChecked: wallets.length,
+      discrepancyCount,
+      totalsByCurrency: Object.fromEntries(
+        Object.entries(totalsByCurrency).map(([code, totals]) => [code, {
+          walletBalance: totals.walletBalance / 100,
+          ledgerBalance: totals.ledgerBalance / 100,
+          difference: totals.difference / 100,
+          discrepancyCount: totals.discrepancyCount
+        }])
+      ),
+      wallets: results,
+      unbalancedJournals
+    };
+  }
+
+  /**
+   * Journals whose entries do not sum to zero in some currency
+   * @returns {Promise<Array>}
+   */
+  async findUnbalancedJournals() {
+    const rows = await LedgerEntry.findAll({
+      attributes: ['journalId', 'currency', [fn('SUM', SIGNED_AMOUNT), 'net']],
+      group: ['journalId', 'currency'],
+      having: sequelize.where(fn('SUM', SIGNED_AMOUNT), { [Op.ne]: 0 }),
+      raw: true
+    });
+
+    return rows.map(row => ({
+      journalId: row.journalId,
+      currency: row.currency,
+      net: (parseInt(row.net) || 0) / 100
+    }));
+  }
+
+  /**
+   * Balances of platform accounts (everything except user wallets)
+   * @param {Object} filters - currency
+   * @returns {Promise<Array>} Accounts with debit/credit totals (major units)
+   */
+  async getAccountBalances({ currency = null } = {}) {
+    const where = { walletAccountId: null };
+    if (currency) where.currency = String(currency).toUpperCase();
+
+    const rows = await LedgerEntry.findAll({
+      attributes: [
+        'accountCode',
+        'accountType',
+        'currency',
+        [fn('SUM', literal("CASE WHEN direction = 'debit' THEN amount ELSE 0 END")), 'debits'],
+        [fn('SUM', literal("CASE WHEN direction = 'credit' THEN amount ELSE 0 END")), 'credits']
+      ],
+      where,
+      group: ['accountCode', 'accountType', 'currency'],
+      order: [['accountCode', 'ASC']],
+      raw: true
+    });
+
+    return rows.map(row => {
+      const debits = parseInt(row.debits) || 0;
+      const credits = parseInt(row.credits) || 0;
+      return {
+        accountCode: row.accountCode,
+        accountType: row.accountType,
+        currency: row.currency,
+        debits: debits / 100,
+        credits: credits / 100,
+        balance: (credits - debits) / 100
+      };
+    });
+  }
+
+  /**
+   * List journals with their entries
+   * @param {Object} filters - reference, userId, entryType, limit, offset
+   * @returns {Promise<Object>} { journals, total }
+   */
+  async getJournals({ reference = null, userId = null, entryType = null, limit = 50, offset = 0 } = {}) {
+    const where = {};
+    if (reference) where.reference = reference;
+    if (userId) where.userId = userId;
+    if (entryType) where.entryType = entryType;
+
+    const { rows, count } = await LedgerJournal.findAndCountAll({
+      where,
+      include: [{ model: LedgerEntry, as: 'entries' }],
+      order: [['postedAt', 'DESC']],
+      limit,
+      offset,
+      distinct: true
+    });
+
+    return { journals: rows, total: count };
+  }
+
+  /**
+   * Ledger line for a wallet bucket
+   * @param {WalletAccount} wallet - Wallet account
+   * @param {string} bucket - 'available' or 'escrow'
+   * @param {number} amount - Signed amount (credit > 0)
+   * @returns {Object}
+   */
+  walletLine(wallet, bucket, amount) {
+    return {
+      accountCode: `wallet:${wallet.id}:${bucket}`,
+      accountType: bucket === 'available' ? 'user_available' : 'user_escrow',
+      walletAccountId: wallet.id,
+      currency: wallet.currency,
+      amount
+    };
+  }
+
+  /**
+   * Convert minor-unit buckets to major units
+   * @param {Object} amounts - { available, pending }
+   * @returns {Object}
+   */
+  toMajorUnits({ available, pending }) {
+    return {
+      available: available / 100,
+      pending: pending / 100
+    };
+  }
+}
+
+module.exports = new LedgerService();
@@ -1,3 +1,9 @@
+const { Op, fn, col } = require('sequelize');
+const { validate: isUuid } = require('uuid');
+const { ManualReviewItem, ManualReviewDecision } = require('../models/fraudIndex');
+const Payout = require('../models/Payout');
+const User = require('../models/User');
+
 /**
  * Manual Review Queue Service
  * 
@@ -7,6 +13,10 @@
  * - Review decision tracking and audit
  * - Escalation and priority management
  * 
+ * Review items, assignments and decisions are persisted in Postgres, so the
+ * queue, SLA deadlines and reviewer statistics survive restarts. Items linked
+ * to a payout hold the withdrawal until a reviewer approves or rejects it.
+ * 
  * Requirements: 14.1, 14.2, 14.3, 14.4, 14.5
  */
 
@@ -62,11 +72,14 @@ class ManualReviewService {
       }
     };
 
-    // In-memory stores (in production, use Redis/Database)
-    this.reviewQueue = new Map();        // Active review items
-    this.reviewHistory = new Map();      // Completed reviews
-    this.reviewerAssignments = new Map(); // Reviewer workloads
-    this.reviewerStats = new Map();      // Reviewer statistics
+    // Stored priority values (manual_review_queue.priority is an integer)
+    this.priorityLevels = { low: 1, medium: 2, high: 3, critical: 4 };
+
+    // Statuses that are still waiting on a reviewer
+    this.activeStatuses = [this.config.statuses.PENDING, this.config.statuses.IN_REVIEW];
+
+    // Max concurrent reviews per reviewer
+    this.maxReviewerWorkload = 10;
     
     // Start background processes
     this.startEscalationMonitor();
@@ -81,62 +94,51 @@ class ManualReviewService {
   async addToQueue(reviewItem) {
     try {
       const {
-        transactionId,
+        transactionId = null,
+        payoutId = null,
         userId,
         type,
         priority = 'medium',
+        reason,
         data,
         metadata = {},
         flaggedBy = 'system'
       } = reviewItem;
 
-      console.log(`[Manual Review] Adding item to queue: ${transactionId} (${type})`);
+      console.log(`[Manual Review] Adding item to queue: ${payoutId || transactionId} (${type})`);
 
-      // Generate review ID
-      const reviewId = this.generateReviewId();
-      
       // Calculate SLA deadline
       const slaDeadline = this.calculateSLADeadline(priority);
       const escalationTime = this.calculateEscalationTime(priority);
 
       // Create review item
-      const queueItem = {
-        reviewId,
+      const record = await ManualReviewItem.create({
         transactionId,
+        payoutId,
         userId,
-        type,
-        priority,
+        reviewType: type,
+        priority: this.toPriorityLevel(priority),
         status: this.config.statuses.PENDING,
-        data: this.sanitizeReviewData(data),
+        reason: reason || metadata.reason || `Flagged for ${type.replace(/_/g, ' ')} review`,
+        data: this.sanitizeReviewData(data) || {},
         metadata: {
           ...metadata,
           flaggedBy,
-          flaggedAt: new Date().toISOString(),
-          slaDeadline: slaDeadline.toISOString(),
-          escalationTime: escalationTime.toISOString()
+          flaggedAt: new Date().toISOString()
         },
-        assignedReviewer: null,
-        assignedAt: null,
-        reviewStarted: null,
-        reviewCompleted: null,
-        decision: null,
-        reviewNotes: null,
-        escalated: false,
-        escalationHistory: []
-      };
-
-      // Add to queue
-      this.reviewQueue.set(reviewId, queueItem);
+        slaDeadline,
+        escalationTime
+      });
 
       // Try to auto-assign reviewer
-      await this.autoAssignReviewer(reviewId);
+      await this.autoAssignReviewer(record.id);
 
-      console.log(`[Manual Review] Item added to queue: ${reviewId}`);
+      console.log(`[Manual Review] Item added to queue: ${record.id}`);
 
       return {
         success: true,
-        reviewId,
-        queuePosition: this.getQueuePosition(reviewId),
+        reviewId: record.id,
+        queuePosition: await this.getQueuePosition(record.id),
         slaDeadline: slaDeadline.toISOString(),
         estimatedReviewTime: this.estimateReviewTime(priority)
       };
@@ -154,7 +156,7 @@ class ManualReviewService {
    */
   async assignReviewer(reviewId, reviewerId) {
     try {
-      const reviewItem = this.reviewQueue.get(reviewId);
+      const reviewItem = await this.findReviewRecord(reviewId);
       
       if (!reviewItem) {
         return {
@@ -170,13 +172,23 @@ class ManualReviewService {
         };
       }
 
-      // Update assignment
-      reviewItem.assignedReviewer = reviewerId;
-      reviewItem.assignedAt = new Date().toISOString();
-      reviewItem.status = this.config.statuses.IN_REVIEW;
+      // Conditional update so two instances can't assign the same item
+      const assignedAt = new Date();
+      const [updated] = await ManualReviewItem.update(
+        {
+          assignedTo: reviewerId,
+          assignedAt,
+          status: this.config.statuses.IN_REVIEW
+        },
+        { where: { id: reviewId, status: this.config.statuses.PENDING } }
+      );
 
-      // Update reviewer workload
-      this.updateReviewerWorkload(reviewerId, 1);
+      if (updated === 0) {
+        return {
+          success: false,
+          message: 'Review item was assigned by another reviewer'
+        };
+      }
 
       console.log(`[Manual Review] Assigned reviewer ${reviewerId} to review ${reviewId}`);
 
@@ -184,7 +196,7 @@ class ManualReviewService {
         success: true,
         message: 'Reviewer assigned successfully',
         assignedReviewer: reviewerId,
-        assignedAt: reviewItem.assignedAt
+        assignedAt: assignedAt.toISOString()
       };
     } catch (error) {
       console.error('[Manual Review] Assign reviewer error:', error);
@@ -210,7 +222,7 @@ class ManualReviewService {
         metadata = {}
       } = decision;
 
-      const reviewItem = this.reviewQueue.get(reviewId);
+      const reviewItem = await this.findReviewRecord(reviewId);
       
       if (!reviewItem) {
         return {
@@ -219,7 +231,7 @@ class ManualReviewService {
         };
       }
 
-      if (reviewItem.assignedReviewer !== reviewerId) {
+      if (reviewItem.assignedTo !== reviewerId) {
         return {
           success: false,
           message: 'Review not assigned to this reviewer'
@@ -235,45 +247,83 @@ class ManualReviewService {
 
       console.log(`[Manual Review] Submitting decision for ${reviewId}: ${action}`);
 
-      // Update review item
-      reviewItem.decision = action;
-      reviewItem.reviewNotes = notes;
-      reviewItem.reviewCompleted = new Date().toISOString();
-      reviewItem.metadata.reviewDuration = this.calculateReviewDuration(reviewItem);
-      reviewItem.metadata.decisionMetadata = metadata;
+      const now = new Date();
+      const reviewDuration = this.calculateReviewDuration({
+        assignedAt: reviewItem.assignedAt,
+        reviewCompleted: now
+      });
+      const priority = this.fromPriorityLevel(reviewItem.priority);
+      const slaMet = reviewDuration <= (this.config.slaMinutes[priority] || 1440) * 60 * 1000;
+
+      const updates = {
+        decision: action,
+        resolution: notes || null,
+        metadata: {
+          ...reviewItem.metadata,
+          reviewDuration,
+          decisionMetadata: metadata
+        }
+      };
 
       // Set final status
       if (action === 'approve') {
-        reviewItem.status = this.config.statuses.APPROVED;
+        updates.status = this.config.statuses.APPROVED;
+        updates.resolvedAt = now;
       } else if (action === 'reject') {
-        reviewItem.status = this.config.statuses.REJECTED;
+        updates.status = this.config.statuses.REJECTED;
+        updates.resolvedAt = now;
       } else if (action === 'escalate') {
-        reviewItem.status = this.config.statuses.ESCALATED;
-        reviewItem.escalated = true;
-        reviewItem.escalationHistory.push({
-          escalatedBy: reviewerId,
-          escalatedAt: new Date().toISOString(),
-          reason: notes,
-          previousPriority: reviewItem.priority
-        });
-        // Increase priority for escalation
-        reviewItem.priority = this.getNextPriorityLevel(reviewItem.priority);
+        // Re-queue with higher priority for re-assignment
+        updates.status = this.config.statuses.PENDING;
+        updates.escalated = true;
+        updates.escalationHistory = [
+          ...(reviewItem.escalationHistory || []),
+          {
+            escalatedBy: reviewerId,
+            escalatedAt: now.toISOString(),
+            reason: notes,
+            previousPriority: priority
+          }
+        ];
+        updates.priority = this.toPriorityLevel(this.getNextPriorityLevel(priority));
+        updates.assignedTo = null;
+        updates.assignedAt = null;
       }
 
-      // Move to history and remove from active queue
-      this.reviewHistory.set(reviewId, { ...reviewItem });
-      this.reviewQueue.delete(reviewId);
+      // Conditional update guards against a concurrent decision on the same item
+      const [updated] = await ManualReviewItem.update(updates, {
+        where: {
+          id: reviewId,
+          assignedTo: reviewerId,
+          status: this.config.statuses.IN_REVIEW
+        }
+      });
 
-      // Update reviewer stats
-      this.updateReviewerStats(reviewerId, action, reviewItem);
-      this.updateReviewerWorkload(reviewerId, -1);
+      if (updated === 0) {
+        return {
+          success: false,
+          message: 'Review item was updated concurrently, please reload'
+        };
+      }
+
+      // Record decision for reviewer statistics
+      await ManualReviewDecision.create({
+        reviewId,
+        reviewerId,
+        action,
+        notes,
+        reviewDuration,
+        slaMet,
+        metadata
+      });
+
+      // Release or cancel the held withdrawal
+      let withdrawal = null;
+      if (reviewItem.payoutId && action !== 'escalate') {
+        withdrawal = await this.applyWithdrawalDecision(reviewItem.payoutId, action, notes);
+      }
 
-      // If escalated, re-add to queue with higher priority
       if (action === 'escalate') {
-        reviewItem.assignedReviewer = null;
-        reviewItem.assignedAt = null;
-        reviewItem.status = this.config.statuses.PENDING;
-        this.reviewQueue.set(reviewId, reviewItem);
         await this.autoAssignReviewer(reviewId);
       }
 
@@ -283,8 +333,9 @@ class ManualReviewService {
         success: true,
         message: 'Review decision submitted successfully',
         decision: action,
-        finalStatus: reviewItem.status,
-        reviewDuration: reviewItem.metadata.reviewDuration
+        finalStatus: updates.status,
+        reviewDuration,
+        ...(withdrawal && { withdrawal })
       };
     } catch (error) {
       console.error('[Manual Review] Submit decision error:', error);
@@ -295,82 +346,134 @@ class ManualReviewService {
     }
   }
 
+  /**
+   * Release (approve) or cancel (reject) a withdrawal held for review
+   * @param {string} payoutId - Payout ID
+   * @param {string} action - 'approve' or 'reject'
+   * @param {string} notes - Reviewer notes
+   * @returns {Promise<Object>} Withdrawal outcome
+   */
+  async applyWithdrawalDecision(payoutId, action, notes) {
+    // Lazy-load to avoid circular dependency with walletController
+    const { releaseLockedAmount, completeWithdrawal } = require('./walletService');
+    const payoutService = require('./payoutService');
+
+    const payout = await Payout.findByPk(payoutId);
+
+    if (!payout) {
+      return { payoutId, status: 'missing', message: 'Linked payout not found' };
+    }
+
+    if (payout.status !== 'pending') {
+      return { payoutId, status: payout.status, message: `Payout is already ${payout.status}` };
+    }
+
+    const amount = parseFloat(payout.amount);
+
+    if (action === 'reject') {
+      await releaseLockedAmount(payout.userId, amount, payout.currency);
+      await payout.update({
+        status: 'failed',
+        failureReason: `Rejected in manual review${notes ? `: ${notes}` : ''}`
+      });
+
+      console.log(`[Manual Review] Withdrawal ${payoutId} cancelled, funds released to user ${payout.userId}`);
+      return { payoutId, status: 'cancelled' };
+    }
+
+    try {
+      const result = payout.paymentGateway === 'paystack'
+        ? await payoutService.processPaystackPayout(payoutId)
+        : await payoutService.processStripePayout(payoutId);
+
+      await completeWithdrawal(payout.userId, amount, payout.currency, {
+        payoutId: payout.id,
+        gateway: payout.paymentGateway,
+        platformFee: payout.platformFee
+      });
+
+      console.log(`[Manual Review] Withdrawal ${payoutId} released for transfer`);
+      return { payoutId, status: result.payout.status };
+    } catch (transferError) {
+      // payoutService marks the payout failed; return the funds to the user
+      console.error(`[Manual Review] Transfer failed for approved withdrawal ${payoutId}:`, transferError.message);
+      await releaseLockedAmount(payout.userId, amount, payout.currency);
+      return { payoutId, status: 'failed', message: transferError.message };
+    }
+  }
+
   /**
    * Get review queue for reviewer
    * @param {number} reviewerId - Reviewer ID
    * @param {Object} filters - Filter options
-   * @returns {Array} Review items
+   * @returns {Promise<Array>} Review items
    */
-  getReviewerQueue(reviewerId, filters = {}) {
+  async getReviewerQueue(reviewerId, filters = {}) {
     const { priority, type, status } = filters;
-    
-    const items = Array.from(this.reviewQueue.values())
-      .filter(item => {
-        if (item.assignedReviewer && item.assignedReviewer !== reviewerId) {
-          return false;
-        }
-        
-        if (priority && item.priority !== priority) return false;
-        if (type && item.type !== type) return false;
-        if (status && item.status !== status) return false;
-        
-        return true;
-      })
-      .sort((a, b) => {
-        // Sort by priority and then by flagged time
-        const priorityOrder = { critical: 4, high: 3, medium: 2, low: 1 };
-        const aPriority = priorityOrder[a.priority] || 0;
-        const bPriority = priorityOrder[b.priority] || 0;
-        
-        if (aPriority !== bPriority) {
-          return bPriority - aPriority; // Higher priority first
-        }
-        
-        return new Date(a.metadata.flaggedAt) - new Date(b.metadata.flaggedAt);
-      });
 
-    return items;
+    const where = {
+      status: status || this.activeStatuses,
+      [Op.or]: [
+        { assignedTo: null },
+        { assignedTo: reviewerId }
+      ]
+    };
+
+    if (priority) where.priority = this.toPriorityLevel(priority);
+    if (type) where.reviewType = type;
+
+    // Higher priority first, then oldest first
+    const items = await ManualReviewItem.findAll({
+      where,
+      order: [['priority', 'DESC'], ['createdAt', 'ASC']]
+    });
+
+    return items.map(item => this.toReviewItem(item));
   }
 
   /**
    * Get review item details
    * @param {string} reviewId - Review ID
-   * @returns {Object|null} Review item
+   * @returns {Promise<Object|null>} Review item
    */
-  getReviewItem(reviewId) {
-    return this.reviewQueue.get(reviewId) || this.reviewHistory.get(reviewId) || null;
+  async getReviewItem(reviewId) {
+    const record = await this.findReviewRecord(reviewId);
+    if (!record) return null;
+
+    const decisions = await ManualReviewDecision.findAll({
+      where: { reviewId },
+      order: [['createdAt', 'ASC']]
+    });
+
+    return {
+      ...this.toReviewItem(record),
+      decisions
+    };
   }
 
   /**
    * Get review statistics
    * @param {Object} filters - Filter options
-   * @returns {Object} Statistics
+   * @returns {Promise<Object>} Statistics
    */
-  getReviewStatistics(filters = {}) {
+  async getReviewStatistics(filters = {}) {
     const { startDate, endDate, reviewerId } = filters;
-    
-    const allItems = [
-      ...Array.from(this.reviewQueue.values()),
-      ...Array.from(this.reviewHistory.values())
-    ];
 
-    let filteredItems = allItems;
+    const where = {};
     
     if (startDate || endDate) {
-      filteredItems = allItems.filter(item => {
-        const flaggedAt = new Date(item.metadata.flaggedAt);
-        if (startDate && flaggedAt < new Date(startDate)) return false;
-        if (endDate && flaggedAt > new Date(endDate)) return false;
-        return true;
-      });
+      where.createdAt = {};
+      if (startDate) where.createdAt[Op.gte] = new Date(startDate);
+      if (endDate) where.createdAt[Op.lte] = new Date(endDate);
     }
     
     if (reviewerId) {
-      filteredItems = filteredItems.filter(item => 
-        item.assignedReviewer === reviewerId
-      );
+      where.assignedTo = reviewerId;
     }
 
+    const records = await ManualReviewItem.findAll({ where });
+    const filteredItems = records.map(record => this.toReviewItem(record));
+
     const stats = {
       total: filteredItems.length,
       byStatus: {},
@@ -433,13 +536,12 @@ class ManualReviewService {
    */
   async autoAssignReviewer(reviewId) {
     try {
-      const reviewItem = this.reviewQueue.get(reviewId);
-      if (!reviewItem || reviewItem.assignedReviewer) {
+      const reviewItem = await ManualReviewItem.findByPk(reviewId);
+      if (!reviewItem || reviewItem.assignedTo) {
         return false;
       }
 
-      // Simple auto-assignment logic (in production, use more sophisticated logic)
-      const availableReviewers = this.getAvailableReviewers();
+      const availableReviewers = await this.getAvailableReviewers();
       
       if (availableReviewers.length === 0) {
         console.log(`[Manual Review] No available reviewers for ${reviewId}`);
@@ -451,8 +553,8 @@ class ManualReviewService {
         reviewer.workload < min.workload ? reviewer : min
       );
 
-      await this.assignReviewer(reviewId, selectedReviewer.id);
-      return true;
+      const result = await this.assignReviewer(reviewId, selectedReviewer.id);
+      return result.success;
     } catch (error) {
       console.error('[Manual Review] Auto-assign error:', error);
       return false;
@@ -460,67 +562,100 @@ class ManualReviewService {
   }
 
   /**
-   * Get available reviewers
-   * @returns {Array} Available reviewers
+   * Get available reviewers (admins below the workload cap)
+   * @returns {Promise<Array>} Available reviewers
    */
-  getAvailableReviewers() {
-    // Mock reviewer data (in production, fetch from user database)
-    const mockReviewers = [
-      { id: 1001, name: 'Reviewer 1', workload: this.getReviewerWorkload(1001) },
-      { id: 1002, name: 'Reviewer 2', workload: this.getReviewerWorkload(1002) },
-      { id: 1003, name: 'Reviewer 3', workload: this.getReviewerWorkload(1003) }
-    ];
-
-    return mockReviewers.filter(reviewer => reviewer.workload < 10); // Max 10 active reviews
+  async getAvailableReviewers() {
+    const [admins, workloads] = await Promise.all([
+      User.findAll({
+        where: { role: 'admin' },
+        attributes: ['id', 'firstname', 'lastname']
+      }),
+      this.getReviewerWorkloads()
+    ]);
+
+    return admins
+      .map(admin => ({
+        id: admin.id,
+        name: `${admin.firstname} ${admin.lastname}`,
+        workload: workloads[admin.id] || 0
+      }))
+      .filter(reviewer => reviewer.workload < this.maxReviewerWorkload);
   }
 
   /**
-   * Get reviewer workload
-   * @param {number} reviewerId - Reviewer ID
-   * @returns {number} Current workload
+   * Get in-review counts for every reviewer
+   * @returns {Promise<Object>} Map of reviewerId -> active reviews
    */
-  getReviewerWorkload(reviewerId) {
-    return this.reviewerAssignments.get(reviewerId) || 0;
+  async getReviewerWorkloads() {
+    const rows = await ManualReviewItem.findAll({
+      attributes: ['assignedTo', [fn('COUNT', col('id')), 'workload']],
+      where: {
+        status: this.config.statuses.IN_REVIEW,
+        assignedTo: { [Op.ne]: null }
+      },
+      group: ['assigned_to'],
+      raw: true
+    });
+
+    return rows.reduce((acc, row) => {
+      acc[row.assignedTo] = parseInt(row.workload);
+      return acc;
+    }, {});
   }
 
   /**
-   * Update reviewer workload
+   * Get reviewer workload
    * @param {number} reviewerId - Reviewer ID
-   * @param {number} change - Workload change (+1 or -1)
+   * @returns {Promise<number>} Current workload
    */
-  updateReviewerWorkload(reviewerId, change) {
-    const currentWorkload = this.getReviewerWorkload(reviewerId);
-    this.reviewerAssignments.set(reviewerId, Math.max(0, currentWorkload + change));
+  async getReviewerWorkload(reviewerId) {
+    return ManualReviewItem.count({
+      where: {
+        assignedTo: reviewerId,
+        status: this.config.statuses.IN_REVIEW
+      }
+    });
   }
 
   /**
-   * Update reviewer statistics
+   * Get reviewer statistics from recorded decisions
    * @param {number} reviewerId - Reviewer ID
-   * @param {string} action - Review action
-   * @param {Object} reviewItem - Review item
+   * @returns {Promise<Object>} Reviewer statistics
    */
-  updateReviewerStats(reviewerId, action, reviewItem) {
-    if (!this.reviewerStats.has(reviewerId)) {
-      this.reviewerStats.set(reviewerId, {
-        totalReviews: 0,
-        approved: 0,
-        rejected: 0,
-        escalated: 0,
-        avgReviewTime: 0,
-        slaCompliance: 0
-      });
-    }
+  async getReviewerStats(reviewerId) {
+    const decisions = await ManualReviewDecision.findAll({
+      where: { reviewerId },
+      attributes: ['action', 'reviewDuration', 'slaMet'],
+      raw: true
+    });
 
-    const stats = this.reviewerStats.get(reviewerId);
-    stats.totalReviews++;
-    stats[action]++;
+    const stats = {
+      totalReviews: decisions.length,
+      approved: 0,
+      rejected: 0,
+      escalated: 0,
+      avgReviewTime: 0,
+      slaCompliance: 0
+    };
 
-    if (reviewItem.metadata.reviewDuration) {
-      stats.avgReviewTime = (
-        (stats.avgReviewTime * (stats.totalReviews - 1)) + 
-        reviewItem.metadata.reviewDuration
-      ) / stats.totalReviews;
-    }
+    if (decisions.length === 0) return stats;
+
+    let totalDuration = 0;
+    let slaMet = 0;
+
+    decisions.forEach(decision => {
+      if (decision.action === 'approve') stats.approved++;
+      if (decision.action === 'reject') stats.rejected++;
+      if (decision.action === 'escalate') stats.escalated++;
+      totalDuration += parseInt(decision.reviewDuration) || 0;
+      if (decision.slaMet) slaMet++;
+    });
+
+    stats.avgReviewTime = totalDuration / decisions.length;
+    stats.slaCompliance = (slaMet / decisions.length) * 100;
+
+    return stats;
   }
 
   /**
@@ -574,24 +709,23 @@ class ManualReviewService {
   /**
    * Get queue position for review item
    * @param {string} reviewId - Review ID
-   * @returns {number} Queue position
+   * @returns {Promise<number>} Queue position
    */
-  getQueuePosition(reviewId) {
-    const pendingItems = Array.from(this.reviewQueue.values())
-      .filter(item => item.status === this.config.statuses.PENDING)
-      .sort((a, b) => {
-        const priorityOrder = { critical: 4, high: 3, medium: 2, low: 1 };
-        const aPriority = priorityOrder[a.priority] || 0;
-        const bPriority = priorityOrder[b.priority] || 0;
-        
-        if (aPriority !== bPriority) {
-          return bPriority - aPriority;
-        }
-        
-        return new Date(a.metadata.flaggedAt) - new Date(b.metadata.flaggedAt);
-      });
+  async getQueuePosition(reviewId) {
+    const item = await ManualReviewItem.findByPk(reviewId);
+    if (!item || item.status !== this.config.statuses.PENDING) return 0;
 
-    return pendingItems.findIndex(item => item.reviewId === reviewId) + 1;
+    const ahead = await ManualReviewItem.count({
+      where: {
+        status: this.config.statuses.PENDING,
+        [Op.or]: [
+          { priority: { [Op.gt]: item.priority } },
+          { priority: item.priority, createdAt: { [Op.lt]: item.createdAt } }
+        ]
+      }
+    });
+
+    return ahead + 1;
   }
 
   /**
@@ -631,13 +765,88 @@ class ManualReviewService {
   }
 
   /**
-   * Generate unique review ID
-   * @returns {string} Review ID
+   * Sanitize review data for storage
+   * @param {Object} data - Data to sanitize
+   * @returns {Object} Sanitized data
+   */
+  sanitizeReviewData(data) {
+    if (!data || typeof data !== 'object') return data;
+
+    const sensitiveFields = ['password', 'token', 'secret', 'key', 'otp'];
+    const sanitized = { ...data };
+
+    for (const field of sensitiveFields) {
+      if (sanitized[field]) {
+        sanitized[field] = '[REDACTED]';
+      }
+    }
+
+    return sanitized;
+  }
+
+  /**
+   * Convert priority name to stored level
+   * @param {string} priority - Priority name
+   * @returns {number} Priority level
    */
-  generateReviewId() {
-    const timestamp = Date.now();
-    const random = Math.random().toString(36).substr(2, 9);
-    return `review_${timestamp}_${random}`;
+  toPriorityLevel(priority) {
+    return this.priorityLevels[priority] || this.priorityLevels.medium;
+  }
+
+  /**
+   * Convert stored level to priority name
+   * @param {number} level - Priority level
+   * @returns {string} Priority name
+   */
+  fromPriorityLevel(level) {
+    return Object.keys(this.priorityLevels).find(name => this.priorityLevels[name] === level) || 'medium';
+  }
+
+  /**
+   * Find a review record by ID
+   * @param {string} reviewId - Review ID
+   * @returns {Promise<Object|null>} Review record
+   */
+  async findReviewRecord(reviewId) {
+    if (!isUuid(reviewId)) return null;
+    return ManualReviewItem.findByPk(reviewId);
+  }
+
+  /**
+   * Shape a stored review record for API responses
+   * @param {Object} record - ManualReviewItem instance
+   * @returns {Object} Review item
+   */
+  toReviewItem(record) {
+    const metadata = record.metadata || {};
+    const completed = [this.config.statuses.APPROVED, this.config.statuses.REJECTED].includes(record.status);
+
+    return {
+      reviewId: record.id,
+      transactionId: record.transactionId,
+      payoutId: record.payoutId,
+      userId: record.userId,
+      type: record.reviewType,
+      priority: this.fromPriorityLevel(record.priority),
+      status: record.status,
+      reason: record.reason,
+      data: record.data,
+      metadata: {
+        ...metadata,
+        flaggedAt: metadata.flaggedAt || (record.createdAt && new Date(record.createdAt).toISOString()),
+        slaDeadline: record.slaDeadline ? new Date(record.slaDeadline).toISOString() : null,
+        escalationTime: record.escalationTime ? new Date(record.escalationTime).toISOString() : null,
+        slaViolated: !!record.slaViolatedAt,
+        slaViolatedAt: record.slaViolatedAt ? new Date(record.slaViolatedAt).toISOString() : null
+      },
+      assignedReviewer: record.assignedTo,
+      assignedAt: record.assignedAt,
+      reviewCompleted: completed ? record.resolvedAt : null,
+      decision: record.decision,
+      reviewNotes: record.resolution,
+      escalated: record.escalated,
+      escalationHistory: record.escalationHistory || []
+    };
   }
 
   /**
@@ -647,7 +856,9 @@ class ManualReviewService {
     if (!this.config.escalation.enabled) return;
 
     setInterval(() => {
-      this.checkForEscalations();
+      this.checkForEscalations().catch(error => {
+        console.error('[Manual Review] Escalation check error:', error);
+      });
     }, 5 * 60 * 1000); // Check every 5 minutes
   }
 
@@ -656,74 +867,107 @@ class ManualReviewService {
    */
   startSLAMonitor() {
     setInterval(() => {
-      this.checkSLAViolations();
+      this.checkSLAViolations().catch(error => {
+        console.error('[Manual Review] SLA check error:', error);
+      });
     }, 10 * 60 * 1000); // Check every 10 minutes
   }
 
   /**
-   * Check for items that need escalation
+   * Check for items that need escalation (based on persisted escalation times)
    */
-  checkForEscalations() {
+  async checkForEscalations() {
     const now = new Date();
+
+    const dueItems = await ManualReviewItem.findAll({
+      where: {
+        status: this.activeStatuses,
+        escalated: false,
+        escalationTime: { [Op.lt]: now }
+      }
+    });
     
-    for (const [reviewId, item] of this.reviewQueue.entries()) {
-      if (item.escalated) continue;
-      
-      const escalationTime = new Date(item.metadata.escalationTime);
-      if (now > escalationTime) {
-        console.log(`[Manual Review] Auto-escalating review ${reviewId} due to timeout`);
-        
-        item.escalated = true;
-        item.escalationHistory.push({
-          escalatedBy: 'system',
-          escalatedAt: now.toISOString(),
-          reason: 'Automatic escalation due to timeout',
-          previousPriority: item.priority
-        });
-        
-        item.priority = this.getNextPriorityLevel(item.priority);
-        
-        // Reset assignment for re-assignment with higher priority
-        if (item.assignedReviewer) {
-          this.updateReviewerWorkload(item.assignedReviewer, -1);
-          item.assignedReviewer = null;
-          item.assignedAt = null;
-          item.status = this.config.statuses.PENDING;
-        }
+    for (const item of dueItems) {
+      console.log(`[Manual Review] Auto-escalating review ${item.id} due to timeout`);
+
+      const priority = this.fromPriorityLevel(item.priority);
+
+      // Reset assignment for re-assignment with higher priority
+      const [updated] = await ManualReviewItem.update(
+        {
+          escalated: true,
+          escalationHistory: [
+            ...(item.escalationHistory || []),
+            {
+              escalatedBy: 'system',
+              escalatedAt: now.toISOString(),
+              reason: 'Automatic escalation due to timeout',
+              previousPriority: priority
+            }
+          ],
+          priority: this.toPriorityLevel(this.getNextPriorityLevel(priority)),
+          assignedTo: null,
+          assignedAt: null,
+          status: this.config.statuses.PENDING
+        },
+        // Another instance may have escalated or decided it already
+        { where: { id: item.id, escalated: false, status: this.activeStatuses } }
+      );
+
+      if (updated > 0) {
+        await this.autoAssignReviewer(item.id);
       }
     }
   }
 
   /**
-   * Check for SLA violations
+   * Check for SLA violations (based on persisted SLA deadlines)
    */
-  checkSLAViolations() {
+  async checkSLAViolations() {
     const now = new Date();
-    
-    for (const [reviewId, item] of this.reviewQueue.entries()) {
-      const slaDeadline = new Date(item.metadata.slaDeadline);
-      if (now > slaDeadline && item.status !== this.config.statuses.EXPIRED) {
-        console.warn(`[Manual Review] SLA violation detected for review ${reviewId}`);
-        
-        // Mark as SLA violated but don't change status
-        item.metadata.slaViolated = true;
-        item.metadata.slaViolatedAt = now.toISOString();
-      }
-    }
+
+    const violated = await ManualReviewItem.findAll({
+      where: {
+        status: this.activeStatuses,
+        slaViolatedAt: null,
+        slaDeadline: { [Op.lt]: now }
+      },
+      attributes: ['id']
+    });
+
+    if (violated.length === 0) return;
+
+    violated.forEach(item => {
+      console.warn(`[Manual Review] SLA violation detected for review ${item.id}`);
+    });
+
+    // Mark as SLA violated but don't change status
+    await ManualReviewItem.update(
+      { slaViolatedAt: now },
+      { where: { id: violated.map(item => item.id), slaViolatedAt: null } }
+    );
   }
 
   /**
    * Get service statistics
-   * @returns {Object} Service statistics
+   * @returns {Promise<Object>} Service statistics
    */
-  getServiceStatistics() {
+  async getServiceStatistics() {
+    const [activeReviews, completedReviews, workloads] = await Promise.all([
+      ManualReviewItem.count({ where: { status: this.activeStatuses } }),
+      ManualReviewItem.count({
+        where: { status: [this.config.statuses.APPROVED, this.config.statuses.REJECTED] }
+      }),
+      this.getReviewerWorkloads()
+    ]);
+
     return {
-      activeReviews: this.reviewQueue.size,
-      completedReviews: this.reviewHistory.size,
-      activeReviewers: this.reviewerAssignments.size,
+      activeReviews,
+      completedReviews,
+      activeReviewers: Object.keys(workloads).length,
       config: this.config
     };
   }
 }
 
-module.exports = ManualReviewService;
\ No newline at end of file
+module.exports = new ManualReviewService();
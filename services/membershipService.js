@@ -0,0 +1,845 @@
+const { Op } = require('sequelize');
+const { paystackClient } = require('../config/paystack');
+const { stripeClient } = require('../config/stripe');
+const sequelize = require('../config/db');
+const MultiCurrencyWalletService = require('./multiCurrencyWalletService');
+const feeScheduleService = require('./feeScheduleService');
+const { MembershipPlan, Membership } = require('../models/membershipIndex');
+const Purchase = require('../models/Purchase');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+
+const walletService = new MultiCurrencyWalletService();
+
+// NGN plans bill through Paystack, USD plans through Stripe
+const GATEWAY_BY_CURRENCY = {
+  NGN: 'paystack',
+  USD: 'stripe'
+};
+
+const PAYSTACK_INTERVALS = {
+  monthly: 'monthly',
+  yearly: 'annually'
+};
+
+const STRIPE_INTERVALS = {
+  monthly: 'month',
+  yearly: 'year'
+};
+
+/**
+ * MembershipService
+ *
+ * Recurring creator memberships:
+ * - Plans       → created as Paystack plans (NGN) or Stripe recurring prices (USD)
+ * - subscribe   → starts a gateway checkout for a pending membership
+ * - cancel      → stops renewal; access continues until the paid period ends
+ * - Webhooks    → each paid renewal becomes a 'membership' Purchase, credits
+ *                 the creator and extends the membership period
+ *
+ * Access checks (purchaseMiddleware) use findAccessMembership().
+ */
+class MembershipService {
+  /**
+   * Create a membership plan and its gateway counterpart
+   * @param {number} creatorId - Creator user ID
+   * @param {Object} data - name, description, interval, price, currency, accessScope, contentTags
+   * @returns {Promise<MembershipPlan>}
+   */
+  async createPlan(creatorId, { name, description = null, interval, price, currency, accessScope = 'all', contentTags = [] }) {
+    const planCurrency = String(currency || '').toUpperCase();
+    const planPrice = Math.round(parseFloat(price) * 100) / 100;
+    const tags = this.normalizeTags(contentTags);
+
+    if (!name || !String(name).trim()) {
+      throw this.error('Plan name is required', 400);
+    }
+
+    if (!PAYSTACK_INTERVALS[interval]) {
+      throw this.error('Interval must be monthly or yearly', 400);
+    }
+
+    if (!GATEWAY_BY_CURRENCY[planCurrency]) {
+      throw this.error('Currency must be NGN or USD', 400);
+    }
+
+    if (!Number.isFinite(planPrice) || planPrice <= 0) {
+      throw this.error('Price must be a positive number', 400);
+    }
+
+    if (!['all', 'tagged'].includes(accessScope)) {
+      throw this.error('accessScope must be all or tagged', 400);
+    }
+
+    if (accessScope === 'tagged' && tags.length === 0) {
+      throw this.error('Tagged plans need at least one content tag', 400);
+    }
+
+    const gatewayFields = GATEWAY_BY_CURRENCY[planCurrency] === 'paystack'
+      ? await this.createPaystackPlan({ name, description, interval, price: planPrice, creatorId })
+      : await this.createStripePrice({ name, description, interval, price: planPrice, creatorId });
+
+    const plan = await MembershipPlan.create({
+      creatorId,
+      name: String(name).trim(),
+      description,
+      interval,
+      price: planPrice,
+      currency: planCurrency,
+      accessScope,
+      contentTags: accessScope === 'tagged' ? tags : [],
+      ...gatewayFields
+    });
+
+    console.log(`[Membership] Creator ${creatorId} created ${interval} plan ${plan.id} (${planPrice} ${planCurrency})`);
+    return plan;
+  }
+
+  /**
+   * Update a plan's details
+   *
+   * Price, interval and currency are fixed once members may be billed on
+   * them; create a new plan (and deactivate this one) to change pricing.
+   * @param {number} creatorId - Creator user ID
+   * @param {string} planId - Plan ID
+   * @param {Object} changes - name, description, accessScope, contentTags, isActive
+   * @returns {Promise<MembershipPlan>}
+   */
+  async updatePlan(creatorId, planId, changes) {
+    const plan = await MembershipPlan.findOne({ where: { id: planId, creatorId } });
+
+    if (!plan) {
+      throw this.error('Membership plan not found', 404);
+    }
+
+    if (['price', 'interval', 'currency'].some(field => changes[field] !== undefined)) {
+      throw this.error('Price, interval and currency cannot be changed. Create a new plan instead', 400);
+    }
+
+    const updates = {};
+    if (changes.name !== undefined) updates.name = String(changes.name).trim();
+    if (changes.description !== undefined) updates.description = changes.description;
+    if (changes.isActive !== undefined) updates.isActive = Boolean(changes.isActive);
+    if (changes.accessScope !== undefined) {
+      if (!['all', 'tagged'].includes(changes.accessScope)) {
+        throw this.error('accessScope must be all or tagged', 400);
+      }
+      updates.accessScope = changes.accessScope;
+    }
+    if (changes.contentTags !== undefined) updates.contentTags = this.normalizeTags(changes.contentTags);
+
+    const scope = updates.accessScope || plan.accessScope;
+    const tags = updates.contentTags || plan.contentTags;
+    if (scope === 'tagged' && tags.length === 0) {
+      throw this.error('Tagged plans need at least one content tag', 400);
+    }
+
+    if (updates.name && updates.name !== plan.name) {
+      if (plan.paystackPlanCode) {
+        await paystackClient.put(`/plan/${plan.paystackPlanCode}`, { name: updates.name });
+      } else if (plan.stripeProductId) {
+        await stripeClient.products.update(plan.stripeProductId, { name: updates.name });
+      }
+    }
+
+    await plan.update(updates);
+    return plan;
+  }
+
+  /**
+   * Get a creator's plans
+   * @param {number} creatorId - Creator user ID
+   * @param {Object} options - includeInactive
+   * @returns {Promise<Array>}
+   */
+  async getCreatorPlans(creatorId, { includeInactive = false } = {}) {
+    const where = { creatorId };
+    if (!includeInactive) where.isActive = true;
+
+    return MembershipPlan.findAll({
+      where,
+      order: [['price', 'ASC']]
+    });
+  }
+
+  /**
+   * Active plans that would unlock a piece of content
+   * @param {Object} content - Video or LiveClass instance
+   * @returns {Promise<Array>}
+   */
+  async getPlansForContent(content) {
+    if (!content || !content.userId) {
+      return [];
+    }
+
+    const plans = await MembershipPlan.findAll({
+      where: { creatorId: content.userId, isActive: true },
+      order: [['price', 'ASC']]
+    });
+
+    return plans.filter(plan => plan.coversContent(content));
+  }
+
+  /**
+   * Find a membership that grants the user access to content
+   * @param {number} userId - User ID
+   * @param {Object} content - Video or LiveClass instance
+   * @returns {Promise<Membership|null>}
+   */
+  async findAccessMembership(userId, content) {
+    if (!userId || !content || !content.userId) {
+      return null;
+    }
+
+    const memberships = await Membership.findAll({
+      where: {
+        userId,
+        creatorId: content.userId,
+        status: ['active', 'past_due', 'cancelled'],
+        currentPeriodEnd: { [Op.gt]: new Date() }
+      },
+      include: [{ model: MembershipPlan, as: 'plan' }]
+    });
+
+    return memberships.find(membership => membership.plan && membership.plan.coversContent(content)) || null;
+  }
+
+  /**
+   * Start a subscription checkout
+   * @param {number} userId - Subscriber user ID
+   * @param {string} email - Subscriber email
+   * @param {string} planId - Plan ID
+   * @returns {Promise<Object>} Membership and gateway checkout details
+   */
+  async subscribe(userId, email, planId) {
+    const plan = await MembershipPlan.findByPk(planId);
+
+    if (!plan || !plan.isActive) {
+      throw this.error('Membership plan not found', 404);
+    }
+
+    if (plan.creatorId === userId) {
+      throw this.error('You cannot subscribe to your own membership plan', 400);
+    }
+
+    const existing = await Membership.findOne({
+      where: {
+        userId,
+        planId,
+        status: ['active', 'past_due'],
+        cancelAtPeriodEnd: false
+      }
+    });
+
+    if (existing) {
+      throw this.error('You already have an active membership on this plan', 409);
+    }
+
+    const gateway = GATEWAY_BY_CURRENCY[plan.currency];
+    const membership = await Membership.create({
+      planId: plan.id,
+      userId,
+      creatorId: plan.creatorId,
+      gateway,
+      amount: plan.price,
+      currency: plan.currency
+    });
+
+    const metadata = {
+      type: 'membership',
+      membershipId: membership.id,
+      planId: plan.id,
+      userId: userId.toString()
+    };
+
+    try {
+      if (gateway === 'paystack') {
+        const response = await paystackClient.post('/transaction/initialize', {
+          email,
+          amount: Math.round(parseFloat(plan.price) * 100),
+          currency: plan.currency,
+          plan: plan.paystackPlanCode,
+          metadata,
+          callback_url: `${process.env.CLIENT_URL}/memberships/verify`
+        });
+
+        return {
+          membership,
+          gateway,
+          authorizationUrl: response.data.data.authorization_url,
+          accessCode: response.data.data.access_code,
+          reference: response.data.data.reference
+        };
+      }
+
+      const session = await stripeClient.checkout.sessions.create({
+        mode: 'subscription',
+        line_items: [{ price: plan.stripePriceId, quantity: 1 }],
+        customer_email: email,
+        client_reference_id: userId.toString(),
+        metadata,
+        subscription_data: { metadata },
+        success_url: `${process.env.CLIENT_URL}/memberships/verify?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${process.env.CLIENT_URL}/memberships/verify?cancelled=true`
+      });
+
+      return {
+        membership,
+        gateway,
+        checkoutUrl: session.url,
+        sessionId: session.id,
+        reference: session.id
+      };
+    } catch (error) {
+      await membership.destroy();
+      console.error('[Membership] Checkout initialization error:', error.response?.data || error.message);
+      throw this.error(error.response?.data?.message || 'Failed to start membership checkout', 502);
+    }
+  }
+
+  /**
+   * Cancel a membership at the end of the paid period
+   * @param {number} userId - Subscriber user ID
+   * @param {string} membershipId - Membership ID
+   * @returns {Promise<Membership>}
+   */
+  async cancel(userId, membershipId) {
+    const membership = await Membership.findOne({ where: { id: membershipId, userId } });
+
+    if (!membership) {
+      throw this.error('Membership not found', 404);
+    }
+
+    if (!['active', 'past_due'].includes(membership.status) || membership.cancelAtPeriodEnd) {
+      throw this.error(`Membership is already ${membership.cancelAtPeriodEnd ? 'cancelled' : membership.status}`, 409);
+    }
+
+    if (membership.gateway === 'paystack') {
+      if (!membership.paystackSubscriptionCode || !membership.paystackEmailToken) {
+        throw this.error('Membership is still being set up. Please try again shortly', 409);
+      }
+
+      await paystackClient.post('/subscription/disable', {
+        code: membership.paystackSubscriptionCode,
+        token: membership.paystackEmailToken
+      });
+    } else {
+      if (!membership.stripeSubscriptionId) {
+        throw this.error('Membership is still being set up. Please try again shortly', 409);
+      }
+
+      await stripeClient.subscriptions.update(membership.stripeSubscriptionId, {
+        cancel_at_period_end: true
+      });
+    }
+
+    await membership.update({ cancelAtPeriodEnd: true, cancelledAt: new Date() });
+
+    console.log(`[Membership] User ${userId} cancelled membership ${membership.id}, access until ${membership.currentPeriodEnd}`);
+    return membership;
+  }
+
+  /**
+   * Get a user's memberships
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  async getUserMemberships(userId) {
+    return Membership.findAll({
+      where: { userId, status: { [Op.ne]: 'pending' } },
+      include: [{ model: MembershipPlan, as: 'plan' }],
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Record a paid billing period
+   *
+   * Idempotent on the gateway reference: replayed webhooks return the
+   * existing purchase without crediting the creator again.
+   * @param {Membership} membership - Membership
+   * @param {Object} payment - gateway, reference, amount, currency, periodStart, periodEnd
+   * @returns {Promise<Object>} Purchase and membership
+   */
+  async recordPayment(membership, { gateway, reference, amount, currency, periodStart, periodEnd }) {
+    const existing = await Purchase.findOne({ where: { paymentReference: reference } });
+    if (existing) {
+      return { purchase: existing, membership, alreadyProcessed: true };
+    }
+
+    const isFirstPayment = !membership.currentPeriodEnd;
+    const fee = await feeScheduleService.resolveFee({
+      creatorId: membership.creatorId,
+      contentType: 'membership',
+      currency,
+      amount
+    });
+    const transaction = await sequelize.transaction();
+    let purchase;
+
+    try {
+      purchase = await Purchase.create({
+        userId: membership.userId,
+        contentType: 'membership',
+        contentId: membership.planId,
+        amount,
+        currency,
+        paymentGateway: gateway,
+        paymentReference: reference,
+        paymentStatus: 'completed',
+        creatorId: membership.creatorId,
+        platformFee: fee.platformFee,
+        feeScheduleId: fee.feeScheduleId,
+        feeRule: fee.rule
+      }, { transaction });
+
+      await membership.update({
+        status: 'active',
+        currentPeriodStart: periodStart,
+        currentPeriodEnd: periodEnd
+      }, { transaction });
+
+      await Transaction.create({
+        userId: membership.userId,
+        transactionType: 'purchase',
+        amount,
+        currency,
+        referenceType: 'purchase',
+        referenceId: purchase.id,
+        description: `Membership ${isFirstPayment ? 'payment' : 'renewal'} via ${gateway === 'paystack' ? 'Paystack' : 'Stripe'}`,
+        metadata: { reference, gateway, membershipId: membership.id }
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    try {
+      await walletService.creditWallet({
+        userId: membership.creatorId,
+        currency,
+        amount: fee.creatorNet,
+        reference,
+        description: `Earnings from membership ${isFirstPayment ? 'payment' : 'renewal'}`,
+        ledger: { platformFee: fee.platformFee },
+        metadata: {
+          purchaseId: purchase.id,
+          buyerUserId: membership.userId,
+          contentType: 'membership',
+          contentId: membership.planId,
+          membershipId: membership.id,
+          gateway,
+          platformFee: fee.platformFee
+        }
+      });
+    } catch (walletError) {
+      console.error(`[Membership] Failed to credit creator ${membership.creatorId} for ${reference}:`, walletError.message);
+    }
+
+    if (isFirstPayment) {
+      this.sendWelcomeEmails(membership, amount, currency).catch(emailError => {
+        console.error('[Membership] Email notification error:', emailError.message);
+      });
+    }
+
+    console.log(`[Membership] Recorded ${amount} ${currency} for membership ${membership.id}, access until ${periodEnd.toISOString()}`);
+    return { purchase, membership };
+  }
+
+  // ── Paystack webhooks ──────────────────────────────────────────────
+
+  /**
+   * charge.success for a membership (first payment or renewal)
+   * @param {Object} data - Paystack event data
+   */
+  async handlePaystackCharge(data) {
+    const membership = await this.findPaystackMembership({
+      membershipId: data.metadata?.membershipId,
+      planCode: data.plan?.plan_code,
+      customer: data.customer
+    });
+
+    if (!membership) {
+      console.log('[Membership] Paystack charge for unknown membership, ignoring:', data.reference);
+      return null;
+    }
+
+    const plan = await MembershipPlan.findByPk(membership.planId);
+    const periodStart = new Date(data.paid_at || data.paidAt || Date.now());
+
+    if (data.customer?.customer_code && !membership.paystackCustomerCode) {
+      await membership.update({ paystackCustomerCode: data.customer.customer_code });
+    }
+
+    return this.recordPayment(membership, {
+      gateway: 'paystack',
+      reference: data.reference,
+      amount: data.amount / 100,
+      currency: String(data.currency).toUpperCase(),
+      periodStart,
+      periodEnd: this.addInterval(periodStart, plan.interval)
+    });
+  }
+
+  /**
+   * subscription.create — store the codes needed to cancel later
+   * @param {Object} data - Paystack event data
+   */
+  async handlePaystackSubscriptionCreate(data) {
+    const membership = await this.findPaystackMembership({
+      planCode: data.plan?.plan_code,
+      customer: data.customer
+    });
+
+    if (!membership) {
+      console.log('[Membership] Paystack subscription for unknown membership, ignoring:', data.subscription_code);
+      return null;
+    }
+
+    await membership.update({
+      paystackSubscriptionCode: data.subscription_code,
+      paystackEmailToken: data.email_token,
+      paystackCustomerCode: data.customer?.customer_code || membership.paystackCustomerCode
+    });
+
+    return membership;
+  }
+
+  /**
+   * subscription.not_renew — renewal stopped, access runs to period end
+   * @param {Object} data - Paystack event data
+   */
+  async handlePaystackSubscriptionNotRenew(data) {
+    const membership = await Membership.findOne({ where: { paystackSubscriptionCode: data.subscription_code } });
+    if (!membership) return null;
+
+    await membership.update({
+      cancelAtPeriodEnd: true,
+      cancelledAt: membership.cancelledAt || new Date()
+    });
+
+    return membership;
+  }
+
+  /**
+   * subscription.disable — subscription ended
+   * @param {Object} data - Paystack event data
+   */
+  async handlePaystackSubscriptionDisable(data) {
+    const membership = await Membership.findOne({ where: { paystackSubscriptionCode: data.subscription_code } });
+    if (!membership) return null;
+
+    return this.endMembership(membership);
+  }
+
+  /**
+   * invoice.payment_failed — renewal charge failed
+   * @param {Object} data - Paystack event data
+   */
+  async handlePaystackPaymentFailed(data) {
+    const code = data.subscription?.subscription_code;
+    const membership = code
+      ? await Membership.findOne({ where: { paystackSubscriptionCode: code } })
+      : null;
+
+    if (!membership) return null;
+
+    await membership.update({ status: 'past_due' });
+    return membership;
+  }
+
+  // ── Stripe webhooks ────────────────────────────────────────────────
+
+  /**
+   * checkout.session.completed for a membership — link the subscription.
+   * The payment itself is recorded from invoice.paid.
+   * @param {Object} session - Stripe Checkout Session
+   */
+  async handleStripeCheckoutCompleted(session) {
+    const membership = await Membership.findByPk(session.metadata?.membershipId);
+    if (!membership) return null;
+
+    await membership.update({
+      stripeSubscriptionId: session.subscription,
+      stripeCustomerId: session.customer
+    });
+
+    return membership;
+  }
+
+  /**
+   * invoice.paid — first payment or renewal
+   * @param {Object} invoice - Stripe Invoice
+   */
+  async handleStripeInvoicePaid(invoice) {
+    const membership = await this.findStripeMembership(invoice);
+
+    if (!membership) {
+      console.log('[Membership] Stripe invoice for unknown membership, ignoring:', invoice.id);
+      return null;
+    }
+
+    const subscriptionId = this.getInvoiceSubscriptionId(invoice);
+    if (subscriptionId && !membership.stripeSubscriptionId) {
+      await membership.update({ stripeSubscriptionId: subscriptionId, stripeCustomerId: invoice.customer });
+    }
+
+    const period = invoice.lines?.data?.[0]?.period;
+    const plan = await MembershipPlan.findByPk(membership.planId);
+    const periodStart = period ? new Date(period.start * 1000) : new Date();
+
+    return this.recordPayment(membership, {
+      gateway: 'stripe',
+      reference: invoice.id,
+      amount: invoice.amount_paid / 100,
+      currency: String(invoice.currency).toUpperCase(),
+      periodStart,
+      periodEnd: period ? new Date(period.end * 1000) : this.addInterval(periodStart, plan.interval)
+    });
+  }
+
+  /**
+   * invoice.payment_failed — renewal charge failed
+   * @param {Object} invoice - Stripe Invoice
+   */
+  async handleStripePaymentFailed(invoice) {
+    const membership = await this.findStripeMembership(invoice);
+    if (!membership || membership.status === 'pending') return null;
+
+    await membership.update({ status: 'past_due' });
+    return membership;
+  }
+
+  /**
+   * customer.subscription.updated — sync cancel_at_period_end and status
+   * @param {Object} subscription - Stripe Subscription
+   */
+  async handleStripeSubscriptionUpdated(subscription) {
+    const membership = await Membership.findOne({ where: { stripeSubscriptionId: subscription.id } });
+    if (!membership) return null;
+
+    const updates = { cancelAtPeriodEnd: Boolean(subscription.cancel_at_period_end) };
+
+    if (subscription.cancel_at_period_end && !membership.cancelledAt) {
+      updates.cancelledAt = new Date();
+    }
+
+    if (['past_due', 'unpaid'].includes(subscription.status) && membership.status !== 'pending') {
+      updates.status = 'past_due';
+    } else if (subscription.status === 'active' && membership.status === 'past_due') {
+      updates.status = 'active';
+    }
+
+    await membership.update(updates);
+    return membership;
+  }
+
+  /**
+   * customer.subscription.deleted — subscription ended
+   * @param {Object} subscription - Stripe Subscription
+   */
+  async handleStripeSubscriptionDeleted(subscription) {
+    const membership = await Membership.findOne({ where: { stripeSubscriptionId: subscription.id } });
+    if (!membership) return null;
+
+    return this.endMembership(membership);
+  }
+
+  // ── Helpers ────────────────────────────────────────────────────────
+
+  /**
+   * Mark a membership as ended; access remains for any paid time left
+   * @param {Membership} membership - Membership
+   * @returns {Promise<Membership>}
+   */
+  async endMembership(membership) {
+    const paidTimeLeft = membership.currentPeriodEnd && new Date(membership.currentPeriodEnd).getTime() > Date.now();
+
+    await membership.update({
+      status: paidTimeLeft ? 'cancelled' : 'expired',
+      cancelAtPeriodEnd: false,
+      cancelledAt: membership.cancelledAt || new Date()
+    });
+
+    console.log(`[Membership] Membership ${membership.id} ended (${membership.status})`);
+    return membership;
+  }
+
+  /**
+   * Find the membership behind a Paystack event
+   *
+   * Renewal charges and subscription events don't carry our metadata, so
+   * fall back to the plan code plus the customer code or email.
+   * @param {Object} params - membershipId, planCode, customer
+   * @returns {Promise<Membership|null>}
+   */
+  async findPaystackMembership({ membershipId = null, planCode = null, customer = null }) {
+    if (membershipId) {
+      return Membership.findByPk(membershipId);
+    }
+
+    if (!planCode) {
+      return null;
+    }
+
+    const plan = await MembershipPlan.findOne({ where: { paystackPlanCode: planCode } });
+    if (!plan) {
+      return null;
+    }
+
+    if (customer?.customer_code) {
+      const byCustomer = await Membership.findOne({
+        where: { planId: plan.id, paystackCustomerCode: customer.customer_code },
+        order: [['createdAt', 'DESC']]
+      });
+      if (byCustomer) return byCustomer;
+    }
+
+    if (customer?.email) {
+      const user = await User.findOne({ where: { email: customer.email } });
+      if (user) {
+        return Membership.findOne({
+          where: { planId: plan.id, userId: user.id, status: { [Op.ne]: 'expired' } },
+          order: [['createdAt', 'DESC']]
+        });
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the membership behind a Stripe invoice
+   * @param {Object} invoice - Stripe Invoice
+   * @returns {Promise<Membership|null>}
+   */
+  async findStripeMembership(invoice) {
+    const subscriptionId = this.getInvoiceSubscriptionId(invoice);
+
+    if (subscriptionId) {
+      const membership = await Membership.findOne({ where: { stripeSubscriptionId: subscriptionId } });
+      if (membership) return membership;
+    }
+
+    // The first invoice can arrive before checkout.session.completed
+    const metadata = invoice.subscription_details?.metadata || invoice.parent?.subscription_details?.metadata;
+    return metadata?.membershipId ? Membership.findByPk(metadata.membershipId) : null;
+  }
+
+  /**
+   * Subscription ID on an invoice (moved under `parent` in newer API versions)
+   * @param {Object} invoice - Stripe Invoice
+   * @returns {string|null}
+   */
+  getInvoiceSubscriptionId(invoice) {
+    return invoice.subscription || invoice.parent?.subscription_details?.subscription || null;
+  }
+
+  /**
+   * Create the Paystack plan for an NGN membership
+   */
+  async createPaystackPlan({ name, description, interval, price, creatorId }) {
+    try {
+      const response = await paystackClient.post('/plan', {
+        name,
+        description: description || undefined,
+        interval: PAYSTACK_INTERVALS[interval],
+        amount: Math.round(price * 100),
+        currency: 'NGN'
+      });
+
+      return { paystackPlanCode: response.data.data.plan_code };
+    } catch (error) {
+      console.error(`[Membership] Paystack plan creation error for creator ${creatorId}:`, error.response?.data || error.message);
+      throw this.error(error.response?.data?.message || 'Failed to create Paystack plan', 502);
+    }
+  }
+
+  /**
+   * Create the Stripe product and recurring price for a USD membership
+   */
+  async createStripePrice({ name, description, interval, price, creatorId }) {
+    try {
+      const product = await stripeClient.products.create({
+        name,
+        ...(description && { description }),
+        metadata: { creatorId: creatorId.toString(), type: 'membership' }
+      });
+
+      const stripePrice = await stripeClient.prices.create({
+        product: product.id,
+        unit_amount: Math.round(price * 100),
+        currency: 'usd',
+        recurring: { interval: STRIPE_INTERVALS[interval] }
+      });
+
+      return { stripeProductId: product.id, stripePriceId: stripePrice.id };
+    } catch (error) {
+      console.error(`[Membership] Stripe price creation error for creator ${creatorId}:`, error.message);
+      throw this.error(error.message || 'Failed to create Stripe price', 502);
+    }
+  }
+
+  /**
+   * Send the subscriber confirmation and creator sale emails
+   */
+  async sendWelcomeEmails(membership, amount, currency) {
+    const { sendPurchaseConfirmationEmail, sendSaleNotificationEmail } = require('../utils/email');
+    const plan = await MembershipPlan.findByPk(membership.planId);
+    const member = await User.findByPk(membership.userId);
+    const creator = await User.findByPk(membership.creatorId);
+    const title = `${plan.name} membership`;
+
+    if (member) {
+      await sendPurchaseConfirmationEmail(member.email, member.firstname, title, amount, currency);
+    }
+
+    if (creator && member) {
+      await sendSaleNotificationEmail(creator.email, creator.firstname, title, member.firstname, amount, currency);
+    }
+  }
+
+  /**
+   * Add one billing interval to a date
+   * @param {Date} date - Start date
+   * @param {string} interval - monthly or yearly
+   * @returns {Date}
+   */
+  addInterval(date, interval) {
+    const end = new Date(date);
+
+    if (interval === 'yearly') {
+      end.setUTCFullYear(end.getUTCFullYear() + 1);
+    } else {
+      end.setUTCMonth(end.getUTCMonth() + 1);
+    }
+
+    return end;
+  }
+
+  /**
+   * Normalize content tags to a unique, trimmed list
+   * @param {Array|string} tags - Tags
+   * @returns {Array<string>}
+   */
+  normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+  }
+
+  /**
+   * Build an error carrying an HTTP status code
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @returns {Error}
+   */
+  error(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+  }
+}
+
+module.exports = new MembershipService();
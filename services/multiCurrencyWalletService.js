@@ -158,9 +158,11 @@ class MultiCurrencyWalletService {
    * @param {string} params.reference - Transaction reference
    * @param {string} params.description - Transaction description
    * @param {Object} params.metadata - Additional metadata
+   * @param {Object} params.exchangeRateSnapshot - Rate used if the amount was converted
+   * @param {Object} params.ledger - Ledger posting overrides (entryType, gateway, platformFee)
    * @returns {Promise<Object>} Updated wallet
    */
-  async creditWallet({ userId, currency, amount, reference, description, metadata = {} }) {
+  async creditWallet({ userId, currency, amount, reference, description, metadata = {}, exchangeRateSnapshot = null, ledger = {} }) {
     try {
       this.validateCurrency(currency);
       this.validateAmount(amount);
@@ -176,7 +178,8 @@ class MultiCurrencyWalletService {
             wallet,
             amountInCents, // Credit available
             0,             // No change to pending
-            transaction
+            transaction,
+            this.buildLedgerPosting({ reference, description, metadata, ledger })
           );
 
           // Log the transaction
@@ -190,6 +193,7 @@ class MultiCurrencyWalletService {
             metadata: { ...metadata, currency },
             gateway: metadata.gateway || null,
             externalReference: metadata.externalReference || null,
+            exchangeRateSnapshot,
             status: 'completed',
             transaction
           });
@@ -216,9 +220,11 @@ class MultiCurrencyWalletService {
    * @param {string} params.reference - Transaction reference
    * @param {string} params.description - Transaction description
    * @param {Object} params.metadata - Additional metadata
+   * @param {Object} params.exchangeRateSnapshot - Rate used if the amount was converted
+   * @param {Object} params.ledger - Ledger posting overrides (entryType, gateway, platformFee)
    * @returns {Promise<Object>} Updated wallet
    */
-  async debitWallet({ userId, currency, amount, reference, description, metadata = {} }) {
+  async debitWallet({ userId, currency, amount, reference, description, metadata = {}, exchangeRateSnapshot = null, ledger = {} }) {
     try {
       this.validateCurrency(currency);
       this.validateAmount(amount);
@@ -234,7 +240,8 @@ class MultiCurrencyWalletService {
             wallet,
             -amountInCents, // Debit available
             0,              // No change to pending
-            transaction
+            transaction,
+            this.buildLedgerPosting({ reference, description, metadata, ledger })
           );
 
           // Log the transaction
@@ -248,6 +255,7 @@ class MultiCurrencyWalletService {
             metadata: { ...metadata, currency },
             gateway: metadata.gateway || null,
             externalReference: metadata.externalReference || null,
+            exchangeRateSnapshot,
             status: 'completed',
             transaction
           });
@@ -297,7 +305,8 @@ class MultiCurrencyWalletService {
               wallet,
               -amountInCents,
               0,
-              transaction
+              transaction,
+              { entryType: 'transfer', reference, description, contraAccount: this.transferClearingAccount(currency) }
             );
 
             await this.logWalletTransaction({
@@ -323,7 +332,8 @@ class MultiCurrencyWalletService {
               wallet,
               amountInCents,
               0,
-              transaction
+              transaction,
+              { entryType: 'transfer', reference, description, contraAccount: this.transferClearingAccount(currency) }
             );
 
             await this.logWalletTransaction({
@@ -481,6 +491,7 @@ class MultiCurrencyWalletService {
     metadata = {},
     gateway = null,
     externalReference = null,
+    exchangeRateSnapshot = null,
     status = 'completed',
     transaction 
   }) {
@@ -502,6 +513,7 @@ class MultiCurrencyWalletService {
           gateway,
           external_reference: externalReference,
           idempotency_key: idempotencyKey,
+          exchange_rate_snapshot: exchangeRateSnapshot,
           completed_at: status === 'completed' ? new Date() : null
         }, { transaction });
       }
@@ -511,6 +523,33 @@ class MultiCurrencyWalletService {
     }
   }
 
+  /**
+   * Build the ledger posting for a credit or debit
+   * Earnings are recognised by their content metadata; anything unclassified
+   * is posted as a manual adjustment.
+   * @param {Object} params - reference, description, metadata, ledger overrides
+   * @returns {Object} Posting for databaseTransactionService.updateWalletBalance
+   */
+  buildLedgerPosting({ reference, description, metadata = {}, ledger = {} }) {
+    return {
+      entryType: ledger.entryType || metadata.type || (metadata.contentType ? 'earning' : 'adjustment'),
+      reference,
+      description,
+      gateway: ledger.gateway || metadata.gateway || null,
+      platformFee: ledger.platformFee ? this.convertToCents(ledger.platformFee) : 0,
+      metadata: metadata.purchaseId ? { purchaseId: metadata.purchaseId } : null
+    };
+  }
+
+  /**
+   * Ledger account both legs of a wallet-to-wallet transfer pass through
+   * @param {string} currency - Currency code
+   * @returns {Object} { accountCode, accountType }
+   */
+  transferClearingAccount(currency) {
+    return { accountCode: `transfer_clearing:${currency}`, accountType: 'transfer_clearing' };
+  }
+
   /**
    * Get wallet statistics
    * @param {number} userId - User ID
@@ -0,0 +1,184 @@
+const { Op } = require('sequelize');
+const mux = require('../config/mux');
+const Video = require('../models/Video');
+
+const STREAM_BASE_URL = 'https://stream.mux.com';
+const IMAGE_BASE_URL = 'https://image.mux.com';
+
+/**
+ * Mux Playback Service
+ *
+ * Paid and private videos use Mux's signed playback policy, so the playback
+ * ID alone can't be streamed. Once purchaseMiddleware grants access, the
+ * video endpoints hand out playback, thumbnail and storyboard URLs carrying
+ * short-lived JWTs signed with the Mux signing key (MUX_SIGNING_KEY_ID /
+ * MUX_SIGNING_PRIVATE_KEY). Free public videos keep plain public URLs.
+ *
+ * A token is valid for MUX_PLAYBACK_TOKEN_TTL_SECONDS, stretched to cover the
+ * video's duration so a viewer isn't cut off mid-video.
+ *
+ * When a video's price or privacy changes, syncPolicy swaps its playback ID
+ * for one with the right policy; migrateExisting does the same for assets
+ * uploaded before signed playback (scripts/migrate-signed-playback.js).
+ */
+class MuxPlaybackService {
+  constructor() {
+    this.config = {
+      signingKeyId: process.env.MUX_SIGNING_KEY_ID,
+      signingPrivateKey: process.env.MUX_SIGNING_PRIVATE_KEY,
+      tokenTtlSeconds: parseInt(process.env.MUX_PLAYBACK_TOKEN_TTL_SECONDS) || 3600,
+      durationGraceSeconds: 600
+    };
+  }
+
+  /**
+   * Playback policy a video should use
+   * @param {Object} video - Video (or upload attributes) with price, pricingMode, privacy
+   * @returns {string} public | signed
+   */
+  policyFor(video) {
+    const paid = parseFloat(video.price || 0) > 0 || (video.pricingMode && video.pricingMode !== 'fixed');
+    return paid || video.privacy === 'private' ? 'signed' : 'public';
+  }
+
+  /**
+   * Playback URLs for a viewer who has passed the access checks
+   * @param {Object} video - Video instance
+   * @returns {Promise<Object|null>} { policy, playbackUrl, thumbnailUrl, storyboardUrl, expiresAt }, null while the asset isn't ready
+   */
+  async getPlayback(video) {
+    const playbackId = video.muxPlaybackId;
+    if (!playbackId) {
+      return null;
+    }
+
+    if (video.muxPlaybackPolicy !== 'signed') {
+      return {
+        policy: 'public',
+        playbackUrl: `${STREAM_BASE_URL}/${playbackId}.m3u8`,
+        thumbnailUrl: `${IMAGE_BASE_URL}/${playbackId}/thumbnail.jpg`,
+        storyboardUrl: `${IMAGE_BASE_URL}/${playbackId}/storyboard.vtt`,
+        expiresAt: null
+      };
+    }
+
+    if (!this.config.signingKeyId || !this.config.signingPrivateKey) {
+      throw this.error('Signed playback is not configured', 503);
+    }
+
+    const ttl = this.tokenTtl(video);
+    const tokens = await mux.jwt.signPlaybackId(playbackId, {
+      keyId: this.config.signingKeyId,
+      keySecret: this.config.signingPrivateKey,
+      expiration: `${ttl}s`,
+      type: ['video', 'thumbnail', 'storyboard']
+    });
+
+    return {
+      policy: 'signed',
+      playbackUrl: `${STREAM_BASE_URL}/${playbackId}.m3u8?token=${tokens['playback-token']}`,
+      thumbnailUrl: `${IMAGE_BASE_URL}/${playbackId}/thumbnail.jpg?token=${tokens['thumbnail-token']}`,
+      storyboardUrl: `${IMAGE_BASE_URL}/${playbackId}/storyboard.vtt?token=${tokens['storyboard-token']}`,
+      expiresAt: new Date(Date.now() + ttl * 1000)
+    };
+  }
+
+  /**
+   * Token lifetime in seconds: the configured TTL, or the video's length plus
+   * a grace period when that's longer
+   * @param {Object} video - Video instance
+   * @returns {number}
+   */
+  tokenTtl(video) {
+    const duration = parseInt(video.durationSeconds) || 0;
+    return Math.max(this.config.tokenTtlSeconds, duration + this.config.durationGraceSeconds);
+  }
+
+  /**
+   * Give a video a playback ID matching policyFor(video)
+   *
+   * The new playback ID is saved before the old one is deleted, so a failed
+   * delete leaves a stray ID on the asset rather than a broken video.
+   * @param {Object} video - Video instance
+   * @returns {Promise<Object>} { changed, from, to }
+   */
+  async syncPolicy(video) {
+    const policy = this.policyFor(video);
+    const current = video.muxPlaybackPolicy || 'public';
+
+    if (!video.muxAssetId || current === policy) {
+      return { changed: false, from: current, to: current };
+    }
+
+    const previousPlaybackId = video.muxPlaybackId;
+    const playbackId = await mux.video.assets.createPlaybackId(video.muxAssetId, { policy });
+
+    await video.update({
+      muxPlaybackId: playbackId.id,
+      muxPlaybackPolicy: policy
+    });
+
+    if (previousPlaybackId) {
+      try {
+        await mux.video.assets.deletePlaybackId(video.muxAssetId, previousPlaybackId);
+      } catch (error) {
+        console.error(`[Mux Playback] Failed to delete ${current} playback ID ${previousPlaybackId} of video ${video.id}:`, error.message);
+      }
+    }
+
+    console.log(`[Mux Playback] Video ${video.id} moved from ${current} to ${policy} playback`);
+    return { changed: true, from: current, to: policy };
+  }
+
+  /**
+   * Move ready videos still on public playback to signed playback where
+   * they are paid or private
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Only report what would change
+   * @param {number} options.limit - Max videos to look at
+   * @returns {Promise<Object>} { checked, migrated, failed, videoIds }
+   */
+  async migrateExisting({ dryRun = false, limit = 500 } = {}) {
+    const videos = await Video.findAll({
+      where: {
+        status: 'ready',
+        muxAssetId: { [Op.ne]: null },
+        muxPlaybackPolicy: 'public'
+      },
+      order: [['created_at', 'ASC']],
+      limit
+    });
+
+    const result = { checked: videos.length, migrated: 0, failed: 0, videoIds: [] };
+
+    for (const video of videos) {
+      if (this.policyFor(video) !== 'signed') {
+        continue;
+      }
+
+      if (dryRun) {
+        result.videoIds.push(video.id);
+        continue;
+      }
+
+      try {
+        await this.syncPolicy(video);
+        result.migrated += 1;
+        result.videoIds.push(video.id);
+      } catch (error) {
+        result.failed += 1;
+        console.error(`[Mux Playback] Failed to migrate video ${video.id}:`, error.message);
+      }
+    }
+
+    return result;
+  }
+
+  error(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+  }
+}
+
+module.exports = new MuxPlaybackService();
@@ -0,0 +1,1198 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { paystackClient } = require('../config/paystack');
+const { stripeClient } = require('../config/stripe');
+const sequelize = require('../config/db');
+const PaymentRoutingService = require('./paymentRoutingService');
+const MultiCurrencyWalletService = require('./multiCurrencyWalletService');
+const databaseTransactionService = require('./databaseTransactionService');
+const feeScheduleService = require('./feeScheduleService');
+const contentPricingService = require('./contentPricingService');
+const { idempotencyService } = require('./idempotencyService');
+const { CartItem, Order, OrderItem } = require('../models/orderIndex');
+const { Purchase, WalletAccount } = require('../models/walletIndex');
+const Transaction = require('../models/Transaction');
+
+// One-off content that can share a checkout. Courses carry enrollment
+// details and memberships are subscriptions, so both keep their own flows.
+const CART_CONTENT_TYPES = ['video', 'live_class', 'live_series', 'freebie'];
+
+/**
+ * Order Service
+ *
+ * Cart and multi-item checkout:
+ *
+ * - The cart is kept per user with an optional coupon per item, and the
+ *   tier or pay-what-you-want amount chosen for flexibly priced content
+ * - checkout() prices every item in one currency (converting where needed),
+ *   applies each item's coupon and opens a single Paystack transaction or
+ *   Stripe Checkout Session for the order total
+ * - When the payment is verified (webhook or verify endpoint) the order fans
+ *   out into one Purchase per item, with coupon usage, platform fees, creator
+ *   earnings and partner/referral commissions, all in one DB transaction
+ *
+ * Item purchases use `<order reference>-<position>` as their payment
+ * reference, so refunds and statements treat them like any other purchase.
+ *
+ * Wallet payments: an order (or a single item bought with payWithWallet)
+ * can be paid from the buyer's wallet in the order currency. Fully funded
+ * orders are debited and fulfilled in one transaction; split orders hold the
+ * wallet share in escrow, charge the rest by card and capture the hold when
+ * the card payment is fulfilled. Unpaid holds are released after
+ * ORDER_WALLET_HOLD_MINUTES.
+ */
+class OrderService {
+  constructor() {
+    this.paymentRoutingService = new PaymentRoutingService();
+    this.walletService = new MultiCurrencyWalletService();
+    this.config = {
+      maxItems: parseInt(process.env.CART_MAX_ITEMS) || 20,
+      walletHoldMinutes: parseInt(process.env.ORDER_WALLET_HOLD_MINUTES) || 60
+    };
+  }
+
+  // ─── Cart ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Get the cart priced in a currency. Items that can no longer be bought
+   * (removed, already owned, invalid coupon) carry an `error` and are left
+   * out of the totals.
+   * @param {number} userId - User ID
+   * @param {Object} options - currency (defaults to the items' own currency)
+   * @returns {Promise<Object>} { items, currency, subtotal, discountTotal, total }
+   */
+  async getCart(userId, { currency = null } = {}) {
+    const cartItems = await CartItem.findAll({
+      where: { userId },
+      order: [['createdAt', 'ASC']]
+    });
+
+    if (cartItems.length === 0) {
+      return { items: [], currency: currency ? String(currency).toUpperCase() : null, subtotal: 0, discountTotal: 0, total: 0 };
+    }
+
+    const lines = await this.priceItems(userId, cartItems, currency, { strict: false });
+    return this.summarize(lines);
+  }
+
+  /**
+   * Add content to the cart, or update its coupon and pricing choice if it
+   * is already there
+   * @param {number} userId - User ID
+   * @param {Object} item - contentType, contentId, couponCode, tierId, amount
+   * @returns {Promise<CartItem>}
+   */
+  async addItem(userId, { contentType, contentId, couponCode = null, tierId = null, amount = null }) {
+    if (!CART_CONTENT_TYPES.includes(contentType)) {
+      throw this.error(`contentType must be one of: ${CART_CONTENT_TYPES.join(', ')}`, 400);
+    }
+
+    if (!contentId) {
+      throw this.error('contentId is required', 400);
+    }
+
+    const content = await this.paymentRoutingService.getContentDetails(contentType, contentId);
+    if (!content) {
+      throw this.error(`${contentType} not found`, 404);
+    }
+
+    const pricing = await contentPricingService.resolvePrice(contentType, content, { tierId, amount });
+    this.assertPurchasable(userId, contentType, content, pricing.price);
+    await this.assertNotOwned(userId, contentType, contentId);
+
+    const choice = {
+      pricingTierId: pricing.pricingTierId,
+      chosenAmount: content.pricingMode === 'pay_what_you_want' ? pricing.price : null
+    };
+
+    const existing = await CartItem.findOne({ where: { userId, contentType, contentId } });
+    if (existing) {
+      await existing.update({ couponCode: this.normalizeCouponCode(couponCode), ...choice });
+      return existing;
+    }
+
+    const count = await CartItem.count({ where: { userId } });
+    if (count >= this.config.maxItems) {
+      throw this.error(`A cart can hold at most ${this.config.maxItems} items`, 400);
+    }
+
+    return CartItem.create({
+      userId,
+      contentType,
+      contentId,
+      couponCode: this.normalizeCouponCode(couponCode),
+      ...choice
+    });
+  }
+
+  /**
+   * Set or clear the coupon on a cart item
+   */
+  async updateItem(userId, itemId, { couponCode = null }) {
+    const item = await this.getCartItem(userId, itemId);
+    await item.update({ couponCode: this.normalizeCouponCode(couponCode) });
+    return item;
+  }
+
+  /**
+   * Remove an item from the cart
+   */
+  async removeItem(userId, itemId) {
+    const item = await this.getCartItem(userId, itemId);
+    await item.destroy();
+    return { id: itemId };
+  }
+
+  /**
+   * Empty the cart
+   */
+  async clearCart(userId) {
+    const removed = await CartItem.destroy({ where: { userId } });
+    return { removed };
+  }
+
+  async getCartItem(userId, itemId) {
+    const item = await CartItem.findOne({ where: { id: itemId, userId } });
+    if (!item) {
+      throw this.error('Cart item not found', 404);
+    }
+    return item;
+  }
+
+  // ─── Checkout ─────────────────────────────────────────────────────────────
+
+  /**
+   * Check out the whole cart as one order with a single gateway payment
+   * @param {Object} params
+   * @param {number} params.userId - User ID
+   * @param {string} params.userEmail - Email for the gateway receipt
+   * @param {string} params.currency - Checkout currency (optional when every item shares one)
+   * @param {number} params.walletAmount - Part of the total to pay from the wallet (optional)
+   * @param {string} params.idempotencyKey - Idempotency key
+   * @returns {Promise<Object>} { order, freeAccess, payment }
+   */
+  async checkout({ userId, userEmail, currency = null, walletAmount = null, idempotencyKey }) {
+    const idempotencyResult = await idempotencyService.checkAndStore(
+      idempotencyKey,
+      userId,
+      'order_checkout',
+      { currency, walletAmount }
+    );
+
+    if (!idempotencyResult.isNew) {
+      return { cached: true, ...idempotencyResult.storedResult };
+    }
+
+    try {
+      const cartItems = await CartItem.findAll({
+        where: { userId },
+        order: [['createdAt', 'ASC']]
+      });
+
+      if (cartItems.length === 0) {
+        throw this.error('Your cart is empty', 400);
+      }
+
+      const lines = await this.priceItems(userId, cartItems, currency, { strict: true });
+      const result = await this.placeOrder(userId, userEmail, lines, { walletAmount });
+
+      await idempotencyService.storeResult(idempotencyKey, result, 'completed');
+      return result;
+    } catch (error) {
+      try {
+        await idempotencyService.storeResult(idempotencyKey, { success: false, message: error.message }, 'failed');
+      } catch (cacheError) {
+        console.error('[Order] Failed to cache error response:', cacheError);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Buy one item with wallet funds, outside the cart. Without a
+   * `walletAmount` the wallet pays the whole price; a smaller amount splits
+   * the payment and returns a card checkout for the rest.
+   * Idempotency is handled by the route (idempotencyMiddleware).
+   * @param {Object} params
+   * @param {number} params.userId - Buyer
+   * @param {string} params.userEmail - Email for the gateway receipt
+   * @param {string} params.contentType - video | live_class | live_series | freebie
+   * @param {string} params.contentId - Content ID
+   * @param {string} params.currency - Wallet currency (defaults to the content's)
+   * @param {string} params.couponCode - Optional coupon
+   * @param {number} params.walletAmount - Wallet share of the price (optional)
+   * @param {string} params.tierId - Pricing tier (tiered content)
+   * @param {number} params.chosenAmount - Pay-what-you-want amount
+   * @returns {Promise<Object>} { order, freeAccess, payment }
+   */
+  async payWithWallet({ userId, userEmail, contentType, contentId, currency = null, couponCode = null, walletAmount = null, tierId = null, chosenAmount = null }) {
+    if (!CART_CONTENT_TYPES.includes(contentType)) {
+      throw this.error(`contentType must be one of: ${CART_CONTENT_TYPES.join(', ')}`, 400);
+    }
+
+    const content = await this.paymentRoutingService.getContentDetails(contentType, contentId);
+    const targetCurrency = currency
+      ? String(currency).toUpperCase()
+      : (content && content.currency) || 'NGN';
+
+    try {
+      this.walletService.validateCurrency(targetCurrency);
+    } catch (error) {
+      throw this.error(error.message, 400);
+    }
+
+    const line = await this.priceItem(
+      userId,
+      { contentType, contentId, couponCode: this.normalizeCouponCode(couponCode), pricingTierId: tierId, chosenAmount },
+      content,
+      targetCurrency
+    );
+
+    return this.placeOrder(userId, userEmail, [line], {
+      walletAmount: walletAmount === null || walletAmount === undefined ? line.amount : walletAmount
+    });
+  }
+
+  /**
+   * Create an order from priced lines and collect its payment: fulfilled
+   * straight away when coupons or the wallet cover the total, otherwise a
+   * gateway checkout for whatever the wallet leaves
+   * @param {number} userId - Buyer
+   * @param {string} userEmail - Email for the gateway receipt
+   * @param {Object[]} lines - Priced lines (see priceItem)
+   * @param {Object} options - walletAmount
+   * @returns {Promise<Object>} { order, freeAccess, payment }
+   */
+  async placeOrder(userId, userEmail, lines, { walletAmount = null } = {}) {
+    const summary = this.summarize(lines);
+    const walletShare = await this.resolveWalletAmount(userId, summary, walletAmount);
+    const fullyFunded = summary.total > 0 && walletShare === summary.total;
+    const gateway = fullyFunded ? 'wallet' : this.walletService.getRequiredGateway(summary.currency);
+
+    const order = await databaseTransactionService.executeWithTransaction(async (transaction) => {
+      const created = await Order.create({
+        userId,
+        reference: this.generateReference(),
+        currency: summary.currency,
+        paymentGateway: gateway,
+        subtotal: summary.subtotal,
+        discountTotal: summary.discountTotal,
+        total: summary.total,
+        walletAmount: walletShare
+      }, { transaction });
+
+      await OrderItem.bulkCreate(lines.map((line, index) => ({
+        orderId: created.id,
+        position: index + 1,
+        contentType: line.contentType,
+        contentId: line.contentId,
+        creatorId: line.creatorId,
+        title: line.title,
+        originalPrice: line.originalPrice,
+        discountAmount: line.discountAmount,
+        amount: line.amount,
+        couponId: line.couponId,
+        couponCode: line.couponCode,
+        partnerCommission: line.partnerCommission,
+        couponPartnerUserId: line.couponPartnerUserId,
+        exchangeRateSnapshot: line.exchangeRateSnapshot,
+        pricingTierId: line.pricingTierId
+      })), { transaction });
+
+      return created;
+    });
+
+    if (order.getCardAmount() === 0) {
+      // Free after coupons, or paid in full from the wallet: no gateway
+      const { order: fulfilled } = await this.fulfilOrder(order.id, { amountPaid: 0, currency: summary.currency })
+        .catch(async (error) => {
+          await order.update({ status: 'failed', failureReason: error.message });
+          throw error;
+        });
+
+      if (fulfilled.status !== 'paid') {
+        throw this.error(fulfilled.failureReason || 'Order could not be completed', 409);
+      }
+
+      return { order: await this.getOrder(userId, order.id), freeAccess: summary.total === 0, payment: null };
+    }
+
+    if (walletShare > 0) {
+      await this.holdWallet(order);
+    }
+
+    let payment;
+    try {
+      payment = gateway === 'paystack'
+        ? await this.initializePaystack(order, lines, userEmail)
+        : await this.initializeStripe(order, lines, userEmail);
+    } catch (error) {
+      await this.releaseWalletHold(order.id, { status: 'failed', reason: error.message });
+      throw error;
+    }
+
+    await order.update({ gatewayReference: payment.reference });
+    return { order: await this.getOrder(userId, order.id), freeAccess: false, payment };
+  }
+
+  /**
+   * Price cart items in one currency with their coupons applied
+   * @param {number} userId - Buyer
+   * @param {CartItem[]} cartItems - Cart rows
+   * @param {string|null} currency - Target currency
+   * @param {Object} options - strict: throw on the first unavailable item
+   * @returns {Promise<Object[]>} Priced lines
+   */
+  async priceItems(userId, cartItems, currency, { strict }) {
+    const contents = await Promise.all(cartItems.map(item =>
+      this.paymentRoutingService.getContentDetails(item.contentType, item.contentId)
+    ));
+
+    let targetCurrency = currency ? String(currency).toUpperCase() : null;
+    if (!targetCurrency) {
+      const currencies = [...new Set(contents.filter(Boolean).map(content => content.currency || 'NGN'))];
+      if (currencies.length > 1) {
+        if (strict) {
+          throw this.error('Cart items are priced in different currencies; choose a checkout currency', 400);
+        }
+      }
+      targetCurrency = currencies[0] || 'NGN';
+    }
+
+    try {
+      this.walletService.validateCurrency(targetCurrency);
+    } catch (error) {
+      throw this.error(error.message, 400);
+    }
+
+    const lines = [];
+
+    for (let i = 0; i < cartItems.length; i++) {
+      const item = cartItems[i];
+      const content = contents[i];
+
+      try {
+        lines.push(await this.priceItem(userId, item, content, targetCurrency));
+      } catch (error) {
+        if (strict) {
+          throw this.error(`${content ? content.title : item.contentType}: ${error.message}`, error.statusCode || 400);
+        }
+        lines.push({
+          cartItemId: item.id,
+          contentType: item.contentType,
+          contentId: item.contentId,
+          title: content ? content.title : null,
+          couponCode: item.couponCode,
+          currency: targetCurrency,
+          error: error.message
+        });
+      }
+    }
+
+    return lines;
+  }
+
+  async priceItem(userId, item, content, currency) {
+    if (!content) {
+      throw this.error(`${item.contentType} not found`, 404);
+    }
+
+    const choice = { tierId: item.pricingTierId || null, amount: item.chosenAmount };
+    const pricing = await contentPricingService.resolvePrice(item.contentType, content, choice);
+
+    this.assertPurchasable(userId, item.contentType, content, pricing.price);
+    await this.assertNotOwned(userId, item.contentType, item.contentId);
+
+    const baseCurrency = content.currency || 'NGN';
+    const basePrice = pricing.price;
+    const exchangeRateSnapshot = currency !== baseCurrency
+      ? this.paymentRoutingService.conversionService.getRateSnapshot(baseCurrency, currency)
+      : null;
+    let originalPrice = exchangeRateSnapshot
+      ? this.paymentRoutingService.conversionService.convert(basePrice, baseCurrency, currency, exchangeRateSnapshot)
+      : basePrice;
+
+    let coupon = null;
+    if (item.couponCode) {
+      coupon = await this.paymentRoutingService.couponService.validateCoupon(
+        item.couponCode,
+        item.contentType,
+        item.contentId,
+        userId,
+        currency,
+        choice
+      );
+
+      if (!coupon.valid) {
+        throw this.error(coupon.error, 400);
+      }
+
+      originalPrice = coupon.originalPrice;
+    }
+
+    const amount = coupon ? coupon.finalPrice : originalPrice;
+
+    return {
+      cartItemId: item.id,
+      contentType: item.contentType,
+      contentId: item.contentId,
+      creatorId: content.userId || null,
+      title: pricing.tierName
+        ? `${content.title || `${item.contentType} purchase`} (${pricing.tierName})`
+        : content.title || `${item.contentType} purchase`,
+      pricingTierId: pricing.pricingTierId,
+      currency,
+      originalPrice: this.round(originalPrice),
+      discountAmount: coupon ? this.round(coupon.discountAmount) : 0,
+      amount: this.round(amount),
+      couponId: coupon ? coupon.coupon.id : null,
+      couponCode: coupon ? coupon.coupon.code : null,
+      partnerCommission: coupon && coupon.partnerCommission ? this.round(coupon.partnerCommission) : null,
+      couponPartnerUserId: coupon ? coupon.coupon.partnerUserId : null,
+      exchangeRateSnapshot: exchangeRateSnapshot ? { ...exchangeRateSnapshot, baseAmount: basePrice } : null
+    };
+  }
+
+  summarize(lines) {
+    const priced = lines.filter(line => !line.error);
+    const sum = field => this.round(priced.reduce((total, line) => total + line[field], 0));
+
+    return {
+      items: lines,
+      currency: lines[0].currency,
+      subtotal: sum('originalPrice'),
+      discountTotal: sum('discountAmount'),
+      total: sum('amount')
+    };
+  }
+
+  async initializePaystack(order, lines, email) {
+    try {
+      const response = await paystackClient.post('/transaction/initialize', {
+        email,
+        amount: this.walletService.convertToCents(order.getCardAmount(), order.currency),
+        currency: order.currency,
+        reference: order.reference,
+        metadata: {
+          type: 'order',
+          orderId: order.id,
+          userId: order.userId.toString(),
+          custom_fields: [
+            { display_name: 'Order', variable_name: 'order_reference', value: order.reference },
+            { display_name: 'Items', variable_name: 'items', value: lines.map(line => line.title).join(', ').slice(0, 250) }
+          ]
+        },
+        callback_url: `${process.env.CLIENT_URL}/orders/verify`
+      });
+
+      return {
+        gateway: 'paystack',
+        authorizationUrl: response.data.data.authorization_url,
+        accessCode: response.data.data.access_code,
+        reference: response.data.data.reference
+      };
+    } catch (error) {
+      console.error('[Order] Paystack initialization error:', error.response?.data || error.message);
+      throw this.error(error.response?.data?.message || 'Failed to initialize Paystack payment', 502);
+    }
+  }
+
+  async initializeStripe(order, lines, email) {
+    // A split order charges one line for whatever the wallet does not cover
+    const lineItems = parseFloat(order.walletAmount) > 0
+      ? [{
+        price_data: {
+          currency: order.currency.toLowerCase(),
+          product_data: {
+            name: `Order ${order.reference}`,
+            description: `${lines.map(line => line.title).join(', ').slice(0, 200)} (${order.walletAmount} ${order.currency} paid from wallet)`
+          },
+          unit_amount: this.walletService.convertToCents(order.getCardAmount(), order.currency)
+        },
+        quantity: 1
+      }]
+      // Stripe needs a positive price per line; fully discounted items ride along in the order
+      : lines.filter(line => line.amount > 0).map(line => ({
+        price_data: {
+          currency: order.currency.toLowerCase(),
+          product_data: {
+            name: line.title,
+            description: `Purchase access to ${line.contentType.replace('_', ' ')}`
+          },
+          unit_amount: this.walletService.convertToCents(line.amount, order.currency)
+        },
+        quantity: 1
+      }));
+
+    try {
+      const session = await stripeClient.checkout.sessions.create({
+        payment_method_types: ['card'],
+        line_items: lineItems,
+        mode: 'payment',
+        customer_email: email,
+        success_url: `${process.env.CLIENT_URL}/orders/verify?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${process.env.CLIENT_URL}/cart?cancelled=true`,
+        client_reference_id: order.userId.toString(),
+        metadata: {
+          type: 'order',
+          orderId: order.id,
+          orderReference: order.reference,
+          userId: order.userId.toString()
+        }
+      });
+
+      return {
+        gateway: 'stripe',
+        sessionId: session.id,
+        checkoutUrl: session.url,
+        reference: session.id
+      };
+    } catch (error) {
+      console.error('[Order] Stripe initialization error:', error.message);
+      throw this.error(error.message || 'Failed to initialize Stripe payment', 502);
+    }
+  }
+
+  // ─── Verification and fulfilment ──────────────────────────────────────────
+
+  /**
+   * Verify an order's payment with its gateway and fulfil it
+   * @param {number} userId - Buyer
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} { order, alreadyProcessed }
+   */
+  async verifyOrder(userId, orderId) {
+    const order = await Order.findOne({ where: { id: orderId, userId } });
+    if (!order) {
+      throw this.error('Order not found', 404);
+    }
+
+    if (order.status !== 'pending') {
+      return { order: await this.getOrder(userId, order.id), alreadyProcessed: true };
+    }
+
+    if (!order.gatewayReference) {
+      throw this.error('Order has no payment to verify', 400);
+    }
+
+    const verification = order.paymentGateway === 'paystack'
+      ? await this.paymentRoutingService.verifyPaystackPayment(order.gatewayReference)
+      : await this.paymentRoutingService.verifyStripePayment(order.gatewayReference);
+
+    if (!verification.success) {
+      throw this.error(verification.message || 'Payment not completed', 402);
+    }
+
+    const result = await this.handleGatewayPayment(order.paymentGateway, verification.data);
+    return { order: await this.getOrder(userId, order.id), alreadyProcessed: result.alreadyProcessed };
+  }
+
+  /**
+   * Fulfil an order from a successful Paystack charge or Stripe Checkout
+   * Session (webhook or verify endpoint)
+   * @param {string} gateway - paystack | stripe
+   * @param {Object} paymentData - Paystack transaction or Stripe session
+   */
+  async handleGatewayPayment(gateway, paymentData) {
+    const orderId = paymentData.metadata && paymentData.metadata.orderId;
+    const amountPaid = gateway === 'paystack' ? paymentData.amount : paymentData.amount_total;
+
+    return this.fulfilOrder(orderId, {
+      amountPaid: this.walletService.convertFromCents(parseInt(amountPaid) || 0, paymentData.currency.toUpperCase()),
+      currency: paymentData.currency.toUpperCase(),
+      gatewayReference: gateway === 'paystack' ? paymentData.reference : paymentData.id
+    });
+  }
+
+  /**
+   * Turn a paid order into purchases and payouts. Runs once per order: the
+   * order row is locked and replays return the existing result.
+   * @param {string} orderId - Order ID
+   * @param {Object} payment - amountPaid (major units), currency, gatewayReference
+   * @returns {Promise<Object>} { order, purchases, alreadyProcessed }
+   */
+  async fulfilOrder(orderId, { amountPaid, currency, gatewayReference = null }) {
+    const order = await Order.findByPk(orderId, {
+      include: [{ model: OrderItem, as: 'items' }],
+      order: [[{ model: OrderItem, as: 'items' }, 'position', 'ASC']]
+    });
+
+    if (!order) {
+      throw this.error('Order not found', 404);
+    }
+
+    if (order.status === 'paid') {
+      return { order, purchases: [], alreadyProcessed: true };
+    }
+
+    if (gatewayReference && order.gatewayReference && gatewayReference !== order.gatewayReference) {
+      throw this.error(`Payment ${gatewayReference} does not belong to order ${order.reference}`, 409);
+    }
+
+    // The gateway only charged what the wallet did not cover
+    const expected = this.walletService.convertToCents(order.getCardAmount(), order.currency);
+    const paid = this.walletService.convertToCents(amountPaid, order.currency);
+
+    if (currency !== order.currency || paid !== expected) {
+      const walletNote = parseFloat(order.walletAmount) > 0 ? ` less ${order.walletAmount} from the wallet` : '';
+      const reason = `Paid ${amountPaid} ${currency} but order total is ${order.total} ${order.currency}${walletNote}`;
+      await order.update({ status: 'failed', failureReason: reason });
+      await this.releaseWalletHold(order.id, { status: 'failed', reason });
+      console.error(`[Order] ${order.reference}: ${reason}`);
+      return { order, purchases: [], alreadyProcessed: false };
+    }
+
+    // Fees are resolved before the transaction, as for single purchases
+    const fees = await Promise.all(order.items.map(item => item.creatorId
+      ? feeScheduleService.resolveFee({
+        creatorId: item.creatorId,
+        contentType: item.contentType,
+        currency: order.currency,
+        amount: parseFloat(item.amount)
+      })
+      : null
+    ));
+
+    const transaction = await sequelize.transaction();
+    const purchases = [];
+
+    try {
+      const locked = await Order.findByPk(order.id, { lock: transaction.LOCK.UPDATE, transaction });
+      if (locked.status === 'paid') {
+        await transaction.rollback();
+        return { order: locked, purchases: [], alreadyProcessed: true };
+      }
+
+      // Buyer's wallet share is debited in the same transaction as the payouts
+      await this.captureWallet(locked, transaction);
+
+      for (let i = 0; i < order.items.length; i++) {
+        purchases.push(await this.fulfilItem(order, order.items[i], fees[i], transaction));
+      }
+
+      await locked.update({
+        status: 'paid',
+        paidAt: new Date(),
+        gatewayReference: gatewayReference || locked.gatewayReference,
+        walletStatus: parseFloat(locked.walletAmount) > 0 ? 'captured' : locked.walletStatus,
+        failureReason: null
+      }, { transaction });
+
+      await CartItem.destroy({
+        where: {
+          userId: order.userId,
+          [Op.or]: order.items.map(item => ({ contentType: item.contentType, contentId: item.contentId }))
+        },
+        transaction
+      });
+
+      await Transaction.create({
+        userId: order.userId,
+        transactionType: 'purchase',
+        amount: parseFloat(order.total),
+        currency: order.currency,
+        referenceType: 'order',
+        referenceId: order.id,
+        description: `Order ${order.reference} (${order.items.length} items) via ${order.paymentGateway}`,
+        metadata: {
+          reference: order.reference,
+          gatewayReference: gatewayReference || order.gatewayReference,
+          gateway: order.paymentGateway,
+          walletAmount: parseFloat(order.walletAmount)
+        }
+      }, { transaction });
+
+      transaction.afterCommit(() => this.notifyOrder(order).catch(emailError => {
+        console.error('[Order] Email notification error:', emailError.message);
+      }));
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error(`[Order] Failed to fulfil order ${order.reference}:`, error);
+      throw error;
+    }
+
+    await order.reload();
+    console.log(`[Order] Fulfilled ${order.reference}: ${purchases.length} purchases, ${order.total} ${order.currency}`);
+
+    return { order, purchases, alreadyProcessed: false };
+  }
+
+  /**
+   * Purchase, coupon usage, access and wallet credits for one order item
+   */
+  async fulfilItem(order, item, fee, transaction) {
+    const reference = order.getItemReference(item.position);
+    const amount = parseFloat(item.amount);
+    const partnerCommission = item.partnerCommission ? parseFloat(item.partnerCommission) : null;
+    const gateway = order.paymentGateway;
+
+    const purchase = await Purchase.create({
+      userId: order.userId,
+      contentType: item.contentType,
+      contentId: item.contentId,
+      amount,
+      currency: order.currency,
+      paymentGateway: gateway,
+      paymentReference: reference,
+      paymentStatus: 'completed',
+      couponId: item.couponId,
+      pricingTierId: item.pricingTierId,
+      exchangeRateSnapshot: item.exchangeRateSnapshot,
+      orderId: order.id,
+      creatorId: item.creatorId,
+      platformFee: fee ? fee.platformFee : 0,
+      feeScheduleId: fee ? fee.feeScheduleId : null,
+      feeRule: fee ? fee.rule : null
+    }, { transaction });
+
+    await item.update({ purchaseId: purchase.id }, { transaction });
+
+    if (item.couponId) {
+      await this.paymentRoutingService.couponService.recordCouponUsage({
+        couponId: item.couponId,
+        userId: order.userId,
+        purchaseId: purchase.id,
+        originalPrice: parseFloat(item.originalPrice),
+        discountAmount: parseFloat(item.discountAmount),
+        finalPrice: amount,
+        partnerCommissionAmount: partnerCommission,
+        contentType: item.contentType,
+        contentId: item.contentId,
+        currency: order.currency
+      }, transaction);
+    }
+
+    if (item.contentType === 'freebie') {
+      const { FreebieAccess } = require('../models/freebieIndex');
+      await FreebieAccess.findOrCreate({
+        where: { userId: order.userId, freebieId: item.contentId },
+        defaults: {
+          userId: order.userId,
+          freebieId: item.contentId,
+          purchaseReference: reference,
+          amountPaid: amount,
+          currency: order.currency,
+          couponId: item.couponId,
+          pricingTierId: item.pricingTierId
+        },
+        transaction
+      });
+    }
+
+    if (!item.creatorId || amount <= 0) {
+      return purchase;
+    }
+
+    // Referral commission is skipped when a coupon partner already earns on the item
+    const referral = item.couponPartnerUserId
+      ? null
+      : await this.paymentRoutingService._resolveReferralCommission({
+        buyerUserId: order.userId,
+        purchaseId: purchase.id,
+        amount
+      });
+
+    const creatorEarnings = Math.max(this.round(fee.creatorNet - (partnerCommission || 0) - (referral ? referral.commissionAmount : 0)), 0);
+    const saleMetadata = {
+      purchaseId: purchase.id,
+      orderId: order.id,
+      buyerUserId: order.userId,
+      contentType: item.contentType,
+      contentId: item.contentId,
+      gateway
+    };
+
+    await this.creditWallet({
+      userId: item.creatorId,
+      currency: order.currency,
+      amount: creatorEarnings,
+      reference,
+      description: `Earnings from ${item.contentType} purchase`,
+      exchangeRateSnapshot: item.exchangeRateSnapshot,
+      ledger: { platformFee: fee.platformFee },
+      metadata: {
+        ...saleMetadata,
+        couponApplied: !!item.couponId,
+        platformFee: fee.platformFee,
+        referralCommissionDeducted: referral ? referral.commissionAmount : 0
+      }
+    }, transaction);
+
+    if (partnerCommission && item.couponPartnerUserId) {
+      await this.creditWallet({
+        userId: item.couponPartnerUserId,
+        currency: order.currency,
+        amount: partnerCommission,
+        reference: `PARTNER-${reference}`,
+        description: `Partner commission from ${item.contentType} purchase`,
+        exchangeRateSnapshot: item.exchangeRateSnapshot,
+        ledger: { entryType: 'commission' },
+        metadata: { ...saleMetadata, creatorId: item.creatorId }
+      }, transaction);
+    }
+
+    if (referral) {
+      await this.creditWallet({
+        userId: referral.partnerUserId,
+        currency: order.currency,
+        amount: referral.commissionAmount,
+        reference: `REFERRAL-${purchase.id}`,
+        description: `Referral commission from order ${order.reference}`,
+        exchangeRateSnapshot: item.exchangeRateSnapshot,
+        ledger: { entryType: 'commission', gateway },
+        metadata: { ...saleMetadata, creatorUserId: order.userId, creatorId: item.creatorId }
+      }, transaction);
+
+      await this.paymentRoutingService._recordReferralCommission({
+        buyerUserId: order.userId,
+        purchaseId: purchase.id,
+        amount,
+        currency: order.currency,
+        contentType: item.contentType,
+        contentId: item.contentId,
+        commissionAmount: referral.commissionAmount,
+        commissionPercent: referral.commissionPercent,
+        partnerUserId: referral.partnerUserId,
+        userReferral: referral.userReferral,
+        transaction
+      });
+    }
+
+    return purchase;
+  }
+
+  /**
+   * Credit a wallet inside the order's transaction, with its ledger journal
+   */
+  async creditWallet({ userId, currency, amount, reference, description, metadata, exchangeRateSnapshot = null, ledger = {} }, transaction) {
+    if (!(amount > 0)) return;
+
+    let wallet = await WalletAccount.findOne({
+      where: { user_id: userId, currency },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!wallet) {
+      wallet = await databaseTransactionService.createWalletInTransaction(userId, currency, transaction);
+    }
+
+    const cents = this.walletService.convertToCents(amount, currency);
+
+    await databaseTransactionService.updateWalletBalance(
+      wallet,
+      cents,
+      0,
+      transaction,
+      this.walletService.buildLedgerPosting({ reference, description, metadata, ledger })
+    );
+
+    await this.walletService.logWalletTransaction({
+      walletId: wallet.id,
+      type: 'credit',
+      amount: cents,
+      currency,
+      reference,
+      description,
+      metadata: { ...metadata, currency },
+      gateway: metadata.gateway || null,
+      exchangeRateSnapshot,
+      status: 'completed',
+      transaction
+    });
+  }
+
+  // ─── Wallet funding ───────────────────────────────────────────────────────
+
+  /**
+   * Validate the wallet share of an order against the buyer's balance
+   * @param {number} userId - Buyer
+   * @param {Object} summary - Order summary (currency, total)
+   * @param {number|null} walletAmount - Requested wallet share
+   * @returns {Promise<number>} Wallet share in major units (0 for card only)
+   */
+  async resolveWalletAmount(userId, summary, walletAmount) {
+    if (walletAmount === null || walletAmount === undefined || walletAmount === '' || summary.total === 0) {
+      return 0;
+    }
+
+    const amount = this.round(parseFloat(walletAmount));
+    if (!(amount >= 0) || amount > summary.total) {
+      throw this.error(`walletAmount must be between 0 and ${summary.total} ${summary.currency}`, 400);
+    }
+
+    if (amount === 0) {
+      return 0;
+    }
+
+    const wallet = await WalletAccount.findOne({ where: { user_id: userId, currency: summary.currency } });
+    const available = wallet ? parseInt(wallet.balance_available) || 0 : 0;
+
+    if (available < this.walletService.convertToCents(amount, summary.currency)) {
+      const balance = this.walletService.convertFromCents(available, summary.currency);
+      throw this.error(`Insufficient ${summary.currency} wallet balance: ${balance} available, ${amount} needed`, 402);
+    }
+
+    return amount;
+  }
+
+  /**
+   * Lock a split order's wallet share in escrow while the card payment is pending
+   */
+  async holdWallet(order) {
+    const cents = this.walletService.convertToCents(parseFloat(order.walletAmount), order.currency);
+
+    try {
+      await databaseTransactionService.executeWalletOperation(order.userId, order.currency, async (wallet, transaction) => {
+        await databaseTransactionService.updateWalletBalance(wallet, -cents, cents, transaction, {
+          entryType: 'wallet_hold',
+          reference: order.getWalletReference(),
+          description: `Wallet funds held for order ${order.reference}`
+        });
+
+        await order.update({ walletStatus: 'held' }, { transaction });
+      });
+    } catch (error) {
+      await order.update({ status: 'failed', failureReason: error.message });
+      if (error.message === 'Insufficient balance') {
+        throw this.error(`Insufficient ${order.currency} wallet balance`, 402);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Debit the buyer's wallet share inside the fulfilment transaction: from
+   * the escrow hold for split orders, or straight from the available balance
+   * for wallet-only orders and holds that were already released
+   */
+  async captureWallet(order, transaction) {
+    const walletAmount = parseFloat(order.walletAmount);
+    if (!(walletAmount > 0)) return;
+
+    const wallet = await WalletAccount.findOne({
+      where: { user_id: order.userId, currency: order.currency },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!wallet) {
+      throw this.error(`No ${order.currency} wallet found for order ${order.reference}`, 402);
+    }
+
+    const cents = this.walletService.convertToCents(walletAmount, order.currency);
+    const held = order.walletStatus === 'held';
+    const reference = order.getWalletReference();
+    const description = `Payment for order ${order.reference}`;
+    const metadata = { orderId: order.id, orderReference: order.reference, gateway: order.paymentGateway };
+
+    try {
+      await databaseTransactionService.updateWalletBalance(
+        wallet,
+        held ? 0 : -cents,
+        held ? -cents : 0,
+        transaction,
+        this.walletService.buildLedgerPosting({
+          reference,
+          description,
+          metadata,
+          ledger: { entryType: 'purchase', gateway: order.paymentGateway }
+        })
+      );
+    } catch (error) {
+      if (error.message.startsWith('Insufficient')) {
+        throw this.error(`Insufficient ${order.currency} wallet balance to pay ${walletAmount} ${order.currency} for order ${order.reference}`, 402);
+      }
+      throw error;
+    }
+
+    await this.walletService.logWalletTransaction({
+      walletId: wallet.id,
+      type: 'debit',
+      amount: cents,
+      currency: order.currency,
+      reference,
+      description,
+      metadata: { ...metadata, currency: order.currency },
+      gateway: order.paymentGateway,
+      status: 'completed',
+      transaction
+    });
+  }
+
+  /**
+   * Return a held wallet share to the available balance and close the order
+   * @param {string} orderId - Order ID
+   * @param {Object} options - status (failed | cancelled) and reason
+   * @returns {Promise<boolean>} Whether a hold was released
+   */
+  async releaseWalletHold(orderId, { status = 'cancelled', reason = null } = {}) {
+    return databaseTransactionService.executeWithTransaction(async (transaction) => {
+      const order = await Order.findByPk(orderId, { lock: transaction.LOCK.UPDATE, transaction });
+      if (!order || order.walletStatus !== 'held') {
+        return false;
+      }
+
+      const wallet = await WalletAccount.findOne({
+        where: { user_id: order.userId, currency: order.currency },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      const cents = this.walletService.convertToCents(parseFloat(order.walletAmount), order.currency);
+
+      await databaseTransactionService.updateWalletBalance(wallet, cents, -cents, transaction, {
+        entryType: 'wallet_release',
+        reference: order.getWalletReference(),
+        description: `Wallet hold released for order ${order.reference}`
+      });
+
+      await order.update({
+        walletStatus: 'released',
+        status: order.status === 'pending' ? status : order.status,
+        failureReason: reason || order.failureReason
+      }, { transaction });
+
+      console.log(`[Order] Released ${order.walletAmount} ${order.currency} wallet hold for ${order.reference}`);
+      return true;
+    });
+  }
+
+  /**
+   * Cancel split orders whose card payment never arrived and release their
+   * wallet holds (cron). A card payment that clears later is still fulfilled
+   * if the wallet can cover its share at that point.
+   * @returns {Promise<number>} Number of holds released
+   */
+  async releaseExpiredWalletHolds() {
+    const cutoff = new Date(Date.now() - this.config.walletHoldMinutes * 60 * 1000);
+
+    const orders = await Order.findAll({
+      where: {
+        walletStatus: 'held',
+        status: 'pending',
+        createdAt: { [Op.lt]: cutoff }
+      },
+      attributes: ['id']
+    });
+
+    let released = 0;
+    for (const order of orders) {
+      try {
+        if (await this.releaseWalletHold(order.id, { status: 'cancelled', reason: 'Card payment not completed in time' })) {
+          released++;
+        }
+      } catch (error) {
+        console.error(`[Order] Failed to release wallet hold for order ${order.id}:`, error.message);
+      }
+    }
+
+    if (released > 0) {
+      console.log(`[Order] Released ${released} expired wallet holds`);
+    }
+
+    return released;
+  }
+
+  /**
+   * Receipt to the buyer and a sale notice to each creator
+   */
+  async notifyOrder(order) {
+    const { sendPurchaseConfirmationEmail, sendSaleNotificationEmail } = require('../utils/email');
+    const User = require('../models/User');
+
+    const buyer = await User.findByPk(order.userId, { attributes: ['email', 'firstname'] });
+    if (!buyer) return;
+
+    for (const item of order.items) {
+      await sendPurchaseConfirmationEmail(buyer.email, buyer.firstname, item.title, parseFloat(item.amount), order.currency);
+
+      if (item.creatorId) {
+        const creator = await User.findByPk(item.creatorId, { attributes: ['email', 'firstname'] });
+        if (creator) {
+          await sendSaleNotificationEmail(creator.email, creator.firstname, item.title, buyer.firstname, parseFloat(item.amount), order.currency);
+        }
+      }
+    }
+  }
+
+  // ─── Orders ───────────────────────────────────────────────────────────────
+
+  /**
+   * List a user's orders, newest first
+   */
+  async getOrders(userId, { status = null, limit = 20, offset = 0 } = {}) {
+    const where = { userId };
+    if (status) where.status = status;
+
+    const { count, rows } = await Order.findAndCountAll({
+      where,
+      include: [{ model: OrderItem, as: 'items' }],
+      order: [['createdAt', 'DESC'], [{ model: OrderItem, as: 'items' }, 'position', 'ASC']],
+      limit,
+      offset,
+      distinct: true
+    });
+
+    return { total: count, orders: rows };
+  }
+
+  /**
+   * Get one of a user's orders with its items
+   */
+  async getOrder(userId, orderId) {
+    const order = await Order.findOne({
+      where: { id: orderId, userId },
+      include: [{ model: OrderItem, as: 'items' }],
+      order: [[{ model: OrderItem, as: 'items' }, 'position', 'ASC']]
+    });
+
+    if (!order) {
+      throw this.error('Order not found', 404);
+    }
+
+    return order;
+  }
+
+  // ─── Helpers ──────────────────────────────────────────────────────────────
+
+  assertPurchasable(userId, contentType, content, price = parseFloat(content.price)) {
+    if (content.userId && content.userId === userId) {
+      throw this.error(`You cannot purchase your own ${contentType.replace('_', ' ')}`, 400);
+    }
+
+    if (!(price > 0)) {
+      throw this.error('This content is free and does not need to be purchased', 400);
+    }
+  }
+
+  async assertNotOwned(userId, contentType, contentId) {
+    try {
+      await this.paymentRoutingService.validateNoDuplicatePurchase(userId, contentType, contentId);
+    } catch (error) {
+      throw this.error(error.message, 409);
+    }
+  }
+
+  normalizeCouponCode(couponCode) {
+    return couponCode ? String(couponCode).trim().toUpperCase() : null;
+  }
+
+  generateReference() {
+    return `ORD-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  error(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+  }
+}
+
+module.exports = new OrderService();
@@ -1,7 +1,11 @@
+const crypto = require('crypto');
 const { paystackClient } = require('../config/paystack');
 const { stripeClient } = require('../config/stripe');
 const MultiCurrencyWalletService = require('./multiCurrencyWalletService');
 const CurrencyConversionService = require('./currencyConversionService');
+const exchangeRateService = require('./exchangeRateService');
+const feeScheduleService = require('./feeScheduleService');
+const contentPricingService = require('./contentPricingService');
 const { idempotencyService } = require('./idempotencyService');
 const CouponService = require('./couponService');
 const Purchase = require('../models/Purchase');
@@ -35,13 +39,15 @@ class PaymentRoutingService {
         gateway: 'paystack',
         client: paystackClient,
         processor: this.processPaystackPayment.bind(this),
-        verifier: this.verifyPaystackPayment.bind(this)
+        verifier: this.verifyPaystackPayment.bind(this),
+        refunder: this.refundPaystackPayment.bind(this)
       },
       'USD': {
         gateway: 'stripe',
         client: stripeClient,
         processor: this.processStripePayment.bind(this),
-        verifier: this.verifyStripePayment.bind(this)
+        verifier: this.verifyStripePayment.bind(this),
+        refunder: this.refundStripePayment.bind(this)
       }
     };
 
@@ -64,17 +70,19 @@ class PaymentRoutingService {
    * @param {string} params.forceCurrency - Optional currency override
    * @param {string} params.couponCode - Optional coupon code (for live series)
    * @param {string} params.referralCode - Optional referral code
+   * @param {string} params.tierId - Pricing tier (tiered videos and freebies)
+   * @param {number} params.chosenAmount - Pay-what-you-want amount in the content's currency
    * @param {Object} params.metadata - Optional metadata (required for courses)
    * @returns {Promise<Object>} Payment initialization result
    */
-  async initializePayment({ userId, contentType, contentId, userEmail, idempotencyKey, forceCurrency = null, couponCode = null, referralCode = null, metadata = {} }) {
+  async initializePayment({ userId, contentType, contentId, userEmail, idempotencyKey, forceCurrency = null, couponCode = null, referralCode = null, tierId = null, chosenAmount = null, metadata = {} }) {
     try {
       // Validate idempotency
       const idempotencyResult = await this.idempotencyService.checkAndStore(
         idempotencyKey,
         userId,
         'payment_initialization',
-        { contentType, contentId, forceCurrency, couponCode, referralCode }
+        { contentType, contentId, forceCurrency, couponCode, referralCode, tierId, chosenAmount }
       );
 
       if (!idempotencyResult.isNew) {
@@ -101,7 +109,7 @@ class PaymentRoutingService {
       }
 
       // Determine currency and price for courses
-      let currency, amount, couponValidation = null;
+      let currency, amount, couponValidation = null, exchangeRateSnapshot = null, baseAmountBeforeConversion = null;
       if (contentType === 'course') {
         // ✅ For courses, use forced currency and price from metadata
         // Pricing is now managed by CoursePricingService via .env
@@ -116,7 +124,11 @@ class PaymentRoutingService {
       } else {
         // For videos, live classes, and live series - handle currency conversion
         const baseCurrency = contentDetails.currency || 'NGN';
-        let baseAmount = parseFloat(contentDetails.price);
+
+        // Tier or pay-what-you-want amount, checked against the content's pricing
+        const pricing = await contentPricingService.resolvePrice(contentType, contentDetails, { tierId, amount: chosenAmount });
+        let baseAmount = pricing.price;
+        metadata.pricingTierId = pricing.pricingTierId;
         
         // Apply coupon discount using new database-driven system
         if (couponCode) {
@@ -126,13 +138,14 @@ class PaymentRoutingService {
               contentType,
               contentId,
               userId,
-              forceCurrency || baseCurrency  // pass the target currency
+              forceCurrency || baseCurrency,  // pass the target currency
+              { tierId, amount: chosenAmount }
             );
             
             if (couponValidation.valid) {
               // Use the final price from coupon validation
               baseAmount = couponValidation.finalPrice;
-              console.log(`[Payment Routing] Coupon ${couponCode} applied: ${contentDetails.price} → ${baseAmount} ${baseCurrency}`);
+              console.log(`[Payment Routing] Coupon ${couponCode} applied: ${pricing.price} → ${baseAmount} ${baseCurrency}`);
               
               // Store coupon data for later use
               metadata.couponId = couponValidation.coupon.id;
@@ -155,11 +168,19 @@ class PaymentRoutingService {
         currency = forceCurrency || baseCurrency;
         this.walletService.validateCurrency(currency);
         
+        // Capture the rate for any cross-currency purchase, reusing the one the
+        // coupon service converted with when a coupon was applied
+        if (currency !== baseCurrency) {
+          exchangeRateSnapshot = (couponValidation && couponValidation.exchangeRateSnapshot)
+            || this.conversionService.getRateSnapshot(baseCurrency, currency);
+          baseAmountBeforeConversion = pricing.price;
+        }
+
         // Convert price if user selected different currency than content's base currency
         // Skip conversion if coupon already returned price in target currency
         if (currency !== baseCurrency && !couponValidation) {
-          amount = this.conversionService.convert(baseAmount, baseCurrency, currency);
-          console.log(`[Payment Routing] Currency conversion: ${baseAmount} ${baseCurrency} → ${amount} ${currency}`);
+          amount = this.conversionService.convert(baseAmount, baseCurrency, currency, exchangeRateSnapshot);
+          console.log(`[Payment Routing] Currency conversion: ${baseAmount} ${baseCurrency} → ${amount} ${currency} @ ${exchangeRateSnapshot.rate}`);
         } else {
           amount = baseAmount;
         }
@@ -188,7 +209,11 @@ class PaymentRoutingService {
             paymentGateway: gatewayForCurrency,
             paymentReference: `COUPON-${couponCode || 'FREE'}-${Date.now()}`,
             paymentStatus: 'completed',
-            couponId: metadata.couponId || null
+            couponId: metadata.couponId || null,
+            pricingTierId: metadata.pricingTierId || null,
+            exchangeRateSnapshot: exchangeRateSnapshot
+              ? { ...exchangeRateSnapshot, baseAmount: baseAmountBeforeConversion }
+              : null
           }, { transaction });
 
           // Record coupon usage if coupon was applied
@@ -266,7 +291,17 @@ class PaymentRoutingService {
           couponId: metadata.couponId || null,
           originalPrice: metadata.originalPrice || null,
           discountAmount: metadata.discountAmount || null,
-          partnerCommission: metadata.partnerCommission || null
+          partnerCommission: metadata.partnerCommission || null,
+          pricingTierId: metadata.pricingTierId || null,
+          // Course enrollment details, read back by the webhook
+          studentName: metadata.studentName || null,
+          studentEmail: metadata.studentEmail || null,
+          studentPhone: metadata.studentPhone || null,
+          accessType: metadata.accessType || null,
+          expiresAt: metadata.expiresAt || null,
+          ...(exchangeRateSnapshot
+            ? exchangeRateService.toGatewayMetadata(exchangeRateSnapshot, baseAmountBeforeConversion)
+            : {})
         }
       });
 
@@ -354,6 +389,23 @@ class PaymentRoutingService {
         };
       }
 
+      // Gift payments activate a code for the recipient; no purchase for the payer
+      if (paymentData.metadata.type === 'gift') {
+        const giftService = require('./giftService');
+        const { gift, alreadyProcessed } = await giftService.handleGatewayPayment(gatewayConfig.gateway, paymentData);
+        const result = {
+          success: true,
+          gift: giftService.serialize(gift),
+          alreadyProcessed,
+          currency,
+          gateway: gatewayConfig.gateway,
+          message: `Gift paid; the code was sent to ${gift.recipientEmail}`
+        };
+
+        await this.idempotencyService.storeResult(idempotencyKey, result, 'completed');
+        return result;
+      }
+
       // Check if already processed
       const existingPurchase = await Purchase.findOne({
         where: { paymentReference: reference }
@@ -462,6 +514,19 @@ class PaymentRoutingService {
           discountAmount: metadata.discountAmount ? metadata.discountAmount.toString() : null,
           partnerCommission: metadata.partnerCommission ? metadata.partnerCommission.toString() : null,
           couponPartnerUserId: metadata.couponPartnerUserId ? metadata.couponPartnerUserId.toString() : null,
+          pricingTierId: metadata.pricingTierId || null,
+          exchangeRate: metadata.exchangeRate || null,
+          exchangeRateIds: metadata.exchangeRateIds || null,
+          baseCurrency: metadata.baseCurrency || null,
+          baseAmount: metadata.baseAmount || null,
+          studentName: metadata.studentName || null,
+          studentEmail: metadata.studentEmail || null,
+          studentPhone: metadata.studentPhone || null,
+          accessType: metadata.accessType || null,
+          expiresAt: metadata.expiresAt || null,
+          // Gift payments activate a gift code instead of creating a purchase
+          type: metadata.type || null,
+          giftId: metadata.giftId || null,
           custom_fields: customFields
         },
         callback_url: `${process.env.CLIENT_URL}/payments/verify`
@@ -518,8 +583,25 @@ class PaymentRoutingService {
           originalPrice: metadata.originalPrice ? metadata.originalPrice.toString() : '',
           discountAmount: metadata.discountAmount ? metadata.discountAmount.toString() : '',
           partnerCommission: metadata.partnerCommission ? metadata.partnerCommission.toString() : '',
-          couponPartnerUserId: metadata.couponPartnerUserId ? metadata.couponPartnerUserId.toString() : ''
-        }
+          couponPartnerUserId: metadata.couponPartnerUserId ? metadata.couponPartnerUserId.toString() : '',
+          pricingTierId: metadata.pricingTierId || '',
+          exchangeRate: metadata.exchangeRate || '',
+          exchangeRateIds: metadata.exchangeRateIds || '',
+          baseCurrency: metadata.baseCurrency || '',
+          baseAmount: metadata.baseAmount || '',
+          studentName: metadata.studentName || '',
+          studentEmail: metadata.studentEmail || '',
+          studentPhone: metadata.studentPhone || '',
+          accessType: metadata.accessType || '',
+          expiresAt: metadata.expiresAt || '',
+          type: metadata.type || '',
+          giftId: metadata.giftId || ''
+        },
+        // Save the card so monthly/yearly course passes can auto-renew
+        ...(['monthly', 'yearly'].includes(metadata.accessType) && {
+          customer_creation: 'always',
+          payment_intent_data: { setup_future_usage: 'off_session' }
+        })
       });
 
       return {
@@ -584,6 +666,149 @@ class PaymentRoutingService {
     }
   }
 
+  /**
+   * Refund a completed purchase the way it was paid. The share paid from the
+   * wallet is not credited here: it comes back as `walletAmount` so the
+   * refund service can credit it in the same transaction as the clawback.
+   * The rest goes back through the gateway that took the card payment.
+   * @param {Object} params - Refund parameters
+   * @param {Object} params.purchase - Purchase record
+   * @param {number} params.amount - Amount to refund in currency units
+   * @param {string} params.reason - Optional note shown in the gateway dashboard
+   * @returns {Promise<Object>} { gateway, gatewayRefundId, status, walletAmount }
+   */
+  async refundPayment({ purchase, amount, reason = null }) {
+    const currency = purchase.currency;
+    this.walletService.validateCurrency(currency);
+
+    const Order = require('../models/Order');
+    const order = purchase.orderId
+      ? await Order.findByPk(purchase.orderId, { attributes: ['gatewayReference', 'walletAmount', 'total'] })
+      : null;
+
+    const walletAmount = this.getWalletRefundShare(purchase, order, amount);
+    const cardAmount = Math.round((amount - walletAmount) * 100) / 100;
+
+    if (cardAmount <= 0) {
+      const refundReference = `WREF-${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+      console.log(`[Payment Routing] Refunding ${walletAmount} ${currency} to wallet for purchase ${purchase.id}`);
+
+      return {
+        gateway: 'wallet',
+        gatewayRefundId: `wallet_refund_${refundReference}`,
+        status: 'processed',
+        walletAmount
+      };
+    }
+
+    const gatewayConfig = this.gatewayRouting[currency];
+    if (!gatewayConfig) {
+      throw new Error(`No gateway configuration found for currency: ${currency}`);
+    }
+
+    if (gatewayConfig.gateway !== purchase.paymentGateway) {
+      throw new Error(`Purchase was paid via ${purchase.paymentGateway} but ${currency} refunds route to ${gatewayConfig.gateway}`);
+    }
+
+    // Cart purchases were paid in one gateway transaction for the whole order
+    let reference = purchase.paymentReference;
+    if (purchase.orderId) {
+      if (!order || !order.gatewayReference) {
+        throw new Error(`No gateway payment found for order ${purchase.orderId}`);
+      }
+      reference = order.gatewayReference;
+    }
+
+    const walletNote = walletAmount > 0 ? ` (plus ${walletAmount} to wallet)` : '';
+    console.log(`[Payment Routing] Refunding ${cardAmount} ${currency} via ${gatewayConfig.gateway}${walletNote} for purchase ${purchase.id}`);
+
+    const refund = await gatewayConfig.refunder({
+      reference,
+      amount: cardAmount,
+      currency,
+      reason,
+      purchaseId: purchase.id
+    });
+
+    return { ...refund, walletAmount };
+  }
+
+  /**
+   * Part of a refund that goes back to the buyer's wallet. Split orders are
+   * refunded in the same proportion they were paid, so refunds across the
+   * order's items never return more to the wallet than it paid.
+   */
+  getWalletRefundShare(purchase, order, amount) {
+    if (purchase.paymentGateway === 'wallet') {
+      return amount;
+    }
+
+    const walletPaid = order ? parseFloat(order.walletAmount) || 0 : 0;
+    const total = order ? parseFloat(order.total) || 0 : 0;
+    if (!(walletPaid > 0) || !(total > 0)) {
+      return 0;
+    }
+
+    return Math.min(amount, Math.round(amount * (walletPaid / total) * 100) / 100);
+  }
+
+  /**
+   * Refund Paystack transaction
+   */
+  async refundPaystackPayment({ reference, amount, currency, reason, purchaseId }) {
+    try {
+      const response = await paystackClient.post('/refund', {
+        transaction: reference,
+        amount: Math.round(amount * 100), // Convert to kobo
+        currency: currency.toUpperCase(),
+        merchant_note: reason || `Refund for purchase ${purchaseId}`
+      });
+
+      const refund = response.data.data;
+      return {
+        gateway: 'paystack',
+        // Same format the refund.processed webhook uses, so the event is ignored as a replay
+        gatewayRefundId: `paystack_refund_${refund.id}`,
+        status: refund.status
+      };
+    } catch (error) {
+      console.error('[Payment Routing] Paystack refund error:', error.response?.data || error.message);
+      throw new Error(error.response?.data?.message || 'Failed to refund Paystack payment');
+    }
+  }
+
+  /**
+   * Refund Stripe checkout session payment
+   */
+  async refundStripePayment({ reference, amount, reason, purchaseId }) {
+    try {
+      const session = await stripeClient.checkout.sessions.retrieve(reference);
+
+      if (!session.payment_intent) {
+        throw new Error('Checkout session has no payment to refund');
+      }
+
+      const refund = await stripeClient.refunds.create({
+        payment_intent: session.payment_intent,
+        amount: Math.round(amount * 100), // Convert to cents
+        reason: 'requested_by_customer',
+        metadata: {
+          purchaseId: purchaseId.toString(),
+          note: reason || ''
+        }
+      });
+
+      return {
+        gateway: 'stripe',
+        gatewayRefundId: refund.id,
+        status: refund.status
+      };
+    } catch (error) {
+      console.error('[Payment Routing] Stripe refund error:', error.message);
+      throw new Error(error.message || 'Failed to refund Stripe payment');
+    }
+  }
+
   /**
    * Process successful payment and update multi-currency wallet
    */
@@ -655,6 +880,20 @@ class PaymentRoutingService {
         }
       }
 
+      // Tier bought, for tiered videos and freebies
+      const pricingTierId = paymentData.metadata.pricingTierId || null;
+
+      // Rate snapshot for purchases priced in a different currency
+      const exchangeRateSnapshot = await exchangeRateService.fromGatewayMetadata(paymentData.metadata, currency);
+
+      // Platform fee from the creator's fee schedule (courses have no individual creator)
+      const creatorId = contentType !== 'special_course'
+        ? await this.getContentCreatorId(contentType, contentId)
+        : null;
+      const fee = creatorId
+        ? await feeScheduleService.resolveFee({ creatorId, contentType, currency, amount })
+        : null;
+
       // Create purchase record
       const purchase = await Purchase.create({
         userId,
@@ -665,7 +904,13 @@ class PaymentRoutingService {
         paymentGateway: gateway,
         paymentReference: reference,
         paymentStatus: 'completed',
-        couponId: couponId
+        couponId: couponId,
+        pricingTierId,
+        exchangeRateSnapshot,
+        creatorId,
+        platformFee: fee ? fee.platformFee : 0,
+        feeScheduleId: fee ? fee.feeScheduleId : null,
+        feeRule: fee ? fee.rule : null
       }, { transaction });
 
       // Record coupon usage if coupon was applied
@@ -707,7 +952,8 @@ class PaymentRoutingService {
             purchaseReference: reference,
             amountPaid: amount,
             currency,
-            couponId: couponId || null
+            couponId: couponId || null,
+            pricingTierId
           }, { transaction });
         }
 
@@ -746,20 +992,23 @@ class PaymentRoutingService {
         });
       }
 
-      // Get content creator and credit their multi-currency wallet (skip for courses)
+      // Credit the content creator's multi-currency wallet (skip for courses)
       if (contentType !== 'special_course') {
-        const creatorId = await this.getContentCreatorId(contentType, contentId);
-        
         if (creatorId) {
+          // Determine creator earnings:
+          // 1. Deduct the platform fee from the fee schedule
+          // 2. Deduct coupon partner commission if applicable
+          // 3. Deduct referral commission if applicable (Option A: deducted at source)
+          let creatorEarnings = fee.creatorNet;
+
           try {
-            // Determine creator earnings:
-            // 1. Deduct coupon partner commission if applicable
-            // 2. Deduct referral commission if applicable (Option A: deducted at source)
-            let creatorEarnings = amount;
+            if (fee.platformFee > 0) {
+              console.log(`[Payment Routing] Platform fee applied (${fee.rule.name}): ${fee.platformFee} ${currency}`);
+            }
 
             if (partnerCommission) {
-              creatorEarnings = amount - partnerCommission;
-              console.log(`[Payment Routing] Coupon commission applied: Creator earnings = ${amount} - ${partnerCommission} = ${creatorEarnings} ${currency}`);
+              creatorEarnings = creatorEarnings - partnerCommission;
+              console.log(`[Payment Routing] Coupon commission applied: Creator earnings reduced by ${partnerCommission} ${currency} → ${creatorEarnings} ${currency}`);
             }
 
             if (referralInfo) {
@@ -767,25 +1016,33 @@ class PaymentRoutingService {
               console.log(`[Payment Routing] Referral commission applied: Creator earnings reduced by ${referralInfo.commissionAmount} ${currency} → ${creatorEarnings} ${currency}`);
             }
             
-            // Credit creator's wallet with earnings after all commissions
-            await this.walletService.creditWallet({
-              userId: creatorId,
-              currency,
-              amount: creatorEarnings,
-              reference,
-              description: `Earnings from ${contentType} purchase`,
-              metadata: {
-                purchaseId: purchase.id,
-                buyerUserId: userId,
-                contentType,
-                contentId,
-                gateway,
-                couponApplied: couponId ? true : false,
-                referralCommissionDeducted: referralInfo ? referralInfo.commissionAmount : 0
-              }
-            });
+            // A fixed fee plus commissions can exceed the sale; the creator then earns nothing
+            creatorEarnings = Math.max(Math.round(creatorEarnings * 100) / 100, 0);
 
-            console.log(`[Payment Routing] Credited ${creatorEarnings} ${currency} to creator ${creatorId}'s wallet`);
+            // Credit creator's wallet with earnings after all commissions
+            if (creatorEarnings > 0) {
+              await this.walletService.creditWallet({
+                userId: creatorId,
+                currency,
+                exchangeRateSnapshot,
+                amount: creatorEarnings,
+                reference,
+                description: `Earnings from ${contentType} purchase`,
+                ledger: { platformFee: fee.platformFee },
+                metadata: {
+                  purchaseId: purchase.id,
+                  buyerUserId: userId,
+                  contentType,
+                  contentId,
+                  gateway,
+                  couponApplied: couponId ? true : false,
+                  platformFee: fee.platformFee,
+                  referralCommissionDeducted: referralInfo ? referralInfo.commissionAmount : 0
+                }
+              });
+
+              console.log(`[Payment Routing] Credited ${creatorEarnings} ${currency} to creator ${creatorId}'s wallet`);
+            }
             
             // Credit coupon partner commission if applicable
             if (partnerCommission && couponPartnerUserId) {
@@ -793,9 +1050,11 @@ class PaymentRoutingService {
                 await this.walletService.creditWallet({
                   userId: couponPartnerUserId,
                   currency,
+                  exchangeRateSnapshot,
                   amount: partnerCommission,
                   reference: `PARTNER-${reference}`,
                   description: `Partner commission from ${contentType} purchase`,
+                  ledger: { entryType: 'commission' },
                   metadata: {
                     purchaseId: purchase.id,
                     buyerUserId: userId,
@@ -819,9 +1078,11 @@ class PaymentRoutingService {
                 await this.walletService.creditWallet({
                   userId: referralInfo.partnerUserId,
                   currency,
+                  exchangeRateSnapshot,
                   amount: referralInfo.commissionAmount,
                   reference: `REFERRAL-${purchase.id}`,
                   description: `Referral commission - ${buyer ? buyer.firstname + ' ' + buyer.lastname : userId}`,
+                  ledger: { entryType: 'commission', gateway },
                   metadata: {
                     purchaseId: purchase.id,
                     creatorUserId: userId,
@@ -860,23 +1121,22 @@ class PaymentRoutingService {
                 const { getOrCreateWallet } = require('./walletService');
                 await getOrCreateWallet(creatorId, currency);
                 
-                let creatorEarnings = amount;
-                if (partnerCommission) creatorEarnings = amount - partnerCommission;
-                if (referralInfo) creatorEarnings = creatorEarnings - referralInfo.commissionAmount;
-                
                 await this.walletService.creditWallet({
                   userId: creatorId,
                   currency,
+                  exchangeRateSnapshot,
                   amount: creatorEarnings,
                   reference,
                   description: `Earnings from ${contentType} purchase`,
+                  ledger: { platformFee: fee.platformFee },
                   metadata: {
                     purchaseId: purchase.id,
                     buyerUserId: userId,
                     contentType,
                     contentId,
                     gateway,
-                    couponApplied: couponId ? true : false
+                    couponApplied: couponId ? true : false,
+                    platformFee: fee.platformFee
                   }
                 });
                 
@@ -917,7 +1177,7 @@ class PaymentRoutingService {
     try {
       if (contentType === 'video') {
         return await Video.findByPk(contentId, {
-          attributes: ['id', 'title', 'price', 'currency', 'userId']
+          attributes: ['id', 'title', 'price', 'currency', 'userId', 'pricingMode', 'suggestedPrice']
         });
       } else if (contentType === 'live_class') {
         return await LiveClass.findByPk(contentId, {
@@ -931,7 +1191,7 @@ class PaymentRoutingService {
       } else if (contentType === 'freebie') {
         const Freebie = require('../models/Freebie');
         return await Freebie.findByPk(contentId, {
-          attributes: ['id', 'title', 'price', 'currency', 'userId']
+          attributes: ['id', 'title', 'price', 'currency', 'userId', 'pricingMode', 'suggestedPrice']
         });
       } else if (contentType === 'course') {        // ✅ For monthly/yearly access, contentId is null (all courses)
         if (!contentId) {
@@ -1106,9 +1366,10 @@ class PaymentRoutingService {
 
   /**
    * Record the referral commission after wallets have been credited/debited.
+   * Pass `transaction` to record it inside the caller's transaction.
    * Never throws.
    */
-  async _recordReferralCommission({ buyerUserId, purchaseId, amount, currency, contentType, contentId, commissionAmount, commissionPercent, partnerUserId, userReferral }) {
+  async _recordReferralCommission({ buyerUserId, purchaseId, amount, currency, contentType, contentId, commissionAmount, commissionPercent, partnerUserId, userReferral, transaction = null }) {
     try {
       const ReferralCommission = require('../models/ReferralCommission');
       const ReferralCode = require('../models/ReferralCode');
@@ -1125,12 +1386,13 @@ class PaymentRoutingService {
         contentType,
         contentId: contentId || null,
         purchasedAt: new Date()
-      });
+      }, { transaction });
 
       // Keep total_earnings on the referral_codes row in sync
       await ReferralCode.increment('totalEarnings', {
         by: commissionAmount,
-        where: { id: userReferral.referralCodeId }
+        where: { id: userReferral.referralCodeId },
+        transaction
       });
 
       console.log(`[PaymentRouting] Referral commission recorded: ${commissionAmount} ${currency} to partner ${partnerUserId}`);
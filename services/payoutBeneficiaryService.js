@@ -0,0 +1,382 @@
+const { Op } = require('sequelize');
+const CurrencyWithdrawalService = require('./currencyWithdrawalService');
+const Withdrawal2FAService = require('./withdrawal2FAService');
+const { sendBeneficiaryAddedEmail } = require('../utils/email');
+const { PayoutBeneficiary, User } = require('../models/walletIndex');
+const WithdrawalOTP = require('../models/WithdrawalOTP');
+
+const currencyWithdrawalService = new CurrencyWithdrawalService();
+const withdrawal2FAService = new Withdrawal2FAService();
+
+/**
+ * Payout Beneficiary Service
+ *
+ * Saved bank accounts for withdrawals:
+ * - addBeneficiary      → verifies the account (Paystack name resolution for
+ *                         NGN, format checks for USD) and emails an OTP
+ * - confirmBeneficiary  → checks the OTP, starts the security cooldown and
+ *                         creates the Paystack transfer recipient once
+ * - resolveForWithdrawal → used by withdrawal routes; only confirmed accounts
+ *                          past their cooldown can receive funds
+ *
+ * Removed accounts are kept (status 'removed') so past payouts still
+ * reference them.
+ */
+class PayoutBeneficiaryService {
+  constructor() {
+    const cooldownHours = parseFloat(process.env.BENEFICIARY_COOLDOWN_HOURS);
+
+    this.config = {
+      cooldownHours: Number.isFinite(cooldownHours) && cooldownHours >= 0 ? cooldownHours : 24,
+      maxPerUser: parseInt(process.env.BENEFICIARY_MAX_PER_USER) || 10,
+      // When true, withdrawals must name a saved beneficiary instead of raw bank details
+      requiredForWithdrawals: process.env.WITHDRAWAL_REQUIRE_BENEFICIARY === 'true'
+    };
+  }
+
+  /**
+   * List a user's saved beneficiaries
+   * @param {number} userId - User ID
+   * @param {Object} filters - currency
+   * @returns {Promise<PayoutBeneficiary[]>}
+   */
+  async getBeneficiaries(userId, { currency } = {}) {
+    const where = { userId, status: { [Op.ne]: 'removed' } };
+
+    if (currency) {
+      where.currency = String(currency).toUpperCase();
+    }
+
+    return PayoutBeneficiary.findAll({
+      where,
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Get one of a user's beneficiaries
+   * @param {number} userId - Owner user ID
+   * @param {string} beneficiaryId - Beneficiary ID
+   * @returns {Promise<PayoutBeneficiary>}
+   */
+  async getBeneficiary(userId, beneficiaryId) {
+    const beneficiary = await PayoutBeneficiary.findOne({ where: { id: beneficiaryId, userId } });
+
+    if (!beneficiary || beneficiary.status === 'removed') {
+      throw this.error('Beneficiary not found', 404);
+    }
+
+    return beneficiary;
+  }
+
+  /**
+   * Verify and save a bank account, then email a confirmation code
+   * @param {number} userId - User ID
+   * @param {Object} data - currency, nickname, bankCode, bankName, accountNumber, accountName, routingNumber, country
+   * @returns {Promise<Object>} { beneficiary, confirmation }
+   */
+  async addBeneficiary(userId, data) {
+    const currency = String(data.currency || '').toUpperCase();
+
+    if (!['NGN', 'USD'].includes(currency)) {
+      throw this.error('Currency must be NGN or USD', 400);
+    }
+
+    if (!data.accountNumber) {
+      throw this.error('Account number is required', 400);
+    }
+
+    const saved = await PayoutBeneficiary.count({
+      where: { userId, status: { [Op.ne]: 'removed' } }
+    });
+
+    if (saved >= this.config.maxPerUser) {
+      throw this.error(`You can save up to ${this.config.maxPerUser} bank accounts`, 400);
+    }
+
+    const duplicate = await PayoutBeneficiary.findOne({
+      where: {
+        userId,
+        currency,
+        accountNumber: data.accountNumber,
+        status: { [Op.ne]: 'removed' }
+      }
+    });
+
+    if (duplicate && (currency !== 'NGN' || duplicate.bankCode === data.bankCode)) {
+      throw this.error('This bank account is already saved', 409);
+    }
+
+    const account = await this.verifyAccount(currency, data);
+    const nickname = String(data.nickname || '').trim()
+      || `${account.bankName} ****${String(account.accountNumber).slice(-4)}`;
+
+    const beneficiary = await PayoutBeneficiary.create({
+      userId,
+      currency,
+      nickname: nickname.slice(0, 100),
+      ...account,
+      status: 'pending',
+      verifiedAt: new Date()
+    });
+
+    console.log(`[Payout Beneficiary] User ${userId} added ${currency} beneficiary ${beneficiary.id}`);
+
+    const confirmation = await this.sendConfirmation(beneficiary);
+
+    return { beneficiary, confirmation };
+  }
+
+  /**
+   * Email a new confirmation code for a pending beneficiary
+   * @param {number} userId - Owner user ID
+   * @param {string} beneficiaryId - Beneficiary ID
+   * @returns {Promise<Object>} Confirmation details
+   */
+  async resendConfirmation(userId, beneficiaryId) {
+    const beneficiary = await this.getBeneficiary(userId, beneficiaryId);
+
+    if (beneficiary.status !== 'pending') {
+      throw this.error('Beneficiary is already confirmed', 409);
+    }
+
+    const previous = beneficiary.confirmationId
+      ? await WithdrawalOTP.findOne({ where: { withdrawalId: beneficiary.confirmationId } })
+      : null;
+
+    if (previous) {
+      const elapsed = Date.now() - new Date(previous.createdAt).getTime();
+      const cooldown = withdrawal2FAService.config.otp.resendCooldown;
+
+      if (elapsed < cooldown) {
+        throw this.error(`Please wait ${Math.ceil((cooldown - elapsed) / 1000)} seconds before requesting a new code`, 429);
+      }
+
+      if (previous.status === 'pending') {
+        await previous.update({ status: 'failed' });
+      }
+    }
+
+    return this.sendConfirmation(beneficiary);
+  }
+
+  /**
+   * Confirm a beneficiary with the emailed code and start its cooldown
+   * @param {number} userId - Owner user ID
+   * @param {string} beneficiaryId - Beneficiary ID
+   * @param {string} code - OTP code
+   * @returns {Promise<PayoutBeneficiary>}
+   */
+  async confirmBeneficiary(userId, beneficiaryId, code) {
+    const beneficiary = await this.getBeneficiary(userId, beneficiaryId);
+
+    if (beneficiary.status !== 'pending') {
+      throw this.error('Beneficiary is already confirmed', 409);
+    }
+
+    const result = await withdrawal2FAService.verifyOTP(beneficiary.confirmationId, code, userId);
+
+    if (!result.success) {
+      const err = this.error(result.message, 400);
+      err.type = result.error;
+      throw err;
+    }
+
+    const now = new Date();
+    const updates = {
+      status: 'active',
+      confirmedAt: now,
+      cooldownEndsAt: new Date(now.getTime() + this.config.cooldownHours * 60 * 60 * 1000)
+    };
+
+    // Create the Paystack recipient once; withdrawals reuse it. If this fails
+    // the first payout creates it instead.
+    if (beneficiary.currency === 'NGN') {
+      const recipient = await currencyWithdrawalService.createPaystackRecipient(beneficiary.toBankDetails(), userId);
+      if (recipient.success) {
+        updates.paystackRecipientCode = recipient.recipientCode;
+      } else {
+        console.warn(`[Payout Beneficiary] Could not create Paystack recipient for ${beneficiary.id}: ${recipient.message}`);
+      }
+    }
+
+    await beneficiary.update(updates);
+
+    console.log(`[Payout Beneficiary] Beneficiary ${beneficiary.id} confirmed, usable from ${updates.cooldownEndsAt.toISOString()}`);
+
+    try {
+      await this.notifyAdded(beneficiary);
+    } catch (error) {
+      console.error('[Payout Beneficiary] Notification error:', error.message);
+    }
+
+    return beneficiary;
+  }
+
+  /**
+   * Rename a beneficiary
+   * @param {number} userId - Owner user ID
+   * @param {string} beneficiaryId - Beneficiary ID
+   * @param {Object} data - nickname
+   * @returns {Promise<PayoutBeneficiary>}
+   */
+  async updateBeneficiary(userId, beneficiaryId, { nickname }) {
+    const beneficiary = await this.getBeneficiary(userId, beneficiaryId);
+    const name = String(nickname || '').trim();
+
+    if (!name) {
+      throw this.error('Nickname is required', 400);
+    }
+
+    await beneficiary.update({ nickname: name.slice(0, 100) });
+    return beneficiary;
+  }
+
+  /**
+   * Remove a beneficiary; it can no longer receive withdrawals
+   * @param {number} userId - Owner user ID
+   * @param {string} beneficiaryId - Beneficiary ID
+   * @returns {Promise<PayoutBeneficiary>}
+   */
+  async removeBeneficiary(userId, beneficiaryId) {
+    const beneficiary = await this.getBeneficiary(userId, beneficiaryId);
+
+    await beneficiary.update({ status: 'removed', removedAt: new Date() });
+
+    console.log(`[Payout Beneficiary] User ${userId} removed beneficiary ${beneficiary.id}`);
+    return beneficiary;
+  }
+
+  /**
+   * Load a beneficiary for a withdrawal, enforcing confirmation and cooldown
+   * @param {number} userId - Owner user ID
+   * @param {string} beneficiaryId - Beneficiary ID
+   * @param {string} currency - Withdrawal currency
+   * @returns {Promise<PayoutBeneficiary>}
+   */
+  async resolveForWithdrawal(userId, beneficiaryId, currency) {
+    const beneficiary = await this.getBeneficiary(userId, beneficiaryId);
+
+    if (beneficiary.status !== 'active') {
+      throw this.error('Confirm this bank account before withdrawing to it', 403);
+    }
+
+    if (!beneficiary.isUsable()) {
+      const err = this.error(`New bank accounts can receive withdrawals from ${new Date(beneficiary.cooldownEndsAt).toISOString()}`, 403);
+      err.availableAt = beneficiary.cooldownEndsAt;
+      throw err;
+    }
+
+    if (currency && beneficiary.currency !== String(currency).toUpperCase()) {
+      throw this.error(`This beneficiary receives ${beneficiary.currency} withdrawals only`, 400);
+    }
+
+    return beneficiary;
+  }
+
+  /**
+   * Verify account details with the currency's gateway rules
+   * @param {string} currency - NGN or USD
+   * @param {Object} data - Submitted bank details
+   * @returns {Promise<Object>} Normalized account fields
+   */
+  async verifyAccount(currency, { bankCode, bankName, accountNumber, accountName, routingNumber, country }) {
+    if (currency === 'NGN') {
+      const validation = await currencyWithdrawalService.validateNigerianBankAccount({ accountNumber, bankCode });
+
+      if (!validation.valid) {
+        throw this.error(validation.message, 400);
+      }
+
+      const banks = await currencyWithdrawalService.getSupportedBanks('NGN');
+      const bank = Array.isArray(banks) ? banks.find(b => b.code === bankCode) : null;
+
+      return {
+        bankCode,
+        bankName: bank ? bank.name : (bankName || `Bank Code: ${bankCode}`),
+        accountNumber,
+        accountName: validation.accountName,
+        routingNumber: null,
+        country: 'NG',
+        verificationMethod: 'paystack_resolve'
+      };
+    }
+
+    const normalizedCountry = String(country || '').toUpperCase() || null;
+    const validation = currencyWithdrawalService.validateInternationalBankAccount({
+      accountNumber,
+      routingNumber,
+      country: normalizedCountry
+    });
+
+    if (!validation.valid) {
+      throw this.error(validation.message, 400);
+    }
+
+    if (!bankName || !accountName) {
+      throw this.error('Bank name and account holder name are required for USD accounts', 400);
+    }
+
+    return {
+      bankCode: null,
+      bankName,
+      accountNumber,
+      accountName,
+      routingNumber,
+      country: normalizedCountry,
+      verificationMethod: 'format_check'
+    };
+  }
+
+  /**
+   * Send the OTP for a pending beneficiary and remember its ID
+   * @param {PayoutBeneficiary} beneficiary - Pending beneficiary
+   * @returns {Promise<Object>} Confirmation details
+   */
+  async sendConfirmation(beneficiary) {
+    const user = await User.findByPk(beneficiary.userId, {
+      attributes: ['id', 'email', 'firstname']
+    });
+
+    if (!user) {
+      throw this.error('User not found', 404);
+    }
+
+    const confirmation = await withdrawal2FAService.initiateBeneficiaryConfirmation(beneficiary, user);
+    await beneficiary.update({ confirmationId: confirmation.confirmationId });
+
+    return confirmation;
+  }
+
+  /**
+   * Email the account owner that a beneficiary was confirmed
+   * @param {PayoutBeneficiary} beneficiary - Confirmed beneficiary
+   */
+  async notifyAdded(beneficiary) {
+    const user = await User.findByPk(beneficiary.userId);
+    if (!user) {
+      return;
+    }
+
+    await sendBeneficiaryAddedEmail(
+      user.email,
+      user.firstname,
+      `${beneficiary.bankName} ****${String(beneficiary.accountNumber).slice(-4)}`,
+      beneficiary.cooldownEndsAt
+    );
+  }
+
+  /**
+   * Build an error carrying an HTTP status code
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @returns {Error} Error
+   */
+  error(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+  }
+}
+
+module.exports = new PayoutBeneficiaryService();
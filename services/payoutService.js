@@ -1,6 +1,7 @@
 const { paystackClient } = require('../config/paystack');
 const { stripeClient } = require('../config/stripe');
 const Payout = require('../models/Payout');
+const PayoutBeneficiary = require('../models/PayoutBeneficiary');
 const { lockAmountForWithdrawal } = require('../services/walletService');
 
 const PLATFORM_FEE_PERCENTAGE = parseFloat(process.env.PLATFORM_FEE_PERCENTAGE) || 0.10;
@@ -46,7 +47,7 @@ function calculatePayoutFees(amount, gateway = 'paystack') {
  * @param {object} params - Withdrawal parameters
  * @returns {object} - Payout record
  */
-async function initiateWithdrawal({ userId, amount, currency = 'NGN', bankDetails, gateway = 'paystack' }) {
+async function initiateWithdrawal({ userId, amount, currency = 'NGN', bankDetails, gateway = 'paystack', beneficiaryId = null }) {
   try {
     const { bankName, bankCode, accountNumber, accountName } = bankDetails;
 
@@ -97,6 +98,7 @@ async function initiateWithdrawal({ userId, amount, currency = 'NGN', bankDetail
       bankName: finalBankName,
       accountNumber,
       accountName,
+      beneficiaryId,
       status: 'pending'
     });
 
@@ -127,32 +129,47 @@ async function processPaystackPayout(payoutId) {
       throw new Error('Payout already processed');
     }
 
-    // Get bankCode - either from the payout object (if just created) or derive from bankName
-    let bankCode = payout.bankCode;
-    
-    if (!bankCode) {
-      // Fallback: try to get bank code from bank name
-      bankCode = await getBankCode(payout.bankName);
-    }
+    // Saved beneficiaries keep their Paystack recipient, so it is only created once
+    const beneficiary = payout.beneficiaryId
+      ? await PayoutBeneficiary.findByPk(payout.beneficiaryId)
+      : null;
 
     console.log(`[Paystack Payout] Processing withdrawal for user ${payout.userId}: ${payout.netAmount} NGN`);
 
-    // Step 1: Create transfer recipient
-    console.log(`[Paystack Payout] Creating transfer recipient for account ${payout.accountNumber}`);
-    const recipientResponse = await paystackClient.post('/transferrecipient', {
-      type: 'nuban',
-      name: payout.accountName,
-      account_number: payout.accountNumber,
-      bank_code: bankCode,
-      currency: 'NGN'
-    });
+    let recipientCode = beneficiary ? beneficiary.paystackRecipientCode : null;
 
-    if (!recipientResponse.data.status) {
-      throw new Error(recipientResponse.data.message || 'Failed to create transfer recipient');
-    }
+    if (recipientCode) {
+      console.log(`[Paystack Payout] Using saved recipient ${recipientCode} for beneficiary ${beneficiary.id}`);
+    } else {
+      // Get bankCode - either from the payout object (if just created) or derive from bankName
+      let bankCode = (beneficiary && beneficiary.bankCode) || payout.bankCode;
+
+      if (!bankCode) {
+        // Fallback: try to get bank code from bank name
+        bankCode = await getBankCode(payout.bankName);
+      }
+
+      // Step 1: Create transfer recipient
+      console.log(`[Paystack Payout] Creating transfer recipient for account ${payout.accountNumber}`);
+      const recipientResponse = await paystackClient.post('/transferrecipient', {
+        type: 'nuban',
+        name: payout.accountName,
+        account_number: payout.accountNumber,
+        bank_code: bankCode,
+        currency: 'NGN'
+      });
+
+      if (!recipientResponse.data.status) {
+        throw new Error(recipientResponse.data.message || 'Failed to create transfer recipient');
+      }
 
-    const recipientCode = recipientResponse.data.data.recipient_code;
-    console.log(`[Paystack Payout] Recipient created: ${recipientCode}`);
+      recipientCode = recipientResponse.data.data.recipient_code;
+      console.log(`[Paystack Payout] Recipient created: ${recipientCode}`);
+
+      if (beneficiary) {
+        await beneficiary.update({ paystackRecipientCode: recipientCode });
+      }
+    }
 
     // Step 2: Initiate transfer
     console.log(`[Paystack Payout] Initiating transfer of ${payout.netAmount} NGN`);
@@ -0,0 +1,250 @@
+const { Op } = require('sequelize');
+const PlaybackPosition = require('../models/PlaybackPosition');
+const Video = require('../models/Video');
+const { LiveSeries, LiveSession } = require('../models/liveSeriesIndex');
+const liveSeriesService = require('./liveSeriesService');
+
+const CONTENT_TYPES = ['video', 'live_session'];
+const MAX_DURATION_SECONDS = 24 * 60 * 60;
+
+/**
+ * Playback Position Service
+ *
+ * Saves where a learner stopped in a video or live series session recording
+ * and hands it back so the player resumes there on any device:
+ *
+ * - The player saves its position periodically (and on pause / leave);
+ *   last write wins, one row per user and content item
+ * - An item is completed once the position passes
+ *   PLAYBACK_COMPLETION_PERCENT of its duration; completed items resume
+ *   from the start and drop off "continue watching"
+ * - "Continue watching" lists unfinished items played past
+ *   PLAYBACK_MIN_PROGRESS_SECONDS, most recently watched first
+ */
+class PlaybackPositionService {
+  constructor() {
+    this.config = {
+      minProgressSeconds: parseInt(process.env.PLAYBACK_MIN_PROGRESS_SECONDS, 10) || 10,
+      completionPercent: parseFloat(process.env.PLAYBACK_COMPLETION_PERCENT) || 95,
+      continueWatchingLimit: 20,
+      maxContinueWatchingLimit: 50
+    };
+  }
+
+  /**
+   * Save a playback position
+   * @param {Object} params
+   * @param {number} params.userId - Viewer
+   * @param {string} params.contentType - video | live_session
+   * @param {string} params.contentId - Video or session ID
+   * @param {number} params.position - Current position in seconds
+   * @param {number} params.duration - Media duration reported by the player
+   *   (used when the content has no known duration, e.g. session recordings)
+   * @returns {Promise<Object>} Saved position
+   */
+  async savePosition({ userId, contentType, contentId, position, duration }) {
+    if (!CONTENT_TYPES.includes(contentType)) {
+      throw this.error(`contentType must be one of: ${CONTENT_TYPES.join(', ')}`, 400);
+    }
+
+    const seconds = Number(position);
+    if (position === undefined || position === null || position === '' || !Number.isFinite(seconds) || seconds < 0) {
+      throw this.error('position must be a non-negative number of seconds', 400);
+    }
+
+    let reportedDuration = null;
+    if (duration !== undefined && duration !== null && duration !== '') {
+      reportedDuration = Number(duration);
+      if (!Number.isFinite(reportedDuration) || reportedDuration <= 0 || reportedDuration > MAX_DURATION_SECONDS) {
+        throw this.error('duration must be a positive number of seconds', 400);
+      }
+    }
+
+    const content = contentType === 'video'
+      ? await this.findVideo(contentId)
+      : await this.findSessionRecording(userId, contentId);
+
+    const existing = await PlaybackPosition.findOne({ where: { userId, contentType, contentId } });
+    const knownDuration = content.durationSeconds || reportedDuration || (existing && existing.durationSeconds);
+    const durationSeconds = knownDuration ? Math.floor(knownDuration) : null;
+    const positionSeconds = durationSeconds
+      ? Math.min(Math.floor(seconds), durationSeconds)
+      : Math.min(Math.floor(seconds), MAX_DURATION_SECONDS);
+
+    const values = {
+      positionSeconds,
+      durationSeconds,
+      completed: this.isCompleted(positionSeconds, durationSeconds),
+      lastWatchedAt: new Date()
+    };
+
+    const saved = existing
+      ? await existing.update(values)
+      : await PlaybackPosition.create({ userId, contentType, contentId, ...values });
+
+    return this.format(saved);
+  }
+
+  /**
+   * Saved position for one item, or null if the user never played it
+   */
+  async getPosition(userId, contentType, contentId) {
+    if (!userId) {
+      return null;
+    }
+    const position = await PlaybackPosition.findOne({ where: { userId, contentType, contentId } });
+    return position ? this.format(position) : null;
+  }
+
+  /**
+   * Partially watched videos and session recordings, most recent first.
+   * Items whose content was deleted or is no longer playable are skipped.
+   * @param {number} userId
+   * @param {Object} options
+   * @param {number} options.limit - Max items (default 20, max 50)
+   * @returns {Promise<Array>}
+   */
+  async getContinueWatching(userId, { limit } = {}) {
+    const max = Math.min(
+      parseInt(limit, 10) || this.config.continueWatchingLimit,
+      this.config.maxContinueWatchingLimit
+    );
+
+    // Keep paging past unplayable items until the shelf is full
+    const items = [];
+    for (let offset = 0; items.length < max; offset += max) {
+      const positions = await PlaybackPosition.findAll({
+        where: {
+          userId,
+          completed: false,
+          positionSeconds: { [Op.gte]: this.config.minProgressSeconds }
+        },
+        order: [['lastWatchedAt', 'DESC'], ['id', 'ASC']],
+        limit: max,
+        offset
+      });
+
+      items.push(...await this.hydrate(userId, positions));
+
+      if (positions.length < max) {
+        break;
+      }
+    }
+
+    return items.slice(0, max);
+  }
+
+  /**
+   * Attach video / session details to positions, dropping deleted content,
+   * videos that aren't playable and sessions without a recording
+   */
+  async hydrate(userId, positions) {
+    const idsOf = (type) => positions.filter(p => p.contentType === type).map(p => p.contentId);
+    const videoIds = idsOf('video');
+    const sessionIds = idsOf('live_session');
+
+    const videos = videoIds.length
+      ? await Video.findAll({
+        where: { id: videoIds },
+        attributes: ['id', 'userId', 'title', 'thumbnailUrl', 'durationSeconds', 'status', 'privacy']
+      })
+      : [];
+    const sessions = sessionIds.length
+      ? await LiveSession.findAll({
+        where: { id: sessionIds },
+        include: [{
+          model: LiveSeries,
+          as: 'series',
+          attributes: ['id', 'userId', 'title', 'thumbnailUrl']
+        }]
+      })
+      : [];
+
+    const videosById = new Map(videos.map(video => [video.id, video]));
+    const sessionsById = new Map(sessions.map(session => [session.id, session]));
+
+    return positions.map(position => {
+      if (position.contentType === 'video') {
+        const video = videosById.get(position.contentId);
+        if (!video || video.status !== 'ready') return null;
+        if (video.privacy === 'private' && video.userId !== userId) return null;
+
+        return {
+          contentType: 'video',
+          contentId: video.id,
+          title: video.title,
+          thumbnailUrl: video.thumbnailUrl,
+          creatorId: video.userId,
+          ...this.format(position)
+        };
+      }
+
+      const session = sessionsById.get(position.contentId);
+      if (!session || !session.recordingUrl || !session.series) return null;
+
+      return {
+        contentType: 'live_session',
+        contentId: session.id,
+        title: `${session.series.title} - Session ${session.sessionNumber}`,
+        thumbnailUrl: session.series.thumbnailUrl,
+        creatorId: session.series.userId,
+        series: { id: session.series.id, title: session.series.title },
+        sessionNumber: session.sessionNumber,
+        ...this.format(position)
+      };
+    }).filter(Boolean);
+  }
+
+  isCompleted(positionSeconds, durationSeconds) {
+    if (!durationSeconds) {
+      return false;
+    }
+    return (positionSeconds / durationSeconds) * 100 >= this.config.completionPercent;
+  }
+
+  format(position) {
+    const { positionSeconds, durationSeconds, completed } = position;
+    return {
+      positionSeconds,
+      durationSeconds,
+      completed,
+      resumeAt: completed ? 0 : positionSeconds,
+      percentWatched: durationSeconds
+        ? Math.min(100, Math.round((positionSeconds / durationSeconds) * 10000) / 100)
+        : null,
+      lastWatchedAt: position.lastWatchedAt
+    };
+  }
+
+  async findVideo(videoId) {
+    const video = await Video.findByPk(videoId);
+    if (!video) {
+      throw this.error('Video not found', 404);
+    }
+    return video;
+  }
+
+  async findSessionRecording(userId, sessionId) {
+    const session = await LiveSession.findByPk(sessionId);
+    if (!session) {
+      throw this.error('Session not found', 404);
+    }
+    if (!session.recordingUrl) {
+      throw this.error('This session has no recording yet', 409);
+    }
+    const hasAccess = await liveSeriesService.checkSeriesAccess(userId, session.seriesId);
+    if (!hasAccess) {
+      throw this.error('You do not have access to this session', 403);
+    }
+    // Recording length is only known to the player
+    return { id: session.id, durationSeconds: null };
+  }
+
+  error(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+  }
+}
+
+module.exports = new PlaybackPositionService();
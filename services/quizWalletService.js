@@ -1,6 +1,7 @@
 const sequelize = require('../config/db');
 const ChutaCoinTransaction = require('../models/ChutaCoinTransaction');
 const UserQuizStats = require('../models/UserQuizStats');
+const exchangeRateService = require('./exchangeRateService');
 
 /**
  * Quiz Wallet Service
@@ -15,7 +16,7 @@ const UserQuizStats = require('../models/UserQuizStats');
  * Currency System:
  * - 1 USD = 1 Morgan = 100 Chuta
  * - 1 Chuta = $0.01 USD (1 cent)
- * - 1 USD = 1400 NGN (from environment)
+ * - NGN amounts use the current rate from exchangeRateService
  */
 
 class QuizWalletService {
@@ -160,9 +161,10 @@ class QuizWalletService {
 
     // Convert to USD if NGN
     let usdAmount = amount;
+    let exchangeRateSnapshot = null;
     if (currency === 'NGN') {
-      const conversionRate = parseFloat(process.env.CURRENCY_CONVERSION_RATE_NGN_TO_USD);
-      usdAmount = amount / conversionRate;
+      exchangeRateSnapshot = exchangeRateService.getRateSnapshot('NGN', 'USD');
+      usdAmount = amount * exchangeRateSnapshot.rate;
     }
 
     // Convert USD to Chuta
@@ -177,7 +179,8 @@ class QuizWalletService {
         amount,
         reference: `quiz_purchase_${Date.now()}`,
         description: `Transfer to quiz wallet: ${chutaAmount} Chuta`,
-        metadata: { type: 'quiz_purchase', chutaAmount }
+        metadata: { type: 'quiz_purchase', chutaAmount },
+        exchangeRateSnapshot
       });
 
       // 2. Credit quiz wallet
@@ -189,7 +192,8 @@ class QuizWalletService {
           sourceAmount: amount,
           sourceCurrency: currency,
           usdAmount,
-          conversionRate: currency === 'NGN' ? process.env.CURRENCY_CONVERSION_RATE_NGN_TO_USD : 1,
+          conversionRate: exchangeRateSnapshot ? 1 / exchangeRateSnapshot.rate : 1,
+          exchangeRateSnapshot,
           description: `Purchased ${chutaAmount} Chuta from ${currency} wallet`
         },
         t
@@ -245,9 +249,10 @@ class QuizWalletService {
 
     // Convert to target currency if NGN
     let targetAmount = usdAmount;
+    let exchangeRateSnapshot = null;
     if (targetCurrency === 'NGN') {
-      const conversionRate = parseFloat(process.env.CURRENCY_CONVERSION_RATE_NGN_TO_USD) || 1400;
-      targetAmount = usdAmount * conversionRate;
+      exchangeRateSnapshot = exchangeRateService.getRateSnapshot('USD', 'NGN');
+      targetAmount = usdAmount * exchangeRateSnapshot.rate;
     }
 
     // Use database transaction for atomicity
@@ -263,7 +268,8 @@ class QuizWalletService {
           usdAmount,
           feeAmount,
           netChuta,
-          conversionRate: targetCurrency === 'NGN' ? process.env.CURRENCY_CONVERSION_RATE_NGN_TO_USD : 1,
+          conversionRate: exchangeRateSnapshot ? exchangeRateSnapshot.rate : 1,
+          exchangeRateSnapshot,
           description: `Withdrew ${chutaAmount} Chuta (${feeAmount} fee) to ${targetCurrency} wallet`
         },
         t
@@ -276,7 +282,8 @@ class QuizWalletService {
         amount: targetAmount,
         reference: `quiz_withdrawal_${Date.now()}`,
         description: `Withdrawal from quiz wallet: ${chutaAmount} Chuta`,
-        metadata: { type: 'quiz_withdrawal', chutaAmount, feeAmount }
+        metadata: { type: 'quiz_withdrawal', chutaAmount, feeAmount },
+        exchangeRateSnapshot
       });
 
       return {
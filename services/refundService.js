@@ -0,0 +1,966 @@
+const { Op } = require('sequelize');
+const { stripeClient } = require('../config/stripe');
+const databaseTransactionService = require('./databaseTransactionService');
+const MultiCurrencyWalletService = require('./multiCurrencyWalletService');
+const { Purchase, PurchaseRefund, WalletTransaction, WalletAccount } = require('../models/walletIndex');
+
+const walletService = new MultiCurrencyWalletService();
+
+// Reference prefixes used by paymentRoutingService.processSuccessfulPayment
+// when it credits each payee of a sale. The short role codes keep reversal
+// references inside the 50-char limit on financial_transactions.reference.
+const PAYEE_ROLES = {
+  creator: 'C',
+  coupon_partner: 'P',
+  referral_partner: 'R'
+};
+
+/**
+ * RefundService
+ *
+ * Reverses completed purchases when money goes back to the buyer:
+ * - applyRefund     → full or partial refund (gateway webhook or admin)
+ * - adminRefund     → admin refund: gateway call, clawback, audit log, emails
+ * - openDispute     → chargeback opened: revoke access, hold the clawback
+ * - resolveDispute  → chargeback closed: return the clawback (won) or finalise it (lost)
+ * - refundOrder, openOrderDispute, resolveOrderDispute → the same for a cart
+ *   order's single gateway charge, spread over its item purchases
+ *
+ * Clawbacks mirror the credits written at sale time, split pro-rata between
+ * the creator, coupon partner and referral partner. Whatever is left of the
+ * refund is absorbed by the platform's share of the sale.
+ */
+class RefundService {
+  /**
+   * Find the purchase a Paystack transaction reference belongs to.
+   *
+   * @param {string} reference
+   * @returns {Promise<Purchase|null>}
+   */
+  async findPurchaseByReference(reference) {
+    if (!reference) return null;
+    return Purchase.findOne({ where: { paymentReference: reference } });
+  }
+
+  /**
+   * Find the purchase behind a Stripe charge/dispute. Purchases store the
+   * Checkout Session ID, so resolve it from the payment intent.
+   *
+   * @param {string} paymentIntentId
+   * @returns {Promise<Purchase|null>}
+   */
+  async findStripePurchase(paymentIntentId) {
+    if (!paymentIntentId) return null;
+    return this.findPurchaseByReference(await this.findStripeReference(paymentIntentId));
+  }
+
+  /**
+   * Find the cart order a gateway reference belongs to. Cart items are
+   * stored as `<order reference>-<position>`, so events for the whole
+   * charge match no purchase, only the order.
+   *
+   * @param {string} reference - order reference (Paystack) or Checkout Session ID (Stripe)
+   * @returns {Promise<Order|null>}
+   */
+  async findOrderByReference(reference) {
+    if (!reference) return null;
+    const { Order } = require('../models/orderIndex');
+    return Order.findOne({ where: { [Op.or]: [{ reference }, { gatewayReference: reference }] } });
+  }
+
+  /**
+   * Resolve a Stripe payment intent to the reference our records store:
+   * the Checkout Session ID, or the intent itself for off-session charges.
+   *
+   * @param {string} paymentIntentId
+   * @returns {Promise<string|null>}
+   */
+  async findStripeReference(paymentIntentId) {
+    if (!paymentIntentId) return null;
+
+    const sessions = await stripeClient.checkout.sessions.list({
+      payment_intent: paymentIntentId,
+      limit: 1
+    });
+
+    const session = sessions.data && sessions.data[0];
+
+    // Off-session charges (course pass renewals) are stored under the PaymentIntent ID
+    return session ? session.id : paymentIntentId;
+  }
+
+  /**
+   * Refund part or all of a purchase.
+   *
+   * @param {object} params
+   * @param {Purchase} params.purchase
+   * @param {number} [params.amount]          - defaults to the remaining refundable amount
+   * @param {string} [params.source]          - 'gateway' | 'admin'
+   * @param {string} [params.gatewayRefundId] - used to ignore replayed webhooks
+   * @param {string} [params.reason]
+   * @param {number} [params.initiatedBy]     - admin user ID
+   * @param {object} [params.metadata]
+   * @param {number} [params.walletAmount]    - part of the refund credited to the buyer's wallet
+   * @returns {Promise<{ refund: PurchaseRefund, purchase: Purchase, alreadyProcessed?: boolean }>}
+   */
+  async applyRefund(params) {
+    const result = await databaseTransactionService.executeWithTransaction(
+      transaction => this._applyRefund(params, transaction)
+    );
+
+    if (!result.alreadyProcessed) {
+      const { refund, purchase } = result;
+      console.log(`[RefundService] Refunded ${refund.amount} ${purchase.currency} on purchase ${purchase.id} (${refund.source})`);
+    }
+    return result;
+  }
+
+  /**
+   * applyRefund inside a caller's transaction.
+   */
+  async _applyRefund({ purchase: stale, amount = null, source = 'gateway', gatewayRefundId = null, reason = null, initiatedBy = null, metadata = {}, walletAmount = 0 }, transaction) {
+    // Concurrent refunds of the same purchase queue here, so each one
+    // checks what is still refundable after the previous one committed
+    const purchase = await this._lockPurchase(stale.id, transaction);
+
+    if (gatewayRefundId) {
+      const existing = await PurchaseRefund.findOne({ where: { gatewayRefundId }, transaction });
+      if (existing) {
+        return { refund: existing, purchase, alreadyProcessed: true };
+      }
+    }
+
+    if (!['completed', 'disputed'].includes(purchase.paymentStatus)) {
+      const err = new Error(`Purchase is ${purchase.paymentStatus} and cannot be refunded`);
+      err.statusCode = 400;
+      throw err;
+    }
+
+    const refundable = purchase.getRefundableAmount();
+    const refundAmount = amount === null ? refundable : Math.round(parseFloat(amount) * 100) / 100;
+
+    if (!(refundAmount > 0)) {
+      const err = new Error('Refund amount must be greater than zero');
+      err.statusCode = 400;
+      throw err;
+    }
+
+    if (refundAmount > refundable) {
+      const err = new Error(`Refund amount exceeds refundable balance of ${refundable} ${purchase.currency}`);
+      err.statusCode = 400;
+      throw err;
+    }
+
+    if (walletAmount < 0 || walletAmount > refundAmount) {
+      const err = new Error(`Wallet share must be between 0 and ${refundAmount} ${purchase.currency}`);
+      err.statusCode = 400;
+      throw err;
+    }
+
+    const refund = await PurchaseRefund.create({
+      purchaseId: purchase.id,
+      amount: refundAmount,
+      currency: purchase.currency,
+      source,
+      status: 'processed',
+      gatewayRefundId,
+      reason,
+      initiatedBy,
+      metadata
+    }, { transaction });
+
+    const breakdown = await this._clawBack(purchase, refund, refundAmount, transaction);
+
+    // The buyer is only credited if the creator clawback commits with it
+    if (walletAmount > 0) {
+      await this._adjustWallet({
+        userId: purchase.userId,
+        currency: purchase.currency,
+        amount: walletService.convertToCents(walletAmount, purchase.currency),
+        type: 'credit',
+        reference: `WREF-${refund.id}`,
+        description: `Refund for purchase ${purchase.paymentReference}`,
+        metadata: { purchaseId: purchase.id, refundId: refund.id, reason, gateway: purchase.paymentGateway }
+      }, transaction);
+      breakdown.wallet = walletAmount;
+    }
+
+    const refundedAmount = Math.round((parseFloat(purchase.refundedAmount || 0) + refundAmount) * 100) / 100;
+    const fullyRefunded = refundedAmount >= parseFloat(purchase.amount);
+    const updates = { refundedAmount, refundedAt: new Date() };
+
+    let revokedAccess = null;
+    if (fullyRefunded) {
+      updates.paymentStatus = 'refunded';
+      revokedAccess = await this.revokeAccess(purchase, transaction);
+    }
+
+    await purchase.update(updates, { transaction });
+    await refund.update({
+      breakdown,
+      metadata: { ...metadata, revokedAccess }
+    }, { transaction });
+
+    return { refund, purchase };
+  }
+
+  /**
+   * Admin-initiated refund: send the money back through the gateway that
+   * took it, then reverse earnings, audit and notify both parties.
+   *
+   * @param {object} params
+   * @param {string} params.purchaseId
+   * @param {number} [params.amount] - partial amount, defaults to everything still refundable
+   * @param {string} [params.reason]
+   * @param {number} params.adminId
+   * @param {string} [params.ipAddress]
+   * @param {string} [params.userAgent]
+   * @returns {Promise<object>}
+   */
+  async adminRefund({ purchaseId, amount = null, reason = null, adminId, ipAddress = null, userAgent = null }) {
+    const PaymentRoutingService = require('./paymentRoutingService');
+    const paymentRoutingService = new PaymentRoutingService();
+
+    // The row stays locked until the refund is recorded, so a second admin
+    // refund, or the gateway's webhook for this one, waits and then sees it
+    const { refund, purchase } = await databaseTransactionService.executeWithTransaction(async (transaction) => {
+      const purchase = await this._lockPurchase(purchaseId, transaction);
+
+      if (purchase.paymentStatus !== 'completed') {
+        const err = new Error(`Purchase is ${purchase.paymentStatus} and cannot be refunded`);
+        err.statusCode = 400;
+        throw err;
+      }
+
+      if (parseFloat(purchase.amount) === 0) {
+        const err = new Error('Free purchases have nothing to refund');
+        err.statusCode = 400;
+        throw err;
+      }
+
+      const refundable = purchase.getRefundableAmount();
+      const refundAmount = amount === null || amount === undefined ? refundable : Math.round(parseFloat(amount) * 100) / 100;
+
+      if (!(refundAmount > 0) || refundAmount > refundable) {
+        const err = new Error(`Refund amount must be between 0 and ${refundable} ${purchase.currency}`);
+        err.statusCode = 400;
+        throw err;
+      }
+
+      let gatewayRefund;
+      try {
+        gatewayRefund = await paymentRoutingService.refundPayment({ purchase, amount: refundAmount, reason });
+      } catch (gatewayError) {
+        const err = new Error(`Gateway refund failed: ${gatewayError.message}`);
+        err.statusCode = 502;
+        throw err;
+      }
+
+      return this._applyRefund({
+        purchase,
+        amount: refundAmount,
+        source: 'admin',
+        gatewayRefundId: gatewayRefund.gatewayRefundId,
+        reason,
+        initiatedBy: adminId,
+        metadata: { gateway: gatewayRefund.gateway, gatewayStatus: gatewayRefund.status },
+        walletAmount: gatewayRefund.walletAmount || 0
+      }, transaction);
+    });
+
+    await this._auditRefund({ purchase, refund, adminId, ipAddress, userAgent });
+    await this._notifyRefund({ purchase, refund, paymentRoutingService });
+
+    return {
+      success: true,
+      message: purchase.paymentStatus === 'refunded'
+        ? 'Purchase fully refunded and access revoked'
+        : 'Partial refund issued',
+      refund,
+      purchase
+    };
+  }
+
+  /**
+   * List refunds recorded against a purchase, newest first.
+   */
+  async getPurchaseRefunds(purchaseId) {
+    return PurchaseRefund.findAll({
+      where: { purchaseId },
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  /**
+   * A buyer opened a chargeback. Access is revoked immediately and the
+   * disputed amount is clawed back and held until the dispute closes.
+   *
+   * @param {object} params
+   * @param {Purchase} params.purchase
+   * @param {string} params.gatewayDisputeId
+   * @param {number} [params.amount] - disputed amount, defaults to the refundable amount
+   * @param {string} [params.reason]
+   * @returns {Promise<{ refund: PurchaseRefund|null, purchase: Purchase, alreadyProcessed?: boolean }>}
+   */
+  async openDispute(params) {
+    const result = await databaseTransactionService.executeWithTransaction(
+      transaction => this._openDispute(params, transaction)
+    );
+
+    if (result.refund && !result.alreadyProcessed) {
+      console.log(`[RefundService] Dispute ${params.gatewayDisputeId} opened on purchase ${result.purchase.id}`);
+    }
+    return result;
+  }
+
+  /**
+   * openDispute inside a caller's transaction.
+   */
+  async _openDispute({ purchase: stale, gatewayDisputeId, amount = null, reason = null }, transaction) {
+    // Gateways redeliver dispute events; only the first delivery holds money
+    const purchase = await this._lockPurchase(stale.id, transaction);
+
+    const existing = await PurchaseRefund.findOne({ where: { gatewayRefundId: gatewayDisputeId }, transaction });
+    if (existing) {
+      return { refund: existing, purchase, alreadyProcessed: true };
+    }
+
+    // Refunded purchases have nothing left to hold, and a purchase that is
+    // already disputed has its clawback held by the open dispute
+    if (purchase.paymentStatus !== 'completed') {
+      console.warn(`[RefundService] Dispute ${gatewayDisputeId} ignored: purchase ${purchase.id} is ${purchase.paymentStatus}`);
+      return { refund: null, purchase };
+    }
+
+    const refundable = purchase.getRefundableAmount();
+    const disputedAmount = Math.min(
+      amount === null ? refundable : Math.round(parseFloat(amount) * 100) / 100,
+      refundable
+    );
+
+    const refund = await PurchaseRefund.create({
+      purchaseId: purchase.id,
+      amount: disputedAmount,
+      currency: purchase.currency,
+      source: 'dispute',
+      status: 'pending',
+      gatewayRefundId: gatewayDisputeId,
+      reason
+    }, { transaction });
+
+    const breakdown = disputedAmount > 0
+      ? await this._clawBack(purchase, refund, disputedAmount, transaction)
+      : { payees: [], platform: 0 };
+    const revokedAccess = await this.revokeAccess(purchase, transaction);
+
+    await purchase.update({
+      paymentStatus: 'disputed',
+      disputedAt: new Date()
+    }, { transaction });
+    await refund.update({ breakdown, metadata: { revokedAccess } }, { transaction });
+
+    return { refund, purchase };
+  }
+
+  /**
+   * Close a chargeback.
+   *
+   * @param {object} params
+   * @param {Purchase} params.purchase
+   * @param {string} params.gatewayDisputeId
+   * @param {boolean} params.won - true when the merchant won the dispute
+   * @returns {Promise<{ refund: PurchaseRefund|null, purchase: Purchase, alreadyProcessed?: boolean }>}
+   */
+  async resolveDispute(params) {
+    const result = await databaseTransactionService.executeWithTransaction(
+      transaction => this._resolveDispute(params, transaction)
+    );
+
+    if (result.refund && !result.alreadyProcessed) {
+      console.log(`[RefundService] Dispute ${params.gatewayDisputeId} on purchase ${result.purchase.id} closed: ${params.won ? 'won' : 'lost'}`);
+    }
+    return result;
+  }
+
+  /**
+   * resolveDispute inside a caller's transaction.
+   */
+  async _resolveDispute({ purchase: stale, gatewayDisputeId, won }, transaction) {
+    const purchase = await this._lockPurchase(stale.id, transaction);
+    const refund = await PurchaseRefund.findOne({ where: { gatewayRefundId: gatewayDisputeId }, transaction });
+
+    if (!refund) {
+      console.warn(`[RefundService] No open dispute ${gatewayDisputeId} for purchase ${purchase.id}`);
+      return { refund: null, purchase };
+    }
+
+    if (refund.status !== 'pending') {
+      return { refund, purchase, alreadyProcessed: true };
+    }
+
+    if (won) {
+      await this._returnClawback(purchase, refund, transaction);
+      await this.restoreAccess(purchase, refund.metadata?.revokedAccess, transaction);
+      await purchase.update({ paymentStatus: 'completed' }, { transaction });
+      await refund.update({ status: 'reversed' }, { transaction });
+      return { refund, purchase };
+    }
+
+    const refundedAmount = Math.round((parseFloat(purchase.refundedAmount || 0) + parseFloat(refund.amount)) * 100) / 100;
+    await purchase.update({
+      paymentStatus: 'refunded',
+      refundedAmount,
+      refundedAt: new Date()
+    }, { transaction });
+    await refund.update({ status: 'processed' }, { transaction });
+    return { refund, purchase };
+  }
+
+  /**
+   * Refund a cart order from a gateway event. The amount is spread over the
+   * order's purchases pro-rata to what each can still refund, all in one
+   * transaction so a replay finds either every item refunded or none.
+   *
+   * @param {object} params
+   * @param {Order} params.order
+   * @param {number} params.amount
+   * @param {string} params.gatewayRefundId - order-level ID, suffixed per purchase
+   * @param {string} [params.source]
+   * @param {string} [params.reason]
+   * @param {object} [params.metadata]
+   * @returns {Promise<{ refunds: PurchaseRefund[], alreadyProcessed?: boolean }>}
+   */
+  async refundOrder({ order, amount, gatewayRefundId, source = 'gateway', reason = null, metadata = {} }) {
+    const result = await databaseTransactionService.executeWithTransaction(async (transaction) => {
+      const purchases = await this._lockOrderPurchases(order, transaction);
+
+      const existing = await this._findOrderRefunds(gatewayRefundId, transaction);
+      if (existing.length > 0) {
+        return { refunds: existing, alreadyProcessed: true };
+      }
+
+      const refundable = purchases.filter(purchase => ['completed', 'disputed'].includes(purchase.paymentStatus));
+      const refunds = [];
+      for (const share of this.splitOrderAmount(refundable, amount, order.currency)) {
+        const { refund } = await this._applyRefund({
+          purchase: share.purchase,
+          amount: share.amount,
+          source,
+          gatewayRefundId: `${gatewayRefundId}:${share.purchase.id}`,
+          reason,
+          metadata: { ...metadata, orderId: order.id }
+        }, transaction);
+        refunds.push(refund);
+      }
+
+      return { refunds };
+    });
+
+    if (!result.alreadyProcessed) {
+      console.log(`[RefundService] Refunded ${amount} ${order.currency} across ${result.refunds.length} purchases of order ${order.reference}`);
+    }
+    return result;
+  }
+
+  /**
+   * Open a chargeback on a cart order, split like refundOrder.
+   *
+   * @param {object} params
+   * @param {Order} params.order
+   * @param {string} params.gatewayDisputeId
+   * @param {number} [params.amount] - disputed amount, defaults to everything refundable
+   * @param {string} [params.reason]
+   * @returns {Promise<{ refunds: PurchaseRefund[], alreadyProcessed?: boolean }>}
+   */
+  async openOrderDispute({ order, gatewayDisputeId, amount = null, reason = null }) {
+    const result = await databaseTransactionService.executeWithTransaction(async (transaction) => {
+      const purchases = await this._lockOrderPurchases(order, transaction);
+
+      const existing = await this._findOrderRefunds(gatewayDisputeId, transaction);
+      if (existing.length > 0) {
+        return { refunds: existing, alreadyProcessed: true };
+      }
+
+      const completed = purchases.filter(purchase => purchase.paymentStatus === 'completed');
+      const shares = amount === null
+        ? completed.map(purchase => ({ purchase, amount: null }))
+        : this.splitOrderAmount(completed, amount, order.currency);
+
+      const refunds = [];
+      for (const share of shares) {
+        const { refund } = await this._openDispute({
+          purchase: share.purchase,
+          gatewayDisputeId: `${gatewayDisputeId}:${share.purchase.id}`,
+          amount: share.amount,
+          reason
+        }, transaction);
+        if (refund) refunds.push(refund);
+      }
+
+      return { refunds };
+    });
+
+    if (!result.alreadyProcessed) {
+      console.log(`[RefundService] Dispute ${gatewayDisputeId} opened on ${result.refunds.length} purchases of order ${order.reference}`);
+    }
+    return result;
+  }
+
+  /**
+   * Close a chargeback opened with openOrderDispute.
+   *
+   * @param {object} params
+   * @param {Order} params.order
+   * @param {string} params.gatewayDisputeId
+   * @param {boolean} params.won
+   * @returns {Promise<{ refunds: PurchaseRefund[] }>}
+   */
+  async resolveOrderDispute({ order, gatewayDisputeId, won }) {
+    const result = await databaseTransactionService.executeWithTransaction(async (transaction) => {
+      const purchases = await this._lockOrderPurchases(order, transaction);
+      const disputes = await this._findOrderRefunds(gatewayDisputeId, transaction);
+
+      const refunds = [];
+      for (const dispute of disputes) {
+        const purchase = purchases.find(candidate => candidate.id === dispute.purchaseId);
+        const { refund } = await this._resolveDispute({
+          purchase,
+          gatewayDisputeId: dispute.gatewayRefundId,
+          won
+        }, transaction);
+        refunds.push(refund);
+      }
+
+      return { refunds };
+    });
+
+    console.log(`[RefundService] Dispute ${gatewayDisputeId} on order ${order.reference} closed: ${won ? 'won' : 'lost'}`);
+    return result;
+  }
+
+  /**
+   * How much of an order's gateway charge has been refunded so far, in major
+   * units. Wallet shares of admin refunds never went through the gateway.
+   *
+   * @param {Order} order
+   * @returns {Promise<number>}
+   */
+  async getOrderGatewayRefunded(order) {
+    const refunds = await PurchaseRefund.findAll({
+      where: { source: ['gateway', 'admin'], status: 'processed' },
+      include: [{ model: Purchase, as: 'purchase', where: { orderId: order.id }, attributes: [] }]
+    });
+
+    const total = refunds.reduce(
+      (sum, refund) => sum + parseFloat(refund.amount) - (parseFloat(refund.breakdown?.wallet) || 0),
+      0
+    );
+    return Math.round(total * 100) / 100;
+  }
+
+  /**
+   * Split an order-level amount between purchases, pro-rata to what each can
+   * still refund. Cents lost to rounding go to the first purchases, and no
+   * purchase is given more than it can refund.
+   *
+   * @param {Purchase[]} purchases
+   * @param {number} amount - major units
+   * @param {string} currency
+   * @returns {Array<{ purchase: Purchase, amount: number }>} major units
+   */
+  splitOrderAmount(purchases, amount, currency) {
+    const refundable = purchases.map(purchase => walletService.convertToCents(purchase.getRefundableAmount(), currency));
+    const totalRefundable = refundable.reduce((sum, cents) => sum + cents, 0);
+    const target = Math.min(walletService.convertToCents(amount, currency), totalRefundable);
+    if (!(target > 0)) return [];
+
+    const shares = refundable.map(cents => Math.floor(target * cents / totalRefundable));
+    let remainder = target - shares.reduce((sum, cents) => sum + cents, 0);
+    for (let i = 0; remainder > 0 && i < shares.length; i++) {
+      if (shares[i] < refundable[i]) {
+        shares[i] += 1;
+        remainder -= 1;
+      }
+    }
+
+    return purchases
+      .map((purchase, i) => ({ purchase, amount: walletService.convertFromCents(shares[i], currency) }))
+      .filter(share => share.amount > 0);
+  }
+
+  /**
+   * Load the wallet credits written when the purchase was processed.
+   *
+   * @param {Purchase} purchase
+   * @param {Transaction} [transaction]
+   * @returns {Promise<Array<{ role: string, userId: number, amount: number }>>} amounts in cents
+   */
+  async getOriginalCredits(purchase, transaction = null) {
+    const referenceRoles = {
+      [purchase.paymentReference]: 'creator',
+      [`PARTNER-${purchase.paymentReference}`]: 'coupon_partner',
+      [`REFERRAL-${purchase.id}`]: 'referral_partner'
+    };
+
+    const credits = await WalletTransaction.findAll({
+      where: {
+        reference: Object.keys(referenceRoles),
+        transaction_type: 'credit'
+      },
+      include: [{ model: WalletAccount, as: 'walletAccount', attributes: ['user_id'] }],
+      transaction
+    });
+
+    return credits.map(credit => ({
+      role: referenceRoles[credit.reference],
+      userId: credit.walletAccount.user_id,
+      amount: parseInt(credit.amount)
+    }));
+  }
+
+  /**
+   * Split a refund between the original payees, pro-rata to what each one
+   * was credited. The platform absorbs the remainder.
+   *
+   * @param {Array<{ role: string, userId: number, amount: number }>} credits - cents
+   * @param {number} purchaseAmount - cents
+   * @param {number} refundAmount - cents
+   * @returns {{ payees: Array<{ role: string, userId: number, amount: number }>, platform: number }} cents
+   */
+  calculateClawback(credits, purchaseAmount, refundAmount) {
+    if (purchaseAmount <= 0) {
+      return { payees: [], platform: 0 };
+    }
+
+    const ratio = Math.min(refundAmount / purchaseAmount, 1);
+    const payees = credits
+      .map(credit => ({
+        role: credit.role,
+        userId: credit.userId,
+        amount: Math.round(credit.amount * ratio)
+      }))
+      .filter(payee => payee.amount > 0);
+
+    const clawedFromPayees = payees.reduce((sum, payee) => sum + payee.amount, 0);
+
+    return {
+      payees,
+      platform: Math.max(refundAmount - clawedFromPayees, 0)
+    };
+  }
+
+  /**
+   * Revoke the buyer's access to refunded/disputed content. Video, live class
+   * and live series access follow Purchase.paymentStatus; freebies and courses
+   * keep their own access rows.
+   *
+   * @returns {Promise<object|null>} snapshot needed to restore access later
+   */
+  async revokeAccess(purchase, transaction) {
+    if (purchase.contentType === 'freebie') {
+      const { FreebieAccess } = require('../models/freebieIndex');
+      const access = await FreebieAccess.findOne({
+        where: { userId: purchase.userId, freebieId: purchase.contentId },
+        transaction
+      });
+      if (!access) return null;
+
+      const snapshot = { freebieAccess: access.toJSON() };
+      await access.destroy({ transaction });
+      return snapshot;
+    }
+
+    if (purchase.contentType === 'course') {
+      const CourseEnrollment = require('../models/CourseEnrollment');
+      const enrollment = await CourseEnrollment.findOne({
+        where: { purchaseId: purchase.id },
+        transaction
+      });
+      if (!enrollment) return null;
+
+      const snapshot = { enrollmentId: enrollment.id, expiresAt: enrollment.expiresAt };
+      await enrollment.update({ expiresAt: new Date() }, { transaction });
+      return snapshot;
+    }
+
+    return null;
+  }
+
+  /**
+   * Undo revokeAccess using the snapshot it returned.
+   */
+  async restoreAccess(purchase, snapshot, transaction) {
+    if (!snapshot) return;
+
+    if (snapshot.freebieAccess) {
+      const { FreebieAccess } = require('../models/freebieIndex');
+      const { id, createdAt, ...access } = snapshot.freebieAccess;
+      await FreebieAccess.findOrCreate({
+        where: { userId: access.userId, freebieId: access.freebieId },
+        defaults: access,
+        transaction
+      });
+    }
+
+    if (snapshot.enrollmentId) {
+      const CourseEnrollment = require('../models/CourseEnrollment');
+      await CourseEnrollment.update(
+        { expiresAt: snapshot.expiresAt },
+        { where: { id: snapshot.enrollmentId }, transaction }
+      );
+    }
+  }
+
+  /**
+   * Re-read a purchase with a row lock held until the transaction ends.
+   */
+  async _lockPurchase(purchaseId, transaction) {
+    const purchase = await Purchase.findByPk(purchaseId, { lock: transaction.LOCK.UPDATE, transaction });
+    if (!purchase) {
+      const err = new Error('Purchase not found');
+      err.statusCode = 404;
+      throw err;
+    }
+    return purchase;
+  }
+
+  /**
+   * Lock every purchase of a cart order, in a fixed order so two events for
+   * the same order cannot deadlock.
+   */
+  async _lockOrderPurchases(order, transaction) {
+    return Purchase.findAll({
+      where: { orderId: order.id },
+      order: [['id', 'ASC']],
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+  }
+
+  /**
+   * Refunds already recorded for an order-level gateway ID, whether by
+   * refundOrder (suffixed per purchase) or by an admin refund of one item.
+   */
+  async _findOrderRefunds(gatewayRefundId, transaction) {
+    return PurchaseRefund.findAll({
+      where: {
+        [Op.or]: [
+          { gatewayRefundId },
+          { gatewayRefundId: { [Op.startsWith]: `${gatewayRefundId}:` } }
+        ]
+      },
+      transaction
+    });
+  }
+
+  /**
+   * Debit every payee's share of the refund and write reversal rows.
+   * If a payee has already withdrawn the money, what is left is debited and
+   * the shortfall is recorded on a pending reversal row for follow-up.
+   *
+   * @returns {Promise<object>} breakdown stored on the refund, in major units
+   */
+  async _clawBack(purchase, refund, refundAmount, transaction) {
+    const credits = await this.getOriginalCredits(purchase, transaction);
+    const { payees, platform } = this.calculateClawback(
+      credits,
+      walletService.convertToCents(parseFloat(purchase.amount), purchase.currency),
+      walletService.convertToCents(refundAmount, purchase.currency)
+    );
+
+    const breakdown = { payees: [], platform: walletService.convertFromCents(platform, purchase.currency) };
+
+    for (const payee of payees) {
+      const { applied, shortfall } = await this._adjustWallet({
+        userId: payee.userId,
+        currency: purchase.currency,
+        amount: payee.amount,
+        type: 'debit',
+        reference: `RFD-${PAYEE_ROLES[payee.role]}-${refund.id}`,
+        description: `Refund reversal for ${purchase.contentType} purchase`,
+        metadata: {
+          purchaseId: purchase.id,
+          refundId: refund.id,
+          role: payee.role,
+          gateway: purchase.paymentGateway,
+          reversalOf: payee.role === 'referral_partner' ? `REFERRAL-${purchase.id}` : purchase.paymentReference
+        }
+      }, transaction);
+
+      if (payee.role === 'referral_partner' && applied > 0) {
+        await this._adjustReferralEarnings(purchase, -walletService.convertFromCents(applied, purchase.currency), transaction);
+      }
+
+      breakdown.payees.push({
+        role: payee.role,
+        userId: payee.userId,
+        amount: walletService.convertFromCents(payee.amount, purchase.currency),
+        applied: walletService.convertFromCents(applied, purchase.currency),
+        shortfall: walletService.convertFromCents(shortfall, purchase.currency)
+      });
+    }
+
+    return breakdown;
+  }
+
+  /**
+   * Credit back what _clawBack took (dispute won).
+   */
+  async _returnClawback(purchase, refund, transaction) {
+    const payees = refund.breakdown?.payees || [];
+
+    for (const payee of payees) {
+      const amount = walletService.convertToCents(payee.applied, purchase.currency);
+      if (amount <= 0) continue;
+
+      await this._adjustWallet({
+        userId: payee.userId,
+        currency: purchase.currency,
+        amount,
+        type: 'credit',
+        reference: `RST-${PAYEE_ROLES[payee.role]}-${refund.id}`,
+        description: `Dispute won — earnings restored for ${purchase.contentType} purchase`,
+        metadata: { purchaseId: purchase.id, refundId: refund.id, role: payee.role, gateway: purchase.paymentGateway }
+      }, transaction);
+
+      if (payee.role === 'referral_partner') {
+        await this._adjustReferralEarnings(purchase, payee.applied, transaction);
+      }
+    }
+  }
+
+  /**
+   * Move money in or out of a wallet inside the caller's transaction.
+   * Debits never take the balance below zero.
+   *
+   * @returns {Promise<{ applied: number, shortfall: number }>} cents
+   */
+  async _adjustWallet({ userId, currency, amount, type, reference, description, metadata }, transaction) {
+    let wallet = await WalletAccount.findOne({
+      where: { user_id: userId, currency },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!wallet) {
+      wallet = await databaseTransactionService.createWalletInTransaction(userId, currency, transaction);
+    }
+
+    let applied = amount;
+    if (type === 'debit') {
+      applied = Math.min(amount, Math.max(parseInt(wallet.balance_available) || 0, 0));
+    }
+    const shortfall = amount - applied;
+
+    if (applied > 0) {
+      await databaseTransactionService.updateWalletBalance(
+        wallet,
+        type === 'debit' ? -applied : applied,
+        0,
+        transaction,
+        { entryType: 'refund', reference, description, gateway: metadata.gateway }
+      );
+    }
+
+    await walletService.logWalletTransaction({
+      walletId: wallet.id,
+      type,
+      amount: applied,
+      currency,
+      reference,
+      description,
+      metadata: { ...metadata, currency, requested: amount, shortfall },
+      status: shortfall > 0 ? 'pending' : 'completed',
+      transaction
+    });
+
+    if (shortfall > 0) {
+      console.warn(`[RefundService] User ${userId} short by ${shortfall} (minor units) ${currency} on ${reference}`);
+    }
+
+    return { applied, shortfall };
+  }
+
+  async _auditRefund({ purchase, refund, adminId, ipAddress, userAgent }) {
+    try {
+      const AuditTrailService = require('./auditTrailService');
+      const auditTrailService = new AuditTrailService();
+
+      await auditTrailService.logEvent({
+        eventType: auditTrailService.config.eventTypes.PAYMENT_REFUNDED,
+        userId: adminId,
+        ipAddress,
+        userAgent,
+        data: {
+          purchaseId: purchase.id,
+          refundId: refund.id,
+          buyerUserId: purchase.userId,
+          amount: parseFloat(refund.amount),
+          currency: refund.currency,
+          gatewayRefundId: refund.gatewayRefundId,
+          reason: refund.reason,
+          breakdown: refund.breakdown
+        }
+      });
+    } catch (auditError) {
+      // The money has already moved at the gateway; never fail the request here
+      console.error('[RefundService] Audit logging failed:', auditError.message);
+    }
+  }
+
+  async _notifyRefund({ purchase, refund, paymentRoutingService }) {
+    try {
+      const User = require('../models/User');
+      const { sendRefundConfirmationEmail, sendRefundNotificationEmail } = require('../utils/email');
+
+      const content = await paymentRoutingService.getContentDetails(purchase.contentType, purchase.contentId);
+      const contentTitle = content?.title || content?.name || `${purchase.contentType} purchase`;
+      const refundAmount = parseFloat(refund.amount);
+
+      const buyer = await User.findByPk(purchase.userId, { attributes: ['email', 'firstname'] });
+      if (buyer) {
+        await sendRefundConfirmationEmail(
+          buyer.email,
+          buyer.firstname,
+          contentTitle,
+          refundAmount,
+          purchase.currency,
+          purchase.paymentStatus === 'refunded'
+        );
+      }
+
+      const creatorShare = (refund.breakdown?.payees || []).find(payee => payee.role === 'creator');
+      if (creatorShare) {
+        const creator = await User.findByPk(creatorShare.userId, { attributes: ['email', 'firstname'] });
+        if (creator) {
+          await sendRefundNotificationEmail(
+            creator.email,
+            creator.firstname,
+            contentTitle,
+            refundAmount,
+            creatorShare.applied,
+            purchase.currency
+          );
+        }
+      }
+    } catch (emailError) {
+      console.error('[RefundService] Refund email failed:', emailError.message);
+    }
+  }
+
+  async _adjustReferralEarnings(purchase, amount, transaction) {
+    const ReferralCommission = require('../models/ReferralCommission');
+    const ReferralCode = require('../models/ReferralCode');
+
+    const commission = await ReferralCommission.findOne({ where: { purchaseId: purchase.id }, transaction });
+    if (!commission) return;
+
+    await ReferralCode.increment('totalEarnings', {
+      by: amount,
+      where: { referralCode: commission.referralCode },
+      transaction
+    });
+  }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,615 @@
+const { Op } = require('sequelize');
+const MultiCurrencyWalletService = require('./multiCurrencyWalletService');
+const fraudDetectionService = require('./fraudDetectionService');
+const withdrawalLimitService = require('./withdrawalLimitService');
+const manualReviewService = require('./manualReviewService');
+const { releaseLockedAmount } = require('./walletService');
+const {
+  calculatePayoutFees,
+  initiateWithdrawal,
+  processPaystackPayout,
+  processStripePayout,
+  resolveAccountNumber
+} = require('./payoutService');
+const { PayoutSchedule, PayoutBatch, Payout, User } = require('../models/walletIndex');
+const { ManualReviewItem } = require('../models/fraudIndex');
+
+const walletService = new MultiCurrencyWalletService();
+
+// Same pairing as manual withdrawals: NGN pays out through Paystack, USD through Stripe
+const GATEWAY_BY_CURRENCY = {
+  NGN: 'paystack',
+  USD: 'stripe'
+};
+
+const FREQUENCIES = ['weekly', 'monthly'];
+
+/**
+ * Scheduled Payout Service
+ *
+ * Automatic creator payouts:
+ * - saveSchedule        → creator opts a wallet currency into weekly or
+ *                         monthly payouts to a saved bank account
+ * - processDueSchedules → cron job; pays the available balance of every due,
+ *                         verified schedule whose balance reached its minimum
+ *
+ * Each payout goes through the same checks as a manual withdrawal:
+ * withdrawal limits, fraud analysis (blocked users are skipped, high-risk
+ * payouts are locked and held in the manual review queue) and the gateway
+ * transfer. Creators with a withdrawal already awaiting review are skipped.
+ * Every run is stored as a PayoutBatch with a per-schedule report.
+ *
+ * NGN accounts are verified by resolving the account name with Paystack when
+ * saved; USD accounts wait for an admin to verify them.
+ */
+class ScheduledPayoutService {
+  constructor() {
+    const runHour = parseInt(process.env.PAYOUT_SCHEDULE_RUN_HOUR);
+    const weekday = parseInt(process.env.PAYOUT_SCHEDULE_WEEKDAY);
+
+    this.config = {
+      batchSize: parseInt(process.env.PAYOUT_SCHEDULE_BATCH_SIZE) || 100,
+      // Hour (UTC) at which schedules become due
+      runHour: runHour >= 0 && runHour <= 23 ? runHour : 9,
+      // 0 = Sunday ... 6 = Saturday
+      weekday: weekday >= 0 && weekday <= 6 ? weekday : 1,
+      // Capped at 28 so every month has the day
+      monthDay: Math.min(parseInt(process.env.PAYOUT_SCHEDULE_MONTH_DAY) || 1, 28),
+      minimumAmounts: {
+        NGN: parseFloat(process.env.PAYOUT_SCHEDULE_MIN_NGN) || 5000,
+        USD: parseFloat(process.env.PAYOUT_SCHEDULE_MIN_USD) || 50
+      }
+    };
+  }
+
+  /**
+   * Get a creator's payout schedules
+   * @param {number} userId - User ID
+   * @returns {Promise<PayoutSchedule[]>}
+   */
+  async getSchedules(userId) {
+    return PayoutSchedule.findAll({
+      where: { userId },
+      order: [['currency', 'ASC']]
+    });
+  }
+
+  /**
+   * Create or update the payout schedule for one wallet currency
+   * @param {number} userId - User ID
+   * @param {Object} data - currency, frequency, minimumAmount, bankCode, bankName, accountNumber, accountName
+   * @returns {Promise<PayoutSchedule>}
+   */
+  async saveSchedule(userId, { currency, frequency, minimumAmount, bankCode, bankName, accountNumber, accountName }) {
+    const scheduleCurrency = this.validateCurrency(currency);
+
+    if (!FREQUENCIES.includes(frequency)) {
+      throw this.error('Frequency must be weekly or monthly', 400);
+    }
+
+    const floor = this.config.minimumAmounts[scheduleCurrency];
+    const minimum = minimumAmount === undefined || minimumAmount === null
+      ? floor
+      : Math.round(parseFloat(minimumAmount) * 100) / 100;
+
+    if (!Number.isFinite(minimum) || minimum < floor) {
+      throw this.error(`Minimum payout amount must be at least ${floor} ${scheduleCurrency}`, 400);
+    }
+
+    const account = await this.verifyBankAccount(scheduleCurrency, { bankCode, bankName, accountNumber, accountName });
+    const existing = await PayoutSchedule.findOne({ where: { userId, currency: scheduleCurrency } });
+    const now = new Date();
+
+    const values = {
+      frequency,
+      minimumAmount: minimum,
+      bankName: account.bankName,
+      bankCode: account.bankCode,
+      accountNumber: account.accountNumber,
+      accountName: account.accountName,
+      isActive: true
+    };
+
+    const accountChanged = !existing
+      || existing.accountNumber !== account.accountNumber
+      || existing.bankCode !== account.bankCode
+      || existing.bankName !== account.bankName;
+
+    if (account.verificationMethod) {
+      Object.assign(values, { verifiedAt: now, verificationMethod: account.verificationMethod, verifiedBy: null });
+    } else if (accountChanged) {
+      Object.assign(values, { verifiedAt: null, verificationMethod: null, verifiedBy: null });
+    }
+
+    if (!existing || !existing.isActive || existing.frequency !== frequency) {
+      values.nextRunAt = this.getNextRunAt(frequency, now);
+    }
+
+    if (existing) {
+      await existing.update(values);
+      console.log(`[Scheduled Payouts] Updated ${scheduleCurrency} schedule for user ${userId}`);
+      return existing;
+    }
+
+    const schedule = await PayoutSchedule.create({ userId, currency: scheduleCurrency, ...values });
+    console.log(`[Scheduled Payouts] User ${userId} opted into ${frequency} ${scheduleCurrency} payouts`);
+    return schedule;
+  }
+
+  /**
+   * Turn off automatic payouts for a schedule
+   * @param {number} userId - Owner user ID
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<PayoutSchedule>}
+   */
+  async disableSchedule(userId, scheduleId) {
+    const schedule = await PayoutSchedule.findOne({ where: { id: scheduleId, userId } });
+
+    if (!schedule) {
+      throw this.error('Payout schedule not found', 404);
+    }
+
+    if (!schedule.isActive) {
+      throw this.error('Payout schedule is already disabled', 409);
+    }
+
+    await schedule.update({ isActive: false });
+    return schedule;
+  }
+
+  /**
+   * Verify a saved bank account that could not be verified automatically (admin)
+   * @param {string} scheduleId - Schedule ID
+   * @param {number} adminId - Admin user ID
+   * @returns {Promise<PayoutSchedule>}
+   */
+  async verifySchedule(scheduleId, adminId) {
+    const schedule = await PayoutSchedule.findByPk(scheduleId);
+
+    if (!schedule) {
+      throw this.error('Payout schedule not found', 404);
+    }
+
+    if (schedule.isVerified()) {
+      throw this.error('Bank account is already verified', 409);
+    }
+
+    await schedule.update({
+      verifiedAt: new Date(),
+      verificationMethod: 'admin',
+      verifiedBy: adminId
+    });
+
+    console.log(`[Scheduled Payouts] Schedule ${scheduleId} verified by admin ${adminId}`);
+    return schedule;
+  }
+
+  /**
+   * List payout schedules across creators (admin)
+   * @param {Object} filters - currency, isActive, verified, limit, offset
+   * @returns {Promise<Object>} { total, schedules }
+   */
+  async listSchedules({ currency, isActive, verified, limit = 50, offset = 0 } = {}) {
+    const where = {};
+
+    if (currency) {
+      where.currency = String(currency).toUpperCase();
+    }
+    if (isActive !== undefined) {
+      where.isActive = isActive;
+    }
+    if (verified !== undefined) {
+      where.verifiedAt = verified ? { [Op.ne]: null } : null;
+    }
+
+    const { count, rows } = await PayoutSchedule.findAndCountAll({
+      where,
+      include: [{ model: User, as: 'user', attributes: ['id', 'firstname', 'lastname', 'email'] }],
+      order: [['nextRunAt', 'ASC']],
+      limit,
+      offset
+    });
+
+    return { total: count, schedules: rows };
+  }
+
+  /**
+   * Pay out every due schedule and record the run as a batch
+   *
+   * Returns null when nothing is due and the run was not started by an
+   * admin, so the hourly job does not fill the report with empty batches.
+   * @param {Date} now - Run time
+   * @param {Object} options - triggeredBy (admin ID for manual runs)
+   * @returns {Promise<PayoutBatch|null>}
+   */
+  async processDueSchedules(now = new Date(), { triggeredBy = null } = {}) {
+    const schedules = await PayoutSchedule.findAll({
+      where: {
+        isActive: true,
+        verifiedAt: { [Op.ne]: null },
+        nextRunAt: { [Op.lte]: now }
+      },
+      order: [['nextRunAt', 'ASC']],
+      limit: this.config.batchSize
+    });
+
+    if (schedules.length === 0 && !triggeredBy) {
+      return null;
+    }
+
+    const batch = await PayoutBatch.create({ startedAt: now, triggeredBy });
+    const items = [];
+    const totals = {};
+
+    try {
+      for (const schedule of schedules) {
+        if (!(await this.claimSchedule(schedule, now))) {
+          continue;
+        }
+
+        let item;
+        try {
+          item = await this.runSchedule(schedule, batch.id);
+        } catch (error) {
+          console.error(`[Scheduled Payouts] Schedule ${schedule.id} failed:`, error.message);
+          item = this.reportItem(schedule, 'failed', { reason: error.message });
+        }
+
+        items.push(item);
+        await schedule.update({
+          lastOutcome: item.outcome,
+          lastOutcomeReason: item.reason ? item.reason.slice(0, 255) : null
+        });
+
+        if (item.outcome === 'paid') {
+          totals[item.currency] = Math.round(((totals[item.currency] || 0) + item.amount) * 100) / 100;
+        }
+      }
+
+      await batch.update({
+        status: 'completed',
+        completedAt: new Date(),
+        ...this.countOutcomes(items),
+        totals,
+        items
+      });
+    } catch (error) {
+      console.error(`[Scheduled Payouts] Batch ${batch.id} aborted:`, error);
+      await batch.update({
+        status: 'failed',
+        completedAt: new Date(),
+        ...this.countOutcomes(items),
+        totals,
+        items,
+        errorMessage: error.message
+      });
+    }
+
+    console.log(`[Scheduled Payouts] Batch ${batch.id}: ${batch.paidCount} paid, ${batch.heldCount} held, ${batch.skippedCount} skipped, ${batch.failedCount} failed`);
+    return batch;
+  }
+
+  /**
+   * Pay out one schedule's available balance
+   * @param {PayoutSchedule} schedule - Claimed schedule
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Object>} Report item
+   */
+  async runSchedule(schedule, batchId) {
+    const { userId, currency } = schedule;
+    const gateway = GATEWAY_BY_CURRENCY[currency];
+    const minimum = parseFloat(schedule.minimumAmount);
+
+    const wallet = await walletService.getWalletAccount(userId, currency);
+    const amount = wallet ? walletService.convertFromCents(parseInt(wallet.balance_available), currency) : 0;
+
+    if (amount < minimum) {
+      return this.reportItem(schedule, 'skipped', {
+        amount,
+        reason: `Available balance ${amount} ${currency} is below the ${minimum} ${currency} minimum`
+      });
+    }
+
+    const pendingReviews = await ManualReviewItem.count({
+      where: { userId, status: manualReviewService.activeStatuses }
+    });
+
+    if (pendingReviews > 0) {
+      return this.reportItem(schedule, 'skipped', { amount, reason: 'A withdrawal is awaiting manual review' });
+    }
+
+    const limitCheck = await withdrawalLimitService.checkWithdrawalLimits(userId, amount, currency);
+    if (!limitCheck.allowed) {
+      return this.reportItem(schedule, 'skipped', { amount, reason: limitCheck.reason });
+    }
+
+    if (calculatePayoutFees(amount, gateway).netAmount <= 0) {
+      return this.reportItem(schedule, 'skipped', { amount, reason: 'Amount too small after fees' });
+    }
+
+    const analysis = await fraudDetectionService.analyzeTransaction({
+      userId,
+      amount,
+      currency,
+      type: 'withdrawal',
+      metadata: { source: 'scheduled_payout', scheduleId: schedule.id }
+    });
+    const requiresReview = !analysis.allowed && analysis.action === 'review';
+
+    if (!analysis.allowed && !requiresReview) {
+      return this.reportItem(schedule, 'skipped', { amount, reason: analysis.reason });
+    }
+
+    // Locks the funds; every exit below either transfers them or releases them
+    const payout = await initiateWithdrawal({
+      userId,
+      amount,
+      currency,
+      gateway,
+      bankDetails: {
+        bankName: schedule.bankName,
+        bankCode: schedule.bankCode,
+        accountNumber: schedule.accountNumber,
+        accountName: schedule.accountName
+      }
+    });
+
+    try {
+      await payout.update({ payoutBatchId: batchId });
+
+      if (requiresReview) {
+        const review = await manualReviewService.addToQueue({
+          payoutId: payout.id,
+          userId,
+          type: 'fraud_detection',
+          priority: analysis.riskScore >= 90 ? 'critical' : 'high',
+          reason: analysis.reason,
+          data: {
+            amount,
+            currency,
+            gateway,
+            bankName: schedule.bankName,
+            accountNumber: schedule.accountNumber,
+            accountName: schedule.accountName
+          },
+          metadata: {
+            riskScore: analysis.riskScore,
+            flags: analysis.flags,
+            source: 'scheduled_payout',
+            scheduleId: schedule.id,
+            batchId
+          },
+          flaggedBy: 'fraud_detection'
+        });
+
+        return this.reportItem(schedule, 'held', {
+          amount,
+          payoutId: payout.id,
+          reviewId: review.reviewId,
+          reason: analysis.reason
+        });
+      }
+
+      const result = gateway === 'paystack'
+        ? await processPaystackPayout(payout.id)
+        : await processStripePayout(payout.id);
+
+      await withdrawalLimitService.recordWithdrawal(userId, amount, currency, payout.id);
+
+      return this.reportItem(schedule, 'paid', {
+        amount,
+        netAmount: parseFloat(result.payout.netAmount),
+        payoutId: payout.id
+      });
+    } catch (error) {
+      // payoutService marks the payout failed; return the funds to the wallet
+      await releaseLockedAmount(userId, amount, currency);
+      return this.reportItem(schedule, 'failed', { amount, payoutId: payout.id, reason: error.message });
+    }
+  }
+
+  /**
+   * Advance a due schedule to its next run
+   *
+   * The update only matches while nextRunAt is unchanged, so overlapping
+   * runs cannot pay the same schedule twice.
+   * @param {PayoutSchedule} schedule - Due schedule
+   * @param {Date} now - Run time
+   * @returns {Promise<boolean>} Whether this run claimed the schedule
+   */
+  async claimSchedule(schedule, now) {
+    const nextRunAt = this.getNextRunAt(schedule.frequency, now);
+
+    const [claimed] = await PayoutSchedule.update(
+      { nextRunAt, lastRunAt: now },
+      { where: { id: schedule.id, nextRunAt: schedule.nextRunAt } }
+    );
+
+    if (claimed === 0) {
+      return false;
+    }
+
+    schedule.set({ nextRunAt, lastRunAt: now });
+    return true;
+  }
+
+  /**
+   * List payout batches, newest first (admin)
+   * @param {Object} options - status, limit, offset
+   * @returns {Promise<Object>} { total, batches }
+   */
+  async getBatches({ status, limit = 20, offset = 0 } = {}) {
+    const where = {};
+
+    if (status) {
+      where.status = status;
+    }
+
+    const { count, rows } = await PayoutBatch.findAndCountAll({
+      where,
+      attributes: { exclude: ['items'] },
+      order: [['startedAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    return { total: count, batches: rows };
+  }
+
+  /**
+   * Get a batch with its report and payouts (admin)
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<PayoutBatch>}
+   */
+  async getBatch(batchId) {
+    const batch = await PayoutBatch.findByPk(batchId, {
+      include: [{ model: Payout, as: 'payouts' }]
+    });
+
+    if (!batch) {
+      throw this.error('Payout batch not found', 404);
+    }
+
+    return batch;
+  }
+
+  /**
+   * Check the bank account for a schedule
+   *
+   * NGN accounts are resolved with Paystack and saved under the returned
+   * account name. USD accounts are saved as given and need admin verification.
+   * @param {string} currency - Schedule currency
+   * @param {Object} details - bankCode, bankName, accountNumber, accountName
+   * @returns {Promise<Object>} Account details and verificationMethod (null when unverified)
+   */
+  async verifyBankAccount(currency, { bankCode, bankName, accountNumber, accountName }) {
+    if (!accountNumber) {
+      throw this.error('Account number is required', 400);
+    }
+
+    if (currency === 'NGN') {
+      if (!bankCode) {
+        throw this.error('Bank code is required for NGN payouts', 400);
+      }
+
+      let resolved;
+      try {
+        resolved = await resolveAccountNumber(accountNumber, bankCode);
+      } catch (error) {
+        throw this.error(`Could not verify bank account: ${error.message}`, 400);
+      }
+
+      return {
+        bankCode,
+        bankName: resolved.bankName || bankName || `Bank Code: ${bankCode}`,
+        accountNumber,
+        accountName: resolved.accountName,
+        verificationMethod: 'paystack_resolve'
+      };
+    }
+
+    if (!bankName || !accountName) {
+      throw this.error(`Bank name and account name are required for ${currency} payouts`, 400);
+    }
+
+    return {
+      bankCode: null,
+      bankName,
+      accountNumber,
+      accountName,
+      verificationMethod: null
+    };
+  }
+
+  /**
+   * Next run time for a frequency, strictly after `from`
+   * @param {string} frequency - weekly or monthly
+   * @param {Date} from - Reference time
+   * @returns {Date}
+   */
+  getNextRunAt(frequency, from) {
+    const { runHour, weekday, monthDay } = this.config;
+    const next = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate(), runHour));
+
+    if (frequency === 'weekly') {
+      next.setUTCDate(next.getUTCDate() + ((weekday - next.getUTCDay() + 7) % 7));
+      if (next <= from) {
+        next.setUTCDate(next.getUTCDate() + 7);
+      }
+      return next;
+    }
+
+    next.setUTCDate(monthDay);
+    if (next <= from) {
+      next.setUTCMonth(next.getUTCMonth() + 1);
+    }
+    return next;
+  }
+
+  /**
+   * Build a batch report entry
+   * @param {PayoutSchedule} schedule - Schedule
+   * @param {string} outcome - paid, held, skipped or failed
+   * @param {Object} details - amount, netAmount, payoutId, reviewId, reason
+   * @returns {Object}
+   */
+  reportItem(schedule, outcome, { amount = null, netAmount = null, payoutId = null, reviewId = null, reason = null } = {}) {
+    return {
+      scheduleId: schedule.id,
+      userId: schedule.userId,
+      currency: schedule.currency,
+      outcome,
+      amount,
+      netAmount,
+      payoutId,
+      reviewId,
+      reason
+    };
+  }
+
+  /**
+   * Count report items per outcome
+   * @param {Object[]} items - Report items
+   * @returns {Object} Batch counter fields
+   */
+  countOutcomes(items) {
+    const count = outcome => items.filter(item => item.outcome === outcome).length;
+
+    return {
+      scheduleCount: items.length,
+      paidCount: count('paid'),
+      heldCount: count('held'),
+      skippedCount: count('skipped'),
+      failedCount: count('failed')
+    };
+  }
+
+  /**
+   * Validate a payout currency
+   * @param {string} currency - Currency code
+   * @returns {string} Upper-cased currency
+   */
+  validateCurrency(currency) {
+    const code = String(currency || '').toUpperCase();
+
+    if (!GATEWAY_BY_CURRENCY[code]) {
+      throw this.error('Currency must be NGN or USD', 400);
+    }
+
+    return code;
+  }
+
+  /**
+   * Create an error carrying an HTTP status code
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @returns {Error}
+   */
+  error(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+  }
+}
+
+module.exports = new ScheduledPayoutService();
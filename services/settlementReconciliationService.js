@@ -0,0 +1,736 @@
+const path = require('path');
+const xlsx = require('xlsx');
+const { Op } = require('sequelize');
+const {
+  Purchase,
+  WalletTransaction,
+  Payout,
+  SettlementReconciliationRun,
+  SettlementReconciliationItem
+} = require('../models/walletIndex');
+
+const GATEWAYS = ['paystack', 'stripe'];
+const RECORD_TYPES = ['payment', 'transfer'];
+const ITEM_STATUSES = ['matched', 'amount_mismatch', 'missing_internal', 'missing_in_gateway', 'duplicate'];
+
+// Export column aliases, after lowercasing and replacing non-alphanumerics with `_`.
+// Covers the Paystack and Stripe dashboard CSV exports and their API list responses.
+const COLUMN_ALIASES = {
+  reference: [
+    'reference', 'payment_reference', 'transaction_reference', 'transfer_reference',
+    'transfer_code', 'checkout_session_id', 'session_id', 'payment_intent', 'source', 'source_id', 'id'
+  ],
+  amount: ['amount', 'amount_total', 'gross', 'gross_amount', 'transaction_amount'],
+  fee: ['fee', 'fees', 'total_fees'],
+  currency: ['currency'],
+  status: ['status', 'payment_status', 'transaction_status'],
+  date: ['paid_at', 'transaction_date', 'settled_at', 'created_at', 'created', 'date', 'available_on'],
+  type: ['record_type', 'reporting_category', 'type', 'category']
+};
+
+const SUCCESS_STATUSES = ['success', 'successful', 'succeeded', 'paid', 'completed', 'complete', 'settled', 'available'];
+
+const RECORD_TYPE_VALUES = {
+  payment: 'payment',
+  charge: 'payment',
+  transaction: 'payment',
+  transfer: 'transfer',
+  payout: 'transfer'
+};
+
+// Balance movements that are neither a payment nor a transfer
+const IGNORED_TYPES = ['refund', 'payment_refund', 'adjustment', 'stripe_fee', 'application_fee', 'network_cost', 'reserve_transaction', 'tax'];
+
+// Purchases that went through a gateway and should appear in its export
+const SETTLED_PURCHASE_STATUSES = ['completed', 'refunded', 'disputed'];
+
+/**
+ * Settlement Reconciliation Service
+ *
+ * Matches what Paystack and Stripe actually settled against our records.
+ * An admin (or the offline script) imports a gateway settlement or
+ * transaction export, CSV or JSON, and every row is matched by reference:
+ *
+ * - payments  → Purchase.paymentReference, then wallet top-up
+ *               WalletTransaction reference/external_reference
+ * - transfers → Payout.transferReference
+ *
+ * Each reference gets an item: matched, amount_mismatch, duplicate (repeated
+ * in the export or matching several internal rows), missing_internal (gateway
+ * row we have no record of) or missing_in_gateway (a record we consider paid
+ * in the export period that the gateway did not report). Rows whose gateway
+ * status is not successful are ignored.
+ *
+ * Amounts are compared in the smallest currency unit. CSV exports carry major
+ * units and API (JSON) exports minor units unless `amountUnit` says otherwise.
+ */
+class SettlementReconciliationService {
+  constructor() {
+    this.config = {
+      // Allowed difference in minor units before a match is flagged (gateway rounding)
+      amountTolerance: parseInt(process.env.SETTLEMENT_AMOUNT_TOLERANCE) || 0
+    };
+  }
+
+  /**
+   * Import a gateway export and reconcile it
+   * @param {Object} params - Import parameters
+   * @param {string} params.gateway - paystack or stripe
+   * @param {string|Buffer} params.content - Raw export file contents
+   * @param {string} params.format - csv or json (inferred from fileName/content when omitted)
+   * @param {string} params.fileName - Original file name
+   * @param {string} params.recordType - payment or transfer, for rows without a type column
+   * @param {string} params.amountUnit - major or minor
+   * @param {Date|string} params.periodStart - Start of the period the export covers
+   * @param {Date|string} params.periodEnd - End of the period the export covers
+   * @param {number} params.triggeredBy - Admin user ID
+   * @returns {Promise<SettlementReconciliationRun>}
+   */
+  async importSettlement({
+    gateway,
+    content,
+    format,
+    fileName = null,
+    recordType = 'payment',
+    amountUnit,
+    periodStart,
+    periodEnd,
+    triggeredBy = null
+  }) {
+    if (!GATEWAYS.includes(gateway)) {
+      throw this.error(`Gateway must be one of: ${GATEWAYS.join(', ')}`, 400);
+    }
+
+    if (!RECORD_TYPES.includes(recordType)) {
+      throw this.error(`Record type must be one of: ${RECORD_TYPES.join(', ')}`, 400);
+    }
+
+    if (!content || content.length === 0) {
+      throw this.error('Export file is empty', 400);
+    }
+
+    const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content);
+    const resolvedFormat = this.detectFormat(text, format, fileName);
+    const unit = amountUnit || (resolvedFormat === 'csv' ? 'major' : 'minor');
+
+    if (!['major', 'minor'].includes(unit)) {
+      throw this.error('Amount unit must be major or minor', 400);
+    }
+
+    const run = await SettlementReconciliationRun.create({
+      gateway,
+      fileName,
+      format: resolvedFormat,
+      status: 'processing',
+      periodStart: periodStart ? new Date(periodStart) : null,
+      periodEnd: periodEnd ? new Date(periodEnd) : null,
+      triggeredBy
+    });
+
+    try {
+      const rawRows = this.parseExport(text, resolvedFormat);
+      const rows = rawRows
+        .map(raw => this.normalizeRow(raw, { gateway, recordType, unit }))
+        .filter(row => row && row.successful);
+
+      await run.update({
+        rowsImported: rawRows.length,
+        periodStart: run.periodStart || this.periodBoundary(rows, 'min'),
+        periodEnd: run.periodEnd || this.periodBoundary(rows, 'max')
+      });
+
+      const items = [
+        ...await this.reconcilePayments(run, rows.filter(row => row.recordType === 'payment')),
+        ...await this.reconcileTransfers(run, rows.filter(row => row.recordType === 'transfer'))
+      ];
+
+      await SettlementReconciliationItem.bulkCreate(items.map(item => ({ ...item, runId: run.id })));
+
+      const count = status => items.filter(item => item.status === status).length;
+
+      await run.update({
+        status: 'completed',
+        matchedCount: count('matched'),
+        mismatchCount: count('amount_mismatch'),
+        missingInternalCount: count('missing_internal'),
+        missingInGatewayCount: count('missing_in_gateway'),
+        duplicateCount: count('duplicate'),
+        totals: this.buildTotals(items),
+        completedAt: new Date()
+      });
+
+      console.log(`[Settlement Reconciliation] Run ${run.id} (${gateway}): ${run.matchedCount} matched, ${run.mismatchCount} mismatched, ${run.missingInternalCount} missing internally, ${run.missingInGatewayCount} missing in gateway, ${run.duplicateCount} duplicates`);
+
+      return run;
+    } catch (error) {
+      await run.update({
+        status: 'failed',
+        errorMessage: error.message,
+        completedAt: new Date()
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Match payment rows to purchases, then to wallet top-ups
+   * @param {SettlementReconciliationRun} run - Current run
+   * @param {Array<Object>} rows - Normalized gateway rows
+   * @returns {Promise<Array<Object>>} Item attributes
+   */
+  async reconcilePayments(run, rows) {
+    const candidates = this.collectReferences(rows);
+
+    const purchases = candidates.length > 0
+      ? await Purchase.findAll({ where: { paymentReference: { [Op.in]: candidates } } })
+      : [];
+
+    const topups = candidates.length > 0
+      ? (await WalletTransaction.findAll({
+        where: {
+          transaction_type: 'credit',
+          [Op.or]: [
+            { reference: { [Op.in]: candidates } },
+            { external_reference: { [Op.in]: candidates } }
+          ]
+        }
+      })).filter(tx => (tx.metadata || {}).type === 'topup')
+      : [];
+
+    const findInternal = reference => {
+      const matchedPurchases = purchases.filter(purchase => purchase.paymentReference === reference);
+      if (matchedPurchases.length > 0) {
+        return matchedPurchases.map(purchase => this.fromPurchase(purchase));
+      }
+
+      return topups
+        .filter(tx => tx.reference === reference || tx.external_reference === reference)
+        .map(tx => this.fromWalletTransaction(tx));
+    };
+
+    const { items, matchedKeys } = this.matchRows(rows, findInternal);
+
+    // Everything we recorded as paid through this gateway in the period must be in the export
+    const period = this.resolvePeriod(run);
+    if (period) {
+      const expectedPurchases = await Purchase.findAll({
+        where: {
+          paymentGateway: run.gateway,
+          paymentStatus: { [Op.in]: SETTLED_PURCHASE_STATUSES },
+          amount: { [Op.gt]: 0 },
+          createdAt: { [Op.between]: [period.start, period.end] }
+        }
+      });
+
+      const expectedTopups = (await WalletTransaction.findAll({
+        where: {
+          transaction_type: 'credit',
+          status: 'completed',
+          gateway: run.gateway,
+          created_at: { [Op.between]: [period.start, period.end] }
+        }
+      })).filter(tx => (tx.metadata || {}).type === 'topup');
+
+      const expected = [
+        ...expectedPurchases.map(purchase => this.fromPurchase(purchase)),
+        ...expectedTopups.map(tx => this.fromWalletTransaction(tx))
+      ];
+
+      items.push(...this.missingInGateway(expected, matchedKeys, 'payment'));
+    }
+
+    return items;
+  }
+
+  /**
+   * Match transfer rows to payouts
+   * @param {SettlementReconciliationRun} run - Current run
+   * @param {Array<Object>} rows - Normalized gateway rows
+   * @returns {Promise<Array<Object>>} Item attributes
+   */
+  async reconcileTransfers(run, rows) {
+    const candidates = this.collectReferences(rows);
+
+    const payouts = candidates.length > 0
+      ? await Payout.findAll({ where: { transferReference: { [Op.in]: candidates } } })
+      : [];
+
+    const findInternal = reference => payouts
+      .filter(payout => payout.transferReference === reference)
+      .map(payout => this.fromPayout(payout));
+
+    const { items, matchedKeys } = this.matchRows(rows, findInternal);
+
+    const period = this.resolvePeriod(run);
+    if (period) {
+      const expectedPayouts = await Payout.findAll({
+        where: {
+          paymentGateway: run.gateway,
+          status: { [Op.in]: ['processing', 'completed'] },
+          transferReference: { [Op.ne]: null },
+          createdAt: { [Op.between]: [period.start, period.end] }
+        }
+      });
+
+      items.push(...this.missingInGateway(expectedPayouts.map(payout => this.fromPayout(payout)), matchedKeys, 'transfer'));
+    }
+
+    return items;
+  }
+
+  /**
+   * Compare gateway rows with the internal records found for their references
+   * @param {Array<Object>} rows - Normalized gateway rows of one record type
+   * @param {Function} findInternal - reference → internal records
+   * @returns {{items: Array<Object>, matchedKeys: Set<string>}}
+   */
+  matchRows(rows, findInternal) {
+    const items = [];
+    const matchedKeys = new Set();
+    const seen = new Map();
+
+    for (const row of rows) {
+      let reference = row.references[0];
+      let internal = [];
+
+      for (const candidate of row.references) {
+        const found = findInternal(candidate);
+        if (found.length > 0) {
+          reference = candidate;
+          internal = found;
+          break;
+        }
+      }
+
+      internal.forEach(record => matchedKeys.add(record.key));
+
+      const base = {
+        recordType: row.recordType,
+        reference,
+        currency: row.currency || (internal[0] ? internal[0].currency : null),
+        gatewayAmount: row.amount,
+        internalAmount: internal.length === 1 ? internal[0].amount : null,
+        internalType: internal[0] ? internal[0].type : null,
+        internalId: internal[0] ? internal[0].id : null
+      };
+
+      if (seen.has(reference)) {
+        const first = seen.get(reference);
+        first.details.occurrences += 1;
+        // The first occurrence carries the internal amount
+        items.push({
+          ...base,
+          internalAmount: null,
+          status: 'duplicate',
+          details: { reason: 'Reference appears more than once in the gateway export', gatewayDate: row.date }
+        });
+        continue;
+      }
+
+      const details = { occurrences: 1, gatewayDate: row.date };
+      if (row.fee !== null) {
+        details.gatewayFee = row.fee / 100;
+      }
+
+      let status;
+      if (internal.length === 0) {
+        status = 'missing_internal';
+        details.reason = 'No internal record for this gateway reference';
+      } else if (internal.length > 1) {
+        status = 'duplicate';
+        details.reason = 'Reference matches more than one internal record';
+        details.internalIds = internal.map(record => record.id);
+      } else if (row.currency && row.currency !== internal[0].currency) {
+        status = 'amount_mismatch';
+        details.reason = `Currency differs: gateway ${row.currency}, internal ${internal[0].currency}`;
+      } else if (Math.abs(row.amount - internal[0].amount) > this.config.amountTolerance) {
+        status = 'amount_mismatch';
+        details.reason = 'Amount differs';
+        details.difference = (row.amount - internal[0].amount) / 100;
+      } else {
+        status = 'matched';
+      }
+
+      if (internal.length === 1) {
+        details.internalStatus = internal[0].status;
+      }
+
+      const item = { ...base, status, details };
+      seen.set(reference, item);
+      items.push(item);
+    }
+
+    return { items, matchedKeys };
+  }
+
+  /**
+   * Items for expected internal records the gateway did not report
+   */
+  missingInGateway(expected, matchedKeys, recordType) {
+    return expected
+      .filter(record => !matchedKeys.has(record.key))
+      .map(record => ({
+        recordType,
+        reference: record.reference,
+        status: 'missing_in_gateway',
+        currency: record.currency,
+        gatewayAmount: null,
+        internalAmount: record.amount,
+        internalType: record.type,
+        internalId: record.id,
+        details: {
+          reason: 'Internal record not found in the gateway export',
+          internalStatus: record.status,
+          recordedAt: record.recordedAt
+        }
+      }));
+  }
+
+  fromPurchase(purchase) {
+    return {
+      key: `purchase:${purchase.id}`,
+      type: 'purchase',
+      id: String(purchase.id),
+      reference: purchase.paymentReference,
+      amount: Math.round(parseFloat(purchase.amount) * 100),
+      currency: purchase.currency,
+      status: purchase.paymentStatus,
+      recordedAt: purchase.createdAt
+    };
+  }
+
+  fromWalletTransaction(tx) {
+    return {
+      key: `wallet_transaction:${tx.id}`,
+      type: 'wallet_transaction',
+      id: String(tx.id),
+      reference: tx.external_reference || tx.reference,
+      amount: parseInt(tx.amount),
+      currency: tx.currency,
+      status: tx.status,
+      recordedAt: tx.created_at
+    };
+  }
+
+  fromPayout(payout) {
+    return {
+      key: `payout:${payout.id}`,
+      type: 'payout',
+      id: String(payout.id),
+      reference: payout.transferReference,
+      amount: Math.round(parseFloat(payout.netAmount) * 100),
+      currency: payout.currency,
+      status: payout.status,
+      recordedAt: payout.createdAt
+    };
+  }
+
+  /**
+   * Parse CSV or JSON export contents into plain row objects
+   * @param {string} text - File contents
+   * @param {string} format - csv or json
+   * @returns {Array<Object>}
+   */
+  parseExport(text, format) {
+    if (format === 'json') {
+      let parsed;
+      try {
+        parsed = JSON.parse(text);
+      } catch (error) {
+        throw this.error('Export is not valid JSON', 400);
+      }
+
+      // Accept a bare array or an API list response ({ data: [...] })
+      const rows = Array.isArray(parsed)
+        ? parsed
+        : parsed && (parsed.data || parsed.transactions || parsed.transfers || parsed.rows);
+
+      if (!Array.isArray(rows)) {
+        throw this.error('JSON export must be an array of rows or contain a data array', 400);
+      }
+
+      return rows;
+    }
+
+    // raw keeps references and amounts as the text in the file
+    const workbook = xlsx.read(text, { type: 'string', raw: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+
+    return sheet ? xlsx.utils.sheet_to_json(sheet, { defval: null }) : [];
+  }
+
+  /**
+   * Map one export row onto reference/amount/currency/status/date/type
+   * @returns {Object|null} Normalized row, or null when it has no reference or is not a payment/transfer
+   */
+  normalizeRow(raw, { gateway, recordType, unit }) {
+    const fields = {};
+    for (const [key, value] of Object.entries(raw || {})) {
+      fields[String(key).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_')] = value;
+    }
+
+    // Stripe API objects keep our own reference in metadata
+    if (raw && raw.metadata && typeof raw.metadata === 'object' && raw.metadata.reference) {
+      fields.metadata_reference = raw.metadata.reference;
+    }
+
+    const pick = name => {
+      const key = COLUMN_ALIASES[name].find(alias => fields[alias] !== undefined && fields[alias] !== null && fields[alias] !== '');
+      return key ? fields[key] : null;
+    };
+
+    const references = [
+      ...COLUMN_ALIASES.reference.map(alias => fields[alias]),
+      fields.metadata_reference
+    ]
+      .filter(value => value !== undefined && value !== null && typeof value !== 'object' && String(value).trim() !== '')
+      .map(value => String(value).trim());
+
+    if (references.length === 0) {
+      return null;
+    }
+
+    const typeValue = String(pick('type') || '').trim().toLowerCase();
+    if (IGNORED_TYPES.includes(typeValue)) {
+      return null;
+    }
+
+    const status = pick('status');
+    const currency = pick('currency');
+
+    return {
+      references: [...new Set(references)],
+      recordType: RECORD_TYPE_VALUES[typeValue] || recordType,
+      amount: this.toMinorUnits(pick('amount'), unit),
+      fee: pick('fee') !== null ? this.toMinorUnits(pick('fee'), unit) : null,
+      currency: currency ? String(currency).trim().toUpperCase() : null,
+      successful: status === null || SUCCESS_STATUSES.includes(String(status).trim().toLowerCase()),
+      date: this.parseDate(pick('date')),
+      gateway
+    };
+  }
+
+  toMinorUnits(value, unit) {
+    if (value === null || value === undefined) {
+      return 0;
+    }
+
+    const amount = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+    if (isNaN(amount)) {
+      return 0;
+    }
+
+    return unit === 'major' ? Math.round(amount * 100) : Math.round(amount);
+  }
+
+  parseDate(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    // Stripe API timestamps are Unix seconds
+    const numeric = Number(value);
+    const date = !isNaN(numeric) && String(value).trim() !== ''
+      ? new Date(numeric < 1e12 ? numeric * 1000 : numeric)
+      : new Date(value);
+
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  detectFormat(text, format, fileName) {
+    if (format) {
+      const normalized = String(format).toLowerCase();
+      if (!['csv', 'json'].includes(normalized)) {
+        throw this.error('Format must be csv or json', 400);
+      }
+      return normalized;
+    }
+
+    const extension = fileName ? path.extname(fileName).toLowerCase() : '';
+    if (extension === '.json') return 'json';
+    if (extension === '.csv') return 'csv';
+
+    const first = text.trim().charAt(0);
+    return first === '[' || first === '{' ? 'json' : 'csv';
+  }
+
+  collectReferences(rows) {
+    return [...new Set(rows.flatMap(row => row.references))];
+  }
+
+  /**
+   * Period checked for records missing from the export: the one given on
+   * import, otherwise the span of the export's own row dates. Without either
+   * the missing_in_gateway check is skipped.
+   */
+  resolvePeriod(run) {
+    return run.periodStart && run.periodEnd ? { start: run.periodStart, end: run.periodEnd } : null;
+  }
+
+  periodBoundary(rows, boundary) {
+    const times = rows.filter(row => row.date).map(row => row.date.getTime());
+    if (times.length === 0) {
+      return null;
+    }
+
+    return new Date(boundary === 'min' ? Math.min(...times) : Math.max(...times));
+  }
+
+  /**
+   * Gateway vs internal totals per currency (major units)
+   */
+  buildTotals(items) {
+    const totals = {};
+
+    for (const item of items) {
+      if (!item.currency) continue;
+
+      const bucket = totals[item.currency] || (totals[item.currency] = { gatewayTotal: 0, internalTotal: 0 });
+      bucket.gatewayTotal += item.gatewayAmount || 0;
+      bucket.internalTotal += item.internalAmount || 0;
+    }
+
+    for (const bucket of Object.values(totals)) {
+      bucket.difference = (bucket.gatewayTotal - bucket.internalTotal) / 100;
+      bucket.gatewayTotal /= 100;
+      bucket.internalTotal /= 100;
+    }
+
+    return totals;
+  }
+
+  /**
+   * List reconciliation runs (admin)
+   * @param {Object} filters - gateway, status, limit, offset
+   * @returns {Promise<{total: number, runs: Array}>}
+   */
+  async getRuns({ gateway, status, limit = 20, offset = 0 } = {}) {
+    const where = {};
+
+    if (gateway) {
+      where.gateway = gateway;
+    }
+
+    if (status) {
+      where.status = status;
+    }
+
+    const { count, rows } = await SettlementReconciliationRun.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    return { total: count, runs: rows };
+  }
+
+  /**
+   * Get a run with its items, optionally filtered by item status (admin)
+   * @param {string} runId - Run ID
+   * @param {Object} filters - status, recordType
+   * @returns {Promise<{run: SettlementReconciliationRun, items: Array}>}
+   */
+  async getRun(runId, { status, recordType } = {}) {
+    const run = await SettlementReconciliationRun.findByPk(runId);
+
+    if (!run) {
+      throw this.error('Reconciliation run not found', 404);
+    }
+
+    const where = { runId };
+
+    if (status) {
+      if (!ITEM_STATUSES.includes(status)) {
+        throw this.error(`Status must be one of: ${ITEM_STATUSES.join(', ')}`, 400);
+      }
+      where.status = status;
+    }
+
+    if (recordType) {
+      where.recordType = recordType;
+    }
+
+    const items = await SettlementReconciliationItem.findAll({
+      where,
+      order: [['status', 'ASC'], ['reference', 'ASC']]
+    });
+
+    return { run, items };
+  }
+
+  /**
+   * Export a run's items as CSV or JSON (admin)
+   * @param {string} runId - Run ID
+   * @param {Object} options - format, status
+   * @returns {Promise<{format: string, fileName: string, data: string|Object}>}
+   */
+  async exportRun(runId, { format = 'csv', status } = {}) {
+    const { run, items } = await this.getRun(runId, { status });
+    const fileName = `reconciliation-${run.gateway}-${run.id}.${format === 'json' ? 'json' : 'csv'}`;
+
+    if (format === 'json') {
+      return {
+        format: 'json',
+        fileName,
+        data: { run, items: items.map(item => item.toJSON()) }
+      };
+    }
+
+    const escape = value => {
+      if (value === null || value === undefined) return '';
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const csvRows = [];
+
+    csvRows.push([
+      'Reference',
+      'Record Type',
+      'Status',
+      'Currency',
+      'Gateway Amount',
+      'Internal Amount',
+      'Difference',
+      'Internal Type',
+      'Internal ID',
+      'Reason'
+    ].join(','));
+
+    for (const item of items) {
+      const data = item.toJSON();
+      const difference = data.gatewayAmount !== null && data.internalAmount !== null
+        ? Math.round((data.gatewayAmount - data.internalAmount) * 100) / 100
+        : '';
+
+      csvRows.push([
+        data.reference,
+        data.recordType,
+        data.status,
+        data.currency,
+        data.gatewayAmount,
+        data.internalAmount,
+        difference,
+        data.internalType,
+        data.internalId,
+        data.details ? data.details.reason : ''
+      ].map(escape).join(','));
+    }
+
+    return {
+      format: 'csv',
+      fileName,
+      data: csvRows.join('\n')
+    };
+  }
+
+  error(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+  }
+}
+
+module.exports = new SettlementReconciliationService();
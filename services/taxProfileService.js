@@ -0,0 +1,158 @@
+const { CreatorTaxProfile } = require('../models/walletIndex');
+
+const TAX_ID_TYPES = ['TIN', 'SSN', 'EIN', 'ITIN', 'VAT', 'FOREIGN_TIN'];
+const US_TAX_ID_TYPES = ['SSN', 'EIN', 'ITIN'];
+const FORM_TYPES = ['none', 'W-9', 'W-8BEN', 'W-8BEN-E'];
+
+/**
+ * Tax Profile Service
+ *
+ * Creators keep one tax profile that is printed on their earnings
+ * statements. The W-9 / W-8 fields follow the IRS forms' rules:
+ *
+ * - W-9      → US persons, with an SSN, EIN or ITIN
+ * - W-8BEN   → non-US individuals
+ * - W-8BEN-E → non-US businesses
+ *
+ * Saving a W-9 or W-8 requires the creator to certify it by typing their
+ * name; the certification date is recorded.
+ */
+class TaxProfileService {
+  /**
+   * Get a creator's tax profile
+   * @param {number} userId - User ID
+   * @returns {Promise<CreatorTaxProfile|null>}
+   */
+  async getProfile(userId) {
+    return CreatorTaxProfile.findOne({ where: { userId } });
+  }
+
+  /**
+   * Create or replace a creator's tax profile
+   * @param {number} userId - User ID
+   * @param {Object} data - Profile fields
+   * @returns {Promise<CreatorTaxProfile>}
+   */
+  async saveProfile(userId, data) {
+    const profile = this.validate(data);
+    const existing = await this.getProfile(userId);
+
+    if (profile.formType !== 'none') {
+      const unchanged = existing &&
+        existing.formType === profile.formType &&
+        existing.taxId === profile.taxId &&
+        existing.legalName === profile.legalName &&
+        existing.certifiedName;
+
+      if (!data.certifiedName && !unchanged) {
+        throw this.error(`certifiedName is required to certify the ${profile.formType}`, 400);
+      }
+
+      if (data.certifiedName) {
+        profile.certifiedName = String(data.certifiedName).trim();
+        profile.certifiedAt = new Date();
+      }
+    } else {
+      profile.certifiedName = null;
+      profile.certifiedAt = null;
+    }
+
+    if (existing) {
+      await existing.update(profile);
+      return existing;
+    }
+
+    return CreatorTaxProfile.create({ ...profile, userId });
+  }
+
+  /**
+   * Normalize and validate profile fields
+   * @param {Object} data - Request body
+   * @returns {Object} Model attributes
+   */
+  validate(data = {}) {
+    const required = ['legalName', 'country', 'taxIdType', 'taxId', 'addressLine1', 'city'];
+    const missing = required.filter(field => !data[field] || String(data[field]).trim() === '');
+
+    if (missing.length > 0) {
+      throw this.error(`Missing required fields: ${missing.join(', ')}`, 400);
+    }
+
+    const country = String(data.country).trim().toUpperCase();
+    const taxIdType = String(data.taxIdType).trim().toUpperCase();
+    const taxId = String(data.taxId).replace(/\s+/g, '');
+    const entityType = data.entityType || 'individual';
+    const formType = data.formType || 'none';
+    const usPerson = data.usPerson === true || data.usPerson === 'true' || country === 'US';
+
+    if (!/^[A-Z]{2}$/.test(country)) {
+      throw this.error('country must be a two-letter ISO country code', 400);
+    }
+
+    if (!TAX_ID_TYPES.includes(taxIdType)) {
+      throw this.error(`taxIdType must be one of: ${TAX_ID_TYPES.join(', ')}`, 400);
+    }
+
+    if (!/^[A-Za-z0-9-]{5,30}$/.test(taxId)) {
+      throw this.error('taxId must be 5-30 letters, digits or dashes', 400);
+    }
+
+    if (!['individual', 'business'].includes(entityType)) {
+      throw this.error('entityType must be individual or business', 400);
+    }
+
+    if (!FORM_TYPES.includes(formType)) {
+      throw this.error(`formType must be one of: ${FORM_TYPES.join(', ')}`, 400);
+    }
+
+    if (formType === 'W-9' && (!usPerson || !US_TAX_ID_TYPES.includes(taxIdType))) {
+      throw this.error('W-9 is for US persons with an SSN, EIN or ITIN', 400);
+    }
+
+    if (formType === 'W-8BEN' && (usPerson || entityType !== 'individual')) {
+      throw this.error('W-8BEN is for individuals who are not US persons', 400);
+    }
+
+    if (formType === 'W-8BEN-E' && (usPerson || entityType !== 'business')) {
+      throw this.error('W-8BEN-E is for businesses that are not US persons', 400);
+    }
+
+    const withholdingRate = data.withholdingRate !== undefined && data.withholdingRate !== null && data.withholdingRate !== ''
+      ? parseFloat(data.withholdingRate)
+      : null;
+
+    if (withholdingRate !== null && (isNaN(withholdingRate) || withholdingRate < 0 || withholdingRate > 100)) {
+      throw this.error('withholdingRate must be a percentage between 0 and 100', 400);
+    }
+
+    // Treaty benefits are only claimed on a W-8
+    const claimsTreaty = formType.startsWith('W-8') && data.treatyCountry;
+
+    return {
+      legalName: String(data.legalName).trim(),
+      businessName: data.businessName ? String(data.businessName).trim() : null,
+      entityType,
+      country,
+      taxIdType,
+      taxId,
+      formType,
+      usPerson,
+      addressLine1: String(data.addressLine1).trim(),
+      addressLine2: data.addressLine2 ? String(data.addressLine2).trim() : null,
+      city: String(data.city).trim(),
+      state: data.state ? String(data.state).trim() : null,
+      postalCode: data.postalCode ? String(data.postalCode).trim() : null,
+      treatyCountry: claimsTreaty ? String(data.treatyCountry).trim().toUpperCase() : null,
+      treatyArticle: claimsTreaty && data.treatyArticle ? String(data.treatyArticle).trim() : null,
+      withholdingRate: claimsTreaty ? withholdingRate : null
+    };
+  }
+
+  error(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+  }
+}
+
+module.exports = new TaxProfileService();
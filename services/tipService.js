@@ -0,0 +1,530 @@
+const crypto = require('crypto');
+const { paystackClient } = require('../config/paystack');
+const { stripeClient } = require('../config/stripe');
+const sequelize = require('../config/db');
+const PaymentRoutingService = require('./paymentRoutingService');
+const MultiCurrencyWalletService = require('./multiCurrencyWalletService');
+const databaseTransactionService = require('./databaseTransactionService');
+const { Tip } = require('../models/tipIndex');
+const { WalletAccount } = require('../models/walletIndex');
+const User = require('../models/User');
+
+const TIP_CONTENT_TYPES = ['video', 'live_class', 'live_session'];
+const MAX_MESSAGE_LENGTH = 280;
+
+/**
+ * Tip Service
+ *
+ * Learners tip creators on a video, live class or live series session:
+ *
+ * - Wallet tips debit the tipper and credit the creator (minus the tip fee)
+ *   in one DB transaction
+ * - Card tips open a Paystack transaction or Stripe Checkout Session tagged
+ *   `type: 'tip'`; the creator is credited when the webhook or verify
+ *   endpoint confirms the payment
+ * - Completed tips are pushed to the creator and, for live rooms, broadcast
+ *   to the ZegoCloud audience through websocketManager
+ *
+ * The fee is TIP_FEE_PERCENT of the tip; TIP_MIN_* / TIP_MAX_* bound the
+ * amount per currency.
+ */
+class TipService {
+  constructor() {
+    this.paymentRoutingService = new PaymentRoutingService();
+    this.walletService = new MultiCurrencyWalletService();
+    this.config = {
+      feePercent: process.env.TIP_FEE_PERCENT !== undefined ? parseFloat(process.env.TIP_FEE_PERCENT) : 10,
+      minAmount: {
+        NGN: parseFloat(process.env.TIP_MIN_NGN) || 100,
+        USD: parseFloat(process.env.TIP_MIN_USD) || 1
+      },
+      maxAmount: {
+        NGN: parseFloat(process.env.TIP_MAX_NGN) || 500000,
+        USD: parseFloat(process.env.TIP_MAX_USD) || 1000
+      }
+    };
+  }
+
+  /**
+   * Send a tip
+   * @param {Object} params
+   * @param {number} params.tipperId - Tipper
+   * @param {string} params.tipperEmail - Email for the gateway receipt
+   * @param {string} params.contentType - video | live_class | live_session
+   * @param {string} params.contentId - Content ID
+   * @param {number} params.amount - Tip amount in major units
+   * @param {string} params.currency - NGN | USD
+   * @param {string} params.message - Optional note shown with the tip
+   * @param {boolean} params.anonymous - Hide the tipper's name from the room
+   * @param {string} params.paymentMethod - wallet | card
+   * @returns {Promise<Object>} { tip, payment }
+   */
+  async sendTip({ tipperId, tipperEmail, contentType, contentId, amount, currency, message = null, anonymous = false, paymentMethod = 'wallet' }) {
+    if (!TIP_CONTENT_TYPES.includes(contentType)) {
+      throw this.error(`contentType must be one of: ${TIP_CONTENT_TYPES.join(', ')}`, 400);
+    }
+
+    if (!['wallet', 'card'].includes(paymentMethod)) {
+      throw this.error('paymentMethod must be wallet or card', 400);
+    }
+
+    const tipCurrency = String(currency || '').toUpperCase();
+    try {
+      this.walletService.validateCurrency(tipCurrency);
+    } catch (error) {
+      throw this.error(error.message, 400);
+    }
+
+    const tipAmount = this.round(parseFloat(amount));
+    const min = this.config.minAmount[tipCurrency];
+    const max = this.config.maxAmount[tipCurrency];
+    if (!(tipAmount >= min && tipAmount <= max)) {
+      throw this.error(`Tip amount must be between ${min} and ${max} ${tipCurrency}`, 400);
+    }
+
+    const note = message ? String(message).trim() : null;
+    if (note && note.length > MAX_MESSAGE_LENGTH) {
+      throw this.error(`Tip message must be at most ${MAX_MESSAGE_LENGTH} characters`, 400);
+    }
+
+    const target = await this.resolveTarget(contentType, contentId);
+    if (!target) {
+      throw this.error(`${contentType.replace('_', ' ')} not found`, 404);
+    }
+
+    if (target.creatorId === tipperId) {
+      throw this.error('You cannot tip yourself', 400);
+    }
+
+    const platformFee = this.round(tipAmount * this.config.feePercent / 100);
+    const attributes = {
+      tipperId,
+      creatorId: target.creatorId,
+      contentType,
+      contentId,
+      amount: tipAmount,
+      currency: tipCurrency,
+      platformFee,
+      creatorNet: this.round(tipAmount - platformFee),
+      message: note || null,
+      anonymous: !!anonymous,
+      paymentReference: this.generateReference()
+    };
+
+    if (paymentMethod === 'wallet') {
+      const tip = await this.payFromWallet(attributes);
+      await this.announce(tip, target);
+      return { tip, payment: null };
+    }
+
+    const gateway = this.walletService.getRequiredGateway(tipCurrency);
+    const tip = await Tip.create({ ...attributes, paymentMethod: gateway });
+
+    try {
+      const payment = gateway === 'paystack'
+        ? await this.initializePaystack(tip, target, tipperEmail)
+        : await this.initializeStripe(tip, target, tipperEmail);
+
+      await tip.update({ gatewayReference: payment.reference });
+      return { tip, payment };
+    } catch (error) {
+      await tip.update({ status: 'failed' });
+      throw error;
+    }
+  }
+
+  /**
+   * Debit the tipper and credit the creator in one transaction
+   */
+  async payFromWallet(attributes) {
+    const cents = this.walletService.convertToCents(attributes.amount, attributes.currency);
+
+    return databaseTransactionService.executeWithTransaction(async (transaction) => {
+      const tip = await Tip.create({
+        ...attributes,
+        paymentMethod: 'wallet',
+        status: 'completed',
+        paidAt: new Date()
+      }, { transaction });
+
+      const wallet = await WalletAccount.findOne({
+        where: { user_id: attributes.tipperId, currency: attributes.currency },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!wallet || parseInt(wallet.balance_available) < cents) {
+        throw this.error(`Insufficient ${attributes.currency} wallet balance`, 402);
+      }
+
+      const reference = `WALLET-${tip.paymentReference}`;
+      const description = `Tip to creator ${attributes.creatorId}`;
+      const metadata = { tipId: tip.id, creatorId: attributes.creatorId, gateway: 'wallet' };
+
+      await databaseTransactionService.updateWalletBalance(
+        wallet,
+        -cents,
+        0,
+        transaction,
+        this.walletService.buildLedgerPosting({ reference, description, metadata, ledger: { entryType: 'tip', gateway: 'wallet' } })
+      );
+
+      await this.walletService.logWalletTransaction({
+        walletId: wallet.id,
+        type: 'debit',
+        amount: cents,
+        currency: attributes.currency,
+        reference,
+        description,
+        metadata: { ...metadata, currency: attributes.currency },
+        gateway: 'wallet',
+        status: 'completed',
+        transaction
+      });
+
+      await this.creditCreator(tip, 'wallet', transaction);
+      return tip;
+    });
+  }
+
+  /**
+   * Credit the creator's net share of a tip, with the fee on the ledger
+   */
+  async creditCreator(tip, gateway, transaction) {
+    const net = parseFloat(tip.creatorNet);
+    if (!(net > 0)) return;
+
+    let wallet = await WalletAccount.findOne({
+      where: { user_id: tip.creatorId, currency: tip.currency },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!wallet) {
+      wallet = await databaseTransactionService.createWalletInTransaction(tip.creatorId, tip.currency, transaction);
+    }
+
+    const cents = this.walletService.convertToCents(net, tip.currency);
+    const description = `Tip on ${tip.contentType.replace('_', ' ')}`;
+    const metadata = {
+      tipId: tip.id,
+      tipperUserId: tip.tipperId,
+      contentType: tip.contentType,
+      contentId: tip.contentId,
+      platformFee: parseFloat(tip.platformFee),
+      gateway
+    };
+
+    await databaseTransactionService.updateWalletBalance(
+      wallet,
+      cents,
+      0,
+      transaction,
+      this.walletService.buildLedgerPosting({
+        reference: tip.paymentReference,
+        description,
+        metadata,
+        ledger: { entryType: 'tip', gateway, platformFee: parseFloat(tip.platformFee) }
+      })
+    );
+
+    await this.walletService.logWalletTransaction({
+      walletId: wallet.id,
+      type: 'credit',
+      amount: cents,
+      currency: tip.currency,
+      reference: tip.paymentReference,
+      description,
+      metadata: { ...metadata, currency: tip.currency },
+      gateway,
+      status: 'completed',
+      transaction
+    });
+  }
+
+  async initializePaystack(tip, target, email) {
+    try {
+      const response = await paystackClient.post('/transaction/initialize', {
+        email,
+        amount: this.walletService.convertToCents(parseFloat(tip.amount), tip.currency),
+        currency: tip.currency,
+        reference: tip.paymentReference,
+        metadata: {
+          type: 'tip',
+          tipId: tip.id,
+          userId: tip.tipperId.toString(),
+          custom_fields: [
+            { display_name: 'Tip for', variable_name: 'tip_for', value: target.title }
+          ]
+        },
+        callback_url: `${process.env.CLIENT_URL}/tips/verify`
+      });
+
+      return {
+        gateway: 'paystack',
+        authorizationUrl: response.data.data.authorization_url,
+        accessCode: response.data.data.access_code,
+        reference: response.data.data.reference
+      };
+    } catch (error) {
+      console.error('[Tip] Paystack initialization error:', error.response?.data || error.message);
+      throw this.error(error.response?.data?.message || 'Failed to initialize Paystack payment', 502);
+    }
+  }
+
+  async initializeStripe(tip, target, email) {
+    try {
+      const session = await stripeClient.checkout.sessions.create({
+        payment_method_types: ['card'],
+        line_items: [{
+          price_data: {
+            currency: tip.currency.toLowerCase(),
+            product_data: {
+              name: `Tip for ${target.title}`
+            },
+            unit_amount: this.walletService.convertToCents(parseFloat(tip.amount), tip.currency)
+          },
+          quantity: 1
+        }],
+        mode: 'payment',
+        customer_email: email,
+        success_url: `${process.env.CLIENT_URL}/tips/verify?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${process.env.CLIENT_URL}/tips?cancelled=true`,
+        client_reference_id: tip.tipperId.toString(),
+        metadata: {
+          type: 'tip',
+          tipId: tip.id,
+          tipReference: tip.paymentReference,
+          userId: tip.tipperId.toString()
+        }
+      });
+
+      return {
+        gateway: 'stripe',
+        sessionId: session.id,
+        checkoutUrl: session.url,
+        reference: session.id
+      };
+    } catch (error) {
+      console.error('[Tip] Stripe initialization error:', error.message);
+      throw this.error(error.message || 'Failed to initialize Stripe payment', 502);
+    }
+  }
+
+  /**
+   * Verify a card tip with its gateway and credit the creator
+   * @param {number} tipperId - Tipper
+   * @param {string} tipId - Tip ID
+   * @returns {Promise<Object>} { tip, alreadyProcessed }
+   */
+  async verifyTip(tipperId, tipId) {
+    const tip = await Tip.findOne({ where: { id: tipId, tipperId } });
+    if (!tip) {
+      throw this.error('Tip not found', 404);
+    }
+
+    if (tip.status !== 'pending') {
+      return { tip, alreadyProcessed: true };
+    }
+
+    if (!tip.gatewayReference) {
+      throw this.error('Tip has no payment to verify', 400);
+    }
+
+    const verification = tip.paymentMethod === 'paystack'
+      ? await this.paymentRoutingService.verifyPaystackPayment(tip.gatewayReference)
+      : await this.paymentRoutingService.verifyStripePayment(tip.gatewayReference);
+
+    if (!verification.success) {
+      throw this.error(verification.message || 'Payment not completed', 402);
+    }
+
+    return this.handleGatewayPayment(tip.paymentMethod, verification.data);
+  }
+
+  /**
+   * Complete a card tip from a successful Paystack charge or Stripe Checkout
+   * Session (webhook or verify endpoint). Runs once per tip.
+   * @param {string} gateway - paystack | stripe
+   * @param {Object} paymentData - Paystack transaction or Stripe session
+   * @returns {Promise<Object>} { tip, alreadyProcessed }
+   */
+  async handleGatewayPayment(gateway, paymentData) {
+    const tipId = paymentData.metadata && paymentData.metadata.tipId;
+    const tip = await Tip.findByPk(tipId);
+
+    if (!tip) {
+      throw this.error('Tip not found', 404);
+    }
+
+    if (tip.status === 'completed') {
+      return { tip, alreadyProcessed: true };
+    }
+
+    const currency = paymentData.currency.toUpperCase();
+    const paidCents = parseInt(gateway === 'paystack' ? paymentData.amount : paymentData.amount_total) || 0;
+    const expectedCents = this.walletService.convertToCents(parseFloat(tip.amount), tip.currency);
+
+    if (currency !== tip.currency || paidCents !== expectedCents) {
+      console.error(`[Tip] ${tip.paymentReference}: paid ${paidCents} ${currency}, expected ${expectedCents} ${tip.currency}`);
+      await tip.update({ status: 'failed' });
+      throw this.error('Payment does not match the tip amount', 409);
+    }
+
+    const transaction = await sequelize.transaction();
+    try {
+      const locked = await Tip.findByPk(tip.id, { lock: transaction.LOCK.UPDATE, transaction });
+      if (locked.status === 'completed') {
+        await transaction.rollback();
+        return { tip: locked, alreadyProcessed: true };
+      }
+
+      await this.creditCreator(locked, gateway, transaction);
+      await locked.update({
+        status: 'completed',
+        paidAt: new Date(),
+        gatewayReference: gateway === 'paystack' ? paymentData.reference : paymentData.id
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error(`[Tip] Failed to complete tip ${tip.paymentReference}:`, error);
+      throw error;
+    }
+
+    await tip.reload();
+    await this.announce(tip, await this.resolveTarget(tip.contentType, tip.contentId));
+
+    return { tip, alreadyProcessed: false };
+  }
+
+  /**
+   * Push a completed tip to the creator and, when the content is live on
+   * ZegoCloud, to everyone in the room. Delivery failures never fail the tip.
+   */
+  async announce(tip, target) {
+    try {
+      const websocketManager = require('./websocketManager');
+      const tipper = tip.anonymous
+        ? null
+        : await User.findByPk(tip.tipperId, { attributes: ['id', 'firstname', 'lastname'] });
+
+      const payload = {
+        tipId: tip.id,
+        contentType: tip.contentType,
+        contentId: tip.contentId,
+        amount: parseFloat(tip.amount),
+        currency: tip.currency,
+        message: tip.message,
+        tipper: tipper ? { id: tipper.id, name: `${tipper.firstname} ${tipper.lastname}`.trim() } : null
+      };
+
+      websocketManager.sendOrQueue(tip.creatorId, 'tip_received', {
+        ...payload,
+        creatorNet: parseFloat(tip.creatorNet)
+      });
+
+      if (target && target.roomId && target.isLive) {
+        websocketManager.broadcastTip(target.roomId, payload);
+      }
+    } catch (error) {
+      console.error(`[Tip] Failed to announce tip ${tip.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Creator, title and ZegoCloud room of the tipped content
+   * @returns {Promise<Object|null>} { creatorId, title, roomId, isLive }
+   */
+  async resolveTarget(contentType, contentId) {
+    if (contentType === 'video') {
+      const Video = require('../models/Video');
+      const video = await Video.findByPk(contentId, { attributes: ['id', 'title', 'userId'] });
+      return video ? { creatorId: video.userId, title: video.title, roomId: null, isLive: false } : null;
+    }
+
+    if (contentType === 'live_class') {
+      const LiveClass = require('../models/liveClass');
+      const liveClass = await LiveClass.findByPk(contentId, { attributes: ['id', 'title', 'userId', 'status', 'zego_room_id'] });
+      return liveClass
+        ? { creatorId: liveClass.userId, title: liveClass.title, roomId: liveClass.zego_room_id, isLive: liveClass.status === 'live' }
+        : null;
+    }
+
+    const { LiveSeries, LiveSession } = require('../models/liveSeriesIndex');
+    const session = await LiveSession.findByPk(contentId);
+    if (!session) return null;
+
+    const series = await LiveSeries.findByPk(session.seriesId, { attributes: ['id', 'title', 'userId'] });
+    return series
+      ? {
+        creatorId: series.userId,
+        title: `${series.title} (session ${session.sessionNumber})`,
+        roomId: session.zegoRoomId,
+        isLive: session.isLive()
+      }
+      : null;
+  }
+
+  // ─── Listings ─────────────────────────────────────────────────────────────
+
+  /**
+   * Tips the user has sent, newest first
+   */
+  async getSentTips(tipperId, { limit = 20, offset = 0 } = {}) {
+    const { count, rows } = await Tip.findAndCountAll({
+      where: { tipperId },
+      include: [{ model: User, as: 'creator', attributes: ['id', 'firstname', 'lastname'] }],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    return { total: count, tips: rows };
+  }
+
+  /**
+   * Completed tips a creator has received, newest first. Anonymous tippers
+   * are hidden.
+   */
+  async getReceivedTips(creatorId, { contentType = null, limit = 20, offset = 0 } = {}) {
+    const where = { creatorId, status: 'completed' };
+    if (contentType) where.contentType = contentType;
+
+    const { count, rows } = await Tip.findAndCountAll({
+      where,
+      include: [{ model: User, as: 'tipper', attributes: ['id', 'firstname', 'lastname'] }],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    return {
+      total: count,
+      tips: rows.map(tip => {
+        const data = tip.toJSON();
+        if (data.anonymous) data.tipper = null;
+        return data;
+      })
+    };
+  }
+
+  // ─── Helpers ──────────────────────────────────────────────────────────────
+
+  generateReference() {
+    return `TIP-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  error(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+  }
+}
+
+module.exports = new TipService();
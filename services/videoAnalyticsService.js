@@ -1,33 +1,116 @@
 const VideoView = require('../models/VideoView');
+const VideoWatchSegment = require('../models/VideoWatchSegment');
 const Video = require('../models/Video');
+const Purchase = require('../models/Purchase');
 const { Op } = require('sequelize');
 
-exports.recordView = async ({ videoId, userId, ipAddress }) => {
+const VIEW_SOURCES = ['feed', 'search', 'profile', 'community', 'share', 'external', 'direct'];
+const MAX_HEARTBEAT_SECONDS = 120; // longest stretch one heartbeat may report
+const SEGMENT_JOIN_GAP_SECONDS = 2; // heartbeats this close extend the previous segment
+const COMPLETION_THRESHOLD = 0.9; // share of the video watched to count as completed
+const RETENTION_POINTS = 20;
+const MAX_ANALYTICS_DAYS = 365;
+
+const httpError = (message, statusCode) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const round = (value, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+const startOf = (daysAgo) => {
+  const d = new Date();
+  d.setDate(d.getDate() - daysAgo);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const viewerKey = (view) => (view.userId ? `user:${view.userId}` : `ip:${view.ipAddress}`);
+
+/**
+ * Merge overlapping [start, end) intervals
+ */
+const mergeSegments = (segments) => {
+  const sorted = segments
+    .map(segment => [segment.startSecond, segment.endSecond])
+    .sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  sorted.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+  return merged;
+};
+
+/**
+ * Where a viewer came from: the `source` the client sends, else "external"
+ * for a referrer outside CLIENT_URL, else "direct"
+ */
+exports.resolveSource = (requested, referer) => {
+  if (requested && VIEW_SOURCES.includes(requested)) {
+    return requested;
+  }
+
+  if (referer) {
+    try {
+      const refererHost = new URL(referer).host;
+      const clientHost = process.env.CLIENT_URL ? new URL(process.env.CLIENT_URL).host : null;
+      if (refererHost && refererHost !== clientHost) {
+        return 'external';
+      }
+    } catch (error) {
+      // Malformed referrer, treat as direct
+    }
+  }
+
+  return 'direct';
+};
+
+/**
+ * Record a view, at most once per user (or guest IP) per day. Preview views
+ * (paywall shown) are kept apart and don't count towards viewsCount.
+ * @returns {Promise<Object|null>} The view heartbeats should report against
+ */
+exports.recordView = async ({ videoId, userId, ipAddress, source = null, isPreview = false }) => {
   try {
     // Check if viewer already watched this video recently
     const existingView = await VideoView.findOne({
       where: {
         videoId,
-        [Op.or]: [
-          { userId: userId || null },
-          { ipAddress: ipAddress || null },
-        ],
+        isPreview,
+        ...(userId ? { userId } : { userId: null, ipAddress: ipAddress || null }),
         createdAt: { [Op.gte]: new Date(Date.now() - 24 * 60 * 60 * 1000) }, // within 24 hours, so each view only counts once per day
       },
     });
 
     if (!existingView) {
       // Log new view
-      await VideoView.create({ videoId, userId, ipAddress });
+      const view = await VideoView.create({ videoId, userId, ipAddress, source, isPreview });
       // Increment main view counter
-      await Video.increment('viewsCount', { where: { id: videoId } });
-    } else {
-      // Update last watched time
-      existingView.lastWatchedAt = new Date();
-      await existingView.save();
+      if (!isPreview) {
+        await Video.increment('viewsCount', { where: { id: videoId } });
+      }
+      return view;
     }
+
+    // Update last watched time
+    existingView.lastWatchedAt = new Date();
+    await existingView.save();
+    return existingView;
   } catch (error) {
     console.error('Error recording view:', error);
+    return null;
   }
 };
 
@@ -38,4 +121,356 @@ exports.updateWatchDuration = async (viewId, duration) => {
   } catch (error) {
     console.error('Error updating watch duration:', error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Store a watch-progress heartbeat: the player reports the stretch
+ * [from, to) it played since the last heartbeat
+ * @param {Object} params
+ * @param {string} params.videoId - Video
+ * @param {string} params.viewId - View returned with the video
+ * @param {number|null} params.userId - Viewer, null for guests
+ * @param {number} params.from - Start position in seconds
+ * @param {number} params.to - End position in seconds
+ * @returns {Promise<Object>} { viewId, uniqueSecondsWatched, percentWatched }
+ */
+exports.recordHeartbeat = async ({ videoId, viewId, userId, from, to }) => {
+  const start = Math.floor(parseFloat(from));
+  let end = Math.ceil(parseFloat(to));
+
+  if (isNaN(start) || isNaN(end) || start < 0 || end <= start) {
+    throw httpError('from and to must be positions in seconds with from before to', 400);
+  }
+
+  if (end - start > MAX_HEARTBEAT_SECONDS) {
+    throw httpError(`A heartbeat can cover at most ${MAX_HEARTBEAT_SECONDS} seconds`, 400);
+  }
+
+  const view = viewId ? await VideoView.findByPk(viewId) : null;
+
+  if (!view || view.videoId !== videoId) {
+    throw httpError('View not found', 404);
+  }
+
+  if (view.isPreview) {
+    throw httpError('Watch progress can only be recorded once you have access', 403);
+  }
+
+  if (view.userId && view.userId !== userId) {
+    throw httpError('This view belongs to another viewer', 403);
+  }
+
+  const video = await Video.findByPk(videoId, { attributes: ['id', 'durationSeconds'] });
+  const duration = video ? parseInt(video.durationSeconds) || 0 : 0;
+
+  if (duration > 0) {
+    if (start >= duration) {
+      throw httpError('from is past the end of the video', 400);
+    }
+    end = Math.min(end, duration);
+  }
+
+  const lastSegment = await VideoWatchSegment.findOne({
+    where: { viewId: view.id },
+    order: [['updatedAt', 'DESC']]
+  });
+
+  if (lastSegment && start >= lastSegment.startSecond && start <= lastSegment.endSecond + SEGMENT_JOIN_GAP_SECONDS) {
+    await lastSegment.update({ endSecond: Math.max(lastSegment.endSecond, end) });
+  } else {
+    await VideoWatchSegment.create({ viewId: view.id, videoId, startSecond: start, endSecond: end });
+  }
+
+  const segments = await VideoWatchSegment.findAll({ where: { viewId: view.id } });
+  const uniqueSecondsWatched = mergeSegments(segments).reduce((sum, [s, e]) => sum + (e - s), 0);
+
+  await view.update({
+    uniqueSecondsWatched,
+    watchDuration: (view.watchDuration || 0) + (end - start),
+    lastWatchedAt: new Date()
+  });
+
+  return {
+    viewId: view.id,
+    uniqueSecondsWatched,
+    percentWatched: duration > 0 ? round(Math.min(uniqueSecondsWatched / duration, 1) * 100) : null
+  };
+};
+
+/**
+ * View, watch-time and completion totals for a set of views
+ * @param {Array} views - VideoView rows
+ * @param {Function} durationOf - videoId => duration in seconds
+ */
+const summarizeViews = (views, durationOf) => {
+  const fullViews = views.filter(view => !view.isPreview);
+
+  const viewsPerViewer = {};
+  fullViews.forEach(view => {
+    const key = viewerKey(view);
+    viewsPerViewer[key] = (viewsPerViewer[key] || 0) + 1;
+  });
+  const viewers = Object.values(viewsPerViewer);
+
+  const watched = fullViews
+    .map(view => ({ view, duration: durationOf(view.videoId) }))
+    .filter(({ view, duration }) => duration > 0 && view.uniqueSecondsWatched > 0)
+    .map(({ view, duration }) => Math.min(view.uniqueSecondsWatched / duration, 1));
+
+  const completed = watched.filter(share => share >= COMPLETION_THRESHOLD).length;
+
+  return {
+    views: fullViews.length,
+    uniqueViewers: viewers.length,
+    returningViewers: viewers.filter(count => count > 1).length,
+    previews: views.length - fullViews.length,
+    viewsWithProgress: watched.length,
+    totalWatchTimeSeconds: fullViews.reduce((sum, view) => sum + (view.watchDuration || 0), 0),
+    averagePercentWatched: watched.length > 0
+      ? round(watched.reduce((sum, share) => sum + share, 0) / watched.length * 100)
+      : 0,
+    completionRate: watched.length > 0 ? round(completed / watched.length * 100) : 0
+  };
+};
+
+/**
+ * Views and previews per source
+ */
+const summarizeSources = (views) => {
+  const sources = {};
+  views.forEach(view => {
+    const source = view.source || 'direct';
+    if (!sources[source]) {
+      sources[source] = { source, views: 0, previews: 0 };
+    }
+    sources[source][view.isPreview ? 'previews' : 'views'] += 1;
+  });
+  return Object.values(sources).sort((a, b) =>
+    (b.views + b.previews) - (a.views + a.previews) || a.source.localeCompare(b.source));
+};
+
+/**
+ * Signed-in viewers who hit the paywall and later bought the video they previewed
+ */
+const summarizeConversion = (views, purchases) => {
+  const firstPreview = {};
+  let guestPreviews = 0;
+
+  views.filter(view => view.isPreview).forEach(view => {
+    if (!view.userId) {
+      guestPreviews += 1;
+      return;
+    }
+    const key = `${view.userId}:${view.videoId}`;
+    const previewedAt = new Date(view.createdAt);
+    if (!firstPreview[key] || previewedAt < firstPreview[key]) {
+      firstPreview[key] = previewedAt;
+    }
+  });
+
+  const converted = new Set();
+  purchases.forEach(purchase => {
+    const key = `${purchase.userId}:${purchase.contentId}`;
+    if (firstPreview[key] && new Date(purchase.createdAt) >= firstPreview[key]) {
+      converted.add(key);
+    }
+  });
+
+  const previewViewers = Object.keys(firstPreview).length;
+
+  return {
+    previewViewers,
+    guestPreviews,
+    purchasesAfterPreview: converted.size,
+    conversionRate: previewViewers > 0 ? round(converted.size / previewViewers * 100) : 0
+  };
+};
+
+/**
+ * Views, unique viewers, previews, sales and revenue (per currency) per day
+ */
+const dailySeries = (days, views, purchases) => {
+  const series = {};
+  for (let i = days; i >= 0; i--) {
+    const date = dayKey(startOf(i).getTime() + 12 * 60 * 60 * 1000);
+    series[date] = { date, views: 0, uniqueViewers: 0, previews: 0, sales: 0, revenue: {}, viewers: new Set() };
+  }
+
+  views.forEach(view => {
+    const day = series[dayKey(view.createdAt)];
+    if (!day) return;
+    if (view.isPreview) {
+      day.previews += 1;
+    } else {
+      day.views += 1;
+      day.viewers.add(viewerKey(view));
+    }
+  });
+
+  purchases.forEach(purchase => {
+    const day = series[dayKey(purchase.createdAt)];
+    if (!day) return;
+    day.sales += 1;
+    day.revenue[purchase.currency] = round((day.revenue[purchase.currency] || 0) + parseFloat(purchase.amount));
+  });
+
+  return Object.values(series).map(({ viewers, ...day }) => ({ ...day, uniqueViewers: viewers.size }));
+};
+
+/**
+ * Audience retention: share of views with progress that watched each
+ * 1/RETENTION_POINTS mark of the video
+ */
+const retentionCurve = (duration, segmentsByView) => {
+  if (!duration || segmentsByView.size === 0) {
+    return [];
+  }
+
+  const merged = Array.from(segmentsByView.values()).map(mergeSegments);
+
+  return Array.from({ length: RETENTION_POINTS }, (_, i) => {
+    const second = Math.floor(i * duration / RETENTION_POINTS);
+    const watching = merged.filter(intervals => intervals.some(([s, e]) => s <= second && second < e)).length;
+    return {
+      second,
+      percentOfVideo: round(i * 100 / RETENTION_POINTS),
+      percentOfViewers: round(watching / merged.length * 100)
+    };
+  });
+};
+
+const analyticsPeriod = (days) => {
+  const span = Math.min(Math.max(parseInt(days) || 30, 1), MAX_ANALYTICS_DAYS);
+  return { days: span, since: startOf(span) };
+};
+
+/**
+ * Engagement analytics for one video
+ * @param {Object} video - Video instance
+ * @param {Object} options
+ * @param {number} options.days - Period in days (default 30, max 365)
+ */
+exports.getVideoAnalytics = async (video, { days } = {}) => {
+  const period = analyticsPeriod(days);
+  const duration = parseInt(video.durationSeconds) || 0;
+
+  const [views, purchases, segments] = await Promise.all([
+    VideoView.findAll({
+      where: { videoId: video.id, createdAt: { [Op.gte]: period.since } },
+      raw: true
+    }),
+    Purchase.findAll({
+      where: {
+        contentType: 'video',
+        contentId: video.id,
+        paymentStatus: 'completed',
+        createdAt: { [Op.gte]: period.since }
+      },
+      attributes: ['userId', 'contentId', 'amount', 'currency', 'createdAt'],
+      raw: true
+    }),
+    VideoWatchSegment.findAll({
+      where: { videoId: video.id, createdAt: { [Op.gte]: period.since } },
+      raw: true
+    })
+  ]);
+
+  const fullViewIds = new Set(views.filter(view => !view.isPreview).map(view => view.id));
+  const segmentsByView = new Map();
+  segments.forEach(segment => {
+    if (!fullViewIds.has(segment.viewId)) return;
+    if (!segmentsByView.has(segment.viewId)) segmentsByView.set(segment.viewId, []);
+    segmentsByView.get(segment.viewId).push(segment);
+  });
+
+  return {
+    videoId: video.id,
+    title: video.title,
+    durationSeconds: duration,
+    period,
+    totals: {
+      ...summarizeViews(views, () => duration),
+      lifetimeViews: parseInt(video.viewsCount) || 0
+    },
+    retention: retentionCurve(duration, segmentsByView),
+    sources: summarizeSources(views),
+    conversion: summarizeConversion(views, purchases),
+    daily: dailySeries(period.days, views, purchases)
+  };
+};
+
+/**
+ * Engagement analytics across all videos, with the top videos by views
+ * @param {Object} options
+ * @param {number} options.days - Period in days (default 30, max 365)
+ * @param {number} options.limit - Number of top videos (default 10)
+ */
+exports.getPlatformVideoAnalytics = async ({ days, limit = 10 } = {}) => {
+  const period = analyticsPeriod(days);
+
+  const [views, purchases] = await Promise.all([
+    VideoView.findAll({
+      where: { createdAt: { [Op.gte]: period.since } },
+      attributes: ['id', 'videoId', 'userId', 'ipAddress', 'source', 'isPreview', 'watchDuration', 'uniqueSecondsWatched', 'createdAt'],
+      raw: true
+    }),
+    Purchase.findAll({
+      where: {
+        contentType: 'video',
+        paymentStatus: 'completed',
+        createdAt: { [Op.gte]: period.since }
+      },
+      attributes: ['userId', 'contentId', 'amount', 'currency', 'createdAt'],
+      raw: true
+    })
+  ]);
+
+  const videoIds = Array.from(new Set(views.map(view => view.videoId)));
+  const videos = videoIds.length > 0
+    ? await Video.findAll({ where: { id: videoIds }, attributes: ['id', 'title', 'userId', 'durationSeconds'], raw: true })
+    : [];
+  const videosById = new Map(videos.map(video => [video.id, video]));
+  const durationOf = (videoId) => parseInt(videosById.get(videoId)?.durationSeconds) || 0;
+
+  const viewsByVideo = new Map();
+  views.forEach(view => {
+    if (!viewsByVideo.has(view.videoId)) viewsByVideo.set(view.videoId, []);
+    viewsByVideo.get(view.videoId).push(view);
+  });
+
+  const revenueByVideo = {};
+  purchases.forEach(purchase => {
+    const revenue = revenueByVideo[purchase.contentId] || (revenueByVideo[purchase.contentId] = {});
+    revenue[purchase.currency] = round((revenue[purchase.currency] || 0) + parseFloat(purchase.amount));
+  });
+
+  const topVideos = Array.from(viewsByVideo.entries())
+    .map(([videoId, videoViews]) => {
+      const totals = summarizeViews(videoViews, durationOf);
+      return {
+        videoId,
+        title: videosById.get(videoId)?.title || null,
+        creatorId: videosById.get(videoId)?.userId || null,
+        views: totals.views,
+        uniqueViewers: totals.uniqueViewers,
+        previews: totals.previews,
+        averagePercentWatched: totals.averagePercentWatched,
+        completionRate: totals.completionRate,
+        revenue: revenueByVideo[videoId] || {}
+      };
+    })
+    .sort((a, b) => b.views - a.views)
+    .slice(0, Math.max(parseInt(limit) || 10, 1));
+
+  return {
+    period,
+    totals: {
+      ...summarizeViews(views, durationOf),
+      videosViewed: viewsByVideo.size
+    },
+    sources: summarizeSources(views),
+    conversion: summarizeConversion(views, purchases),
+    daily: dailySeries(period.days, views, purchases),
+    topVideos
+  };
+};
@@ -0,0 +1,309 @@
+const path = require('path');
+const mux = require('../config/mux');
+const VideoCaption = require('../models/VideoCaption');
+const { findOwnVideo } = require('./videoService');
+const { parseCaptions } = require('../utils/captionParser');
+
+const CAPTION_FORMATS = { '.vtt': 'vtt', '.srt': 'srt' };
+const CONTENT_TYPES = { vtt: 'text/vtt', srt: 'application/x-subrip' };
+const LANGUAGE_CODE = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i;
+const MAX_NAME_LENGTH = 100;
+const MAX_SEARCH_LENGTH = 100;
+// Caption files are private: Mux fetches the file once when the track is
+// created, viewers get a URL behind the video's access check
+const MUX_FETCH_URL_TTL = 60 * 60;
+const CAPTION_URL_TTL = 5 * 60;
+
+const httpError = (message, statusCode) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+/**
+ * "pt-br" -> "pt-BR", "YO" -> "yo"
+ */
+const normalizeLanguageCode = (code) => {
+  const [language, ...rest] = String(code).split('-');
+  return [language.toLowerCase(), ...rest.map(part => (part.length === 2 ? part.toUpperCase() : part))].join('-');
+};
+
+const languageName = (languageCode) => {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(languageCode) || languageCode;
+  } catch (err) {
+    return languageCode;
+  }
+};
+
+// Case- and accent-insensitive, so "ise" finds "iṣẹ́"
+const searchable = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+const signedFileUrl = (fileKey, expiresIn) => {
+  const { getSignedUrl } = require('./s3Service');
+  return getSignedUrl(fileKey, expiresIn);
+};
+
+const deleteCaptionFile = (fileKey) => {
+  const { s3 } = require('./s3Service');
+  return s3.deleteObject({ Bucket: process.env.AWS_S3_BUCKET, Key: fileKey }).promise();
+};
+
+const createTrack = (video, caption) => mux.video.assets.createTrack(video.muxAssetId, {
+  url: signedFileUrl(caption.fileKey, MUX_FETCH_URL_TTL),
+  type: 'text',
+  text_type: 'subtitles',
+  language_code: caption.languageCode,
+  name: caption.name,
+  closed_captions: caption.closedCaptions
+});
+
+const summarize = (caption) => ({
+  id: caption.id,
+  languageCode: caption.languageCode,
+  name: caption.name,
+  closedCaptions: caption.closedCaptions,
+  format: caption.format,
+  status: caption.status
+});
+
+/**
+ * Delete the Mux track and S3 file behind a caption
+ */
+const removeCaptionFiles = async (video, { muxTrackId, fileKey }) => {
+  if (muxTrackId && video.muxAssetId) {
+    try {
+      await mux.video.assets.deleteTrack(video.muxAssetId, muxTrackId);
+    } catch (err) {
+      console.error(`[Video Caption Service] Failed to delete Mux track ${muxTrackId}:`, err.message);
+    }
+  }
+
+  if (fileKey) {
+    try {
+      await deleteCaptionFile(fileKey);
+    } catch (err) {
+      console.error('[Video Caption Service] Failed to delete caption file from S3:', err.message);
+    }
+  }
+};
+
+/**
+ * Add a WebVTT or SRT caption file to a video. The file is parsed first, so
+ * malformed files are rejected before anything is uploaded to S3 or sent to
+ * Mux. Uploading the same language again replaces the previous file.
+ * @param {number} userId - Video owner
+ * @param {string} videoId
+ * @param {Object} file - Multer memory-storage file
+ * @param {Object} options - { languageCode, name, closedCaptions }
+ */
+exports.addCaptionService = async (userId, videoId, file, { languageCode, name, closedCaptions } = {}) => {
+  if (!file || !file.buffer) {
+    throw httpError('A caption file is required', 400);
+  }
+
+  const format = CAPTION_FORMATS[path.extname(file.originalname || '').toLowerCase()];
+  if (!format) {
+    throw httpError('Captions must be a WebVTT (.vtt) or SRT (.srt) file', 400);
+  }
+
+  if (!languageCode || !LANGUAGE_CODE.test(String(languageCode))) {
+    throw httpError('languageCode must be a language tag such as en, yo or pt-BR', 400);
+  }
+  const language = normalizeLanguageCode(languageCode);
+
+  const trackName = name ? String(name).trim() : languageName(language);
+  if (!trackName || trackName.length > MAX_NAME_LENGTH) {
+    throw httpError(`name must be 1-${MAX_NAME_LENGTH} characters`, 400);
+  }
+
+  const video = await findOwnVideo(userId, videoId);
+
+  if (!video.muxAssetId || video.status !== 'ready') {
+    throw httpError('Captions can be added once the video has finished processing', 409);
+  }
+
+  let parsed;
+  try {
+    parsed = parseCaptions(file.buffer, format);
+  } catch (err) {
+    throw httpError(`Invalid caption file: ${err.message}`, 400);
+  }
+
+  if (video.durationSeconds && parsed.cues[0].start >= video.durationSeconds) {
+    throw httpError('Invalid caption file: every cue starts after the end of the video', 400);
+  }
+
+  const { uploadFileToS3 } = require('./s3Service');
+  const uploaded = await uploadFileToS3(file.buffer, file.originalname, CONTENT_TYPES[format], 'captions');
+
+  const isClosedCaptions = closedCaptions === true || closedCaptions === 'true';
+  const values = {
+    videoId: video.id,
+    languageCode: language,
+    name: trackName,
+    closedCaptions: isClosedCaptions,
+    format,
+    fileKey: uploaded.key,
+    cues: parsed.cues
+  };
+
+  let track;
+  try {
+    track = await createTrack(video, values);
+  } catch (err) {
+    await deleteCaptionFile(uploaded.key).catch(() => {});
+    console.error(`[Video Caption Service] Mux rejected captions for video ${video.id}:`, err.message);
+    throw httpError('Mux could not add the caption track', 502);
+  }
+
+  const existing = await VideoCaption.findOne({
+    where: { videoId: video.id, languageCode: language, closedCaptions: isClosedCaptions }
+  });
+
+  const replaced = existing ? { muxTrackId: existing.muxTrackId, fileKey: existing.fileKey } : null;
+
+  const caption = existing
+    ? await existing.update({ ...values, muxTrackId: track.id, status: 'preparing' })
+    : await VideoCaption.create({ ...values, muxTrackId: track.id, status: 'preparing' });
+
+  if (replaced) {
+    await removeCaptionFiles(video, replaced);
+  }
+
+  return summarize(caption);
+};
+
+exports.deleteCaptionService = async (userId, videoId, captionId) => {
+  const video = await findOwnVideo(userId, videoId);
+
+  const caption = await VideoCaption.findOne({ where: { id: captionId, videoId: video.id } });
+  if (!caption) {
+    throw httpError('Caption not found', 404);
+  }
+
+  await removeCaptionFiles(video, caption);
+  await caption.destroy();
+};
+
+/**
+ * Caption languages available on a video (without the cues)
+ */
+exports.listCaptions = async (videoId) => {
+  const captions = await VideoCaption.findAll({
+    where: { videoId },
+    attributes: ['id', 'languageCode', 'name', 'closedCaptions', 'format', 'status'],
+    order: [['languageCode', 'ASC'], ['closedCaptions', 'ASC']]
+  });
+  return captions.map(summarize);
+};
+
+/**
+ * A short-lived signed URL for one caption file, for players that load
+ * captions themselves. Callers check the viewer's access first.
+ */
+exports.getCaptionFile = async (video, captionId) => {
+  const caption = await VideoCaption.findOne({ where: { id: captionId, videoId: video.id } });
+  if (!caption) {
+    throw httpError('Caption not found', 404);
+  }
+
+  return {
+    ...summarize(caption),
+    url: signedFileUrl(caption.fileKey, CAPTION_URL_TTL),
+    expiresIn: CAPTION_URL_TTL
+  };
+};
+
+/**
+ * The transcript in one language, with the chapter each cue falls in.
+ * With `q`, only the matching cues are returned as `matches`.
+ * @param {Object} video
+ * @param {Object} options
+ * @param {string} options.language - Language code; defaults to English, else the first caption
+ * @param {string} options.q - Search text
+ */
+exports.getTranscript = async (video, { language, q } = {}) => {
+  const captions = await VideoCaption.findAll({
+    where: { videoId: video.id },
+    order: [['languageCode', 'ASC'], ['closedCaptions', 'ASC']]
+  });
+  const usable = captions.filter(caption => caption.status !== 'errored');
+
+  if (usable.length === 0) {
+    throw httpError('This video has no transcript', 404);
+  }
+
+  let caption;
+  if (language) {
+    const wanted = normalizeLanguageCode(language);
+    caption = usable.find(c => c.languageCode === wanted)
+      || usable.find(c => c.languageCode.split('-')[0] === wanted.split('-')[0]);
+    if (!caption) {
+      throw httpError(`No transcript in ${language}`, 404);
+    }
+  } else {
+    caption = usable.find(c => c.languageCode.split('-')[0] === 'en') || usable[0];
+  }
+
+  const chapters = video.chapters || [];
+  const chapterAt = (second) => {
+    const chapter = chapters.filter(c => c.startTime <= second).pop();
+    return chapter ? chapter.title : null;
+  };
+
+  const cues = caption.cues
+    .filter(cue => cue.text)
+    .map((cue, index) => ({ index, ...cue, chapter: chapterAt(cue.start) }));
+
+  const transcript = {
+    videoId: video.id,
+    caption: summarize(caption),
+    languages: usable.map(summarize),
+    cues
+  };
+
+  if (q !== undefined) {
+    const query = searchable(String(q).trim()).slice(0, MAX_SEARCH_LENGTH);
+    if (!query) {
+      throw httpError('Search text is required', 400);
+    }
+    transcript.query = String(q).trim();
+    transcript.matches = cues.filter(cue => searchable(cue.text).includes(query));
+  }
+
+  return transcript;
+};
+
+/**
+ * Re-create caption tracks on a video's current asset, e.g. after its
+ * source file was replaced
+ */
+exports.attachCaptionsToAsset = async (video) => {
+  const captions = await VideoCaption.findAll({ where: { videoId: video.id } });
+
+  for (const caption of captions) {
+    try {
+      const track = await createTrack(video, caption);
+      await caption.update({ muxTrackId: track.id, status: 'preparing' });
+    } catch (err) {
+      await caption.update({ muxTrackId: null, status: 'errored' });
+      console.error(`[Video Caption Service] Failed to attach ${caption.languageCode} captions to asset ${video.muxAssetId}:`, err.message);
+    }
+  }
+
+  return captions.length;
+};
+
+/**
+ * Mux finished (or failed) processing a text track
+ * @param {string} trackId - Mux track ID from video.asset.track.* webhooks
+ * @param {string} status - ready | errored
+ */
+exports.updateTrackStatus = async (trackId, status) => {
+  const caption = await VideoCaption.findOne({ where: { muxTrackId: trackId } });
+  if (!caption) {
+    return null;
+  }
+  return caption.update({ status });
+};
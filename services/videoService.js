@@ -1,5 +1,51 @@
 const mux = require('../config/mux');
 const VideoModel = require('../models/Video');
+const muxPlaybackService = require('./muxPlaybackService');
+
+const EDITABLE_PRIVACY = ['public', 'unlisted', 'private'];
+const VALID_CURRENCIES = ['NGN', 'USD'];
+const MAX_CHAPTERS = 100;
+const MAX_CHAPTER_TITLE_LENGTH = 100;
+
+const httpError = (message, statusCode) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const findOwnVideo = async (userId, videoId) => {
+  const video = await VideoModel.findByPk(videoId);
+
+  if (!video) {
+    throw httpError('Video not found', 404);
+  }
+
+  if (video.userId !== userId) {
+    throw httpError('You can only edit your own videos', 403);
+  }
+
+  return video;
+};
+
+exports.findOwnVideo = findOwnVideo;
+
+/**
+ * Seconds from a chapter start time given as seconds or "MM:SS" / "H:MM:SS"
+ */
+const parseChapterTime = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? Math.floor(value) : null;
+  }
+  if (/^\d+$/.test(String(value || '').trim())) {
+    return parseInt(value, 10);
+  }
+
+  const match = /^(?:(\d+):)?([0-5]?\d):([0-5]\d)$/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+  return (parseInt(match[1] || '0', 10) * 3600) + (parseInt(match[2], 10) * 60) + parseInt(match[3], 10);
+};
 
 exports.uploadVideoService = async ({
   userId,
@@ -16,10 +62,13 @@ exports.uploadVideoService = async ({
 }) => {
   try {
 
+    // Paid and private videos are only playable with a signed token
+    const playbackPolicy = muxPlaybackService.policyFor({ price, privacy });
+
     const upload = await mux.video.uploads.create({
       cors_origin: '*',
       new_asset_settings: {
-        playback_policy: ['public'],
+        playback_policy: [playbackPolicy],
       },
     });
 
@@ -54,6 +103,7 @@ exports.uploadVideoService = async ({
       ageRestriction: ageRestriction === 'true',
       thumbnailUrl: thumbnailUrl,
       muxUploadId: upload.id,
+      muxPlaybackPolicy: playbackPolicy,
       status: 'uploading',
     });
 
@@ -75,3 +125,257 @@ exports.uploadVideoService = async ({
     throw err;
   }
 };
+
+/**
+ * Edit a video's metadata in place, keeping its ID, purchases and views.
+ * Price or privacy changes move the Mux asset between public and signed playback.
+ */
+exports.updateVideoService = async (userId, videoId, fields) => {
+  const video = await findOwnVideo(userId, videoId);
+  const updates = {};
+
+  if (fields.title !== undefined) {
+    const title = String(fields.title).trim();
+    if (!title) {
+      throw httpError('Title cannot be empty', 400);
+    }
+    updates.title = title;
+  }
+
+  if (fields.description !== undefined) {
+    updates.description = fields.description || null;
+  }
+
+  if (fields.price !== undefined) {
+    if (video.pricingMode !== 'fixed') {
+      throw httpError('This video uses flexible pricing; update it with PUT /videos/:id/pricing', 400);
+    }
+
+    const price = parseFloat(fields.price);
+    if (isNaN(price) || price < 0) {
+      throw httpError('Price must be a number of 0 or more', 400);
+    }
+    updates.price = price;
+  }
+
+  if (fields.currency !== undefined) {
+    const currency = String(fields.currency).toUpperCase();
+    if (!VALID_CURRENCIES.includes(currency)) {
+      throw httpError(`Currency must be one of: ${VALID_CURRENCIES.join(', ')}`, 400);
+    }
+    updates.currency = currency;
+  }
+
+  if (fields.tags !== undefined) {
+    updates.tags = (typeof fields.tags === 'string' && fields.tags.length > 0)
+      ? fields.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+      : (Array.isArray(fields.tags) ? fields.tags : []);
+  }
+
+  if (fields.category !== undefined) {
+    updates.category = fields.category || null;
+  }
+
+  if (fields.privacy !== undefined) {
+    if (!EDITABLE_PRIVACY.includes(fields.privacy)) {
+      throw httpError(`Privacy must be one of: ${EDITABLE_PRIVACY.join(', ')}`, 400);
+    }
+    updates.privacy = fields.privacy;
+  }
+
+  if (fields.ageRestriction !== undefined) {
+    updates.ageRestriction = fields.ageRestriction === true || fields.ageRestriction === 'true';
+  }
+
+  if (Object.keys(updates).length === 0) {
+    throw httpError('Nothing to update', 400);
+  }
+
+  await video.update(updates);
+
+  if (updates.price !== undefined || updates.privacy !== undefined) {
+    try {
+      await muxPlaybackService.syncPolicy(video);
+    } catch (err) {
+      console.error(`[Video Service] Failed to sync playback policy for video ${video.id}:`, err.message);
+    }
+  }
+
+  return video;
+};
+
+/**
+ * Swap a video's thumbnail for one uploaded through the S3 pipeline
+ * (utils/multerConfig), removing the old S3 object.
+ */
+exports.replaceThumbnailService = async (userId, videoId, thumbnailFile) => {
+  if (!thumbnailFile) {
+    throw httpError('A thumbnail image is required', 400);
+  }
+
+  const thumbnailUrl = thumbnailFile.location || `/upload/${thumbnailFile.filename}`;
+
+  let video;
+  try {
+    video = await findOwnVideo(userId, videoId);
+  } catch (err) {
+    // Don't leave someone else's upload behind in the bucket
+    if (thumbnailFile.location) {
+      const { deleteFileFromS3 } = require('./s3Service');
+      await deleteFileFromS3(thumbnailFile.location).catch(() => {});
+    }
+    throw err;
+  }
+  const previousThumbnailUrl = video.thumbnailUrl;
+
+  await video.update({ thumbnailUrl });
+
+  if (previousThumbnailUrl && previousThumbnailUrl.startsWith('https://') && previousThumbnailUrl !== thumbnailUrl) {
+    try {
+      const { deleteFileFromS3 } = require('./s3Service');
+      await deleteFileFromS3(previousThumbnailUrl);
+    } catch (err) {
+      console.error('[Video Service] Failed to delete old thumbnail from S3:', err.message);
+    }
+  }
+
+  return video;
+};
+
+/**
+ * Replace a long-form video's chapter markers. Chapters are sorted by start
+ * time; the first must start at 0:00 and all must start before the end of
+ * the video. An empty list removes the chapters.
+ * @param {Array} chapters - [{ startTime, title }], startTime in seconds or "MM:SS" / "H:MM:SS"
+ */
+exports.setChaptersService = async (userId, videoId, chapters) => {
+  const video = await findOwnVideo(userId, videoId);
+
+  if (video.type !== 'long') {
+    throw httpError('Chapters are only available for long-form videos', 400);
+  }
+
+  if (!Array.isArray(chapters)) {
+    throw httpError('chapters must be an array of { startTime, title }', 400);
+  }
+
+  if (chapters.length > MAX_CHAPTERS) {
+    throw httpError(`A video can have at most ${MAX_CHAPTERS} chapters`, 400);
+  }
+
+  const parsed = chapters.map((chapter, index) => {
+    const startTime = parseChapterTime(chapter && chapter.startTime);
+    if (startTime === null) {
+      throw httpError(`Chapter ${index + 1}: startTime must be seconds or "MM:SS" / "H:MM:SS"`, 400);
+    }
+
+    const title = String((chapter && chapter.title) || '').trim();
+    if (!title || title.length > MAX_CHAPTER_TITLE_LENGTH) {
+      throw httpError(`Chapter ${index + 1}: title must be 1-${MAX_CHAPTER_TITLE_LENGTH} characters`, 400);
+    }
+
+    if (video.durationSeconds && startTime >= video.durationSeconds) {
+      throw httpError(`Chapter ${index + 1}: starts after the end of the video`, 400);
+    }
+
+    return { startTime, title };
+  }).sort((a, b) => a.startTime - b.startTime);
+
+  if (parsed.length > 0 && parsed[0].startTime !== 0) {
+    throw httpError('The first chapter must start at 0:00', 400);
+  }
+
+  parsed.forEach((chapter, index) => {
+    if (index > 0 && chapter.startTime === parsed[index - 1].startTime) {
+      throw httpError('Two chapters cannot start at the same time', 400);
+    }
+  });
+
+  await video.update({ chapters: parsed.length > 0 ? parsed : null });
+
+  return video;
+};
+
+/**
+ * Start replacing a video's source file. A new Mux direct upload is created;
+ * the current asset keeps playing until the new one is ready, when
+ * completeSourceReplacement swaps them (see muxController).
+ */
+exports.replaceSourceService = async (userId, videoId) => {
+  const video = await findOwnVideo(userId, videoId);
+
+  // A newer replacement supersedes one still in progress
+  if (video.muxReplacementUploadId) {
+    try {
+      await mux.video.uploads.cancel(video.muxReplacementUploadId);
+    } catch (err) {
+      console.error(`[Video Service] Failed to cancel replacement upload ${video.muxReplacementUploadId}:`, err.message);
+    }
+  }
+
+  const upload = await mux.video.uploads.create({
+    cors_origin: '*',
+    new_asset_settings: {
+      playback_policy: [muxPlaybackService.policyFor(video)],
+      passthrough: video.id,
+    },
+  });
+
+  await video.update({
+    muxReplacementUploadId: upload.id,
+    replacementStatus: 'uploading'
+  });
+
+  return {
+    uploadUrl: upload.url,
+    uploadId: upload.id,
+    video,
+  };
+};
+
+/**
+ * Point a video at its replacement asset once Mux has processed it, then
+ * delete the old asset.
+ * @param {Object} video - Video whose muxReplacementUploadId matches the asset's upload
+ * @param {Object} asset - Mux asset from the video.asset.ready webhook
+ */
+exports.completeSourceReplacement = async (video, asset) => {
+  const previousAssetId = video.muxAssetId;
+  const playback = asset.playback_ids?.[0] || null;
+
+  await video.update({
+    muxUploadId: asset.upload_id,
+    muxAssetId: asset.id,
+    muxPlaybackId: playback?.id || null,
+    muxPlaybackPolicy: playback?.policy === 'signed' ? 'signed' : 'public',
+    durationSeconds: Math.floor(asset.duration || 0),
+    status: 'ready',
+    muxReplacementUploadId: null,
+    replacementStatus: null
+  });
+
+  if (previousAssetId && previousAssetId !== asset.id) {
+    try {
+      await mux.video.assets.delete(previousAssetId);
+    } catch (err) {
+      console.error(`[Video Service] Failed to delete replaced Mux asset ${previousAssetId}:`, err.message);
+    }
+  }
+
+  // Price or privacy may have changed while the new file was processing
+  try {
+    await muxPlaybackService.syncPolicy(video);
+  } catch (err) {
+    console.error(`[Video Service] Failed to sync playback policy for video ${video.id}:`, err.message);
+  }
+
+  // Caption tracks belonged to the old asset
+  try {
+    const { attachCaptionsToAsset } = require('./videoCaptionService');
+    await attachCaptionsToAsset(video);
+  } catch (err) {
+    console.error(`[Video Service] Failed to re-attach captions for video ${video.id}:`, err.message);
+  }
+
+  return video;
+};
@@ -0,0 +1,336 @@
+const { Op } = require('sequelize');
+const databaseTransactionService = require('./databaseTransactionService');
+const MultiCurrencyWalletService = require('./multiCurrencyWalletService');
+const exchangeRateService = require('./exchangeRateService');
+const fraudDetectionService = require('./fraudDetectionService');
+const withdrawalLimitService = require('./withdrawalLimitService');
+const { CurrencyConversion } = require('../models/walletIndex');
+
+const walletService = new MultiCurrencyWalletService();
+
+/**
+ * Wallet Conversion Service
+ *
+ * Swaps balance between a user's own wallet accounts (e.g. NGN → USD):
+ * - createQuote      → fixes the rate, spread fee and amounts for a short window
+ * - executeQuote     → withdrawal-limit and fraud checks, then debits the
+ *                      source wallet and credits the target wallet atomically
+ *
+ * Moving balance to another currency lets it leave through that currency's
+ * gateway, so the source amount is checked against the user's withdrawal
+ * limits for the source currency, and completed conversions count towards
+ * that currency's usage. The spread fee is charged in the source currency
+ * and kept by the platform.
+ */
+class WalletConversionService {
+  constructor() {
+    const spreadPercent = parseFloat(process.env.WALLET_CONVERSION_SPREAD_PERCENT);
+
+    this.config = {
+      spreadPercent: Number.isFinite(spreadPercent) && spreadPercent >= 0 ? spreadPercent : 1.5,
+      quoteTtl: (parseInt(process.env.WALLET_CONVERSION_QUOTE_TTL_SECONDS) || 30) * 1000,
+      minimumAmounts: {
+        NGN: 100,
+        USD: 1,
+        GBP: 1,
+        EUR: 1
+      }
+    };
+  }
+
+  /**
+   * Quote a conversion between two of the user's wallets
+   * @param {number} userId - User ID
+   * @param {Object} params - fromCurrency, toCurrency, amount (in fromCurrency)
+   * @returns {Promise<Object>} Formatted quote
+   */
+  async createQuote(userId, { fromCurrency, toCurrency, amount }) {
+    const from = this.validateCurrency(fromCurrency);
+    const to = this.validateCurrency(toCurrency);
+    const sourceAmount = Math.round(parseFloat(amount) * 100) / 100;
+
+    if (from === to) {
+      throw this.error('Source and target currencies must be different', 400);
+    }
+
+    if (!Number.isFinite(sourceAmount) || sourceAmount <= 0) {
+      throw this.error('Amount must be a positive number', 400);
+    }
+
+    const minimum = this.config.minimumAmounts[from];
+    if (minimum === undefined) {
+      throw this.error(`Conversions from ${from} are not supported`, 400);
+    }
+
+    if (sourceAmount < minimum) {
+      throw this.error(`Minimum conversion is ${minimum} ${from}`, 400);
+    }
+
+    const wallet = await walletService.getWalletAccount(userId, from);
+    const available = wallet ? walletService.convertFromCents(parseInt(wallet.balance_available), from) : 0;
+
+    if (available < sourceAmount) {
+      throw this.error(`Insufficient ${from} balance. Available: ${available} ${from}`, 400);
+    }
+
+    const snapshot = exchangeRateService.getRateSnapshot(from, to);
+    const feeAmount = Math.round(sourceAmount * this.config.spreadPercent) / 100;
+    const targetAmount = Math.round((sourceAmount - feeAmount) * snapshot.rate * 100) / 100;
+
+    if (targetAmount <= 0) {
+      throw this.error('Amount is too small to convert', 400);
+    }
+
+    const quote = await CurrencyConversion.create({
+      userId,
+      fromCurrency: from,
+      toCurrency: to,
+      sourceAmount,
+      feeAmount,
+      targetAmount,
+      marketRate: snapshot.rate,
+      spreadPercent: this.config.spreadPercent,
+      exchangeRateSnapshot: snapshot,
+      expiresAt: new Date(Date.now() + this.config.quoteTtl)
+    });
+
+    console.log(`[Wallet Conversion] Quoted ${sourceAmount} ${from} → ${targetAmount} ${to} for user ${userId}`);
+    return this.formatConversion(quote);
+  }
+
+  /**
+   * Execute a quoted conversion
+   * @param {number} userId - User ID
+   * @param {string} quoteId - Quote ID from createQuote()
+   * @param {Object} context - ip, userAgent (for fraud analysis)
+   * @returns {Promise<Object>} Completed conversion and updated balances
+   */
+  async executeQuote(userId, quoteId, { ip = 'unknown', userAgent = 'unknown' } = {}) {
+    const quote = await CurrencyConversion.findOne({ where: { id: quoteId, userId } });
+
+    if (!quote) {
+      throw this.error('Conversion quote not found', 404);
+    }
+
+    if (quote.status !== 'quoted') {
+      throw this.error(`Conversion quote is already ${quote.status}`, 409);
+    }
+
+    if (quote.isExpired()) {
+      await quote.update({ status: 'expired' });
+      throw this.error('Conversion quote has expired. Please request a new quote', 410);
+    }
+
+    const sourceAmount = parseFloat(quote.sourceAmount);
+    const targetAmount = parseFloat(quote.targetAmount);
+
+    const limitCheck = await withdrawalLimitService.checkWithdrawalLimits(userId, sourceAmount, quote.fromCurrency);
+    if (!limitCheck.allowed) {
+      await quote.update({ status: 'rejected', rejectionReason: limitCheck.reason });
+      const err = this.error(limitCheck.reason, 403);
+      err.type = limitCheck.type;
+      throw err;
+    }
+
+    const analysis = await fraudDetectionService.analyzeTransaction({
+      userId,
+      amount: sourceAmount,
+      currency: quote.fromCurrency,
+      type: 'conversion',
+      metadata: { ip, userAgent, toCurrency: quote.toCurrency, conversionId: quote.id }
+    });
+
+    if (!analysis.allowed) {
+      await quote.update({ status: 'rejected', rejectionReason: analysis.reason });
+      const err = this.error(analysis.reason, 403);
+      err.type = 'fraud_detection_block';
+      err.riskScore = analysis.riskScore;
+      throw err;
+    }
+
+    const metadata = {
+      type: 'currency_conversion',
+      conversionId: quote.id,
+      fromCurrency: quote.fromCurrency,
+      toCurrency: quote.toCurrency,
+      sourceAmount,
+      targetAmount,
+      feeAmount: parseFloat(quote.feeAmount),
+      spreadPercent: parseFloat(quote.spreadPercent)
+    };
+
+    let balances;
+    try {
+      balances = await databaseTransactionService.executeMultiWalletOperation(
+        userId,
+        [
+          {
+            currency: quote.fromCurrency,
+            operation: async (wallet, transaction) => {
+              // Claim the quote inside the transaction so it can only be executed once
+              const [claimed] = await CurrencyConversion.update(
+                { status: 'completed', completedAt: new Date() },
+                {
+                  where: { id: quote.id, status: 'quoted', expiresAt: { [Op.gt]: new Date() } },
+                  transaction
+                }
+              );
+
+              if (!claimed) {
+                throw this.error('Conversion quote is no longer valid. Please request a new quote', 409);
+              }
+
+              await databaseTransactionService.updateWalletBalance(
+                wallet,
+                -walletService.convertToCents(sourceAmount, quote.fromCurrency),
+                0,
+                transaction,
+                { entryType: 'conversion', reference: `conv_${quote.id}_out`, metadata: { conversionId: quote.id } }
+              );
+
+              await walletService.logWalletTransaction({
+                walletId: wallet.id,
+                type: 'debit',
+                amount: walletService.convertToCents(sourceAmount, quote.fromCurrency),
+                currency: quote.fromCurrency,
+                reference: `conv_${quote.id}_out`,
+                description: `Converted ${sourceAmount} ${quote.fromCurrency} to ${targetAmount} ${quote.toCurrency}`,
+                metadata: { ...metadata, currency: quote.fromCurrency },
+                exchangeRateSnapshot: quote.exchangeRateSnapshot,
+                transaction
+              });
+
+              return walletService.formatWalletResponse(wallet);
+            }
+          },
+          {
+            currency: quote.toCurrency,
+            operation: async (wallet, transaction) => {
+              await databaseTransactionService.updateWalletBalance(
+                wallet,
+                walletService.convertToCents(targetAmount, quote.toCurrency),
+                0,
+                transaction,
+                { entryType: 'conversion', reference: `conv_${quote.id}_in`, metadata: { conversionId: quote.id } }
+              );
+
+              await walletService.logWalletTransaction({
+                walletId: wallet.id,
+                type: 'credit',
+                amount: walletService.convertToCents(targetAmount, quote.toCurrency),
+                currency: quote.toCurrency,
+                reference: `conv_${quote.id}_in`,
+                description: `Converted ${sourceAmount} ${quote.fromCurrency} to ${targetAmount} ${quote.toCurrency}`,
+                metadata: { ...metadata, currency: quote.toCurrency },
+                exchangeRateSnapshot: quote.exchangeRateSnapshot,
+                transaction
+              });
+
+              return walletService.formatWalletResponse(wallet);
+            }
+          }
+        ],
+        { operationType: 'wallet_conversion' }
+      );
+    } catch (error) {
+      if (error.message === 'Insufficient balance') {
+        throw this.error(`Insufficient ${quote.fromCurrency} balance`, 400);
+      }
+      throw error;
+    }
+
+    await quote.reload();
+
+    console.log(`[Wallet Conversion] User ${userId} converted ${sourceAmount} ${quote.fromCurrency} → ${targetAmount} ${quote.toCurrency}`);
+
+    return {
+      conversion: this.formatConversion(quote),
+      balances: {
+        [quote.fromCurrency]: balances[0],
+        [quote.toCurrency]: balances[1]
+      }
+    };
+  }
+
+  /**
+   * Get a user's conversion history
+   * @param {number} userId - User ID
+   * @param {Object} options - status, limit, offset
+   * @returns {Promise<Object>} Conversions, newest first
+   */
+  async getConversions(userId, { status = null, limit = 20, offset = 0 } = {}) {
+    const where = { userId };
+    if (status) where.status = status;
+
+    const { count, rows } = await CurrencyConversion.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    return {
+      total: count,
+      conversions: rows.map(row => this.formatConversion(row))
+    };
+  }
+
+  /**
+   * Validate and normalize a wallet currency
+   * @param {string} currency - Currency code
+   * @returns {string} Upper-cased currency
+   */
+  validateCurrency(currency) {
+    try {
+      walletService.validateCurrency(currency);
+    } catch (error) {
+      throw this.error(error.message, 400);
+    }
+
+    return currency.toUpperCase();
+  }
+
+  /**
+   * Format a conversion for API responses
+   * @param {Object} conversion - CurrencyConversion instance
+   * @returns {Object} Formatted conversion
+   */
+  formatConversion(conversion) {
+    const sourceAmount = parseFloat(conversion.sourceAmount);
+    const targetAmount = parseFloat(conversion.targetAmount);
+
+    return {
+      id: conversion.id,
+      fromCurrency: conversion.fromCurrency,
+      toCurrency: conversion.toCurrency,
+      sourceAmount,
+      feeAmount: parseFloat(conversion.feeAmount),
+      targetAmount,
+      marketRate: parseFloat(conversion.marketRate),
+      effectiveRate: targetAmount / sourceAmount,
+      spreadPercent: parseFloat(conversion.spreadPercent),
+      status: conversion.status,
+      expiresAt: conversion.expiresAt,
+      expiresInSeconds: conversion.status === 'quoted'
+        ? Math.max(0, Math.floor((new Date(conversion.expiresAt).getTime() - Date.now()) / 1000))
+        : 0,
+      completedAt: conversion.completedAt,
+      rejectionReason: conversion.rejectionReason,
+      createdAt: conversion.createdAt
+    };
+  }
+
+  /**
+   * Build an error carrying an HTTP status code
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @returns {Error} Error
+   */
+  error(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+  }
+}
+
+module.exports = new WalletConversionService();
@@ -3,6 +3,7 @@ const Purchase = require('../models/Purchase');
 const User = require('../models/User');
 const Video = require('../models/Video');
 const LiveClass = require('../models/liveClass');
+const { Tip } = require('../models/tipIndex');
 const { Op } = require('sequelize');
 const databaseTransactionService = require('./databaseTransactionService');
 const sequelize = require('../config/db');
@@ -82,12 +83,15 @@ async function addEarnings({ userId, amount, purchaseId, currency = 'NGN' }) {
         userId,
         currency,
         async (wallet, transaction) => {
+          const reference = purchaseId ? `purchase_${purchaseId}` : `earnings_${userId}_${Date.now()}`;
+
           // Add earnings to available balance
           await transactionService.updateWalletBalance(
             wallet,
             amountInCents, // Credit available balance
             0, // No change to pending
-            transaction
+            transaction,
+            { entryType: 'earning', reference, description: 'Earnings from content purchase', metadata: { purchaseId } }
           );
 
           // Log the transaction
@@ -99,7 +103,9 @@ async function addEarnings({ userId, amount, purchaseId, currency = 'NGN' }) {
               amount: amountInCents,
               balance_before: wallet.balance_available - amountInCents,
               balance_after: wallet.balance_available,
-              reference: purchaseId ? `purchase_${purchaseId}` : null,
+              currency: currency,
+              reference,
+              idempotency_key: require('crypto').randomUUID(),
               description: 'Earnings from content purchase',
               metadata: { purchaseId, currency }
             }, { transaction });
@@ -294,21 +300,34 @@ async function getEarningsBreakdown(userId) {
 
     const allPurchases = [...creatorVideoPurchases, ...creatorLiveClassPurchases];
 
+    // Completed tips on the creator's videos and live rooms
+    const tips = await Tip.findAll({
+      where: { creatorId: userId, status: 'completed' },
+      order: [['createdAt', 'DESC']]
+    });
+
     // Calculate totals by currency
     const totalsByCurrency = {};
-    allPurchases.forEach(purchase => {
-      const currency = purchase.currency || 'NGN';
+    const totalsFor = (currency) => {
       if (!totalsByCurrency[currency]) {
         totalsByCurrency[currency] = {
           totalFromVideos: 0,
           totalFromLiveClasses: 0,
           totalFromLiveSeries: 0,
+          totalFromTips: 0,
           totalSales: 0,
           videoSales: 0,
           liveClassSales: 0,
-          liveSeriesSales: 0
+          liveSeriesSales: 0,
+          tipCount: 0
         };
       }
+      return totalsByCurrency[currency];
+    };
+
+    allPurchases.forEach(purchase => {
+      const currency = purchase.currency || 'NGN';
+      totalsFor(currency);
 
       const amount = parseFloat(purchase.amount);
       totalsByCurrency[currency].totalSales++;
@@ -325,10 +344,26 @@ async function getEarningsBreakdown(userId) {
       }
     });
 
+    tips.forEach(tip => {
+      const totals = totalsFor(tip.currency);
+      totals.totalFromTips += parseFloat(tip.amount);
+      totals.tipCount++;
+    });
+
     return {
       wallets: balances,
       breakdown: totalsByCurrency,
-      recentSales: allPurchases.slice(0, 10) // Last 10 sales
+      recentSales: allPurchases.slice(0, 10), // Last 10 sales
+      recentTips: tips.slice(0, 10).map(tip => ({
+        id: tip.id,
+        contentType: tip.contentType,
+        contentId: tip.contentId,
+        amount: parseFloat(tip.amount),
+        creatorNet: parseFloat(tip.creatorNet),
+        currency: tip.currency,
+        message: tip.message,
+        createdAt: tip.createdAt
+      }))
     };
   } catch (error) {
     console.error('Get earnings breakdown error:', error);
@@ -337,9 +372,11 @@ async function getEarningsBreakdown(userId) {
 }
 
 /**
- * Get list of students who purchased creator's content
+ * Get list of students who purchased creator's content, with the tips they
+ * received. Tips are paged separately (tipLimit / tipOffset) since they are
+ * a separate list with their own total.
  */
-async function getCreatorPurchases(userId, { limit = 50, offset = 0, contentType = null } = {}) {
+async function getCreatorPurchases(userId, { limit = 50, offset = 0, contentType = null, tipLimit = limit, tipOffset = 0 } = {}) {
   try {
     // Get all creator's videos
     const videos = await Video.findAll({
@@ -418,11 +455,37 @@ async function getCreatorPurchases(userId, { limit = 50, offset = 0, contentType
       })
     );
 
+    // Tips sit alongside sales; anonymous tippers stay hidden
+    const tipWhere = { creatorId: userId, status: 'completed' };
+    if (contentType) tipWhere.contentType = contentType;
+
+    const tips = await Tip.findAndCountAll({
+      where: tipWhere,
+      include: [
+        {
+          model: User,
+          as: 'tipper',
+          attributes: ['id', 'firstname', 'lastname', 'email']
+        }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: tipLimit,
+      offset: tipOffset
+    });
+
     return {
       total: purchases.count,
       purchases: enrichedPurchases,
+      totalTips: tips.count,
+      tips: tips.rows.map(tip => {
+        const tipData = tip.toJSON();
+        if (tipData.anonymous) tipData.tipper = null;
+        return tipData;
+      }),
       limit,
-      offset
+      offset,
+      tipLimit,
+      tipOffset
     };
   } catch (error) {
     console.error('Get creator purchases error:', error);
@@ -444,12 +507,15 @@ async function lockAmountForWithdrawal(userId, amount, currency = 'NGN') {
         userId,
         currency,
         async (wallet, transaction) => {
-          // Move amount from available to pending
+          const reference = `lock_withdrawal_${userId}_${Date.now()}`;
+
+          // Move amount from available to pending (escrow)
           await transactionService.updateWalletBalance(
             wallet,
             -amountInCents, // Debit available balance
             amountInCents,  // Credit pending balance
-            transaction
+            transaction,
+            { entryType: 'withdrawal_lock', reference, description: 'Amount locked for withdrawal' }
           );
 
           // Log the transaction
@@ -462,7 +528,7 @@ async function lockAmountForWithdrawal(userId, amount, currency = 'NGN') {
               balance_before: wallet.balance_available + amountInCents,
               balance_after: wallet.balance_available,
               currency: currency,
-              reference: `lock_withdrawal_${userId}_${Date.now()}`,
+              reference,
               idempotency_key: require('crypto').randomUUID(),
               description: 'Amount locked for withdrawal',
               metadata: { currency, operation: 'lock_for_withdrawal' }
@@ -516,12 +582,15 @@ async function releaseLockedAmount(userId, amount, currency = 'NGN') {
         userId,
         currency,
         async (wallet, transaction) => {
+          const reference = `release_withdrawal_${userId}_${Date.now()}`;
+
           // Move amount from pending back to available
           await transactionService.updateWalletBalance(
             wallet,
             amountInCents,  // Credit available balance
             -amountInCents, // Debit pending balance
-            transaction
+            transaction,
+            { entryType: 'withdrawal_release', reference, description: 'Released locked amount (withdrawal failed)' }
           );
 
           // Log the transaction
@@ -533,6 +602,9 @@ async function releaseLockedAmount(userId, amount, currency = 'NGN') {
               amount: amountInCents,
               balance_before: wallet.balance_available - amountInCents,
               balance_after: wallet.balance_available,
+              currency: currency,
+              reference,
+              idempotency_key: require('crypto').randomUUID(),
               description: 'Released locked amount (withdrawal failed)',
               metadata: { currency, operation: 'release_locked_amount' }
             }, { transaction });
@@ -567,8 +639,10 @@ async function releaseLockedAmount(userId, amount, currency = 'NGN') {
 
 /**
  * Complete withdrawal (move from pending to withdrawn) - with transaction safety
+ * `payout` (payoutId, gateway, platformFee) lets the ledger split the platform
+ * fee from the amount sent out through the gateway.
  */
-async function completeWithdrawal(userId, amount, currency = 'NGN') {
+async function completeWithdrawal(userId, amount, currency = 'NGN', payout = {}) {
   try {
     const amountInCents = Math.round(parseFloat(amount) * 100);
 
@@ -579,12 +653,22 @@ async function completeWithdrawal(userId, amount, currency = 'NGN') {
         userId,
         currency,
         async (wallet, transaction) => {
+          const reference = `complete_withdrawal_${userId}_${Date.now()}`;
+
           // Remove amount from pending balance (it's already been withdrawn)
           await transactionService.updateWalletBalance(
             wallet,
             0,              // No change to available balance
             -amountInCents, // Debit pending balance
-            transaction
+            transaction,
+            {
+              entryType: 'withdrawal',
+              reference,
+              description: 'Withdrawal completed',
+              gateway: payout.gateway,
+              platformFee: Math.round(parseFloat(payout.platformFee || 0) * 100),
+              metadata: payout.payoutId ? { payoutId: payout.payoutId } : null
+            }
           );
 
           // Log the transaction
@@ -596,6 +680,9 @@ async function completeWithdrawal(userId, amount, currency = 'NGN') {
               amount: amountInCents,
               balance_before: wallet.balance_pending + amountInCents,
               balance_after: wallet.balance_pending,
+              currency: currency,
+              reference,
+              idempotency_key: require('crypto').randomUUID(),
               description: 'Withdrawal completed',
               metadata: { currency, operation: 'complete_withdrawal' }
             }, { transaction });
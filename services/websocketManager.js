@@ -15,6 +15,7 @@ const quizRateLimiter = require('../middleware/quizRateLimiter');
  * - Reconnection handling
  * - Match and tournament events
  * - Active user tracking
+ * - Live class / live series session rooms (tip feed for the ZegoCloud audience)
  */
 
 class WebSocketManager {
@@ -124,6 +125,7 @@ class WebSocketManager {
     this.registerTournamentEvents(socket);
     this.registerHeartbeatEvents(socket);
     this.registerActiveUserEvents(socket);
+    this.registerLiveRoomEvents(socket);
 
     // Check for active matches in DB to handle full page reloads/new sessions
     this.resyncActiveMatch(socket, userId);
@@ -211,6 +213,7 @@ class WebSocketManager {
     this.registerTournamentEvents(socket);
     this.registerHeartbeatEvents(socket);
     this.registerActiveUserEvents(socket);
+    this.registerLiveRoomEvents(socket);
 
     // Handle disconnection
     socket.on('disconnect', () => {
@@ -451,6 +454,57 @@ class WebSocketManager {
     });
   }
 
+  /**
+   * Register live room events. The audience of a ZegoCloud live class or
+   * live series session joins `live:<zego room id>` to receive the room's
+   * tip feed; the video itself stays on ZegoCloud.
+   */
+  registerLiveRoomEvents(socket) {
+    const userId = socket.userId;
+
+    socket.on('join_live_room', async (data) => {
+      try {
+        const roomId = data && data.roomId;
+        const LiveClass = require('../models/liveClass');
+        const LiveSession = require('../models/LiveSession');
+
+        const room = roomId && (
+          await LiveClass.findOne({ where: { zego_room_id: roomId }, attributes: ['id'] }) ||
+          await LiveSession.findOne({ where: { zegoRoomId: roomId }, attributes: ['id'] })
+        );
+
+        if (!room) {
+          socket.emit('error', {
+            code: 'LIVE_ROOM_NOT_FOUND',
+            message: 'Live room not found'
+          });
+          return;
+        }
+
+        socket.join(`live:${roomId}`);
+        socket.emit('live_room_joined', {
+          roomId,
+          timestamp: Date.now()
+        });
+
+        console.log(`[WebSocket] User ${userId} joined live room ${roomId}`);
+      } catch (error) {
+        console.error('[WebSocket] Join live room error:', error);
+        socket.emit('error', {
+          code: 'JOIN_LIVE_ROOM_ERROR',
+          message: error.message
+        });
+      }
+    });
+
+    socket.on('leave_live_room', (data) => {
+      const roomId = data && data.roomId;
+      if (roomId) {
+        socket.leave(`live:${roomId}`);
+      }
+    });
+  }
+
   /**
    * Register active user tracking events
    */
@@ -792,6 +846,19 @@ class WebSocketManager {
     });
   }
 
+  /**
+   * Broadcast a tip to everyone in a live room
+   */
+  broadcastTip(roomId, data) {
+    if (!this.io) return;
+
+    this.io.to(`live:${roomId}`).emit('tip_received', {
+      roomId,
+      ...data,
+      timestamp: Date.now()
+    });
+  }
+
   /**
    * Send event to user immediately if connected, or queue it for when they reconnect
    */
@@ -1,4 +1,4 @@
-const { sendWithdrawalOTP } = require('../utils/email');
+const { sendWithdrawalOTP, sendBeneficiaryOTP } = require('../utils/email');
 const WithdrawalOTP = require('../models/WithdrawalOTP');
 const { Op } = require('sequelize');
 
@@ -140,6 +140,64 @@ class Withdrawal2FAService {
     }
   }
 
+  /**
+   * Send an OTP confirming a newly added payout beneficiary
+   *
+   * Stored like a zero-amount withdrawal OTP (reference `beneficiary_<id>`),
+   * so it is checked with verifyOTP().
+   * @param {Object} beneficiary - PayoutBeneficiary instance
+   * @param {Object} user - User object (id, email, firstname)
+   * @returns {Promise<Object>} Confirmation ID and expiry
+   */
+  async initiateBeneficiaryConfirmation(beneficiary, user) {
+    const { id: userId, email, firstname } = user;
+
+    if (!email) {
+      throw new Error('User email is required for 2FA');
+    }
+
+    const withdrawalId = this.generateWithdrawalId();
+    const otp = this.generateOTP();
+    const expiresAt = new Date(Date.now() + (this.config.otp.expiryMinutes * 60 * 1000));
+    const bankAccount = {
+      beneficiaryId: beneficiary.id,
+      bankName: beneficiary.bankName,
+      bankCode: beneficiary.bankCode,
+      accountNumber: beneficiary.accountNumber,
+      accountName: beneficiary.accountName
+    };
+
+    await WithdrawalOTP.create({
+      withdrawalId,
+      userId,
+      code: otp,
+      amount: 0,
+      currency: beneficiary.currency,
+      bankAccount,
+      reference: `beneficiary_${beneficiary.id}`,
+      attempts: 0,
+      maxAttempts: this.config.otp.maxAttempts,
+      status: 'pending',
+      expiresAt
+    });
+
+    await sendBeneficiaryOTP(
+      email,
+      firstname || 'User',
+      otp,
+      this.formatBankAccount(bankAccount),
+      this.config.otp.expiryMinutes
+    );
+
+    console.log(`[Withdrawal 2FA] Beneficiary confirmation ${withdrawalId} sent to ${email} for beneficiary ${beneficiary.id}`);
+
+    return {
+      confirmationId: withdrawalId,
+      message: `Confirmation code sent to ${this.maskEmail(email)}`,
+      expiresIn: this.config.otp.expiryMinutes * 60
+    };
+  }
+
   /**
    * Verify OTP and complete withdrawal
    * @param {string} withdrawalId - Withdrawal ID
@@ -1,4 +1,13 @@
+const { Op, fn, col } = require('sequelize');
+const sequelize = require('../config/db');
 const { idempotencyService } = require('./idempotencyService');
+const {
+  Payout,
+  CurrencyConversion,
+  WithdrawalLimitProfile,
+  WithdrawalLimitOverride,
+  WithdrawalLimitAuditLog
+} = require('../models/walletIndex');
 
 /**
  * Withdrawal Limit Service
@@ -10,6 +19,16 @@ const { idempotencyService } = require('./idempotencyService');
  * - Limit reset and rollover functionality
  * - Admin override capabilities
  * 
+ * Tiers, custom limits, overrides and suspensions are stored in the database
+ * so every instance enforces the same limits and admin changes survive
+ * restarts. Usage is summed from payout rows rather than tracked separately;
+ * failed payouts release their funds and do not count against the limits.
+ * Completed wallet conversions count against the source currency, since
+ * converted balance can leave through the target currency's gateway.
+ * Payouts and conversions are the only sources of usage: every bank
+ * withdrawal, on demand or scheduled, creates a Payout, and the wallet's
+ * withdrawal debits only settle those payouts, so they are not summed again.
+ * 
  * Requirements: 8.1, 8.2, 8.3, 8.4, 8.5
  */
 
@@ -65,18 +84,18 @@ class WithdrawalLimitService {
       timezone: 'UTC',
       
       // Grace period for limit resets (in milliseconds)
-      gracePeriod: 5 * 60 * 1000 // 5 minutes
+      gracePeriod: 5 * 60 * 1000, // 5 minutes
+
+      // Admin overrides without an explicit expiry lapse after this long
+      defaultOverrideDuration: 7 * 24 * 60 * 60 * 1000, // 7 days
+
+      validTiers: ['default', 'vip', 'business']
     };
 
-    // In-memory stores (in production, use Redis or database)
-    this.userLimits = new Map();        // Custom user limits
-    this.dailyUsage = new Map();        // Daily withdrawal usage
-    this.monthlyUsage = new Map();      // Monthly withdrawal usage
-    this.userTiers = new Map();         // User tier assignments
-    this.limitOverrides = new Map();    // Admin limit overrides
-    this.suspendedUsers = new Set();    // Users with suspended withdrawal privileges
+    // Payout statuses that count towards usage
+    this.countedPayoutStatuses = ['pending', 'processing', 'completed'];
     
-    // Start cleanup interval for expired data
+    // Start interval that expires lapsed overrides
     this.startCleanupInterval();
   }
 
@@ -91,8 +110,19 @@ class WithdrawalLimitService {
     try {
       console.log(`[Withdrawal Limits] Checking limits for user ${userId}: ${amount} ${currency}`);
 
+      if (!(amount >= 0)) {
+        return {
+          allowed: false,
+          reason: 'Withdrawal amount must be a positive number',
+          type: 'invalid_amount',
+          limits: null,
+          usage: null
+        };
+      }
+
       // Check if user is suspended
-      if (this.suspendedUsers.has(userId)) {
+      const profile = await this.getProfile(userId);
+      if (profile && profile.suspended) {
         return {
           allowed: false,
           reason: 'Withdrawal privileges suspended',
@@ -188,65 +218,26 @@ class WithdrawalLimitService {
     }
   }
 
+
+
   /**
    * Record withdrawal usage
+   *
+   * Usage is derived from payout rows, so the payout created by the
+   * withdrawal is already counted. This only logs the resulting totals.
    * @param {number} userId - User ID
    * @param {number} amount - Withdrawal amount
    * @param {string} currency - Currency code
    * @param {string} reference - Transaction reference
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} Usage after the withdrawal
    */
   async recordWithdrawal(userId, amount, currency, reference) {
     try {
-      const now = new Date();
-      const dailyKey = this.getDailyKey(userId, currency, now);
-      const monthlyKey = this.getMonthlyKey(userId, currency, now);
-
-      console.log(`[Withdrawal Limits] Recording withdrawal for user ${userId}: ${amount} ${currency}`);
-
-      // Update daily usage
-      if (!this.dailyUsage.has(dailyKey)) {
-        this.dailyUsage.set(dailyKey, {
-          userId,
-          currency,
-          date: now.toISOString().split('T')[0],
-          amount: 0,
-          count: 0,
-          transactions: []
-        });
-      }
-
-      const dailyData = this.dailyUsage.get(dailyKey);
-      dailyData.amount += amount;
-      dailyData.count += 1;
-      dailyData.transactions.push({
-        amount,
-        reference,
-        timestamp: now.toISOString()
-      });
-
-      // Update monthly usage
-      if (!this.monthlyUsage.has(monthlyKey)) {
-        this.monthlyUsage.set(monthlyKey, {
-          userId,
-          currency,
-          month: `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`,
-          amount: 0,
-          count: 0,
-          transactions: []
-        });
-      }
+      const usage = await this.getCurrentUsage(userId, currency);
 
-      const monthlyData = this.monthlyUsage.get(monthlyKey);
-      monthlyData.amount += amount;
-      monthlyData.count += 1;
-      monthlyData.transactions.push({
-        amount,
-        reference,
-        timestamp: now.toISOString()
-      });
+      console.log(`[Withdrawal Limits] Withdrawal ${reference} for user ${userId}: ${amount} ${currency} - Daily: ${usage.daily}, Monthly: ${usage.monthly}`);
 
-      console.log(`[Withdrawal Limits] Updated usage - Daily: ${dailyData.amount}, Monthly: ${monthlyData.amount}`);
+      return usage;
     } catch (error) {
       console.error('[Withdrawal Limits] Record withdrawal error:', error);
       throw error;
@@ -255,76 +246,215 @@ class WithdrawalLimitService {
 
   /**
    * Get user withdrawal limits
+   *
+   * Tier limits apply unless an active custom limit exists, and an active
+   * admin override takes precedence over both. Limit fields an override
+   * leaves empty fall through to the layer below.
    * @param {number} userId - User ID
    * @param {string} currency - Currency code
    * @returns {Promise<Object>} User limits
    */
   async getUserLimits(userId, currency) {
-    // Check for admin overrides first
-    const overrideKey = `${userId}:${currency}`;
-    if (this.limitOverrides.has(overrideKey)) {
-      return this.limitOverrides.get(overrideKey);
+    const tier = await this.getUserTier(userId);
+    const tierLimits = this.config[`${tier}Limits`] || this.config.defaultLimits;
+    const baseLimits = tierLimits[currency] || this.config.defaultLimits[currency];
+
+    if (!baseLimits) {
+      throw new Error(`Unsupported currency: ${currency}`);
     }
 
-    // Check for custom user limits
-    if (this.userLimits.has(userId)) {
-      const customLimits = this.userLimits.get(userId);
-      if (customLimits[currency]) {
-        return customLimits[currency];
+    let limits = { ...baseLimits, type: 'tier', tier };
+
+    const overrides = await this.getActiveOverrides(userId, currency);
+    const custom = overrides.find(override => override.overrideType === 'custom');
+    const adminOverride = overrides.find(override => override.overrideType === 'admin_override');
+
+    for (const override of [custom, adminOverride]) {
+      if (override) {
+        limits = {
+          daily: this.resolveLimit(override.dailyLimit, limits.daily),
+          monthly: this.resolveLimit(override.monthlyLimit, limits.monthly),
+          single: this.resolveLimit(override.singleLimit, limits.single),
+          type: override.overrideType,
+          tier,
+          overrideId: override.id,
+          reason: override.reason,
+          expiresAt: override.expiresAt
+        };
       }
     }
 
-    // Get limits based on user tier
-    const userTier = this.getUserTier(userId);
-    const tierLimits = this.config[`${userTier}Limits`] || this.config.defaultLimits;
-    
-    return tierLimits[currency] || this.config.defaultLimits[currency];
+    return limits;
   }
 
   /**
    * Get current withdrawal usage
    * @param {number} userId - User ID
    * @param {string} currency - Currency code
+   * @param {Date} now - Reference time (defaults to now)
    * @returns {Promise<Object>} Current usage
    */
-  async getCurrentUsage(userId, currency) {
-    const now = new Date();
-    const dailyKey = this.getDailyKey(userId, currency, now);
-    const monthlyKey = this.getMonthlyKey(userId, currency, now);
+  async getCurrentUsage(userId, currency, now = new Date()) {
+    const dayStart = this.getDayStart(now);
+    const monthStart = this.getMonthStart(now);
 
-    const dailyData = this.dailyUsage.get(dailyKey);
-    const monthlyData = this.monthlyUsage.get(monthlyKey);
+    const [dailyPayouts, monthlyPayouts, dailyConversions, monthlyConversions] = await Promise.all([
+      this.sumPayouts(userId, currency, dayStart),
+      this.sumPayouts(userId, currency, monthStart),
+      this.sumConversions(userId, currency, dayStart),
+      this.sumConversions(userId, currency, monthStart)
+    ]);
 
     return {
-      daily: dailyData ? dailyData.amount : 0,
-      monthly: monthlyData ? monthlyData.amount : 0,
-      dailyCount: dailyData ? dailyData.count : 0,
-      monthlyCount: monthlyData ? monthlyData.count : 0
+      daily: Math.round((dailyPayouts.total + dailyConversions.total) * 100) / 100,
+      monthly: Math.round((monthlyPayouts.total + monthlyConversions.total) * 100) / 100,
+      dailyCount: dailyPayouts.count + dailyConversions.count,
+      monthlyCount: monthlyPayouts.count + monthlyConversions.count
     };
   }
 
+  /**
+   * Sum payouts that count towards usage since a point in time. Wallet
+   * withdrawal debits mirror these rows and are deliberately left out.
+   * @param {number} userId - User ID
+   * @param {string} currency - Currency code
+   * @param {Date} since - Window start
+   * @returns {Promise<Object>} Total amount and payout count
+   */
+  async sumPayouts(userId, currency, since) {
+    const result = await Payout.findOne({
+      attributes: [
+        [fn('COALESCE', fn('SUM', col('amount')), 0), 'total'],
+        [fn('COUNT', col('id')), 'count']
+      ],
+      where: {
+        userId,
+        currency,
+        status: { [Op.in]: this.countedPayoutStatuses },
+        createdAt: { [Op.gte]: since }
+      },
+      raw: true
+    });
+
+    return {
+      total: parseFloat(result?.total || 0),
+      count: parseInt(result?.count || 0, 10)
+    };
+  }
+
+  /**
+   * Sum completed conversions out of a currency since a point in time
+   * @param {number} userId - User ID
+   * @param {string} currency - Source currency code
+   * @param {Date} since - Window start
+   * @returns {Promise<Object>} Total source amount and conversion count
+   */
+  async sumConversions(userId, currency, since) {
+    const result = await CurrencyConversion.findOne({
+      attributes: [
+        [fn('COALESCE', fn('SUM', col('source_amount')), 0), 'total'],
+        [fn('COUNT', col('id')), 'count']
+      ],
+      where: {
+        userId,
+        fromCurrency: currency,
+        status: 'completed',
+        completedAt: { [Op.gte]: since }
+      },
+      raw: true
+    });
+
+    return {
+      total: parseFloat(result?.total || 0),
+      count: parseInt(result?.count || 0, 10)
+    };
+  }
+
+  /**
+   * Get the withdrawal limit profile for a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} Profile or null when never configured
+   */
+  async getProfile(userId) {
+    return WithdrawalLimitProfile.findByPk(userId);
+  }
+
   /**
    * Get user tier (default, vip, business)
    * @param {number} userId - User ID
-   * @returns {string} User tier
+   * @returns {Promise<string>} User tier
    */
-  getUserTier(userId) {
-    return this.userTiers.get(userId) || 'default';
+  async getUserTier(userId) {
+    const profile = await this.getProfile(userId);
+    return profile ? profile.tier : 'default';
+  }
+
+  /**
+   * Get custom limits and admin overrides currently in effect
+   * @param {number} userId - User ID
+   * @param {string} currency - Currency code (optional)
+   * @returns {Promise<Array>} Active override rows, newest first
+   */
+  async getActiveOverrides(userId, currency = null) {
+    const where = {
+      userId,
+      revokedAt: null,
+      [Op.or]: [
+        { expiresAt: null },
+        { expiresAt: { [Op.gt]: new Date() } }
+      ]
+    };
+
+    if (currency) {
+      where.currency = currency;
+    }
+
+    return WithdrawalLimitOverride.findAll({
+      where,
+      order: [['createdAt', 'DESC']]
+    });
   }
 
   /**
    * Set user tier
    * @param {number} userId - User ID
    * @param {string} tier - User tier (default, vip, business)
+   * @param {number} adminId - Admin making the change
+   * @returns {Promise<Object>} Updated profile
    */
-  setUserTier(userId, tier) {
-    const validTiers = ['default', 'vip', 'business'];
-    if (!validTiers.includes(tier)) {
-      throw new Error(`Invalid tier: ${tier}. Must be one of: ${validTiers.join(', ')}`);
+  async setUserTier(userId, tier, adminId = null) {
+    if (!this.config.validTiers.includes(tier)) {
+      throw new Error(`Invalid tier: ${tier}. Must be one of: ${this.config.validTiers.join(', ')}`);
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const [profile] = await WithdrawalLimitProfile.findOrCreate({
+        where: { userId },
+        defaults: { userId },
+        transaction
+      });
+
+      const previousTier = profile.tier;
+      await profile.update({ tier }, { transaction });
+
+      await this.writeAuditLog({
+        userId,
+        action: 'set_tier',
+        previousValue: { tier: previousTier },
+        newValue: { tier },
+        performedBy: adminId
+      }, transaction);
+
+      await transaction.commit();
+
+      console.log(`[Withdrawal Limits] User ${userId} tier set to: ${tier}`);
+      return profile;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
     }
-    
-    this.userTiers.set(userId, tier);
-    console.log(`[Withdrawal Limits] User ${userId} tier set to: ${tier}`);
   }
 
   /**
@@ -332,106 +462,219 @@ class WithdrawalLimitService {
    * @param {number} userId - User ID
    * @param {string} currency - Currency code
    * @param {Object} limits - Custom limits
+   * @param {number} adminId - Admin making the change
+   * @param {Object} options - Optional reason and expiresAt
+   * @returns {Promise<Object>} Created override
    */
-  setCustomLimits(userId, currency, limits) {
-    if (!this.userLimits.has(userId)) {
-      this.userLimits.set(userId, {});
-    }
-    
-    const userLimits = this.userLimits.get(userId);
-    userLimits[currency] = {
-      daily: limits.daily || 0,
-      monthly: limits.monthly || 0,
-      single: limits.single || 0
-    };
-    
-    console.log(`[Withdrawal Limits] Custom limits set for user ${userId} (${currency}):`, userLimits[currency]);
+  async setCustomLimits(userId, currency, limits, adminId = null, options = {}) {
+    const override = await this.replaceOverride(userId, currency, 'custom', limits, {
+      adminId,
+      reason: options.reason || null,
+      expiresAt: options.expiresAt || null
+    });
+
+    console.log(`[Withdrawal Limits] Custom limits set for user ${userId} (${currency}):`, this.formatOverride(override));
+    return override;
   }
 
   /**
    * Admin override limits for user
+   *
+   * Overrides always expire; without an explicit expiresAt they lapse after
+   * config.defaultOverrideDuration.
    * @param {number} userId - User ID
    * @param {string} currency - Currency code
    * @param {Object} limits - Override limits
    * @param {string} reason - Override reason
+   * @param {Object} options - adminId and expiresAt
+   * @returns {Promise<Object>} Created override
    */
-  adminOverrideLimits(userId, currency, limits, reason) {
-    const overrideKey = `${userId}:${currency}`;
-    
-    this.limitOverrides.set(overrideKey, {
-      daily: limits.daily || 0,
-      monthly: limits.monthly || 0,
-      single: limits.single || 0,
+  async adminOverrideLimits(userId, currency, limits, reason, options = {}) {
+    const expiresAt = options.expiresAt
+      || new Date(Date.now() + this.config.defaultOverrideDuration);
+
+    const override = await this.replaceOverride(userId, currency, 'admin_override', limits, {
+      adminId: options.adminId || null,
       reason,
-      timestamp: new Date().toISOString(),
-      type: 'admin_override'
+      expiresAt
     });
-    
-    console.log(`[Withdrawal Limits] Admin override set for user ${userId} (${currency}): ${reason}`);
-  }
 
-  /**
-   * Suspend user withdrawal privileges
-   * @param {number} userId - User ID
-   * @param {string} reason - Suspension reason
-   */
-  suspendUser(userId, reason) {
-    this.suspendedUsers.add(userId);
-    console.log(`[Withdrawal Limits] User ${userId} suspended: ${reason}`);
+    console.log(`[Withdrawal Limits] Admin override set for user ${userId} (${currency}) until ${override.expiresAt.toISOString()}: ${reason}`);
+    return override;
   }
 
   /**
-   * Restore user withdrawal privileges
+   * Revoke the active override of a type and store its replacement
    * @param {number} userId - User ID
+   * @param {string} currency - Currency code
+   * @param {string} overrideType - 'custom' or 'admin_override'
+   * @param {Object} limits - daily, monthly and single limits
+   * @param {Object} options - adminId, reason and expiresAt
+   * @returns {Promise<Object>} Created override
    */
-  restoreUser(userId) {
-    this.suspendedUsers.delete(userId);
-    console.log(`[Withdrawal Limits] User ${userId} withdrawal privileges restored`);
+  async replaceOverride(userId, currency, overrideType, limits, { adminId, reason, expiresAt }) {
+    const values = {
+      dailyLimit: this.normalizeLimit(limits.daily, 'daily'),
+      monthlyLimit: this.normalizeLimit(limits.monthly, 'monthly'),
+      singleLimit: this.normalizeLimit(limits.single, 'single')
+    };
+
+    if (values.dailyLimit === null && values.monthlyLimit === null && values.singleLimit === null) {
+      throw new Error('At least one of daily, monthly or single limit is required');
+    }
+
+    const expiry = expiresAt ? new Date(expiresAt) : null;
+    if (expiry && (isNaN(expiry.getTime()) || expiry <= new Date())) {
+      throw new Error('expiresAt must be a valid future date');
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const previous = await WithdrawalLimitOverride.findAll({
+        where: { userId, currency, overrideType, revokedAt: null },
+        transaction
+      });
+
+      if (previous.length > 0) {
+        await WithdrawalLimitOverride.update(
+          { revokedAt: new Date(), revokedBy: adminId, revokeReason: 'superseded' },
+          { where: { id: previous.map(override => override.id) }, transaction }
+        );
+      }
+
+      const override = await WithdrawalLimitOverride.create({
+        userId,
+        currency,
+        overrideType,
+        ...values,
+        reason,
+        expiresAt: expiry,
+        createdBy: adminId
+      }, { transaction });
+
+      await this.writeAuditLog({
+        userId,
+        action: overrideType === 'custom' ? 'set_custom_limits' : 'admin_override',
+        currency,
+        previousValue: previous.length > 0 ? this.formatOverride(previous[0]) : null,
+        newValue: this.formatOverride(override),
+        reason,
+        performedBy: adminId
+      }, transaction);
+
+      await transaction.commit();
+      return override;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
   }
 
   /**
-   * Get daily key for usage tracking
+   * Suspend user withdrawal privileges
    * @param {number} userId - User ID
-   * @param {string} currency - Currency code
-   * @param {Date} date - Date
-   * @returns {string} Daily key
+   * @param {string} reason - Suspension reason
+   * @param {number} adminId - Admin making the change
    */
-  getDailyKey(userId, currency, date) {
-    const dateStr = date.toISOString().split('T')[0];
-    return `daily:${userId}:${currency}:${dateStr}`;
+  async suspendUser(userId, reason, adminId = null) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const [profile] = await WithdrawalLimitProfile.findOrCreate({
+        where: { userId },
+        defaults: { userId },
+        transaction
+      });
+
+      const previousValue = { suspended: profile.suspended, reason: profile.suspensionReason };
+
+      await profile.update({
+        suspended: true,
+        suspensionReason: reason,
+        suspendedAt: new Date(),
+        suspendedBy: adminId
+      }, { transaction });
+
+      await this.writeAuditLog({
+        userId,
+        action: 'suspend',
+        previousValue,
+        newValue: { suspended: true },
+        reason,
+        performedBy: adminId
+      }, transaction);
+
+      await transaction.commit();
+
+      console.log(`[Withdrawal Limits] User ${userId} suspended: ${reason}`);
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
   }
 
   /**
-   * Get monthly key for usage tracking
+   * Restore user withdrawal privileges
    * @param {number} userId - User ID
-   * @param {string} currency - Currency code
-   * @param {Date} date - Date
-   * @returns {string} Monthly key
+   * @param {number} adminId - Admin making the change
    */
-  getMonthlyKey(userId, currency, date) {
-    const monthStr = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-    return `monthly:${userId}:${currency}:${monthStr}`;
+  async restoreUser(userId, adminId = null) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const profile = await WithdrawalLimitProfile.findByPk(userId, { transaction });
+
+      if (profile && profile.suspended) {
+        const previousValue = { suspended: true, reason: profile.suspensionReason };
+
+        await profile.update({
+          suspended: false,
+          suspensionReason: null,
+          suspendedAt: null,
+          suspendedBy: null
+        }, { transaction });
+
+        await this.writeAuditLog({
+          userId,
+          action: 'restore',
+          previousValue,
+          newValue: { suspended: false },
+          performedBy: adminId
+        }, transaction);
+      }
+
+      await transaction.commit();
+
+      console.log(`[Withdrawal Limits] User ${userId} withdrawal privileges restored`);
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
   }
 
   /**
    * Get withdrawal statistics for user
    * @param {number} userId - User ID
    * @param {string} currency - Currency code (optional)
-   * @returns {Object} Withdrawal statistics
+   * @returns {Promise<Object>} Withdrawal statistics
    */
-  getUserWithdrawalStats(userId, currency = null) {
+  async getUserWithdrawalStats(userId, currency = null) {
+    const profile = await this.getProfile(userId);
+
     const stats = {
       userId,
-      tier: this.getUserTier(userId),
-      suspended: this.suspendedUsers.has(userId),
+      tier: profile ? profile.tier : 'default',
+      suspended: profile ? profile.suspended : false,
+      suspensionReason: profile ? profile.suspensionReason : null,
       currencies: {}
     };
 
     const currencies = currency ? [currency] : ['NGN', 'USD'];
     
     for (const curr of currencies) {
-      const limits = this.getUserLimits(userId, curr);
-      const usage = this.getCurrentUsage(userId, curr);
+      const limits = await this.getUserLimits(userId, curr);
+      const usage = await this.getCurrentUsage(userId, curr);
       
       stats.currencies[curr] = {
         limits,
@@ -447,93 +690,289 @@ class WithdrawalLimitService {
       };
     }
 
+    stats.activeOverrides = (await this.getActiveOverrides(userId, currency))
+      .map(override => this.formatOverride(override));
+
     return stats;
   }
 
   /**
    * Get system-wide withdrawal statistics
-   * @returns {Object} System statistics
+   * @returns {Promise<Object>} System statistics
    */
-  getSystemStats() {
+  async getSystemStats() {
+    const now = new Date();
+    const activeOverrideWhere = {
+      revokedAt: null,
+      [Op.or]: [
+        { expiresAt: null },
+        { expiresAt: { [Op.gt]: now } }
+      ]
+    };
+
+    const [
+      usersWithUsageToday,
+      usersWithUsageThisMonth,
+      suspendedUsers,
+      nonDefaultTiers,
+      customLimits,
+      adminOverrides
+    ] = await Promise.all([
+      Payout.count({
+        distinct: true,
+        col: 'user_id',
+        where: { status: { [Op.in]: this.countedPayoutStatuses }, createdAt: { [Op.gte]: this.getDayStart(now) } }
+      }),
+      Payout.count({
+        distinct: true,
+        col: 'user_id',
+        where: { status: { [Op.in]: this.countedPayoutStatuses }, createdAt: { [Op.gte]: this.getMonthStart(now) } }
+      }),
+      WithdrawalLimitProfile.count({ where: { suspended: true } }),
+      WithdrawalLimitProfile.count({ where: { tier: { [Op.ne]: 'default' } } }),
+      WithdrawalLimitOverride.count({ where: { ...activeOverrideWhere, overrideType: 'custom' } }),
+      WithdrawalLimitOverride.count({ where: { ...activeOverrideWhere, overrideType: 'admin_override' } })
+    ]);
+
     return {
-      totalUsers: new Set([...this.dailyUsage.keys(), ...this.monthlyUsage.keys()]
-        .map(key => key.split(':')[1])).size,
-      suspendedUsers: this.suspendedUsers.size,
-      customLimits: this.userLimits.size,
-      adminOverrides: this.limitOverrides.size,
-      dailyUsageRecords: this.dailyUsage.size,
-      monthlyUsageRecords: this.monthlyUsage.size,
+      totalUsers: usersWithUsageThisMonth,
+      usersWithUsageToday,
+      suspendedUsers,
+      nonDefaultTiers,
+      customLimits,
+      adminOverrides,
       config: this.config
     };
   }
 
   /**
-   * Start cleanup interval for expired data
+   * Get the audit trail of limit changes for a user
+   * @param {number} userId - User ID
+   * @param {Object} options - limit and offset
+   * @returns {Promise<Object>} Audit entries, newest first
+   */
+  async getAuditTrail(userId, { limit = 50, offset = 0 } = {}) {
+    const { count, rows } = await WithdrawalLimitAuditLog.findAndCountAll({
+      where: { userId },
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    return {
+      total: count,
+      entries: rows.map(row => ({
+        id: row.id,
+        action: row.action,
+        currency: row.currency,
+        previousValue: row.previousValue,
+        newValue: row.newValue,
+        reason: row.reason,
+        performedBy: row.performedBy,
+        createdAt: row.createdAt
+      }))
+    };
+  }
+
+  /**
+   * Start interval that expires lapsed overrides. The timers are unref'd so
+   * requiring this module never keeps the process alive.
    */
   startCleanupInterval() {
-    // Clean up old data every hour
+    // Expire overrides every hour
     setInterval(() => {
-      this.cleanupExpiredData();
-    }, 60 * 60 * 1000);
+      this.expireOverrides().catch(error => {
+        console.error('[Withdrawal Limits] Override expiry error:', error.message);
+      });
+    }, 60 * 60 * 1000).unref();
 
-    // Initial cleanup after 5 minutes
+    // Initial run after 5 minutes
     setTimeout(() => {
-      this.cleanupExpiredData();
-    }, 5 * 60 * 1000);
+      this.expireOverrides().catch(error => {
+        console.error('[Withdrawal Limits] Override expiry error:', error.message);
+      });
+    }, 5 * 60 * 1000).unref();
   }
 
   /**
-   * Clean up expired usage data
+   * Mark lapsed overrides as expired and record it in the audit trail
+   *
+   * Lookups already ignore lapsed rows; this closes them out so the audit
+   * trail shows when they stopped applying. The conditional update lets
+   * several instances run this concurrently without duplicate entries.
+   * @returns {Promise<number>} Number of overrides expired
    */
-  cleanupExpiredData() {
-    const now = new Date();
-    const thirtyDaysAgo = new Date(now.getTime() - (30 * 24 * 60 * 60 * 1000));
-    const twoMonthsAgo = new Date(now.getTime() - (60 * 24 * 60 * 60 * 1000));
-
-    let cleanedDaily = 0;
-    let cleanedMonthly = 0;
-
-    // Clean up daily usage older than 30 days
-    for (const [key, data] of this.dailyUsage.entries()) {
-      const dataDate = new Date(data.date);
-      if (dataDate < thirtyDaysAgo) {
-        this.dailyUsage.delete(key);
-        cleanedDaily++;
+  async expireOverrides() {
+    const lapsed = await WithdrawalLimitOverride.findAll({
+      where: {
+        revokedAt: null,
+        expiresAt: { [Op.lte]: new Date() }
       }
-    }
+    });
 
-    // Clean up monthly usage older than 2 months
-    for (const [key, data] of this.monthlyUsage.entries()) {
-      const [year, month] = data.month.split('-').map(Number);
-      const dataDate = new Date(year, month - 1, 1);
-      if (dataDate < twoMonthsAgo) {
-        this.monthlyUsage.delete(key);
-        cleanedMonthly++;
+    let expired = 0;
+
+    for (const override of lapsed) {
+      const [updated] = await WithdrawalLimitOverride.update(
+        { revokedAt: override.expiresAt, revokeReason: 'expired' },
+        { where: { id: override.id, revokedAt: null } }
+      );
+
+      if (updated === 0) {
+        continue;
       }
+
+      await this.writeAuditLog({
+        userId: override.userId,
+        action: 'override_expired',
+        currency: override.currency,
+        previousValue: this.formatOverride(override),
+        newValue: null
+      });
+      expired++;
     }
 
-    if (cleanedDaily > 0 || cleanedMonthly > 0) {
-      console.log(`[Withdrawal Limits] Cleanup completed - Daily: ${cleanedDaily}, Monthly: ${cleanedMonthly}`);
+    if (expired > 0) {
+      console.log(`[Withdrawal Limits] Expired ${expired} limit overrides`);
     }
+
+    return expired;
   }
 
   /**
    * Reset user limits to default
+   *
+   * Clears the tier, custom limits and overrides. Suspension is left as is;
+   * use restoreUser to lift it.
    * @param {number} userId - User ID
+   * @param {number} adminId - Admin making the change
    */
-  resetUserToDefault(userId) {
-    this.userLimits.delete(userId);
-    this.userTiers.delete(userId);
-    
-    // Remove overrides
-    for (const key of this.limitOverrides.keys()) {
-      if (key.startsWith(`${userId}:`)) {
-        this.limitOverrides.delete(key);
+  async resetUserToDefault(userId, adminId = null) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const profile = await WithdrawalLimitProfile.findByPk(userId, { transaction });
+      const overrides = await WithdrawalLimitOverride.findAll({
+        where: { userId, revokedAt: null },
+        transaction
+      });
+
+      const previousTier = profile ? profile.tier : 'default';
+
+      if (profile) {
+        await profile.update({ tier: 'default' }, { transaction });
+      }
+
+      if (overrides.length > 0) {
+        await WithdrawalLimitOverride.update(
+          { revokedAt: new Date(), revokedBy: adminId, revokeReason: 'reset' },
+          { where: { id: overrides.map(override => override.id) }, transaction }
+        );
       }
+
+      await this.writeAuditLog({
+        userId,
+        action: 'reset',
+        previousValue: {
+          tier: previousTier,
+          overrides: overrides.map(override => this.formatOverride(override))
+        },
+        newValue: { tier: 'default', overrides: [] },
+        performedBy: adminId
+      }, transaction);
+
+      await transaction.commit();
+
+      console.log(`[Withdrawal Limits] User ${userId} reset to default limits`);
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
     }
-    
-    console.log(`[Withdrawal Limits] User ${userId} reset to default limits`);
+  }
+
+  /**
+   * Write a withdrawal limit audit log entry
+   * @param {Object} entry - Audit entry
+   * @param {Object} transaction - Sequelize transaction (optional)
+   */
+  async writeAuditLog(entry, transaction = null) {
+    return WithdrawalLimitAuditLog.create({
+      userId: entry.userId,
+      action: entry.action,
+      currency: entry.currency || null,
+      previousValue: entry.previousValue || null,
+      newValue: entry.newValue || null,
+      reason: entry.reason || null,
+      performedBy: entry.performedBy || null
+    }, { transaction });
+  }
+
+  /**
+   * Validate a limit value from an admin request
+   * @param {*} value - Raw limit value
+   * @param {string} name - Limit name for error messages
+   * @returns {number|null} Parsed limit, or null when not provided
+   */
+  normalizeLimit(value, name) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const parsed = parseFloat(value);
+    if (!Number.isFinite(parsed) || parsed < 0) {
+      throw new Error(`Invalid ${name} limit: ${value}`);
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Resolve an override limit, falling back when it is not set
+   * @param {*} value - Stored override value (DECIMAL may be a string)
+   * @param {number} fallback - Limit from the layer below
+   * @returns {number} Effective limit
+   */
+  resolveLimit(value, fallback) {
+    return value === null || value === undefined ? fallback : parseFloat(value);
+  }
+
+  /**
+   * Format an override row for API responses and audit entries
+   * @param {Object} override - WithdrawalLimitOverride instance
+   * @returns {Object} Plain override data
+   */
+  formatOverride(override) {
+    return {
+      id: override.id,
+      currency: override.currency,
+      type: override.overrideType,
+      daily: override.dailyLimit === null ? null : parseFloat(override.dailyLimit),
+      monthly: override.monthlyLimit === null ? null : parseFloat(override.monthlyLimit),
+      single: override.singleLimit === null ? null : parseFloat(override.singleLimit),
+      reason: override.reason,
+      expiresAt: override.expiresAt,
+      createdBy: override.createdBy,
+      createdAt: override.createdAt
+    };
+  }
+
+  /**
+   * Start of the UTC day containing a date
+   * @param {Date} date - Date
+   * @returns {Date} Day start
+   */
+  getDayStart(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+
+  /**
+   * Start of the UTC month containing a date
+   * @param {Date} date - Date
+   * @returns {Date} Month start
+   */
+  getMonthStart(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
   }
 }
 
-module.exports = WithdrawalLimitService;
\ No newline at end of file
+module.exports = new WithdrawalLimitService();
@@ -0,0 +1,280 @@
+// Must mock config/db before any model is required
+jest.mock('../config/db', () => require('./helpers/sqliteDb'));
+jest.mock('../config/paystack', () => ({
+  paystackClient: { post: jest.fn(), put: jest.fn() }
+}));
+jest.mock('../config/stripe', () => ({
+  stripeClient: { checkout: { sessions: { create: jest.fn() } } }
+}));
+jest.mock('../utils/email', () => ({
+  sendPurchaseConfirmationEmail: jest.fn().mockResolvedValue(true),
+  sendSaleNotificationEmail: jest.fn().mockResolvedValue(true),
+  sendFreebieSaleNotificationEmail: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../services/idempotencyService', () => ({
+  idempotencyService: {
+    checkAndStore: jest.fn().mockResolvedValue({ isNew: true }),
+    storeResult: jest.fn().mockResolvedValue(true)
+  }
+}));
+
+const { paystackClient } = require('../config/paystack');
+const contentPricingService = require('../services/contentPricingService');
+const CouponService = require('../services/couponService');
+const PaymentRoutingService = require('../services/paymentRoutingService');
+const { PricingTier, PricingTierItem } = require('../models/pricingIndex');
+const { Freebie, FreebieItem, FreebieAccess } = require('../models/freebieIndex');
+const {
+  User,
+  Purchase,
+  FeeSchedule,
+  WalletAccount,
+  WalletTransaction,
+  LedgerJournal,
+  LedgerEntry
+} = require('../models/walletIndex');
+
+const CREATOR_ID = 1;
+const BUYER_ID = 2;
+
+const routing = new PaymentRoutingService();
+const couponService = new CouponService();
+let keyCounter = 0;
+
+function nextKey() {
+  keyCounter += 1;
+  return `00000000-0000-4000-9000-${String(keyCounter).padStart(12, '0')}`;
+}
+
+async function createFreebie(overrides = {}) {
+  const freebie = await Freebie.create({
+    userId: CREATOR_ID,
+    title: 'Pottery Glaze Recipes',
+    description: 'Recipes and firing schedules',
+    estimatedReadingTime: 15,
+    price: 2000,
+    currency: 'NGN',
+    ...overrides
+  });
+
+  const [recipes, bonus] = await FreebieItem.bulkCreate([
+    { freebieId: freebie.id, itemType: 'link', linkUrl: 'https://example.com/recipes', linkTitle: 'Recipes' },
+    { freebieId: freebie.id, itemType: 'link', linkUrl: 'https://example.com/bonus', linkTitle: 'Bonus firing log' }
+  ]);
+
+  return { freebie, recipes, bonus };
+}
+
+function tiered(bonusItemId) {
+  return {
+    pricingMode: 'tiered',
+    tiers: [
+      { name: 'Basic', price: 2000 },
+      { name: 'With bonus files', description: 'Adds the firing log', price: 3500, itemIds: [bonusItemId] }
+    ]
+  };
+}
+
+describe('Content pricing', () => {
+  beforeAll(async () => {
+    await User.sync();
+    await User.bulkCreate([
+      { id: CREATOR_ID, firstname: 'Femi', lastname: 'Creator', email: 'pricing-creator@example.com' },
+      { id: BUYER_ID, firstname: 'Ada', lastname: 'Buyer', email: 'pricing-buyer@example.com' }
+    ]);
+    await FeeSchedule.sync();
+    await Purchase.sync();
+    await WalletAccount.sync();
+    await WalletTransaction.sync();
+    await LedgerJournal.sync();
+    await LedgerEntry.sync();
+    await Freebie.sync();
+    await FreebieItem.sync();
+    await FreebieAccess.sync();
+    await PricingTier.sync();
+    await PricingTierItem.sync();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(routing, '_resolveReferralCommission').mockResolvedValue(null);
+
+    paystackClient.post.mockReset();
+    paystackClient.post.mockImplementation(async () => ({
+      data: { data: { authorization_url: 'https://checkout.paystack.com/tier', access_code: 'tier', reference: `ref_tier_${Date.now()}` } }
+    }));
+
+    await PricingTierItem.destroy({ where: {} });
+    await PricingTier.destroy({ where: {} });
+    await FreebieAccess.destroy({ where: {} });
+    await Purchase.destroy({ where: {} });
+    await FreebieItem.destroy({ where: {} });
+    await Freebie.destroy({ where: {} });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('creators set tiers that unlock freebie items; price follows the cheapest tier', async () => {
+    const { freebie, bonus } = await createFreebie();
+
+    await expect(contentPricingService.setPricing(BUYER_ID, 'freebie', freebie.id, tiered(bonus.id)))
+      .rejects.toMatchObject({ statusCode: 403 });
+    await expect(contentPricingService.setPricing(CREATOR_ID, 'freebie', freebie.id, tiered('f0000000-0000-4000-8000-00000000000f')))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(contentPricingService.setPricing(CREATOR_ID, 'freebie', freebie.id, { pricingMode: 'tiered', tiers: [{ name: 'Only', price: 100 }] }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const pricing = await contentPricingService.setPricing(CREATOR_ID, 'freebie', freebie.id, tiered(bonus.id));
+
+    expect(pricing).toMatchObject({ pricingMode: 'tiered', price: 2000, currency: 'NGN' });
+    expect(pricing.tiers.map(tier => [tier.name, tier.price, tier.itemIds])).toEqual([
+      ['Basic', 2000, []],
+      ['With bonus files', 3500, [bonus.id]]
+    ]);
+    expect((await Freebie.findByPk(freebie.id)).pricingMode).toBe('tiered');
+  });
+
+  test('pay what you want enforces the minimum and defaults to the suggestion', async () => {
+    const { freebie } = await createFreebie();
+    await contentPricingService.setPricing(CREATOR_ID, 'freebie', freebie.id, {
+      pricingMode: 'pay_what_you_want',
+      price: 500,
+      suggestedPrice: 1500
+    });
+    await freebie.reload();
+
+    expect((await contentPricingService.resolvePrice('freebie', freebie)).price).toBe(1500);
+    expect((await contentPricingService.resolvePrice('freebie', freebie, { amount: '2500.5' })).price).toBe(2500.5);
+    await expect(contentPricingService.resolvePrice('freebie', freebie, { amount: 499 }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Pay at least 500 NGN' });
+    await expect(contentPricingService.resolvePrice('freebie', freebie, { tierId: 'a0000000-0000-4000-8000-000000000001' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const price = await couponService.getContentPrice('freebie', freebie.id, { amount: 800 });
+    expect(price).toEqual({ price: 800, currency: 'NGN', pricingTierId: null });
+  });
+
+  test('checkout charges the chosen tier and records it on the access', async () => {
+    const { freebie, bonus } = await createFreebie();
+    const { tiers } = await contentPricingService.setPricing(CREATOR_ID, 'freebie', freebie.id, tiered(bonus.id));
+    const premium = tiers[1];
+
+    const payment = {
+      userId: BUYER_ID,
+      contentType: 'freebie',
+      contentId: freebie.id,
+      userEmail: 'pricing-buyer@example.com'
+    };
+
+    await expect(routing.initializePayment({ ...payment, idempotencyKey: nextKey() }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Choose a pricing tier: Basic, With bonus files' });
+
+    const result = await routing.initializePayment({ ...payment, idempotencyKey: nextKey(), tierId: premium.id, chosenAmount: 1 });
+    const [, body] = paystackClient.post.mock.calls[0];
+    expect(result.success).toBe(true);
+    expect(body.amount).toBe(350000);
+    expect(body.metadata).toMatchObject({ contentType: 'freebie', pricingTierId: premium.id });
+
+    // processSuccessfulPayment credits wallets in their own transaction, which sqlite can't nest
+    jest.spyOn(routing.walletService, 'creditWallet').mockResolvedValue({});
+    await routing.processSuccessfulPayment({
+      paymentData: { amount: 350000, metadata: body.metadata },
+      currency: 'NGN',
+      gateway: 'paystack',
+      reference: 'ref_tier_paid'
+    });
+
+    const purchase = await Purchase.findOne({ where: { paymentReference: 'ref_tier_paid' } });
+    const access = await FreebieAccess.findOne({ where: { userId: BUYER_ID, freebieId: freebie.id } });
+    expect(purchase.pricingTierId).toBe(premium.id);
+    expect(access.pricingTierId).toBe(premium.id);
+  });
+
+  test('freebie access is limited to the items of the tier bought', async () => {
+    const { freebie, recipes, bonus } = await createFreebie();
+    const { tiers } = await contentPricingService.setPricing(CREATOR_ID, 'freebie', freebie.id, tiered(bonus.id));
+    await freebie.reload();
+
+    const basic = { pricingTierId: tiers[0].id };
+    const premium = { pricingTierId: tiers[1].id };
+    const legacy = { pricingTierId: null };
+
+    expect(await contentPricingService.canAccessItem(freebie, recipes, basic)).toBe(true);
+    expect(await contentPricingService.canAccessItem(freebie, bonus, basic)).toBe(false);
+    expect(await contentPricingService.canAccessItem(freebie, bonus, premium)).toBe(true);
+    expect(await contentPricingService.canAccessItem(freebie, bonus, legacy)).toBe(true);
+  });
+
+  test('tiers with buyers cannot be removed', async () => {
+    const { freebie, bonus } = await createFreebie();
+    const { tiers } = await contentPricingService.setPricing(CREATOR_ID, 'freebie', freebie.id, tiered(bonus.id));
+
+    await FreebieAccess.create({
+      userId: BUYER_ID,
+      freebieId: freebie.id,
+      purchaseReference: 'ref_basic',
+      amountPaid: 2000,
+      currency: 'NGN',
+      pricingTierId: tiers[0].id
+    });
+
+    await expect(contentPricingService.setPricing(CREATOR_ID, 'freebie', freebie.id, { pricingMode: 'fixed', price: 1000 }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Tier "Basic" has buyers and can\'t be removed' });
+
+    // Renaming and repricing a kept tier is fine
+    const updated = await contentPricingService.setPricing(CREATOR_ID, 'freebie', freebie.id, {
+      pricingMode: 'tiered',
+      tiers: [
+        { id: tiers[0].id, name: 'Starter', price: 1800 },
+        { id: tiers[1].id, name: 'With bonus files', price: 3500, itemIds: [bonus.id] }
+      ]
+    });
+    expect(updated.price).toBe(1800);
+    expect(updated.tiers[0]).toMatchObject({ id: tiers[0].id, name: 'Starter', price: 1800 });
+  });
+
+  test('tiers with buyers can gain items but not lose them', async () => {
+    const { freebie, recipes, bonus } = await createFreebie();
+    const { tiers } = await contentPricingService.setPricing(CREATOR_ID, 'freebie', freebie.id, tiered(bonus.id));
+    const [basic, premium] = tiers;
+
+    await FreebieAccess.create({
+      userId: BUYER_ID,
+      freebieId: freebie.id,
+      purchaseReference: 'ref_premium',
+      amountPaid: 3500,
+      currency: 'NGN',
+      pricingTierId: premium.id
+    });
+    const rejected = { statusCode: 409, message: 'Tier "With bonus files" has buyers; items can be added to it but not removed' };
+
+    // Moving the bonus file off the tier that was bought
+    await expect(contentPricingService.setPricing(CREATOR_ID, 'freebie', freebie.id, {
+      pricingMode: 'tiered',
+      tiers: [
+        { id: basic.id, name: 'Basic', price: 2000, itemIds: [bonus.id] },
+        { id: premium.id, name: 'With bonus files', price: 3500 }
+      ]
+    })).rejects.toMatchObject(rejected);
+
+    // Tying the shared recipes to Basic only would take them from premium buyers too
+    await expect(contentPricingService.setPricing(CREATOR_ID, 'freebie', freebie.id, {
+      pricingMode: 'tiered',
+      tiers: [
+        { id: basic.id, name: 'Basic', price: 2000, itemIds: [recipes.id] },
+        { id: premium.id, name: 'With bonus files', price: 3500, itemIds: [bonus.id] }
+      ]
+    })).rejects.toMatchObject(rejected);
+    expect(await PricingTierItem.count({ where: { pricingTierId: premium.id } })).toBe(1);
+
+    const updated = await contentPricingService.setPricing(CREATOR_ID, 'freebie', freebie.id, {
+      pricingMode: 'tiered',
+      tiers: [
+        { id: basic.id, name: 'Basic', price: 2000, itemIds: [recipes.id] },
+        { id: premium.id, name: 'With bonus files', price: 3500, itemIds: [bonus.id, recipes.id] }
+      ]
+    });
+    expect(updated.tiers.map(tier => [...tier.itemIds].sort())).toEqual([[recipes.id], [bonus.id, recipes.id].sort()]);
+  });
+});
@@ -0,0 +1,191 @@
+// Must mock config/db before any model is required
+jest.mock('../config/db', () => require('./helpers/sqliteDb'));
+
+const playbackPositionService = require('../services/playbackPositionService');
+const PlaybackPosition = require('../models/PlaybackPosition');
+const Video = require('../models/Video');
+const { LiveSeries, LiveSession } = require('../models/liveSeriesIndex');
+const { User, Purchase } = require('../models/walletIndex');
+
+const CREATOR_ID = 1;
+const VIEWER_ID = 2;
+const OTHER_ID = 3;
+
+const VIDEO_ID = 'a0000000-0000-4000-8000-000000000001';
+const OTHER_VIDEO_ID = 'b0000000-0000-4000-8000-000000000002';
+const PROCESSING_VIDEO_ID = 'c0000000-0000-4000-8000-000000000003';
+const DELETED_VIDEO_ID = 'd0000000-0000-4000-8000-000000000004';
+
+// Video has an ARRAY column sqlite can't create, so videos are plain objects
+const VIDEOS = {
+  [VIDEO_ID]: { id: VIDEO_ID, userId: CREATOR_ID, title: 'Lagos Jazz Masterclass', thumbnailUrl: 'https://cdn.example.com/jazz.png', durationSeconds: 600, status: 'ready', privacy: 'public' },
+  [OTHER_VIDEO_ID]: { id: OTHER_VIDEO_ID, userId: CREATOR_ID, title: 'Highlife Guitar Basics', thumbnailUrl: null, durationSeconds: 300, status: 'ready', privacy: 'public' },
+  [PROCESSING_VIDEO_ID]: { id: PROCESSING_VIDEO_ID, userId: CREATOR_ID, title: 'Re-uploading', durationSeconds: 200, status: 'processing', privacy: 'public' }
+};
+
+function save(overrides = {}) {
+  return playbackPositionService.savePosition({ userId: VIEWER_ID, contentType: 'video', contentId: VIDEO_ID, ...overrides });
+}
+
+async function watchedMinutesAgo(contentId, minutes) {
+  await PlaybackPosition.update(
+    { lastWatchedAt: new Date(Date.now() - minutes * 60 * 1000) },
+    { where: { userId: VIEWER_ID, contentId } }
+  );
+}
+
+describe('Playback positions and continue watching', () => {
+  let series;
+  let recorded;
+  let upcoming;
+
+  beforeAll(async () => {
+    await User.sync();
+    await User.bulkCreate([
+      { id: CREATOR_ID, firstname: 'Femi', lastname: 'Creator', email: 'resume-creator@example.com' },
+      { id: VIEWER_ID, firstname: 'Ada', lastname: 'Viewer', email: 'resume-viewer@example.com' },
+      { id: OTHER_ID, firstname: 'Tunde', lastname: 'Other', email: 'resume-other@example.com' }
+    ]);
+    await Purchase.sync();
+    await LiveSeries.sync();
+    await LiveSession.sync();
+    await PlaybackPosition.sync();
+
+    series = await LiveSeries.create({
+      userId: CREATOR_ID,
+      title: 'Afrobeat Production Bootcamp',
+      thumbnailUrl: 'https://cdn.example.com/bootcamp.png',
+      price: 15000,
+      currency: 'NGN',
+      startDate: new Date('2026-09-01'),
+      endDate: new Date('2026-10-01'),
+      recurrencePattern: { days: ['monday'], time: '18:00', duration: 60 },
+      status: 'active',
+      privacy: 'public'
+    });
+    recorded = await LiveSession.create({
+      seriesId: series.id,
+      sessionNumber: 3,
+      scheduledStartTime: new Date('2026-09-15T18:00:00Z'),
+      scheduledEndTime: new Date('2026-09-15T19:00:00Z'),
+      status: 'ended',
+      recordingUrl: 'https://drive.example.com/session-3'
+    });
+    upcoming = await LiveSession.create({
+      seriesId: series.id,
+      sessionNumber: 4,
+      scheduledStartTime: new Date('2026-09-22T18:00:00Z'),
+      scheduledEndTime: new Date('2026-09-22T19:00:00Z')
+    });
+    await Purchase.create({
+      userId: VIEWER_ID,
+      contentType: 'live_series',
+      contentId: series.id,
+      amount: 15000,
+      currency: 'NGN',
+      paymentGateway: 'paystack',
+      paymentReference: 'ref_resume_1',
+      paymentStatus: 'completed'
+    });
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(Video, 'findByPk').mockImplementation(async (id) => VIDEOS[id] || null);
+    jest.spyOn(Video, 'findAll').mockImplementation(async ({ where }) => where.id.map(id => VIDEOS[id]).filter(Boolean));
+
+    await PlaybackPosition.destroy({ where: {} });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('saves one resume point per video that the next device picks up', async () => {
+    await save({ position: 95.7 });
+    const latest = await save({ position: 212.3, duration: 9999 });
+
+    expect(latest).toMatchObject({
+      positionSeconds: 212,
+      durationSeconds: 600,
+      completed: false,
+      resumeAt: 212,
+      percentWatched: 35.33
+    });
+    expect(await PlaybackPosition.count()).toBe(1);
+
+    const resumed = await playbackPositionService.getPosition(VIEWER_ID, 'video', VIDEO_ID);
+    expect(resumed.resumeAt).toBe(212);
+    expect(await playbackPositionService.getPosition(OTHER_ID, 'video', VIDEO_ID)).toBeNull();
+    expect(await playbackPositionService.getPosition(null, 'video', VIDEO_ID)).toBeNull();
+  });
+
+  test('finishing a video starts it over next time', async () => {
+    const finished = await save({ position: 580 });
+    expect(finished).toMatchObject({ completed: true, resumeAt: 0, percentWatched: 96.67 });
+
+    const pastTheEnd = await save({ position: 700 });
+    expect(pastTheEnd).toMatchObject({ positionSeconds: 600, percentWatched: 100 });
+
+    // Rewatching from the start un-completes it
+    const rewatch = await save({ position: 42 });
+    expect(rewatch).toMatchObject({ completed: false, resumeAt: 42 });
+  });
+
+  test('rejects invalid positions and content the viewer cannot save', async () => {
+    await expect(save({ position: -1 })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(save({ position: 'abc' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(save({})).rejects.toMatchObject({ statusCode: 400 });
+    await expect(save({ position: 10, duration: 0 })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(save({ position: 10, contentType: 'course' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(save({ position: 10, contentId: DELETED_VIDEO_ID })).rejects.toMatchObject({ statusCode: 404 });
+
+    const session = { contentType: 'live_session', contentId: recorded.id, position: 10 };
+    await expect(save({ ...session, contentId: upcoming.id })).rejects.toMatchObject({ statusCode: 409 });
+    await expect(save({ ...session, userId: OTHER_ID })).rejects.toMatchObject({ statusCode: 403 });
+
+    expect(await PlaybackPosition.count()).toBe(0);
+  });
+
+  test('keeps the recording length the player reported for session recordings', async () => {
+    const first = await save({ contentType: 'live_session', contentId: recorded.id, position: 600, duration: 3600.4 });
+    expect(first).toMatchObject({ positionSeconds: 600, durationSeconds: 3600, percentWatched: 16.67 });
+
+    const next = await save({ contentType: 'live_session', contentId: recorded.id, position: 1800 });
+    expect(next).toMatchObject({ positionSeconds: 1800, durationSeconds: 3600, percentWatched: 50, resumeAt: 1800 });
+
+    // The creator can always save their own recording
+    const creator = await save({ userId: CREATOR_ID, contentType: 'live_session', contentId: recorded.id, position: 30 });
+    expect(creator.durationSeconds).toBeNull();
+  });
+
+  test('lists partially watched videos and recordings, most recently watched first', async () => {
+    await save({ position: 120 });
+    await save({ contentId: OTHER_VIDEO_ID, position: 299 }); // finished
+    await save({ contentType: 'live_session', contentId: recorded.id, position: 900, duration: 3600 });
+    await save({ contentId: PROCESSING_VIDEO_ID, position: 50 }); // being replaced, not playable
+    await PlaybackPosition.create({ userId: VIEWER_ID, contentType: 'video', contentId: DELETED_VIDEO_ID, positionSeconds: 80, durationSeconds: 100 });
+    await save({ userId: OTHER_ID, position: 300 }); // someone else
+
+    await watchedMinutesAgo(VIDEO_ID, 90);
+    await watchedMinutesAgo(recorded.id, 5);
+
+    const items = await playbackPositionService.getContinueWatching(VIEWER_ID);
+
+    expect(items.map(item => [item.contentType, item.title, item.resumeAt])).toEqual([
+      ['live_session', 'Afrobeat Production Bootcamp - Session 3', 900],
+      ['video', 'Lagos Jazz Masterclass', 120]
+    ]);
+    expect(items[0]).toMatchObject({
+      series: { id: series.id, title: 'Afrobeat Production Bootcamp' },
+      sessionNumber: 3,
+      thumbnailUrl: 'https://cdn.example.com/bootcamp.png',
+      creatorId: CREATOR_ID,
+      percentWatched: 25
+    });
+
+    // Barely started items are left out
+    await save({ contentId: VIDEO_ID, position: 4 });
+    const shelf = await playbackPositionService.getContinueWatching(VIEWER_ID, { limit: 1 });
+    expect(shelf.map(item => item.contentId)).toEqual([recorded.id]);
+  });
+});
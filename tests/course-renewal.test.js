@@ -0,0 +1,295 @@
+// Must mock config/db before any model is required
+jest.mock('../config/db', () => require('./helpers/sqliteDb'));
+jest.mock('../config/paystack', () => ({
+  paystackClient: { post: jest.fn(), get: jest.fn() }
+}));
+jest.mock('../config/stripe', () => ({
+  stripeClient: { paymentIntents: { create: jest.fn(), retrieve: jest.fn() } }
+}));
+jest.mock('../utils/email', () => ({
+  sendCourseRenewalSuccessEmail: jest.fn().mockResolvedValue(true),
+  sendCourseRenewalFailedEmail: jest.fn().mockResolvedValue(true),
+  sendCourseAccessExpiredEmail: jest.fn().mockResolvedValue(true)
+}));
+
+const { paystackClient } = require('../config/paystack');
+const { stripeClient } = require('../config/stripe');
+const email = require('../utils/email');
+const CourseRenewalService = require('../services/courseRenewalService');
+const { Department, Course, CourseEnrollment, CourseSubscription, Purchase, User } = require('../models/courseIndex');
+const Transaction = require('../models/Transaction');
+
+const USER_ID = 1;
+const DAY = 24 * 60 * 60 * 1000;
+
+const renewalService = new CourseRenewalService();
+
+async function createEnrollment({ accessType = 'monthly', expiresAt = new Date(Date.now() + 12 * 60 * 60 * 1000) } = {}) {
+  const purchase = await Purchase.create({
+    userId: USER_ID,
+    contentType: 'course',
+    contentId: null,
+    amount: 35000,
+    currency: 'NGN',
+    paymentGateway: 'paystack',
+    paymentReference: `ref_${Date.now()}_${Math.random()}`,
+    paymentStatus: 'completed'
+  });
+
+  return CourseEnrollment.create({
+    userId: USER_ID,
+    purchaseId: purchase.id,
+    studentName: 'Amaka Student',
+    studentEmail: 'renewal-student@example.com',
+    studentPhone: '08000000000',
+    accessType,
+    expiresAt
+  });
+}
+
+const paystackCharge = {
+  authorization: {
+    authorization_code: 'AUTH_test',
+    reusable: true,
+    card_type: 'visa',
+    last4: '4081'
+  },
+  customer: { email: 'renewal-student@example.com' }
+};
+
+describe('Course Renewal Service', () => {
+  beforeAll(async () => {
+    await User.sync();
+    await User.create({ id: USER_ID, firstname: 'Amaka', lastname: 'Student', email: 'renewal-student@example.com' });
+    await Department.sync();
+    await Course.sync();
+    await Purchase.sync();
+    await Transaction.sync();
+    await CourseEnrollment.sync();
+    await CourseSubscription.sync();
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await CourseSubscription.destroy({ where: {} });
+    await CourseEnrollment.destroy({ where: {} });
+    await Purchase.destroy({ where: {} });
+  });
+
+  test('should save a reusable Paystack authorization for monthly passes', async () => {
+    const enrollment = await createEnrollment();
+
+    const subscription = await renewalService.createFromPayment({
+      enrollment,
+      gateway: 'paystack',
+      currency: 'ngn',
+      paymentData: paystackCharge
+    });
+
+    expect(subscription.autoRenew).toBe(true);
+    expect(subscription.paystackAuthorizationCode).toBe('AUTH_test');
+    expect(subscription.cardLast4).toBe('4081');
+    expect(subscription.toJSON().paystackAuthorizationCode).toBeUndefined();
+    expect(subscription.toJSON().hasPaymentMethod).toBe(true);
+  });
+
+  test('should not auto-renew without a reusable card or for individual courses', async () => {
+    const enrollment = await createEnrollment();
+    const subscription = await renewalService.createFromPayment({
+      enrollment,
+      gateway: 'paystack',
+      currency: 'NGN',
+      paymentData: { authorization: { authorization_code: 'AUTH_bank', reusable: false } }
+    });
+
+    expect(subscription.autoRenew).toBe(false);
+
+    const individual = await renewalService.createFromPayment({
+      enrollment: { id: 'x', userId: USER_ID, accessType: 'individual', expiresAt: null },
+      gateway: 'paystack',
+      currency: 'NGN',
+      paymentData: paystackCharge
+    });
+    expect(individual).toBeNull();
+  });
+
+  test('should charge the saved authorization and extend access', async () => {
+    const periodEnd = new Date(Date.now() + 12 * 60 * 60 * 1000);
+    const enrollment = await createEnrollment({ expiresAt: periodEnd });
+    const subscription = await renewalService.createFromPayment({
+      enrollment, gateway: 'paystack', currency: 'NGN', paymentData: paystackCharge
+    });
+    paystackClient.post.mockResolvedValueOnce({ data: { data: { status: 'success' } } });
+
+    const summary = await renewalService.processDueRenewals();
+
+    expect(summary.renewed).toBe(1);
+    expect(paystackClient.post).toHaveBeenCalledWith('/transaction/charge_authorization', expect.objectContaining({
+      authorization_code: 'AUTH_test',
+      amount: renewalService.pricingService.getPrice('monthly', 'NGN') * 100,
+      metadata: expect.objectContaining({ type: 'course_renewal', subscriptionId: subscription.id })
+    }));
+
+    await subscription.reload();
+    await enrollment.reload();
+    const expectedEnd = renewalService.addInterval(periodEnd, 'monthly').getTime();
+    expect(new Date(subscription.currentPeriodEnd).getTime()).toBe(expectedEnd);
+    expect(new Date(enrollment.expiresAt).getTime()).toBe(expectedEnd);
+    expect(await Purchase.count({ where: { contentType: 'course' } })).toBe(2);
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(email.sendCourseRenewalSuccessEmail).toHaveBeenCalled();
+  });
+
+  test('should keep access through the grace period and retry after a failure', async () => {
+    const periodEnd = new Date(Date.now() + 12 * 60 * 60 * 1000);
+    const enrollment = await createEnrollment({ expiresAt: periodEnd });
+    const subscription = await renewalService.createFromPayment({
+      enrollment, gateway: 'paystack', currency: 'NGN', paymentData: paystackCharge
+    });
+    paystackClient.post.mockResolvedValueOnce({ data: { data: { status: 'failed', gateway_response: 'Insufficient Funds' } } });
+
+    const summary = await renewalService.processDueRenewals();
+
+    expect(summary.failed).toBe(1);
+    await subscription.reload();
+    await enrollment.reload();
+    expect(subscription.status).toBe('past_due');
+    expect(subscription.failedAttempts).toBe(1);
+    expect(subscription.lastFailureReason).toBe('Insufficient Funds');
+    expect(new Date(subscription.graceEndsAt).getTime()).toBe(periodEnd.getTime() + 7 * DAY);
+    expect(new Date(enrollment.expiresAt).getTime()).toBe(new Date(subscription.graceEndsAt).getTime());
+
+    // Not due again until the retry date
+    const again = await renewalService.processDueRenewals();
+    expect(again.processed).toBe(0);
+
+    // Retry succeeds: renewal extends from the original period end
+    paystackClient.post.mockResolvedValueOnce({ data: { data: { status: 'success' } } });
+    const retry = await renewalService.processDueRenewals(new Date(Date.now() + 1.5 * DAY));
+
+    expect(retry.renewed).toBe(1);
+    await subscription.reload();
+    expect(subscription.status).toBe('active');
+    expect(subscription.failedAttempts).toBe(0);
+    expect(subscription.graceEndsAt).toBeNull();
+    expect(new Date(subscription.currentPeriodEnd).getTime()).toBe(renewalService.addInterval(periodEnd, 'monthly').getTime());
+  });
+
+  test('should expire once retries run out', async () => {
+    const periodEnd = new Date(Date.now() + 12 * 60 * 60 * 1000);
+    const enrollment = await createEnrollment({ expiresAt: periodEnd });
+    const subscription = await renewalService.createFromPayment({
+      enrollment, gateway: 'paystack', currency: 'NGN', paymentData: paystackCharge
+    });
+    await subscription.update({ failedAttempts: renewalService.config.retryDays.length, status: 'past_due' });
+
+    paystackClient.post.mockResolvedValueOnce({ data: { data: { status: 'failed', gateway_response: 'Declined' } } });
+    const summary = await renewalService.processDueRenewals();
+
+    expect(summary.expired).toBe(1);
+    await subscription.reload();
+    await enrollment.reload();
+    expect(subscription.status).toBe('expired');
+    // The already-paid period is kept
+    expect(new Date(enrollment.expiresAt).getTime()).toBe(periodEnd.getTime());
+  });
+
+  test('should renew Stripe passes with an off-session payment intent', async () => {
+    const enrollment = await createEnrollment();
+    stripeClient.paymentIntents.retrieve.mockResolvedValueOnce({
+      payment_method: { id: 'pm_test', card: { brand: 'visa', last4: '4242' } }
+    });
+    const subscription = await renewalService.createFromPayment({
+      enrollment,
+      gateway: 'stripe',
+      currency: 'USD',
+      paymentData: { customer: 'cus_test', payment_intent: 'pi_first' }
+    });
+    stripeClient.paymentIntents.create.mockResolvedValueOnce({ id: 'pi_renewal', status: 'succeeded' });
+
+    const summary = await renewalService.processDueRenewals();
+
+    expect(summary.renewed).toBe(1);
+    expect(stripeClient.paymentIntents.create).toHaveBeenCalledWith(expect.objectContaining({
+      customer: 'cus_test',
+      payment_method: 'pm_test',
+      off_session: true,
+      confirm: true
+    }));
+    expect(await Purchase.findOne({ where: { paymentReference: 'pi_renewal' } })).not.toBeNull();
+    await subscription.reload();
+    expect(subscription.status).toBe('active');
+  });
+
+  test('should record a renewal only once when the webhook replays it', async () => {
+    const enrollment = await createEnrollment();
+    const subscription = await renewalService.createFromPayment({
+      enrollment, gateway: 'paystack', currency: 'NGN', paymentData: paystackCharge
+    });
+    const charge = { reference: 'crs_renew_hook', amount: 3500000, metadata: { type: 'course_renewal', subscriptionId: subscription.id } };
+
+    await renewalService.handlePaystackRenewalCharge(charge);
+    const replay = await renewalService.handlePaystackRenewalCharge(charge);
+
+    expect(replay.alreadyProcessed).toBe(true);
+    expect(await Purchase.count({ where: { paymentReference: 'crs_renew_hook' } })).toBe(1);
+  });
+
+  test('should renew from the stored period, not a stale copy of the subscription', async () => {
+    const enrollment = await createEnrollment();
+    const subscription = await renewalService.createFromPayment({
+      enrollment, gateway: 'paystack', currency: 'NGN', paymentData: paystackCharge
+    });
+    const periodEnd = new Date(subscription.currentPeriodEnd);
+    // e.g. loaded by the webhook before the cron's charge response committed
+    const stale = await CourseSubscription.findByPk(subscription.id);
+
+    await renewalService.recordRenewal(subscription, { reference: 'crs_renew_cron', amount: 35000 });
+    const replay = await renewalService.recordRenewal(stale, { reference: 'crs_renew_cron', amount: 35000 });
+    expect(replay.alreadyProcessed).toBe(true);
+
+    await renewalService.recordRenewal(stale, { reference: 'crs_renew_next', amount: 35000 });
+
+    expect(await Purchase.count({ where: { paymentReference: 'crs_renew_cron' } })).toBe(1);
+    expect(new Date(stale.currentPeriodEnd)).toEqual(
+      renewalService.addInterval(renewalService.addInterval(periodEnd, 'monthly'), 'monthly')
+    );
+  });
+
+  test('should cancel and resume auto-renewal', async () => {
+    const enrollment = await createEnrollment({ expiresAt: new Date(Date.now() + 10 * DAY) });
+    const subscription = await renewalService.createFromPayment({
+      enrollment, gateway: 'paystack', currency: 'NGN', paymentData: paystackCharge
+    });
+
+    await renewalService.cancel(USER_ID, subscription.id);
+    await subscription.reload();
+    expect(subscription.status).toBe('cancelled');
+    expect(subscription.autoRenew).toBe(false);
+
+    await expect(renewalService.cancel(USER_ID, subscription.id)).rejects.toMatchObject({ statusCode: 409 });
+    await expect(renewalService.resume(2, subscription.id)).rejects.toMatchObject({ statusCode: 404 });
+
+    await renewalService.resume(USER_ID, subscription.id);
+    await subscription.reload();
+    expect(subscription.status).toBe('active');
+    expect(subscription.autoRenew).toBe(true);
+  });
+
+  test('should expire cancelled passes once the period ends', async () => {
+    const enrollment = await createEnrollment({ expiresAt: new Date(Date.now() + 10 * DAY) });
+    const subscription = await renewalService.createFromPayment({
+      enrollment, gateway: 'paystack', currency: 'NGN', paymentData: paystackCharge
+    });
+    await renewalService.cancel(USER_ID, subscription.id);
+
+    const summary = await renewalService.processDueRenewals(new Date(Date.now() + 11 * DAY));
+
+    expect(summary.expired).toBe(1);
+    expect(paystackClient.post).not.toHaveBeenCalled();
+    await subscription.reload();
+    expect(subscription.status).toBe('expired');
+    await expect(renewalService.resume(USER_ID, subscription.id)).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
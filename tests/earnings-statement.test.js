@@ -0,0 +1,264 @@
+// Must mock config/db before any model is required
+jest.mock('../config/db', () => require('./helpers/sqliteDb'));
+
+const earningsStatementService = require('../services/earningsStatementService');
+const taxProfileService = require('../services/taxProfileService');
+const {
+  User,
+  Purchase,
+  WalletAccount,
+  WalletTransaction,
+  Payout,
+  CreatorTaxProfile
+} = require('../models/walletIndex');
+
+const CREATOR_ID = 1;
+const BUYER_ID = 2;
+
+let keyCounter = 0;
+
+async function logTransaction(wallet, overrides) {
+  keyCounter += 1;
+  return WalletTransaction.create({
+    wallet_account_id: wallet.id,
+    currency: wallet.currency,
+    status: 'completed',
+    idempotency_key: `00000000-0000-4000-8000-${String(keyCounter).padStart(12, '0')}`,
+    ...overrides
+  });
+}
+
+async function recordSale(wallet, { amount, credited, reference, date }) {
+  const purchase = await Purchase.create({
+    userId: BUYER_ID,
+    contentType: 'video',
+    contentId: '00000000-0000-4000-8000-000000000001',
+    amount,
+    currency: wallet.currency,
+    paymentGateway: wallet.currency === 'NGN' ? 'paystack' : 'stripe',
+    paymentReference: reference,
+    paymentStatus: 'completed'
+  });
+
+  await logTransaction(wallet, {
+    transaction_type: 'credit',
+    amount: credited * 100,
+    reference,
+    description: 'Earnings from video purchase',
+    metadata: { purchaseId: purchase.id, contentType: 'video', buyerUserId: BUYER_ID },
+    created_at: date
+  });
+
+  return purchase;
+}
+
+const W9_PROFILE = {
+  legalName: 'Femi Creator',
+  country: 'US',
+  taxIdType: 'SSN',
+  taxId: '123-45-6789',
+  formType: 'W-9',
+  addressLine1: '1 Main St',
+  city: 'Austin',
+  state: 'TX',
+  postalCode: '73301',
+  certifiedName: 'Femi Creator'
+};
+
+describe('Earnings Statements', () => {
+  let ngnWallet;
+  let usdWallet;
+
+  beforeAll(async () => {
+    await User.sync();
+    await User.bulkCreate([
+      { id: CREATOR_ID, firstname: 'Femi', lastname: 'Creator', email: 'statement-creator@example.com' },
+      { id: BUYER_ID, firstname: 'Ada', lastname: 'Buyer', email: 'statement-buyer@example.com' }
+    ]);
+    await Purchase.sync();
+    await WalletAccount.sync();
+    await WalletTransaction.sync();
+    await Payout.sync();
+    await CreatorTaxProfile.sync();
+
+    ngnWallet = await WalletAccount.create({ user_id: CREATOR_ID, currency: 'NGN' });
+    usdWallet = await WalletAccount.create({ user_id: CREATOR_ID, currency: 'USD' });
+
+    // September 2025: two NGN sales (one with a coupon commission), a partial refund and a payout
+    const couponSale = await recordSale(ngnWallet, { amount: 10000, credited: 9000, reference: 'ref_sep_1', date: new Date('2025-09-03T10:00:00Z') });
+    await recordSale(ngnWallet, { amount: 5000, credited: 5000, reference: 'ref_sep_2', date: new Date('2025-09-10T10:00:00Z') });
+    await logTransaction(ngnWallet, {
+      transaction_type: 'debit',
+      amount: 200000,
+      reference: 'RFD-C-refund-1',
+      description: 'Refund reversal for video purchase',
+      metadata: { purchaseId: couponSale.id, refundId: 'refund-1', role: 'creator' },
+      created_at: new Date('2025-09-12T10:00:00Z')
+    });
+    await logTransaction(ngnWallet, {
+      transaction_type: 'credit',
+      amount: 150000,
+      reference: 'REFERRAL-other-purchase',
+      description: 'Referral commission',
+      metadata: { purchaseId: 'other-purchase' },
+      created_at: new Date('2025-09-15T10:00:00Z')
+    });
+    // Not earnings: wallet top-up
+    await logTransaction(ngnWallet, {
+      transaction_type: 'credit',
+      amount: 999900,
+      reference: 'topup_1',
+      description: 'Wallet top-up',
+      metadata: { type: 'topup' },
+      created_at: new Date('2025-09-16T10:00:00Z')
+    });
+    await Payout.create({
+      userId: CREATOR_ID,
+      amount: 8000,
+      platformFee: 800,
+      gatewayFee: 0,
+      netAmount: 7200,
+      currency: 'NGN',
+      paymentGateway: 'paystack',
+      bankName: 'GTBank',
+      accountNumber: '0123456789',
+      accountName: 'Femi Creator',
+      transferReference: 'TRF_sep',
+      status: 'completed',
+      createdAt: new Date('2025-09-20T10:00:00Z')
+    });
+    // Failed payouts never left the wallet
+    await Payout.create({
+      userId: CREATOR_ID,
+      amount: 1000,
+      platformFee: 100,
+      gatewayFee: 15,
+      netAmount: 885,
+      currency: 'NGN',
+      paymentGateway: 'paystack',
+      bankName: 'GTBank',
+      accountNumber: '0123456789',
+      accountName: 'Femi Creator',
+      status: 'failed',
+      createdAt: new Date('2025-09-21T10:00:00Z')
+    });
+
+    // November 2025: one USD sale
+    await recordSale(usdWallet, { amount: 30, credited: 30, reference: 'cs_nov_1', date: new Date('2025-11-02T10:00:00Z') });
+  });
+
+  test('monthly statement breaks down sales, commissions, refunds and payouts', async () => {
+    const statement = await earningsStatementService.getStatement(CREATOR_ID, { year: 2025, month: 9 });
+
+    expect(statement.period).toMatchObject({ type: 'monthly', label: 'September 2025' });
+    expect(statement.currencies).toHaveLength(1);
+    expect(statement.currencies[0]).toEqual({
+      currency: 'NGN',
+      salesCount: 2,
+      grossSales: 15000,
+      salePlatformFees: 0,
+      commissionsDeducted: 1000,
+      commissionsEarned: 1500,
+      refunds: 2000,
+      netEarnings: 13500,
+      platformFees: 800,
+      gatewayFees: 0,
+      payouts: { count: 1, gross: 8000, net: 7200 }
+    });
+    expect(statement.lines.map(line => line.type)).toEqual(['Sale', 'Sale', 'Refund', 'Commission earned', 'Payout']);
+    expect(statement.taxProfile).toBeNull();
+  });
+
+  test('annual statement covers every currency with monthly subtotals', async () => {
+    const statement = await earningsStatementService.getStatement(CREATOR_ID, { year: 2025 });
+
+    expect(statement.currencies.map(summary => summary.currency)).toEqual(['NGN', 'USD']);
+
+    const usd = statement.currencies[1];
+    expect(usd).toMatchObject({ salesCount: 1, grossSales: 30, netEarnings: 30 });
+    expect(usd.months).toHaveLength(12);
+    expect(usd.months[10]).toEqual({ month: 11, name: 'November', grossSales: 30, netEarnings: 30, payouts: 0 });
+
+    const ngnSeptember = statement.currencies[0].months[8];
+    expect(ngnSeptember).toMatchObject({ grossSales: 15000, netEarnings: 13500, payouts: 8000 });
+
+    const usdOnly = await earningsStatementService.getStatement(CREATOR_ID, { year: 2025, currency: 'usd' });
+    expect(usdOnly.currencies.map(summary => summary.currency)).toEqual(['USD']);
+  });
+
+  test('statements include the tax profile with a masked TIN in CSV and PDF', async () => {
+    await taxProfileService.saveProfile(CREATOR_ID, W9_PROFILE);
+
+    const statement = await earningsStatementService.getStatement(CREATOR_ID, { year: 2025, month: 9 });
+    expect(statement.taxProfile).toMatchObject({ legalName: 'Femi Creator', formType: 'W-9', maskedTaxId: '*******6789' });
+    expect(statement.taxProfile.taxId).toBeUndefined();
+
+    const csv = earningsStatementService.toCSV(statement);
+    expect(csv).toContain('Tax ID,SSN *******6789');
+    expect(csv).toContain('NGN,2,15000,0,1000,1500,2000,13500,800,0,8000,7200');
+    expect(csv).not.toContain('123-45-6789');
+
+    const pdf = await earningsStatementService.toPDF(statement);
+    expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+
+    expect(earningsStatementService.getFileName(statement, 'pdf')).toBe('earnings-statement-2025-09.pdf');
+  });
+
+  test('rejects future or malformed statement periods', async () => {
+    const nextYear = new Date().getUTCFullYear() + 1;
+
+    await expect(earningsStatementService.getStatement(CREATOR_ID, { year: nextYear }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(earningsStatementService.getStatement(CREATOR_ID, { year: 2025, month: 13 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  describe('tax profile validation', () => {
+    test('requires certification for tax forms and keeps it while unchanged', async () => {
+      await expect(taxProfileService.saveProfile(BUYER_ID, { ...W9_PROFILE, certifiedName: undefined }))
+        .rejects.toThrow('certifiedName is required to certify the W-9');
+
+      const profile = await taxProfileService.saveProfile(BUYER_ID, W9_PROFILE);
+      const certifiedAt = profile.certifiedAt;
+
+      const updated = await taxProfileService.saveProfile(BUYER_ID, { ...W9_PROFILE, city: 'Dallas', certifiedName: undefined });
+      expect(updated.city).toBe('Dallas');
+      expect(updated.certifiedAt).toEqual(certifiedAt);
+    });
+
+    test('matches W-8 forms to non-US individuals and businesses', async () => {
+      const w8 = {
+        legalName: 'Ada Buyer',
+        country: 'ng',
+        taxIdType: 'TIN',
+        taxId: '12345678-0001',
+        addressLine1: '5 Marina',
+        city: 'Lagos',
+        certifiedName: 'Ada Buyer'
+      };
+
+      await expect(taxProfileService.saveProfile(BUYER_ID, { ...w8, formType: 'W-9' }))
+        .rejects.toThrow('W-9 is for US persons');
+      await expect(taxProfileService.saveProfile(BUYER_ID, { ...w8, formType: 'W-8BEN-E' }))
+        .rejects.toThrow('W-8BEN-E is for businesses');
+
+      const profile = await taxProfileService.saveProfile(BUYER_ID, {
+        ...w8,
+        formType: 'W-8BEN',
+        treatyCountry: 'ng',
+        treatyArticle: 'Article 12',
+        withholdingRate: '10'
+      });
+
+      expect(profile).toMatchObject({ country: 'NG', usPerson: false, treatyCountry: 'NG' });
+      expect(parseFloat(profile.withholdingRate)).toBe(10);
+    });
+
+    test('rejects missing fields and bad tax IDs', async () => {
+      await expect(taxProfileService.saveProfile(BUYER_ID, { legalName: 'Ada' }))
+        .rejects.toThrow('Missing required fields: country, taxIdType, taxId, addressLine1, city');
+      await expect(taxProfileService.saveProfile(BUYER_ID, { ...W9_PROFILE, taxId: '12' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
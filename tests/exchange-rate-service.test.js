@@ -0,0 +1,171 @@
+// Must mock config/db before any model is required
+jest.mock('../config/db', () => require('./helpers/sqliteDb'));
+
+const exchangeRateService = require('../services/exchangeRateService');
+const { registerProvider } = require('../services/exchangeRateProviders');
+const CurrencyConversionService = require('../services/currencyConversionService');
+const { User, ExchangeRate, ExchangeRateLock } = require('../models/walletIndex');
+
+const ADMIN_ID = 1;
+
+// Provider whose rates each test controls
+const providerRates = {};
+registerProvider({
+  name: 'test_provider',
+  async fetchRates(baseCurrency, quoteCurrencies) {
+    return Object.fromEntries(
+      quoteCurrencies.filter(currency => providerRates[currency]).map(currency => [currency, providerRates[currency]])
+    );
+  }
+});
+
+describe('Exchange Rate Service', () => {
+  const originalProvider = exchangeRateService.config.providerName;
+
+  beforeAll(async () => {
+    await User.sync();
+    await User.create({ id: ADMIN_ID, firstname: 'Ada', lastname: 'Admin', email: 'rates-admin@example.com', role: 'admin' });
+    await ExchangeRate.sync();
+    await ExchangeRateLock.sync();
+    exchangeRateService.config.providerName = 'test_provider';
+  });
+
+  afterAll(() => {
+    exchangeRateService.config.providerName = originalProvider;
+  });
+
+  beforeEach(async () => {
+    await ExchangeRateLock.destroy({ where: {} });
+    await ExchangeRate.destroy({ where: {} });
+    exchangeRateService.currentRates.clear();
+    Object.assign(providerRates, { NGN: 1500, GBP: 0.8, EUR: 0.9 });
+  });
+
+  test('should record provider rates as history', async () => {
+    await exchangeRateService.refreshRates({ force: true });
+    providerRates.NGN = 1520;
+    await exchangeRateService.refreshRates({ force: true });
+
+    const history = await exchangeRateService.getRateHistory('NGN');
+    expect(history.total).toBe(2);
+    expect(history.rates.map(entry => entry.rate).sort()).toEqual([1500, 1520]);
+    expect(exchangeRateService.getRate('USD', 'NGN')).toBe(1520);
+  });
+
+  test('should skip refresh when rates were fetched recently unless forced', async () => {
+    await exchangeRateService.refreshRates({ force: true });
+    providerRates.NGN = 1510;
+
+    const result = await exchangeRateService.refreshRates();
+    expect(result.fetched).toBe(false);
+    expect(exchangeRateService.getRate('USD', 'NGN')).toBe(1500);
+  });
+
+  test('should reject provider rates that move more than the allowed change', async () => {
+    await exchangeRateService.refreshRates({ force: true });
+    providerRates.NGN = 3000;
+
+    const result = await exchangeRateService.refreshRates({ force: true });
+    expect(result.skipped).toEqual([{ currency: 'NGN', rate: 3000, reason: 'max_change_exceeded' }]);
+    expect(exchangeRateService.getRate('USD', 'NGN')).toBe(1500);
+  });
+
+  test('should keep a locked rate through provider refreshes until unlocked', async () => {
+    await exchangeRateService.refreshRates({ force: true });
+    const entry = await exchangeRateService.setRate('NGN', 1450, {
+      adminId: ADMIN_ID,
+      reason: 'Match bank rate',
+      lock: true
+    });
+
+    expect(entry.locked).toBe(true);
+    expect(entry.source).toBe('admin');
+
+    providerRates.NGN = 1490;
+    await exchangeRateService.refreshRates({ force: true });
+    expect(exchangeRateService.getRate('USD', 'NGN')).toBe(1450);
+
+    // The provider rate is still recorded, but marked as not applied
+    const ignored = await ExchangeRate.findOne({ where: { quoteCurrency: 'NGN', rate: 1490 } });
+    expect(ignored.metadata).toEqual({ applied: false, lockedRate: 1450 });
+
+    expect(await exchangeRateService.unlockRate('NGN', { adminId: ADMIN_ID })).toBe(true);
+    expect(exchangeRateService.getRate('USD', 'NGN')).toBe(1490);
+    expect(await exchangeRateService.unlockRate('NGN', { adminId: ADMIN_ID })).toBe(false);
+  });
+
+  test('should re-point an existing lock when an admin sets a new rate', async () => {
+    await exchangeRateService.setRate('GBP', 0.75, { adminId: ADMIN_ID, reason: 'Pin', lock: true });
+    await exchangeRateService.setRate('GBP', 0.76, { adminId: ADMIN_ID, reason: 'Adjust pin' });
+
+    const activeLocks = await ExchangeRateLock.findAll({ where: { quoteCurrency: 'GBP', unlockedAt: null } });
+    expect(activeLocks).toHaveLength(1);
+    expect(exchangeRateService.getRateEntry('GBP')).toMatchObject({ rate: 0.76, locked: true });
+  });
+
+  test('should reject invalid overrides', async () => {
+    await expect(exchangeRateService.setRate('NGN', -1, { adminId: ADMIN_ID })).rejects.toThrow('Rate must be a positive number');
+    await expect(exchangeRateService.setRate('JPY', 150, { adminId: ADMIN_ID })).rejects.toThrow('Unsupported currency');
+    expect(await ExchangeRate.count()).toBe(0);
+  });
+
+  test('should capture both USD legs for a cross-rate snapshot', async () => {
+    await exchangeRateService.refreshRates({ force: true });
+
+    const snapshot = exchangeRateService.getRateSnapshot('NGN', 'GBP');
+    expect(snapshot.rate).toBeCloseTo(0.8 / 1500, 10);
+    expect(snapshot.legs.map(leg => leg.quoteCurrency)).toEqual(['NGN', 'GBP']);
+    expect(snapshot.legs.every(leg => leg.rateId && leg.source === 'test_provider')).toBe(true);
+
+    const usdSnapshot = exchangeRateService.getRateSnapshot('USD', 'NGN');
+    expect(usdSnapshot.rate).toBe(1500);
+    expect(usdSnapshot.legs).toHaveLength(1);
+  });
+
+  test('should rebuild a snapshot from gateway metadata', async () => {
+    await exchangeRateService.refreshRates({ force: true });
+
+    const snapshot = exchangeRateService.getRateSnapshot('USD', 'NGN');
+    const metadata = exchangeRateService.toGatewayMetadata(snapshot, 20);
+    expect(metadata).toEqual({
+      exchangeRate: '1500',
+      exchangeRateIds: snapshot.legs[0].rateId,
+      baseCurrency: 'USD',
+      baseAmount: '20'
+    });
+
+    const rebuilt = await exchangeRateService.fromGatewayMetadata(metadata, 'ngn');
+    expect(rebuilt).toMatchObject({ fromCurrency: 'USD', toCurrency: 'NGN', rate: 1500, baseAmount: 20 });
+    expect(rebuilt.legs[0].rateId).toBe(snapshot.legs[0].rateId);
+
+    expect(await exchangeRateService.fromGatewayMetadata({}, 'NGN')).toBeNull();
+  });
+
+  test('should convert with the environment rate before rates are loaded', () => {
+    const originalRate = process.env.CURRENCY_CONVERSION_RATE_NGN_TO_USD;
+    process.env.CURRENCY_CONVERSION_RATE_NGN_TO_USD = '1400';
+
+    try {
+      const conversion = new CurrencyConversionService();
+      expect(conversion.convert(14000, 'NGN', 'USD')).toBe(10);
+      expect(conversion.getRateSnapshot('NGN', 'USD').legs[0]).toMatchObject({ rateId: null, source: 'env' });
+    } finally {
+      if (originalRate === undefined) {
+        delete process.env.CURRENCY_CONVERSION_RATE_NGN_TO_USD;
+      } else {
+        process.env.CURRENCY_CONVERSION_RATE_NGN_TO_USD = originalRate;
+      }
+    }
+  });
+
+  test('should convert using a stored snapshot rather than the current rate', async () => {
+    await exchangeRateService.refreshRates({ force: true });
+    const conversion = new CurrencyConversionService();
+    const snapshot = conversion.getRateSnapshot('USD', 'NGN');
+
+    await exchangeRateService.setRate('NGN', 1600, { adminId: ADMIN_ID, reason: 'Devaluation' });
+
+    expect(conversion.convert(10, 'USD', 'NGN', snapshot)).toBe(15000);
+    expect(conversion.convert(10, 'USD', 'NGN')).toBe(16000);
+  });
+});
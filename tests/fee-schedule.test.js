@@ -0,0 +1,290 @@
+// Must mock config/db before any model is required
+jest.mock('../config/db', () => require('./helpers/sqliteDb'));
+jest.mock('../config/paystack', () => ({
+  paystackClient: { post: jest.fn(), put: jest.fn() }
+}));
+jest.mock('../config/stripe', () => ({
+  stripeClient: {}
+}));
+jest.mock('../utils/email', () => ({
+  sendPurchaseConfirmationEmail: jest.fn().mockResolvedValue(true),
+  sendSaleNotificationEmail: jest.fn().mockResolvedValue(true)
+}));
+
+const feeScheduleService = require('../services/feeScheduleService');
+const membershipService = require('../services/membershipService');
+const ledgerService = require('../services/ledgerService');
+const PaymentRoutingService = require('../services/paymentRoutingService');
+const { MembershipPlan, Membership } = require('../models/membershipIndex');
+const {
+  User,
+  Purchase,
+  FeeSchedule,
+  WalletAccount,
+  WalletTransaction,
+  LedgerJournal,
+  LedgerEntry
+} = require('../models/walletIndex');
+const Transaction = require('../models/Transaction');
+const { getBalance } = require('./helpers/wallet');
+
+const CREATOR_ID = 1;
+const VIP_CREATOR_ID = 2;
+const BUYER_ID = 3;
+const ADMIN_ID = 4;
+
+const SALE_TIME = new Date('2026-10-15T12:00:00Z');
+
+async function createSchedule(data) {
+  return feeScheduleService.createSchedule(data, ADMIN_ID);
+}
+
+describe('Fee Schedule Service', () => {
+  beforeAll(async () => {
+    await User.sync();
+    await User.bulkCreate([
+      { id: CREATOR_ID, firstname: 'Femi', lastname: 'Creator', email: 'fee-creator@example.com' },
+      { id: VIP_CREATOR_ID, firstname: 'Bola', lastname: 'Star', email: 'fee-vip@example.com' },
+      { id: BUYER_ID, firstname: 'Ada', lastname: 'Buyer', email: 'fee-buyer@example.com' },
+      { id: ADMIN_ID, firstname: 'Grace', lastname: 'Admin', email: 'fee-admin@example.com' }
+    ]);
+    await FeeSchedule.sync();
+    await Purchase.sync();
+    await WalletAccount.sync();
+    await WalletTransaction.sync();
+    await LedgerJournal.sync();
+    await LedgerEntry.sync();
+    await Transaction.sync();
+    await MembershipPlan.sync();
+    await Membership.sync();
+  });
+
+  beforeEach(async () => {
+    await FeeSchedule.destroy({ where: {} });
+    await Purchase.destroy({ where: {} });
+    // Coupons use ARRAY columns, which sqlite can't create
+    jest.spyOn(feeScheduleService, 'getHighestPartnerCommission').mockResolvedValue(0);
+  });
+
+  test('falls back to the default rate when no schedule applies', async () => {
+    const fee = await feeScheduleService.resolveFee({
+      creatorId: CREATOR_ID,
+      contentType: 'video',
+      currency: 'NGN',
+      amount: 5000
+    });
+
+    expect(fee).toMatchObject({ platformFee: 0, creatorNet: 5000, feeScheduleId: null });
+    expect(fee.rule).toMatchObject({ source: 'default', percentage: 0, promotion: false });
+  });
+
+  test('creator rates beat content-type rates, and priority beats both', async () => {
+    await createSchedule({ name: 'Video standard', contentType: 'video', percentage: 20 });
+    const vip = await createSchedule({ name: 'Bola negotiated', creatorId: VIP_CREATOR_ID, percentage: 10 });
+
+    const standard = await feeScheduleService.resolveFee({ creatorId: CREATOR_ID, contentType: 'video', currency: 'NGN', amount: 5000 });
+    expect(standard).toMatchObject({ platformFee: 1000, creatorNet: 4000 });
+    expect(standard.rule.name).toBe('Video standard');
+
+    const negotiated = await feeScheduleService.resolveFee({ creatorId: VIP_CREATOR_ID, contentType: 'video', currency: 'NGN', amount: 5000 });
+    expect(negotiated).toMatchObject({ platformFee: 500, creatorNet: 4500, feeScheduleId: vip.id });
+
+    // Courses are not covered by the video schedule
+    const course = await feeScheduleService.resolveFee({ creatorId: CREATOR_ID, contentType: 'live_class', currency: 'NGN', amount: 5000 });
+    expect(course.rule.source).toBe('default');
+
+    await createSchedule({ name: 'Platform-wide override', percentage: 30, priority: 10 });
+    const overridden = await feeScheduleService.resolveFee({ creatorId: VIP_CREATOR_ID, contentType: 'video', currency: 'NGN', amount: 5000 });
+    expect(overridden.rule.name).toBe('Platform-wide override');
+  });
+
+  test('promotions apply only inside their window', async () => {
+    await createSchedule({ name: 'Video standard', contentType: 'video', percentage: 20 });
+    await createSchedule({
+      name: 'October promo',
+      contentType: 'video',
+      percentage: 5,
+      startsAt: '2026-10-01T00:00:00Z',
+      endsAt: '2026-11-01T00:00:00Z'
+    });
+
+    const during = await feeScheduleService.resolveFee({ creatorId: CREATOR_ID, contentType: 'video', currency: 'USD', amount: 40, at: SALE_TIME });
+    expect(during).toMatchObject({ platformFee: 2, creatorNet: 38 });
+    expect(during.rule).toMatchObject({ name: 'October promo', promotion: true });
+
+    const after = await feeScheduleService.resolveFee({ creatorId: CREATOR_ID, contentType: 'video', currency: 'USD', amount: 40, at: new Date('2026-11-02T00:00:00Z') });
+    expect(after.rule.name).toBe('Video standard');
+  });
+
+  test('volume tiers lower the rate as month-to-date sales grow', async () => {
+    await createSchedule({
+      name: 'NGN volume',
+      currency: 'NGN',
+      percentage: 20,
+      fixedFee: 50,
+      tiers: [{ minVolume: 100000, percentage: 10 }, { minVolume: 0, percentage: 15 }]
+    });
+
+    const first = await feeScheduleService.resolveFee({ creatorId: CREATOR_ID, contentType: 'video', currency: 'NGN', amount: 10000, at: SALE_TIME });
+    expect(first).toMatchObject({ platformFee: 1550, creatorNet: 8450 });
+    expect(first.rule).toMatchObject({ tier: { minVolume: 0, percentage: 15 }, monthToDateVolume: 0 });
+
+    const sale = {
+      userId: BUYER_ID,
+      creatorId: CREATOR_ID,
+      contentType: 'video',
+      contentId: '00000000-0000-4000-8000-000000000001',
+      currency: 'NGN',
+      paymentGateway: 'paystack',
+      paymentStatus: 'completed'
+    };
+    await Purchase.create({ ...sale, amount: 80000, paymentReference: 'ref_vol_1', createdAt: new Date('2026-10-05T10:00:00Z') });
+    await Purchase.create({ ...sale, amount: 30000, paymentReference: 'ref_vol_2', createdAt: new Date('2026-10-10T10:00:00Z') });
+    // Last month's and refunded sales don't count
+    await Purchase.create({ ...sale, amount: 500000, paymentReference: 'ref_vol_3', createdAt: new Date('2026-09-28T10:00:00Z') });
+    await Purchase.create({ ...sale, amount: 500000, paymentReference: 'ref_vol_4', paymentStatus: 'refunded', createdAt: new Date('2026-10-06T10:00:00Z') });
+
+    const later = await feeScheduleService.resolveFee({ creatorId: CREATOR_ID, contentType: 'video', currency: 'NGN', amount: 10000, at: SALE_TIME });
+    expect(later).toMatchObject({ platformFee: 1050, creatorNet: 8950 });
+    expect(later.rule).toMatchObject({ tier: { minVolume: 100000, percentage: 10 }, monthToDateVolume: 110000 });
+  });
+
+  test('previews what the creator nets after fees and commission', async () => {
+    await createSchedule({ name: 'Video standard', contentType: 'video', percentage: 20 });
+
+    const preview = await feeScheduleService.previewFee({
+      creatorId: String(CREATOR_ID),
+      contentType: 'video',
+      currency: 'ngn',
+      amount: '5000',
+      commission: '500'
+    });
+
+    expect(preview).toMatchObject({
+      creatorId: CREATOR_ID,
+      currency: 'NGN',
+      amount: 5000,
+      platformFee: 1000,
+      commission: 500,
+      creatorNet: 3500
+    });
+
+    await expect(feeScheduleService.previewFee({ contentType: 'video', currency: 'NGN', amount: 0 }))
+      .rejects.toThrow('amount must be greater than zero');
+    await expect(feeScheduleService.previewFee({ contentType: 'ebook', currency: 'NGN', amount: 10 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('validates schedules on create and update', async () => {
+    await expect(createSchedule({ name: 'Too much', percentage: 120 }))
+      .rejects.toThrow('percentage must be between 0 and 100');
+    await expect(createSchedule({ name: 'Tiered', percentage: 20, tiers: [{ minVolume: 0, percentage: 10 }] }))
+      .rejects.toThrow('currency is required for schedules with volume tiers or a fixed fee');
+    await expect(createSchedule({ name: 'Backwards', percentage: 5, startsAt: '2026-11-01', endsAt: '2026-10-01' }))
+      .rejects.toThrow('endsAt must be after startsAt');
+    await expect(createSchedule({ name: 'Ghost', percentage: 5, creatorId: 999 }))
+      .rejects.toMatchObject({ statusCode: 404 });
+
+    const schedule = await createSchedule({ name: 'Video standard', contentType: 'video', percentage: 20 });
+    await expect(feeScheduleService.updateSchedule(schedule.id, { fixedFee: 100 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const updated = await feeScheduleService.updateSchedule(schedule.id, { percentage: 15, isActive: 'false' });
+    expect(parseFloat(updated.percentage)).toBe(15);
+    expect(updated.isActive).toBe(false);
+
+    await feeScheduleService.deleteSchedule(schedule.id);
+    await expect(feeScheduleService.getSchedule(schedule.id)).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('leaves room for the highest partner commission', async () => {
+    feeScheduleService.getHighestPartnerCommission.mockResolvedValue(30);
+
+    await expect(createSchedule({ name: 'Greedy', percentage: 75 }))
+      .rejects.toThrow('percentage plus the highest partner commission (30%) cannot exceed 100');
+    await expect(createSchedule({ name: 'Greedy tier', currency: 'GBP', percentage: 20, tiers: [{ minVolume: 0, percentage: 80 }] }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const schedule = await createSchedule({ name: 'EUR standard', currency: 'eur', percentage: 70 });
+    expect(schedule.currency).toBe('EUR');
+    await expect(feeScheduleService.updateSchedule(schedule.id, { percentage: 71 }))
+      .rejects.toThrow('cannot exceed 100');
+
+    // Inactive schedules never apply, so they are not checked
+    await feeScheduleService.updateSchedule(schedule.id, { percentage: 90, isActive: false });
+    expect(await feeScheduleService.getHighestPercentage()).toBe(0);
+  });
+
+  test('commissions beyond what the fee leaves never credit the creator a negative amount', async () => {
+    await createSchedule({ name: 'Video standard', contentType: 'video', percentage: 80 });
+
+    const routing = new PaymentRoutingService();
+    jest.spyOn(routing, 'getContentCreatorId').mockResolvedValue(CREATOR_ID);
+    jest.spyOn(routing.couponService, 'recordCouponUsage').mockResolvedValue(true);
+    // processSuccessfulPayment credits wallets in their own transaction, which sqlite can't nest
+    jest.spyOn(routing.walletService, 'creditWallet').mockResolvedValue({});
+
+    await routing.processSuccessfulPayment({
+      paymentData: {
+        amount: 500000,
+        metadata: {
+          userId: String(BUYER_ID),
+          contentType: 'video',
+          contentId: '00000000-0000-4000-8000-000000000002',
+          couponId: '00000000-0000-4000-8000-000000000003',
+          partnerCommission: '1500',
+          couponPartnerUserId: String(ADMIN_ID)
+        }
+      },
+      currency: 'NGN',
+      gateway: 'paystack',
+      reference: 'ref_over_commission'
+    });
+
+    // 5000 - 4000 fee - 1500 commission: the creator gets nothing rather than a debit
+    const credits = routing.walletService.creditWallet.mock.calls.map(([credit]) => [credit.userId, credit.amount]);
+    expect(credits).toEqual([[ADMIN_ID, 1500]]);
+  });
+
+  test('membership payments record the fee rule and credit the creator net of the fee', async () => {
+    const schedule = await createSchedule({ name: 'Memberships', contentType: 'membership', percentage: 10 });
+    const plan = await MembershipPlan.create({
+      creatorId: CREATOR_ID,
+      name: 'Inner Circle',
+      interval: 'monthly',
+      price: 5000,
+      currency: 'NGN'
+    });
+    const membership = await Membership.create({
+      planId: plan.id,
+      userId: BUYER_ID,
+      creatorId: CREATOR_ID,
+      gateway: 'paystack',
+      amount: 5000,
+      currency: 'NGN'
+    });
+
+    const { purchase } = await membershipService.recordPayment(membership, {
+      gateway: 'paystack',
+      reference: 'ref_member_fee',
+      amount: 5000,
+      currency: 'NGN',
+      periodStart: new Date(),
+      periodEnd: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
+    });
+
+    expect(purchase).toMatchObject({ creatorId: CREATOR_ID, feeScheduleId: schedule.id });
+    expect(parseFloat(purchase.platformFee)).toBe(500);
+    expect(purchase.feeRule).toMatchObject({ source: 'schedule', name: 'Memberships', percentage: 10 });
+
+    expect(await getBalance(CREATOR_ID, 'NGN')).toBe(4500);
+
+    const accounts = await ledgerService.getAccountBalances({ currency: 'NGN' });
+    expect(accounts.find(account => account.accountCode === 'platform_fee:NGN').balance).toBe(500);
+
+    // Later schedule changes don't rewrite the snapshot
+    await feeScheduleService.updateSchedule(schedule.id, { percentage: 25 });
+    await purchase.reload();
+    expect(purchase.feeRule.percentage).toBe(10);
+  });
+});
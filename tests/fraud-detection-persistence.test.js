@@ -0,0 +1,91 @@
+// Must mock config/db before any model is required
+jest.mock('../config/db', () => require('./helpers/sqliteDb'));
+
+const fraudDetectionService = require('../services/fraudDetectionService');
+const { FraudUserProfile, FraudTransactionEvent, FraudAlert } = require('../models/fraudIndex');
+const User = require('../models/User');
+
+describe('Fraud Detection persistence', () => {
+  beforeAll(async () => {
+    await User.sync();
+    await User.bulkCreate([1, 2, 3, 4, 5, 99].map(id => ({
+      id,
+      firstname: 'Test',
+      lastname: `User${id}`,
+      email: `fraud-user-${id}@example.com`
+    })));
+    await FraudUserProfile.sync();
+    await FraudTransactionEvent.sync();
+    await FraudAlert.sync();
+  });
+
+  beforeEach(async () => {
+    await FraudAlert.destroy({ where: {} });
+    await FraudTransactionEvent.destroy({ where: {} });
+    await FraudUserProfile.destroy({ where: {} });
+  });
+
+  test('should persist analyzed transactions as history', async () => {
+    await fraudDetectionService.analyzeTransaction({
+      userId: 1,
+      amount: 2500,
+      currency: 'NGN',
+      type: 'payment'
+    });
+
+    const history = await fraudDetectionService.getUserTransactionHistory(1);
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({ amount: 2500, currency: 'NGN', type: 'payment' });
+    expect(await FraudTransactionEvent.count({ where: { userId: 1 } })).toBe(1);
+  });
+
+  test('should store the decayed risk score on the user profile', async () => {
+    await fraudDetectionService.updateRiskScore(2, 50);
+    await fraudDetectionService.updateRiskScore(2, 50);
+
+    const profile = await FraudUserProfile.findByPk(2);
+    expect(parseFloat(profile.riskScore)).toBeCloseTo(9.5, 2);
+  });
+
+  test('should keep users blocked until an admin unblocks them', async () => {
+    await fraudDetectionService.autoBlockUser(3, 'High risk score', { riskScore: 90, flags: ['high_amount'] });
+
+    const analysis = await fraudDetectionService.analyzeTransaction({
+      userId: 3,
+      amount: 100,
+      currency: 'NGN',
+      type: 'payment'
+    });
+    expect(analysis.allowed).toBe(false);
+    expect(analysis.flags).toContain('auto_blocked');
+    expect(await FraudAlert.count({ where: { userId: 3, alertType: 'auto_block' } })).toBe(1);
+
+    await fraudDetectionService.unblockUser(3, 99);
+
+    const profile = await fraudDetectionService.getUserRiskProfile(3);
+    expect(profile.isBlocked).toBe(false);
+    expect(profile.riskScore).toBe(0);
+    expect(profile.suspiciousActivities.every(alert => alert.status === 'resolved')).toBe(true);
+  });
+
+  test('should auto-block after repeated open suspicious activities', async () => {
+    const { suspiciousCount } = fraudDetectionService.config.autoBlockThresholds;
+
+    for (let i = 0; i < suspiciousCount; i++) {
+      await fraudDetectionService.logSuspiciousActivity(4, { riskScore: 65, flags: ['round_amount'], details: {} });
+    }
+
+    const profile = await fraudDetectionService.getProfile(4);
+    expect(profile.isBlocked).toBe(true);
+    expect(profile.blockReason).toBe('Multiple suspicious activities');
+  });
+
+  test('should report statistics from persisted state', async () => {
+    await fraudDetectionService.recordTransaction({ userId: 5, amount: 10, currency: 'USD', type: 'deposit' });
+    await fraudDetectionService.autoBlockUser(5, 'High risk score', { riskScore: 90 });
+
+    const stats = await fraudDetectionService.getStatistics();
+    expect(stats.totalUsers).toBe(1);
+    expect(stats.blockedUsers).toBe(1);
+  });
+});
@@ -0,0 +1,270 @@
+// Must mock config/db before any model is required
+jest.mock('../config/db', () => require('./helpers/sqliteDb'));
+jest.mock('../config/paystack', () => ({
+  paystackClient: { post: jest.fn(), put: jest.fn() }
+}));
+jest.mock('../config/stripe', () => ({
+  stripeClient: { checkout: { sessions: { create: jest.fn() } } }
+}));
+jest.mock('../utils/email', () => ({
+  sendGiftReceivedEmail: jest.fn().mockResolvedValue(true),
+  sendPurchaseConfirmationEmail: jest.fn().mockResolvedValue(true),
+  sendSaleNotificationEmail: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../services/idempotencyService', () => ({
+  idempotencyService: {
+    checkAndStore: jest.fn().mockResolvedValue({ isNew: true }),
+    storeResult: jest.fn().mockResolvedValue(true)
+  }
+}));
+
+const { paystackClient } = require('../config/paystack');
+const { sendGiftReceivedEmail } = require('../utils/email');
+const giftService = require('../services/giftService');
+const WebhookSecurityService = require('../services/webhookSecurityService');
+const webhookController = require('../controllers/webhookController');
+const Gift = require('../models/Gift');
+const { Order } = require('../models/orderIndex');
+const {
+  User,
+  Purchase,
+  FeeSchedule
+} = require('../models/walletIndex');
+
+const CREATOR_ID = 1;
+const PAYER_ID = 2;
+const RECIPIENT_ID = 3;
+
+const VIDEO_ID = 'a0000000-0000-4000-8000-000000000001';
+const FREE_VIDEO_ID = 'b0000000-0000-4000-8000-000000000002';
+const CONTENT = {
+  [VIDEO_ID]: { id: VIDEO_ID, title: 'Lagos Jazz Masterclass', price: '5000.00', currency: 'NGN', userId: CREATOR_ID },
+  [FREE_VIDEO_ID]: { id: FREE_VIDEO_ID, title: 'Free Sampler', price: '0.00', currency: 'NGN', userId: CREATOR_ID }
+};
+
+const routing = giftService.paymentRoutingService;
+let keyCounter = 0;
+
+function giftRequest(overrides = {}) {
+  keyCounter += 1;
+  return {
+    userId: PAYER_ID,
+    userEmail: 'gift-payer@example.com',
+    contentType: 'video',
+    contentId: VIDEO_ID,
+    recipient: { email: 'Gift-Recipient@example.com', name: 'Chidi', message: 'Happy birthday!' },
+    idempotencyKey: `00000000-0000-4000-9000-${String(keyCounter).padStart(12, '0')}`,
+    ...overrides
+  };
+}
+
+function paystackEvent(event, data) {
+  const res = { status: jest.fn().mockReturnThis(), send: jest.fn(), json: jest.fn() };
+  return webhookController.handlePaystackWebhook({ ip: '127.0.0.1', headers: {}, body: { event, data } }, res)
+    .then(() => res);
+}
+
+async function buyGift() {
+  const { gift } = await giftService.initializeGift(giftRequest());
+  const { gift: active } = await giftService.handleGatewayPayment('paystack', {
+    reference: gift.paymentReference,
+    amount: 500000,
+    currency: 'NGN',
+    metadata: { type: 'gift', giftId: gift.id, userId: String(PAYER_ID), contentType: 'video', contentId: VIDEO_ID }
+  });
+  return active;
+}
+
+describe('Gift Service', () => {
+  beforeAll(async () => {
+    await User.sync();
+    await User.bulkCreate([
+      { id: CREATOR_ID, firstname: 'Femi', lastname: 'Creator', email: 'gift-creator@example.com' },
+      { id: PAYER_ID, firstname: 'Ada', lastname: 'Payer', email: 'gift-payer@example.com' },
+      { id: RECIPIENT_ID, firstname: 'Chidi', lastname: 'Recipient', email: 'gift-recipient@example.com' }
+    ]);
+    await FeeSchedule.sync();
+    await Purchase.sync();
+    await Gift.sync();
+    await Order.sync();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(routing, 'getContentDetails').mockImplementation(async (type, id) => CONTENT[id] || null);
+    jest.spyOn(routing, '_resolveReferralCommission').mockResolvedValue(null);
+
+    let counter = 0;
+    paystackClient.post.mockReset();
+    paystackClient.post.mockImplementation(async (path) => {
+      counter += 1;
+      if (path === '/refund') {
+        return { data: { data: { id: 77, status: 'pending' } } };
+      }
+      return { data: { data: { authorization_url: 'https://checkout.paystack.com/gift', access_code: 'gift', reference: `ref_gift_${Date.now()}_${counter}` } } };
+    });
+    sendGiftReceivedEmail.mockClear();
+
+    await Gift.destroy({ where: {} });
+    await Purchase.destroy({ where: {} });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('paying for a gift tags the payment and creates no purchase for the payer', async () => {
+    const { gift, gateway } = await giftService.initializeGift(giftRequest());
+
+    expect(gateway).toBe('paystack');
+    expect(gift).toMatchObject({ status: 'pending', recipientEmail: 'gift-recipient@example.com', contentTitle: 'Lagos Jazz Masterclass' });
+    expect(gift.code).toBeFalsy();
+    expect(gift.paymentReference).toMatch(/^ref_gift_/);
+
+    const [, body] = paystackClient.post.mock.calls[0];
+    expect(body).toMatchObject({ amount: 500000, currency: 'NGN' });
+    expect(body.metadata).toMatchObject({ type: 'gift', giftId: gift.id, userId: String(PAYER_ID) });
+    expect(await Purchase.count()).toBe(0);
+  });
+
+  test('a cleared payment activates a one-time code and emails the recipient once', async () => {
+    const gift = await buyGift();
+
+    expect(gift.status).toBe('active');
+    expect(gift.code).toMatch(/^GIFT-[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+    expect(new Date(gift.expiresAt).getTime()).toBeGreaterThan(Date.now() + 364 * 24 * 60 * 60 * 1000);
+    expect(sendGiftReceivedEmail).toHaveBeenCalledWith(
+      'gift-recipient@example.com', 'Chidi', 'Ada Payer', 'Lagos Jazz Masterclass', 'Happy birthday!', gift.code, gift.expiresAt
+    );
+
+    const replay = await giftService.handleGatewayPayment('paystack', {
+      reference: gift.paymentReference,
+      amount: 500000,
+      currency: 'NGN',
+      metadata: { type: 'gift', giftId: gift.id }
+    });
+    expect(replay.alreadyProcessed).toBe(true);
+    expect(sendGiftReceivedEmail).toHaveBeenCalledTimes(1);
+    expect(await Purchase.count()).toBe(0);
+  });
+
+  test('rejects a payment that does not match the gift amount', async () => {
+    const { gift } = await giftService.initializeGift(giftRequest());
+
+    await expect(giftService.handleGatewayPayment('paystack', {
+      reference: gift.paymentReference,
+      amount: 100000,
+      currency: 'NGN',
+      metadata: { type: 'gift', giftId: gift.id }
+    })).rejects.toMatchObject({ statusCode: 409 });
+
+    expect((await Gift.findByPk(gift.id)).status).toBe('pending');
+  });
+
+  test('redeeming creates the purchase under the recipient and pays the creator', async () => {
+    const gift = await buyGift();
+    // processSuccessfulPayment credits wallets in their own transaction, which sqlite can't nest
+    const creditWallet = jest.spyOn(routing.walletService, 'creditWallet').mockResolvedValue({});
+
+    await expect(giftService.redeemGift(PAYER_ID, gift.code))
+      .rejects.toThrow('You cannot redeem a gift you sent');
+
+    const { purchase } = await giftService.redeemGift(RECIPIENT_ID, gift.code.toLowerCase());
+
+    expect(purchase).toMatchObject({
+      userId: RECIPIENT_ID,
+      contentType: 'video',
+      contentId: VIDEO_ID,
+      paymentReference: gift.paymentReference,
+      creatorId: CREATOR_ID,
+      paymentStatus: 'completed'
+    });
+
+    await gift.reload();
+    expect(gift).toMatchObject({ status: 'redeemed', redeemedBy: RECIPIENT_ID, purchaseId: purchase.id });
+
+    expect(creditWallet).toHaveBeenCalledWith(expect.objectContaining({
+      userId: CREATOR_ID,
+      currency: 'NGN',
+      amount: 5000,
+      reference: gift.paymentReference
+    }));
+
+    await expect(giftService.redeemGift(RECIPIENT_ID, gift.code))
+      .rejects.toMatchObject({ statusCode: 409, message: 'This gift has already been redeemed' });
+  });
+
+  test('expired gifts cannot be redeemed but can be refunded to the payer', async () => {
+    const gift = await buyGift();
+    await gift.update({ expiresAt: new Date(Date.now() - 1000) });
+
+    expect(await giftService.expireGifts()).toBe(1);
+    await expect(giftService.redeemGift(RECIPIENT_ID, gift.code))
+      .rejects.toMatchObject({ statusCode: 410 });
+
+    await expect(giftService.refundGift(RECIPIENT_ID, gift.id)).rejects.toMatchObject({ statusCode: 404 });
+
+    const refunded = await giftService.refundGift(PAYER_ID, gift.id);
+    expect(refunded).toMatchObject({ status: 'refunded', gatewayRefundId: 'paystack_refund_77' });
+    expect(paystackClient.post).toHaveBeenCalledWith('/refund', expect.objectContaining({
+      transaction: gift.paymentReference,
+      amount: 500000
+    }));
+
+    await expect(giftService.refundGift(PAYER_ID, gift.id))
+      .rejects.toThrow('A refunded gift cannot be refunded');
+  });
+
+  test('a refund or chargeback at the gateway revokes an unredeemed gift', async () => {
+    jest.spyOn(WebhookSecurityService.prototype, 'validateWebhook').mockResolvedValue({ valid: true });
+    const refunded = await buyGift();
+
+    const res = await paystackEvent('refund.processed', { id: 88, transaction_reference: refunded.paymentReference, amount: 500000 });
+    expect(res.status).toHaveBeenCalledWith(200);
+
+    await refunded.reload();
+    expect(refunded).toMatchObject({ status: 'refunded', gatewayRefundId: 'paystack_refund_88' });
+    await expect(giftService.redeemGift(RECIPIENT_ID, refunded.code))
+      .rejects.toMatchObject({ statusCode: 410 });
+
+    const disputed = await buyGift();
+    const dispute = { id: 91, transaction: { reference: disputed.paymentReference } };
+    await paystackEvent('charge.dispute.create', dispute);
+
+    await disputed.reload();
+    expect(disputed).toMatchObject({ status: 'refunded', gatewayRefundId: 'paystack_dispute_91' });
+
+    // Declined means the merchant won: the recipient gets the gift back
+    await paystackEvent('charge.dispute.resolve', { ...dispute, resolution: 'declined' });
+
+    await disputed.reload();
+    expect(disputed).toMatchObject({ status: 'active', gatewayRefundId: null });
+    expect(await Purchase.count()).toBe(0);
+  });
+
+  test('validates the recipient and the content', async () => {
+    await expect(giftService.initializeGift(giftRequest({ recipient: { email: 'GIFT-PAYER@example.com' } })))
+      .rejects.toThrow('You cannot send a gift to yourself');
+    await expect(giftService.initializeGift(giftRequest({ recipient: { email: 'not-an-email' } })))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(giftService.initializeGift(giftRequest({ contentType: 'freebie' })))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(giftService.initializeGift(giftRequest({ contentId: FREE_VIDEO_ID })))
+      .rejects.toThrow('Free content cannot be gifted');
+
+    await Purchase.create({
+      userId: RECIPIENT_ID,
+      contentType: 'video',
+      contentId: VIDEO_ID,
+      amount: 5000,
+      currency: 'NGN',
+      paymentGateway: 'paystack',
+      paymentReference: 'ref_recipient_owns',
+      paymentStatus: 'completed'
+    });
+    await expect(giftService.initializeGift(giftRequest()))
+      .rejects.toMatchObject({ statusCode: 409, message: 'The recipient already has access to this content' });
+
+    expect(paystackClient.post).not.toHaveBeenCalled();
+    expect(await Gift.count()).toBe(0);
+  });
+});
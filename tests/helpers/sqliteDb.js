@@ -0,0 +1,6 @@
+// In-memory stand-in for config/db. Use it as a jest.mock factory, which is
+// hoisted above the test file's requires:
+//   jest.mock('../config/db', () => require('./helpers/sqliteDb'));
+const { Sequelize } = require('sequelize');
+
+module.exports = new Sequelize('sqlite::memory:', { logging: false });
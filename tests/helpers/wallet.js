@@ -0,0 +1,29 @@
+// Wallet fixtures shared by the service tests. Require after mocking config/db.
+const { WalletAccount, LedgerEntry } = require('../../models/walletIndex');
+
+async function setBalance(userId, currency, amount) {
+  const [wallet] = await WalletAccount.findOrCreate({
+    where: { user_id: userId, currency },
+    defaults: { user_id: userId, currency }
+  });
+  await wallet.update({ balance_available: Math.round(amount * 100), balance_pending: 0 });
+}
+
+async function getBalances(userId, currency = 'NGN') {
+  const wallet = await WalletAccount.findOne({ where: { user_id: userId, currency } });
+  return wallet
+    ? { available: parseInt(wallet.balance_available) / 100, pending: parseInt(wallet.balance_pending) / 100 }
+    : { available: 0, pending: 0 };
+}
+
+async function getBalance(userId, currency = 'NGN') {
+  return (await getBalances(userId, currency)).available;
+}
+
+// Net credit balance of a ledger account, in minor units
+async function ledgerBalance(accountCode) {
+  const entries = await LedgerEntry.findAll({ where: { accountCode } });
+  return entries.reduce((sum, entry) => sum + (entry.direction === 'credit' ? 1 : -1) * parseInt(entry.amount), 0);
+}
+
+module.exports = { setBalance, getBalances, getBalance, ledgerBalance };
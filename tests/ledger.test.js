@@ -0,0 +1,229 @@
+// Must mock config/db before any model is required
+jest.mock('../config/db', () => require('./helpers/sqliteDb'));
+
+const ledgerService = require('../services/ledgerService');
+const databaseTransactionService = require('../services/databaseTransactionService');
+const MultiCurrencyWalletService = require('../services/multiCurrencyWalletService');
+const { lockAmountForWithdrawal, releaseLockedAmount, completeWithdrawal } = require('../services/walletService');
+const { User, WalletAccount, WalletTransaction, LedgerJournal, LedgerEntry } = require('../models/walletIndex');
+
+const CREATOR_ID = 1;
+const PARTNER_ID = 2;
+
+const walletService = new MultiCurrencyWalletService();
+
+async function entriesFor(reference) {
+  const journal = await LedgerJournal.findOne({
+    where: { reference },
+    include: [{ model: LedgerEntry, as: 'entries' }]
+  });
+  return journal.entries.map(entry => ({
+    accountCode: entry.accountCode,
+    direction: entry.direction,
+    amount: parseInt(entry.amount)
+  }));
+}
+
+function net(entries) {
+  return entries.reduce((sum, entry) => sum + (entry.direction === 'credit' ? entry.amount : -entry.amount), 0);
+}
+
+describe('Ledger Service', () => {
+  beforeAll(async () => {
+    await User.sync();
+    await User.bulkCreate([
+      { id: CREATOR_ID, firstname: 'Femi', lastname: 'Creator', email: 'ledger-creator@example.com' },
+      { id: PARTNER_ID, firstname: 'Bisi', lastname: 'Partner', email: 'ledger-partner@example.com' }
+    ]);
+    await WalletAccount.sync();
+    await WalletTransaction.sync();
+    await LedgerJournal.sync();
+    await LedgerEntry.sync();
+  });
+
+  beforeEach(async () => {
+    await LedgerEntry.destroy({ where: {} });
+    await LedgerJournal.destroy({ where: {} });
+    await WalletTransaction.destroy({ where: {} });
+    await WalletAccount.destroy({ where: {} });
+  });
+
+  test('earnings credit the wallet against gateway clearing', async () => {
+    await walletService.creditWallet({
+      userId: CREATOR_ID,
+      currency: 'NGN',
+      amount: 5000,
+      reference: 'sale_1',
+      description: 'Earnings from video purchase',
+      metadata: { contentType: 'video', gateway: 'paystack', purchaseId: 7 }
+    });
+
+    const entries = await entriesFor('sale_1');
+    const wallet = await WalletAccount.findOne({ where: { user_id: CREATOR_ID, currency: 'NGN' } });
+
+    expect(entries).toEqual(expect.arrayContaining([
+      { accountCode: `wallet:${wallet.id}:available`, direction: 'credit', amount: 500000 },
+      { accountCode: 'gateway_clearing:paystack:NGN', direction: 'debit', amount: 500000 }
+    ]));
+    expect(net(entries)).toBe(0);
+    expect((await LedgerJournal.findOne({ where: { reference: 'sale_1' } })).entryType).toBe('earning');
+  });
+
+  test('commissions and unclassified credits use their own entry types', async () => {
+    await walletService.creditWallet({
+      userId: PARTNER_ID,
+      currency: 'USD',
+      amount: 3,
+      reference: 'REFERRAL-9',
+      description: 'Referral commission',
+      metadata: { purchaseId: 9 },
+      ledger: { entryType: 'commission' }
+    });
+    await walletService.creditWallet({
+      userId: PARTNER_ID,
+      currency: 'USD',
+      amount: 1,
+      reference: 'admin_credit_1',
+      description: 'Wallet credit'
+    });
+
+    expect(await entriesFor('REFERRAL-9')).toEqual(expect.arrayContaining([
+      { accountCode: 'gateway_clearing:stripe:USD', direction: 'debit', amount: 300 }
+    ]));
+    expect(await entriesFor('admin_credit_1')).toEqual(expect.arrayContaining([
+      { accountCode: 'platform_adjustments:USD', direction: 'debit', amount: 100 }
+    ]));
+  });
+
+  test('withdrawals move funds through escrow and split the platform fee', async () => {
+    await walletService.creditWallet({
+      userId: CREATOR_ID,
+      currency: 'NGN',
+      amount: 10000,
+      reference: 'topup_1',
+      description: 'Wallet top-up',
+      metadata: { type: 'topup', gateway: 'paystack' }
+    });
+
+    await lockAmountForWithdrawal(CREATOR_ID, 5000, 'NGN');
+    await completeWithdrawal(CREATOR_ID, 5000, 'NGN', { payoutId: 'p1', gateway: 'paystack', platformFee: 500 });
+
+    const wallet = await WalletAccount.findOne({ where: { user_id: CREATOR_ID, currency: 'NGN' } });
+    const lock = await LedgerJournal.findOne({ where: { entryType: 'withdrawal_lock' } });
+    const complete = await LedgerJournal.findOne({ where: { entryType: 'withdrawal' } });
+
+    expect(await entriesFor(lock.reference)).toEqual(expect.arrayContaining([
+      { accountCode: `wallet:${wallet.id}:available`, direction: 'debit', amount: 500000 },
+      { accountCode: `wallet:${wallet.id}:escrow`, direction: 'credit', amount: 500000 }
+    ]));
+
+    const completeEntries = await entriesFor(complete.reference);
+    expect(completeEntries).toEqual(expect.arrayContaining([
+      { accountCode: `wallet:${wallet.id}:escrow`, direction: 'debit', amount: 500000 },
+      { accountCode: 'platform_fee:NGN', direction: 'credit', amount: 50000 },
+      { accountCode: 'gateway_clearing:paystack:NGN', direction: 'credit', amount: 450000 }
+    ]));
+    expect(net(completeEntries)).toBe(0);
+
+    const accounts = await ledgerService.getAccountBalances({ currency: 'NGN' });
+    expect(accounts.find(account => account.accountCode === 'platform_fee:NGN').balance).toBe(500);
+  });
+
+  test('reconciliation matches balances rebuilt from the journal', async () => {
+    await walletService.creditWallet({
+      userId: CREATOR_ID,
+      currency: 'NGN',
+      amount: 2000,
+      reference: 'sale_2',
+      description: 'Earnings',
+      metadata: { contentType: 'video' }
+    });
+    await lockAmountForWithdrawal(CREATOR_ID, 1500, 'NGN');
+    await releaseLockedAmount(CREATOR_ID, 500, 'NGN');
+    await walletService.debitWallet({
+      userId: CREATOR_ID,
+      currency: 'NGN',
+      amount: 100,
+      reference: 'quiz_1',
+      description: 'Transfer to quiz wallet',
+      metadata: { type: 'quiz_purchase' }
+    });
+
+    const report = await ledgerService.reconcileWallets({ includeBalanced: true });
+
+    expect(report.discrepancyCount).toBe(0);
+    expect(report.unbalancedJournals).toEqual([]);
+    expect(report.wallets[0]).toMatchObject({
+      status: 'balanced',
+      walletBalance: { available: 900, pending: 1000 },
+      ledgerBalance: { available: 900, pending: 1000 }
+    });
+  });
+
+  test('reconciliation reports wallets changed outside the ledger', async () => {
+    await walletService.creditWallet({
+      userId: CREATOR_ID,
+      currency: 'USD',
+      amount: 50,
+      reference: 'sale_3',
+      description: 'Earnings',
+      metadata: { contentType: 'video' }
+    });
+    await walletService.creditWallet({
+      userId: PARTNER_ID,
+      currency: 'USD',
+      amount: 10,
+      reference: 'sale_4',
+      description: 'Earnings',
+      metadata: { contentType: 'video' }
+    });
+
+    // A direct column update bypasses databaseTransactionService
+    const wallet = await WalletAccount.findOne({ where: { user_id: CREATOR_ID, currency: 'USD' } });
+    await wallet.update({ balance_available: 7000 });
+
+    const report = await ledgerService.reconcileWallets({ currency: 'USD' });
+
+    expect(report.walletsChecked).toBe(2);
+    expect(report.discrepancyCount).toBe(1);
+    expect(report.wallets).toHaveLength(1);
+    expect(report.wallets[0]).toMatchObject({
+      walletAccountId: wallet.id,
+      userId: CREATOR_ID,
+      status: 'discrepancy',
+      difference: { available: 20, pending: 0 }
+    });
+    expect(report.totalsByCurrency.USD.difference).toBe(20);
+  });
+
+  test('registers the ledger models itself instead of skipping the journal', () => {
+    jest.isolateModules(() => {
+      const sequelize = require('../config/db');
+      require('../services/ledgerService');
+      expect(sequelize.models.LedgerJournal).toBeDefined();
+      expect(sequelize.models.LedgerEntry).toBeDefined();
+    });
+  });
+
+  test('rejects unbalanced journals and rolls back the balance change', async () => {
+    await expect(databaseTransactionService.executeWithTransaction(transaction =>
+      ledgerService.postJournal({
+        entryType: 'adjustment',
+        lines: [{ accountCode: 'platform_fee:NGN', accountType: 'platform_fee', currency: 'NGN', amount: 100 }]
+      }, transaction)
+    )).rejects.toThrow('Ledger journal does not balance in NGN');
+
+    jest.spyOn(ledgerService, 'postJournal').mockRejectedValueOnce(new Error('ledger unavailable'));
+
+    await expect(walletService.creditWallet({
+      userId: CREATOR_ID,
+      currency: 'NGN',
+      amount: 100,
+      reference: 'sale_5',
+      description: 'Earnings'
+    })).rejects.toThrow('ledger unavailable');
+
+    const wallet = await WalletAccount.findOne({ where: { user_id: CREATOR_ID, currency: 'NGN' } });
+    expect(wallet ? parseInt(wallet.balance_available) : 0).toBe(0);
+  });
+});
@@ -0,0 +1,166 @@
+// Must mock config/db before any model is required
+jest.mock('../config/db', () => require('./helpers/sqliteDb'));
+jest.mock('../services/walletService', () => ({
+  releaseLockedAmount: jest.fn().mockResolvedValue({}),
+  completeWithdrawal: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../services/payoutService', () => ({
+  processPaystackPayout: jest.fn(),
+  processStripePayout: jest.fn()
+}));
+
+const manualReviewService = require('../services/manualReviewService');
+const { ManualReviewItem, ManualReviewDecision } = require('../models/fraudIndex');
+const Payout = require('../models/Payout');
+const User = require('../models/User');
+const walletService = require('../services/walletService');
+const payoutService = require('../services/payoutService');
+
+const ADMIN_ID = 10;
+const CREATOR_ID = 20;
+
+async function createPendingPayout() {
+  return Payout.create({
+    userId: CREATOR_ID,
+    amount: 50000,
+    platformFee: 5000,
+    gatewayFee: 0,
+    netAmount: 45000,
+    currency: 'NGN',
+    paymentGateway: 'paystack',
+    bankName: 'Test Bank',
+    accountNumber: '0123456789',
+    accountName: 'Test Creator',
+    status: 'pending'
+  });
+}
+
+describe('Manual Review Service', () => {
+  beforeAll(async () => {
+    await User.sync();
+    await User.bulkCreate([
+      { id: ADMIN_ID, firstname: 'Ada', lastname: 'Admin', email: 'review-admin@example.com', role: 'admin' },
+      { id: CREATOR_ID, firstname: 'Cee', lastname: 'Creator', email: 'review-creator@example.com' }
+    ]);
+    await Payout.sync();
+    await ManualReviewItem.sync();
+    await ManualReviewDecision.sync();
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await ManualReviewDecision.destroy({ where: {} });
+    await ManualReviewItem.destroy({ where: {} });
+    await Payout.destroy({ where: {} });
+  });
+
+  test('should persist queued items and auto-assign an admin reviewer', async () => {
+    const result = await manualReviewService.addToQueue({
+      payoutId: (await createPendingPayout()).id,
+      userId: CREATOR_ID,
+      type: 'fraud_detection',
+      priority: 'high',
+      data: { amount: 50000, otp: '123456' }
+    });
+
+    expect(result.success).toBe(true);
+
+    const item = await manualReviewService.getReviewItem(result.reviewId);
+    expect(item.status).toBe('in_review');
+    expect(item.priority).toBe('high');
+    expect(item.assignedReviewer).toBe(ADMIN_ID);
+    expect(item.data.otp).toBe('[REDACTED]');
+    expect(item.metadata.slaDeadline).toBe(result.slaDeadline);
+    expect(await manualReviewService.getReviewerWorkload(ADMIN_ID)).toBe(1);
+  });
+
+  test('should cancel the withdrawal and release funds on reject', async () => {
+    const payout = await createPendingPayout();
+    const { reviewId } = await manualReviewService.addToQueue({
+      payoutId: payout.id,
+      userId: CREATOR_ID,
+      type: 'fraud_detection'
+    });
+
+    const result = await manualReviewService.submitDecision(reviewId, {
+      reviewerId: ADMIN_ID,
+      action: 'reject',
+      notes: 'Mismatched account name'
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.withdrawal.status).toBe('cancelled');
+    expect(walletService.releaseLockedAmount).toHaveBeenCalledWith(CREATOR_ID, 50000, 'NGN');
+    expect((await payout.reload()).status).toBe('failed');
+
+    const stats = await manualReviewService.getReviewerStats(ADMIN_ID);
+    expect(stats.totalReviews).toBe(1);
+    expect(stats.rejected).toBe(1);
+  });
+
+  test('should release the withdrawal for transfer on approve', async () => {
+    const payout = await createPendingPayout();
+    payoutService.processPaystackPayout.mockResolvedValue({ payout: { status: 'processing' } });
+
+    const { reviewId } = await manualReviewService.addToQueue({
+      payoutId: payout.id,
+      userId: CREATOR_ID,
+      type: 'fraud_detection'
+    });
+
+    const result = await manualReviewService.submitDecision(reviewId, {
+      reviewerId: ADMIN_ID,
+      action: 'approve'
+    });
+
+    expect(result.finalStatus).toBe('approved');
+    expect(payoutService.processPaystackPayout).toHaveBeenCalledWith(payout.id);
+    expect(walletService.completeWithdrawal).toHaveBeenCalledWith(CREATOR_ID, 50000, 'NGN', expect.objectContaining({
+      gateway: 'paystack'
+    }));
+    expect(walletService.releaseLockedAmount).not.toHaveBeenCalled();
+  });
+
+  test('should reject decisions from a reviewer the item is not assigned to', async () => {
+    const { reviewId } = await manualReviewService.addToQueue({
+      payoutId: (await createPendingPayout()).id,
+      userId: CREATOR_ID,
+      type: 'fraud_detection'
+    });
+
+    const result = await manualReviewService.submitDecision(reviewId, {
+      reviewerId: 999,
+      action: 'approve'
+    });
+
+    expect(result.success).toBe(false);
+    expect(payoutService.processPaystackPayout).not.toHaveBeenCalled();
+  });
+
+  test('should escalate overdue items from their persisted escalation time', async () => {
+    const { reviewId } = await manualReviewService.addToQueue({
+      payoutId: (await createPendingPayout()).id,
+      userId: CREATOR_ID,
+      type: 'fraud_detection',
+      priority: 'medium'
+    });
+
+    await ManualReviewItem.update(
+      { escalationTime: new Date(Date.now() - 60000), slaDeadline: new Date(Date.now() - 60000) },
+      { where: { id: reviewId } }
+    );
+
+    await manualReviewService.checkForEscalations();
+    await manualReviewService.checkSLAViolations();
+
+    const item = await manualReviewService.getReviewItem(reviewId);
+    expect(item.escalated).toBe(true);
+    expect(item.priority).toBe('high');
+    expect(item.escalationHistory[0].escalatedBy).toBe('system');
+    expect(item.metadata.slaViolated).toBe(true);
+  });
+
+  test('should return null for unknown review IDs', async () => {
+    expect(await manualReviewService.getReviewItem('review_123_abc')).toBeNull();
+  });
+});
@@ -0,0 +1,303 @@
+// Must mock config/db before any model is required
+jest.mock('../config/db', () => require('./helpers/sqliteDb'));
+jest.mock('../config/paystack', () => ({
+  paystackClient: { post: jest.fn(), put: jest.fn() }
+}));
+jest.mock('../config/stripe', () => ({
+  stripeClient: {
+    products: { create: jest.fn(), update: jest.fn() },
+    prices: { create: jest.fn() },
+    checkout: { sessions: { create: jest.fn() } },
+    subscriptions: { update: jest.fn() }
+  }
+}));
+jest.mock('../utils/email', () => ({
+  sendPurchaseConfirmationEmail: jest.fn().mockResolvedValue(true),
+  sendSaleNotificationEmail: jest.fn().mockResolvedValue(true)
+}));
+
+const { paystackClient } = require('../config/paystack');
+const { stripeClient } = require('../config/stripe');
+const membershipService = require('../services/membershipService');
+const { MembershipPlan, Membership } = require('../models/membershipIndex');
+const { User, WalletAccount, WalletTransaction, LedgerJournal, LedgerEntry, Purchase, FeeSchedule } = require('../models/walletIndex');
+const Transaction = require('../models/Transaction');
+const { getBalance } = require('./helpers/wallet');
+
+const CREATOR_ID = 1;
+const MEMBER_ID = 2;
+
+async function createPaystackPlan(overrides = {}) {
+  paystackClient.post.mockResolvedValueOnce({ data: { data: { plan_code: 'PLN_test' } } });
+  return membershipService.createPlan(CREATOR_ID, {
+    name: 'Inner Circle',
+    interval: 'monthly',
+    price: 5000,
+    currency: 'NGN',
+    ...overrides
+  });
+}
+
+describe('Membership Service', () => {
+  beforeAll(async () => {
+    await User.sync();
+    await User.bulkCreate([
+      { id: CREATOR_ID, firstname: 'Ada', lastname: 'Creator', email: 'member-creator@example.com' },
+      { id: MEMBER_ID, firstname: 'Tunde', lastname: 'Member', email: 'member-user@example.com' }
+    ]);
+    await WalletAccount.sync();
+    await WalletTransaction.sync();
+    await LedgerJournal.sync();
+    await LedgerEntry.sync();
+    await Purchase.sync();
+    await FeeSchedule.sync();
+    await Transaction.sync();
+    await MembershipPlan.sync();
+    await Membership.sync();
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await Membership.destroy({ where: {} });
+    await MembershipPlan.destroy({ where: {} });
+    await Purchase.destroy({ where: {} });
+    await WalletTransaction.destroy({ where: {} });
+    await WalletAccount.destroy({ where: {} });
+  });
+
+  test('should create a Paystack plan for NGN memberships', async () => {
+    const plan = await createPaystackPlan({ interval: 'yearly' });
+
+    expect(paystackClient.post).toHaveBeenCalledWith('/plan', expect.objectContaining({
+      interval: 'annually',
+      amount: 500000,
+      currency: 'NGN'
+    }));
+    expect(plan.paystackPlanCode).toBe('PLN_test');
+    expect(plan.accessScope).toBe('all');
+  });
+
+  test('should create a Stripe recurring price for USD memberships', async () => {
+    stripeClient.products.create.mockResolvedValueOnce({ id: 'prod_test' });
+    stripeClient.prices.create.mockResolvedValueOnce({ id: 'price_test' });
+
+    const plan = await membershipService.createPlan(CREATOR_ID, {
+      name: 'Pro',
+      interval: 'monthly',
+      price: 12.5,
+      currency: 'usd',
+      accessScope: 'tagged',
+      contentTags: ['Design', ' design ', 'Photography']
+    });
+
+    expect(stripeClient.prices.create).toHaveBeenCalledWith(expect.objectContaining({
+      product: 'prod_test',
+      unit_amount: 1250,
+      recurring: { interval: 'month' }
+    }));
+    expect(plan.stripePriceId).toBe('price_test');
+    expect(plan.contentTags).toEqual(['Design', 'design', 'Photography']);
+  });
+
+  test('should reject tagged plans without tags', async () => {
+    await expect(membershipService.createPlan(CREATOR_ID, {
+      name: 'Tagged',
+      interval: 'monthly',
+      price: 1000,
+      currency: 'NGN',
+      accessScope: 'tagged'
+    })).rejects.toMatchObject({ statusCode: 400 });
+
+    expect(paystackClient.post).not.toHaveBeenCalled();
+  });
+
+  test('should match content by creator and tags', async () => {
+    const allPlan = await createPaystackPlan();
+    const taggedPlan = await createPaystackPlan({ accessScope: 'tagged', contentTags: ['design'] });
+
+    const designVideo = { userId: CREATOR_ID, tags: ['Design'] };
+    const musicClass = { userId: CREATOR_ID, category: 'Music' };
+    const otherCreator = { userId: MEMBER_ID, tags: ['design'] };
+
+    expect(allPlan.coversContent(musicClass)).toBe(true);
+    expect(taggedPlan.coversContent(designVideo)).toBe(true);
+    expect(taggedPlan.coversContent(musicClass)).toBe(false);
+    expect(allPlan.coversContent(otherCreator)).toBe(false);
+  });
+
+  test('should reject price changes on existing plans', async () => {
+    const plan = await createPaystackPlan();
+
+    await expect(membershipService.updatePlan(CREATOR_ID, plan.id, { price: 9000 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(membershipService.updatePlan(MEMBER_ID, plan.id, { name: 'Mine' }))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('should start a Paystack subscription checkout with membership metadata', async () => {
+    const plan = await createPaystackPlan();
+    paystackClient.post.mockResolvedValueOnce({
+      data: { data: { authorization_url: 'https://paystack.test/auth', access_code: 'ac', reference: 'ref_sub' } }
+    });
+
+    const checkout = await membershipService.subscribe(MEMBER_ID, 'member-user@example.com', plan.id);
+
+    expect(checkout.authorizationUrl).toBe('https://paystack.test/auth');
+    expect(checkout.membership.status).toBe('pending');
+    expect(paystackClient.post).toHaveBeenLastCalledWith('/transaction/initialize', expect.objectContaining({
+      plan: 'PLN_test',
+      metadata: expect.objectContaining({ type: 'membership', membershipId: checkout.membership.id })
+    }));
+
+    await expect(membershipService.subscribe(CREATOR_ID, 'member-creator@example.com', plan.id))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('should activate on first charge, credit the creator once and grant access', async () => {
+    const plan = await createPaystackPlan();
+    const membership = await Membership.create({
+      planId: plan.id,
+      userId: MEMBER_ID,
+      creatorId: CREATOR_ID,
+      gateway: 'paystack',
+      amount: 5000,
+      currency: 'NGN'
+    });
+
+    const charge = {
+      reference: 'ref_first',
+      amount: 500000,
+      currency: 'NGN',
+      paid_at: new Date().toISOString(),
+      metadata: { type: 'membership', membershipId: membership.id },
+      plan: { plan_code: 'PLN_test' },
+      customer: { email: 'member-user@example.com', customer_code: 'CUS_1' }
+    };
+
+    await membershipService.handlePaystackCharge(charge);
+    const replay = await membershipService.handlePaystackCharge(charge);
+
+    await membership.reload();
+    expect(replay.alreadyProcessed).toBe(true);
+    expect(membership.status).toBe('active');
+    expect(membership.paystackCustomerCode).toBe('CUS_1');
+    expect(new Date(membership.currentPeriodEnd).getTime()).toBeGreaterThan(Date.now() + 27 * 24 * 60 * 60 * 1000);
+    expect(await getBalance(CREATOR_ID, 'NGN')).toBe(5000);
+    expect(await Purchase.count({ where: { contentType: 'membership' } })).toBe(1);
+
+    const access = await membershipService.findAccessMembership(MEMBER_ID, { userId: CREATOR_ID, tags: [] });
+    expect(access.id).toBe(membership.id);
+  });
+
+  test('should match renewals by plan and customer code without metadata', async () => {
+    const plan = await createPaystackPlan();
+    const membership = await Membership.create({
+      planId: plan.id,
+      userId: MEMBER_ID,
+      creatorId: CREATOR_ID,
+      gateway: 'paystack',
+      amount: 5000,
+      currency: 'NGN',
+      status: 'active',
+      paystackCustomerCode: 'CUS_1',
+      currentPeriodStart: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+      currentPeriodEnd: new Date()
+    });
+
+    await membershipService.handlePaystackSubscriptionCreate({
+      subscription_code: 'SUB_1',
+      email_token: 'tok_1',
+      plan: { plan_code: 'PLN_test' },
+      customer: { customer_code: 'CUS_1' }
+    });
+
+    await membershipService.handlePaystackCharge({
+      reference: 'ref_renewal',
+      amount: 500000,
+      currency: 'NGN',
+      metadata: null,
+      plan: { plan_code: 'PLN_test' },
+      customer: { customer_code: 'CUS_1' }
+    });
+
+    await membership.reload();
+    expect(membership.paystackSubscriptionCode).toBe('SUB_1');
+    expect(new Date(membership.currentPeriodEnd).getTime()).toBeGreaterThan(Date.now());
+    expect(await getBalance(CREATOR_ID, 'NGN')).toBe(5000);
+  });
+
+  test('should keep access after cancellation until the period ends', async () => {
+    const plan = await createPaystackPlan();
+    const membership = await Membership.create({
+      planId: plan.id,
+      userId: MEMBER_ID,
+      creatorId: CREATOR_ID,
+      gateway: 'paystack',
+      amount: 5000,
+      currency: 'NGN',
+      status: 'active',
+      paystackSubscriptionCode: 'SUB_1',
+      paystackEmailToken: 'tok_1',
+      currentPeriodEnd: new Date(Date.now() + 10 * 24 * 60 * 60 * 1000)
+    });
+    paystackClient.post.mockResolvedValueOnce({ data: { status: true } });
+
+    await membershipService.cancel(MEMBER_ID, membership.id);
+    expect(paystackClient.post).toHaveBeenLastCalledWith('/subscription/disable', { code: 'SUB_1', token: 'tok_1' });
+
+    await membershipService.handlePaystackSubscriptionDisable({ subscription_code: 'SUB_1' });
+    await membership.reload();
+
+    expect(membership.status).toBe('cancelled');
+    expect(membership.grantsAccess()).toBe(true);
+
+    await membership.update({ currentPeriodEnd: new Date(Date.now() - 1000) });
+    await membershipService.handlePaystackSubscriptionDisable({ subscription_code: 'SUB_1' });
+    await membership.reload();
+
+    expect(membership.status).toBe('expired');
+    expect(await membershipService.findAccessMembership(MEMBER_ID, { userId: CREATOR_ID })).toBeNull();
+  });
+
+  test('should record Stripe invoices using the invoice period', async () => {
+    stripeClient.products.create.mockResolvedValueOnce({ id: 'prod_test' });
+    stripeClient.prices.create.mockResolvedValueOnce({ id: 'price_test' });
+    const plan = await membershipService.createPlan(CREATOR_ID, {
+      name: 'Pro',
+      interval: 'monthly',
+      price: 10,
+      currency: 'USD'
+    });
+    const membership = await Membership.create({
+      planId: plan.id,
+      userId: MEMBER_ID,
+      creatorId: CREATOR_ID,
+      gateway: 'stripe',
+      amount: 10,
+      currency: 'USD'
+    });
+
+    const start = Math.floor(Date.now() / 1000);
+    const end = start + 31 * 24 * 60 * 60;
+
+    await membershipService.handleStripeInvoicePaid({
+      id: 'in_test',
+      subscription: 'sub_test',
+      customer: 'cus_test',
+      amount_paid: 1000,
+      currency: 'usd',
+      subscription_details: { metadata: { membershipId: membership.id } },
+      lines: { data: [{ period: { start, end } }] }
+    });
+
+    await membership.reload();
+    expect(membership.status).toBe('active');
+    expect(membership.stripeSubscriptionId).toBe('sub_test');
+    expect(new Date(membership.currentPeriodEnd).getTime()).toBe(end * 1000);
+    expect(await getBalance(CREATOR_ID, 'USD')).toBe(10);
+
+    await membershipService.handleStripePaymentFailed({ id: 'in_fail', subscription: 'sub_test' });
+    await membership.reload();
+    expect(membership.status).toBe('past_due');
+  });
+});
@@ -0,0 +1,150 @@
+// Must mock config/db before any model is required
+jest.mock('../config/db', () => require('./helpers/sqliteDb'));
+jest.mock('../config/mux', () => ({
+  jwt: { signPlaybackId: jest.fn() },
+  video: {
+    assets: {
+      createPlaybackId: jest.fn(),
+      deletePlaybackId: jest.fn()
+    }
+  }
+}));
+
+process.env.MUX_SIGNING_KEY_ID = 'signing_key_id';
+process.env.MUX_SIGNING_PRIVATE_KEY = 'c2lnbmluZy1rZXk=';
+
+const mux = require('../config/mux');
+const muxPlaybackService = require('../services/muxPlaybackService');
+const Video = require('../models/Video');
+
+// Video has an ARRAY column sqlite can't create, so videos are plain objects
+function video(overrides = {}) {
+  const attributes = {
+    id: 'a0000000-0000-4000-8000-000000000001',
+    price: '2500.00',
+    pricingMode: 'fixed',
+    privacy: 'public',
+    status: 'ready',
+    muxAssetId: 'asset_1',
+    muxPlaybackId: 'public_playback_1',
+    muxPlaybackPolicy: 'public',
+    durationSeconds: 600,
+    ...overrides
+  };
+  attributes.update = jest.fn(async (values) => Object.assign(attributes, values));
+  return attributes;
+}
+
+describe('Mux signed playback', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mux.jwt.signPlaybackId.mockResolvedValue({
+      'playback-token': 'jwt.video',
+      'thumbnail-token': 'jwt.thumbnail',
+      'storyboard-token': 'jwt.storyboard'
+    });
+    mux.video.assets.createPlaybackId.mockImplementation(async (assetId, { policy }) => ({ id: `${policy}_playback_2`, policy }));
+    mux.video.assets.deletePlaybackId.mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('paid, flexibly priced and private videos need signed playback', () => {
+    expect(muxPlaybackService.policyFor({ price: 0, privacy: 'public' })).toBe('public');
+    expect(muxPlaybackService.policyFor({ price: '0.00', privacy: 'unlisted' })).toBe('public');
+    expect(muxPlaybackService.policyFor({ price: '1500', privacy: 'public' })).toBe('signed');
+    expect(muxPlaybackService.policyFor({ price: 0, pricingMode: 'pay_what_you_want' })).toBe('signed');
+    expect(muxPlaybackService.policyFor({ price: 0, privacy: 'private' })).toBe('signed');
+  });
+
+  test('signed videos get short-lived tokens covering the video length', async () => {
+    const playback = await muxPlaybackService.getPlayback(video({
+      muxPlaybackId: 'signed_1',
+      muxPlaybackPolicy: 'signed',
+      durationSeconds: 5400
+    }));
+
+    expect(mux.jwt.signPlaybackId).toHaveBeenCalledWith('signed_1', {
+      keyId: 'signing_key_id',
+      keySecret: 'c2lnbmluZy1rZXk=',
+      expiration: '6000s',
+      type: ['video', 'thumbnail', 'storyboard']
+    });
+    expect(playback).toMatchObject({
+      policy: 'signed',
+      playbackUrl: 'https://stream.mux.com/signed_1.m3u8?token=jwt.video',
+      thumbnailUrl: 'https://image.mux.com/signed_1/thumbnail.jpg?token=jwt.thumbnail',
+      storyboardUrl: 'https://image.mux.com/signed_1/storyboard.vtt?token=jwt.storyboard'
+    });
+    expect(playback.expiresAt.getTime() - Date.now()).toBeGreaterThan(5990 * 1000);
+
+    // Short videos use the configured TTL
+    expect(muxPlaybackService.tokenTtl({ durationSeconds: 120 })).toBe(3600);
+  });
+
+  test('public videos keep plain URLs and unsigned keys fail closed', async () => {
+    const playback = await muxPlaybackService.getPlayback(video({ price: 0 }));
+
+    expect(playback).toEqual({
+      policy: 'public',
+      playbackUrl: 'https://stream.mux.com/public_playback_1.m3u8',
+      thumbnailUrl: 'https://image.mux.com/public_playback_1/thumbnail.jpg',
+      storyboardUrl: 'https://image.mux.com/public_playback_1/storyboard.vtt',
+      expiresAt: null
+    });
+    expect(mux.jwt.signPlaybackId).not.toHaveBeenCalled();
+    expect(await muxPlaybackService.getPlayback(video({ muxPlaybackId: null }))).toBeNull();
+
+    const { signingKeyId } = muxPlaybackService.config;
+    muxPlaybackService.config.signingKeyId = undefined;
+    try {
+      await expect(muxPlaybackService.getPlayback(video({ muxPlaybackPolicy: 'signed' })))
+        .rejects.toMatchObject({ statusCode: 503 });
+    } finally {
+      muxPlaybackService.config.signingKeyId = signingKeyId;
+    }
+  });
+
+  test('syncPolicy swaps the playback ID when a video becomes paid or free', async () => {
+    const paid = video();
+
+    expect(await muxPlaybackService.syncPolicy(paid)).toEqual({ changed: true, from: 'public', to: 'signed' });
+    expect(mux.video.assets.createPlaybackId).toHaveBeenCalledWith('asset_1', { policy: 'signed' });
+    expect(paid.update).toHaveBeenCalledWith({ muxPlaybackId: 'signed_playback_2', muxPlaybackPolicy: 'signed' });
+    expect(mux.video.assets.deletePlaybackId).toHaveBeenCalledWith('asset_1', 'public_playback_1');
+
+    // Already right, or no asset yet: nothing to do
+    expect((await muxPlaybackService.syncPolicy(paid)).changed).toBe(false);
+    expect((await muxPlaybackService.syncPolicy(video({ muxAssetId: null }))).changed).toBe(false);
+    expect(mux.video.assets.createPlaybackId).toHaveBeenCalledTimes(1);
+
+    // A failed delete keeps the new playback ID
+    mux.video.assets.deletePlaybackId.mockRejectedValueOnce(new Error('Mux unavailable'));
+    const free = video({ price: 0, muxPlaybackId: 'signed_3', muxPlaybackPolicy: 'signed' });
+    expect(await muxPlaybackService.syncPolicy(free)).toEqual({ changed: true, from: 'signed', to: 'public' });
+    expect(free).toMatchObject({ muxPlaybackId: 'public_playback_2', muxPlaybackPolicy: 'public' });
+  });
+
+  test('migrateExisting moves paid and private public assets to signed playback', async () => {
+    const videos = [
+      video({ id: 'paid' }),
+      video({ id: 'free', price: 0 }),
+      video({ id: 'private', price: 0, privacy: 'private', muxAssetId: 'asset_2', muxPlaybackId: 'public_playback_3' })
+    ];
+    jest.spyOn(Video, 'findAll').mockResolvedValue(videos);
+
+    const dryRun = await muxPlaybackService.migrateExisting({ dryRun: true });
+    expect(dryRun).toEqual({ checked: 3, migrated: 0, failed: 0, videoIds: ['paid', 'private'] });
+    expect(mux.video.assets.createPlaybackId).not.toHaveBeenCalled();
+
+    mux.video.assets.createPlaybackId.mockRejectedValueOnce(new Error('asset not found'));
+    const result = await muxPlaybackService.migrateExisting();
+
+    expect(result).toEqual({ checked: 3, migrated: 1, failed: 1, videoIds: ['private'] });
+    expect(videos[0].muxPlaybackPolicy).toBe('public');
+    expect(videos[2]).toMatchObject({ muxPlaybackId: 'signed_playback_2', muxPlaybackPolicy: 'signed' });
+  });
+});
@@ -0,0 +1,344 @@
+// Must mock config/db before any model is required
+jest.mock('../config/db', () => require('./helpers/sqliteDb'));
+jest.mock('../config/paystack', () => ({
+  paystackClient: { post: jest.fn(), put: jest.fn() }
+}));
+jest.mock('../config/stripe', () => ({
+  stripeClient: { checkout: { sessions: { create: jest.fn() } } }
+}));
+jest.mock('../utils/email', () => ({
+  sendPurchaseConfirmationEmail: jest.fn().mockResolvedValue(true),
+  sendSaleNotificationEmail: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../services/idempotencyService', () => {
+  const results = new Map();
+  return {
+    idempotencyService: {
+      checkAndStore: jest.fn(async (key) => {
+        if (results.has(key)) {
+          return { isNew: false, storedResult: results.get(key) };
+        }
+        results.set(key, null);
+        return { isNew: true };
+      }),
+      storeResult: jest.fn(async (key, result) => {
+        results.set(key, result);
+      })
+    }
+  };
+});
+
+const { paystackClient } = require('../config/paystack');
+const { stripeClient } = require('../config/stripe');
+const orderService = require('../services/orderService');
+const WebhookSecurityService = require('../services/webhookSecurityService');
+const webhookController = require('../controllers/webhookController');
+const feeScheduleService = require('../services/feeScheduleService');
+const { CartItem, Order, OrderItem } = require('../models/orderIndex');
+const {
+  User,
+  Purchase,
+  PurchaseRefund,
+  FeeSchedule,
+  WalletAccount,
+  WalletTransaction,
+  LedgerJournal,
+  LedgerEntry
+} = require('../models/walletIndex');
+const Transaction = require('../models/Transaction');
+const { getBalance } = require('./helpers/wallet');
+
+const CREATOR_A = 1;
+const CREATOR_B = 2;
+const BUYER_ID = 3;
+const PARTNER_ID = 4;
+const ADMIN_ID = 5;
+
+const CONTENT = {
+  'a0000000-0000-4000-8000-000000000001': { id: 'a0000000-0000-4000-8000-000000000001', title: 'Lagos Jazz Masterclass', price: '5000.00', currency: 'NGN', userId: CREATOR_A },
+  'b0000000-0000-4000-8000-000000000002': { id: 'b0000000-0000-4000-8000-000000000002', title: 'Intro to Pottery', price: '3000.00', currency: 'NGN', userId: CREATOR_B },
+  'c0000000-0000-4000-8000-000000000003': { id: 'c0000000-0000-4000-8000-000000000003', title: 'Budgeting 101', price: '20.00', currency: 'USD', userId: CREATOR_B },
+  'd0000000-0000-4000-8000-000000000004': { id: 'd0000000-0000-4000-8000-000000000004', title: 'Buyer Vlog', price: '1000.00', currency: 'NGN', userId: BUYER_ID }
+};
+const [JAZZ, POTTERY, BUDGETING, OWN_VIDEO] = Object.keys(CONTENT);
+
+const routing = orderService.paymentRoutingService;
+let keyCounter = 0;
+
+function nextKey() {
+  keyCounter += 1;
+  return `00000000-0000-4000-9000-${String(keyCounter).padStart(12, '0')}`;
+}
+
+function paystackEvent(event, data) {
+  const res = { status: jest.fn().mockReturnThis(), send: jest.fn(), json: jest.fn() };
+  return webhookController.handlePaystackWebhook({ ip: '127.0.0.1', headers: {}, body: { event, data } }, res)
+    .then(() => res);
+}
+
+describe('Order Service', () => {
+  beforeAll(async () => {
+    await User.sync();
+    await User.bulkCreate([
+      { id: CREATOR_A, firstname: 'Femi', lastname: 'Creator', email: 'order-creator-a@example.com' },
+      { id: CREATOR_B, firstname: 'Bola', lastname: 'Creator', email: 'order-creator-b@example.com' },
+      { id: BUYER_ID, firstname: 'Ada', lastname: 'Buyer', email: 'order-buyer@example.com' },
+      { id: PARTNER_ID, firstname: 'Tunde', lastname: 'Partner', email: 'order-partner@example.com' },
+      { id: ADMIN_ID, firstname: 'Grace', lastname: 'Admin', email: 'order-admin@example.com' }
+    ]);
+    await FeeSchedule.sync();
+    await Purchase.sync();
+    await PurchaseRefund.sync();
+    await WalletAccount.sync();
+    await WalletTransaction.sync();
+    await LedgerJournal.sync();
+    await LedgerEntry.sync();
+    await Transaction.sync();
+    await CartItem.sync();
+    await Order.sync();
+    await OrderItem.sync();
+
+    jest.spyOn(feeScheduleService, 'getHighestPartnerCommission').mockResolvedValue(0);
+    await feeScheduleService.createSchedule({ name: 'Video standard', contentType: 'video', percentage: 10 }, ADMIN_ID);
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(routing, 'getContentDetails').mockImplementation(async (type, id) => CONTENT[id] || null);
+    jest.spyOn(routing, '_resolveReferralCommission').mockResolvedValue(null);
+    jest.spyOn(routing.couponService, 'recordCouponUsage').mockResolvedValue(true);
+    jest.spyOn(routing.couponService, 'validateCoupon').mockImplementation(async (code, type, id) => {
+      if (code !== 'JAZZ20' || id !== JAZZ) {
+        return { valid: false, error: 'Coupon is not valid for this content' };
+      }
+      return {
+        valid: true,
+        coupon: { id: 'e0000000-0000-4000-8000-000000000005', code: 'JAZZ20', partnerUserId: PARTNER_ID },
+        originalPrice: 5000,
+        discountAmount: 1000,
+        finalPrice: 4000,
+        partnerCommission: 400,
+        currency: 'NGN'
+      };
+    });
+
+    paystackClient.post.mockReset();
+    stripeClient.checkout.sessions.create.mockReset();
+
+    await CartItem.destroy({ where: {} });
+    await OrderItem.destroy({ where: {} });
+    await Order.destroy({ where: {} });
+    await PurchaseRefund.destroy({ where: {} });
+    await Purchase.destroy({ where: {} });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('checks out items from several creators in one Paystack payment', async () => {
+    await orderService.addItem(BUYER_ID, { contentType: 'video', contentId: JAZZ, couponCode: 'jazz20' });
+    await orderService.addItem(BUYER_ID, { contentType: 'video', contentId: POTTERY });
+
+    const cart = await orderService.getCart(BUYER_ID);
+    expect(cart).toMatchObject({ currency: 'NGN', subtotal: 8000, discountTotal: 1000, total: 7000 });
+
+    paystackClient.post.mockImplementation(async (path, body) => ({
+      data: { data: { authorization_url: 'https://checkout.paystack.com/abc', access_code: 'abc', reference: body.reference } }
+    }));
+
+    const { order, payment, freeAccess } = await orderService.checkout({
+      userId: BUYER_ID,
+      userEmail: 'order-buyer@example.com',
+      idempotencyKey: nextKey()
+    });
+
+    expect(freeAccess).toBe(false);
+    expect(paystackClient.post).toHaveBeenCalledTimes(1);
+    const [, body] = paystackClient.post.mock.calls[0];
+    expect(body).toMatchObject({ amount: 700000, currency: 'NGN', reference: order.reference });
+    expect(body.metadata).toMatchObject({ type: 'order', orderId: order.id });
+
+    expect(order).toMatchObject({ status: 'pending', paymentGateway: 'paystack', gatewayReference: order.reference });
+    expect(payment.authorizationUrl).toBe('https://checkout.paystack.com/abc');
+    expect(order.items.map(item => [item.position, item.title, parseFloat(item.amount)])).toEqual([
+      [1, 'Lagos Jazz Masterclass', 4000],
+      [2, 'Intro to Pottery', 3000]
+    ]);
+  });
+
+  test('a verified payment fans out into purchases, earnings and commissions once', async () => {
+    await orderService.addItem(BUYER_ID, { contentType: 'video', contentId: JAZZ, couponCode: 'JAZZ20' });
+    await orderService.addItem(BUYER_ID, { contentType: 'video', contentId: POTTERY });
+    paystackClient.post.mockImplementation(async (path, body) => ({
+      data: { data: { authorization_url: 'https://checkout.paystack.com/abc', access_code: 'abc', reference: body.reference } }
+    }));
+
+    const { order } = await orderService.checkout({ userId: BUYER_ID, userEmail: 'order-buyer@example.com', idempotencyKey: nextKey() });
+
+    const charge = { reference: order.reference, amount: 700000, currency: 'NGN', metadata: { type: 'order', orderId: order.id } };
+    const result = await orderService.handleGatewayPayment('paystack', charge);
+
+    expect(result.alreadyProcessed).toBe(false);
+    expect(result.order.status).toBe('paid');
+
+    const purchases = await Purchase.findAll({ where: { orderId: order.id }, order: [['paymentReference', 'ASC']] });
+    expect(purchases.map(purchase => [purchase.paymentReference, parseFloat(purchase.amount), purchase.creatorId])).toEqual([
+      [`${order.reference}-1`, 4000, CREATOR_A],
+      [`${order.reference}-2`, 3000, CREATOR_B]
+    ]);
+    expect(parseFloat(purchases[0].platformFee)).toBe(400);
+    expect(routing.couponService.recordCouponUsage).toHaveBeenCalledTimes(1);
+
+    // 4000 - 10% fee - 400 partner commission; 3000 - 10% fee
+    expect(await getBalance(CREATOR_A, 'NGN')).toBe(3200);
+    expect(await getBalance(CREATOR_B, 'NGN')).toBe(2700);
+    expect(await getBalance(PARTNER_ID, 'NGN')).toBe(400);
+    expect(await WalletTransaction.findOne({ where: { reference: `PARTNER-${order.reference}-1` } })).not.toBeNull();
+
+    expect(await CartItem.count({ where: { userId: BUYER_ID } })).toBe(0);
+    expect(await Transaction.count({ where: { referenceType: 'order', referenceId: order.id } })).toBe(1);
+
+    const replay = await orderService.handleGatewayPayment('paystack', charge);
+    expect(replay.alreadyProcessed).toBe(true);
+    expect(await Purchase.count({ where: { orderId: order.id } })).toBe(2);
+    expect(await getBalance(CREATOR_A, 'NGN')).toBe(3200);
+  });
+
+  test('a gateway refund of the whole charge is spread over the order\'s purchases', async () => {
+    jest.spyOn(WebhookSecurityService.prototype, 'validateWebhook').mockResolvedValue({ valid: true });
+    await orderService.addItem(BUYER_ID, { contentType: 'video', contentId: JAZZ });
+    await orderService.addItem(BUYER_ID, { contentType: 'video', contentId: POTTERY });
+    paystackClient.post.mockImplementation(async (path, body) => ({
+      data: { data: { authorization_url: 'https://checkout.paystack.com/r', access_code: 'r', reference: body.reference } }
+    }));
+
+    const { order } = await orderService.checkout({ userId: BUYER_ID, userEmail: 'order-buyer@example.com', idempotencyKey: nextKey() });
+    const before = [await getBalance(CREATOR_A, 'NGN'), await getBalance(CREATOR_B, 'NGN')];
+    const earned = async () => [
+      await getBalance(CREATOR_A, 'NGN') - before[0],
+      await getBalance(CREATOR_B, 'NGN') - before[1]
+    ];
+    await orderService.handleGatewayPayment('paystack', {
+      reference: order.reference,
+      amount: 800000,
+      currency: 'NGN',
+      metadata: { type: 'order', orderId: order.id }
+    });
+    expect(await earned()).toEqual([4500, 2700]);
+
+    // Half of the 8000 charge, refunded from the Paystack dashboard
+    const halfRefund = { id: 555, transaction_reference: order.reference, amount: 400000 };
+    const res = await paystackEvent('refund.processed', halfRefund);
+    await paystackEvent('refund.processed', halfRefund);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const purchases = await Purchase.findAll({ where: { orderId: order.id }, order: [['paymentReference', 'ASC']] });
+    expect(purchases.map(purchase => [parseFloat(purchase.refundedAmount), purchase.paymentStatus])).toEqual([
+      [2500, 'completed'],
+      [1500, 'completed']
+    ]);
+    expect(await PurchaseRefund.count()).toBe(2);
+    expect(await earned()).toEqual([2250, 1350]);
+
+    await paystackEvent('refund.processed', { id: 556, transaction_reference: order.reference, amount: 400000 });
+
+    await Promise.all(purchases.map(purchase => purchase.reload()));
+    expect(purchases.map(purchase => purchase.paymentStatus)).toEqual(['refunded', 'refunded']);
+    expect(await earned()).toEqual([0, 0]);
+  });
+
+  test('an underpaid order is marked failed without purchases', async () => {
+    await orderService.addItem(BUYER_ID, { contentType: 'video', contentId: POTTERY });
+    paystackClient.post.mockImplementation(async (path, body) => ({
+      data: { data: { authorization_url: 'https://checkout.paystack.com/x', access_code: 'x', reference: body.reference } }
+    }));
+
+    const { order } = await orderService.checkout({ userId: BUYER_ID, userEmail: 'order-buyer@example.com', idempotencyKey: nextKey() });
+    const result = await orderService.handleGatewayPayment('paystack', {
+      reference: order.reference,
+      amount: 100000,
+      currency: 'NGN',
+      metadata: { type: 'order', orderId: order.id }
+    });
+
+    expect(result.order.status).toBe('failed');
+    expect(result.order.failureReason).toContain('order total is 3000');
+    expect(await Purchase.count({ where: { orderId: order.id } })).toBe(0);
+    expect(await CartItem.count({ where: { userId: BUYER_ID } })).toBe(1);
+  });
+
+  test('mixed-currency carts need a checkout currency; USD goes to one Stripe session', async () => {
+    await orderService.addItem(BUYER_ID, { contentType: 'video', contentId: POTTERY });
+    await orderService.addItem(BUYER_ID, { contentType: 'video', contentId: BUDGETING });
+
+    await expect(orderService.checkout({ userId: BUYER_ID, userEmail: 'order-buyer@example.com', idempotencyKey: nextKey() }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Cart items are priced in different currencies; choose a checkout currency' });
+
+    await orderService.removeItem(BUYER_ID, (await CartItem.findOne({ where: { contentId: POTTERY } })).id);
+    stripeClient.checkout.sessions.create.mockResolvedValue({ id: 'cs_order_1', url: 'https://checkout.stripe.com/cs_order_1' });
+
+    const { order, payment } = await orderService.checkout({ userId: BUYER_ID, userEmail: 'order-buyer@example.com', idempotencyKey: nextKey() });
+
+    expect(payment).toMatchObject({ gateway: 'stripe', sessionId: 'cs_order_1' });
+    expect(order).toMatchObject({ currency: 'USD', gatewayReference: 'cs_order_1' });
+    const session = stripeClient.checkout.sessions.create.mock.calls[0][0];
+    expect(session.line_items).toHaveLength(1);
+    expect(session.line_items[0].price_data.unit_amount).toBe(2000);
+    expect(session.metadata).toMatchObject({ type: 'order', orderId: order.id });
+
+    const result = await orderService.handleGatewayPayment('stripe', {
+      id: 'cs_order_1',
+      amount_total: 2000,
+      currency: 'usd',
+      metadata: { type: 'order', orderId: order.id }
+    });
+    expect(result.purchases).toHaveLength(1);
+    expect(await getBalance(CREATOR_B, 'USD')).toBe(18);
+  });
+
+  test('replaying a checkout with the same idempotency key returns the same order', async () => {
+    await orderService.addItem(BUYER_ID, { contentType: 'video', contentId: POTTERY });
+    paystackClient.post.mockImplementation(async (path, body) => ({
+      data: { data: { authorization_url: 'https://checkout.paystack.com/y', access_code: 'y', reference: body.reference } }
+    }));
+
+    const key = nextKey();
+    const first = await orderService.checkout({ userId: BUYER_ID, userEmail: 'order-buyer@example.com', idempotencyKey: key });
+    const second = await orderService.checkout({ userId: BUYER_ID, userEmail: 'order-buyer@example.com', idempotencyKey: key });
+
+    expect(second.cached).toBe(true);
+    expect(second.order.id).toBe(first.order.id);
+    expect(paystackClient.post).toHaveBeenCalledTimes(1);
+    expect(await Order.count()).toBe(1);
+  });
+
+  test('rejects items the buyer owns, created or cannot coupon', async () => {
+    await expect(orderService.addItem(BUYER_ID, { contentType: 'video', contentId: OWN_VIDEO }))
+      .rejects.toThrow('You cannot purchase your own video');
+    await expect(orderService.addItem(BUYER_ID, { contentType: 'course', contentId: JAZZ }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    await Purchase.create({
+      userId: BUYER_ID,
+      contentType: 'video',
+      contentId: POTTERY,
+      amount: 3000,
+      currency: 'NGN',
+      paymentGateway: 'paystack',
+      paymentReference: 'ref_owned_pottery',
+      paymentStatus: 'completed'
+    });
+    await expect(orderService.addItem(BUYER_ID, { contentType: 'video', contentId: POTTERY }))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    // Bad coupons show on the cart line and block checkout
+    await orderService.addItem(BUYER_ID, { contentType: 'video', contentId: JAZZ, couponCode: 'NOPE' });
+    const cart = await orderService.getCart(BUYER_ID);
+    expect(cart.items[0].error).toBe('Coupon is not valid for this content');
+    expect(cart.total).toBe(0);
+
+    await expect(orderService.checkout({ userId: BUYER_ID, userEmail: 'order-buyer@example.com', idempotencyKey: nextKey() }))
+      .rejects.toThrow('Lagos Jazz Masterclass: Coupon is not valid for this content');
+    expect(await Order.count()).toBe(0);
+  });
+});
@@ -0,0 +1,244 @@
+// Must mock config/db before any model is required
+jest.mock('../config/db', () => require('./helpers/sqliteDb'));
+jest.mock('axios', () => {
+  const client = { get: jest.fn(), post: jest.fn() };
+  return { create: jest.fn(() => client), __client: client };
+});
+jest.mock('../config/paystack', () => ({
+  paystackClient: { post: jest.fn(), get: jest.fn() }
+}));
+jest.mock('../config/stripe', () => ({
+  stripeClient: { transfers: { create: jest.fn() } }
+}));
+jest.mock('../utils/email', () => ({
+  sendWithdrawalOTP: jest.fn().mockResolvedValue(true),
+  sendBeneficiaryOTP: jest.fn().mockResolvedValue(true),
+  sendBeneficiaryAddedEmail: jest.fn().mockResolvedValue(true)
+}));
+
+const axios = require('axios');
+const { paystackClient } = require('../config/paystack');
+const { sendBeneficiaryOTP, sendBeneficiaryAddedEmail } = require('../utils/email');
+const payoutBeneficiaryService = require('../services/payoutBeneficiaryService');
+const CurrencyWithdrawalService = require('../services/currencyWithdrawalService');
+const { initiateWithdrawal, processPaystackPayout } = require('../services/payoutService');
+const { User, WalletAccount, WalletTransaction, LedgerJournal, LedgerEntry, Payout, PayoutBeneficiary } = require('../models/walletIndex');
+const WithdrawalOTP = require('../models/WithdrawalOTP');
+const { setBalance } = require('./helpers/wallet');
+
+const USER_ID = 1;
+const OTHER_USER_ID = 2;
+const gatewayClient = axios.__client;
+
+const ngnAccount = {
+  currency: 'NGN',
+  bankCode: '058',
+  accountNumber: '0123456789'
+};
+
+async function latestCode(beneficiary) {
+  await beneficiary.reload();
+  const otp = await WithdrawalOTP.findOne({ where: { withdrawalId: beneficiary.confirmationId } });
+  return otp.code;
+}
+
+async function addConfirmed(data = ngnAccount) {
+  const { beneficiary } = await payoutBeneficiaryService.addBeneficiary(USER_ID, data);
+  await payoutBeneficiaryService.confirmBeneficiary(USER_ID, beneficiary.id, await latestCode(beneficiary));
+  return beneficiary.reload();
+}
+
+describe('Payout Beneficiary Service', () => {
+  beforeAll(async () => {
+    await User.sync();
+    await User.bulkCreate([
+      { id: USER_ID, firstname: 'Tobi', lastname: 'Creator', email: 'beneficiary-owner@example.com' },
+      { id: OTHER_USER_ID, firstname: 'Kemi', lastname: 'Other', email: 'beneficiary-other@example.com' }
+    ]);
+    await WalletAccount.sync();
+    await WalletTransaction.sync();
+    await LedgerJournal.sync();
+    await LedgerEntry.sync();
+    await PayoutBeneficiary.sync();
+    await Payout.sync();
+    await WithdrawalOTP.sync();
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await Payout.destroy({ where: {} });
+    await PayoutBeneficiary.destroy({ where: {} });
+    await WithdrawalOTP.destroy({ where: {} });
+
+    gatewayClient.get.mockImplementation(async (url) => {
+      if (url.startsWith('/bank/resolve')) {
+        return { data: { status: true, data: { account_name: 'TOBI CREATOR', account_number: '0123456789' } } };
+      }
+      return { data: { status: true, data: [{ name: 'Test Bank', code: '058', slug: 'test-bank' }] } };
+    });
+    gatewayClient.post.mockResolvedValue({
+      data: { status: true, data: { recipient_code: 'RCP_saved', id: 10 } }
+    });
+  });
+
+  test('saves a verified NGN account as pending and emails a confirmation code', async () => {
+    const { beneficiary, confirmation } = await payoutBeneficiaryService.addBeneficiary(USER_ID, ngnAccount);
+
+    expect(beneficiary.status).toBe('pending');
+    expect(beneficiary.accountName).toBe('TOBI CREATOR');
+    expect(beneficiary.bankName).toBe('Test Bank');
+    expect(beneficiary.verificationMethod).toBe('paystack_resolve');
+    expect(beneficiary.nickname).toBe('Test Bank ****6789');
+    expect(confirmation.confirmationId).toBeTruthy();
+    expect(sendBeneficiaryOTP).toHaveBeenCalledTimes(1);
+
+    const json = beneficiary.toJSON();
+    expect(json.confirmationId).toBeUndefined();
+    expect(json.maskedAccountNumber).toBe('****6789');
+    expect(json.usable).toBe(false);
+  });
+
+  test('rejects accounts Paystack cannot resolve and duplicates', async () => {
+    gatewayClient.get.mockResolvedValueOnce({ data: { status: false } });
+    await expect(payoutBeneficiaryService.addBeneficiary(USER_ID, ngnAccount))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    await payoutBeneficiaryService.addBeneficiary(USER_ID, ngnAccount);
+    await expect(payoutBeneficiaryService.addBeneficiary(USER_ID, ngnAccount))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('validates USD accounts with the international format rules', async () => {
+    await expect(payoutBeneficiaryService.addBeneficiary(USER_ID, {
+      currency: 'USD',
+      bankName: 'Chase',
+      accountName: 'Tobi Creator',
+      accountNumber: '000123456789',
+      routingNumber: '123',
+      country: 'us'
+    })).rejects.toMatchObject({ statusCode: 400 });
+
+    const { beneficiary } = await payoutBeneficiaryService.addBeneficiary(USER_ID, {
+      currency: 'USD',
+      bankName: 'Chase',
+      accountName: 'Tobi Creator',
+      accountNumber: '000123456789',
+      routingNumber: '021000021',
+      country: 'us'
+    });
+
+    expect(beneficiary.country).toBe('US');
+    expect(beneficiary.verificationMethod).toBe('format_check');
+  });
+
+  test('confirms with the emailed code, starts the cooldown and creates the recipient once', async () => {
+    const { beneficiary } = await payoutBeneficiaryService.addBeneficiary(USER_ID, ngnAccount);
+
+    await expect(payoutBeneficiaryService.confirmBeneficiary(USER_ID, beneficiary.id, '000000'))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const confirmed = await payoutBeneficiaryService.confirmBeneficiary(USER_ID, beneficiary.id, await latestCode(beneficiary));
+
+    expect(confirmed.status).toBe('active');
+    expect(confirmed.paystackRecipientCode).toBe('RCP_saved');
+    const cooldownHours = (new Date(confirmed.cooldownEndsAt) - new Date(confirmed.confirmedAt)) / (60 * 60 * 1000);
+    expect(cooldownHours).toBe(payoutBeneficiaryService.config.cooldownHours);
+    expect(gatewayClient.post).toHaveBeenCalledWith('/transferrecipient', expect.any(Object));
+    expect(sendBeneficiaryAddedEmail).toHaveBeenCalledTimes(1);
+  });
+
+  test('blocks withdrawals until the cooldown has passed', async () => {
+    const beneficiary = await addConfirmed();
+
+    await expect(payoutBeneficiaryService.resolveForWithdrawal(USER_ID, beneficiary.id, 'NGN'))
+      .rejects.toMatchObject({ statusCode: 403, availableAt: beneficiary.cooldownEndsAt });
+
+    await beneficiary.update({ cooldownEndsAt: new Date(Date.now() - 1000) });
+
+    const resolved = await payoutBeneficiaryService.resolveForWithdrawal(USER_ID, beneficiary.id, 'NGN');
+    expect(resolved.id).toBe(beneficiary.id);
+
+    await expect(payoutBeneficiaryService.resolveForWithdrawal(USER_ID, beneficiary.id, 'USD'))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(payoutBeneficiaryService.resolveForWithdrawal(OTHER_USER_ID, beneficiary.id, 'NGN'))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('pending and removed beneficiaries cannot receive withdrawals', async () => {
+    const { beneficiary } = await payoutBeneficiaryService.addBeneficiary(USER_ID, ngnAccount);
+
+    await expect(payoutBeneficiaryService.resolveForWithdrawal(USER_ID, beneficiary.id, 'NGN'))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    await payoutBeneficiaryService.removeBeneficiary(USER_ID, beneficiary.id);
+
+    await expect(payoutBeneficiaryService.resolveForWithdrawal(USER_ID, beneficiary.id, 'NGN'))
+      .rejects.toMatchObject({ statusCode: 404 });
+    expect(await payoutBeneficiaryService.getBeneficiaries(USER_ID)).toHaveLength(0);
+  });
+
+  test('enforces the resend cooldown for confirmation codes', async () => {
+    const { beneficiary } = await payoutBeneficiaryService.addBeneficiary(USER_ID, ngnAccount);
+
+    await expect(payoutBeneficiaryService.resendConfirmation(USER_ID, beneficiary.id))
+      .rejects.toMatchObject({ statusCode: 429 });
+
+    await WithdrawalOTP.update(
+      { createdAt: new Date(Date.now() - 5 * 60 * 1000) },
+      { where: { withdrawalId: (await beneficiary.reload()).confirmationId }, silent: true }
+    );
+    const previousId = beneficiary.confirmationId;
+
+    await payoutBeneficiaryService.resendConfirmation(USER_ID, beneficiary.id);
+    await beneficiary.reload();
+
+    expect(beneficiary.confirmationId).not.toBe(previousId);
+    expect((await WithdrawalOTP.findOne({ where: { withdrawalId: previousId } })).status).toBe('failed');
+  });
+
+  test('currency withdrawals reuse the saved recipient instead of creating one', async () => {
+    const beneficiary = await addConfirmed();
+    gatewayClient.get.mockClear();
+    gatewayClient.post.mockReset();
+    gatewayClient.post.mockResolvedValue({ data: { status: true, data: { transfer_code: 'TRF_1' } } });
+
+    const service = new CurrencyWithdrawalService();
+    const result = await service.processWithdrawal({
+      amount: 5000,
+      currency: 'NGN',
+      bankAccount: beneficiary.toBankDetails(),
+      userId: USER_ID,
+      reference: 'withdrawal_test_1',
+      beneficiary
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.recipientCode).toBe('RCP_saved');
+    expect(gatewayClient.post).toHaveBeenCalledTimes(1);
+    expect(gatewayClient.post).toHaveBeenCalledWith('/transfer', expect.objectContaining({ recipient: 'RCP_saved' }));
+    expect(gatewayClient.get).not.toHaveBeenCalled();
+  });
+
+  test('wallet payouts record the beneficiary and reuse its recipient', async () => {
+    const beneficiary = await addConfirmed();
+    await setBalance(USER_ID, 'NGN', 20000);
+
+    paystackClient.post.mockResolvedValue({
+      data: { status: true, data: { status: 'pending', transfer_code: 'TRF_wallet', reference: 'ref_wallet' } }
+    });
+
+    const payout = await initiateWithdrawal({
+      userId: USER_ID,
+      amount: 10000,
+      currency: 'NGN',
+      bankDetails: beneficiary.toBankDetails(),
+      gateway: 'paystack',
+      beneficiaryId: beneficiary.id
+    });
+    await processPaystackPayout(payout.id);
+
+    expect((await Payout.findByPk(payout.id)).beneficiaryId).toBe(beneficiary.id);
+    expect(paystackClient.post).toHaveBeenCalledTimes(1);
+    expect(paystackClient.post).toHaveBeenCalledWith('/transfer', expect.objectContaining({ recipient: 'RCP_saved' }));
+  });
+});
@@ -1,5 +1,16 @@
+// Must mock config/db before any model is required
+jest.mock('../../config/db', () => require('../helpers/sqliteDb'));
+
 const fc = require('fast-check');
-const WithdrawalLimitService = require('../../services/withdrawalLimitService');
+const withdrawalLimitService = require('../../services/withdrawalLimitService');
+const {
+  User,
+  Payout,
+  CurrencyConversion,
+  WithdrawalLimitProfile,
+  WithdrawalLimitOverride,
+  WithdrawalLimitAuditLog
+} = require('../../models/walletIndex');
 
 /**
  * Property-Based Tests for Withdrawal Limit Service
@@ -11,11 +22,46 @@ const WithdrawalLimitService = require('../../services/withdrawalLimitService');
  * across different scenarios and edge cases using property-based testing.
  */
 
+// Usage is derived from payout rows, so recording a withdrawal means creating one
+async function recordPayout(userId, amount, currency) {
+  await Payout.create({
+    userId,
+    amount,
+    platformFee: 0,
+    gatewayFee: 0,
+    netAmount: amount,
+    currency,
+    paymentGateway: currency === 'NGN' ? 'paystack' : 'stripe',
+    bankName: 'Test Bank',
+    accountNumber: '0123456789',
+    accountName: 'Test User',
+    status: 'pending'
+  });
+}
+
 describe('Withdrawal Limits Property Tests', () => {
-  let withdrawalLimitService;
+  beforeAll(async () => {
+    await User.sync();
+    await User.bulkCreate(
+      Array.from({ length: 100 }, (_, i) => ({
+        id: i + 1,
+        firstname: 'Limit',
+        lastname: `User${i + 1}`,
+        email: `limit-user-${i + 1}@example.com`
+      }))
+    );
+    await Payout.sync();
+    await CurrencyConversion.sync();
+    await WithdrawalLimitProfile.sync();
+    await WithdrawalLimitOverride.sync();
+    await WithdrawalLimitAuditLog.sync();
+  });
 
-  beforeEach(() => {
-    withdrawalLimitService = new WithdrawalLimitService();
+  beforeEach(async () => {
+    await WithdrawalLimitAuditLog.destroy({ where: {} });
+    await WithdrawalLimitOverride.destroy({ where: {} });
+    await WithdrawalLimitProfile.destroy({ where: {} });
+    await Payout.destroy({ where: {} });
   });
 
   describe('Property 8: Withdrawal Limits Enforcement', () => {
@@ -39,12 +85,10 @@ describe('Withdrawal Limits Property Tests', () => {
             // Get user limits
             const limits = await withdrawalLimitService.getUserLimits(userId, currency);
             
-            let totalWithdrawn = 0;
-            const baseTimestamp = Date.now();
+            // Earlier runs may have used the same user today
+            let totalWithdrawn = (await withdrawalLimitService.getCurrentUsage(userId, currency)).daily;
             
             for (const withdrawal of withdrawals) {
-              const withdrawalTimestamp = baseTimestamp + withdrawal.timestamp;
-              
               // Check if withdrawal would be allowed
               const limitCheck = await withdrawalLimitService.checkWithdrawalLimits(
                 userId,
@@ -54,16 +98,14 @@ describe('Withdrawal Limits Property Tests', () => {
               
               if (limitCheck.allowed) {
                 // If allowed, record the withdrawal
-                await withdrawalLimitService.recordWithdrawal(
-                  userId,
-                  withdrawal.amount,
-                  currency,
-                  `test_${withdrawalTimestamp}`
-                );
+                await recordPayout(userId, withdrawal.amount, currency);
                 totalWithdrawn += withdrawal.amount;
                 
                 // Verify total doesn't exceed daily limit
                 expect(totalWithdrawn).toBeLessThanOrEqual(limits.daily + 0.01); // Small epsilon for floating point
+              } else if (limitCheck.type === 'single_limit') {
+                // Amounts over the single transaction limit are rejected regardless of daily usage
+                expect(withdrawal.amount).toBeGreaterThan(limits.single);
               } else {
                 // If not allowed, verify it would have exceeded the limit
                 expect(totalWithdrawn + withdrawal.amount).toBeGreaterThan(limits.daily);
@@ -120,7 +162,7 @@ describe('Withdrawal Limits Property Tests', () => {
           fc.constantFrom('NGN', 'USD'), // currency
           async (userId, tier, currency) => {
             // Set user tier
-            withdrawalLimitService.setUserTier(userId, tier);
+            await withdrawalLimitService.setUserTier(userId, tier);
             
             // Get limits for this tier
             const limits = await withdrawalLimitService.getUserLimits(userId, currency);
@@ -133,7 +175,7 @@ describe('Withdrawal Limits Property Tests', () => {
             expect(limits.single).toBe(expectedLimits.single);
             
             // Verify tier is correctly stored
-            expect(withdrawalLimitService.getUserTier(userId)).toBe(tier);
+            expect(await withdrawalLimitService.getUserTier(userId)).toBe(tier);
           }
         ),
         { numRuns: 15, timeout: 3000 }
@@ -152,7 +194,7 @@ describe('Withdrawal Limits Property Tests', () => {
           fc.float({ min: 1, max: 5000, noNaN: true }), // amount
           async (userId, currency, amount) => {
             // Suspend user
-            withdrawalLimitService.suspendUser(userId, 'Test suspension');
+            await withdrawalLimitService.suspendUser(userId, 'Test suspension');
             
             // Try to withdraw
             const limitCheck = await withdrawalLimitService.checkWithdrawalLimits(
@@ -184,18 +226,15 @@ describe('Withdrawal Limits Property Tests', () => {
             { minLength: 1, maxLength: 5 }
           ),
           async (userId, currency, amounts) => {
-            let expectedTotal = 0;
+            // Earlier runs may have used the same user today
+            const initialUsage = await withdrawalLimitService.getCurrentUsage(userId, currency);
+            let expectedTotal = initialUsage.daily;
             
             for (let i = 0; i < amounts.length; i++) {
               const amount = amounts[i];
               
               // Record withdrawal
-              await withdrawalLimitService.recordWithdrawal(
-                userId,
-                amount,
-                currency,
-                `usage_test_${i}`
-              );
+              await recordPayout(userId, amount, currency);
               
               expectedTotal += amount;
               
@@ -204,7 +243,7 @@ describe('Withdrawal Limits Property Tests', () => {
               
               // Verify daily usage is accurate (within small epsilon for floating point)
               expect(Math.abs(usage.daily - expectedTotal)).toBeLessThan(0.01);
-              expect(usage.dailyCount).toBe(i + 1);
+              expect(usage.dailyCount).toBe(initialUsage.dailyCount + i + 1);
             }
           }
         ),
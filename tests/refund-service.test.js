@@ -0,0 +1,204 @@
+// Must mock config/db before any model is required
+jest.mock('../config/db', () => require('./helpers/sqliteDb'));
+jest.mock('../config/stripe', () => ({
+  stripeClient: { checkout: { sessions: { list: jest.fn() } } }
+}));
+
+const refundService = require('../services/refundService');
+const { Purchase, PurchaseRefund } = require('../models/walletIndex');
+
+function makePurchase(overrides = {}) {
+  return {
+    id: 'purchase-uuid',
+    userId: 7,
+    contentType: 'video',
+    contentId: 'video-uuid',
+    amount: '10000.00',
+    refundedAmount: '0.00',
+    currency: 'NGN',
+    paymentReference: 'ref_123',
+    paymentStatus: 'completed',
+    getRefundableAmount() {
+      return parseFloat(this.amount) - parseFloat(this.refundedAmount);
+    },
+    update: jest.fn().mockResolvedValue(true),
+    ...overrides
+  };
+}
+
+describe('Refund Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('calculateClawback', () => {
+    const credits = [
+      { role: 'creator', userId: 1, amount: 700000 },
+      { role: 'coupon_partner', userId: 2, amount: 100000 }
+    ];
+
+    test('should claw back every credit in full on a full refund', () => {
+      const result = refundService.calculateClawback(credits, 1000000, 1000000);
+
+      expect(result.payees).toEqual([
+        { role: 'creator', userId: 1, amount: 700000 },
+        { role: 'coupon_partner', userId: 2, amount: 100000 }
+      ]);
+      expect(result.platform).toBe(200000);
+    });
+
+    test('should split a partial refund pro-rata', () => {
+      const result = refundService.calculateClawback(credits, 1000000, 250000);
+
+      expect(result.payees).toEqual([
+        { role: 'creator', userId: 1, amount: 175000 },
+        { role: 'coupon_partner', userId: 2, amount: 25000 }
+      ]);
+      expect(result.platform).toBe(50000);
+    });
+
+    test('should never claw back more than was refunded', () => {
+      const result = refundService.calculateClawback(
+        [{ role: 'creator', userId: 1, amount: 333 }],
+        1000,
+        1
+      );
+
+      const total = result.payees.reduce((sum, p) => sum + p.amount, 0) + result.platform;
+      expect(total).toBe(1);
+    });
+
+    test('should leave the whole refund with the platform when nothing was credited', () => {
+      expect(refundService.calculateClawback([], 5000, 5000)).toEqual({ payees: [], platform: 5000 });
+    });
+  });
+
+  describe('splitOrderAmount', () => {
+    test('should split pro-rata to what each purchase can still refund', () => {
+      const jazz = makePurchase({ id: 'jazz', amount: '5000.00' });
+      const pottery = makePurchase({ id: 'pottery', amount: '3000.00', refundedAmount: '1000.00' });
+
+      const shares = refundService.splitOrderAmount([jazz, pottery], 1000.01, 'NGN');
+
+      expect(shares.map(share => [share.purchase.id, share.amount])).toEqual([
+        ['jazz', 714.30],
+        ['pottery', 285.71]
+      ]);
+    });
+
+    test('should never give a purchase more than it can refund', () => {
+      const refunded = makePurchase({ id: 'refunded', refundedAmount: '10000.00' });
+      const open = makePurchase({ id: 'open', amount: '3000.00' });
+
+      const shares = refundService.splitOrderAmount([refunded, open], 5000, 'NGN');
+
+      expect(shares.map(share => [share.purchase.id, share.amount])).toEqual([['open', 3000]]);
+    });
+  });
+
+  describe('applyRefund validation', () => {
+    function lockReturns(purchase) {
+      return jest.spyOn(Purchase, 'findByPk').mockResolvedValue(purchase);
+    }
+
+    test('should ignore a gateway refund that was already applied', async () => {
+      const existing = { id: 'refund-uuid' };
+      lockReturns(makePurchase());
+      jest.spyOn(PurchaseRefund, 'findOne').mockResolvedValue(existing);
+
+      const result = await refundService.applyRefund({
+        purchase: makePurchase(),
+        gatewayRefundId: 're_123'
+      });
+
+      expect(result.alreadyProcessed).toBe(true);
+      expect(result.refund).toBe(existing);
+    });
+
+    test('should reject refunds above the refundable amount', async () => {
+      const purchase = makePurchase({ refundedAmount: '9000.00' });
+      lockReturns(purchase);
+
+      await expect(refundService.applyRefund({
+        purchase,
+        amount: 2000
+      })).rejects.toThrow('exceeds refundable balance');
+    });
+
+    test('should check the refundable amount on the locked row, not the copy passed in', async () => {
+      const findByPk = lockReturns(makePurchase({ refundedAmount: '9000.00' }));
+
+      await expect(refundService.applyRefund({
+        purchase: makePurchase(),
+        amount: 2000
+      })).rejects.toThrow('exceeds refundable balance of 1000');
+      expect(findByPk).toHaveBeenCalledWith('purchase-uuid', expect.objectContaining({ lock: expect.anything() }));
+    });
+
+    test('should reject refunds on purchases that were never completed', async () => {
+      const purchase = makePurchase({ paymentStatus: 'pending' });
+      lockReturns(purchase);
+
+      await expect(refundService.applyRefund({
+        purchase,
+        amount: 100
+      })).rejects.toThrow('cannot be refunded');
+    });
+  });
+
+  describe('adminRefund', () => {
+    test('should 404 when the purchase does not exist', async () => {
+      jest.spyOn(Purchase, 'findByPk').mockResolvedValue(null);
+
+      await expect(refundService.adminRefund({ purchaseId: 'missing', adminId: 1 }))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('should refuse to refund free coupon purchases', async () => {
+      jest.spyOn(Purchase, 'findByPk').mockResolvedValue(makePurchase({ amount: '0.00' }));
+
+      await expect(refundService.adminRefund({ purchaseId: 'purchase-uuid', adminId: 1 }))
+        .rejects.toThrow('nothing to refund');
+    });
+
+    test('should reject partial amounts above what is still refundable', async () => {
+      jest.spyOn(Purchase, 'findByPk').mockResolvedValue(makePurchase({ refundedAmount: '4000.00' }));
+
+      await expect(refundService.adminRefund({ purchaseId: 'purchase-uuid', amount: 6500, adminId: 1 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('openDispute', () => {
+    test('should hold the clawback only once when the dispute is redelivered', async () => {
+      const existing = { id: 'dispute-refund-uuid', status: 'pending' };
+      jest.spyOn(Purchase, 'findByPk').mockResolvedValue(makePurchase({ paymentStatus: 'disputed' }));
+      jest.spyOn(PurchaseRefund, 'findOne').mockResolvedValue(existing);
+      const create = jest.spyOn(PurchaseRefund, 'create');
+
+      const result = await refundService.openDispute({
+        purchase: makePurchase(),
+        gatewayDisputeId: 'dp_123'
+      });
+
+      expect(result).toMatchObject({ refund: existing, alreadyProcessed: true });
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    test('should not hold anything for a purchase that is no longer completed', async () => {
+      const refunded = makePurchase({ paymentStatus: 'refunded', refundedAmount: '10000.00' });
+      jest.spyOn(Purchase, 'findByPk').mockResolvedValue(refunded);
+      jest.spyOn(PurchaseRefund, 'findOne').mockResolvedValue(null);
+      const create = jest.spyOn(PurchaseRefund, 'create');
+
+      const result = await refundService.openDispute({
+        purchase: makePurchase(),
+        gatewayDisputeId: 'dp_456'
+      });
+
+      expect(result.refund).toBeNull();
+      expect(create).not.toHaveBeenCalled();
+      expect(refunded.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,294 @@
+// Must mock config/db before any model is required
+jest.mock('../config/db', () => require('./helpers/sqliteDb'));
+jest.mock('../config/paystack', () => ({
+  paystackClient: { post: jest.fn(), get: jest.fn() }
+}));
+jest.mock('../config/stripe', () => ({
+  stripeClient: { transfers: { create: jest.fn() } }
+}));
+
+const { paystackClient } = require('../config/paystack');
+const { stripeClient } = require('../config/stripe');
+const scheduledPayoutService = require('../services/scheduledPayoutService');
+const fraudDetectionService = require('../services/fraudDetectionService');
+const withdrawalLimitService = require('../services/withdrawalLimitService');
+const {
+  User,
+  WalletAccount,
+  WalletTransaction,
+  LedgerJournal,
+  LedgerEntry,
+  Payout,
+  CurrencyConversion,
+  PayoutSchedule,
+  PayoutBatch,
+  WithdrawalLimitProfile,
+  WithdrawalLimitOverride,
+  WithdrawalLimitAuditLog
+} = require('../models/walletIndex');
+const { ManualReviewItem, ManualReviewDecision } = require('../models/fraudIndex');
+const { setBalance, getBalances } = require('./helpers/wallet');
+
+const CREATOR_ID = 1;
+const ADMIN_ID = 2;
+const DAY = 24 * 60 * 60 * 1000;
+
+async function createDueNgnSchedule(overrides = {}) {
+  const schedule = await scheduledPayoutService.saveSchedule(CREATOR_ID, {
+    currency: 'NGN',
+    frequency: 'weekly',
+    minimumAmount: 10000,
+    bankCode: '058',
+    accountNumber: '0123456789',
+    ...overrides
+  });
+  await schedule.update({ nextRunAt: new Date(Date.now() - 60 * 1000) });
+  return schedule;
+}
+
+function mockPaystackTransfers() {
+  let transfers = 0;
+  paystackClient.post.mockImplementation(async (url) => {
+    if (url === '/transferrecipient') {
+      return { data: { status: true, data: { recipient_code: 'RCP_test' } } };
+    }
+    transfers += 1;
+    return { data: { status: true, data: { status: 'pending', transfer_code: `TRF_${transfers}`, reference: `ref_${transfers}` } } };
+  });
+}
+
+describe('Scheduled Payout Service', () => {
+  beforeAll(async () => {
+    await User.sync();
+    await User.bulkCreate([
+      { id: CREATOR_ID, firstname: 'Ngozi', lastname: 'Creator', email: 'payout-creator@example.com' },
+      { id: ADMIN_ID, firstname: 'Ada', lastname: 'Admin', email: 'payout-admin@example.com', role: 'admin' }
+    ]);
+    await WalletAccount.sync();
+    await WalletTransaction.sync();
+    await LedgerJournal.sync();
+    await LedgerEntry.sync();
+    await PayoutBatch.sync();
+    await Payout.sync();
+    await CurrencyConversion.sync();
+    await PayoutSchedule.sync();
+    await WithdrawalLimitProfile.sync();
+    await WithdrawalLimitOverride.sync();
+    await WithdrawalLimitAuditLog.sync();
+    await ManualReviewItem.sync();
+    await ManualReviewDecision.sync();
+  });
+
+  beforeEach(async () => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    await ManualReviewItem.destroy({ where: {} });
+    await PayoutSchedule.destroy({ where: {} });
+    await Payout.destroy({ where: {} });
+    await PayoutBatch.destroy({ where: {} });
+    await WalletTransaction.destroy({ where: {} });
+    await WalletAccount.destroy({ where: {} });
+
+    paystackClient.get.mockImplementation(async (url) => {
+      if (url.startsWith('/bank/resolve')) {
+        return { data: { status: true, data: { account_name: 'NGOZI CREATOR' } } };
+      }
+      return { data: { status: true, data: [{ name: 'Test Bank', code: '058' }] } };
+    });
+    jest.spyOn(fraudDetectionService, 'analyzeTransaction').mockResolvedValue({
+      allowed: true, riskScore: 5, action: 'allow', reason: 'Low risk', flags: []
+    });
+  });
+
+  test('should verify NGN accounts with Paystack and schedule the next weekly run', async () => {
+    const schedule = await scheduledPayoutService.saveSchedule(CREATOR_ID, {
+      currency: 'ngn',
+      frequency: 'weekly',
+      bankCode: '058',
+      accountNumber: '0123456789',
+      accountName: 'Someone Else'
+    });
+
+    expect(schedule.currency).toBe('NGN');
+    expect(schedule.isVerified()).toBe(true);
+    expect(schedule.verificationMethod).toBe('paystack_resolve');
+    expect(schedule.accountName).toBe('NGOZI CREATOR');
+    expect(schedule.bankName).toBe('Test Bank');
+    expect(parseFloat(schedule.minimumAmount)).toBe(scheduledPayoutService.config.minimumAmounts.NGN);
+
+    const nextRunAt = new Date(schedule.nextRunAt);
+    expect(nextRunAt.getTime()).toBeGreaterThan(Date.now());
+    expect(nextRunAt.getUTCDay()).toBe(scheduledPayoutService.config.weekday);
+    expect(nextRunAt.getUTCHours()).toBe(scheduledPayoutService.config.runHour);
+  });
+
+  test('should reject thresholds below the floor and unresolvable accounts', async () => {
+    await expect(scheduledPayoutService.saveSchedule(CREATOR_ID, {
+      currency: 'NGN', frequency: 'weekly', minimumAmount: 100, bankCode: '058', accountNumber: '0123456789'
+    })).rejects.toMatchObject({ statusCode: 400 });
+
+    await expect(scheduledPayoutService.saveSchedule(CREATOR_ID, {
+      currency: 'NGN', frequency: 'daily', bankCode: '058', accountNumber: '0123456789'
+    })).rejects.toMatchObject({ statusCode: 400 });
+
+    paystackClient.get.mockResolvedValueOnce({ data: { status: false, message: 'Could not resolve account name' } });
+    await expect(scheduledPayoutService.saveSchedule(CREATOR_ID, {
+      currency: 'NGN', frequency: 'weekly', bankCode: '058', accountNumber: '0000000000'
+    })).rejects.toMatchObject({ statusCode: 400 });
+
+    expect(await PayoutSchedule.count()).toBe(0);
+  });
+
+  test('should only pay USD schedules after an admin verifies the account', async () => {
+    const schedule = await scheduledPayoutService.saveSchedule(CREATOR_ID, {
+      currency: 'USD',
+      frequency: 'monthly',
+      bankName: 'Chase',
+      accountNumber: '987654321',
+      accountName: 'Ngozi Creator'
+    });
+    await schedule.update({ nextRunAt: new Date(Date.now() - 60 * 1000) });
+    await setBalance(CREATOR_ID, 'USD', 200);
+
+    expect(schedule.isVerified()).toBe(false);
+    expect(await scheduledPayoutService.processDueSchedules()).toBeNull();
+
+    await scheduledPayoutService.verifySchedule(schedule.id, ADMIN_ID);
+    await expect(scheduledPayoutService.verifySchedule(schedule.id, ADMIN_ID)).rejects.toMatchObject({ statusCode: 409 });
+
+    stripeClient.transfers.create.mockResolvedValueOnce({ id: 'tr_test' });
+
+    const batch = await scheduledPayoutService.processDueSchedules();
+
+    expect(batch.paidCount).toBe(1);
+    expect(batch.totals).toEqual({ USD: 200 });
+  });
+
+  test('should pay the available balance of due schedules and report the batch', async () => {
+    const schedule = await createDueNgnSchedule();
+    await setBalance(CREATOR_ID, 'NGN', 25000);
+    mockPaystackTransfers();
+
+    const batch = await scheduledPayoutService.processDueSchedules();
+
+    expect(batch.status).toBe('completed');
+    expect(batch.paidCount).toBe(1);
+    expect(batch.totals).toEqual({ NGN: 25000 });
+    expect(batch.items[0]).toMatchObject({ scheduleId: schedule.id, outcome: 'paid', amount: 25000 });
+    expect(paystackClient.post).toHaveBeenCalledWith('/transferrecipient', expect.objectContaining({
+      account_number: '0123456789',
+      bank_code: '058'
+    }));
+
+    const payout = await Payout.findByPk(batch.items[0].payoutId);
+    expect(payout.status).toBe('processing');
+    expect(payout.payoutBatchId).toBe(batch.id);
+    expect(await getBalances(CREATOR_ID, 'NGN')).toEqual({ available: 0, pending: 25000 });
+
+    await schedule.reload();
+    expect(schedule.lastOutcome).toBe('paid');
+    expect(new Date(schedule.nextRunAt).getTime()).toBeGreaterThan(Date.now());
+
+    // Not due again until the next run
+    expect(await scheduledPayoutService.processDueSchedules()).toBeNull();
+
+    const report = await scheduledPayoutService.getBatch(batch.id);
+    expect(report.payouts).toHaveLength(1);
+  });
+
+  test('should skip balances below the minimum and payouts over the withdrawal limits', async () => {
+    await createDueNgnSchedule();
+    await setBalance(CREATOR_ID, 'NGN', 5000);
+
+    const belowMinimum = await scheduledPayoutService.processDueSchedules();
+    expect(belowMinimum.skippedCount).toBe(1);
+    expect(belowMinimum.items[0].reason).toMatch(/below the 10000 NGN minimum/);
+
+    await PayoutSchedule.update({ nextRunAt: new Date(Date.now() - 60 * 1000) }, { where: {} });
+    await setBalance(CREATOR_ID, 'NGN', 50000);
+    jest.spyOn(withdrawalLimitService, 'checkWithdrawalLimits').mockResolvedValueOnce({
+      allowed: false, reason: 'Amount would exceed daily limit of 20000 NGN', type: 'daily_limit'
+    });
+
+    const overLimit = await scheduledPayoutService.processDueSchedules();
+    expect(overLimit.skippedCount).toBe(1);
+    expect(overLimit.items[0].reason).toMatch(/daily limit/);
+    expect(paystackClient.post).not.toHaveBeenCalled();
+    expect(await Payout.count()).toBe(0);
+  });
+
+  test('should hold high-risk payouts for manual review and skip creators awaiting review', async () => {
+    await createDueNgnSchedule();
+    await setBalance(CREATOR_ID, 'NGN', 40000);
+    fraudDetectionService.analyzeTransaction.mockResolvedValueOnce({
+      allowed: false, riskScore: 85, action: 'review', reason: 'Unusual withdrawal pattern', flags: ['velocity']
+    });
+
+    const batch = await scheduledPayoutService.processDueSchedules();
+
+    expect(batch.heldCount).toBe(1);
+    expect(batch.items[0].reviewId).toBeTruthy();
+    expect(paystackClient.post).not.toHaveBeenCalled();
+
+    const payout = await Payout.findByPk(batch.items[0].payoutId);
+    expect(payout.status).toBe('pending');
+    expect(await getBalances(CREATOR_ID, 'NGN')).toEqual({ available: 0, pending: 40000 });
+
+    const review = await ManualReviewItem.findByPk(batch.items[0].reviewId);
+    expect(review.payoutId).toBe(payout.id);
+    expect(review.metadata.source).toBe('scheduled_payout');
+
+    await PayoutSchedule.update({ nextRunAt: new Date(Date.now() - 60 * 1000) }, { where: {} });
+    await setBalance(CREATOR_ID, 'NGN', 30000);
+
+    const next = await scheduledPayoutService.processDueSchedules();
+    expect(next.skippedCount).toBe(1);
+    expect(next.items[0].reason).toMatch(/manual review/);
+  });
+
+  test('should skip fraud-blocked creators and release funds when the transfer fails', async () => {
+    await createDueNgnSchedule();
+    await setBalance(CREATOR_ID, 'NGN', 30000);
+    fraudDetectionService.analyzeTransaction.mockResolvedValueOnce({
+      allowed: false, riskScore: 100, action: 'block', reason: 'User is auto-blocked due to suspicious activity', flags: ['auto_blocked']
+    });
+
+    const blocked = await scheduledPayoutService.processDueSchedules();
+    expect(blocked.skippedCount).toBe(1);
+    expect(await Payout.count()).toBe(0);
+
+    await PayoutSchedule.update({ nextRunAt: new Date(Date.now() - 60 * 1000) }, { where: {} });
+    paystackClient.post.mockResolvedValue({ data: { status: false, message: 'Insufficient Paystack balance' } });
+
+    const failed = await scheduledPayoutService.processDueSchedules();
+    expect(failed.failedCount).toBe(1);
+    expect(failed.items[0].reason).toBe('Insufficient Paystack balance');
+    expect((await Payout.findByPk(failed.items[0].payoutId)).status).toBe('failed');
+    expect(await getBalances(CREATOR_ID, 'NGN')).toEqual({ available: 30000, pending: 0 });
+  });
+
+  test('should stop paying disabled schedules', async () => {
+    const schedule = await createDueNgnSchedule();
+    await setBalance(CREATOR_ID, 'NGN', 30000);
+
+    await scheduledPayoutService.disableSchedule(CREATOR_ID, schedule.id);
+    await expect(scheduledPayoutService.disableSchedule(CREATOR_ID, schedule.id)).rejects.toMatchObject({ statusCode: 409 });
+    await expect(scheduledPayoutService.disableSchedule(ADMIN_ID, schedule.id)).rejects.toMatchObject({ statusCode: 404 });
+
+    expect(await scheduledPayoutService.processDueSchedules()).toBeNull();
+
+    const manual = await scheduledPayoutService.processDueSchedules(new Date(), { triggeredBy: ADMIN_ID });
+    expect(manual.scheduleCount).toBe(0);
+    expect(manual.triggeredBy).toBe(ADMIN_ID);
+  });
+
+  test('should schedule monthly runs on the configured day', () => {
+    const { runHour, monthDay } = scheduledPayoutService.config;
+    const afterRun = new Date(Date.UTC(2026, 0, monthDay, runHour, 30));
+
+    const next = scheduledPayoutService.getNextRunAt('monthly', afterRun);
+
+    expect(next.toISOString()).toBe(new Date(Date.UTC(2026, 1, monthDay, runHour)).toISOString());
+    expect(scheduledPayoutService.getNextRunAt('weekly', afterRun).getTime() - afterRun.getTime()).toBeLessThanOrEqual(7 * DAY);
+  });
+});
@@ -0,0 +1,241 @@
+// Must mock config/db before any model is required
+jest.mock('../config/db', () => require('./helpers/sqliteDb'));
+
+const settlementReconciliationService = require('../services/settlementReconciliationService');
+const {
+  User,
+  Purchase,
+  WalletAccount,
+  WalletTransaction,
+  Payout,
+  SettlementReconciliationRun,
+  SettlementReconciliationItem
+} = require('../models/walletIndex');
+
+const BUYER_ID = 1;
+const CREATOR_ID = 2;
+const ADMIN_ID = 3;
+
+// Paystack dashboard transaction export: amounts in naira
+const PAYSTACK_TRANSACTIONS_CSV = [
+  'Reference,Amount,Currency,Status,Paid At,Fees',
+  'ref_ok,"5,000.00",NGN,success,2026-10-01T10:00:00Z,75.00',
+  'ref_short,2500.00,NGN,success,2026-10-01T11:00:00Z,37.50',
+  'ref_topup,1000.00,NGN,success,2026-10-01T12:00:00Z,15.00',
+  'ref_unknown,700.00,NGN,success,2026-10-01T13:00:00Z,10.50',
+  'ref_ok,5000.00,NGN,success,2026-10-01T14:00:00Z,75.00',
+  'ref_abandoned,9000.00,NGN,abandoned,2026-10-01T15:00:00Z,0'
+].join('\n');
+
+async function createPurchase(overrides) {
+  return Purchase.create({
+    userId: BUYER_ID,
+    contentType: 'video',
+    contentId: '00000000-0000-4000-8000-000000000001',
+    currency: 'NGN',
+    paymentGateway: 'paystack',
+    paymentStatus: 'completed',
+    ...overrides
+  });
+}
+
+describe('Settlement Reconciliation Service', () => {
+  beforeAll(async () => {
+    await User.sync();
+    await User.bulkCreate([
+      { id: BUYER_ID, firstname: 'Ada', lastname: 'Buyer', email: 'recon-buyer@example.com' },
+      { id: CREATOR_ID, firstname: 'Tunde', lastname: 'Creator', email: 'recon-creator@example.com' },
+      { id: ADMIN_ID, firstname: 'Grace', lastname: 'Admin', email: 'recon-admin@example.com' }
+    ]);
+    await Purchase.sync();
+    await WalletAccount.sync();
+    await WalletTransaction.sync();
+    await Payout.sync();
+    await SettlementReconciliationRun.sync();
+    await SettlementReconciliationItem.sync();
+  });
+
+  beforeEach(async () => {
+    await SettlementReconciliationItem.destroy({ where: {} });
+    await SettlementReconciliationRun.destroy({ where: {} });
+    await Payout.destroy({ where: {} });
+    await WalletTransaction.destroy({ where: {} });
+    await WalletAccount.destroy({ where: {} });
+    await Purchase.destroy({ where: {} });
+  });
+
+  async function itemsByReference(runId) {
+    const items = await SettlementReconciliationItem.findAll({ where: { runId } });
+    return items.reduce((map, item) => {
+      (map[item.reference] = map[item.reference] || []).push(item.toJSON());
+      return map;
+    }, {});
+  }
+
+  test('flags matched, mismatched, duplicate and unknown payments in a CSV export', async () => {
+    await createPurchase({ amount: 5000, paymentReference: 'ref_ok', createdAt: new Date('2026-10-01T09:59:00Z') });
+    await createPurchase({ amount: 3000, paymentReference: 'ref_short', createdAt: new Date('2026-10-01T10:59:00Z') });
+
+    const wallet = await WalletAccount.create({ user_id: BUYER_ID, currency: 'NGN' });
+    await WalletTransaction.create({
+      wallet_account_id: wallet.id,
+      transaction_type: 'credit',
+      amount: 100000,
+      currency: 'NGN',
+      reference: 'topup_internal_1',
+      external_reference: 'ref_topup',
+      metadata: { type: 'topup', gateway: 'paystack' },
+      status: 'completed',
+      gateway: 'paystack',
+      idempotency_key: '00000000-0000-4000-8000-00000000000a',
+      created_at: new Date('2026-10-01T11:59:00Z')
+    });
+
+    const run = await settlementReconciliationService.importSettlement({
+      gateway: 'paystack',
+      content: Buffer.from(PAYSTACK_TRANSACTIONS_CSV),
+      fileName: 'paystack-transactions.csv',
+      periodStart: '2026-10-01T00:00:00Z',
+      periodEnd: '2026-10-01T23:59:59Z',
+      triggeredBy: ADMIN_ID
+    });
+
+    expect(run).toMatchObject({
+      status: 'completed',
+      format: 'csv',
+      rowsImported: 6,
+      matchedCount: 2,
+      mismatchCount: 1,
+      missingInternalCount: 1,
+      missingInGatewayCount: 0,
+      duplicateCount: 1
+    });
+    expect(run.isClean()).toBe(false);
+
+    const items = await itemsByReference(run.id);
+    expect(items.ref_ok.map(item => item.status).sort()).toEqual(['duplicate', 'matched']);
+    expect(items.ref_ok.find(item => item.status === 'matched')).toMatchObject({
+      internalType: 'purchase',
+      gatewayAmount: 5000,
+      internalAmount: 5000
+    });
+    expect(items.ref_short[0]).toMatchObject({
+      status: 'amount_mismatch',
+      gatewayAmount: 2500,
+      internalAmount: 3000
+    });
+    expect(items.ref_short[0].details.difference).toBe(-500);
+    expect(items.ref_topup[0]).toMatchObject({ status: 'matched', internalType: 'wallet_transaction' });
+    expect(items.ref_unknown[0].status).toBe('missing_internal');
+    expect(items.ref_abandoned).toBeUndefined();
+
+    expect(run.totals.NGN).toEqual({ gatewayTotal: 14200, internalTotal: 9000, difference: 5200 });
+  });
+
+  test('reports paid purchases the gateway export does not contain', async () => {
+    await createPurchase({ amount: 5000, paymentReference: 'ref_ok', createdAt: new Date('2026-10-01T09:00:00Z') });
+    await createPurchase({ amount: 1200, paymentReference: 'ref_missing', createdAt: new Date('2026-10-01T16:00:00Z') });
+    // Outside the period, other gateway, or never paid: not expected in the export
+    await createPurchase({ amount: 800, paymentReference: 'ref_last_month', createdAt: new Date('2026-09-01T10:00:00Z') });
+    await createPurchase({ amount: 20, currency: 'USD', paymentGateway: 'stripe', paymentReference: 'cs_test_1', createdAt: new Date('2026-10-01T10:00:00Z') });
+    await createPurchase({ amount: 900, paymentStatus: 'pending', paymentReference: 'ref_pending', createdAt: new Date('2026-10-01T10:00:00Z') });
+
+    const run = await settlementReconciliationService.importSettlement({
+      gateway: 'paystack',
+      content: JSON.stringify({
+        status: true,
+        data: [{ reference: 'ref_ok', amount: 500000, currency: 'NGN', status: 'success', paid_at: '2026-10-01T09:00:05Z' }]
+      }),
+      periodStart: '2026-10-01T00:00:00Z',
+      periodEnd: '2026-10-02T00:00:00Z'
+    });
+
+    expect(run.format).toBe('json');
+    expect(run.matchedCount).toBe(1);
+    expect(run.missingInGatewayCount).toBe(1);
+
+    const { items } = await settlementReconciliationService.getRun(run.id, { status: 'missing_in_gateway' });
+    expect(items).toHaveLength(1);
+    expect(items[0].toJSON()).toMatchObject({
+      reference: 'ref_missing',
+      internalType: 'purchase',
+      gatewayAmount: null,
+      internalAmount: 1200
+    });
+  });
+
+  test('matches Stripe transfers to payouts by transfer reference', async () => {
+    const payoutDefaults = {
+      userId: CREATOR_ID,
+      currency: 'USD',
+      paymentGateway: 'stripe',
+      bankName: 'Chase',
+      accountNumber: '000123456789',
+      accountName: 'Tunde Creator',
+      status: 'completed',
+      createdAt: new Date('2026-10-02T10:00:00Z')
+    };
+    await Payout.create({ ...payoutDefaults, amount: 100, platformFee: 2, gatewayFee: 1, netAmount: 97, transferReference: 'tr_1' });
+    await Payout.create({ ...payoutDefaults, amount: 50, platformFee: 1, gatewayFee: 0.5, netAmount: 48.5, transferReference: 'tr_2' });
+    await Payout.create({ ...payoutDefaults, amount: 30, platformFee: 0.6, gatewayFee: 0.4, netAmount: 29, transferReference: 'tr_3' });
+
+    // Stripe balance transactions: unix timestamps, cents, refunds ignored
+    const run = await settlementReconciliationService.importSettlement({
+      gateway: 'stripe',
+      format: 'json',
+      content: JSON.stringify([
+        { id: 'txn_1', source: 'tr_1', type: 'transfer', amount: 9700, currency: 'usd', status: 'available', created: 1790935200 },
+        { id: 'txn_2', source: 'tr_2', type: 'transfer', amount: 4800, currency: 'usd', status: 'available', created: 1790935300 },
+        { id: 'txn_3', source: 're_1', type: 'refund', amount: -2000, currency: 'usd', status: 'available', created: 1790935400 }
+      ]),
+      periodStart: '2026-10-01T00:00:00Z',
+      periodEnd: '2026-10-03T00:00:00Z'
+    });
+
+    const items = await itemsByReference(run.id);
+    expect(items.tr_1[0]).toMatchObject({ recordType: 'transfer', status: 'matched', internalType: 'payout', currency: 'USD' });
+    expect(items.tr_2[0]).toMatchObject({ status: 'amount_mismatch', gatewayAmount: 48, internalAmount: 48.5 });
+    expect(items.tr_3[0]).toMatchObject({ status: 'missing_in_gateway', internalAmount: 29 });
+    expect(items.re_1).toBeUndefined();
+  });
+
+  test('exports run items as CSV', async () => {
+    await createPurchase({ amount: 3000, paymentReference: 'ref_short', createdAt: new Date('2026-10-01T10:59:00Z') });
+
+    const run = await settlementReconciliationService.importSettlement({
+      gateway: 'paystack',
+      content: 'Reference,Amount,Currency,Status\nref_short,2500,NGN,success\nref_unknown,700,NGN,success'
+    });
+
+    // No dates in the export and no period given: the missing-in-gateway check is skipped
+    expect(run.missingInGatewayCount).toBe(0);
+
+    const result = await settlementReconciliationService.exportRun(run.id, { format: 'csv' });
+    const lines = result.data.split('\n');
+
+    expect(result.fileName).toBe(`reconciliation-paystack-${run.id}.csv`);
+    expect(lines[0]).toBe('Reference,Record Type,Status,Currency,Gateway Amount,Internal Amount,Difference,Internal Type,Internal ID,Reason');
+    expect(lines).toContain(`ref_short,payment,amount_mismatch,NGN,2500,3000,-500,purchase,${(await Purchase.findOne()).id},Amount differs`);
+    expect(lines.some(line => line.startsWith('ref_unknown,payment,missing_internal,NGN,700,,,,,'))).toBe(true);
+  });
+
+  test('rejects invalid exports and records the failed run', async () => {
+    await expect(settlementReconciliationService.importSettlement({
+      gateway: 'flutterwave',
+      content: '[]'
+    })).rejects.toMatchObject({ statusCode: 400 });
+
+    await expect(settlementReconciliationService.importSettlement({
+      gateway: 'paystack',
+      format: 'json',
+      content: '{"data": "nope"}'
+    })).rejects.toMatchObject({ statusCode: 400 });
+
+    const { runs } = await settlementReconciliationService.getRuns({ status: 'failed' });
+    expect(runs).toHaveLength(1);
+    expect(runs[0].errorMessage).toMatch('must be an array');
+
+    await expect(settlementReconciliationService.getRun('00000000-0000-4000-8000-000000000000'))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+});
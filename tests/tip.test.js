@@ -0,0 +1,226 @@
+// Must mock config/db before any model is required
+jest.mock('../config/db', () => require('./helpers/sqliteDb'));
+jest.mock('../config/paystack', () => ({
+  paystackClient: { post: jest.fn(), put: jest.fn() }
+}));
+jest.mock('../config/stripe', () => ({
+  stripeClient: { checkout: { sessions: { create: jest.fn() } } }
+}));
+jest.mock('../utils/email', () => ({
+  sendPurchaseConfirmationEmail: jest.fn().mockResolvedValue(true),
+  sendSaleNotificationEmail: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../services/websocketManager', () => ({
+  sendOrQueue: jest.fn(),
+  broadcastTip: jest.fn()
+}));
+
+const request = require('supertest');
+const express = require('express');
+const { paystackClient } = require('../config/paystack');
+const websocketManager = require('../services/websocketManager');
+const tipService = require('../services/tipService');
+const walletService = require('../services/walletService');
+const { Tip } = require('../models/tipIndex');
+const {
+  User,
+  Purchase,
+  WalletAccount,
+  WalletTransaction,
+  LedgerJournal,
+  LedgerEntry
+} = require('../models/walletIndex');
+const { FraudUserProfile } = require('../models/fraudIndex');
+const tipController = require('../controllers/tipController');
+const { tipGuards } = require('../middleware/tipMiddleware');
+const Video = require('../models/Video');
+const LiveClass = require('../models/liveClass');
+const { setBalance, getBalances, ledgerBalance } = require('./helpers/wallet');
+
+const CREATOR_ID = 1;
+const TIPPER_ID = 2;
+
+const VIDEO_ID = 'a0000000-0000-4000-8000-000000000001';
+const CLASS_ID = 'c0000000-0000-4000-8000-000000000003';
+
+const TARGETS = {
+  [VIDEO_ID]: { creatorId: CREATOR_ID, title: 'Lagos Jazz Masterclass', roomId: null, isLive: false },
+  [CLASS_ID]: { creatorId: CREATOR_ID, title: 'Live Pottery Q&A', roomId: 'room_pottery', isLive: true }
+};
+
+function tip(overrides = {}) {
+  return tipService.sendTip({
+    tipperId: TIPPER_ID,
+    tipperEmail: 'tipper@example.com',
+    contentType: 'video',
+    contentId: VIDEO_ID,
+    amount: 1000,
+    currency: 'NGN',
+    ...overrides
+  });
+}
+
+describe('Tips', () => {
+  beforeAll(async () => {
+    await User.sync();
+    await User.bulkCreate([
+      { id: CREATOR_ID, firstname: 'Femi', lastname: 'Creator', email: 'tip-creator@example.com' },
+      { id: TIPPER_ID, firstname: 'Ada', lastname: 'Tipper', email: 'tipper@example.com' }
+    ]);
+    await Purchase.sync();
+    await WalletAccount.sync();
+    await WalletTransaction.sync();
+    await LedgerJournal.sync();
+    await LedgerEntry.sync();
+    await Tip.sync();
+    await FraudUserProfile.sync();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(tipService, 'resolveTarget').mockImplementation(async (type, id) => TARGETS[id] || null);
+    jest.clearAllMocks();
+
+    paystackClient.post.mockImplementation(async (path, body) => ({
+      data: { data: { authorization_url: 'https://checkout.paystack.com/tip', access_code: 'tip', reference: body.reference } }
+    }));
+
+    await Tip.destroy({ where: {} });
+    await WalletTransaction.destroy({ where: {} });
+    await LedgerEntry.destroy({ where: {} });
+    await LedgerJournal.destroy({ where: {} });
+    await WalletAccount.destroy({ where: {} });
+    await setBalance(TIPPER_ID, 'NGN', 5000);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('wallet tip debits the tipper and credits the creator minus the fee', async () => {
+    const { tip: sent, payment } = await tip({ message: 'Great class!' });
+
+    expect(payment).toBeNull();
+    expect(sent).toMatchObject({ status: 'completed', paymentMethod: 'wallet', creatorId: CREATOR_ID, message: 'Great class!' });
+    expect(parseFloat(sent.platformFee)).toBe(100);
+    expect(parseFloat(sent.creatorNet)).toBe(900);
+
+    expect(await getBalances(TIPPER_ID)).toEqual({ available: 4000, pending: 0 });
+    expect(await getBalances(CREATOR_ID)).toEqual({ available: 900, pending: 0 });
+
+    const debit = await WalletTransaction.findOne({ where: { reference: `WALLET-${sent.paymentReference}` } });
+    expect(debit).toMatchObject({ transaction_type: 'debit', gateway: 'wallet' });
+
+    expect(await ledgerBalance('gateway_clearing:wallet:NGN')).toBe(0);
+    expect(await ledgerBalance('platform_fee:NGN')).toBe(10000);
+
+    expect(websocketManager.sendOrQueue).toHaveBeenCalledWith(CREATOR_ID, 'tip_received', expect.objectContaining({
+      amount: 1000,
+      creatorNet: 900,
+      tipper: { id: TIPPER_ID, name: 'Ada Tipper' }
+    }));
+    expect(websocketManager.broadcastTip).not.toHaveBeenCalled();
+  });
+
+  test('broadcasts live tips to the ZegoCloud room, hiding anonymous tippers', async () => {
+    await tip({ contentType: 'live_class', contentId: CLASS_ID, amount: 500, anonymous: true });
+
+    expect(websocketManager.broadcastTip).toHaveBeenCalledWith('room_pottery', expect.objectContaining({
+      contentType: 'live_class',
+      amount: 500,
+      tipper: null
+    }));
+  });
+
+  test('rejects invalid tips without moving money', async () => {
+    await WalletAccount.update({ balance_available: 50000 }, { where: { user_id: TIPPER_ID } });
+
+    await expect(tip()).rejects.toMatchObject({ statusCode: 402 });
+    await expect(tip({ amount: 50 })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(tip({ contentType: 'course' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(tip({ contentId: 'f0000000-0000-4000-8000-00000000000f' })).rejects.toMatchObject({ statusCode: 404 });
+    await expect(tip({ tipperId: CREATOR_ID, amount: 100 })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'You cannot tip yourself'
+    });
+
+    expect(await Tip.count()).toBe(0);
+    expect(await getBalances(TIPPER_ID)).toEqual({ available: 500, pending: 0 });
+    expect(await getBalances(CREATOR_ID)).toEqual({ available: 0, pending: 0 });
+  });
+
+  test('card tips credit the creator once when the webhook arrives', async () => {
+    const { tip: pending, payment } = await tip({ paymentMethod: 'card', amount: 2000 });
+
+    expect(payment.gateway).toBe('paystack');
+    expect(pending).toMatchObject({ status: 'pending', paymentMethod: 'paystack' });
+    const [, body] = paystackClient.post.mock.calls[0];
+    expect(body).toMatchObject({ amount: 200000, currency: 'NGN', metadata: expect.objectContaining({ type: 'tip', tipId: pending.id }) });
+    expect(websocketManager.sendOrQueue).not.toHaveBeenCalled();
+
+    const charge = {
+      reference: pending.paymentReference,
+      amount: 200000,
+      currency: 'NGN',
+      metadata: { type: 'tip', tipId: pending.id }
+    };
+
+    const first = await tipService.handleGatewayPayment('paystack', charge);
+    const replay = await tipService.handleGatewayPayment('paystack', charge);
+
+    expect(first.alreadyProcessed).toBe(false);
+    expect(first.tip.status).toBe('completed');
+    expect(replay.alreadyProcessed).toBe(true);
+    expect(await getBalances(TIPPER_ID)).toEqual({ available: 5000, pending: 0 });
+    expect(await getBalances(CREATOR_ID)).toEqual({ available: 1800, pending: 0 });
+    expect(websocketManager.sendOrQueue).toHaveBeenCalledTimes(1);
+  });
+
+  test('shows tips in the creator sales and earnings breakdown', async () => {
+    jest.spyOn(Video, 'findAll').mockResolvedValue([]);
+    jest.spyOn(LiveClass, 'findAll').mockResolvedValue([]);
+
+    await tip({ message: 'Thanks!' });
+    await tip({ contentType: 'live_class', contentId: CLASS_ID, amount: 500, anonymous: true });
+
+    const sales = await walletService.getCreatorPurchases(CREATOR_ID);
+    expect(sales.totalTips).toBe(2);
+    expect(sales.tips.find(t => t.contentType === 'live_class').tipper).toBeNull();
+    expect(sales.tips.find(t => t.contentType === 'video').tipper).toMatchObject({ id: TIPPER_ID });
+
+    // Tips page on their own, independent of the purchase page
+    const firstTip = await walletService.getCreatorPurchases(CREATOR_ID, { limit: 10, offset: 20, tipLimit: 1 });
+    const secondTip = await walletService.getCreatorPurchases(CREATOR_ID, { limit: 10, offset: 20, tipLimit: 1, tipOffset: 1 });
+    expect(firstTip).toMatchObject({ totalTips: 2, tipLimit: 1, tipOffset: 0 });
+    expect(firstTip.tips).toHaveLength(1);
+    expect(secondTip.tips).toHaveLength(1);
+    expect(secondTip.tips[0].id).not.toBe(firstTip.tips[0].id);
+
+    const earnings = await walletService.getEarningsBreakdown(CREATOR_ID);
+    expect(earnings.breakdown.NGN).toMatchObject({ totalFromTips: 1500, tipCount: 2, totalSales: 0 });
+    expect(earnings.recentTips).toHaveLength(2);
+  });
+
+  test('blocked users cannot move wallet money by tipping', async () => {
+    await FraudUserProfile.create({ userId: TIPPER_ID, isBlocked: true, blockReason: 'Multiple suspicious activities' });
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: TIPPER_ID, email: 'tipper@example.com' };
+      next();
+    });
+    app.post('/videos/:id/tips', ...tipGuards, tipController.tipVideo);
+
+    const response = await request(app)
+      .post(`/videos/${VIDEO_ID}/tips`)
+      .send({ amount: 1000, currency: 'NGN', paymentMethod: 'wallet' });
+
+    expect(response.status).toBe(403);
+    expect(response.body).toMatchObject({ success: false, type: 'fraud_detection_block' });
+    expect(await Tip.count()).toBe(0);
+    expect(await getBalances(TIPPER_ID)).toEqual({ available: 5000, pending: 0 });
+    expect(await getBalances(CREATOR_ID)).toEqual({ available: 0, pending: 0 });
+
+    await FraudUserProfile.destroy({ where: {} });
+  });
+});
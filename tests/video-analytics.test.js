@@ -0,0 +1,229 @@
+// Must mock config/db before any model is required
+jest.mock('../config/db', () => require('./helpers/sqliteDb'));
+jest.mock('../config/stripe', () => ({ stripeClient: {} }));
+
+const sequelize = require('../config/db');
+const videoAnalyticsService = require('../services/videoAnalyticsService');
+const VideoView = require('../models/VideoView');
+const VideoWatchSegment = require('../models/VideoWatchSegment');
+const Video = require('../models/Video');
+const { checkContentAccess, tracksPreview } = require('../middleware/purchaseMiddleware');
+const { User, Purchase } = require('../models/walletIndex');
+
+const CREATOR_ID = 1;
+const VIEWER_ID = 2;
+const BUYER_ID = 3;
+
+const VIDEO_ID = 'a0000000-0000-4000-8000-000000000001';
+const OTHER_VIDEO_ID = 'b0000000-0000-4000-8000-000000000002';
+
+// Video has an ARRAY column sqlite can't create, so videos are plain objects
+const VIDEOS = {
+  [VIDEO_ID]: { id: VIDEO_ID, userId: CREATOR_ID, title: 'Lagos Jazz Masterclass', durationSeconds: 100, viewsCount: 40 },
+  [OTHER_VIDEO_ID]: { id: OTHER_VIDEO_ID, userId: CREATOR_ID, title: 'Highlife Guitar Basics', durationSeconds: 200, viewsCount: 3 }
+};
+
+function view(overrides = {}) {
+  return videoAnalyticsService.recordView({ videoId: VIDEO_ID, userId: VIEWER_ID, ipAddress: '10.0.0.2', source: 'feed', ...overrides });
+}
+
+function heartbeat(viewId, from, to, overrides = {}) {
+  return videoAnalyticsService.recordHeartbeat({ videoId: VIDEO_ID, viewId, userId: VIEWER_ID, from, to, ...overrides });
+}
+
+async function backdate(model, id, daysAgo) {
+  const date = new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000);
+  await sequelize.query(`UPDATE ${model.tableName} SET created_at = ? WHERE id = ?`, { replacements: [date.toISOString().replace('T', ' ').replace('Z', ' +00:00'), id] });
+}
+
+describe('Video analytics', () => {
+  beforeAll(async () => {
+    await User.sync();
+    await User.bulkCreate([
+      { id: CREATOR_ID, firstname: 'Femi', lastname: 'Creator', email: 'analytics-creator@example.com' },
+      { id: VIEWER_ID, firstname: 'Ada', lastname: 'Viewer', email: 'analytics-viewer@example.com' },
+      { id: BUYER_ID, firstname: 'Tunde', lastname: 'Buyer', email: 'analytics-buyer@example.com' }
+    ]);
+    await Purchase.sync();
+    await VideoView.sync();
+    await VideoWatchSegment.sync();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(Video, 'findByPk').mockImplementation(async (id) => VIDEOS[id] || null);
+    jest.spyOn(Video, 'findAll').mockImplementation(async ({ where }) => where.id.map(id => VIDEOS[id]).filter(Boolean));
+    jest.spyOn(Video, 'increment').mockResolvedValue(undefined);
+
+    await VideoWatchSegment.destroy({ where: {} });
+    await VideoView.destroy({ where: {} });
+    await Purchase.destroy({ where: {} });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('records one view per viewer per day, keeping paywall previews apart', async () => {
+    const first = await view();
+    const again = await view({ ipAddress: '10.0.0.99' });
+    const preview = await view({ isPreview: true });
+    const guest = await view({ userId: null, ipAddress: '10.0.0.2' });
+
+    expect(again.id).toBe(first.id);
+    expect(preview.id).not.toBe(first.id);
+    expect(guest.id).not.toBe(first.id);
+    expect(Video.increment).toHaveBeenCalledTimes(2);
+
+    expect(videoAnalyticsService.resolveSource('search', null)).toBe('search');
+    expect(videoAnalyticsService.resolveSource('billboard', 'https://twitter.com/post/1')).toBe('external');
+    expect(videoAnalyticsService.resolveSource(undefined, undefined)).toBe('direct');
+  });
+
+  test('only the video page records paywall previews', async () => {
+    VIDEOS[VIDEO_ID].price = '2500.00';
+    const paywallHit = async (path, middleware = []) => {
+      const req = {
+        baseUrl: '/videos',
+        path,
+        params: { id: VIDEO_ID },
+        query: {},
+        headers: { 'x-forwarded-for': '10.0.0.7' },
+        header: () => undefined,
+        get: () => undefined
+      };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      for (const fn of middleware) fn(req, res, () => {});
+      await checkContentAccess(req, res, jest.fn());
+      expect(res.status).toHaveBeenCalledWith(401);
+      // Previews are recorded without holding up the response
+      await new Promise(resolve => setTimeout(resolve, 50));
+    };
+
+    try {
+      await paywallHit('/playback');
+      await paywallHit('/transcript');
+      expect(await VideoView.count()).toBe(0);
+
+      await paywallHit('/', [tracksPreview]);
+      expect(await VideoView.count({ where: { isPreview: true, ipAddress: '10.0.0.7' } })).toBe(1);
+    } finally {
+      delete VIDEOS[VIDEO_ID].price;
+    }
+  });
+
+  test('heartbeats build watch segments and the unique seconds watched', async () => {
+    const { id } = await view();
+
+    await heartbeat(id, 0, 10);
+    await heartbeat(id, 10.4, 20.2);
+    await heartbeat(id, 50, 60);
+    // Rewatching counts towards watch time but not unique seconds
+    await heartbeat(id, 5, 15);
+    const progress = await heartbeat(id, 90, 130);
+
+    expect(progress).toEqual({ viewId: id, uniqueSecondsWatched: 41, percentWatched: 41 });
+    expect(await VideoWatchSegment.count({ where: { viewId: id } })).toBe(4);
+
+    const stored = await VideoView.findByPk(id);
+    expect(stored.uniqueSecondsWatched).toBe(41);
+    expect(stored.watchDuration).toBe(51);
+  });
+
+  test('rejects heartbeats that are invalid or for someone else\'s view', async () => {
+    const { id } = await view();
+    const preview = await view({ isPreview: true });
+
+    await expect(heartbeat(id, 20, 10)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(heartbeat(id, 0, 500)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(heartbeat(id, 100, 110)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(heartbeat(id, 0, 10, { userId: BUYER_ID })).rejects.toMatchObject({ statusCode: 403 });
+    await expect(heartbeat(preview.id, 0, 10)).rejects.toMatchObject({ statusCode: 403 });
+    await expect(heartbeat(id, 0, 10, { videoId: OTHER_VIDEO_ID })).rejects.toMatchObject({ statusCode: 404 });
+
+    expect(await VideoWatchSegment.count()).toBe(0);
+  });
+
+  test('reports retention, completion, viewers, sources and preview conversion', async () => {
+    // Viewer watched the whole video today and half of it two days ago
+    const today = await view();
+    await heartbeat(today.id, 0, 100);
+    await heartbeat(today.id, 0, 100);
+    const earlier = await VideoView.create({ videoId: VIDEO_ID, userId: VIEWER_ID, source: 'search' });
+    await backdate(VideoView, earlier.id, 2);
+    await heartbeat(earlier.id, 0, 50);
+
+    // A guest from another site watched the first 30 seconds
+    const guest = await view({ userId: null, ipAddress: '10.0.0.7', source: 'external' });
+    await heartbeat(guest.id, 0, 30, { userId: null });
+
+    // The buyer saw the paywall, then bought the video
+    await view({ userId: BUYER_ID, ipAddress: '10.0.0.3', isPreview: true });
+    await view({ userId: null, ipAddress: '10.0.0.8', isPreview: true, source: 'external' });
+    await Purchase.create({
+      userId: BUYER_ID,
+      contentType: 'video',
+      contentId: VIDEO_ID,
+      amount: 2500,
+      currency: 'NGN',
+      paymentGateway: 'paystack',
+      paymentReference: 'ref_analytics_1',
+      paymentStatus: 'completed'
+    });
+
+    const analytics = await videoAnalyticsService.getVideoAnalytics(VIDEOS[VIDEO_ID], { days: 7 });
+
+    expect(analytics.totals).toEqual({
+      views: 3,
+      uniqueViewers: 2,
+      returningViewers: 1,
+      previews: 2,
+      viewsWithProgress: 3,
+      totalWatchTimeSeconds: 280,
+      averagePercentWatched: 60,
+      completionRate: 33.33,
+      lifetimeViews: 40
+    });
+
+    expect(analytics.retention).toHaveLength(20);
+    expect(analytics.retention[0]).toEqual({ second: 0, percentOfVideo: 0, percentOfViewers: 100 });
+    expect(analytics.retention[10]).toEqual({ second: 50, percentOfVideo: 50, percentOfViewers: 33.33 });
+    expect(analytics.retention[6]).toEqual({ second: 30, percentOfVideo: 30, percentOfViewers: 66.67 });
+
+    expect(analytics.sources).toEqual([
+      { source: 'external', views: 1, previews: 1 },
+      { source: 'feed', views: 1, previews: 1 },
+      { source: 'search', views: 1, previews: 0 }
+    ]);
+    expect(analytics.conversion).toEqual({ previewViewers: 1, guestPreviews: 1, purchasesAfterPreview: 1, conversionRate: 100 });
+
+    expect(analytics.daily).toHaveLength(8);
+    const lastDay = analytics.daily[analytics.daily.length - 1];
+    expect(lastDay).toMatchObject({ views: 2, uniqueViewers: 2, previews: 2, sales: 1, revenue: { NGN: 2500 } });
+    expect(analytics.daily[analytics.daily.length - 3]).toMatchObject({ views: 1, previews: 0, sales: 0 });
+  });
+
+  test('admins get totals across videos with the top videos by views', async () => {
+    const watched = await view();
+    await heartbeat(watched.id, 0, 100);
+    await view({ userId: BUYER_ID, ipAddress: '10.0.0.3' });
+
+    const other = await view({ videoId: OTHER_VIDEO_ID, source: 'community' });
+    await heartbeat(other.id, 0, 50, { videoId: OTHER_VIDEO_ID });
+
+    const analytics = await videoAnalyticsService.getPlatformVideoAnalytics({ days: 30, limit: 5 });
+
+    expect(analytics.totals).toMatchObject({
+      views: 3,
+      uniqueViewers: 2,
+      videosViewed: 2,
+      viewsWithProgress: 2,
+      averagePercentWatched: 62.5,
+      completionRate: 50
+    });
+    expect(analytics.topVideos.map(video => [video.title, video.views, video.averagePercentWatched])).toEqual([
+      ['Lagos Jazz Masterclass', 2, 100],
+      ['Highlife Guitar Basics', 1, 25]
+    ]);
+    expect(analytics.sources.find(source => source.source === 'community')).toEqual({ source: 'community', views: 1, previews: 0 });
+  });
+});
@@ -0,0 +1,302 @@
+// Must mock config/db before any model is required
+jest.mock('../config/db', () => require('./helpers/sqliteDb'));
+jest.mock('../config/mux', () => ({
+  jwt: { signPlaybackId: jest.fn() },
+  video: {
+    assets: {
+      delete: jest.fn(),
+      createTrack: jest.fn(),
+      deleteTrack: jest.fn(),
+      createPlaybackId: jest.fn(),
+      deletePlaybackId: jest.fn()
+    }
+  }
+}));
+jest.mock('../services/s3Service', () => ({
+  uploadFileToS3: jest.fn(),
+  deleteFileFromS3: jest.fn().mockResolvedValue({ success: true }),
+  getSignedUrl: jest.fn((key, expiresIn) => `https://bucket.s3.amazonaws.com/${key}?X-Amz-Expires=${expiresIn}`),
+  s3: { deleteObject: jest.fn(() => ({ promise: () => Promise.resolve({}) })) }
+}));
+
+const mux = require('../config/mux');
+const { uploadFileToS3, s3 } = require('../services/s3Service');
+const { parseCaptions } = require('../utils/captionParser');
+const { setChaptersService, completeSourceReplacement } = require('../services/videoService');
+const videoCaptionService = require('../services/videoCaptionService');
+const videoCaptionController = require('../controllers/videoCaptionController');
+const VideoCaption = require('../models/VideoCaption');
+const Video = require('../models/Video');
+
+const CREATOR_ID = 1;
+const VIDEO_ID = 'a0000000-0000-4000-8000-000000000001';
+
+const ENGLISH_VTT = [
+  'WEBVTT - Lagos Jazz Masterclass',
+  '',
+  'NOTE Exported from the editor',
+  '',
+  'intro',
+  '00:00.500 --> 00:04.000 align:start',
+  '<v Femi>Welcome to the <i>masterclass</i>',
+  '',
+  '00:01:05.000 --> 00:01:09.250',
+  'Keep the rhythm steady &amp; relaxed',
+  ''
+].join('\n');
+
+const YORUBA_SRT = [
+  '1',
+  '00:00:00,500 --> 00:00:04,000',
+  'Ẹ kú àbọ̀',
+  '',
+  '2',
+  '00:01:05,000 --> 00:01:09,250',
+  '{\\an8}Iṣẹ́ ìlù náà',
+  ''
+].join('\r\n');
+
+function captionFile(contents, originalname = 'captions.vtt') {
+  return { originalname, buffer: Buffer.from(contents, 'utf8') };
+}
+
+// Video has an ARRAY column sqlite can't create, so videos are plain objects
+function video(overrides = {}) {
+  const attributes = {
+    id: VIDEO_ID,
+    userId: CREATOR_ID,
+    title: 'Lagos Jazz Masterclass',
+    type: 'long',
+    status: 'ready',
+    privacy: 'public',
+    price: '0.00',
+    pricingMode: 'fixed',
+    durationSeconds: 1800,
+    muxAssetId: 'asset_1',
+    muxPlaybackId: 'public_playback_1',
+    muxPlaybackPolicy: 'public',
+    chapters: null,
+    ...overrides
+  };
+  attributes.update = jest.fn(async (values) => Object.assign(attributes, values));
+  return attributes;
+}
+
+describe('Video chapters, captions and transcript', () => {
+  let current;
+
+  beforeAll(async () => {
+    await VideoCaption.sync();
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    current = video();
+    jest.spyOn(Video, 'findByPk').mockImplementation(async (id) => (id === VIDEO_ID ? current : null));
+
+    let uploads = 0;
+    uploadFileToS3.mockImplementation(async (buffer, name) => {
+      const key = `upload/captions/${++uploads}-${name}`;
+      return { key, url: `https://bucket.s3.amazonaws.com/${key}` };
+    });
+    let tracks = 0;
+    mux.video.assets.createTrack.mockImplementation(async () => ({ id: `track_${++tracks}`, status: 'preparing' }));
+
+    await VideoCaption.destroy({ where: {} });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('parses WebVTT and SRT into plain-text cues and rejects malformed files', () => {
+    expect(parseCaptions(Buffer.from(ENGLISH_VTT), 'vtt').cues).toEqual([
+      { start: 0.5, end: 4, text: 'Welcome to the masterclass' },
+      { start: 65, end: 69.25, text: 'Keep the rhythm steady & relaxed' }
+    ]);
+    expect(parseCaptions(Buffer.from(YORUBA_SRT), 'srt').cues.map(cue => cue.text)).toEqual(['Ẹ kú àbọ̀', 'Iṣẹ́ ìlù náà']);
+
+    const malformed = [
+      ['1\n00:00:01,000 --> 00:00:02,000\nHello', 'vtt', 'Line 1: WebVTT files must start with "WEBVTT"'],
+      ['WEBVTT\n\n00:01.000 --> 00:02\nHello', 'vtt', 'Line 3: invalid timestamp'],
+      ['WEBVTT\n\n00:05.000 --> 00:02.000\nHello', 'vtt', 'Line 3: cue ends before it starts'],
+      ['WEBVTT\n\n00:01.000 --> 00:02.000\nHello\n00:03.000 --> 00:04.000\nThere', 'vtt', 'Line 5: missing blank line between cues'],
+      ['WEBVTT\n\n00:05.000 --> 00:06.000\nB\n\n00:01.000 --> 00:02.000\nA', 'vtt', 'Line 6: cues must be in start time order'],
+      ['WEBVTT\n\nNOTE nothing here', 'vtt', 'no cues'],
+      ['one\n00:00:01,000 --> 00:00:02,000\nHello', 'srt', 'Line 1: expected a cue number'],
+      ['1\n00:00:01,000 --> 00:00:02,000', 'srt', 'Line 1: cue 1 has no text']
+    ];
+    malformed.forEach(([contents, format, message]) => {
+      expect(() => parseCaptions(Buffer.from(contents), format)).toThrow(message);
+    });
+    expect(() => parseCaptions(Buffer.from([0xc3, 0x28, 0x00]), 'srt')).toThrow('UTF-8');
+  });
+
+  test('rejects malformed or misdirected caption uploads before anything reaches S3 or Mux', async () => {
+    const add = (file, options = { languageCode: 'en' }, userId = CREATOR_ID) => (
+      videoCaptionService.addCaptionService(userId, VIDEO_ID, file, options)
+    );
+
+    await expect(add(captionFile('WEBVTT\n\n00:05.000 --> 00:02.000\nHello'))).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Invalid caption file: Line 3: cue ends before it starts'
+    });
+    await expect(add(captionFile(ENGLISH_VTT, 'captions.txt'))).rejects.toMatchObject({ statusCode: 400 });
+    await expect(add(null)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(add(captionFile(ENGLISH_VTT), { languageCode: 'english please' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(add(captionFile('WEBVTT\n\n01:00:00.000 --> 01:00:02.000\nLate'))).rejects.toMatchObject({ statusCode: 400 });
+    await expect(add(captionFile(ENGLISH_VTT), { languageCode: 'en' }, 2)).rejects.toMatchObject({ statusCode: 403 });
+
+    current = video({ status: 'processing', muxAssetId: null });
+    await expect(add(captionFile(ENGLISH_VTT))).rejects.toMatchObject({ statusCode: 409 });
+
+    expect(uploadFileToS3).not.toHaveBeenCalled();
+    expect(mux.video.assets.createTrack).not.toHaveBeenCalled();
+    expect(await VideoCaption.count()).toBe(0);
+  });
+
+  test('attaches each language as a Mux text track and replaces a re-uploaded language', async () => {
+    const english = await videoCaptionService.addCaptionService(CREATOR_ID, VIDEO_ID, captionFile(ENGLISH_VTT), {
+      languageCode: 'EN',
+      closedCaptions: 'true'
+    });
+    await videoCaptionService.addCaptionService(CREATOR_ID, VIDEO_ID, captionFile(YORUBA_SRT, 'yoruba.srt'), {
+      languageCode: 'yo',
+      name: 'Yorùbá'
+    });
+
+    expect(english).toMatchObject({ languageCode: 'en', name: 'English', closedCaptions: true, format: 'vtt', status: 'preparing' });
+    expect(uploadFileToS3).toHaveBeenCalledWith(expect.any(Buffer), 'yoruba.srt', 'application/x-subrip', 'captions');
+    expect(mux.video.assets.createTrack).toHaveBeenCalledWith('asset_1', {
+      // Mux fetches the private file through a signed URL
+      url: 'https://bucket.s3.amazonaws.com/upload/captions/1-captions.vtt?X-Amz-Expires=3600',
+      type: 'text',
+      text_type: 'subtitles',
+      language_code: 'en',
+      name: 'English',
+      closed_captions: true
+    });
+
+    // Mux webhook: video.asset.track.ready
+    await videoCaptionService.updateTrackStatus('track_2', 'ready');
+
+    // A corrected English file replaces the first one in place
+    const fixed = await videoCaptionService.addCaptionService(CREATOR_ID, VIDEO_ID, captionFile(ENGLISH_VTT, 'fixed.vtt'), {
+      languageCode: 'en',
+      closedCaptions: true
+    });
+    expect(fixed.id).toBe(english.id);
+    expect(mux.video.assets.deleteTrack).toHaveBeenCalledWith('asset_1', 'track_1');
+    expect(s3.deleteObject).toHaveBeenCalledWith(expect.objectContaining({ Key: 'upload/captions/1-captions.vtt' }));
+
+    expect((await videoCaptionService.listCaptions(VIDEO_ID)).map(c => [c.languageCode, c.status])).toEqual([
+      ['en', 'preparing'],
+      ['yo', 'ready']
+    ]);
+
+    await videoCaptionService.deleteCaptionService(CREATOR_ID, VIDEO_ID, fixed.id);
+    expect(mux.video.assets.deleteTrack).toHaveBeenCalledWith('asset_1', 'track_3');
+    await expect(videoCaptionService.deleteCaptionService(CREATOR_ID, VIDEO_ID, fixed.id)).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('caption files are private and handed out as signed URLs behind the access check', async () => {
+    const english = await videoCaptionService.addCaptionService(CREATOR_ID, VIDEO_ID, captionFile(ENGLISH_VTT), { languageCode: 'en' });
+    expect(english.fileKey).toBeUndefined();
+    expect(JSON.stringify(await videoCaptionService.listCaptions(VIDEO_ID))).not.toContain('upload/captions');
+
+    const request = (overrides = {}) => ({
+      params: { id: VIDEO_ID, captionId: english.id },
+      header: () => undefined,
+      ...overrides
+    });
+    const response = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn() });
+
+    current = video({ price: '2500.00', muxPlaybackPolicy: 'signed' });
+    const locked = response();
+    await videoCaptionController.getCaptionFile(request({ hasAccess: false }), locked);
+    expect(locked.status).toHaveBeenCalledWith(402);
+
+    const unlocked = response();
+    await videoCaptionController.getCaptionFile(request({ hasAccess: true }), unlocked);
+    expect(unlocked.status).toHaveBeenCalledWith(200);
+    expect(unlocked.json.mock.calls[0][0].caption).toMatchObject({
+      id: english.id,
+      languageCode: 'en',
+      url: 'https://bucket.s3.amazonaws.com/upload/captions/1-captions.vtt?X-Amz-Expires=300',
+      expiresIn: 300
+    });
+
+    current = video({ privacy: 'private' });
+    const hidden = response();
+    await videoCaptionController.getCaptionFile(request({ hasAccess: true, user: { id: 2 } }), hidden);
+    expect(hidden.status).toHaveBeenCalledWith(403);
+
+    await expect(videoCaptionService.getCaptionFile(current, 'f0000000-0000-4000-8000-00000000000f'))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('validates and sorts chapter markers for long-form videos', async () => {
+    const updated = await setChaptersService(CREATOR_ID, VIDEO_ID, [
+      { startTime: '12:30', title: ' Improvising over changes ' },
+      { startTime: 0, title: 'Introduction' },
+      { startTime: '1:05', title: 'Keeping time' }
+    ]);
+
+    expect(updated.chapters).toEqual([
+      { startTime: 0, title: 'Introduction' },
+      { startTime: 65, title: 'Keeping time' },
+      { startTime: 750, title: 'Improvising over changes' }
+    ]);
+
+    const invalid = [
+      [{ startTime: 10, title: 'Late start' }],
+      [{ startTime: 0, title: 'A' }, { startTime: '0:00', title: 'B' }],
+      [{ startTime: 0, title: 'A' }, { startTime: '31:00', title: 'After the end' }],
+      [{ startTime: 0, title: '' }],
+      [{ startTime: 'soon', title: 'A' }],
+      'not a list'
+    ];
+    for (const chapters of invalid) {
+      await expect(setChaptersService(CREATOR_ID, VIDEO_ID, chapters)).rejects.toMatchObject({ statusCode: 400 });
+    }
+
+    const cleared = await setChaptersService(CREATOR_ID, VIDEO_ID, []);
+    expect(cleared.chapters).toBeNull();
+
+    current = video({ type: 'short' });
+    await expect(setChaptersService(CREATOR_ID, VIDEO_ID, [{ startTime: 0, title: 'Intro' }])).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('serves a searchable transcript and keeps captions when the source is replaced', async () => {
+    await expect(videoCaptionService.getTranscript(current)).rejects.toMatchObject({ statusCode: 404 });
+
+    await videoCaptionService.addCaptionService(CREATOR_ID, VIDEO_ID, captionFile(YORUBA_SRT, 'yoruba.srt'), { languageCode: 'yo' });
+    await videoCaptionService.addCaptionService(CREATOR_ID, VIDEO_ID, captionFile(ENGLISH_VTT), { languageCode: 'en-GB' });
+    await setChaptersService(CREATOR_ID, VIDEO_ID, [{ startTime: 0, title: 'Introduction' }, { startTime: 60, title: 'Keeping time' }]);
+
+    const english = await videoCaptionService.getTranscript(current, { q: 'RHYTHM' });
+    expect(english.caption.languageCode).toBe('en-GB');
+    expect(english.languages.map(language => language.languageCode)).toEqual(['en-GB', 'yo']);
+    expect(english.cues).toHaveLength(2);
+    expect(english.matches).toEqual([
+      { index: 1, start: 65, end: 69.25, text: 'Keep the rhythm steady & relaxed', chapter: 'Keeping time' }
+    ]);
+
+    // Accent-insensitive search in Yoruba
+    const yoruba = await videoCaptionService.getTranscript(current, { language: 'yo', q: 'ise' });
+    expect(yoruba.matches.map(match => match.text)).toEqual(['Iṣẹ́ ìlù náà']);
+    await expect(videoCaptionService.getTranscript(current, { language: 'fr' })).rejects.toMatchObject({ statusCode: 404 });
+
+    await completeSourceReplacement(current, {
+      id: 'asset_2',
+      upload_id: 'upload_2',
+      duration: 1799.2,
+      playback_ids: [{ id: 'public_playback_2', policy: 'public' }]
+    });
+
+    expect(mux.video.assets.createTrack).toHaveBeenCalledWith('asset_2', expect.objectContaining({ language_code: 'yo' }));
+    expect(mux.video.assets.createTrack).toHaveBeenCalledWith('asset_2', expect.objectContaining({ language_code: 'en-GB' }));
+    const reattached = await VideoCaption.findAll({ order: [['languageCode', 'ASC']] });
+    expect(reattached.map(caption => caption.muxTrackId)).toEqual(['track_4', 'track_3']);
+  });
+});
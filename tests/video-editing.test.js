@@ -0,0 +1,187 @@
+// Must mock config/db before any model is required
+jest.mock('../config/db', () => require('./helpers/sqliteDb'));
+jest.mock('../config/mux', () => ({
+  jwt: { signPlaybackId: jest.fn() },
+  video: {
+    uploads: { create: jest.fn(), cancel: jest.fn() },
+    assets: {
+      delete: jest.fn(),
+      createPlaybackId: jest.fn(),
+      deletePlaybackId: jest.fn()
+    }
+  }
+}));
+jest.mock('../services/s3Service', () => ({
+  deleteFileFromS3: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const mux = require('../config/mux');
+const { deleteFileFromS3 } = require('../services/s3Service');
+const {
+  updateVideoService,
+  replaceThumbnailService,
+  replaceSourceService,
+  completeSourceReplacement
+} = require('../services/videoService');
+const { requireVideoOwner } = require('../controllers/videoController');
+const Video = require('../models/Video');
+
+const CREATOR_ID = 1;
+const VIDEO_ID = 'a0000000-0000-4000-8000-000000000001';
+
+// Video has an ARRAY column sqlite can't create, so videos are plain objects
+function video(overrides = {}) {
+  const attributes = {
+    id: VIDEO_ID,
+    userId: CREATOR_ID,
+    title: 'Lagos Jazz Masterlcass',
+    price: '0.00',
+    currency: 'NGN',
+    pricingMode: 'fixed',
+    privacy: 'public',
+    status: 'ready',
+    viewsCount: 1200,
+    thumbnailUrl: 'https://bucket.s3.amazonaws.com/upload/photos/old.png',
+    muxUploadId: 'upload_1',
+    muxAssetId: 'asset_1',
+    muxPlaybackId: 'public_playback_1',
+    muxPlaybackPolicy: 'public',
+    muxReplacementUploadId: null,
+    replacementStatus: null,
+    ...overrides
+  };
+  attributes.update = jest.fn(async (values) => Object.assign(attributes, values));
+  return attributes;
+}
+
+describe('Video editing', () => {
+  let current;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    current = video();
+    jest.spyOn(Video, 'findByPk').mockImplementation(async (id) => (id === VIDEO_ID ? current : null));
+
+    mux.video.uploads.create.mockResolvedValue({ id: 'upload_2', url: 'https://storage.mux.com/upload_2' });
+    mux.video.assets.createPlaybackId.mockImplementation(async (assetId, { policy }) => ({ id: `${policy}_playback_2`, policy }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('edits metadata in place, keeping the ID and views', async () => {
+    const updated = await updateVideoService(CREATOR_ID, VIDEO_ID, {
+      title: '  Lagos Jazz Masterclass ',
+      tags: 'jazz, lagos, ',
+      currency: 'usd',
+      ageRestriction: 'true'
+    });
+
+    expect(updated).toMatchObject({
+      id: VIDEO_ID,
+      title: 'Lagos Jazz Masterclass',
+      tags: ['jazz', 'lagos'],
+      currency: 'USD',
+      ageRestriction: true,
+      viewsCount: 1200
+    });
+    expect(mux.video.assets.createPlaybackId).not.toHaveBeenCalled();
+  });
+
+  test('validates fields and ownership', async () => {
+    await expect(updateVideoService(2, VIDEO_ID, { title: 'Mine now' })).rejects.toMatchObject({ statusCode: 403 });
+    await expect(updateVideoService(CREATOR_ID, 'missing', { title: 'x' })).rejects.toMatchObject({ statusCode: 404 });
+    await expect(updateVideoService(CREATOR_ID, VIDEO_ID, { title: ' ' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(updateVideoService(CREATOR_ID, VIDEO_ID, { price: -5 })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(updateVideoService(CREATOR_ID, VIDEO_ID, { currency: 'EUR' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(updateVideoService(CREATOR_ID, VIDEO_ID, { privacy: 'secret' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(updateVideoService(CREATOR_ID, VIDEO_ID, {})).rejects.toMatchObject({ statusCode: 400 });
+
+    current = video({ pricingMode: 'tiered' });
+    await expect(updateVideoService(CREATOR_ID, VIDEO_ID, { price: 1000 })).rejects.toMatchObject({ statusCode: 400 });
+
+    expect(current.update).not.toHaveBeenCalled();
+  });
+
+  test('charging for a free video moves it to signed playback', async () => {
+    await updateVideoService(CREATOR_ID, VIDEO_ID, { price: '2500' });
+
+    expect(current).toMatchObject({ price: 2500, muxPlaybackId: 'signed_playback_2', muxPlaybackPolicy: 'signed' });
+    expect(mux.video.assets.deletePlaybackId).toHaveBeenCalledWith('asset_1', 'public_playback_1');
+  });
+
+  test('replaces the thumbnail and removes the old S3 object', async () => {
+    await expect(replaceThumbnailService(CREATOR_ID, VIDEO_ID, null)).rejects.toMatchObject({ statusCode: 400 });
+
+    const updated = await replaceThumbnailService(CREATOR_ID, VIDEO_ID, {
+      location: 'https://bucket.s3.amazonaws.com/upload/photos/new.svg'
+    });
+
+    expect(updated.thumbnailUrl).toBe('https://bucket.s3.amazonaws.com/upload/photos/new.svg');
+    expect(deleteFileFromS3).toHaveBeenCalledWith('https://bucket.s3.amazonaws.com/upload/photos/old.png');
+  });
+
+  test('checks ownership before a thumbnail upload reaches S3', async () => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    await requireVideoOwner({ user: { id: 2 }, params: { id: VIDEO_ID } }, res, next);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+
+    await requireVideoOwner({ user: { id: CREATOR_ID }, params: { id: VIDEO_ID } }, res, next);
+    expect(next).toHaveBeenCalledTimes(1);
+
+    // An upload that still gets through is removed, not orphaned
+    await expect(replaceThumbnailService(2, VIDEO_ID, {
+      location: 'https://bucket.s3.amazonaws.com/upload/photos/intruder.png'
+    })).rejects.toMatchObject({ statusCode: 403 });
+    expect(deleteFileFromS3).toHaveBeenCalledWith('https://bucket.s3.amazonaws.com/upload/photos/intruder.png');
+    expect(current.update).not.toHaveBeenCalled();
+  });
+
+  test('replacing the source keeps playing the old asset until the new one is ready', async () => {
+    current = video({ price: '2500.00', muxPlaybackId: 'signed_1', muxPlaybackPolicy: 'signed' });
+
+    const { uploadUrl } = await replaceSourceService(CREATOR_ID, VIDEO_ID);
+
+    expect(uploadUrl).toBe('https://storage.mux.com/upload_2');
+    expect(mux.video.uploads.create).toHaveBeenCalledWith(expect.objectContaining({
+      new_asset_settings: { playback_policy: ['signed'], passthrough: VIDEO_ID }
+    }));
+    expect(current).toMatchObject({
+      muxAssetId: 'asset_1',
+      muxPlaybackId: 'signed_1',
+      muxReplacementUploadId: 'upload_2',
+      replacementStatus: 'uploading'
+    });
+
+    // A second request cancels the first upload
+    mux.video.uploads.create.mockResolvedValueOnce({ id: 'upload_3', url: 'https://storage.mux.com/upload_3' });
+    await replaceSourceService(CREATOR_ID, VIDEO_ID);
+    expect(mux.video.uploads.cancel).toHaveBeenCalledWith('upload_2');
+
+    await completeSourceReplacement(current, {
+      id: 'asset_3',
+      upload_id: 'upload_3',
+      duration: 421.7,
+      playback_ids: [{ id: 'signed_3', policy: 'signed' }]
+    });
+
+    expect(current).toMatchObject({
+      id: VIDEO_ID,
+      viewsCount: 1200,
+      status: 'ready',
+      muxUploadId: 'upload_3',
+      muxAssetId: 'asset_3',
+      muxPlaybackId: 'signed_3',
+      muxPlaybackPolicy: 'signed',
+      durationSeconds: 421,
+      muxReplacementUploadId: null,
+      replacementStatus: null
+    });
+    expect(mux.video.assets.delete).toHaveBeenCalledWith('asset_1');
+    expect(mux.video.assets.createPlaybackId).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,245 @@
+// Must mock config/db before any model is required
+jest.mock('../config/db', () => require('./helpers/sqliteDb'));
+
+process.env.CURRENCY_CONVERSION_RATE_NGN_TO_USD = '1500';
+
+const walletConversionService = require('../services/walletConversionService');
+const withdrawalLimitService = require('../services/withdrawalLimitService');
+const fraudDetectionService = require('../services/fraudDetectionService');
+const {
+  User,
+  WalletAccount,
+  WalletTransaction,
+  LedgerJournal,
+  LedgerEntry,
+  CurrencyConversion,
+  Payout,
+  WithdrawalLimitProfile,
+  WithdrawalLimitOverride,
+  WithdrawalLimitAuditLog
+} = require('../models/walletIndex');
+const { FraudUserProfile, FraudTransactionEvent, FraudAlert } = require('../models/fraudIndex');
+const { setBalance, getBalance } = require('./helpers/wallet');
+
+const USER_ID = 1;
+const OTHER_USER_ID = 2;
+
+describe('Wallet Conversion Service', () => {
+  const originalSpread = walletConversionService.config.spreadPercent;
+
+  beforeAll(async () => {
+    await User.sync();
+    await User.bulkCreate([
+      { id: USER_ID, firstname: 'Ngozi', lastname: 'Creator', email: 'convert-creator@example.com' },
+      { id: OTHER_USER_ID, firstname: 'Obi', lastname: 'Other', email: 'convert-other@example.com' }
+    ]);
+    await WalletAccount.sync();
+    await WalletTransaction.sync();
+    await LedgerJournal.sync();
+    await LedgerEntry.sync();
+    await CurrencyConversion.sync();
+    await Payout.sync();
+    await WithdrawalLimitProfile.sync();
+    await WithdrawalLimitOverride.sync();
+    await WithdrawalLimitAuditLog.sync();
+    await FraudUserProfile.sync();
+    await FraudTransactionEvent.sync();
+    await FraudAlert.sync();
+  });
+
+  beforeEach(async () => {
+    walletConversionService.config.spreadPercent = 2;
+    await WalletTransaction.destroy({ where: {} });
+    await CurrencyConversion.destroy({ where: {} });
+    await WalletAccount.destroy({ where: {} });
+    await WithdrawalLimitAuditLog.destroy({ where: {} });
+    await WithdrawalLimitOverride.destroy({ where: {} });
+    await WithdrawalLimitProfile.destroy({ where: {} });
+    await FraudTransactionEvent.destroy({ where: {} });
+    await FraudUserProfile.destroy({ where: {} });
+  });
+
+  afterAll(() => {
+    walletConversionService.config.spreadPercent = originalSpread;
+  });
+
+  test('should quote the rate, spread fee and validity window', async () => {
+    await setBalance(USER_ID, 'USD', 100);
+
+    const quote = await walletConversionService.createQuote(USER_ID, {
+      fromCurrency: 'usd',
+      toCurrency: 'NGN',
+      amount: 50
+    });
+
+    expect(quote).toMatchObject({
+      fromCurrency: 'USD',
+      toCurrency: 'NGN',
+      sourceAmount: 50,
+      feeAmount: 1,
+      targetAmount: 73500,
+      marketRate: 1500,
+      spreadPercent: 2,
+      status: 'quoted'
+    });
+    expect(quote.effectiveRate).toBe(1470);
+    expect(quote.expiresInSeconds).toBeGreaterThan(0);
+    expect(quote.expiresInSeconds).toBeLessThanOrEqual(walletConversionService.config.quoteTtl / 1000);
+
+    // Quoting does not move money
+    expect(await getBalance(USER_ID, 'USD')).toBe(100);
+  });
+
+  test('should debit one wallet and credit the other with the quoted amounts', async () => {
+    await setBalance(USER_ID, 'USD', 100);
+    const quote = await walletConversionService.createQuote(USER_ID, {
+      fromCurrency: 'USD',
+      toCurrency: 'NGN',
+      amount: 50
+    });
+
+    const result = await walletConversionService.executeQuote(USER_ID, quote.id);
+
+    expect(result.conversion.status).toBe('completed');
+    expect(result.balances.USD.availableBalance).toBe(50);
+    expect(result.balances.NGN.availableBalance).toBe(73500);
+    expect(await getBalance(USER_ID, 'USD')).toBe(50);
+    expect(await getBalance(USER_ID, 'NGN')).toBe(73500);
+
+    const entries = await WalletTransaction.findAll({ order: [['transaction_type', 'ASC']] });
+    expect(entries.map(entry => [entry.transaction_type, entry.currency, parseInt(entry.amount)])).toEqual([
+      ['credit', 'NGN', 7350000],
+      ['debit', 'USD', 5000]
+    ]);
+    expect(entries.every(entry => entry.metadata.conversionId === quote.id)).toBe(true);
+    expect(entries[0].exchange_rate_snapshot.rate).toBe(1500);
+  });
+
+  test('should only execute a quote once', async () => {
+    await setBalance(USER_ID, 'NGN', 30000);
+    const quote = await walletConversionService.createQuote(USER_ID, {
+      fromCurrency: 'NGN',
+      toCurrency: 'USD',
+      amount: 15000
+    });
+
+    await walletConversionService.executeQuote(USER_ID, quote.id);
+    await expect(walletConversionService.executeQuote(USER_ID, quote.id))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    expect(await getBalance(USER_ID, 'NGN')).toBe(15000);
+    expect(await getBalance(USER_ID, 'USD')).toBe(9.8);
+  });
+
+  test('should reject expired quotes and quotes owned by another user', async () => {
+    await setBalance(USER_ID, 'USD', 20);
+    const quote = await walletConversionService.createQuote(USER_ID, {
+      fromCurrency: 'USD',
+      toCurrency: 'NGN',
+      amount: 10
+    });
+
+    await expect(walletConversionService.executeQuote(OTHER_USER_ID, quote.id))
+      .rejects.toMatchObject({ statusCode: 404 });
+
+    await CurrencyConversion.update({ expiresAt: new Date(Date.now() - 1000) }, { where: { id: quote.id } });
+    await expect(walletConversionService.executeQuote(USER_ID, quote.id))
+      .rejects.toMatchObject({ statusCode: 410 });
+
+    expect((await CurrencyConversion.findByPk(quote.id)).status).toBe('expired');
+    expect(await getBalance(USER_ID, 'USD')).toBe(20);
+  });
+
+  test('should roll back both wallets when the balance is spent before execution', async () => {
+    await setBalance(USER_ID, 'USD', 20);
+    const quote = await walletConversionService.createQuote(USER_ID, {
+      fromCurrency: 'USD',
+      toCurrency: 'NGN',
+      amount: 20
+    });
+
+    await setBalance(USER_ID, 'USD', 5);
+
+    await expect(walletConversionService.executeQuote(USER_ID, quote.id))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Insufficient USD balance' });
+
+    expect(await getBalance(USER_ID, 'NGN')).toBe(0);
+    expect((await CurrencyConversion.findByPk(quote.id)).status).toBe('quoted');
+    expect(await WalletTransaction.count()).toBe(0);
+  });
+
+  test('should reject quotes for invalid requests', async () => {
+    await setBalance(USER_ID, 'USD', 10);
+
+    await expect(walletConversionService.createQuote(USER_ID, { fromCurrency: 'USD', toCurrency: 'USD', amount: 5 }))
+      .rejects.toThrow('Source and target currencies must be different');
+    await expect(walletConversionService.createQuote(USER_ID, { fromCurrency: 'USD', toCurrency: 'EUR', amount: 5 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(walletConversionService.createQuote(USER_ID, { fromCurrency: 'USD', toCurrency: 'NGN', amount: 50 }))
+      .rejects.toThrow('Insufficient USD balance');
+    await expect(walletConversionService.createQuote(USER_ID, { fromCurrency: 'NGN', toCurrency: 'USD', amount: 50 }))
+      .rejects.toThrow('Minimum conversion is 100 NGN');
+  });
+
+  test('should refuse source currencies without a configured minimum', async () => {
+    await setBalance(USER_ID, 'USD', 10);
+    const { USD, ...minimumAmounts } = walletConversionService.config.minimumAmounts;
+    walletConversionService.config.minimumAmounts = minimumAmounts;
+
+    try {
+      await expect(walletConversionService.createQuote(USER_ID, { fromCurrency: 'USD', toCurrency: 'NGN', amount: 0.01 }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Conversions from USD are not supported' });
+    } finally {
+      walletConversionService.config.minimumAmounts = { ...minimumAmounts, USD };
+    }
+  });
+
+  test('should count completed conversions towards the withdrawal limits', async () => {
+    await setBalance(USER_ID, 'USD', 100);
+    await withdrawalLimitService.setCustomLimits(USER_ID, 'USD', { daily: 60 });
+
+    const first = await walletConversionService.createQuote(USER_ID, { fromCurrency: 'USD', toCurrency: 'NGN', amount: 40 });
+    await walletConversionService.executeQuote(USER_ID, first.id);
+
+    const second = await walletConversionService.createQuote(USER_ID, { fromCurrency: 'USD', toCurrency: 'NGN', amount: 40 });
+    await expect(walletConversionService.executeQuote(USER_ID, second.id))
+      .rejects.toMatchObject({ statusCode: 403, type: 'daily_limit' });
+
+    expect(await withdrawalLimitService.getCurrentUsage(USER_ID, 'USD')).toMatchObject({ daily: 40, dailyCount: 1 });
+    expect(await getBalance(USER_ID, 'USD')).toBe(60);
+  });
+
+  test('should respect withdrawal limit suspensions', async () => {
+    await setBalance(USER_ID, 'USD', 100);
+    const quote = await walletConversionService.createQuote(USER_ID, {
+      fromCurrency: 'USD',
+      toCurrency: 'NGN',
+      amount: 10
+    });
+
+    await withdrawalLimitService.suspendUser(USER_ID, 'Chargeback investigation', null);
+
+    await expect(walletConversionService.executeQuote(USER_ID, quote.id))
+      .rejects.toMatchObject({ statusCode: 403, type: 'suspended' });
+
+    expect((await CurrencyConversion.findByPk(quote.id)).status).toBe('rejected');
+    expect(await getBalance(USER_ID, 'USD')).toBe(100);
+  });
+
+  test('should respect fraud detection blocks', async () => {
+    await setBalance(USER_ID, 'USD', 100);
+    const quote = await walletConversionService.createQuote(USER_ID, {
+      fromCurrency: 'USD',
+      toCurrency: 'NGN',
+      amount: 10
+    });
+
+    await fraudDetectionService.autoBlockUser(USER_ID, 'High risk score', { riskScore: 90, flags: [] });
+
+    await expect(walletConversionService.executeQuote(USER_ID, quote.id))
+      .rejects.toMatchObject({ statusCode: 403, type: 'fraud_detection_block' });
+
+    expect(await getBalance(USER_ID, 'USD')).toBe(100);
+    expect(await getBalance(USER_ID, 'NGN')).toBe(0);
+  });
+});
@@ -0,0 +1,289 @@
+// Must mock config/db before any model is required
+jest.mock('../config/db', () => require('./helpers/sqliteDb'));
+jest.mock('../config/paystack', () => ({
+  paystackClient: { post: jest.fn(), put: jest.fn() }
+}));
+jest.mock('../config/stripe', () => ({
+  stripeClient: { checkout: { sessions: { create: jest.fn() } } }
+}));
+jest.mock('../utils/email', () => ({
+  sendPurchaseConfirmationEmail: jest.fn().mockResolvedValue(true),
+  sendSaleNotificationEmail: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../services/idempotencyService', () => ({
+  idempotencyService: {
+    checkAndStore: jest.fn().mockResolvedValue({ isNew: true }),
+    storeResult: jest.fn().mockResolvedValue(true)
+  }
+}));
+
+const { paystackClient } = require('../config/paystack');
+const orderService = require('../services/orderService');
+const refundService = require('../services/refundService');
+const feeScheduleService = require('../services/feeScheduleService');
+const { CartItem, Order, OrderItem } = require('../models/orderIndex');
+const {
+  User,
+  Purchase,
+  PurchaseRefund,
+  FeeSchedule,
+  WalletAccount,
+  WalletTransaction,
+  LedgerJournal,
+  LedgerEntry
+} = require('../models/walletIndex');
+const Transaction = require('../models/Transaction');
+const { setBalance, getBalances, ledgerBalance } = require('./helpers/wallet');
+
+const CREATOR_ID = 1;
+const BUYER_ID = 2;
+const ADMIN_ID = 3;
+
+const CONTENT = {
+  'a0000000-0000-4000-8000-000000000001': { id: 'a0000000-0000-4000-8000-000000000001', title: 'Lagos Jazz Masterclass', price: '5000.00', currency: 'NGN', userId: CREATOR_ID },
+  'b0000000-0000-4000-8000-000000000002': { id: 'b0000000-0000-4000-8000-000000000002', title: 'Intro to Pottery', price: '3000.00', currency: 'NGN', userId: CREATOR_ID }
+};
+const [JAZZ, POTTERY] = Object.keys(CONTENT);
+
+const routing = orderService.paymentRoutingService;
+let keyCounter = 0;
+
+function nextKey() {
+  keyCounter += 1;
+  return `00000000-0000-4000-9000-${String(keyCounter).padStart(12, '0')}`;
+}
+
+function buyJazz(overrides = {}) {
+  return orderService.payWithWallet({
+    userId: BUYER_ID,
+    userEmail: 'wallet-buyer@example.com',
+    contentType: 'video',
+    contentId: JAZZ,
+    ...overrides
+  });
+}
+
+describe('Wallet payments', () => {
+  beforeAll(async () => {
+    await User.sync();
+    await User.bulkCreate([
+      { id: CREATOR_ID, firstname: 'Femi', lastname: 'Creator', email: 'wallet-creator@example.com' },
+      { id: BUYER_ID, firstname: 'Ada', lastname: 'Buyer', email: 'wallet-buyer@example.com' },
+      { id: ADMIN_ID, firstname: 'Grace', lastname: 'Admin', email: 'wallet-admin@example.com' }
+    ]);
+    await FeeSchedule.sync();
+    await Purchase.sync();
+    await PurchaseRefund.sync();
+    await WalletAccount.sync();
+    await WalletTransaction.sync();
+    await LedgerJournal.sync();
+    await LedgerEntry.sync();
+    await Transaction.sync();
+    await CartItem.sync();
+    await Order.sync();
+    await OrderItem.sync();
+
+    jest.spyOn(feeScheduleService, 'getHighestPartnerCommission').mockResolvedValue(0);
+    await feeScheduleService.createSchedule({ name: 'Video standard', contentType: 'video', percentage: 10 }, ADMIN_ID);
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(routing, 'getContentDetails').mockImplementation(async (type, id) => CONTENT[id] || null);
+    jest.spyOn(routing, '_resolveReferralCommission').mockResolvedValue(null);
+
+    paystackClient.post.mockReset();
+    paystackClient.post.mockImplementation(async (path, body) => ({
+      data: { data: { authorization_url: 'https://checkout.paystack.com/split', access_code: 'split', reference: body.reference } }
+    }));
+
+    await CartItem.destroy({ where: {} });
+    await OrderItem.destroy({ where: {} });
+    await Order.destroy({ where: {} });
+    await PurchaseRefund.destroy({ where: {} });
+    await Purchase.destroy({ where: {} });
+    await WalletTransaction.destroy({ where: {} });
+    await LedgerEntry.destroy({ where: {} });
+    await LedgerJournal.destroy({ where: {} });
+    await WalletAccount.destroy({ where: {} });
+    await setBalance(BUYER_ID, 'NGN', 10000);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('pays in full from the wallet with the debit and payouts in one transaction', async () => {
+    const { order, payment } = await buyJazz();
+
+    expect(payment).toBeNull();
+    expect(paystackClient.post).not.toHaveBeenCalled();
+    expect(order).toMatchObject({ status: 'paid', paymentGateway: 'wallet', walletStatus: 'captured' });
+    expect(parseFloat(order.walletAmount)).toBe(5000);
+
+    const purchase = await Purchase.findOne({ where: { orderId: order.id } });
+    expect(purchase).toMatchObject({ userId: BUYER_ID, paymentGateway: 'wallet', paymentStatus: 'completed', creatorId: CREATOR_ID });
+    expect(parseFloat(purchase.platformFee)).toBe(500);
+
+    expect(await getBalances(BUYER_ID)).toEqual({ available: 5000, pending: 0 });
+    expect((await getBalances(CREATOR_ID)).available).toBe(4500);
+
+    const debit = await WalletTransaction.findOne({ where: { reference: `WALLET-${order.reference}` } });
+    expect(debit).toMatchObject({ transaction_type: 'debit', status: 'completed', gateway: 'wallet' });
+    expect(parseInt(debit.amount)).toBe(500000);
+
+    // Buyer debit and creator credit (plus the fee) net out on the wallet clearing account
+    expect(await ledgerBalance('gateway_clearing:wallet:NGN')).toBe(0);
+  });
+
+  test('rejects a wallet that cannot cover its share without creating an order', async () => {
+    await WalletAccount.update({ balance_available: 100000 }, { where: { user_id: BUYER_ID } });
+
+    await expect(buyJazz()).rejects.toMatchObject({
+      statusCode: 402,
+      message: 'Insufficient NGN wallet balance: 1000 available, 5000 needed'
+    });
+    await expect(buyJazz({ walletAmount: 6000 })).rejects.toMatchObject({ statusCode: 400 });
+
+    expect(await Order.count()).toBe(0);
+    expect(await getBalances(BUYER_ID)).toEqual({ available: 1000, pending: 0 });
+  });
+
+  test('splits a cart checkout: the wallet share is held until the card clears', async () => {
+    await orderService.addItem(BUYER_ID, { contentType: 'video', contentId: JAZZ });
+    await orderService.addItem(BUYER_ID, { contentType: 'video', contentId: POTTERY });
+
+    const { order, payment } = await orderService.checkout({
+      userId: BUYER_ID,
+      userEmail: 'wallet-buyer@example.com',
+      walletAmount: 3000,
+      idempotencyKey: nextKey()
+    });
+
+    expect(payment.gateway).toBe('paystack');
+    expect(order).toMatchObject({ status: 'pending', paymentGateway: 'paystack', walletStatus: 'held' });
+    const [, body] = paystackClient.post.mock.calls[0];
+    expect(body.amount).toBe(500000);
+    expect(await getBalances(BUYER_ID)).toEqual({ available: 7000, pending: 3000 });
+
+    const result = await orderService.handleGatewayPayment('paystack', {
+      reference: order.reference,
+      amount: 500000,
+      currency: 'NGN',
+      metadata: { type: 'order', orderId: order.id }
+    });
+
+    expect(result.order).toMatchObject({ status: 'paid', walletStatus: 'captured' });
+    expect(result.purchases).toHaveLength(2);
+    expect(await getBalances(BUYER_ID)).toEqual({ available: 7000, pending: 0 });
+    expect((await getBalances(CREATOR_ID)).available).toBe(7200);
+  });
+
+  test('releases the hold of a split order whose card payment never arrives', async () => {
+    const { order } = await buyJazz({ walletAmount: 2000 });
+    expect(await getBalances(BUYER_ID)).toEqual({ available: 8000, pending: 2000 });
+
+    orderService.config.walletHoldMinutes = 0;
+    try {
+      expect(await orderService.releaseExpiredWalletHolds()).toBe(1);
+    } finally {
+      orderService.config.walletHoldMinutes = 60;
+    }
+
+    const cancelled = await Order.findByPk(order.id);
+    expect(cancelled).toMatchObject({ status: 'cancelled', walletStatus: 'released' });
+    expect(await getBalances(BUYER_ID)).toEqual({ available: 10000, pending: 0 });
+    expect(await orderService.releaseExpiredWalletHolds()).toBe(0);
+  });
+
+  test('refunds wallet-funded purchases back to the wallet', async () => {
+    const { order } = await buyJazz();
+    const purchase = await Purchase.findOne({ where: { orderId: order.id } });
+
+    const refund = await routing.refundPayment({ purchase, amount: 5000, reason: 'Changed my mind' });
+
+    expect(refund).toMatchObject({ gateway: 'wallet', status: 'processed', walletAmount: 5000 });
+    expect(refund.gatewayRefundId).toMatch(/^wallet_refund_WREF-/);
+    expect(paystackClient.post).not.toHaveBeenCalled();
+    // Credited with the clawback, not by the router
+    expect(await getBalances(BUYER_ID)).toEqual({ available: 5000, pending: 0 });
+
+    await refundService.applyRefund({
+      purchase,
+      source: 'admin',
+      gatewayRefundId: refund.gatewayRefundId,
+      walletAmount: refund.walletAmount
+    });
+
+    expect(await getBalances(BUYER_ID)).toEqual({ available: 10000, pending: 0 });
+    expect((await getBalances(CREATOR_ID)).available).toBe(0);
+  });
+
+  test('lets only one of two admin refunds of the same purchase through', async () => {
+    const { order } = await buyJazz();
+    const purchase = await Purchase.findOne({ where: { orderId: order.id } });
+
+    const first = await refundService.adminRefund({ purchaseId: purchase.id, adminId: ADMIN_ID });
+    expect(first.purchase.paymentStatus).toBe('refunded');
+
+    await expect(refundService.adminRefund({ purchaseId: purchase.id, adminId: ADMIN_ID }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    expect(await getBalances(BUYER_ID)).toEqual({ available: 10000, pending: 0 });
+    expect(await PurchaseRefund.count()).toBe(1);
+  });
+
+  test('refunds a split order to the wallet and the card in the proportion it was paid', async () => {
+    await orderService.addItem(BUYER_ID, { contentType: 'video', contentId: JAZZ });
+    await orderService.addItem(BUYER_ID, { contentType: 'video', contentId: POTTERY });
+    const { order } = await orderService.checkout({
+      userId: BUYER_ID,
+      userEmail: 'wallet-buyer@example.com',
+      walletAmount: 3000,
+      idempotencyKey: nextKey()
+    });
+    await orderService.handleGatewayPayment('paystack', {
+      reference: order.reference,
+      amount: 500000,
+      currency: 'NGN',
+      metadata: { type: 'order', orderId: order.id }
+    });
+    const purchase = await Purchase.findOne({ where: { orderId: order.id, contentId: JAZZ } });
+
+    paystackClient.post.mockReset();
+    paystackClient.post.mockResolvedValue({ data: { data: { id: 991, status: 'pending' } } });
+
+    const refund = await routing.refundPayment({ purchase, amount: 5000, reason: 'Changed my mind' });
+
+    // 3000 of the 8000 order came from the wallet
+    expect(refund).toMatchObject({ gateway: 'paystack', gatewayRefundId: 'paystack_refund_991', walletAmount: 1875 });
+    const [path, body] = paystackClient.post.mock.calls[0];
+    expect(path).toBe('/refund');
+    expect(body).toMatchObject({ transaction: order.reference, amount: 312500 });
+    expect(await getBalances(BUYER_ID)).toEqual({ available: 7000, pending: 0 });
+
+    await refundService.applyRefund({
+      purchase,
+      source: 'admin',
+      gatewayRefundId: refund.gatewayRefundId,
+      walletAmount: refund.walletAmount
+    });
+
+    expect(await getBalances(BUYER_ID)).toEqual({ available: 8875, pending: 0 });
+    expect((await getBalances(CREATOR_ID)).available).toBe(2700);
+    await purchase.reload();
+    expect(purchase.paymentStatus).toBe('refunded');
+  });
+
+  test('rolls the wallet credit back with the clawback if the refund fails', async () => {
+    const { order } = await buyJazz();
+    const purchase = await Purchase.findOne({ where: { orderId: order.id } });
+    jest.spyOn(Purchase.prototype, 'update').mockRejectedValue(new Error('database unavailable'));
+
+    await expect(refundService.applyRefund({ purchase, source: 'admin', walletAmount: 5000 }))
+      .rejects.toThrow('database unavailable');
+
+    expect(await getBalances(BUYER_ID)).toEqual({ available: 5000, pending: 0 });
+    expect((await getBalances(CREATOR_ID)).available).toBe(4500);
+    expect(await PurchaseRefund.count()).toBe(0);
+  });
+});
@@ -0,0 +1,183 @@
+// Must mock config/db before any model is required
+jest.mock('../config/db', () => require('./helpers/sqliteDb'));
+
+const withdrawalLimitService = require('../services/withdrawalLimitService');
+const {
+  User,
+  Payout,
+  CurrencyConversion,
+  WithdrawalLimitProfile,
+  WithdrawalLimitOverride,
+  WithdrawalLimitAuditLog
+} = require('../models/walletIndex');
+
+const ADMIN_ID = 1;
+const CREATOR_ID = 2;
+
+async function createPayout(amount, { status = 'pending', currency = 'NGN', createdAt } = {}) {
+  const payout = await Payout.create({
+    userId: CREATOR_ID,
+    amount,
+    platformFee: 0,
+    gatewayFee: 0,
+    netAmount: amount,
+    currency,
+    paymentGateway: 'paystack',
+    bankName: 'Test Bank',
+    accountNumber: '0123456789',
+    accountName: 'Test Creator',
+    status
+  });
+
+  if (createdAt) {
+    // createdAt is managed by Sequelize, so backdate it with a silent update
+    await Payout.update({ createdAt }, { where: { id: payout.id }, silent: true });
+  }
+
+  return payout;
+}
+
+describe('Withdrawal Limit Persistence', () => {
+  beforeAll(async () => {
+    await User.sync();
+    await User.bulkCreate([
+      { id: ADMIN_ID, firstname: 'Ada', lastname: 'Admin', email: 'limits-admin@example.com', role: 'admin' },
+      { id: CREATOR_ID, firstname: 'Cee', lastname: 'Creator', email: 'limits-creator@example.com' }
+    ]);
+    await Payout.sync();
+    await CurrencyConversion.sync();
+    await WithdrawalLimitProfile.sync();
+    await WithdrawalLimitOverride.sync();
+    await WithdrawalLimitAuditLog.sync();
+  });
+
+  beforeEach(async () => {
+    await WithdrawalLimitAuditLog.destroy({ where: {} });
+    await WithdrawalLimitOverride.destroy({ where: {} });
+    await WithdrawalLimitProfile.destroy({ where: {} });
+    await Payout.destroy({ where: {} });
+  });
+
+  test('should persist tier and suspension changes with an audit trail', async () => {
+    await withdrawalLimitService.setUserTier(CREATOR_ID, 'vip', ADMIN_ID);
+    await withdrawalLimitService.suspendUser(CREATOR_ID, 'Chargeback investigation', ADMIN_ID);
+
+    const profile = await WithdrawalLimitProfile.findByPk(CREATOR_ID);
+    expect(profile.tier).toBe('vip');
+    expect(profile.suspended).toBe(true);
+    expect(profile.suspendedBy).toBe(ADMIN_ID);
+
+    const check = await withdrawalLimitService.checkWithdrawalLimits(CREATOR_ID, 1000, 'NGN');
+    expect(check.allowed).toBe(false);
+    expect(check.type).toBe('suspended');
+
+    await withdrawalLimitService.restoreUser(CREATOR_ID, ADMIN_ID);
+
+    const { total, entries } = await withdrawalLimitService.getAuditTrail(CREATOR_ID);
+    expect(total).toBe(3);
+    expect(entries.map(entry => entry.action).sort()).toEqual(['restore', 'set_tier', 'suspend']);
+    expect(entries.every(entry => entry.performedBy === ADMIN_ID)).toBe(true);
+  });
+
+  test('should compute usage from payouts, skipping failed and older payouts', async () => {
+    const now = new Date();
+    const yesterday = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+    const lastMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 15));
+
+    await createPayout(100000);
+    await createPayout(50000, { status: 'completed' });
+    await createPayout(70000, { status: 'failed' });
+    await createPayout(20000, { currency: 'USD' });
+    await createPayout(30000, { createdAt: yesterday });
+    await createPayout(40000, { createdAt: lastMonth });
+
+    const usage = await withdrawalLimitService.getCurrentUsage(CREATOR_ID, 'NGN', now);
+    expect(usage.daily).toBe(150000);
+    expect(usage.dailyCount).toBe(2);
+
+    // Yesterday's payout only counts towards this month when both fall in the same month
+    const sameMonth = yesterday.getUTCMonth() === now.getUTCMonth();
+    expect(usage.monthly).toBe(sameMonth ? 180000 : 150000);
+  });
+
+  test('should layer admin overrides over custom limits and fall back per field', async () => {
+    await withdrawalLimitService.setCustomLimits(CREATOR_ID, 'NGN', { daily: 500000 }, ADMIN_ID);
+    await withdrawalLimitService.adminOverrideLimits(
+      CREATOR_ID,
+      'NGN',
+      { single: 3000000 },
+      'One-off equipment purchase',
+      { adminId: ADMIN_ID }
+    );
+
+    const limits = await withdrawalLimitService.getUserLimits(CREATOR_ID, 'NGN');
+    expect(limits.type).toBe('admin_override');
+    expect(limits.single).toBe(3000000);
+    expect(limits.daily).toBe(500000);
+    expect(limits.monthly).toBe(withdrawalLimitService.config.defaultLimits.NGN.monthly);
+    expect(new Date(limits.expiresAt).getTime()).toBeGreaterThan(Date.now());
+
+    // A new custom limit supersedes the previous one rather than editing it
+    await withdrawalLimitService.setCustomLimits(CREATOR_ID, 'NGN', { daily: 800000 }, ADMIN_ID);
+    const superseded = await WithdrawalLimitOverride.findAll({
+      where: { userId: CREATOR_ID, revokeReason: 'superseded' }
+    });
+    expect(superseded).toHaveLength(1);
+    expect((await withdrawalLimitService.getUserLimits(CREATOR_ID, 'NGN')).daily).toBe(800000);
+  });
+
+  test('should stop applying overrides once they expire and audit the expiry', async () => {
+    const override = await withdrawalLimitService.adminOverrideLimits(
+      CREATOR_ID,
+      'NGN',
+      { daily: 9000000 },
+      'Temporary increase',
+      { adminId: ADMIN_ID }
+    );
+
+    await WithdrawalLimitOverride.update(
+      { expiresAt: new Date(Date.now() - 1000) },
+      { where: { id: override.id } }
+    );
+
+    const limits = await withdrawalLimitService.getUserLimits(CREATOR_ID, 'NGN');
+    expect(limits.type).toBe('tier');
+    expect(limits.daily).toBe(withdrawalLimitService.config.defaultLimits.NGN.daily);
+
+    expect(await withdrawalLimitService.expireOverrides()).toBe(1);
+    expect(await withdrawalLimitService.expireOverrides()).toBe(0);
+
+    const { entries } = await withdrawalLimitService.getAuditTrail(CREATOR_ID);
+    const expiry = entries.find(entry => entry.action === 'override_expired');
+    expect(expiry.currency).toBe('NGN');
+    expect(expiry.performedBy).toBeNull();
+  });
+
+  test('should reject overrides with an expiry in the past', async () => {
+    await expect(
+      withdrawalLimitService.adminOverrideLimits(
+        CREATOR_ID,
+        'NGN',
+        { daily: 100 },
+        'Backdated',
+        { adminId: ADMIN_ID, expiresAt: new Date(Date.now() - 60000) }
+      )
+    ).rejects.toThrow('expiresAt must be a valid future date');
+
+    expect(await WithdrawalLimitOverride.count()).toBe(0);
+  });
+
+  test('should reset tier and overrides but keep suspension', async () => {
+    await withdrawalLimitService.setUserTier(CREATOR_ID, 'business', ADMIN_ID);
+    await withdrawalLimitService.setCustomLimits(CREATOR_ID, 'USD', { daily: 1 }, ADMIN_ID);
+    await withdrawalLimitService.suspendUser(CREATOR_ID, 'Pending KYC', ADMIN_ID);
+
+    await withdrawalLimitService.resetUserToDefault(CREATOR_ID, ADMIN_ID);
+
+    const stats = await withdrawalLimitService.getUserWithdrawalStats(CREATOR_ID);
+    expect(stats.tier).toBe('default');
+    expect(stats.suspended).toBe(true);
+    expect(stats.activeOverrides).toHaveLength(0);
+    expect(stats.currencies.USD.limits.daily).toBe(withdrawalLimitService.config.defaultLimits.USD.daily);
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Caption Parser
+ *
+ * Parses and validates WebVTT and SRT caption files so malformed files are
+ * rejected before they are uploaded or sent to Mux. Returns the cues as
+ * plain text for the searchable transcript.
+ *
+ * Errors name the offending line, e.g. "Line 12: invalid cue timing".
+ */
+
+const VTT_TIMESTAMP = /^(?:(\d{2,}):)?([0-5]\d):([0-5]\d)\.(\d{3})$/;
+const SRT_TIMESTAMP = /^(\d{1,}):([0-5]\d):([0-5]\d)[,.](\d{3})$/;
+const TIMING_LINE = /^(\S+)[ \t]+-->[ \t]+(\S+)(?:[ \t]+.*)?$/;
+
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&nbsp;': ' ',
+  '&lrm;': '',
+  '&rlm;': ''
+};
+
+/**
+ * Decode the file as UTF-8, rejecting binary and mis-encoded files
+ * @param {Buffer|string} input
+ * @returns {string}
+ */
+function decode(input) {
+  let text;
+  if (Buffer.isBuffer(input)) {
+    try {
+      text = new TextDecoder('utf-8', { fatal: true }).decode(input);
+    } catch (error) {
+      throw new Error('Caption files must be UTF-8 encoded text');
+    }
+  } else {
+    text = String(input || '');
+  }
+
+  if (text.includes('\u0000')) {
+    throw new Error('Caption files must be UTF-8 encoded text');
+  }
+
+  return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Split into blank-line separated blocks, keeping the line number each
+ * block starts on
+ */
+function toBlocks(lines, startIndex) {
+  const blocks = [];
+  let current = null;
+
+  for (let i = startIndex; i < lines.length; i++) {
+    if (lines[i].trim() === '') {
+      current = null;
+      continue;
+    }
+    if (!current) {
+      current = { line: i + 1, lines: [] };
+      blocks.push(current);
+    }
+    current.lines.push(lines[i]);
+  }
+
+  return blocks;
+}
+
+function toSeconds(match) {
+  const [, hours, minutes, seconds, millis] = match;
+  return (parseInt(hours || '0', 10) * 3600)
+    + (parseInt(minutes, 10) * 60)
+    + parseInt(seconds, 10)
+    + (parseInt(millis, 10) / 1000);
+}
+
+function parseTiming(line, lineNumber, timestampPattern) {
+  const timing = TIMING_LINE.exec(line.trim());
+  if (!timing) {
+    throw new Error(`Line ${lineNumber}: invalid cue timing "${line.trim()}"`);
+  }
+
+  const start = timestampPattern.exec(timing[1]);
+  const end = timestampPattern.exec(timing[2]);
+  if (!start || !end) {
+    throw new Error(`Line ${lineNumber}: invalid timestamp in "${line.trim()}"`);
+  }
+
+  const startSeconds = toSeconds(start);
+  const endSeconds = toSeconds(end);
+  if (endSeconds <= startSeconds) {
+    throw new Error(`Line ${lineNumber}: cue ends before it starts`);
+  }
+
+  return { start: startSeconds, end: endSeconds };
+}
+
+/**
+ * Cue text without markup: VTT/SRT tags (<i>, <v Speaker>, <00:01.000>),
+ * SSA overrides ({\an8}) and HTML entities
+ */
+function plainText(textLines) {
+  return textLines
+    .join(' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/&(?:amp|lt|gt|nbsp|lrm|rlm);/g, entity => ENTITIES[entity])
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function parseVtt(lines) {
+  if (!/^WEBVTT(?:[ \t].*)?$/.test(lines[0])) {
+    throw new Error('Line 1: WebVTT files must start with "WEBVTT"');
+  }
+
+  // Header metadata runs until the first blank line
+  let bodyStart = 1;
+  while (bodyStart < lines.length && lines[bodyStart].trim() !== '') {
+    if (lines[bodyStart].includes('-->')) {
+      throw new Error(`Line ${bodyStart + 1}: a blank line must follow the WEBVTT header`);
+    }
+    bodyStart++;
+  }
+
+  const cues = [];
+  toBlocks(lines, bodyStart).forEach(block => {
+    if (/^(NOTE|STYLE|REGION)(?:[ \t]|$)/.test(block.lines[0])) {
+      return;
+    }
+
+    const timingIndex = block.lines[0].includes('-->') ? 0 : 1;
+    if (!block.lines[timingIndex] || !block.lines[timingIndex].includes('-->')) {
+      throw new Error(`Line ${block.line}: expected a cue timing line`);
+    }
+
+    const textLines = block.lines.slice(timingIndex + 1);
+    textLines.forEach((textLine, index) => {
+      if (textLine.includes('-->')) {
+        throw new Error(`Line ${block.line + timingIndex + 1 + index}: missing blank line between cues`);
+      }
+    });
+
+    cues.push({
+      line: block.line + timingIndex,
+      ...parseTiming(block.lines[timingIndex], block.line + timingIndex, VTT_TIMESTAMP),
+      text: plainText(textLines)
+    });
+  });
+
+  return cues;
+}
+
+function parseSrt(lines) {
+  return toBlocks(lines, 0).map(block => {
+    if (!/^\d+$/.test(block.lines[0].trim())) {
+      throw new Error(`Line ${block.line}: expected a cue number`);
+    }
+    if (!block.lines[1]) {
+      throw new Error(`Line ${block.line}: cue ${block.lines[0].trim()} has no timing line`);
+    }
+
+    const textLines = block.lines.slice(2);
+    if (textLines.length === 0) {
+      throw new Error(`Line ${block.line}: cue ${block.lines[0].trim()} has no text`);
+    }
+
+    return {
+      line: block.line + 1,
+      ...parseTiming(block.lines[1], block.line + 1, SRT_TIMESTAMP),
+      text: plainText(textLines)
+    };
+  });
+}
+
+/**
+ * Parse and validate a caption file
+ * @param {Buffer|string} input - File contents
+ * @param {string} format - vtt | srt
+ * @returns {Object} { format, cues: [{ start, end, text }] } with times in seconds
+ */
+function parseCaptions(input, format) {
+  if (!['vtt', 'srt'].includes(format)) {
+    throw new Error('Captions must be WebVTT (.vtt) or SRT (.srt)');
+  }
+
+  const lines = decode(input).split('\n');
+  const cues = format === 'vtt' ? parseVtt(lines) : parseSrt(lines);
+
+  if (cues.length === 0) {
+    throw new Error('The caption file has no cues');
+  }
+
+  cues.forEach((cue, index) => {
+    if (index > 0 && cue.start < cues[index - 1].start) {
+      throw new Error(`Line ${cue.line}: cues must be in start time order`);
+    }
+  });
+
+  return {
+    format,
+    cues: cues.map(({ start, end, text }) => ({ start, end, text }))
+  };
+}
+
+module.exports = {
+  parseCaptions
+};
@@ -483,6 +483,91 @@ exports.sendWithdrawalOTP = async (to, firstname, otp, amount, currency, bankAcc
   });
 };
 
+/**
+ * PAYOUT BENEFICIARY CONFIRMATION EMAIL
+ */
+exports.sendBeneficiaryOTP = async (to, firstname, otp, bankAccount, expiryMinutes) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; line-height: 1.6;">
+      <h2>Confirm Your New Payout Account 🏦</h2>
+
+      <p>Dear ${firstname},</p>
+
+      <p>
+        A new bank account was added for withdrawals from your hallos wallet.
+        To confirm that this was you, enter the verification code below:
+      </p>
+
+      <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p><strong>Bank Account:</strong> ${bankAccount}</p>
+        <p><strong>Date:</strong> ${new Date().toLocaleString()}</p>
+      </div>
+
+      <div style="background-color: #e8f5e8; padding: 20px; text-align: center; margin: 20px 0; border-radius: 8px; border: 2px solid #28a745;">
+        <h1 style="color: #28a745; font-size: 36px; letter-spacing: 6px; margin: 0;">
+          ${otp}
+        </h1>
+      </div>
+
+      <p><strong>Security Notice:</strong></p>
+      <ul>
+        <li>This code expires in <strong>${expiryMinutes} minutes</strong></li>
+        <li>Never share this code with anyone</li>
+        <li>If you didn't add this account, change your password and contact support immediately</li>
+      </ul>
+
+      <p><strong>The hallos Team</strong></p>
+
+      ${getSocialFooter()}
+    </div>
+  `;
+
+  await transporter.sendMail({
+    from: `"hallos Security" <${process.env.EMAIL_USER}>`,
+    to,
+    subject: 'Confirm Your New Payout Account',
+    html,
+  });
+};
+
+/**
+ * PAYOUT BENEFICIARY ADDED EMAIL
+ */
+exports.sendBeneficiaryAddedEmail = async (to, firstname, bankAccount, availableAt) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; line-height: 1.6;">
+      <h2>New Payout Account Added</h2>
+
+      <p>Dear ${firstname},</p>
+
+      <p>
+        The bank account <strong>${bankAccount}</strong> has been confirmed as a payout account
+        on your hallos wallet.
+      </p>
+
+      <p>
+        For your security, withdrawals to this account will be available from
+        <strong>${new Date(availableAt).toLocaleString()}</strong>.
+      </p>
+
+      <div style="background-color: #fff3cd; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #ffc107;">
+        <p style="margin: 0;"><strong>⚠️ Not you?</strong> Remove the account from your wallet settings and contact support immediately.</p>
+      </div>
+
+      <p><strong>The hallos Team</strong></p>
+
+      ${getSocialFooter()}
+    </div>
+  `;
+
+  await transporter.sendMail({
+    from: `"hallos Security" <${process.env.EMAIL_USER}>`,
+    to,
+    subject: 'New Payout Account Added',
+    html,
+  });
+};
+
 /**
  * COURSE ENROLLMENT CONFIRMATION EMAIL
  */
@@ -1555,3 +1640,256 @@ exports.sendDigestEmail = async (to, firstname, items, digestType) => {
     html
   });
 };
+
+/**
+ * REFUND CONFIRMATION EMAIL (to buyer)
+ * Sent when an admin refunds all or part of a purchase
+ */
+exports.sendRefundConfirmationEmail = async (to, firstname, contentTitle, refundAmount, currency, isFullRefund) => {
+  const currencySymbol = currency === 'USD' ? '$' : '₦';
+  const formattedAmount = currency === 'USD' ? parseFloat(refundAmount).toFixed(2) : parseFloat(refundAmount).toLocaleString();
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; line-height: 1.6;">
+      <h2>Your Refund Is On Its Way</h2>
+
+      <p>Dear ${firstname},</p>
+
+      <p>
+        We've issued a ${isFullRefund ? 'full' : 'partial'} refund for your purchase of:
+      </p>
+
+      <p style="font-size: 18px; font-weight: bold; color: #333;">
+        ${contentTitle}
+      </p>
+
+      <p><strong>Amount Refunded:</strong> ${currencySymbol}${formattedAmount} ${currency}</p>
+
+      <p>
+        Depending on your bank, it can take 5–10 business days for the money to appear on your statement.
+        ${isFullRefund ? 'Access to this content has been removed from your account.' : 'You still have access to this content.'}
+      </p>
+
+      <p><strong>The hallos Team</strong></p>
+
+      ${getSocialFooter()}
+    </div>
+  `;
+
+  await transporter.sendMail({
+    from: `"hallos Team" <${process.env.EMAIL_USER}>`,
+    to,
+    subject: `Refund Issued - ${contentTitle}`,
+    html,
+  });
+};
+
+/**
+ * REFUND NOTIFICATION EMAIL (to creator)
+ * Sent when a sale is refunded and the creator's earnings are reversed
+ */
+exports.sendRefundNotificationEmail = async (to, creatorName, contentTitle, refundAmount, clawbackAmount, currency) => {
+  const currencySymbol = currency === 'USD' ? '$' : '₦';
+  const format = (value) => currency === 'USD' ? parseFloat(value).toFixed(2) : parseFloat(value).toLocaleString();
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; line-height: 1.6;">
+      <h2>A Sale Was Refunded</h2>
+
+      <p>Hi ${creatorName},</p>
+
+      <p>A buyer has been refunded for your content:</p>
+
+      <div style="background-color: #fff5f5; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #e53e3e;">
+        <p style="margin: 5px 0;"><strong>Content:</strong> ${contentTitle}</p>
+        <p style="margin: 5px 0;"><strong>Refunded to buyer:</strong> ${currencySymbol}${format(refundAmount)} ${currency}</p>
+        <p style="margin: 5px 0;"><strong>Deducted from your wallet:</strong> ${currencySymbol}${format(clawbackAmount)} ${currency}</p>
+      </div>
+
+      <p>
+        You can review the adjustment in your wallet history at
+        <a href="https://www.hallos.net/dashboard">www.hallos.net/dashboard</a>.
+      </p>
+
+      <p><strong>The hallos Team</strong></p>
+
+      ${getSocialFooter()}
+    </div>
+  `;
+
+  await transporter.sendMail({
+    from: `"hallos" <${process.env.EMAIL_USER}>`,
+    to,
+    subject: `Refund Processed: ${contentTitle}`,
+    html,
+  });
+};
+
+/**
+ * COURSE ACCESS RENEWED EMAIL
+ * Sent when a monthly/yearly all-access pass is renewed on the saved card
+ */
+exports.sendCourseRenewalSuccessEmail = async (to, firstname, accessDescription, amount, currency, nextRenewalDate) => {
+  const currencySymbol = currency === 'USD' ? '$' : '₦';
+  const formattedAmount = currency === 'USD' ? parseFloat(amount).toFixed(2) : parseFloat(amount).toLocaleString();
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; line-height: 1.6;">
+      <h2>Your Course Access Has Been Renewed</h2>
+
+      <p>Dear ${firstname},</p>
+
+      <p>We've renewed your <strong>${accessDescription}</strong> using your saved card.</p>
+
+      <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #28a745;">
+        <p style="margin: 5px 0;"><strong>Amount Charged:</strong> ${currencySymbol}${formattedAmount} ${currency}</p>
+        <p style="margin: 5px 0;"><strong>Access Until:</strong> ${new Date(nextRenewalDate).toLocaleDateString()}</p>
+      </div>
+
+      <p>
+        You can turn off auto-renewal at any time from your course dashboard at
+        <a href="https://www.hallos.net/dashboard">www.hallos.net/dashboard</a>.
+      </p>
+
+      <p><strong>The Hallos Team</strong></p>
+
+      ${getSocialFooter()}
+    </div>
+  `;
+
+  await transporter.sendMail({
+    from: `"Hallos Team" <${process.env.EMAIL_USER}>`,
+    to,
+    subject: `Course Access Renewed - ${accessDescription}`,
+    html,
+  });
+};
+
+/**
+ * COURSE RENEWAL FAILED EMAIL
+ * Sent after each failed renewal charge while retries remain
+ */
+exports.sendCourseRenewalFailedEmail = async (to, firstname, accessDescription, amount, currency, reason, nextRetryDate, graceEndsAt) => {
+  const currencySymbol = currency === 'USD' ? '$' : '₦';
+  const formattedAmount = currency === 'USD' ? parseFloat(amount).toFixed(2) : parseFloat(amount).toLocaleString();
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; line-height: 1.6;">
+      <h2>We Couldn't Renew Your Course Access</h2>
+
+      <p>Dear ${firstname},</p>
+
+      <p>
+        We tried to charge ${currencySymbol}${formattedAmount} ${currency} to renew your
+        <strong>${accessDescription}</strong>, but the payment didn't go through.
+      </p>
+
+      <div style="background-color: #fff8e1; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #ffa000;">
+        <p style="margin: 5px 0;"><strong>Reason:</strong> ${reason || 'Payment declined'}</p>
+        <p style="margin: 5px 0;"><strong>Next Attempt:</strong> ${new Date(nextRetryDate).toLocaleDateString()}</p>
+        <p style="margin: 5px 0;"><strong>Access Kept Until:</strong> ${new Date(graceEndsAt).toLocaleDateString()}</p>
+      </div>
+
+      <p>
+        Please make sure your card has enough funds, or purchase a new pass from
+        <a href="https://www.hallos.net/dashboard">www.hallos.net/dashboard</a> to keep learning without interruption.
+      </p>
+
+      <p><strong>The Hallos Team</strong></p>
+
+      ${getSocialFooter()}
+    </div>
+  `;
+
+  await transporter.sendMail({
+    from: `"Hallos Team" <${process.env.EMAIL_USER}>`,
+    to,
+    subject: `Action Needed: Course Access Renewal Failed`,
+    html,
+  });
+};
+
+/**
+ * COURSE ACCESS EXPIRED EMAIL
+ * Sent when renewal retries are exhausted or the grace period ends
+ */
+exports.sendCourseAccessExpiredEmail = async (to, firstname, accessDescription) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; line-height: 1.6;">
+      <h2>Your Course Access Has Ended</h2>
+
+      <p>Dear ${firstname},</p>
+
+      <p>
+        We weren't able to renew your <strong>${accessDescription}</strong>, so your access to the
+        course catalog has ended.
+      </p>
+
+      <p>
+        You can pick up where you left off by purchasing a new pass at
+        <a href="https://www.hallos.net/dashboard">www.hallos.net/dashboard</a>.
+      </p>
+
+      <p><strong>The Hallos Team</strong></p>
+
+      ${getSocialFooter()}
+    </div>
+  `;
+
+  await transporter.sendMail({
+    from: `"Hallos Team" <${process.env.EMAIL_USER}>`,
+    to,
+    subject: `Your Course Access Has Ended`,
+    html,
+  });
+};
+
+/**
+ * GIFT RECEIVED EMAIL (to recipient)
+ * Sent when someone buys content for the recipient; carries the one-time code
+ */
+exports.sendGiftReceivedEmail = async (to, recipientName, senderName, contentTitle, message, code, expiresAt) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; line-height: 1.6;">
+      <h2>🎁 You've Received a Gift!</h2>
+
+      <p>Hi ${recipientName || 'there'},</p>
+
+      <p>
+        <strong>${senderName}</strong> has gifted you:
+      </p>
+
+      <p style="font-size: 18px; font-weight: bold; color: #333;">
+        ${contentTitle}
+      </p>
+
+      ${message ? `
+      <div style="background-color: #f8f9fa; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #4CAF50;">
+        <p style="margin: 0; font-style: italic;">"${message}"</p>
+      </div>
+      ` : ''}
+
+      <div style="background-color: #e8f5e8; padding: 20px; border-radius: 8px; margin: 20px 0; text-align: center;">
+        <p style="margin: 0 0 10px 0;">Your gift code:</p>
+        <p style="font-size: 24px; font-weight: bold; letter-spacing: 2px; margin: 0;">${code}</p>
+      </div>
+
+      <p>
+        Sign in or create a free account at
+        <a href="https://www.hallos.net/gifts/redeem">www.hallos.net/gifts/redeem</a> and enter the code to unlock your gift.
+        ${expiresAt ? `The code can be redeemed until <strong>${new Date(expiresAt).toLocaleDateString()}</strong>.` : ''}
+      </p>
+
+      <p><strong>The Hallos Team</strong></p>
+
+      ${getSocialFooter()}
+    </div>
+  `;
+
+  await transporter.sendMail({
+    from: `"Hallos Team" <${process.env.EMAIL_USER}>`,
+    to,
+    subject: `${senderName} sent you a gift: ${contentTitle}`,
+    html,
+  });
+};